@@ -7,7 +7,19 @@ import {
   readSourceFile,
 } from "./src/pipelines/dialoguePipeline.js";
 import { facilitatedDialoguePipeline } from "./src/pipelines/facilitatedDialoguePipeline.js";
-import { moderatedPanelPipeline } from "./src/pipelines/moderatedPanelPipeline.js";
+import {
+  multiPartyDialoguePipeline,
+  TURN_ORDERS,
+  MIN_PARTICIPANTS,
+  MAX_PARTICIPANTS,
+  DEFAULT_PARTICIPANTS,
+} from "./src/pipelines/multiPartyDialoguePipeline.js";
+import { DIALOGUE_PERSONAS } from "./src/agents/dialogue/personas.js";
+import {
+  moderatedPanelPipeline,
+  estimatePanelApiCalls,
+  DEFAULT_REPOSITORY_TOKENS,
+} from "./src/pipelines/moderatedPanelPipeline.js";
 import {
   contentWaterfallPipeline,
   listWaterfallSourceFiles,
@@ -17,7 +29,19 @@ import { startNostrMQService } from "./src/nostrmq/index.js";
 import {
   getAvailablePanelTypes,
   createPanelConfig,
+  loadPanelTypeFiles,
 } from "./src/services/panelTypeConfig.js";
+import { DEFAULT_HUMAN_SPEAKER } from "./src/utils/humanInTheLoop.js";
+import { parseFrameworkControls } from "./src/utils/controlCoverage.js";
+import {
+  DEBATE_DEFAULTS,
+  MAX_REBUTTAL_ROUNDS,
+  MAX_SPEECH_MINUTES,
+} from "./src/utils/debateScoring.js";
+import {
+  resolveRepositoryOptions,
+  ingestRepository,
+} from "./src/utils/repositoryIngest.js";
 
 // Load environment variables
 dotenv.config();
@@ -40,6 +64,7 @@ function displayMenu() {
   console.log("5. Manage Agents");
   console.log("6. Start NostrMQ Service");
   console.log("7. Run Panel Pipeline");
+  console.log("8. Run Multi-Party Dialogue Pipeline");
   console.log("0. Exit");
   console.log("======================");
 }
@@ -69,6 +94,9 @@ function handleMenuChoice(choice) {
     case "7":
       showPanelTypeMenu();
       break;
+    case "8":
+      runMultiPartyDialoguePipeline();
+      break;
     case "0":
       console.log("\nGoodbye!");
       rl.close();
@@ -175,12 +203,97 @@ function confirmAction(prompt) {
   });
 }
 
+/**
+ * Creates an operator that pauses a running dialogue or panel between turns for input
+ * @returns {Function} - Operator passed to the pipeline as options.operator
+ */
+function createInteractiveOperator() {
+  const choices = [
+    {
+      action: "inject",
+      key: "i",
+      label: "Add a message as a named participant",
+    },
+    { action: "redirect", key: "r", label: "Redirect the moderator" },
+    { action: "skip", key: "s", label: "Skip the next speaker" },
+    { action: "end", key: "e", label: "End the discussion and summarize" },
+  ];
+
+  return async ({ turn, nextSpeaker, iteration, actions }) => {
+    const speaker = turn ? turn.agent || turn.role : "unknown";
+    const content = turn?.content || "";
+    console.log(`\n⏸️  Paused after ${speaker} (iteration ${iteration})`);
+    console.log(
+      `${content.substring(0, 500)}${content.length > 500 ? "..." : ""}`
+    );
+    console.log(`\nNext: ${nextSpeaker || "summary"}`);
+
+    const available = choices.filter((choice) =>
+      actions.includes(choice.action)
+    );
+    console.log("Enter. Continue");
+    available.forEach((choice) =>
+      console.log(`${choice.key}. ${choice.label}`)
+    );
+
+    const input = (await collectSingleLineInput("Action")).toLowerCase();
+    const selected = available.find(
+      (choice) => choice.key === input || choice.action === input
+    );
+
+    if (!selected) {
+      return { action: "continue" };
+    }
+    if (selected.action === "inject") {
+      const name = await collectSingleLineInput(
+        "Participant name",
+        DEFAULT_HUMAN_SPEAKER
+      );
+      const message = await collectSingleLineInput("Message");
+      return { action: "inject", speaker: name, content: message };
+    }
+    if (selected.action === "redirect") {
+      const direction = await collectSingleLineInput(
+        "Direction for the moderator"
+      );
+      return { action: "redirect", content: direction };
+    }
+    return { action: selected.action };
+  };
+}
+
+/**
+ * Asks whether to run interactively
+ * @returns {Promise<Function|null>} - Interactive operator, or null for an unattended run
+ */
+async function collectInteractiveOperator() {
+  const interactive = await confirmAction(
+    "Interactive mode (pause between turns to steer the discussion)?"
+  );
+  return interactive ? createInteractiveOperator() : null;
+}
+
+/**
+ * Asks whether every panel member should answer each question in simultaneous rounds
+ * @returns {Promise<number|null>} - Number of rounds, or null for sequential turns
+ */
+async function collectPanelRounds() {
+  const rounds = await confirmAction(
+    "Round mode (every member answers each moderator question at once)?"
+  );
+  return rounds ? collectNumberInput("Number of rounds", 3, 1, 10) : null;
+}
+
 /**
  * Displays available source files and allows user to select one
  * @param {string} pipelineType - Type of pipeline ('dialogue' or 'waterfall')
+ * @param {string} [inputDirectory] - Directory to list for panel types defined by a file
  * @returns {Promise<string|null>} - Selected file content or null if cancelled
  */
-async function selectSourceFile(pipelineType = "dialogue") {
+async function selectSourceFile(
+  pipelineType = "dialogue",
+  inputDirectory = null
+) {
   try {
     console.log("\n📁 Loading available source files...");
 
@@ -262,6 +375,28 @@ async function selectSourceFile(pipelineType = "dialogue") {
         readFileFunction = readSourceFile;
         directoryPath = "input/techreview";
       }
+    } else if (inputDirectory) {
+      // For panel types defined by a file, read from the input directory it names
+      const fs = await import("fs/promises");
+
+      try {
+        const files = await fs.readdir(inputDirectory);
+        sourceFiles = files
+          .filter((file) => file.endsWith(".txt") || file.endsWith(".md"))
+          .map((file, index) => ({
+            index: index + 1,
+            name: file.replace(/\.(txt|md)$/, ""),
+            extension: `.${file.split(".").pop()}`,
+            path: `${inputDirectory}/${file}`,
+          }));
+      } catch (error) {
+        console.log(
+          `❌ Error reading ${inputDirectory} directory: ${error.message}`
+        );
+        sourceFiles = [];
+      }
+      readFileFunction = readSourceFile;
+      directoryPath = inputDirectory;
     } else {
       sourceFiles = await listSourceFiles();
       readFileFunction = readSourceFile;
@@ -329,9 +464,13 @@ async function selectSourceFile(pipelineType = "dialogue") {
 /**
  * Collects source text either from file selection or manual input
  * @param {string} pipelineType - Type of pipeline ('dialogue' or 'waterfall')
+ * @param {string} [inputDirectory] - Directory to list for panel types defined by a file
  * @returns {Promise<string|null>} - Source text or null if cancelled
  */
-async function collectSourceText(pipelineType = "dialogue") {
+async function collectSourceText(
+  pipelineType = "dialogue",
+  inputDirectory = null
+) {
   console.log("\n📝 === Source Material Input ===");
   console.log("1. Select from available files");
   console.log("2. Input text directly");
@@ -345,7 +484,7 @@ async function collectSourceText(pipelineType = "dialogue") {
 
     case 1:
       // File selection
-      const fileContent = await selectSourceFile(pipelineType);
+      const fileContent = await selectSourceFile(pipelineType, inputDirectory);
       if (fileContent) {
         return fileContent;
       }
@@ -480,7 +619,9 @@ function displayPipelineResults(result) {
           if (entry.isFacilitator) {
             console.log(`🎯 Facilitator (${entry.iteration}): ${preview}`);
           } else {
-            console.log(`${entry.agent} (${entry.iteration}): ${preview}`);
+            console.log(
+              `${entry.agent} (${entry.iteration ?? entry.turn}): ${preview}`
+            );
           }
         });
 
@@ -558,6 +699,9 @@ async function runDialoguePipeline() {
       }`
     );
 
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
     // Ask for confirmation
     const confirmed = await confirmAction("\nProceed with dialogue pipeline?");
 
@@ -577,7 +721,7 @@ async function runDialoguePipeline() {
       summaryFocus,
     };
 
-    const result = await dialoguePipeline(config);
+    const result = await dialoguePipeline(config, { operator });
 
     // Display results
     displayPipelineResults(result);
@@ -697,6 +841,9 @@ async function runFacilitatedDialoguePipeline() {
       );
     }
 
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
     // Ask for confirmation
     const confirmed = await confirmAction(
       "\nProceed with facilitated dialogue pipeline?"
@@ -723,7 +870,7 @@ async function runFacilitatedDialoguePipeline() {
       facilitatorEnabled,
     };
 
-    const result = await facilitatedDialoguePipeline(config);
+    const result = await facilitatedDialoguePipeline(config, { operator });
 
     // Display results
     displayPipelineResults(result);
@@ -742,6 +889,133 @@ async function runFacilitatedDialoguePipeline() {
   });
 }
 
+/**
+ * Runs the multi-party dialogue pipeline with user input collection including the persona roster
+ */
+async function runMultiPartyDialoguePipeline() {
+  try {
+    console.log("\n👥 === Multi-Party Dialogue Pipeline ===");
+
+    // Collect source text (either from file or manual input)
+    const sourceText = await collectSourceText();
+
+    if (!sourceText) {
+      console.log("❌ No source text provided. Returning to menu.");
+      showMenu();
+      return;
+    }
+
+    // Collect discussion prompt
+    const discussionPrompt = await collectSingleLineInput(
+      "Enter discussion prompt"
+    );
+
+    if (!discussionPrompt.trim()) {
+      console.log("❌ Discussion prompt cannot be empty. Returning to menu.");
+      showMenu();
+      return;
+    }
+
+    // Collect the roster from the persona library
+    console.log("\n👥 === Personas ===");
+    Object.entries(DIALOGUE_PERSONAS).forEach(([id, persona]) => {
+      console.log(`• ${id}: ${persona.summary}`);
+    });
+    const participantInput = await collectSingleLineInput(
+      `Participants (${MIN_PARTICIPANTS}-${MAX_PARTICIPANTS} comma-separated persona IDs)`,
+      DEFAULT_PARTICIPANTS.join(", ")
+    );
+    const participants = participantInput
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+
+    const turnOrder = await collectSingleLineInput(
+      `Turn order (${TURN_ORDERS.join(", ")})`,
+      "round-robin"
+    );
+
+    // Collect rounds (each round gives every participant one turn on average)
+    const rounds = await collectNumberInput("Number of rounds", 2, 1, 5);
+
+    // Collect summary focus (optional)
+    const summaryFocus = await collectSingleLineInput(
+      "Summary focus (press Enter for default)",
+      "Please provide a comprehensive summary of the key points, insights, and conclusions from this dialogue, noting where participants agreed and disagreed."
+    );
+
+    // Display configuration summary
+    console.log("\n📋 Configuration Summary:");
+    console.log(
+      `Source text: ${sourceText.substring(0, 100)}${
+        sourceText.length > 100 ? "..." : ""
+      }`
+    );
+    console.log(`Discussion prompt: ${discussionPrompt}`);
+    console.log(`Participants: ${participants.join(", ")}`);
+    console.log(`Turn order: ${turnOrder}`);
+    console.log(
+      `Rounds: ${rounds} (${rounds * participants.length} turns planned)`
+    );
+    console.log(
+      `Summary focus: ${summaryFocus.substring(0, 80)}${
+        summaryFocus.length > 80 ? "..." : ""
+      }`
+    );
+
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
+    // Ask for confirmation
+    const confirmed = await confirmAction(
+      "\nProceed with multi-party dialogue pipeline?"
+    );
+
+    if (!confirmed) {
+      console.log("❌ Pipeline cancelled. Returning to menu.");
+      showMenu();
+      return;
+    }
+
+    // Run the pipeline
+    console.log("\n🚀 Starting multi-party dialogue pipeline...");
+
+    const config = {
+      sourceText,
+      discussionPrompt,
+      participants,
+      turnOrder,
+      rounds,
+      summaryFocus,
+    };
+
+    const result = await multiPartyDialoguePipeline(config, { operator });
+
+    // Display results
+    displayPipelineResults(result);
+    if (result.personaStats) {
+      console.log("\n👥 === Participants ===");
+      result.personaStats.forEach((stats) => {
+        console.log(
+          `${stats.name}: ${stats.turns} turns, ${stats.words} words, addressed ${stats.timesAddressed} times`
+        );
+      });
+    }
+  } catch (error) {
+    console.error(
+      "\n❌ Error running multi-party dialogue pipeline:",
+      error.message
+    );
+    console.log("Returning to menu.");
+  }
+
+  // Return to menu
+  console.log("\nPress Enter to return to menu...");
+  rl.question("", () => {
+    showMenu();
+  });
+}
+
 /**
  * Runs the content waterfall pipeline with user input collection
  */
@@ -905,13 +1179,11 @@ async function runModeratedPanelPipeline() {
       return;
     }
 
-    // Collect panel interactions
-    const panelInteractions = await collectNumberInput(
-      "Number of panel interactions",
-      4,
-      2,
-      15
-    );
+    // Collect panel interactions, or the number of rounds for a round panel
+    const panelRounds = await collectPanelRounds();
+    const panelInteractions = panelRounds
+      ? null
+      : await collectNumberInput("Number of panel interactions", 4, 2, 15);
 
     // Collect summary focus (optional)
     const summaryFocus = await collectSingleLineInput(
@@ -920,7 +1192,12 @@ async function runModeratedPanelPipeline() {
     );
 
     // Calculate estimated API calls and time
-    const estimatedApiCalls = 2 * panelInteractions + 1;
+    const estimatedApiCalls = estimatePanelApiCalls({
+      panelMode: panelRounds ? "rounds" : "sequential",
+      panelInteractions,
+      panelRounds,
+      memberCount: 3,
+    });
     const estimatedMinutes = Math.ceil(estimatedApiCalls * 0.5); // Rough estimate
 
     // Display configuration summary
@@ -932,7 +1209,11 @@ async function runModeratedPanelPipeline() {
     );
     console.log(`Discussion subject: ${discussionSubject}`);
     console.log(
-      `Panel interactions: ${panelInteractions} (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
+      `${
+        panelRounds
+          ? `Rounds: ${panelRounds}`
+          : `Panel interactions: ${panelInteractions}`
+      } (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
     );
     console.log(
       `Summary focus: ${summaryFocus.substring(0, 80)}${
@@ -950,6 +1231,9 @@ async function runModeratedPanelPipeline() {
       "• Moderator: Controls conversation flow and speaker selection"
     );
 
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
     // Ask for confirmation
     const confirmed = await confirmAction(
       "\nProceed with moderated panel pipeline?"
@@ -968,10 +1252,11 @@ async function runModeratedPanelPipeline() {
       sourceText,
       discussionSubject,
       panelInteractions,
+      ...(panelRounds && { panelMode: "rounds", panelRounds }),
       summaryFocus,
     };
 
-    const result = await moderatedPanelPipeline(config);
+    const result = await moderatedPanelPipeline(config, { operator });
 
     // Display results
     displayPipelineResults(result);
@@ -1008,6 +1293,23 @@ function displayPanelTypeMenu() {
   console.log(
     "   • Technical architecture review with 70% conservative, 30% innovation balance"
   );
+  console.log("4. Debate Panel");
+  console.log("   • Judge, Proposition, Opposition");
+  console.log(
+    "   • Timed debate on a motion, scored round by round with a final verdict"
+  );
+  loadPanelTypeFiles().panelTypes.forEach((panelConfig, index) => {
+    console.log(`${index + 5}. ${panelConfig.title}`);
+    console.log(
+      `   • ${[
+        panelConfig.participants.moderator.name,
+        ...panelConfig.getRoster().map((member) => member.name),
+      ].join(", ")}`
+    );
+    if (panelConfig.description) {
+      console.log(`   • ${panelConfig.description}`);
+    }
+  });
   console.log("0. Back to main menu");
   console.log("===============================");
 }
@@ -1026,13 +1328,25 @@ function handlePanelTypeChoice(choice) {
     case "3":
       runTechReviewPanel();
       break;
+    case "4":
+      runDebatePanel();
+      break;
     case "0":
       showMenu();
       break;
-    default:
+    default: {
+      // Panel types defined by files are listed after the built-in ones
+      const panelConfig = /^\d+$/.test(choice.trim())
+        ? loadPanelTypeFiles().panelTypes[Number(choice.trim()) - 5]
+        : null;
+      if (panelConfig) {
+        runFilePanel(panelConfig);
+        break;
+      }
       console.log("\nInvalid option. Please try again.");
       showPanelTypeMenu();
       break;
+    }
   }
 }
 
@@ -1084,13 +1398,16 @@ async function runPanelDiscussion() {
       return;
     }
 
-    // Collect panel interactions
-    const panelInteractions = await collectNumberInput(
-      "Number of panel interactions",
-      panelConfig.defaultInteractions,
-      2,
-      15
-    );
+    // Collect panel interactions, or the number of rounds for a round panel
+    const panelRounds = await collectPanelRounds();
+    const panelInteractions = panelRounds
+      ? null
+      : await collectNumberInput(
+          "Number of panel interactions",
+          panelConfig.defaultInteractions,
+          2,
+          15
+        );
 
     // Collect summary focus (optional)
     const summaryFocus = await collectSingleLineInput(
@@ -1099,7 +1416,12 @@ async function runPanelDiscussion() {
     );
 
     // Calculate estimated API calls and time
-    const estimatedApiCalls = 2 * panelInteractions + 1;
+    const estimatedApiCalls = estimatePanelApiCalls({
+      panelMode: panelRounds ? "rounds" : "sequential",
+      panelInteractions,
+      panelRounds,
+      memberCount: panelConfig.getRoster().length,
+    });
     const estimatedMinutes = Math.ceil(estimatedApiCalls * 0.5); // Rough estimate
 
     // Display configuration summary
@@ -1111,7 +1433,11 @@ async function runPanelDiscussion() {
     );
     console.log(`Discussion subject: ${discussionSubject}`);
     console.log(
-      `Panel interactions: ${panelInteractions} (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
+      `${
+        panelRounds
+          ? `Rounds: ${panelRounds}`
+          : `Panel interactions: ${panelInteractions}`
+      } (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
     );
     console.log(
       `Summary focus: ${summaryFocus.substring(0, 80)}${
@@ -1127,6 +1453,9 @@ async function runPanelDiscussion() {
     console.log("• Mike (The Analyst): Balanced, evidence-based approach");
     console.log("• Lisa (The Explorer): Creative, unconventional thinking");
 
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
     // Ask for confirmation
     const confirmed = await confirmAction(
       "\nProceed with discussion panel pipeline?"
@@ -1145,11 +1474,12 @@ async function runPanelDiscussion() {
       sourceText,
       discussionSubject,
       panelInteractions,
+      ...(panelRounds && { panelMode: "rounds", panelRounds }),
       summaryFocus,
       panelType: "discussion",
     };
 
-    const result = await moderatedPanelPipeline(config);
+    const result = await moderatedPanelPipeline(config, { operator });
 
     // Display results
     displayPipelineResults(result);
@@ -1170,7 +1500,7 @@ async function runPanelDiscussion() {
 
 /**
  * Collects security framework files from input/security directory
- * @returns {Promise<string|null>} - Selected framework content or null if cancelled
+ * @returns {Promise<Object|null>} - Selected framework { name, content, controls } or null if cancelled
  */
 async function selectSecurityFramework() {
   try {
@@ -1233,6 +1563,14 @@ async function selectSecurityFramework() {
       console.log(preview);
       console.log("-".repeat(50));
 
+      // Discrete controls get a coverage matrix; otherwise the text is context only
+      const controls = parseFrameworkControls(fileContent);
+      console.log(
+        controls.length > 0
+          ? `🧾 ${controls.length} controls found (e.g. ${controls[0].id}: ${controls[0].title})`
+          : "🧾 No discrete controls found; the framework will be used as context only"
+      );
+
       const confirmed = await confirmAction("Use this security framework?");
 
       if (!confirmed) {
@@ -1241,7 +1579,7 @@ async function selectSecurityFramework() {
       }
 
       console.log(`✅ Using framework: ${selectedFile.name}`);
-      return fileContent;
+      return { name: selectedFile.name, content: fileContent, controls };
     } catch (error) {
       console.log(
         `❌ Error reading input/security directory: ${error.message}`
@@ -1254,17 +1592,78 @@ async function selectSecurityFramework() {
   }
 }
 
+/**
+ * Collects a local repository directory to review and previews what will be packed
+ * @returns {Promise<Object|null>} - Repository option for the panel config, or null if cancelled
+ */
+async function collectRepositoryOptions() {
+  const repositoryPath = await collectSingleLineInput(
+    "Repository directory",
+    "."
+  );
+  const parseGlobs = (input) =>
+    input
+      .split(",")
+      .map((glob) => glob.trim())
+      .filter(Boolean);
+  const include = parseGlobs(
+    await collectSingleLineInput(
+      "Include globs, comma separated (press Enter for all files)"
+    )
+  );
+  const exclude = parseGlobs(
+    await collectSingleLineInput(
+      "Exclude globs, comma separated (press Enter for none)"
+    )
+  );
+  const repository = {
+    path: repositoryPath,
+    ...(include.length > 0 && { include }),
+    ...(exclude.length > 0 && { exclude }),
+  };
+
+  try {
+    // Preview with the default source budget; the panel packs the same way
+    const preview = await ingestRepository(
+      resolveRepositoryOptions(repository, {
+        maxTokens: DEFAULT_REPOSITORY_TOKENS,
+      })
+    );
+    const treeLines = preview.tree.split("\n");
+    console.log(`\n📂 ${preview.root}`);
+    console.log(treeLines.slice(0, 30).join("\n"));
+    if (treeLines.length > 30) {
+      console.log(`... ${treeLines.length - 30} more lines`);
+    }
+    console.log(
+      `\n${preview.files.length} files, ~${preview.tokens} tokens, ${preview.skipped.length} skipped (binary or too large)`
+    );
+    if (preview.chunks.length > 1) {
+      console.log(
+        `⚠️ Too large for one review: the panel reviews it in ${preview.chunks.length} parts and merges the summaries`
+      );
+    }
+  } catch (error) {
+    console.log(`❌ ${error.message}`);
+    return null;
+  }
+
+  const confirmed = await confirmAction("Review this repository?");
+  return confirmed ? repository : null;
+}
+
 /**
  * Collects codebase content for security analysis
- * @returns {Promise<string|null>} - Codebase content or null if cancelled
+ * @returns {Promise<string|Object|null>} - Codebase content, `{ repository }` for a local directory, or null if cancelled
  */
 async function collectCodebaseContent() {
   console.log("\n💻 === Codebase Content Input ===");
   console.log("1. Select from available files");
   console.log("2. Input code/content directly");
+  console.log("3. Review a local repository directory");
   console.log("0. Cancel");
 
-  const inputChoice = await collectNumberInput("Choose input method", 1, 0, 2);
+  const inputChoice = await collectNumberInput("Choose input method", 1, 0, 3);
 
   switch (inputChoice) {
     case 0:
@@ -1292,6 +1691,11 @@ async function collectCodebaseContent() {
 
       return codeContent;
 
+    case 3:
+      // Local directory, packed by the pipeline
+      const repository = await collectRepositoryOptions();
+      return repository ? { repository } : null;
+
     default:
       console.log("❌ Invalid choice.");
       return null;
@@ -1333,7 +1737,8 @@ async function runSecurityPanel() {
       "Available frameworks include ASD Essential 8, OWASP Top 10, and custom frameworks."
     );
 
-    const frameworkContent = await selectSecurityFramework();
+    const framework = await selectSecurityFramework();
+    const controlCount = framework ? framework.controls.length : 0;
 
     // Collect codebase content for security analysis
     console.log("\n💻 === Codebase Content for Security Analysis ===");
@@ -1355,13 +1760,16 @@ async function runSecurityPanel() {
       "comprehensive security assessment"
     );
 
-    // Collect panel interactions
-    const panelInteractions = await collectNumberInput(
-      "Number of panel interactions",
-      panelConfig.defaultInteractions,
-      3,
-      20
-    );
+    // Collect panel interactions, or the number of rounds for a round panel
+    const panelRounds = await collectPanelRounds();
+    const panelInteractions = panelRounds
+      ? null
+      : await collectNumberInput(
+          "Number of panel interactions",
+          panelConfig.defaultInteractions,
+          3,
+          20
+        );
 
     // Collect summary focus (optional)
     const summaryFocus = await collectSingleLineInput(
@@ -1370,18 +1778,34 @@ async function runSecurityPanel() {
     );
 
     // Calculate estimated API calls and time
-    const estimatedApiCalls = 2 * panelInteractions + 1;
+    const estimatedApiCalls = estimatePanelApiCalls({
+      panelMode: panelRounds ? "rounds" : "sequential",
+      panelInteractions,
+      panelRounds,
+      memberCount: panelConfig.getRoster().length,
+      structuredFindings: Boolean(panelConfig.structuredFindings),
+      controlCount,
+    });
     const estimatedMinutes = Math.ceil(estimatedApiCalls * 0.7); // Security analysis takes longer
 
     // Display configuration summary
     console.log("\n📋 Configuration Summary:");
+    const repository = codebaseContent.repository || null;
     console.log(
-      `Codebase content: ${codebaseContent.substring(0, 100)}${
-        codebaseContent.length > 100 ? "..." : ""
-      }`
+      repository
+        ? `Codebase: repository ${repository.path}`
+        : `Codebase content: ${codebaseContent.substring(0, 100)}${
+            codebaseContent.length > 100 ? "..." : ""
+          }`
     );
-    if (frameworkContent) {
-      console.log("Security framework: Selected");
+    if (framework) {
+      console.log(
+        `Security framework: ${framework.name}${
+          controlCount > 0
+            ? ` (${controlCount} controls, coverage matrix)`
+            : " (context only)"
+        }`
+      );
     } else {
       console.log(
         "Security framework: None (using default assessment criteria)"
@@ -1389,7 +1813,11 @@ async function runSecurityPanel() {
     }
     console.log(`Security focus: ${securityFocus}`);
     console.log(
-      `Panel interactions: ${panelInteractions} (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
+      `${
+        panelRounds
+          ? `Rounds: ${panelRounds}`
+          : `Panel interactions: ${panelInteractions}`
+      } (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
     );
     console.log(
       `Summary focus: ${summaryFocus.substring(0, 80)}${
@@ -1411,6 +1839,9 @@ async function runSecurityPanel() {
       "• Risk Assessment: Evaluates business impact and strategic priorities"
     );
 
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
     // Ask for confirmation
     const confirmed = await confirmAction(
       "\nProceed with security review panel?"
@@ -1422,10 +1853,17 @@ async function runSecurityPanel() {
       return;
     }
 
-    // Prepare source text combining codebase and framework
-    let sourceText = codebaseContent;
-    if (frameworkContent) {
-      sourceText = `SECURITY FRAMEWORK:\n${frameworkContent}\n\nCODEBASE TO ANALYZE:\n${codebaseContent}`;
+    // Prepare source text combining codebase and framework (the pipeline
+    // appends a repository itself, and puts a framework with controls in front)
+    let sourceText = repository ? "" : codebaseContent;
+    if (framework) {
+      const codebaseText = repository
+        ? ""
+        : `\n\nCODEBASE TO ANALYZE:\n${codebaseContent}`;
+      sourceText =
+        controlCount > 0
+          ? codebaseText.trim()
+          : `SECURITY FRAMEWORK:\n${framework.content}${codebaseText}`;
     }
 
     // Run the pipeline
@@ -1435,14 +1873,35 @@ async function runSecurityPanel() {
       sourceText,
       discussionSubject: `Security assessment focusing on: ${securityFocus}`,
       panelInteractions,
+      ...(panelRounds && { panelMode: "rounds", panelRounds }),
       summaryFocus,
       panelType: "security",
+      ...(repository && { repository }),
+      ...(controlCount > 0 && {
+        securityFramework: { name: framework.name, content: framework.content },
+      }),
     };
 
-    const result = await moderatedPanelPipeline(config);
+    const result = await moderatedPanelPipeline(config, { operator });
 
     // Display results
     displayPipelineResults(result);
+
+    // Point at the controls a follow-up panel should target
+    const coverage = result.result?.controlCoverage;
+    if (coverage) {
+      console.log(
+        `\n🧾 Control coverage: ${coverage.totals.covered}/${coverage.totals.controls} covered (${coverage.totals.pass} pass, ${coverage.totals.fail} fail)`
+      );
+      if (result.files?.uncoveredControls) {
+        console.log(
+          `📋 ${coverage.uncovered.length} uncovered controls: ${result.files.uncoveredControls}`
+        );
+        console.log(
+          "💡 Copy it to input/security/ and select it as the framework for a follow-up panel."
+        );
+      }
+    }
   } catch (error) {
     console.error("\n❌ Error running security review panel:", error.message);
     console.log("Returning to panel menu.");
@@ -1457,7 +1916,7 @@ async function runSecurityPanel() {
 
 /**
  * Collects multi-file input for tech review panel (PRD + Design Doc + Codebase)
- * @returns {Promise<Object|null>} - Object with all three file contents or null if cancelled
+ * @returns {Promise<Object|null>} - Object with prd, designDoc and either codebase or repository, or null if cancelled
  */
 async function collectTechReviewInputs() {
   console.log("\n📋 === Tech Review Multi-File Input ===");
@@ -1489,27 +1948,41 @@ async function collectTechReviewInputs() {
   }
   inputs.designDoc = designContent;
 
-  // Collect Codebase
+  // Collect Codebase, from a file or a local repository directory
   console.log("\n💻 === Codebase Content ===");
-  const codebaseContent = await selectSourceFile("techreview");
-  if (!codebaseContent) {
-    console.log(
-      "❌ Codebase is required for tech review. Returning to panel menu."
-    );
-    return null;
+  if (await confirmAction("Review a local repository directory?")) {
+    inputs.repository = await collectRepositoryOptions();
+    if (!inputs.repository) {
+      console.log(
+        "❌ Codebase is required for tech review. Returning to panel menu."
+      );
+      return null;
+    }
+  } else {
+    const codebaseContent = await selectSourceFile("techreview");
+    if (!codebaseContent) {
+      console.log(
+        "❌ Codebase is required for tech review. Returning to panel menu."
+      );
+      return null;
+    }
+    inputs.codebase = codebaseContent;
   }
-  inputs.codebase = codebaseContent;
 
   // Show summary of collected inputs
   console.log("\n📋 === Input Summary ===");
   console.log(`PRD: ${inputs.prd.length} characters`);
   console.log(`Design Doc: ${inputs.designDoc.length} characters`);
-  console.log(`Codebase: ${inputs.codebase.length} characters`);
-  console.log(
-    `Total content: ${
-      inputs.prd.length + inputs.designDoc.length + inputs.codebase.length
-    } characters`
-  );
+  if (inputs.repository) {
+    console.log(`Codebase: repository ${inputs.repository.path}`);
+  } else {
+    console.log(`Codebase: ${inputs.codebase.length} characters`);
+    console.log(
+      `Total content: ${
+        inputs.prd.length + inputs.designDoc.length + inputs.codebase.length
+      } characters`
+    );
+  }
 
   const confirmed = await confirmAction(
     "Proceed with these inputs for tech review?"
@@ -1561,13 +2034,16 @@ async function runTechReviewPanel() {
       "comprehensive technical architecture review"
     );
 
-    // Collect panel interactions
-    const panelInteractions = await collectNumberInput(
-      "Number of panel interactions",
-      panelConfig.defaultInteractions,
-      3,
-      20
-    );
+    // Collect panel interactions, or the number of rounds for a round panel
+    const panelRounds = await collectPanelRounds();
+    const panelInteractions = panelRounds
+      ? null
+      : await collectNumberInput(
+          "Number of panel interactions",
+          panelConfig.defaultInteractions,
+          3,
+          20
+        );
 
     // Collect summary focus (optional)
     const summaryFocus = await collectSingleLineInput(
@@ -1576,7 +2052,13 @@ async function runTechReviewPanel() {
     );
 
     // Calculate estimated API calls and time
-    const estimatedApiCalls = 2 * panelInteractions + 1;
+    const estimatedApiCalls = estimatePanelApiCalls({
+      panelMode: panelRounds ? "rounds" : "sequential",
+      panelInteractions,
+      panelRounds,
+      memberCount: panelConfig.getRoster().length,
+      reviewComments: Boolean(panelConfig.reviewComments),
+    });
     const estimatedMinutes = Math.ceil(estimatedApiCalls * 0.8); // Tech review takes longer
 
     // Display configuration summary
@@ -1592,13 +2074,19 @@ async function runTechReviewPanel() {
       }`
     );
     console.log(
-      `Codebase: ${inputs.codebase.substring(0, 100)}${
-        inputs.codebase.length > 100 ? "..." : ""
-      }`
+      inputs.repository
+        ? `Codebase: repository ${inputs.repository.path}`
+        : `Codebase: ${inputs.codebase.substring(0, 100)}${
+            inputs.codebase.length > 100 ? "..." : ""
+          }`
     );
     console.log(`Review focus: ${reviewFocus}`);
     console.log(
-      `Panel interactions: ${panelInteractions} (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
+      `${
+        panelRounds
+          ? `Rounds: ${panelRounds}`
+          : `Panel interactions: ${panelInteractions}`
+      } (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
     );
     console.log(
       `Summary focus: ${summaryFocus.substring(0, 80)}${
@@ -1628,6 +2116,9 @@ async function runTechReviewPanel() {
       "• 30% Innovation Input: Innovation Engineer (strategic inclusion by moderator)"
     );
 
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
     // Ask for confirmation
     const confirmed = await confirmAction("\nProceed with tech review panel?");
 
@@ -1637,15 +2128,19 @@ async function runTechReviewPanel() {
       return;
     }
 
-    // Prepare combined source text
+    // Prepare combined source text (the pipeline appends a repository itself)
     const sourceText = `PRODUCT REQUIREMENTS DOCUMENT (PRD):
 ${inputs.prd}
 
 TECHNICAL DESIGN DOCUMENT:
-${inputs.designDoc}
+${inputs.designDoc}${
+      inputs.repository
+        ? ""
+        : `
 
 CODEBASE IMPLEMENTATION:
-${inputs.codebase}`;
+${inputs.codebase}`
+    }`;
 
     // Run the pipeline
     console.log("\n🚀 Starting tech review panel...");
@@ -1654,11 +2149,13 @@ ${inputs.codebase}`;
       sourceText,
       discussionSubject: `Technical architecture review focusing on: ${reviewFocus}`,
       panelInteractions,
+      ...(panelRounds && { panelMode: "rounds", panelRounds }),
       summaryFocus,
       panelType: "techreview",
+      ...(inputs.repository && { repository: inputs.repository }),
     };
 
-    const result = await moderatedPanelPipeline(config);
+    const result = await moderatedPanelPipeline(config, { operator });
 
     // Display results
     displayPipelineResults(result);
@@ -1674,6 +2171,314 @@ ${inputs.codebase}`;
   });
 }
 
+/**
+ * Collects the required inputs of a panel type defined by a file
+ * @param {Object} panelConfig - Panel configuration from the panel type file
+ * @returns {Promise<Object|null>} - Input text keyed by input id, or null if cancelled
+ */
+async function collectPanelInputs(panelConfig) {
+  const inputs = {};
+
+  for (const input of panelConfig.requiredInputs) {
+    console.log(`\n📄 === ${input.label} ===`);
+    if (input.description) {
+      console.log(input.description);
+    }
+    const content = await collectSourceText(
+      panelConfig.panelType,
+      panelConfig.inputDirectory
+    );
+    if (!content) {
+      console.log(
+        `❌ ${input.label} is required for this panel. Returning to panel menu.`
+      );
+      return null;
+    }
+    inputs[input.id] = content;
+  }
+
+  return inputs;
+}
+
+/**
+ * Runs the debate panel pipeline with user input collection
+ */
+async function runDebatePanel() {
+  try {
+    const panelConfig = createPanelConfig("debate");
+    console.log("\n⚖️ === Debate Panel ===");
+    console.log(panelConfig.description);
+    console.log("Panel Members:");
+    [panelConfig.participants.moderator, ...panelConfig.getRoster()].forEach(
+      (member) => console.log(`• ${member.name}: ${member.role}`)
+    );
+
+    // Collect the motion
+    const motion = await collectSingleLineInput(
+      "Enter the motion (e.g. This house would ban private cars in cities)"
+    );
+    if (!motion.trim()) {
+      console.log("❌ The motion cannot be empty. Returning to panel menu.");
+      showPanelTypeMenu();
+      return;
+    }
+
+    // Background material is optional: the sides can argue from the motion alone
+    let sourceText = null;
+    if (await confirmAction("Add background material for the debate?")) {
+      sourceText = await collectSourceText("debate", "input/debate");
+      if (!sourceText) {
+        console.log("❌ No background provided. Returning to panel menu.");
+        showPanelTypeMenu();
+        return;
+      }
+    }
+
+    // Collect the rebuttal rounds and speaking time
+    const rebuttalRounds = await collectNumberInput(
+      "Number of rebuttal rounds",
+      DEBATE_DEFAULTS.rebuttalRounds,
+      1,
+      MAX_REBUTTAL_ROUNDS
+    );
+    const rebuttalMinutes = await collectNumberInput(
+      "Minutes per rebuttal speech",
+      DEBATE_DEFAULTS.speechMinutes.rebuttal,
+      1,
+      MAX_SPEECH_MINUTES
+    );
+    const speechMinutes = {
+      ...DEBATE_DEFAULTS.speechMinutes,
+      rebuttal: rebuttalMinutes,
+    };
+
+    // Calculate estimated API calls and time
+    const estimatedApiCalls = estimatePanelApiCalls({
+      panelMode: "debate",
+      rebuttalRounds,
+    });
+    const estimatedMinutes = Math.ceil(estimatedApiCalls * 0.5); // Rough estimate
+
+    // Display configuration summary
+    console.log("\n📋 Configuration Summary:");
+    console.log(`Motion: ${motion}`);
+    console.log(
+      `Background: ${
+        sourceText
+          ? `${sourceText.substring(0, 100)}${
+              sourceText.length > 100 ? "..." : ""
+            }`
+          : "none"
+      }`
+    );
+    console.log(
+      `Format: opening statements (${speechMinutes.opening} min), ${rebuttalRounds} rebuttal rounds (${speechMinutes.rebuttal} min), closing statements (${speechMinutes.closing} min)`
+    );
+    console.log(
+      `Estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes`
+    );
+
+    // Optionally pause between rounds so the operator can end the debate early
+    const operator = await collectInteractiveOperator();
+
+    const confirmed = await confirmAction("\nProceed with the debate?");
+    if (!confirmed) {
+      console.log("❌ Pipeline cancelled. Returning to panel menu.");
+      showPanelTypeMenu();
+      return;
+    }
+
+    // Run the pipeline
+    console.log("\n🚀 Starting debate panel pipeline...");
+
+    const config = {
+      motion,
+      ...(sourceText && { sourceText }),
+      rebuttalRounds,
+      speechMinutes,
+      panelType: "debate",
+    };
+
+    const result = await moderatedPanelPipeline(config, { operator });
+
+    // Display results
+    displayPipelineResults(result);
+
+    const debate = result.result?.debate;
+    if (debate?.verdict) {
+      const winner = debate.verdict.winner;
+      console.log(
+        `\n⚖️ Verdict: ${
+          winner === "tie" ? "a tie" : `${debate.sides[winner].name} wins`
+        } (proposition ${debate.totals.proposition}, opposition ${
+          debate.totals.opposition
+        })`
+      );
+    }
+    if (result.files?.scorecardMarkdown) {
+      console.log(`📋 Scorecard: ${result.files.scorecardMarkdown}`);
+    }
+  } catch (error) {
+    console.error("\n❌ Error running debate panel:", error.message);
+    console.log("Returning to panel menu.");
+  }
+
+  // Return to panel menu
+  console.log("\nPress Enter to return to panel menu...");
+  rl.question("", () => {
+    showPanelTypeMenu();
+  });
+}
+
+/**
+ * Runs a panel type defined by a file with user input collection
+ * @param {Object} panelConfig - Panel configuration from the panel type file
+ */
+async function runFilePanel(panelConfig) {
+  try {
+    const members = [
+      panelConfig.participants.moderator,
+      ...panelConfig.getRoster(),
+    ].map(
+      (member) => `• ${member.name}${member.role ? `: ${member.role}` : ""}`
+    );
+
+    console.log(`\n🎭 === ${panelConfig.title} ===`);
+    if (panelConfig.description) {
+      console.log(panelConfig.description);
+    }
+    console.log("Panel Members:");
+    members.forEach((line) => console.log(line));
+
+    // Collect each required input, or a single source text when there are none
+    let inputs = null;
+    let sourceText = null;
+    if (panelConfig.requiredInputs.length > 0) {
+      inputs = await collectPanelInputs(panelConfig);
+      if (!inputs) {
+        showPanelTypeMenu();
+        return;
+      }
+    } else {
+      sourceText = await collectSourceText(
+        panelConfig.panelType,
+        panelConfig.inputDirectory
+      );
+      if (!sourceText) {
+        console.log("❌ No source text provided. Returning to panel menu.");
+        showPanelTypeMenu();
+        return;
+      }
+    }
+
+    // Collect discussion subject
+    const discussionSubject = await collectSingleLineInput(
+      "Enter discussion subject/question"
+    );
+
+    if (!discussionSubject.trim()) {
+      console.log(
+        "❌ Discussion subject cannot be empty. Returning to panel menu."
+      );
+      showPanelTypeMenu();
+      return;
+    }
+
+    // Collect panel interactions, or the number of rounds for a round panel
+    const panelRounds = await collectPanelRounds();
+    const panelInteractions = panelRounds
+      ? null
+      : await collectNumberInput(
+          "Number of panel interactions",
+          panelConfig.defaultInteractions,
+          2,
+          15
+        );
+
+    // Collect summary focus (optional)
+    const summaryFocus = await collectSingleLineInput(
+      "Summary focus (press Enter for default)",
+      panelConfig.summaryFocus
+    );
+
+    // Calculate estimated API calls and time
+    const estimatedApiCalls = estimatePanelApiCalls({
+      panelMode: panelRounds ? "rounds" : "sequential",
+      panelInteractions,
+      panelRounds,
+      memberCount: panelConfig.getRoster().length,
+    });
+    const estimatedMinutes = Math.ceil(estimatedApiCalls * 0.5); // Rough estimate
+
+    // Display configuration summary
+    console.log("\n📋 Configuration Summary:");
+    if (inputs) {
+      panelConfig.requiredInputs.forEach((input) => {
+        console.log(`${input.label}: ${inputs[input.id].length} characters`);
+      });
+    } else {
+      console.log(
+        `Source text: ${sourceText.substring(0, 100)}${
+          sourceText.length > 100 ? "..." : ""
+        }`
+      );
+    }
+    console.log(`Discussion subject: ${discussionSubject}`);
+    console.log(
+      `${
+        panelRounds
+          ? `Rounds: ${panelRounds}`
+          : `Panel interactions: ${panelInteractions}`
+      } (estimated ${estimatedApiCalls} API calls, ~${estimatedMinutes} minutes)`
+    );
+    console.log(
+      `Summary focus: ${summaryFocus.substring(0, 80)}${
+        summaryFocus.length > 80 ? "..." : ""
+      }`
+    );
+
+    // Optionally pause between turns so the operator can steer the run
+    const operator = await collectInteractiveOperator();
+
+    // Ask for confirmation
+    const confirmed = await confirmAction(
+      `\nProceed with ${panelConfig.title}?`
+    );
+
+    if (!confirmed) {
+      console.log("❌ Pipeline cancelled. Returning to panel menu.");
+      showPanelTypeMenu();
+      return;
+    }
+
+    // Run the pipeline
+    console.log(`\n🚀 Starting ${panelConfig.title}...`);
+
+    const config = {
+      ...(inputs ? { inputs } : { sourceText }),
+      discussionSubject,
+      panelInteractions,
+      ...(panelRounds && { panelMode: "rounds", panelRounds }),
+      summaryFocus,
+      panelType: panelConfig.panelType,
+    };
+
+    const result = await moderatedPanelPipeline(config, { operator });
+
+    // Display results
+    displayPipelineResults(result);
+  } catch (error) {
+    console.error(`\n❌ Error running ${panelConfig.title}:`, error.message);
+    console.log("Returning to panel menu.");
+  }
+
+  // Return to panel menu
+  console.log("\nPress Enter to return to panel menu...");
+  rl.question("", () => {
+    showPanelTypeMenu();
+  });
+}
+
 // Add new function for NostrMQ service startup
 async function startNostrMQServiceFromCLI() {
   try {
@@ -0,0 +1,28 @@
+// This agent reviews the latest turns of a two-agent dialogue and decides whether it has converged and can end early.
+import agentLoader from "../../utils/agentLoader.js";
+
+async function convergenceJudge(message, context, history) {
+  const config = {
+    systemPrompt: `You are a dialogue judge. Two agents are discussing source material and a discussion prompt. You will be given the discussion prompt and the most recent turns of their dialogue.
+
+Decide whether the dialogue has converged: the agents have reached agreement on the discussion prompt, or they are restating points already made without adding anything new. A dialogue that is still raising new arguments, evidence, disagreements or open questions has NOT converged.
+
+Respond with a JSON object only:
+{
+  "converged": true or false,
+  "confidence": a number between 0 and 1,
+  "reason": "one sentence explaining the decision"
+}`,
+    provider: "openrouter",
+    model: "openai/gpt-4.1",
+    callType: "chat",
+    type: "completion",
+    temperature: 0.2,
+    response_format: { type: "json_object" },
+    debugPrefix: "[ConvergenceJudge]",
+    includeDateContext: false,
+  };
+
+  return agentLoader(config, message, context, history);
+}
+export default convergenceJudge;
@@ -9,7 +9,15 @@ They have a habit of agreeing with each other and always jumping on the newest i
 
 For example they may have started with idea 1, moved to 2, then 3. But in your view idea 2 was the most promising. Here you should be direct and respond as a senior facilitator and be clear that the conversation should explore topic 2 (if that is the best option). Interject as though this is a real conversation.
 
-If you think the team are going well, provide positive encouragement and let them carry on.`,
+If you think the team are going well, provide positive encouragement and let them carry on.
+
+Open your reply with a line naming the kind of intervention you are making, then give your guidance:
+Intervention: redirect | challenge | deepen | summarise
+
+- redirect: bring the dialogue back to the discussion prompt or to a promising thread they abandoned
+- challenge: push back on easy agreement or an assumption nobody has tested
+- deepen: ask them to go further into the thread they are on
+- summarise: take stock of where the dialogue has got to before it moves on`,
     provider: "openrouter",
     model: "anthropic/claude-sonnet-4",
     callType: "chat",
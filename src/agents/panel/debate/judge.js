@@ -0,0 +1,77 @@
+/**
+ * Debate Judge Agent for Debate Panel Pipeline
+ *
+ * Purpose: Adjudicates a debate - scores each round against the rubric and gives the final verdict
+ * Model: openai/gpt-4.1
+ * Temperature: 0.3
+ *
+ * CRITICAL: Must return valid JSON - a round scorecard or the verdict, in the format the prompt asks for
+ */
+
+import agentLoader from "../../../utils/agentLoader.js";
+
+/**
+ * Debate Judge agent configuration generator
+ * @param {string} message - Speeches to score, or the debate transcript to decide
+ * @param {string} context - Debate context
+ * @param {Array} messageHistory - Previous conversation history
+ * @returns {Promise<Object>} - Agent configuration for Everest API call
+ */
+async function debateJudgeAgent(message, context, messageHistory = []) {
+  if (!message || typeof message !== "string" || !message.trim()) {
+    throw new Error("Debate judge requires speeches or a transcript to judge");
+  }
+
+  // Complete system prompt that defines the judge's role
+  const systemPrompt = `You are the Judge of a formal debate between two sides:
+
+- Proposition: argues for the motion
+- Opposition: argues against the motion
+
+The debate runs in rounds: opening statements, rebuttal rounds and closing statements. Each round, both sides give one timed speech.
+
+YOUR ROLE:
+1. Score each round against the rubric you are given, for both sides
+2. Judge the speeches, not your own view of the motion
+3. Reward arguments that are backed by evidence and that answer the other side
+4. Penalise unsupported claims, ignored rebuttals and speeches that ran over time
+5. After the closing statements, give a verdict with clear reasons
+
+JUDGING STANDARDS:
+- Be impartial: the side you agree with gets no credit for it
+- Score each round on its own; do not carry over impressions from earlier rounds
+- Use the whole range of each criterion; equal scores mean equally strong speeches
+- Your verdict should follow from your scores; explain any difference
+
+CRITICAL: You MUST always respond with valid JSON in the exact format the request asks for. Invalid JSON will break the scorecard.
+
+${context ? `Debate Context: ${context}` : ""}`;
+
+  const userPrompt = `${message}`;
+
+  // Agent configuration for agentLoader
+  const agentConfig = {
+    systemPrompt,
+    provider: "openrouter",
+    model: "openai/gpt-4.1",
+    callType: "chat",
+    type: "completion",
+    temperature: 0.3,
+    response_format: { type: "json_object" },
+    includeDateContext: false,
+    originOverrides: {
+      channel: "debate-panel-pipeline",
+      gatewayUserID: "debate-judge",
+      gatewayMessageID: "debate-judge-message",
+      gatewayNpub: "debate-judge-npub",
+      conversationID: "debate-panel-debate",
+      channelSpace: "DEBATE_PANEL",
+      userID: "debate-pipeline-user",
+    },
+  };
+
+  // Use agentLoader to generate the call details
+  return agentLoader(agentConfig, userPrompt, "", messageHistory);
+}
+
+export default debateJudgeAgent;
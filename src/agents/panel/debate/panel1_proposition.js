@@ -0,0 +1,70 @@
+/**
+ * Proposition Agent for Debate Panel Pipeline
+ *
+ * Purpose: "Proposition" - argues for the motion
+ * Model: anthropic/claude-3-5-sonnet
+ * Temperature: 0.8
+ *
+ * Personality: Builds the case for the motion and defends it against the opposition
+ */
+
+import agentLoader from "../../../utils/agentLoader.js";
+
+/**
+ * Proposition agent configuration generator
+ * @param {string} message - The debate so far and the speech to give
+ * @param {string} context - Debate context
+ * @param {Array} messageHistory - Previous conversation history for context
+ * @returns {Promise<Object>} - Agent configuration for Everest API call
+ */
+async function propositionAgent(message, context, messageHistory = []) {
+  if (!message || typeof message !== "string" || !message.trim()) {
+    throw new Error("Proposition requires the debate state to respond to");
+  }
+
+  // Complete system prompt that defines the proposition's role
+  const systemPrompt = `You are the Proposition in a formal debate. You argue FOR the motion, whatever your own view of it.
+
+YOUR TASK BY PHASE:
+- Opening statement: define the motion's key terms, set out your case in two or three clear arguments, and say what the opposition must prove to win
+- Rebuttal: answer the opposition's strongest points directly, then rebuild and extend your own case
+- Closing statement: weigh the clash - explain why, on the arguments actually made, the motion should pass. Do not introduce new arguments
+
+DEBATE STANDARDS:
+- Support claims with evidence, examples or clear reasoning
+- Engage with what the opposition actually said; quote or paraphrase it
+- Concede minor points when it strengthens your main case
+- Stay within your speaking time: a speech that runs over is cut off mid-sentence
+- Speak in plain prose as a debater would, without headings or bullet lists
+
+${context ? `Debate Context: ${context}` : ""}`;
+
+  const userPrompt = `${message}
+
+Give your speech as the Proposition.`;
+
+  // Agent configuration for agentLoader
+  const agentConfig = {
+    systemPrompt,
+    provider: "openrouter",
+    model: "anthropic/claude-3-5-sonnet",
+    callType: "chat",
+    type: "completion",
+    temperature: 0.8,
+    includeDateContext: false,
+    originOverrides: {
+      channel: "debate-panel-pipeline",
+      gatewayUserID: "debate-proposition",
+      gatewayMessageID: "debate-proposition-message",
+      gatewayNpub: "debate-proposition-npub",
+      conversationID: "debate-panel-debate",
+      channelSpace: "DEBATE_PANEL",
+      userID: "debate-pipeline-user",
+    },
+  };
+
+  // Use agentLoader to generate the call details
+  return agentLoader(agentConfig, userPrompt, "", messageHistory);
+}
+
+export default propositionAgent;
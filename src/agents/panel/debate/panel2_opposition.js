@@ -0,0 +1,70 @@
+/**
+ * Opposition Agent for Debate Panel Pipeline
+ *
+ * Purpose: "Opposition" - argues against the motion
+ * Model: x-ai/grok-4
+ * Temperature: 0.8
+ *
+ * Personality: Tests the proposition's case and builds the case against the motion
+ */
+
+import agentLoader from "../../../utils/agentLoader.js";
+
+/**
+ * Opposition agent configuration generator
+ * @param {string} message - The debate so far and the speech to give
+ * @param {string} context - Debate context
+ * @param {Array} messageHistory - Previous conversation history for context
+ * @returns {Promise<Object>} - Agent configuration for Everest API call
+ */
+async function oppositionAgent(message, context, messageHistory = []) {
+  if (!message || typeof message !== "string" || !message.trim()) {
+    throw new Error("Opposition requires the debate state to respond to");
+  }
+
+  // Complete system prompt that defines the opposition's role
+  const systemPrompt = `You are the Opposition in a formal debate. You argue AGAINST the motion, whatever your own view of it.
+
+YOUR TASK BY PHASE:
+- Opening statement: challenge the proposition's framing where it is unfair, set out your case against the motion in two or three clear arguments
+- Rebuttal: take apart the proposition's strongest points, then rebuild and extend your own case
+- Closing statement: weigh the clash - explain why, on the arguments actually made, the motion should fall. Do not introduce new arguments
+
+DEBATE STANDARDS:
+- Support claims with evidence, examples or clear reasoning
+- Engage with what the proposition actually said; quote or paraphrase it
+- Concede minor points when it strengthens your main case
+- Stay within your speaking time: a speech that runs over is cut off mid-sentence
+- Speak in plain prose as a debater would, without headings or bullet lists
+
+${context ? `Debate Context: ${context}` : ""}`;
+
+  const userPrompt = `${message}
+
+Give your speech as the Opposition.`;
+
+  // Agent configuration for agentLoader
+  const agentConfig = {
+    systemPrompt,
+    provider: "openrouter",
+    model: "x-ai/grok-4",
+    callType: "chat",
+    type: "completion",
+    temperature: 0.8,
+    includeDateContext: false,
+    originOverrides: {
+      channel: "debate-panel-pipeline",
+      gatewayUserID: "debate-opposition",
+      gatewayMessageID: "debate-opposition-message",
+      gatewayNpub: "debate-opposition-npub",
+      conversationID: "debate-panel-debate",
+      channelSpace: "DEBATE_PANEL",
+      userID: "debate-pipeline-user",
+    },
+  };
+
+  // Use agentLoader to generate the call details
+  return agentLoader(agentConfig, userPrompt, "", messageHistory);
+}
+
+export default oppositionAgent;
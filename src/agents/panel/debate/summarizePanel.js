@@ -0,0 +1,65 @@
+/**
+ * Debate Summarizer Agent for Debate Panel Pipeline
+ *
+ * Purpose: Summarizes a debate - the case on each side, the key clashes and the judge's verdict
+ * Model: anthropic/claude-3-5-sonnet
+ * Temperature: 0.5
+ *
+ * Role: Give a reader who missed the debate a fair account of it
+ */
+
+import agentLoader from "../../../utils/agentLoader.js";
+
+/**
+ * Debate Summarizer agent configuration generator
+ * @param {string} message - Complete debate transcript to summarize
+ * @param {string} context - Debate context
+ * @param {Array} messageHistory - Complete conversation history
+ * @returns {Promise<Object>} - Agent configuration for Everest API call
+ */
+async function summarizeDebateAgent(message, context, messageHistory = []) {
+  if (!message) {
+    throw new Error("Debate summarizer requires the debate transcript");
+  }
+
+  // Complete system prompt that defines the summarizer's role
+  const systemPrompt = `You summarize formal debates for readers who did not watch them.
+
+Your summary covers, in this order:
+1. The motion and how each side framed it
+2. The proposition's case: its main arguments and the evidence behind them
+3. The opposition's case: its main arguments and the evidence behind them
+4. The key clashes: where the sides met head-on, and who had the better of each exchange
+5. The judge's verdict and the reasons given for it
+
+Be even-handed: give both sides' strongest arguments in their best form, and report the verdict as the judge gave it rather than judging the debate yourself. Write in clear markdown with a heading for each part.
+
+${context ? `Debate Context: ${context}` : ""}`;
+
+  const userPrompt = `${message}`;
+
+  // Agent configuration for agentLoader
+  const agentConfig = {
+    systemPrompt,
+    provider: "openrouter",
+    model: "anthropic/claude-3-5-sonnet",
+    callType: "chat",
+    type: "completion",
+    temperature: 0.5,
+    includeDateContext: false,
+    originOverrides: {
+      channel: "debate-panel-pipeline",
+      gatewayUserID: "debate-summarizer",
+      gatewayMessageID: "debate-summarizer-message",
+      gatewayNpub: "debate-summarizer-npub",
+      conversationID: "debate-panel-debate",
+      channelSpace: "DEBATE_PANEL",
+      userID: "debate-pipeline-user",
+    },
+  };
+
+  // Use agentLoader to generate the call details
+  return agentLoader(agentConfig, userPrompt, "", messageHistory);
+}
+
+export default summarizeDebateAgent;
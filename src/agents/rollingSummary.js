@@ -0,0 +1,26 @@
+// This agent folds older conversation turns into a running summary so long pipelines can keep their prompts small.
+import agentLoader from "../utils/agentLoader.js";
+
+async function rollingSummary(message, context, history) {
+  const config = {
+    systemPrompt: `You maintain the running summary of a long multi-agent conversation. Older turns are removed from the prompt once they are summarised, so the summary is the only record the participants will see of them.
+
+You will be given the PREVIOUS SUMMARY (possibly empty) and the NEW TURNS that are leaving the prompt. Return an updated summary that:
+- keeps every distinct argument, proposal, decision and open question, attributed to the participant who raised it;
+- notes where participants agreed or disagreed;
+- keeps concrete facts, figures and names exactly;
+- drops pleasantries and repetition.
+
+Write compact bullet points, most important first. Return only the summary.`,
+    provider: "openrouter",
+    model: "openai/gpt-4.1",
+    callType: "chat",
+    type: "completion",
+    temperature: 0.2,
+    debugPrefix: "[RollingSummary]",
+    includeDateContext: false,
+  };
+
+  return agentLoader(config, message, context, history);
+}
+export default rollingSummary;
@@ -24,6 +24,11 @@ export function getMCPConfig() {
       process.env.MCP_PIPELINE_DIR ||
       baseConfig.mcpPipelineDirectory ||
       "./src/pipelines",
+    specDirectory:
+      process.env.MCP_SPEC_DIR ||
+      process.env.PIPELINER_SPEC_DIR ||
+      baseConfig.mcpSpecDirectory ||
+      "./src/pipelines/specs",
     autoDiscovery:
       process.env.MCP_AUTO_DISCOVERY !== "false" &&
       baseConfig.mcpAutoDiscovery !== false,
@@ -118,6 +123,7 @@ export function getDefaultMCPConfig() {
     host: "localhost",
     logLevel: "debug",
     pipelineDirectory: "./src/pipelines",
+    specDirectory: "./src/pipelines/specs",
     autoDiscovery: true,
     toolPrefix: "run_pipeliner_",
     defaultTimeout: 300000,
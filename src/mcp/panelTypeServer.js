@@ -11,6 +11,7 @@ import {
   getAvailablePanelTypes,
   createPanelConfig,
   isValidPanelType,
+  loadPanelTypeFiles,
 } from "../services/panelTypeConfig.js";
 import { createAgentLoader } from "../services/dynamicAgentLoader.js";
 import { runPipeline } from "../pipelines/moderatedPanelPipeline.js";
@@ -139,6 +140,11 @@ class PanelTypeServer {
                   description:
                     "Security frameworks and standards to apply (e.g., OWASP, NIST, CWE)",
                 },
+                securityFramework: {
+                  type: "string",
+                  description:
+                    "Framework document to check coverage against: a markdown checklist or lines starting with control IDs such as V2.1.1",
+                },
                 codebase: {
                   type: "string",
                   description:
@@ -207,6 +213,127 @@ class PanelTypeServer {
               required: ["prd", "designDoc", "codebase"],
             },
           },
+          {
+            name: "run_debate",
+            description:
+              "Timed debate on a motion: proposition and opposition speak in opening, rebuttal and closing rounds, and a judge scores each round and gives a verdict",
+            inputSchema: {
+              type: "object",
+              properties: {
+                motion: {
+                  type: "string",
+                  description:
+                    "The motion the proposition argues for and the opposition against",
+                },
+                background: {
+                  type: "string",
+                  description: "Background material both sides can draw on",
+                },
+                rebuttalRounds: {
+                  type: "integer",
+                  description:
+                    "Rebuttal rounds between the opening and closing statements",
+                  default: 2,
+                  minimum: 1,
+                  maximum: 5,
+                },
+                speechMinutes: {
+                  type: "object",
+                  description:
+                    "Speaking time per speech in minutes (0.5-10) by phase: { opening, rebuttal, closing }. Each minute allows 150 words; longer speeches are cut off",
+                },
+                rubric: {
+                  type: "array",
+                  description:
+                    "Criteria the judge scores each round against: [{ id, label, description, maxScore }] (defaults to argument, evidence, rebuttal and delivery)",
+                },
+              },
+              required: ["motion"],
+            },
+          },
+          {
+            name: "run_panel",
+            description:
+              "Run any panel type, including those defined by panel type files",
+            inputSchema: {
+              type: "object",
+              properties: {
+                panelType: {
+                  type: "string",
+                  description: "The panel type to run",
+                  enum: getAvailablePanelTypes(),
+                },
+                sourceText: {
+                  type: "string",
+                  description: "The source text to be discussed by the panel",
+                },
+                inputs: {
+                  type: "object",
+                  description:
+                    "Required inputs keyed by id, for panel types defined by a file (used when sourceText is not given)",
+                },
+                discussionSubject: {
+                  type: "string",
+                  description: "The subject of the panel discussion",
+                },
+                panelInteractions: {
+                  type: "integer",
+                  description:
+                    "Number of panel member interactions (defaults to the panel type's default)",
+                  minimum: 2,
+                  maximum: 15,
+                },
+                panelMode: {
+                  type: "string",
+                  description:
+                    "sequential (one speaker per turn) or rounds (every member answers each moderator question in parallel)",
+                  enum: ["sequential", "rounds"],
+                },
+                panelRounds: {
+                  type: "integer",
+                  description: "Number of rounds when panelMode is rounds",
+                  minimum: 1,
+                  maximum: 10,
+                },
+                securityFramework: {
+                  type: "string",
+                  description:
+                    "Framework document to check coverage against: a markdown checklist or lines starting with control IDs such as V2.1.1",
+                },
+                voting: {
+                  type: "boolean",
+                  description:
+                    "End the panel with a vote on the summary's recommendations and return a consensus matrix",
+                },
+                motion: {
+                  type: "string",
+                  description:
+                    "Debate panels: the motion (defaults to discussionSubject)",
+                },
+                rebuttalRounds: {
+                  type: "integer",
+                  description: "Debate panels: number of rebuttal rounds",
+                  minimum: 1,
+                  maximum: 5,
+                },
+                speechMinutes: {
+                  type: "object",
+                  description:
+                    "Debate panels: speaking time per speech in minutes (0.5-10) by phase: { opening, rebuttal, closing }. Each minute allows 150 words; longer speeches are cut off",
+                },
+                rubric: {
+                  type: "array",
+                  description:
+                    "Debate panels: criteria the judge scores each round against: [{ id, label, description, maxScore }] (defaults to argument, evidence, rebuttal and delivery)",
+                },
+                summaryFocus: {
+                  type: "string",
+                  description: "What the summary should focus on",
+                },
+              },
+              required: ["panelType", "discussionSubject"],
+            },
+          },
         ],
       };
     });
@@ -238,6 +365,12 @@ class PanelTypeServer {
           case "run_tech_review":
             return await this.runTechReview(args);
 
+          case "run_debate":
+            return await this.runDebate(args);
+
+          case "run_panel":
+            return await this.runPanel(args);
+
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
@@ -260,6 +393,7 @@ class PanelTypeServer {
    */
   async listPanelTypes() {
     const panelTypes = getAvailablePanelTypes();
+    const { panelTypes: fileTypes, errors } = loadPanelTypeFiles();
 
     const typeDescriptions = {
       discussion:
@@ -270,12 +404,19 @@ class PanelTypeServer {
         "Technical architecture review panel (Systems, DevOps, Quality)",
     };
 
-    const result = panelTypes.map((type) => ({
-      type,
-      description:
-        typeDescriptions[type] || "Panel type description not available",
-      status: "Available",
-    }));
+    const result = panelTypes.map((type) => {
+      const fileType = fileTypes.find((config) => config.panelType === type);
+      return {
+        type,
+        description:
+          typeDescriptions[type] ||
+          fileType?.description ||
+          fileType?.title ||
+          "Panel type description not available",
+        status: "Available",
+        source: fileType ? fileType.filePath : "built-in",
+      };
+    });
 
     return {
       content: [
@@ -285,12 +426,14 @@ class PanelTypeServer {
             {
               availablePanelTypes: result,
               total: panelTypes.length,
-              currentlyImplemented: ["discussion", "security", "techreview"],
+              currentlyImplemented: panelTypes,
               comingSoon: [],
+              invalidPanelTypeFiles: errors,
               mcpToolsAvailable: [
                 "run_discussion_panel",
                 "run_security_review",
                 "run_tech_review",
+                "run_panel",
               ],
             },
             null,
@@ -469,6 +612,7 @@ class PanelTypeServer {
         }\n\nCodebase to Review:\n${args.codebase}${
           args.securityFocus ? `\n\nSecurity Focus: ${args.securityFocus}` : ""
         }`,
+        securityFramework: args.securityFramework,
         discussionSubject: `Security Review: ${
           args.securityFocus || "Comprehensive Security Analysis"
         }`,
@@ -492,6 +636,7 @@ class PanelTypeServer {
                 runId: result.runId,
                 summary: result.result.summary,
                 panelStats: result.result.panelStats,
+                controlCoverage: result.result.controlCoverage,
                 metadata: result.result.metadata,
                 conversationLength: result.result.conversation.length,
                 executionTime: result.endTime
@@ -553,6 +698,7 @@ class PanelTypeServer {
                 runId: result.runId,
                 summary: result.result.summary,
                 panelStats: result.result.panelStats,
+                reviewComments: result.result.reviewComments,
                 metadata: result.result.metadata,
                 conversationLength: result.result.conversation.length,
                 executionTime: result.endTime
@@ -572,6 +718,125 @@ class PanelTypeServer {
     }
   }
 
+  /**
+   * Execute a debate panel
+   */
+  async runDebate(args) {
+    try {
+      if (!args.motion) {
+        throw new Error("motion is required");
+      }
+
+      const config = {
+        panelType: "debate",
+        motion: args.motion,
+        sourceText: args.background
+          ? `MOTION: ${args.motion}\n\nBACKGROUND:\n${args.background}`
+          : undefined,
+        rebuttalRounds: args.rebuttalRounds,
+        speechMinutes: args.speechMinutes,
+        rubric: args.rubric,
+      };
+
+      // Execute the pipeline
+      const result = await runPipeline(config);
+      const { debate } = result.result;
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                status: "completed",
+                panelType: "debate",
+                runId: result.runId,
+                motion: debate.motion,
+                verdict: debate.verdict,
+                totals: debate.totals,
+                rounds: debate.rounds,
+                summary: result.result.summary,
+                metadata: result.result.metadata,
+                conversationLength: result.result.conversation.length,
+                executionTime: result.endTime
+                  ? new Date(result.endTime).getTime() -
+                    new Date(result.startTime).getTime()
+                  : null,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Debate execution failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Execute any panel type, including those defined by panel type files
+   */
+  async runPanel(args) {
+    try {
+      if (!isValidPanelType(args.panelType || "")) {
+        throw new Error(`Invalid panel type: ${args.panelType}`);
+      }
+
+      const config = {
+        panelType: args.panelType.toLowerCase(),
+        sourceText: args.sourceText,
+        inputs: args.inputs,
+        discussionSubject: args.discussionSubject,
+        panelInteractions: args.panelInteractions,
+        panelMode: args.panelMode,
+        panelRounds: args.panelRounds,
+        securityFramework: args.securityFramework,
+        voting: args.voting,
+        motion: args.motion,
+        rebuttalRounds: args.rebuttalRounds,
+        speechMinutes: args.speechMinutes,
+        rubric: args.rubric,
+        summaryFocus: args.summaryFocus,
+      };
+
+      // Execute the pipeline
+      const result = await runPipeline(config);
+
+      return {
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(
+              {
+                status: "completed",
+                panelType: config.panelType,
+                runId: result.runId,
+                summary: result.result.summary,
+                panelStats: result.result.panelStats,
+                consensus: result.result.consensus,
+                findings: result.result.findings,
+                reviewComments: result.result.reviewComments,
+                controlCoverage: result.result.controlCoverage,
+                debate: result.result.debate,
+                metadata: result.result.metadata,
+                conversationLength: result.result.conversation.length,
+                executionTime: result.endTime
+                  ? new Date(result.endTime).getTime() -
+                    new Date(result.startTime).getTime()
+                  : null,
+              },
+              null,
+              2
+            ),
+          },
+        ],
+      };
+    } catch (error) {
+      throw new Error(`Panel execution failed: ${error.message}`);
+    }
+  }
+
   /**
    * Start the MCP server
    */
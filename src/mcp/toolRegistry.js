@@ -2,6 +2,8 @@ import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import { generateJobId } from "../utils/jobId.js";
+import { getSpecDir } from "../utils/pipelineSpec.js";
+import { loadSpecPipelines } from "../pipelines/engine/index.js";
 
 /**
  * Pipeline Tool Registry for MCP Server
@@ -37,6 +39,7 @@ export class PipelineToolRegistry {
 
     if (this.config.autoDiscovery) {
       await this.discoverPipelines();
+      await this.discoverSpecPipelines();
     }
 
     this.registerContentStorageTools();
@@ -125,6 +128,57 @@ export class PipelineToolRegistry {
     }
   }
 
+  /**
+   * Discover declarative pipeline specs (JSON/YAML) and register them as tools
+   */
+  async discoverSpecPipelines() {
+    const specDirectory = this.config.specDirectory || getSpecDir();
+
+    try {
+      const { pipelines, errors } = await loadSpecPipelines(
+        path.resolve(specDirectory)
+      );
+
+      for (const { filePath, error } of errors) {
+        this.log("error", `Failed to load pipeline spec: ${filePath}`, {
+          error,
+        });
+      }
+
+      for (const specPipeline of pipelines) {
+        const { name, filePath } = specPipeline;
+        if (this.pipelines.has(name)) {
+          this.log(
+            "warn",
+            `Pipeline spec ${filePath} skipped: '${name}' is already registered`
+          );
+          continue;
+        }
+
+        const pipelineInfo = this.extractPipelineInfo(specPipeline, name);
+        this.pipelines.set(name, {
+          name,
+          filename: path.basename(filePath),
+          path: filePath,
+          info: pipelineInfo,
+          execute: specPipeline.run,
+          module: specPipeline,
+          interfaces: ["mcp", "nostrmq", "cli"],
+        });
+        this.registerPipelineTool(name, pipelineInfo);
+
+        this.log("info", `Pipeline spec registered: ${name}`, {
+          path: filePath,
+        });
+      }
+    } catch (error) {
+      this.log("error", "Failed to discover pipeline specs", {
+        error: error.message,
+        directory: specDirectory,
+      });
+    }
+  }
+
   /**
    * Extract pipeline info from module
    */
@@ -125,9 +125,11 @@ export class JobManager {
         this.pipelineRegistry.getPipelineForNostrMQ(pipeline);
 
       // Execute pipeline via NostrMQ interface
+      // Pass the sender through so run costs can be attributed to it
       const result = await pipelineInstance.executeViaNostrMQ(
         parameters,
-        jobLogger
+        jobLogger,
+        { jobId, requestId, sender }
       );
 
       // Mark job as completed
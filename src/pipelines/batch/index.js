@@ -0,0 +1,404 @@
+import { fileURLToPath } from "url";
+import { promises as fs } from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import {
+  generateTimestampedFolderName,
+  readSourceFile,
+} from "../dialoguePipeline.js";
+import { getDefaultRegistry } from "../registry/index.js";
+import { getChainRunRecord } from "../../utils/pipelineChain.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Batch Runner - runs one pipeline over every source file in a directory
+ *
+ * Each .md/.txt file becomes the `sourceText` of its own run; every other input comes
+ * from the shared batch config. Runs are isolated from each other: a file that fails
+ * (unreadable, invalid config, pipeline error) is recorded in the report and the batch
+ * carries on. At most `concurrency` runs are in flight at once.
+ */
+
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+export const MAX_BATCH_CONCURRENCY = 10;
+
+const SOURCE_EXTENSIONS = [".md", ".txt"];
+
+// Numeric CLI options; everything else is passed through as a string
+const NUMERIC_ARGS = [
+  "concurrency",
+  "iterations",
+  "panelInteractions",
+  "maxCost",
+  "maxTokens",
+];
+
+/**
+ * Gets the default source directory for a pipeline
+ * @param {string} pipelineName - Registered pipeline name
+ * @param {Object} config - Batch config (panelType selects the panel input folder)
+ * @returns {string|null} - Source directory, or null when the pipeline has no default
+ */
+export function getBatchSourceDir(pipelineName, config = {}) {
+  switch (pipelineName) {
+    case "dialogue":
+    case "facilitatedDialogue":
+    case "multiPartyDialogue":
+      return path.join("output", "dialogue", "ip");
+    case "contentWaterfall":
+      return path.join("output", "waterfall", "ip");
+    case "moderatedPanel":
+      return path.join("input", config.panelType || "discussion");
+    default:
+      return null;
+  }
+}
+
+/**
+ * Lists the source files of a batch
+ * @param {string} sourceDir - Directory to read
+ * @returns {Promise<Array>} - File objects with name and path, sorted by name
+ * @throws {Error} When the directory cannot be read
+ */
+export async function listBatchFiles(sourceDir) {
+  let files;
+  try {
+    files = await fs.readdir(sourceDir);
+  } catch (error) {
+    throw new Error(
+      `Cannot read source directory ${sourceDir}: ${error.message}`
+    );
+  }
+
+  return files
+    .filter((file) => SOURCE_EXTENSIONS.includes(path.extname(file)))
+    .sort()
+    .map((file) => ({ name: file, path: path.join(sourceDir, file) }));
+}
+
+/**
+ * Runs a worker over items with at most `limit` in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in item order
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, runNext)
+  );
+  return results;
+}
+
+/**
+ * Runs the pipeline on one source file, never throwing
+ * @param {Object} pipeline - Registered pipeline
+ * @param {Object} file - Source file from listBatchFiles
+ * @param {Object} config - Shared batch config
+ * @returns {Promise<Object>} - Batch entry with status, runId, cost, duration and output folder
+ */
+async function runBatchFile(pipeline, file, config) {
+  const startTime = Date.now();
+  const entry = { file: file.name, path: file.path };
+
+  try {
+    const sourceText = await readSourceFile(file.path);
+    const result = await pipeline.execute({ ...config, sourceText });
+    const record = getChainRunRecord(result, pipeline.name);
+    const stopReason = result.stopReason || result.result?.metadata?.stopReason;
+    const error = result.error
+      ? [result.error, result.details || result.errors?.join("; ")]
+          .filter(Boolean)
+          .join(": ")
+      : null;
+
+    Object.assign(entry, {
+      status: record.status,
+      runId: record.runId,
+      cost: record.costs.totalCost,
+      tokens: record.costs.totalTokens,
+      outputFolder: record.dataFile ? path.dirname(record.dataFile) : null,
+      ...(stopReason && { stopReason }),
+      ...(error && { error }),
+    });
+  } catch (error) {
+    Object.assign(entry, {
+      status: "failed",
+      runId: null,
+      cost: 0,
+      tokens: 0,
+      outputFolder: null,
+      error: error.message,
+    });
+  }
+
+  entry.durationMs = Date.now() - startTime;
+  console.log(
+    `[BatchRunner] ${entry.status === "failed" ? "❌" : "✅"} ${file.name}: ${
+      entry.status
+    } in ${(entry.durationMs / 1000).toFixed(1)}s${
+      entry.error ? ` - ${entry.error}` : ""
+    }`
+  );
+  return entry;
+}
+
+/**
+ * Formats the batch report as markdown
+ * @param {Object} report - Batch report
+ * @returns {string} - Markdown report
+ */
+function formatBatchReport(report) {
+  const rows = report.files
+    .map(
+      (entry) =>
+        `| ${entry.file} | ${entry.status} | $${entry.cost.toFixed(4)} | ${(
+          entry.durationMs / 1000
+        ).toFixed(1)}s | ${entry.outputFolder || entry.error || "-"} |`
+    )
+    .join("\n");
+
+  return `# Batch Report: ${report.pipeline}
+
+**Source Directory:** ${report.sourceDir}
+**Started:** ${report.startedAt}
+**Completed:** ${report.completedAt}
+**Concurrency:** ${report.concurrency}
+
+## Totals
+
+- **Files:** ${report.totals.files}
+- **Completed:** ${report.totals.completed}
+- **Partial:** ${report.totals.partial}
+- **Failed:** ${report.totals.failed}
+- **Total Cost:** $${report.totals.totalCost.toFixed(4)}
+- **Total Tokens:** ${report.totals.totalTokens}
+- **Duration:** ${(report.durationMs / 1000).toFixed(1)}s
+
+## Files
+
+| File | Status | Cost | Duration | Output |
+| ---- | ------ | ---- | -------- | ------ |
+${rows}
+`;
+}
+
+/**
+ * Writes the batch report as JSON and markdown into a timestamped folder
+ * @param {Object} report - Batch report
+ * @param {string} outputDir - Base output directory
+ * @returns {Promise<Object>} - Object containing file paths and generation status
+ */
+async function writeBatchReport(report, outputDir) {
+  const baseDir = path.join(outputDir, "batch", report.pipeline);
+
+  try {
+    await fs.mkdir(baseDir, { recursive: true });
+    const folder = await generateTimestampedFolderName(baseDir);
+    const reportDir = path.join(baseDir, folder);
+    await fs.mkdir(reportDir, { recursive: true });
+
+    const files = {
+      report: path.join(reportDir, "batch-report.json"),
+      markdown: path.join(reportDir, "batch-report.md"),
+    };
+    await Promise.all([
+      fs.writeFile(files.report, JSON.stringify(report, null, 2), "utf8"),
+      fs.writeFile(files.markdown, formatBatchReport(report), "utf8"),
+    ]);
+
+    console.log(`[BatchRunner] 📁 Batch report written to ${reportDir}`);
+    return { success: true, folder: reportDir, files };
+  } catch (error) {
+    console.error(`[BatchRunner] ❌ Failed to write batch report:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Runs a pipeline over every source file in a directory
+ * @param {string} pipelineName - Registered pipeline name (built-in or spec)
+ * @param {Object} config - Inputs shared by every run (sourceText comes from each file)
+ * @param {Object} options - Batch options
+ * @param {string} options.sourceDir - Source directory (default depends on the pipeline)
+ * @param {number} options.concurrency - Maximum concurrent runs (default 2, max 10)
+ * @param {string} options.outputDir - Base output directory for the report (default "output")
+ * @param {Object} options.registry - Pipeline registry (default registry when omitted)
+ * @returns {Promise<Object>} - Batch report with totals, one entry per file and report files
+ * @throws {Error} When the pipeline, source directory or concurrency is invalid
+ *
+ * @example
+ * const report = await runBatch(
+ *   "contentWaterfall",
+ *   { customFocus: "Practical takeaways" },
+ *   { concurrency: 3 }
+ * );
+ * // report.totals: { files: 5, completed: 4, partial: 0, failed: 1, totalCost, totalTokens }
+ * // report.files[0]: { file, status, runId, cost, tokens, durationMs, outputFolder }
+ */
+export async function runBatch(pipelineName, config = {}, options = {}) {
+  const concurrency = options.concurrency ?? DEFAULT_BATCH_CONCURRENCY;
+  if (
+    !Number.isInteger(concurrency) ||
+    concurrency < 1 ||
+    concurrency > MAX_BATCH_CONCURRENCY
+  ) {
+    throw new Error(
+      `concurrency must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}`
+    );
+  }
+
+  const registry = options.registry || (await getDefaultRegistry());
+  const pipeline = registry.getPipeline(pipelineName);
+  if (!pipeline) {
+    throw new Error(`Pipeline '${pipelineName}' not found`);
+  }
+
+  const sourceDir =
+    options.sourceDir || getBatchSourceDir(pipelineName, config);
+  if (!sourceDir) {
+    throw new Error(
+      `Pipeline '${pipelineName}' has no default source directory; pass a sourceDir`
+    );
+  }
+
+  const files = await listBatchFiles(sourceDir);
+  const startedAt = new Date();
+  console.log(
+    `[BatchRunner] 🚀 Running ${pipelineName} over ${files.length} files in ${sourceDir} (concurrency ${concurrency})`
+  );
+
+  const entries = await runWithConcurrency(files, concurrency, (file) =>
+    runBatchFile(pipeline, file, config)
+  );
+
+  const completedAt = new Date();
+  const countStatus = (status) =>
+    entries.filter((entry) => entry.status === status).length;
+  const report = {
+    pipeline: pipelineName,
+    sourceDir,
+    concurrency,
+    startedAt: startedAt.toISOString(),
+    completedAt: completedAt.toISOString(),
+    durationMs: completedAt.getTime() - startedAt.getTime(),
+    totals: {
+      files: entries.length,
+      completed: countStatus("completed"),
+      partial: countStatus("partial"),
+      failed: countStatus("failed"),
+      totalCost: entries.reduce((sum, entry) => sum + entry.cost, 0),
+      totalTokens: entries.reduce((sum, entry) => sum + entry.tokens, 0),
+    },
+    files: entries,
+  };
+
+  const reportResult = await writeBatchReport(
+    report,
+    options.outputDir || "output"
+  );
+  report.reportFiles = reportResult.success ? reportResult.files : null;
+
+  console.log(
+    `[BatchRunner] 📊 ${report.totals.completed}/${
+      report.totals.files
+    } completed, ${
+      report.totals.failed
+    } failed, $${report.totals.totalCost.toFixed(4)}`
+  );
+  return report;
+}
+
+/**
+ * Parses batch runner CLI arguments
+ * @param {Array<string>} argv - Arguments after the script path
+ * @returns {Promise<Object>} - `{ pipelineName, config, options }`
+ */
+export async function parseBatchArgs(argv) {
+  const [pipelineName, ...rest] = argv;
+  if (!pipelineName || pipelineName.startsWith("--")) {
+    throw new Error(
+      "Usage: node src/pipelines/batch/index.js <pipeline> [--dir <path>] [--concurrency <n>] [--dry-run] [--<input> <value|@file>]..."
+    );
+  }
+
+  const args = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--dry-run") {
+      args.dryRun = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const value = rest[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    // @path reads the value from a file, e.g. --discussionPrompt @prompt.md
+    args[arg.slice(2)] = value.startsWith("@")
+      ? await fs.readFile(value.slice(1), "utf8")
+      : value;
+    i++;
+  }
+
+  for (const key of NUMERIC_ARGS) {
+    if (args[key] !== undefined) {
+      args[key] = Number(args[key]);
+    }
+  }
+
+  const { dir, concurrency, ...config } = args;
+  return {
+    pipelineName,
+    config,
+    options: {
+      ...(dir && { sourceDir: dir }),
+      ...(concurrency !== undefined && { concurrency }),
+    },
+  };
+}
+
+// ES Module main detection for direct execution
+const isMain = process.argv[1] === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  parseBatchArgs(process.argv.slice(2))
+    .then(({ pipelineName, config, options }) =>
+      runBatch(pipelineName, config, options)
+    )
+    .then((report) => {
+      console.log("\n📋 BATCH RESULT:");
+      report.files.forEach((entry) => {
+        console.log(
+          `${entry.status === "failed" ? "❌" : "✅"} ${entry.file}: ${
+            entry.status
+          }${entry.outputFolder ? ` -> ${entry.outputFolder}` : ""}${
+            entry.error ? ` (${entry.error})` : ""
+          }`
+        );
+      });
+      if (report.reportFiles) {
+        console.log(`📁 Report: ${report.reportFiles.markdown}`);
+      }
+      process.exit(report.totals.failed > 0 ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("❌ Batch run failed:", error.message);
+      process.exit(1);
+    });
+}
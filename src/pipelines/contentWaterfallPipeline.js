@@ -10,6 +10,16 @@ import {
   addStepResult,
 } from "../utils/pipelineData.js";
 import { formatCostSummary } from "../utils/pipelineCost.js";
+import {
+  validateBudgetOptions,
+  setPipelineBudget,
+  estimatePipelineCost,
+  resolveAgentModel,
+  reportPreflightEstimate,
+} from "../utils/pipelineBudget.js";
+import { openCheckpoint } from "../utils/pipelineCheckpoint.js";
+import { isDryRun, enableDryRun, finishDryRun } from "../utils/dryRun.js";
+import { validateChainOptions, continueChain } from "../utils/pipelineChain.js";
 
 // Load environment variables
 dotenv.config();
@@ -66,6 +76,18 @@ function validateWaterfallConfig(config) {
     }
   }
 
+  // Validate optional cost/token budget
+  errors.push(...validateBudgetOptions(config));
+  if (config.maxCost !== undefined) {
+    sanitizedConfig.maxCost = config.maxCost;
+  }
+  if (config.maxTokens !== undefined) {
+    sanitizedConfig.maxTokens = config.maxTokens;
+  }
+
+  // Validate optional downstream chain
+  errors.push(...validateChainOptions(config));
+
   // Validate optional outputFormat (for future use)
   if (config.outputFormat !== undefined && config.outputFormat !== null) {
     if (typeof config.outputFormat !== "string") {
@@ -641,10 +663,20 @@ async function generateWaterfallOutputFiles(pipelineData, results, config) {
 /**
  * Content Waterfall Pipeline that transforms long-form content into structured social media outputs
  * @param {Object} config - Configuration object containing sourceText and optional customFocus
+ * @param {string} config.resumeRunId - Optional runId of an interrupted run to continue from its checkpoint
+ * @param {boolean} config.dryRun - Optional: render every prompt with stubbed responses instead of calling the API
+ * @param {Object} config.chain - Optional downstream pipeline to feed this run's results into ({ pipeline, mapping, config })
  * @returns {Promise<Object>} - Complete pipeline result with topics, LinkedIn posts, Reels concepts, and metadata
  */
 async function contentWaterfallPipeline(config) {
   const pipelineData = createPipelineData();
+  pipelineData.metadata.pipeline = "contentWaterfall";
+  if (config.backend) {
+    pipelineData.metadata.backend = config.backend;
+  }
+  if (config.sender) {
+    pipelineData.metadata.sender = config.sender;
+  }
 
   console.log(
     `[ContentWaterfallPipeline] Starting pipeline ${pipelineData.runId}`
@@ -654,6 +686,17 @@ async function contentWaterfallPipeline(config) {
   );
 
   try {
+    // Restore an interrupted run from its checkpoint when resumeRunId is set
+    const checkpoint = await openCheckpoint(
+      pipelineData,
+      "contentWaterfall",
+      config
+    );
+    config = checkpoint.config;
+    if (isDryRun(config)) {
+      enableDryRun(pipelineData);
+    }
+
     // Step 1: Validate configuration
     console.log(
       "[ContentWaterfallPipeline] Step 1: Validating configuration..."
@@ -690,6 +733,19 @@ async function contentWaterfallPipeline(config) {
       "[ContentWaterfallPipeline] ✅ All waterfall agents loaded successfully"
     );
 
+    // Pre-flight cost estimate: one call per agent
+    setPipelineBudget(pipelineData, validation.sanitizedConfig);
+    reportPreflightEstimate(
+      pipelineData,
+      estimatePipelineCost([
+        { model: await resolveAgentModel(contentAnalyzer), count: 1 },
+        { model: await resolveAgentModel(linkedinCreator), count: 1 },
+        { model: await resolveAgentModel(reelsGenerator), count: 1 },
+      ]),
+      "[ContentWaterfallPipeline]"
+    );
+    let budgetStop = null;
+
     // Step 3: Execute Content Analyzer (Agent 1)
     console.log(
       "[ContentWaterfallPipeline] Step 3: Analyzing content and extracting topics..."
@@ -705,10 +761,8 @@ async function contentWaterfallPipeline(config) {
       analyzerContext,
       []
     );
-    const analyzerResponse = await callEverest(
-      analyzerConfig,
-      pipelineData,
-      "content_analysis"
+    const analyzerResponse = await checkpoint.runStep("content_analysis", () =>
+      callEverest(analyzerConfig, pipelineData, "content_analysis")
     );
 
     if (analyzerResponse.error) {
@@ -783,161 +837,188 @@ async function contentWaterfallPipeline(config) {
       linkedinContext,
       []
     );
-    const linkedinResponse = await callEverest(
-      linkedinConfig,
-      pipelineData,
-      "linkedin_creation"
+    const linkedinResponse = await checkpoint.runStep("linkedin_creation", () =>
+      callEverest(linkedinConfig, pipelineData, "linkedin_creation")
     );
 
-    if (linkedinResponse.error) {
-      console.error(
-        "[ContentWaterfallPipeline] ❌ LinkedIn post creation failed:",
-        linkedinResponse.error
-      );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "LinkedIn post creation failed",
-        details: linkedinResponse.error,
-        topics: topicsData,
-        pipeline: pipelineData,
-      };
-    }
-
-    const linkedinContent = extractResponseContent(linkedinResponse);
-    if (!linkedinContent) {
-      console.error(
-        "[ContentWaterfallPipeline] ❌ Could not extract content from LinkedIn creator response"
-      );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Could not extract content from LinkedIn creator response",
-        topics: topicsData,
-        pipeline: pipelineData,
-      };
-    }
-
-    // Parse LinkedIn response (expecting JSON)
     let linkedinPostsData;
-    try {
-      linkedinPostsData = JSON.parse(linkedinContent);
-    } catch (parseError) {
-      console.error(
-        "[ContentWaterfallPipeline] ❌ Could not parse LinkedIn creator response as JSON:",
-        parseError
-      );
-      // Fallback: treat as plain text
+    if (linkedinResponse.budgetExceeded) {
+      budgetStop = linkedinResponse.error;
       linkedinPostsData = {
-        linkedinPosts: [
-          {
-            title: "Generated LinkedIn Content",
-            content: linkedinContent,
-            approach: "fallback",
-            hashtags: ["#content", "#linkedin"],
-            keyElements: {
-              hook: "Generated content",
-              valueProposition: "Social media content",
-              cta: "Engage with this post",
-            },
-          },
-        ],
-        creationSummary: "LinkedIn posts created with fallback parsing",
+        linkedinPosts: [],
+        creationSummary: `Skipped - ${budgetStop}`,
       };
-    }
+    } else {
+      if (linkedinResponse.error) {
+        console.error(
+          "[ContentWaterfallPipeline] ❌ LinkedIn post creation failed:",
+          linkedinResponse.error
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: "LinkedIn post creation failed",
+          details: linkedinResponse.error,
+          topics: topicsData,
+          pipeline: pipelineData,
+        };
+      }
 
-    console.log(
-      `[ContentWaterfallPipeline] ✅ LinkedIn posts created - ${
-        linkedinPostsData.linkedinPosts?.length || 0
-      } posts generated`
-    );
+      const linkedinContent = extractResponseContent(linkedinResponse);
+      if (!linkedinContent) {
+        console.error(
+          "[ContentWaterfallPipeline] ❌ Could not extract content from LinkedIn creator response"
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: "Could not extract content from LinkedIn creator response",
+          topics: topicsData,
+          pipeline: pipelineData,
+        };
+      }
 
-    // Step 5: Execute Reels Generator (Agent 3)
-    console.log(
-      "[ContentWaterfallPipeline] Step 5: Generating Reels concepts..."
-    );
+      // Parse LinkedIn response (expecting JSON)
+      try {
+        linkedinPostsData = JSON.parse(linkedinContent);
+      } catch (parseError) {
+        console.error(
+          "[ContentWaterfallPipeline] ❌ Could not parse LinkedIn creator response as JSON:",
+          parseError
+        );
+        // Fallback: treat as plain text
+        linkedinPostsData = {
+          linkedinPosts: [
+            {
+              title: "Generated LinkedIn Content",
+              content: linkedinContent,
+              approach: "fallback",
+              hashtags: ["#content", "#linkedin"],
+              keyElements: {
+                hook: "Generated content",
+                valueProposition: "Social media content",
+                cta: "Engage with this post",
+              },
+            },
+          ],
+          creationSummary: "LinkedIn posts created with fallback parsing",
+        };
+      }
 
-    const reelsMessage = JSON.stringify(linkedinPostsData.linkedinPosts || []);
-    const reelsContext =
-      "Create 2 YouTube Reels concepts per LinkedIn post with production guidance.";
+      console.log(
+        `[ContentWaterfallPipeline] ✅ LinkedIn posts created - ${
+          linkedinPostsData.linkedinPosts?.length || 0
+        } posts generated`
+      );
+    }
 
-    const reelsConfig = await reelsGenerator(reelsMessage, reelsContext, []);
-    const reelsResponse = await callEverest(
-      reelsConfig,
-      pipelineData,
-      "reels_generation"
-    );
+    // Step 5: Execute Reels Generator (Agent 3) unless the budget stopped the run
+    let reelsConceptsData;
+    if (budgetStop) {
+      reelsConceptsData = {
+        reelsConcepts: [],
+        generationSummary: `Skipped - ${budgetStop}`,
+      };
+    } else {
+      console.log(
+        "[ContentWaterfallPipeline] Step 5: Generating Reels concepts..."
+      );
 
-    if (reelsResponse.error) {
-      console.error(
-        "[ContentWaterfallPipeline] ❌ Reels concept generation failed:",
-        reelsResponse.error
+      const reelsMessage = JSON.stringify(
+        linkedinPostsData.linkedinPosts || []
       );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Reels concept generation failed",
-        details: reelsResponse.error,
-        topics: topicsData,
-        linkedinPosts: linkedinPostsData,
-        pipeline: pipelineData,
-      };
-    }
+      const reelsContext =
+        "Create 2 YouTube Reels concepts per LinkedIn post with production guidance.";
 
-    const reelsContent = extractResponseContent(reelsResponse);
-    if (!reelsContent) {
-      console.error(
-        "[ContentWaterfallPipeline] ❌ Could not extract content from Reels generator response"
+      const reelsConfig = await reelsGenerator(reelsMessage, reelsContext, []);
+      const reelsResponse = await checkpoint.runStep("reels_generation", () =>
+        callEverest(reelsConfig, pipelineData, "reels_generation")
       );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Could not extract content from Reels generator response",
-        topics: topicsData,
-        linkedinPosts: linkedinPostsData,
-        pipeline: pipelineData,
-      };
+
+      if (reelsResponse.budgetExceeded) {
+        budgetStop = reelsResponse.error;
+        reelsConceptsData = {
+          reelsConcepts: [],
+          generationSummary: `Skipped - ${budgetStop}`,
+        };
+      } else {
+        if (reelsResponse.error) {
+          console.error(
+            "[ContentWaterfallPipeline] ❌ Reels concept generation failed:",
+            reelsResponse.error
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: "Reels concept generation failed",
+            details: reelsResponse.error,
+            topics: topicsData,
+            linkedinPosts: linkedinPostsData,
+            pipeline: pipelineData,
+          };
+        }
+
+        const reelsContent = extractResponseContent(reelsResponse);
+        if (!reelsContent) {
+          console.error(
+            "[ContentWaterfallPipeline] ❌ Could not extract content from Reels generator response"
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: "Could not extract content from Reels generator response",
+            topics: topicsData,
+            linkedinPosts: linkedinPostsData,
+            pipeline: pipelineData,
+          };
+        }
+
+        // Parse Reels response (expecting JSON)
+        try {
+          reelsConceptsData = JSON.parse(reelsContent);
+        } catch (parseError) {
+          console.error(
+            "[ContentWaterfallPipeline] ❌ Could not parse Reels generator response as JSON:",
+            parseError
+          );
+          // Fallback: treat as plain text
+          reelsConceptsData = {
+            reelsConcepts: [
+              {
+                title: "Generated Reels Content",
+                content: reelsContent,
+                type: "fallback",
+                hook: "Engaging hook",
+                script: {
+                  timing: "0-30s: Content delivery",
+                  content: reelsContent,
+                },
+                visualSuggestions: {
+                  textOverlays: ["Generated Content"],
+                  visualElements: ["Standard video elements"],
+                  transitions: "Standard cuts",
+                },
+                productionNotes: "Fallback parsing applied",
+              },
+            ],
+            generationSummary: "Reels concepts created with fallback parsing",
+          };
+        }
+
+        console.log(
+          `[ContentWaterfallPipeline] ✅ Reels concepts generated - ${
+            reelsConceptsData.reelsConcepts?.length || 0
+          } concepts created`
+        );
+      }
     }
 
-    // Parse Reels response (expecting JSON)
-    let reelsConceptsData;
-    try {
-      reelsConceptsData = JSON.parse(reelsContent);
-    } catch (parseError) {
-      console.error(
-        "[ContentWaterfallPipeline] ❌ Could not parse Reels generator response as JSON:",
-        parseError
+    if (budgetStop) {
+      console.warn(
+        `[ContentWaterfallPipeline] ⚠️ Stopping early - ${budgetStop}`
       );
-      // Fallback: treat as plain text
-      reelsConceptsData = {
-        reelsConcepts: [
-          {
-            title: "Generated Reels Content",
-            content: reelsContent,
-            type: "fallback",
-            hook: "Engaging hook",
-            script: {
-              timing: "0-30s: Content delivery",
-              content: reelsContent,
-            },
-            visualSuggestions: {
-              textOverlays: ["Generated Content"],
-              visualElements: ["Standard video elements"],
-              transitions: "Standard cuts",
-            },
-            productionNotes: "Fallback parsing applied",
-          },
-        ],
-        generationSummary: "Reels concepts created with fallback parsing",
-      };
     }
 
-    console.log(
-      `[ContentWaterfallPipeline] ✅ Reels concepts generated - ${
-        reelsConceptsData.reelsConcepts?.length || 0
-      } concepts created`
-    );
-
     // Step 6: Generate output files
     console.log(
       "[ContentWaterfallPipeline] Step 6: Generating output files..."
@@ -977,7 +1058,12 @@ async function contentWaterfallPipeline(config) {
     }
 
     // Step 7: Complete pipeline
-    completePipeline(pipelineData, "completed");
+    completePipeline(pipelineData, budgetStop ? "partial" : "completed");
+    await checkpoint.complete();
+    const dryRunReport = await finishDryRun(
+      pipelineData,
+      "[ContentWaterfallPipeline]"
+    );
 
     // Display pipeline summary
     console.log(`\n[ContentWaterfallPipeline] 📊 PIPELINE SUMMARY:`);
@@ -1002,8 +1088,8 @@ async function contentWaterfallPipeline(config) {
       `Reels concepts: ${reelsConceptsData.reelsConcepts?.length || 0}`
     );
 
-    // Return structured result
-    return {
+    // Return structured result, running any downstream chain first
+    const result = {
       runId: pipelineData.runId,
       topics: topicsData,
       linkedinPosts: linkedinPostsData,
@@ -1012,7 +1098,13 @@ async function contentWaterfallPipeline(config) {
       pipeline: pipelineData,
       files: fileGenerationResult.success ? fileGenerationResult.files : null,
       fileGenerationStatus: fileGenerationResult.success ? "success" : "failed",
+      ...(budgetStop && { stopReason: budgetStop }),
+      ...(dryRunReport && { dryRun: dryRunReport }),
     };
+    return continueChain(result, config, {
+      pipeline: "contentWaterfall",
+      logPrefix: "[ContentWaterfallPipeline]",
+    });
   } catch (error) {
     console.error(
       `[ContentWaterfallPipeline] ❌ Pipeline ${pipelineData.runId} failed with error:`,
@@ -1197,6 +1289,44 @@ Success in remote work requires investment in people, processes, and technology.
     });
 }
 
+/**
+ * Pipeline metadata for registry discovery
+ */
+export const pipelineInfo = {
+  name: "contentWaterfall",
+  description:
+    "Content waterfall pipeline that turns long-form content into topics, LinkedIn posts and Reels concepts",
+  version: "1.0.0",
+  parameters: {
+    required: ["sourceText"],
+    optional: ["customFocus"],
+    schema: {
+      sourceText: {
+        type: "string",
+        description: "Long-form source content to repurpose",
+      },
+      customFocus: {
+        type: "string",
+        description: "Optional focus for topic extraction",
+      },
+    },
+  },
+  capabilities: [
+    "topic-extraction",
+    "linkedin-posts",
+    "reels-concepts",
+    "file-generation",
+    "cost-tracking",
+  ],
+  outputs: {
+    topics: "Extracted topics",
+    linkedinPosts: "Generated LinkedIn posts",
+    reelsConcepts: "Generated Reels concepts",
+    files: "Generated output files (markdown, JSON)",
+    pipeline: "Execution metadata and statistics",
+  },
+};
+
 export {
   contentWaterfallPipeline,
   validateWaterfallConfig,
@@ -10,6 +10,29 @@ import {
   addStepResult,
 } from "../utils/pipelineData.js";
 import { formatCostSummary } from "../utils/pipelineCost.js";
+import {
+  validateBudgetOptions,
+  setPipelineBudget,
+  estimatePipelineCost,
+  resolveAgentModel,
+  reportPreflightEstimate,
+} from "../utils/pipelineBudget.js";
+import { openCheckpoint } from "../utils/pipelineCheckpoint.js";
+import { isDryRun, enableDryRun, finishDryRun } from "../utils/dryRun.js";
+import { validateChainOptions, continueChain } from "../utils/pipelineChain.js";
+import {
+  validateConvergenceOptions,
+  resolveConvergenceOptions,
+  createConvergenceMonitor,
+  formatConvergenceSection,
+} from "../utils/dialogueConvergence.js";
+import {
+  validateContextOptions,
+  resolveContextOptions,
+  estimateSummaryCalls,
+  createContextManager,
+} from "../utils/contextManager.js";
+import { createOperatorSession } from "../utils/humanInTheLoop.js";
 
 // Load environment variables
 dotenv.config();
@@ -85,6 +108,32 @@ function validateDialogueConfig(config) {
     );
   }
 
+  // Validate optional cost/token budget
+  errors.push(...validateBudgetOptions(config));
+  if (config.maxCost !== undefined) {
+    sanitizedConfig.maxCost = config.maxCost;
+  }
+  if (config.maxTokens !== undefined) {
+    sanitizedConfig.maxTokens = config.maxTokens;
+  }
+
+  // Validate optional convergence detection (early stop)
+  const convergenceErrors = validateConvergenceOptions(config);
+  errors.push(...convergenceErrors);
+  if (convergenceErrors.length === 0 && config.convergence) {
+    sanitizedConfig.convergence = resolveConvergenceOptions(config.convergence);
+  }
+
+  // Validate optional context management (opt-in)
+  const contextErrors = validateContextOptions(config);
+  errors.push(...contextErrors);
+  if (contextErrors.length === 0 && config.contextManagement !== undefined) {
+    sanitizedConfig.contextManagement = config.contextManagement;
+  }
+
+  // Validate optional downstream chain
+  errors.push(...validateChainOptions(config));
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -217,7 +266,11 @@ ${sourceText}
           : `iteration_${entry.iteration}`
         : `followup_${Math.floor(entry.iteration)}`;
 
-    markdown += `### ${entry.agent} - ${iterationLabel}
+    const heading = entry.isHuman
+      ? `🧑 ${entry.agent} (human)`
+      : `${entry.agent} - ${iterationLabel}`;
+
+    markdown += `### ${heading}
 *${entry.timestamp}*
 
 ${entry.content}
@@ -261,7 +314,7 @@ ${formatCostSummary(pipelineData)}
 ## Summary
 
 ${summaryData.content}
-
+${formatConvergenceSection(summaryData.convergence)}
 ## Context
 - **Source Material Length**: ${sourceText.length} characters
 - **Dialogue Iterations**: ${iterations}
@@ -408,10 +461,24 @@ async function generateOutputFiles(
 /**
  * Dialogue pipeline that orchestrates a conversation between two agents and summarizes the result
  * @param {Object} config - Configuration object containing sourceText, discussionPrompt, iterations, summaryFocus
+ * @param {string} config.resumeRunId - Optional runId of an interrupted run to continue from its checkpoint
+ * @param {boolean} config.dryRun - Optional: render every prompt with stubbed responses instead of calling the API
+ * @param {Object} config.chain - Optional downstream pipeline to feed this run's results into ({ pipeline, mapping, config })
+ * @param {boolean|Object} config.convergence - Optional early stop once the agents converge ({ threshold, minTurns, judge, judgeConfidence })
+ * @param {boolean|Object} config.contextManagement - Optional rolling summary/source excerpt settings: true for the defaults, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }
+ * @param {Object} [options] - Run options that are not part of the saved config
+ * @param {Function} [options.operator] - Optional interactive operator called between turns (see humanInTheLoop)
  * @returns {Promise<Object>} - Complete pipeline result with conversation, summary, and metadata
  */
-async function dialoguePipeline(config) {
+async function dialoguePipeline(config, options = {}) {
   const pipelineData = createPipelineData();
+  pipelineData.metadata.pipeline = "dialogue";
+  if (config.backend) {
+    pipelineData.metadata.backend = config.backend;
+  }
+  if (config.sender) {
+    pipelineData.metadata.sender = config.sender;
+  }
 
   console.log(`[DialoguePipeline] Starting pipeline ${pipelineData.runId}`);
   console.log(
@@ -419,6 +486,13 @@ async function dialoguePipeline(config) {
   );
 
   try {
+    // Restore an interrupted run from its checkpoint when resumeRunId is set
+    const checkpoint = await openCheckpoint(pipelineData, "dialogue", config);
+    config = checkpoint.config;
+    if (isDryRun(config)) {
+      enableDryRun(pipelineData);
+    }
+
     // Step 1: Validate configuration
     console.log("[DialoguePipeline] Step 1: Validating configuration...");
     const validation = validateDialogueConfig(config);
@@ -437,8 +511,16 @@ async function dialoguePipeline(config) {
       };
     }
 
-    const { sourceText, discussionPrompt, iterations, summaryFocus } =
-      validation.sanitizedConfig;
+    const {
+      sourceText,
+      discussionPrompt,
+      iterations,
+      summaryFocus,
+      convergence: convergenceOptions,
+    } = validation.sanitizedConfig;
+    const contextOptions = resolveContextOptions(
+      validation.sanitizedConfig.contextManagement
+    );
     console.log(
       `[DialoguePipeline] ✅ Configuration validated - ${iterations} iterations planned`
     );
@@ -448,16 +530,100 @@ async function dialoguePipeline(config) {
     const dialogueAg1 = await loadAgent("dialogue/DialogueAg1");
     const dialogueAg2 = await loadAgent("dialogue/DialogueAg2");
     const summaryAgent = await loadAgent("dialogue/summariseConversation");
+    const judgeAgent = convergenceOptions?.judge
+      ? await loadAgent("dialogue/convergenceJudge")
+      : null;
+    const rollingSummaryAgent = contextOptions?.summarize
+      ? await loadAgent("rollingSummary")
+      : null;
+    const agent1Model = await resolveAgentModel(dialogueAg1);
+    const agent2Model = await resolveAgentModel(dialogueAg2);
     console.log(
       "[DialoguePipeline] ✅ All dialogue agents loaded successfully"
     );
 
+    // Pre-flight cost estimate: Agent 1 and Agent 2 speak once per iteration, plus the summary
+    // (and at most one convergence judge call per iteration and one rolling summary per prompt)
+    setPipelineBudget(pipelineData, validation.sanitizedConfig);
+    reportPreflightEstimate(
+      pipelineData,
+      estimatePipelineCost([
+        { model: agent1Model, count: iterations },
+        { model: agent2Model, count: iterations },
+        {
+          model: judgeAgent ? await resolveAgentModel(judgeAgent) : null,
+          count: judgeAgent ? iterations : 0,
+        },
+        {
+          model: rollingSummaryAgent
+            ? await resolveAgentModel(rollingSummaryAgent)
+            : null,
+          count: estimateSummaryCalls(contextOptions, {
+            prompts: 2 * iterations - 1,
+            turns: 2 * iterations,
+          }),
+        },
+        { model: await resolveAgentModel(summaryAgent), count: 1 },
+      ]),
+      "[DialoguePipeline]"
+    );
+
     // Step 3: Initialize conversation
     let messageHistory = [];
     const conversation = [];
+    let budgetStop = null;
+    const convergence = createConvergenceMonitor(convergenceOptions, {
+      pipelineData,
+      checkpoint,
+      judgeAgent,
+      discussionPrompt,
+      logPrefix: "[DialoguePipeline]",
+    });
+    const operator = createOperatorSession(options.operator, {
+      pipelineData,
+      checkpoint,
+      actions: ["continue", "inject", "skip", "end"],
+      logPrefix: "[DialoguePipeline]",
+    });
+    // Interactive runs let the operator add a human turn after each agent turn
+    const pauseForOperator = async (iteration, nextSpeaker) => {
+      const control = await operator.pause({
+        turn: conversation[conversation.length - 1],
+        nextSpeaker,
+        iteration,
+      });
+      if (control.action === "inject") {
+        messageHistory.push({
+          role: "user",
+          content: `${control.speaker} (human participant): ${control.content}`,
+        });
+        conversation.push({
+          agent: control.speaker,
+          iteration,
+          content: control.content,
+          timestamp: new Date().toISOString(),
+          isHuman: true,
+        });
+      }
+    };
+    // Long dialogues send a rolling summary plus the latest turns instead of everything
+    const contextManager = createContextManager(contextOptions, {
+      pipelineData,
+      checkpoint,
+      summaryAgent: rollingSummaryAgent,
+      logPrefix: "[DialoguePipeline]",
+    });
+    const source = contextManager.prepareSource(config.sourceText.trim(), {
+      model: agent1Model,
+      focus: config.discussionPrompt,
+    });
+    const sentSourceText =
+      source.strategy.strategy === "excerpt"
+        ? sanitizeMessageContent(source.text)
+        : sourceText;
 
     // Create initial message for Agent 1 with source text and discussion prompt
-    const initialMessage = `SOURCE MATERIAL:\n${sourceText}\n\nDISCUSSION PROMPT:\n${discussionPrompt}`;
+    const initialMessage = `SOURCE MATERIAL:\n${sentSourceText}\n\nDISCUSSION PROMPT:\n${discussionPrompt}`;
     const context =
       "You are starting a dialogue about the provided source material. Focus on the discussion prompt and engage thoughtfully with the content.";
 
@@ -466,15 +632,12 @@ async function dialoguePipeline(config) {
     );
 
     // Agent 1 initial call
-    const agent1Config = await dialogueAg1(
-      initialMessage,
-      context,
-      messageHistory
+    const agent1Config = contextManager.tag(
+      await dialogueAg1(initialMessage, context, messageHistory),
+      { source: source.strategy }
     );
-    const agent1Response = await callEverest(
-      agent1Config,
-      pipelineData,
-      "agent1_initial"
+    const agent1Response = await checkpoint.runStep("agent1_initial", () =>
+      callEverest(agent1Config, pipelineData, "agent1_initial")
     );
 
     if (agent1Response.error) {
@@ -515,6 +678,7 @@ async function dialoguePipeline(config) {
     });
 
     console.log("[DialoguePipeline] ✅ Agent 1 initial response received");
+    await pauseForOperator(1, "DialogueAg2");
 
     // Step 4: Conversation loop
     for (let i = 1; i <= iterations; i++) {
@@ -522,79 +686,136 @@ async function dialoguePipeline(config) {
         `[DialoguePipeline] Step 4.${i}: Conversation iteration ${i}/${iterations}`
       );
 
-      // Agent 2 response
-      console.log(`[DialoguePipeline] Agent 2 responding to iteration ${i}...`);
-      const agent2Message =
-        "Please respond to the ongoing dialogue. Review the conversation history and contribute your perspective.";
-      const agent2Config = await dialogueAg2(
-        agent2Message,
-        context,
-        messageHistory
-      );
-      const agent2Response = await callEverest(
-        agent2Config,
-        pipelineData,
-        `agent2_iteration_${i}`
-      );
+      if (operator.stopReason) {
+        break;
+      }
 
-      if (agent2Response.error) {
-        console.error(
-          `[DialoguePipeline] ❌ Agent 2 iteration ${i} failed:`,
-          agent2Response.error
+      // Agent 2 response (unless the operator skipped it)
+      if (operator.takeSkip()) {
+        console.log(
+          `[DialoguePipeline] Agent 2 iteration ${i} skipped by the operator`
+        );
+      } else {
+        console.log(
+          `[DialoguePipeline] Agent 2 responding to iteration ${i}...`
+        );
+        const agent2Message =
+          "Please respond to the ongoing dialogue. Review the conversation history and contribute your perspective.";
+        const agent2History = await contextManager.prepareHistory(
+          messageHistory,
+          { key: "dialogue", model: agent2Model }
+        );
+        const agent2Config = contextManager.tag(
+          await dialogueAg2(agent2Message, context, agent2History.history),
+          { history: agent2History.strategy }
+        );
+        const agent2Response = await checkpoint.runStep(
+          `agent2_iteration_${i}`,
+          () => callEverest(agent2Config, pipelineData, `agent2_iteration_${i}`)
         );
-        completePipeline(pipelineData, "failed");
-        return {
-          runId: pipelineData.runId,
-          error: `Agent 2 iteration ${i} failed`,
-          details: agent2Response.error,
-          pipeline: pipelineData,
-        };
-      }
 
-      const agent2Content = extractResponseContent(agent2Response);
-      if (!agent2Content) {
-        console.error(
-          `[DialoguePipeline] ❌ Could not extract content from Agent 2 iteration ${i}`
+        if (agent2Response.budgetExceeded) {
+          budgetStop = agent2Response.error;
+          break;
+        }
+
+        if (agent2Response.error) {
+          console.error(
+            `[DialoguePipeline] ❌ Agent 2 iteration ${i} failed:`,
+            agent2Response.error
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: `Agent 2 iteration ${i} failed`,
+            details: agent2Response.error,
+            pipeline: pipelineData,
+          };
+        }
+
+        const agent2Content = extractResponseContent(agent2Response);
+        if (!agent2Content) {
+          console.error(
+            `[DialoguePipeline] ❌ Could not extract content from Agent 2 iteration ${i}`
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: `Could not extract content from Agent 2 iteration ${i}`,
+            pipeline: pipelineData,
+          };
+        }
+
+        // Add Agent 2's response to history and conversation
+        messageHistory.push({ role: "assistant", content: agent2Content });
+        conversation.push({
+          agent: "DialogueAg2",
+          iteration: i,
+          content: agent2Content,
+          timestamp: new Date().toISOString(),
+          callId: agent2Response.callID,
+        });
+
+        console.log(
+          `[DialoguePipeline] ✅ Agent 2 iteration ${i} response received`
         );
-        completePipeline(pipelineData, "failed");
-        return {
-          runId: pipelineData.runId,
-          error: `Could not extract content from Agent 2 iteration ${i}`,
-          pipeline: pipelineData,
-        };
-      }
 
-      // Add Agent 2's response to history and conversation
-      messageHistory.push({ role: "assistant", content: agent2Content });
-      conversation.push({
-        agent: "DialogueAg2",
-        iteration: i,
-        content: agent2Content,
-        timestamp: new Date().toISOString(),
-        callId: agent2Response.callID,
-      });
+        // Stop early once the agents converge (the judge is asked once per iteration)
+        const agent2Check = await convergence.check(conversation, {
+          iteration: i,
+          stepId: `convergence_check_${i}`,
+        });
+        if (agent2Check.budgetExceeded) {
+          budgetStop = agent2Check.error;
+          break;
+        }
+        if (agent2Check.converged) {
+          break;
+        }
 
-      console.log(
-        `[DialoguePipeline] ✅ Agent 2 iteration ${i} response received`
-      );
+        await pauseForOperator(i, i < iterations ? "DialogueAg1" : null);
+        if (operator.stopReason) {
+          break;
+        }
+      }
 
       // Agent 1 follow-up (except for the final iteration)
-      if (i < iterations) {
+      if (i < iterations && operator.takeSkip()) {
+        console.log(
+          `[DialoguePipeline] Agent 1 follow-up ${i} skipped by the operator`
+        );
+      } else if (i < iterations) {
         console.log(
           `[DialoguePipeline] Agent 1 follow-up for iteration ${i}...`
         );
         const agent1FollowupMessage =
           "Please continue the dialogue. Build on the previous responses and explore the topic further.";
-        const agent1FollowupConfig = await dialogueAg1(
-          agent1FollowupMessage,
-          context,
-          messageHistory
+        const agent1History = await contextManager.prepareHistory(
+          messageHistory,
+          { key: "dialogue", model: agent1Model }
         );
-        const agent1FollowupResponse = await callEverest(
-          agent1FollowupConfig,
-          pipelineData,
-          `agent1_followup_${i}`
+        const agent1FollowupConfig = contextManager.tag(
+          await dialogueAg1(
+            agent1FollowupMessage,
+            context,
+            agent1History.history
+          ),
+          { history: agent1History.strategy }
         );
+        const agent1FollowupResponse = await checkpoint.runStep(
+          `agent1_followup_${i}`,
+          () =>
+            callEverest(
+              agent1FollowupConfig,
+              pipelineData,
+              `agent1_followup_${i}`
+            )
+        );
+
+        if (agent1FollowupResponse.budgetExceeded) {
+          budgetStop = agent1FollowupResponse.error;
+          break;
+        }
 
         if (agent1FollowupResponse.error) {
           console.error(
@@ -641,6 +862,19 @@ async function dialoguePipeline(config) {
         console.log(
           `[DialoguePipeline] ✅ Agent 1 follow-up ${i} response received`
         );
+
+        const agent1Check = await convergence.check(conversation, {
+          iteration: i,
+        });
+        if (agent1Check.budgetExceeded) {
+          budgetStop = agent1Check.error;
+          break;
+        }
+        if (agent1Check.converged) {
+          break;
+        }
+
+        await pauseForOperator(i + 0.5, "DialogueAg2");
       }
     }
 
@@ -648,62 +882,84 @@ async function dialoguePipeline(config) {
     console.log(
       "[DialoguePipeline] Step 5: Generating conversation summary..."
     );
+    let summaryContent = null;
+    let summaryCallId = null;
+
+    if (!budgetStop) {
+      // Create conversation history string for summary agent
+      const conversationText = conversation
+        .map((entry) =>
+          entry.isHuman
+            ? `${entry.agent} (human): ${entry.content}`
+            : `${entry.agent} (Iteration ${entry.iteration}): ${entry.content}`
+        )
+        .join("\n\n");
+
+      const summaryMessage = `CONVERSATION HISTORY:\n${conversationText}`;
+      const summaryConfig = await summaryAgent(
+        summaryMessage,
+        summaryFocus,
+        []
+      );
+      const summaryResponse = await checkpoint.runStep(
+        "conversation_summary",
+        () => callEverest(summaryConfig, pipelineData, "conversation_summary")
+      );
 
-    // Create conversation history string for summary agent
-    const conversationText = conversation
-      .map(
-        (entry) =>
-          `${entry.agent} (Iteration ${entry.iteration}): ${entry.content}`
-      )
-      .join("\n\n");
-
-    const summaryMessage = `CONVERSATION HISTORY:\n${conversationText}`;
-    const summaryConfig = await summaryAgent(summaryMessage, summaryFocus, []);
-    const summaryResponse = await callEverest(
-      summaryConfig,
-      pipelineData,
-      "conversation_summary"
-    );
+      if (summaryResponse.budgetExceeded) {
+        budgetStop = summaryResponse.error;
+      } else if (summaryResponse.error) {
+        console.error(
+          "[DialoguePipeline] ❌ Summary generation failed:",
+          summaryResponse.error
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: "Summary generation failed",
+          details: summaryResponse.error,
+          conversation,
+          pipeline: pipelineData,
+        };
+      }
 
-    if (summaryResponse.error) {
-      console.error(
-        "[DialoguePipeline] ❌ Summary generation failed:",
-        summaryResponse.error
-      );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Summary generation failed",
-        details: summaryResponse.error,
-        conversation,
-        pipeline: pipelineData,
-      };
-    }
+      summaryContent = budgetStop
+        ? null
+        : extractResponseContent(summaryResponse);
+      if (!budgetStop && !summaryContent) {
+        console.error(
+          "[DialoguePipeline] ❌ Could not extract content from summary response"
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: "Could not extract content from summary response",
+          conversation,
+          pipeline: pipelineData,
+        };
+      }
 
-    const summaryContent = extractResponseContent(summaryResponse);
-    if (!summaryContent) {
-      console.error(
-        "[DialoguePipeline] ❌ Could not extract content from summary response"
-      );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Could not extract content from summary response",
-        conversation,
-        pipeline: pipelineData,
-      };
+      if (summaryContent) {
+        console.log("[DialoguePipeline] ✅ Summary generated successfully");
+        summaryCallId = summaryResponse.callID;
+      }
     }
 
-    console.log("[DialoguePipeline] ✅ Summary generated successfully");
+    if (budgetStop) {
+      console.warn(`[DialoguePipeline] ⚠️ Stopping early - ${budgetStop}`);
+      summaryContent = `_Summary not generated: the run stopped early. ${budgetStop}._`;
+    }
 
     // Step 6: Generate output files
     console.log("[DialoguePipeline] Step 6: Generating output files...");
 
+    const convergenceReport = convergence.report();
     const summaryData = {
       content: summaryContent,
       focus: summaryFocus,
       timestamp: new Date().toISOString(),
-      callId: summaryResponse.callID,
+      callId: summaryCallId,
+      ...(convergenceReport && { convergence: convergenceReport }),
     };
 
     const fileGenerationResult = await generateOutputFiles(
@@ -732,8 +988,10 @@ async function dialoguePipeline(config) {
       });
     }
 
-    // Step 7: Complete pipeline
-    completePipeline(pipelineData, "completed");
+    // Step 7: Complete pipeline (partial when the budget stopped the run)
+    completePipeline(pipelineData, budgetStop ? "partial" : "completed");
+    await checkpoint.complete();
+    const dryRunReport = await finishDryRun(pipelineData, "[DialoguePipeline]");
 
     // Display pipeline summary
     console.log(`\n[DialoguePipeline] 📊 PIPELINE SUMMARY:`);
@@ -752,21 +1010,35 @@ async function dialoguePipeline(config) {
     console.log(`Success rate: ${pipelineData.statistics?.successRate || 0}%`);
     console.log(`Conversation exchanges: ${conversation.length}`);
 
-    // Return structured result
-    return {
+    // Return structured result, running any downstream chain first
+    const result = {
       runId: pipelineData.runId,
       conversation,
       summary: {
         content: summaryContent,
         focus: summaryFocus,
         timestamp: new Date().toISOString(),
-        callId: summaryResponse.callID,
+        callId: summaryCallId,
+        ...(convergenceReport && { convergence: convergenceReport }),
       },
+      ...(budgetStop && { stopReason: budgetStop }),
+      ...(!budgetStop &&
+        operator.stopReason && { stopReason: operator.stopReason }),
+      ...(!budgetStop &&
+        !operator.stopReason &&
+        convergenceReport?.stoppedEarly && {
+          stopReason: convergenceReport.stop.reason,
+        }),
+      ...(dryRunReport && { dryRun: dryRunReport }),
       config: validation.sanitizedConfig,
       pipeline: pipelineData,
       files: fileGenerationResult.success ? fileGenerationResult.files : null,
       fileGenerationStatus: fileGenerationResult.success ? "success" : "failed",
     };
+    return continueChain(result, config, {
+      pipeline: "dialogue",
+      logPrefix: "[DialoguePipeline]",
+    });
   } catch (error) {
     console.error(
       `[DialoguePipeline] ❌ Pipeline ${pipelineData.runId} failed with error:`,
@@ -933,9 +1205,10 @@ async function validateSourceFile(filePath) {
  * NostrMQ execution interface for dialogue pipeline
  * @param {Object} parameters - Pipeline parameters from NostrMQ request
  * @param {Object} jobLogger - Job-specific logger instance
+ * @param {Object} context - Job context (jobId, requestId, sender pubkey)
  * @returns {Promise<Object>} - Pipeline execution result
  */
-export async function executeViaNostrMQ(parameters, jobLogger) {
+export async function executeViaNostrMQ(parameters, jobLogger, context = {}) {
   jobLogger.info("Dialogue pipeline execution started via NostrMQ", {
     parameters,
   });
@@ -946,9 +1219,12 @@ export async function executeViaNostrMQ(parameters, jobLogger) {
       sourceText: parameters.sourceText,
       discussionPrompt: parameters.discussionPrompt,
       iterations: parameters.iterations || 3,
+      convergence: parameters.convergence,
+      contextManagement: parameters.contextManagement,
       summaryFocus:
         parameters.summaryFocus ||
         "Please provide a comprehensive summary of the key points, insights, and conclusions from this dialogue.",
+      sender: context.sender,
     };
 
     // Execute the pipeline
@@ -980,7 +1256,12 @@ export const pipelineInfo = {
   version: "1.0.0",
   parameters: {
     required: ["sourceText", "discussionPrompt"],
-    optional: ["iterations", "summaryFocus"],
+    optional: [
+      "iterations",
+      "summaryFocus",
+      "convergence",
+      "contextManagement",
+    ],
     schema: {
       sourceText: {
         type: "string",
@@ -1005,6 +1286,16 @@ export const pipelineInfo = {
         default:
           "Please provide a comprehensive summary of the key points, insights, and conclusions from this dialogue.",
       },
+      convergence: {
+        type: ["boolean", "object"],
+        description:
+          "End the dialogue early once the agents converge: true, or { threshold, minTurns, judge, judgeConfidence }",
+      },
+      contextManagement: {
+        type: ["boolean", "object"],
+        description:
+          "Summarise older turns and excerpt long sources to keep prompts bounded (off by default): true, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }",
+      },
     },
   },
   capabilities: [
@@ -0,0 +1,728 @@
+import { fileURLToPath } from "url";
+import { promises as fs } from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { callEverest } from "../../services/everest.service.js";
+import { loadAgent } from "../../services/agentLoader.service.js";
+import {
+  createPipelineData,
+  completePipeline,
+  addStepResult,
+} from "../../utils/pipelineData.js";
+import { formatCostSummary } from "../../utils/pipelineCost.js";
+import {
+  validateBudgetOptions,
+  setPipelineBudget,
+  estimatePipelineCost,
+  resolveAgentModel,
+  reportPreflightEstimate,
+} from "../../utils/pipelineBudget.js";
+import { openCheckpoint } from "../../utils/pipelineCheckpoint.js";
+import { isDryRun, enableDryRun, finishDryRun } from "../../utils/dryRun.js";
+import {
+  validateChainOptions,
+  continueChain,
+} from "../../utils/pipelineChain.js";
+import {
+  MAX_LOOP_ITERATIONS,
+  getSpecDir,
+  isSpecFile,
+  loadPipelineSpec,
+  loadPipelineSpecs,
+  renderTemplate,
+  resolveValue,
+  evaluateCondition,
+  validateSpecInputs,
+  specToPipelineInfo,
+} from "../../utils/pipelineSpec.js";
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Pipeline Engine - runs declarative pipeline specs
+ *
+ * A spec (see src/utils/pipelineSpec.js) lists agent steps, loops and conditions. The
+ * engine walks them with the same building blocks as the hand-written pipelines
+ * (createPipelineData, loadAgent, callEverest), so spec pipelines get cost tracking,
+ * budgets, checkpoints, dry runs and the cost ledger for free.
+ */
+
+/**
+ * Extracts response content from various API response formats
+ * @param {Object} response - API response object
+ * @returns {string|null} - Extracted content or null if not found
+ */
+function extractResponseContent(response) {
+  if (response.error) {
+    return null;
+  }
+
+  if (response.response && response.response.content) {
+    return response.response.content;
+  } else if (response.choices?.[0]?.message?.content) {
+    return response.choices[0].message.content;
+  } else if (
+    typeof response.message === "string" &&
+    response.message.length > 0
+  ) {
+    return response.message;
+  }
+
+  return null;
+}
+
+/**
+ * Formats the transcript of agent steps as readable text
+ * @param {Array} transcript - Transcript entries
+ * @returns {string} - One block per step
+ */
+function formatTranscript(transcript) {
+  return transcript
+    .map((entry) => `${entry.agent} (${entry.stepId}): ${entry.content}`)
+    .join("\n\n");
+}
+
+/**
+ * Builds the values available to templates and conditions
+ * @param {Object} run - Run state
+ * @param {Object|null} loop - Innermost loop position
+ * @returns {Object} - Template scope
+ */
+function buildScope(run, loop = null) {
+  return {
+    ...run.vars,
+    inputs: run.inputs,
+    loop: loop || {},
+    run: {
+      runId: run.pipelineData.runId,
+      pipeline: run.spec.name,
+      startTime: run.pipelineData.startTime,
+    },
+    transcript: formatTranscript(run.transcript),
+  };
+}
+
+/**
+ * Resolves a loop count, which may reference an input
+ * @param {Object} loop - Loop definition
+ * @param {Object} scope - Template scope
+ * @returns {number} - Iteration count
+ * @throws {Error} - When the count is not an integer between 1 and MAX_LOOP_ITERATIONS
+ */
+function resolveLoopCount(loop, scope) {
+  const count = Number(resolveValue(loop.count, scope));
+  if (!Number.isInteger(count) || count < 1 || count > MAX_LOOP_ITERATIONS) {
+    throw new Error(
+      `Loop count must be an integer between 1 and ${MAX_LOOP_ITERATIONS} (got ${loop.count})`
+    );
+  }
+  return count;
+}
+
+/**
+ * Counts the most calls each agent can make, for the pre-flight estimate
+ * @param {Array} steps - Spec steps
+ * @param {Object} scope - Template scope (inputs only)
+ * @param {number} multiplier - Product of the enclosing loop counts
+ * @param {Object} counts - Accumulated calls per agent alias
+ * @returns {Object} - Calls per agent alias
+ */
+function countAgentCalls(steps, scope, multiplier = 1, counts = {}) {
+  for (const step of steps) {
+    if (step.loop) {
+      let count = 1;
+      try {
+        count = resolveLoopCount(step.loop, scope);
+      } catch (error) {
+        // Reported when the loop runs
+      }
+      countAgentCalls(step.loop.steps, scope, multiplier * count, counts);
+    } else {
+      counts[step.agent] = (counts[step.agent] || 0) + multiplier;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Runs one agent step and binds its output
+ * @param {Object} step - Step definition
+ * @param {Object} run - Run state
+ * @param {Object|null} loop - Innermost loop position
+ * @param {string} stepId - Unique step ID (step id plus loop iterations)
+ * @returns {Promise<Object|null>} - Stop outcome, or null to carry on
+ */
+async function executeAgentStep(step, run, loop, stepId) {
+  const scope = buildScope(run, loop);
+  const message = renderTemplate(step.message, scope);
+  const context = renderTemplate(step.context || "", scope);
+  const history = step.history
+    ? run.transcript.map((entry) => ({
+        role: "assistant",
+        content: entry.content,
+      }))
+    : [];
+
+  console.log(`${run.logPrefix} Step ${stepId}: calling ${step.agent}...`);
+  const agentConfig = await run.agents[step.agent](message, context, history);
+  const response = await run.checkpoint.runStep(stepId, () =>
+    callEverest(
+      agentConfig,
+      run.pipelineData,
+      stepId,
+      run.options.fetchFn,
+      run.options
+    )
+  );
+
+  if (response.budgetExceeded) {
+    return { budgetStop: response.error };
+  }
+
+  if (response.error) {
+    console.error(`${run.logPrefix} ❌ Step ${stepId} failed:`, response.error);
+    return { error: `Step ${stepId} failed`, details: response.error };
+  }
+
+  const content = extractResponseContent(response);
+  if (!content) {
+    console.error(
+      `${run.logPrefix} ❌ Could not extract content from step ${stepId}`
+    );
+    return { error: `Could not extract content from step ${stepId}` };
+  }
+
+  let value = content;
+  if (step.parse === "json") {
+    try {
+      value = JSON.parse(content);
+    } catch (parseError) {
+      console.warn(
+        `${run.logPrefix} ⚠️ Step ${stepId} did not return valid JSON - keeping text`
+      );
+    }
+  }
+
+  run.vars[step.output || step.id] = value;
+  run.transcript.push({
+    stepId,
+    step: step.id,
+    agent: step.agent,
+    iteration: loop?.iteration ?? null,
+    content,
+    timestamp: new Date().toISOString(),
+    callId: response.callID,
+  });
+
+  console.log(`${run.logPrefix} ✅ Step ${stepId} completed`);
+  return null;
+}
+
+/**
+ * Walks a list of steps, recursing into loops
+ * @param {Array} steps - Spec steps
+ * @param {Object} run - Run state
+ * @param {Object|null} loop - Innermost loop position
+ * @param {string} suffix - Step ID suffix from the enclosing loop iterations
+ * @returns {Promise<Object|null>} - Stop outcome, or null when every step ran
+ */
+async function executeSteps(steps, run, loop = null, suffix = "") {
+  for (const step of steps) {
+    if (!evaluateCondition(step.when, buildScope(run, loop))) {
+      console.log(
+        `${run.logPrefix} Skipping ${
+          step.id || "loop"
+        }${suffix} - condition not met`
+      );
+      continue;
+    }
+
+    if (!step.loop) {
+      const outcome = await executeAgentStep(
+        step,
+        run,
+        loop,
+        `${step.id}${suffix}`
+      );
+      if (outcome) {
+        return outcome;
+      }
+      continue;
+    }
+
+    const count = resolveLoopCount(step.loop, buildScope(run, loop));
+    for (let iteration = 1; iteration <= count; iteration++) {
+      const position = { iteration, count, parent: loop };
+      const outcome = await executeSteps(
+        step.loop.steps,
+        run,
+        position,
+        `${suffix}_${iteration}`
+      );
+      if (outcome) {
+        return outcome;
+      }
+
+      if (
+        step.loop.until !== undefined &&
+        evaluateCondition(step.loop.until, buildScope(run, position))
+      ) {
+        console.log(
+          `${run.logPrefix} Loop finished early after iteration ${iteration}/${count} - until condition met`
+        );
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Generates a unique timestamped folder name with collision handling
+ * @param {string} baseDir - Base directory path
+ * @returns {Promise<string>} - Unique folder name in format YY_MM_DD_HH_MM_SS_ID
+ */
+async function generateTimestampedFolderName(baseDir) {
+  const now = new Date();
+  const yy = now.getFullYear().toString().slice(-2);
+  const mm = (now.getMonth() + 1).toString().padStart(2, "0");
+  const dd = now.getDate().toString().padStart(2, "0");
+  const hh = now.getHours().toString().padStart(2, "0");
+  const min = now.getMinutes().toString().padStart(2, "0");
+  const ss = now.getSeconds().toString().padStart(2, "0");
+
+  const baseTimestamp = `${yy}_${mm}_${dd}_${hh}_${min}_${ss}`;
+
+  for (let id = 1; id <= 100; id++) {
+    const folderName = `${baseTimestamp}_${id}`;
+    try {
+      await fs.access(path.join(baseDir, folderName));
+    } catch (error) {
+      return folderName;
+    }
+  }
+
+  throw new Error("Unable to generate unique folder name after 100 attempts");
+}
+
+/**
+ * Writes the spec's output files plus data.json into a timestamped run folder
+ * @param {Object} run - Run state
+ * @param {Object} result - Rendered result fields
+ * @returns {Promise<Object>} - Object containing file paths and generation status
+ */
+async function generateOutputFiles(run, result) {
+  const timestamp = new Date().toISOString();
+  const baseOutputDir = path.join(
+    run.options.outputDir || "output",
+    run.spec.name
+  );
+
+  try {
+    await fs.mkdir(baseOutputDir, { recursive: true });
+    const folder = await generateTimestampedFolderName(baseOutputDir);
+    const outputDir = path.join(baseOutputDir, folder);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const baseScope = buildScope(run);
+    const scope = {
+      ...baseScope,
+      run: {
+        ...baseScope.run,
+        generatedAt: timestamp,
+        costSummary: formatCostSummary(run.pipelineData),
+      },
+    };
+    const fileSpecs = run.spec.outputs?.files || [
+      {
+        path: "transcript.md",
+        template:
+          "# {{run.pipeline}}\n\n**Run ID:** {{run.runId}}\n**Generated:** {{run.generatedAt}}\n\n## Transcript\n\n{{transcript}}\n\n## Costs\n\n{{run.costSummary}}\n",
+      },
+    ];
+
+    const files = {};
+    for (const fileSpec of fileSpecs) {
+      const filePath = path.join(outputDir, fileSpec.path);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(
+        filePath,
+        renderTemplate(fileSpec.template, scope),
+        "utf8"
+      );
+      files[fileSpec.path] = filePath;
+    }
+
+    const dataPath = path.join(outputDir, "data.json");
+    await fs.writeFile(
+      dataPath,
+      JSON.stringify(
+        {
+          runId: run.pipelineData.runId,
+          pipeline: run.spec.name,
+          inputs: run.inputs,
+          result,
+          vars: run.vars,
+          transcript: run.transcript,
+          costs: run.pipelineData.costs,
+          run: { ...run.pipelineData, generatedAt: timestamp },
+        },
+        null,
+        2
+      ),
+      "utf8"
+    );
+    files.data = dataPath;
+
+    console.log(`[FileGeneration] ✅ Files written to ${outputDir}`);
+    return { success: true, folder, outputDir, files, timestamp };
+  } catch (error) {
+    console.error(`[FileGeneration] ❌ File generation failed:`, error);
+    return { success: false, error: error.message, timestamp };
+  }
+}
+
+/**
+ * Runs a declarative pipeline spec
+ * @param {Object} spec - Validated pipeline spec
+ * @param {Object} config - Spec inputs plus the standard run options
+ * @param {number} config.maxCost - Optional cost budget in USD
+ * @param {number} config.maxTokens - Optional token budget
+ * @param {string} config.resumeRunId - Optional runId of an interrupted run to continue from its checkpoint
+ * @param {boolean} config.dryRun - Optional: render every prompt with stubbed responses instead of calling the API
+ * @param {Object} config.chain - Optional downstream pipeline to feed this run's results into ({ pipeline, mapping, config })
+ * @param {Object} options - Engine overrides
+ * @param {string} options.outputDir - Base output directory (default "output")
+ * @param {Function} options.fetchFn - Fetch implementation passed to callEverest (for testing)
+ * @returns {Promise<Object>} - Pipeline result with rendered result fields, transcript and files
+ */
+export async function runPipelineSpec(spec, config = {}, options = {}) {
+  const logPrefix = `[SpecPipeline:${spec.name}]`;
+  const pipelineData = createPipelineData();
+  pipelineData.metadata.pipeline = spec.name;
+  pipelineData.metadata.spec = spec.version || "1.0.0";
+  if (config.backend) {
+    pipelineData.metadata.backend = config.backend;
+  }
+  if (config.sender) {
+    pipelineData.metadata.sender = config.sender;
+  }
+
+  console.log(`${logPrefix} Starting pipeline ${pipelineData.runId}`);
+
+  try {
+    // Restore an interrupted run from its checkpoint when resumeRunId is set
+    const checkpoint = await openCheckpoint(pipelineData, spec.name, config);
+    config = checkpoint.config;
+    if (isDryRun(config)) {
+      enableDryRun(pipelineData);
+    }
+
+    // Step 1: Validate inputs
+    const validation = validateSpecInputs(spec, config);
+    const optionErrors = [
+      ...validateBudgetOptions(config),
+      ...validateChainOptions(config),
+    ];
+    if (!validation.isValid || optionErrors.length > 0) {
+      const errors = [...validation.errors, ...optionErrors];
+      console.error(`${logPrefix} ❌ Configuration validation failed:`, errors);
+      completePipeline(pipelineData, "failed");
+      return {
+        runId: pipelineData.runId,
+        error: "Configuration validation failed",
+        errors,
+        pipeline: pipelineData,
+      };
+    }
+
+    // Step 2: Load agents
+    const agents = {};
+    for (const [alias, agentPath] of Object.entries(spec.agents)) {
+      agents[alias] = await loadAgent(agentPath);
+    }
+
+    const run = {
+      spec,
+      pipelineData,
+      checkpoint,
+      agents,
+      inputs: validation.inputs,
+      vars: {},
+      transcript: [],
+      options,
+      logPrefix,
+    };
+
+    // Pre-flight cost estimate: every step at its loop count, ignoring conditions
+    setPipelineBudget(pipelineData, config);
+    const callCounts = countAgentCalls(spec.steps, buildScope(run));
+    reportPreflightEstimate(
+      pipelineData,
+      estimatePipelineCost(
+        await Promise.all(
+          Object.entries(callCounts).map(async ([alias, count]) => ({
+            model: await resolveAgentModel(agents[alias]),
+            count,
+          }))
+        )
+      ),
+      logPrefix
+    );
+
+    // Step 3: Walk the steps
+    const outcome = await executeSteps(spec.steps, run);
+    if (outcome?.error) {
+      completePipeline(pipelineData, "failed");
+      return {
+        runId: pipelineData.runId,
+        error: outcome.error,
+        ...(outcome.details && { details: outcome.details }),
+        transcript: run.transcript,
+        pipeline: pipelineData,
+      };
+    }
+
+    const budgetStop = outcome?.budgetStop || null;
+    if (budgetStop) {
+      console.warn(`${logPrefix} ⚠️ Stopping early - ${budgetStop}`);
+    }
+
+    // Step 4: Render result fields and output files
+    const scope = buildScope(run);
+    const result = Object.fromEntries(
+      Object.entries(spec.outputs?.result || {}).map(([key, template]) => [
+        key,
+        resolveValue(template, scope),
+      ])
+    );
+
+    const fileGenerationResult = await generateOutputFiles(run, result);
+    addStepResult(pipelineData, "file_generation", {
+      status: fileGenerationResult.success ? "success" : "failed",
+      ...(fileGenerationResult.success
+        ? { files: fileGenerationResult.files }
+        : { error: fileGenerationResult.error }),
+      timestamp: fileGenerationResult.timestamp,
+    });
+
+    // Step 5: Complete pipeline (partial when the budget stopped the run)
+    completePipeline(pipelineData, budgetStop ? "partial" : "completed");
+    await checkpoint.complete();
+    const dryRunReport = await finishDryRun(pipelineData, logPrefix);
+
+    console.log(
+      `${logPrefix} 📊 ${pipelineData.status} - ${run.transcript.length} agent steps`
+    );
+
+    const specResult = {
+      runId: pipelineData.runId,
+      result,
+      vars: run.vars,
+      transcript: run.transcript,
+      ...(budgetStop && { stopReason: budgetStop }),
+      ...(dryRunReport && { dryRun: dryRunReport }),
+      config: validation.inputs,
+      pipeline: pipelineData,
+      files: fileGenerationResult.success ? fileGenerationResult.files : null,
+      fileGenerationStatus: fileGenerationResult.success ? "success" : "failed",
+    };
+    return continueChain(specResult, config, {
+      pipeline: spec.name,
+      logPrefix,
+    });
+  } catch (error) {
+    console.error(
+      `${logPrefix} ❌ Pipeline ${pipelineData.runId} failed with error:`,
+      error
+    );
+    completePipeline(pipelineData, "failed");
+    pipelineData.error = {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    };
+
+    return {
+      runId: pipelineData.runId,
+      error: "Pipeline execution failed",
+      details: error.message,
+      pipeline: pipelineData,
+    };
+  }
+}
+
+/**
+ * Wraps a spec in the same interface as a pipeline module
+ *
+ * The registries and MCP tool registry register the returned object like a
+ * `*Pipeline.js` module: it exposes `<name>Pipeline`, `executeViaNostrMQ` and `pipelineInfo`.
+ *
+ * @param {Object} spec - Validated pipeline spec
+ * @param {string|null} filePath - Spec file the pipeline was loaded from
+ * @returns {Object} - Pipeline module for the spec
+ */
+export function createSpecPipeline(spec, filePath = null) {
+  const run = (config, options) => runPipelineSpec(spec, config, options);
+
+  return {
+    name: spec.name,
+    filePath,
+    spec,
+    run,
+    [`${spec.name}Pipeline`]: run,
+    pipelineInfo: specToPipelineInfo(spec),
+
+    /**
+     * NostrMQ execution interface for the spec pipeline
+     * @param {Object} parameters - Pipeline parameters from NostrMQ request
+     * @param {Object} jobLogger - Job-specific logger instance
+     * @param {Object} context - Job context (jobId, requestId, sender pubkey)
+     * @returns {Promise<Object>} - Pipeline execution result
+     */
+    async executeViaNostrMQ(parameters, jobLogger, context = {}) {
+      jobLogger.info(
+        `${spec.name} spec pipeline execution started via NostrMQ`,
+        {
+          parameters,
+        }
+      );
+
+      try {
+        const result = await run({ ...parameters, sender: context.sender });
+
+        jobLogger.info(
+          `${spec.name} spec pipeline execution completed via NostrMQ`,
+          {
+            runId: result.runId,
+            status: result.error ? "failed" : result.pipeline?.status,
+          }
+        );
+        return result;
+      } catch (error) {
+        jobLogger.error(
+          `${spec.name} spec pipeline execution failed via NostrMQ`,
+          {
+            error: error.message,
+            stack: error.stack,
+          }
+        );
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Loads every spec in the spec directory as a pipeline module
+ * @param {string} dir - Spec directory (defaults to getSpecDir())
+ * @returns {Promise<Object>} - `{ pipelines, errors }` where errors lists specs that failed to load
+ */
+export async function loadSpecPipelines(dir = getSpecDir()) {
+  const { specs, errors } = await loadPipelineSpecs(dir);
+  return {
+    pipelines: specs.map(({ spec, filePath }) =>
+      createSpecPipeline(spec, filePath)
+    ),
+    errors,
+  };
+}
+
+/**
+ * Finds a spec by file path or by pipeline name in the spec directory
+ * @param {string} specRef - Spec file path or spec name
+ * @returns {Promise<Object>} - Validated spec
+ * @throws {Error} - When no spec matches
+ */
+export async function resolvePipelineSpec(specRef) {
+  if (isSpecFile(specRef)) {
+    return loadPipelineSpec(specRef);
+  }
+
+  const { specs } = await loadPipelineSpecs(getSpecDir());
+  const match = specs.find(({ spec }) => spec.name === specRef);
+  if (!match) {
+    throw new Error(`No pipeline spec named ${specRef} in ${getSpecDir()}`);
+  }
+  return match.spec;
+}
+
+/**
+ * Parses CLI arguments: a spec followed by --<input> <value> pairs
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<Object>} - `{ specRef, config }`
+ * @throws {Error} - On a missing spec or a flag without a value
+ */
+export async function parseEngineArgs(argv) {
+  const [specRef, ...rest] = argv;
+  if (!specRef || specRef.startsWith("--")) {
+    throw new Error(
+      "Usage: node src/pipelines/engine/index.js <spec file or name> [--dry-run] [--chain <json|@file>] [--<input> <value|@file>]..."
+    );
+  }
+
+  const config = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--dry-run") {
+      config.dryRun = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+
+    const value = rest[i + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`Missing value for ${arg}`);
+    }
+    // @path reads the value from a file, e.g. --sourceText @notes.md
+    config[arg.slice(2)] = value.startsWith("@")
+      ? await fs.readFile(value.slice(1), "utf8")
+      : value;
+    i++;
+  }
+
+  // Budget options are numbers; spec inputs are coerced by validateSpecInputs
+  for (const key of ["maxCost", "maxTokens"]) {
+    if (config[key] !== undefined) {
+      config[key] = Number(config[key]);
+    }
+  }
+  // A chain is JSON, usually read from a file: --chain @chain.json
+  if (config.chain !== undefined) {
+    config.chain = JSON.parse(config.chain);
+  }
+
+  return { specRef, config };
+}
+
+// ES Module main detection for direct execution
+const isMain = process.argv[1] === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  parseEngineArgs(process.argv.slice(2))
+    .then(async ({ specRef, config }) => {
+      const spec = await resolvePipelineSpec(specRef);
+      console.log(`🚀 Running spec pipeline ${spec.name}...\n`);
+      return runPipelineSpec(spec, config);
+    })
+    .then((result) => {
+      console.log("\n📋 FINAL PIPELINE RESULT:");
+      console.log(`Run ID: ${result.runId}`);
+      if (result.error) {
+        console.log(`❌ Error: ${result.error}`);
+        if (result.details) console.log(`Details: ${result.details}`);
+        if (result.errors) console.log(`Errors: ${result.errors.join("; ")}`);
+      } else {
+        console.log(`✅ ${result.pipeline.status}`);
+        if (result.files) console.log(`📁 Files: ${result.files.data}`);
+      }
+      process.exit(result.error ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("❌ Spec pipeline failed:", error.message);
+      process.exit(1);
+    });
+}
@@ -10,6 +10,37 @@ import {
   addStepResult,
 } from "../utils/pipelineData.js";
 import { formatCostSummary } from "../utils/pipelineCost.js";
+import {
+  validateBudgetOptions,
+  setPipelineBudget,
+  estimatePipelineCost,
+  resolveAgentModel,
+  reportPreflightEstimate,
+} from "../utils/pipelineBudget.js";
+import { openCheckpoint } from "../utils/pipelineCheckpoint.js";
+import { isDryRun, enableDryRun, finishDryRun } from "../utils/dryRun.js";
+import { validateChainOptions, continueChain } from "../utils/pipelineChain.js";
+import {
+  validateConvergenceOptions,
+  resolveConvergenceOptions,
+  createConvergenceMonitor,
+  formatConvergenceSection,
+} from "../utils/dialogueConvergence.js";
+import {
+  validateContextOptions,
+  resolveContextOptions,
+  estimateSummaryCalls,
+  createContextManager,
+} from "../utils/contextManager.js";
+import {
+  validateFacilitatorSchedule,
+  resolveFacilitatorSchedule,
+  decideIntervention,
+  estimateInterventionCount,
+  parseIntervention,
+  formatInterventionSection,
+} from "../utils/facilitatorSchedule.js";
+import { createOperatorSession } from "../utils/humanInTheLoop.js";
 
 // Load environment variables
 dotenv.config();
@@ -97,9 +128,45 @@ function validateFacilitatedDialogueConfig(config) {
     sanitizedConfig.facilitatorEnabled = config.facilitatorEnabled;
   }
 
-  // Special validation: when facilitator is enabled, iterations should be even
+  // Validate optional cost/token budget
+  errors.push(...validateBudgetOptions(config));
+  if (config.maxCost !== undefined) {
+    sanitizedConfig.maxCost = config.maxCost;
+  }
+  if (config.maxTokens !== undefined) {
+    sanitizedConfig.maxTokens = config.maxTokens;
+  }
+
+  // Validate optional convergence detection (early stop)
+  const convergenceErrors = validateConvergenceOptions(config);
+  errors.push(...convergenceErrors);
+  if (convergenceErrors.length === 0 && config.convergence) {
+    sanitizedConfig.convergence = resolveConvergenceOptions(config.convergence);
+  }
+
+  // Validate optional context management (opt-in)
+  const contextErrors = validateContextOptions(config);
+  errors.push(...contextErrors);
+  if (contextErrors.length === 0 && config.contextManagement !== undefined) {
+    sanitizedConfig.contextManagement = config.contextManagement;
+  }
+
+  // Validate optional facilitator schedule (default: every second iteration)
+  const scheduleErrors = validateFacilitatorSchedule(config);
+  errors.push(...scheduleErrors);
+  if (scheduleErrors.length === 0 && config.facilitatorSchedule != null) {
+    sanitizedConfig.facilitatorSchedule = resolveFacilitatorSchedule(
+      config.facilitatorSchedule
+    );
+  }
+
+  // Validate optional downstream chain
+  errors.push(...validateChainOptions(config));
+
+  // Special validation: with the default schedule, iterations should be even
   if (
     sanitizedConfig.facilitatorEnabled &&
+    config.facilitatorSchedule == null &&
     sanitizedConfig.iterations % 2 !== 0
   ) {
     errors.push(
@@ -150,11 +217,22 @@ function extractResponseContent(response) {
  * Determines if facilitator should be called at this iteration
  * @param {number} iteration - Current iteration number
  * @param {boolean} facilitatorEnabled - Whether facilitator is enabled
+ * @param {Object} [schedule] - Resolved facilitator schedule (default: every second iteration)
+ * @param {Object} [state] - iterations, conversation, discussionPrompt and interventions so far, for adaptive schedules
  * @returns {boolean} - True if facilitator should be called
  */
-function shouldCallFacilitator(iteration, facilitatorEnabled) {
+function shouldCallFacilitator(
+  iteration,
+  facilitatorEnabled,
+  schedule = resolveFacilitatorSchedule(),
+  state = {}
+) {
   if (!facilitatorEnabled) return false;
-  return iteration > 0 && iteration % 2 === 0;
+  return decideIntervention(schedule, {
+    conversation: [],
+    ...state,
+    iteration,
+  }).intervene;
 }
 
 /**
@@ -162,15 +240,23 @@ function shouldCallFacilitator(iteration, facilitatorEnabled) {
  * @param {Array} conversation - Current conversation history
  * @param {Object} config - Pipeline configuration
  * @param {number} iteration - Current iteration number
+ * @param {Object} [options] - Compressed conversationText/sourceText to send instead of the full ones, and the trigger that called the facilitator
  * @returns {Object} - Facilitator context object
  */
-function prepareFacilitatorContext(conversation, config, iteration) {
-  const conversationText = conversation
-    .map(
-      (entry) =>
-        `${entry.agent} (Iteration ${entry.iteration}): ${entry.content}`
-    )
-    .join("\n\n");
+function prepareFacilitatorContext(
+  conversation,
+  config,
+  iteration,
+  options = {}
+) {
+  const conversationText =
+    options.conversationText ??
+    conversation
+      .map(
+        (entry) =>
+          `${entry.agent} (Iteration ${entry.iteration}): ${entry.content}`
+      )
+      .join("\n\n");
 
   return {
     sourceText: config.sourceText,
@@ -183,11 +269,11 @@ CONVERSATION HISTORY:
 ${conversationText}
 
 SOURCE MATERIAL:
-${config.sourceText}
+${options.sourceText ?? config.sourceText}
 
 DISCUSSION PROMPT:
 ${config.discussionPrompt}
-
+${options.trigger ? `\nWHY YOU ARE INTERVENING:\n${options.trigger}\n` : ""}
 Please provide facilitator guidance to enhance the ongoing dialogue.`,
   };
 }
@@ -286,7 +372,18 @@ ${sourceText}
 
   conversationArray.forEach((entry, index) => {
     if (entry.isFacilitator) {
-      markdown += `### 🎯 Facilitator Intervention (Iteration ${entry.iteration})
+      markdown += `### 🎯 Facilitator Intervention (Iteration ${
+        entry.iteration
+      })${entry.interventionType ? ` - ${entry.interventionType}` : ""}
+*${entry.timestamp}*
+
+${entry.content}
+
+---
+
+`;
+    } else if (entry.isHuman) {
+      markdown += `### 🧑 ${entry.agent} (human)
 *${entry.timestamp}*
 
 ${entry.content}
@@ -350,7 +447,14 @@ ${formatCostSummary(pipelineData)}
 ## Summary
 
 ${summaryData.content}
-
+${formatConvergenceSection(summaryData.convergence)}${
+    facilitatorEnabled && pipelineData.facilitatorSchedule
+      ? formatInterventionSection(
+          pipelineData.facilitatorSchedule,
+          pipelineData.facilitatorInterventions
+        )
+      : ""
+  }
 ## Context
 - **Source Material Length**: ${sourceText.length} characters
 - **Dialogue Iterations**: ${iterations}
@@ -389,8 +493,16 @@ function generateEnhancedDataJson(
     },
     facilitator: {
       enabled: config.facilitatorEnabled,
+      schedule: pipelineData.facilitatorSchedule,
       interventions: pipelineData.facilitatorInterventions || [],
       totalInterventions: pipelineData.facilitatorInterventions?.length || 0,
+      byType: (pipelineData.facilitatorInterventions || []).reduce(
+        (counts, entry) => ({
+          ...counts,
+          [entry.type]: (counts[entry.type] || 0) + 1,
+        }),
+        {}
+      ),
     },
     costs: pipelineData.costs,
     pipeline: {
@@ -517,10 +629,25 @@ async function generateEnhancedOutputFiles(
 /**
  * Facilitated dialogue pipeline that orchestrates a conversation between two agents with facilitator intervention
  * @param {Object} config - Configuration object containing sourceText, discussionPrompt, iterations, summaryFocus, facilitatorEnabled
+ * @param {string} config.resumeRunId - Optional runId of an interrupted run to continue from its checkpoint
+ * @param {boolean} config.dryRun - Optional: render every prompt with stubbed responses instead of calling the API
+ * @param {Object} config.chain - Optional downstream pipeline to feed this run's results into ({ pipeline, mapping, config })
+ * @param {boolean|Object} config.convergence - Optional early stop once the agents converge ({ threshold, minTurns, judge, judgeConfidence })
+ * @param {boolean|Object} config.contextManagement - Optional rolling summary/source excerpt settings: true for the defaults, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }
+ * @param {string|Object} config.facilitatorSchedule - Optional facilitator schedule: "interval", "agreement", "drift" or "budget", or { strategy, every, threshold, maxInterventions }
+ * @param {Object} [options] - Run options that are not part of the saved config
+ * @param {Function} [options.operator] - Optional interactive operator called between turns (see humanInTheLoop)
  * @returns {Promise<Object>} - Complete pipeline result with conversation, summary, and metadata
  */
-async function facilitatedDialoguePipeline(config) {
+async function facilitatedDialoguePipeline(config, options = {}) {
   const pipelineData = createPipelineData();
+  pipelineData.metadata.pipeline = "facilitatedDialogue";
+  if (config.backend) {
+    pipelineData.metadata.backend = config.backend;
+  }
+  if (config.sender) {
+    pipelineData.metadata.sender = config.sender;
+  }
   pipelineData.facilitatorInterventions = [];
 
   console.log(
@@ -531,6 +658,17 @@ async function facilitatedDialoguePipeline(config) {
   );
 
   try {
+    // Restore an interrupted run from its checkpoint when resumeRunId is set
+    const checkpoint = await openCheckpoint(
+      pipelineData,
+      "facilitatedDialogue",
+      config
+    );
+    config = checkpoint.config;
+    if (isDryRun(config)) {
+      enableDryRun(pipelineData);
+    }
+
     // Step 1: Validate configuration
     console.log(
       "[FacilitatedDialoguePipeline] Step 1: Validating configuration..."
@@ -557,9 +695,17 @@ async function facilitatedDialoguePipeline(config) {
       iterations,
       summaryFocus,
       facilitatorEnabled,
+      convergence: convergenceOptions,
     } = validation.sanitizedConfig;
+    const contextOptions = resolveContextOptions(
+      validation.sanitizedConfig.contextManagement
+    );
 
     pipelineData.facilitatorEnabled = facilitatorEnabled;
+    pipelineData.facilitatorSchedule = resolveFacilitatorSchedule(
+      validation.sanitizedConfig.facilitatorSchedule
+    );
+    const facilitatorSchedule = pipelineData.facilitatorSchedule;
 
     console.log(
       `[FacilitatedDialoguePipeline] ✅ Configuration validated - ${iterations} iterations planned, facilitator ${
@@ -595,16 +741,114 @@ async function facilitatedDialoguePipeline(config) {
       }
     }
 
+    const judgeAgent = convergenceOptions?.judge
+      ? await loadAgent("dialogue/convergenceJudge")
+      : null;
+    const rollingSummaryAgent = contextOptions?.summarize
+      ? await loadAgent("rollingSummary")
+      : null;
+    const agent1Model = await resolveAgentModel(dialogueAg1);
+    const agent2Model = await resolveAgentModel(dialogueAg2);
+    const facilitatorModel = facilitatorAgent
+      ? await resolveAgentModel(facilitatorAgent)
+      : null;
+
     console.log(
       "[FacilitatedDialoguePipeline] ✅ All dialogue agents loaded successfully"
     );
 
+    // Pre-flight cost estimate: dialogue calls plus the most facilitator calls the schedule allows
+    // (and at most one convergence judge call per iteration and one rolling summary per prompt,
+    // for the dialogue history and the facilitator's transcript)
+    setPipelineBudget(pipelineData, validation.sanitizedConfig);
+    const interventionCount = facilitatorAgent
+      ? estimateInterventionCount(facilitatorSchedule, iterations)
+      : 0;
+    reportPreflightEstimate(
+      pipelineData,
+      estimatePipelineCost([
+        { model: agent1Model, count: iterations },
+        { model: agent2Model, count: iterations },
+        { model: facilitatorModel, count: interventionCount },
+        {
+          model: judgeAgent ? await resolveAgentModel(judgeAgent) : null,
+          count: judgeAgent ? iterations : 0,
+        },
+        {
+          model: rollingSummaryAgent
+            ? await resolveAgentModel(rollingSummaryAgent)
+            : null,
+          count:
+            estimateSummaryCalls(contextOptions, {
+              prompts: 2 * iterations - 1,
+              turns: 2 * iterations + interventionCount,
+            }) +
+            estimateSummaryCalls(contextOptions, {
+              prompts: interventionCount,
+              turns: 2 * iterations + interventionCount,
+            }),
+        },
+        { model: await resolveAgentModel(summaryAgent), count: 1 },
+      ]),
+      "[FacilitatedDialoguePipeline]"
+    );
+
     // Step 3: Initialize conversation
     let messageHistory = [];
     const conversation = [];
+    let budgetStop = null;
+    const convergence = createConvergenceMonitor(convergenceOptions, {
+      pipelineData,
+      checkpoint,
+      judgeAgent,
+      discussionPrompt,
+      logPrefix: "[FacilitatedDialoguePipeline]",
+    });
+    const operator = createOperatorSession(options.operator, {
+      pipelineData,
+      checkpoint,
+      actions: ["continue", "inject", "skip", "end"],
+      logPrefix: "[FacilitatedDialoguePipeline]",
+    });
+    // Interactive runs let the operator add a human turn after each agent turn
+    const pauseForOperator = async (iteration, nextSpeaker) => {
+      const control = await operator.pause({
+        turn: conversation[conversation.length - 1],
+        nextSpeaker,
+        iteration,
+      });
+      if (control.action === "inject") {
+        messageHistory.push({
+          role: "user",
+          content: `${control.speaker} (human participant): ${control.content}`,
+        });
+        conversation.push({
+          agent: control.speaker,
+          iteration,
+          content: control.content,
+          timestamp: new Date().toISOString(),
+          isHuman: true,
+        });
+      }
+    };
+    // Long dialogues send a rolling summary plus the latest turns instead of everything
+    const contextManager = createContextManager(contextOptions, {
+      pipelineData,
+      checkpoint,
+      summaryAgent: rollingSummaryAgent,
+      logPrefix: "[FacilitatedDialoguePipeline]",
+    });
+    const source = contextManager.prepareSource(config.sourceText.trim(), {
+      model: agent1Model,
+      focus: config.discussionPrompt,
+    });
+    const sentSourceText =
+      source.strategy.strategy === "excerpt"
+        ? sanitizeMessageContent(source.text)
+        : sourceText;
 
     // Create initial message for Agent 1 with source text and discussion prompt
-    const initialMessage = `SOURCE MATERIAL:\n${sourceText}\n\nDISCUSSION PROMPT:\n${discussionPrompt}`;
+    const initialMessage = `SOURCE MATERIAL:\n${sentSourceText}\n\nDISCUSSION PROMPT:\n${discussionPrompt}`;
     const context =
       "You are starting a dialogue about the provided source material. Focus on the discussion prompt and engage thoughtfully with the content.";
 
@@ -613,15 +857,12 @@ async function facilitatedDialoguePipeline(config) {
     );
 
     // Agent 1 initial call
-    const agent1Config = await dialogueAg1(
-      initialMessage,
-      context,
-      messageHistory
+    const agent1Config = contextManager.tag(
+      await dialogueAg1(initialMessage, context, messageHistory),
+      { source: source.strategy }
     );
-    const agent1Response = await callEverest(
-      agent1Config,
-      pipelineData,
-      "agent1_initial"
+    const agent1Response = await checkpoint.runStep("agent1_initial", () =>
+      callEverest(agent1Config, pipelineData, "agent1_initial")
     );
 
     if (agent1Response.error) {
@@ -664,6 +905,7 @@ async function facilitatedDialoguePipeline(config) {
     console.log(
       "[FacilitatedDialoguePipeline] ✅ Agent 1 initial response received"
     );
+    await pauseForOperator(1, "DialogueAg2");
 
     // Step 4: Conversation loop with facilitator integration
     for (let i = 1; i <= iterations; i++) {
@@ -671,90 +913,161 @@ async function facilitatedDialoguePipeline(config) {
         `[FacilitatedDialoguePipeline] Step 4.${i}: Conversation iteration ${i}/${iterations}`
       );
 
-      // Agent 2 response
-      console.log(
-        `[FacilitatedDialoguePipeline] Agent 2 responding to iteration ${i}...`
-      );
-      const agent2Message =
-        "Please respond to the ongoing dialogue. Review the conversation history and contribute your perspective.";
-      const agent2Config = await dialogueAg2(
-        agent2Message,
-        context,
-        messageHistory
-      );
-      const agent2Response = await callEverest(
-        agent2Config,
-        pipelineData,
-        `agent2_iteration_${i}`
-      );
+      if (operator.stopReason) {
+        break;
+      }
 
-      if (agent2Response.error) {
-        console.error(
-          `[FacilitatedDialoguePipeline] ❌ Agent 2 iteration ${i} failed:`,
-          agent2Response.error
+      // Agent 2 response (unless the operator skipped it)
+      if (operator.takeSkip()) {
+        console.log(
+          `[FacilitatedDialoguePipeline] Agent 2 iteration ${i} skipped by the operator`
+        );
+      } else {
+        console.log(
+          `[FacilitatedDialoguePipeline] Agent 2 responding to iteration ${i}...`
+        );
+        const agent2Message =
+          "Please respond to the ongoing dialogue. Review the conversation history and contribute your perspective.";
+        const agent2History = await contextManager.prepareHistory(
+          messageHistory,
+          { key: "dialogue", model: agent2Model }
+        );
+        const agent2Config = contextManager.tag(
+          await dialogueAg2(agent2Message, context, agent2History.history),
+          { history: agent2History.strategy }
+        );
+        const agent2Response = await checkpoint.runStep(
+          `agent2_iteration_${i}`,
+          () => callEverest(agent2Config, pipelineData, `agent2_iteration_${i}`)
         );
-        completePipeline(pipelineData, "failed");
-        return {
-          runId: pipelineData.runId,
-          error: `Agent 2 iteration ${i} failed`,
-          details: agent2Response.error,
-          pipeline: pipelineData,
-        };
-      }
 
-      const agent2Content = extractResponseContent(agent2Response);
-      if (!agent2Content) {
-        console.error(
-          `[FacilitatedDialoguePipeline] ❌ Could not extract content from Agent 2 iteration ${i}`
+        if (agent2Response.budgetExceeded) {
+          budgetStop = agent2Response.error;
+          break;
+        }
+
+        if (agent2Response.error) {
+          console.error(
+            `[FacilitatedDialoguePipeline] ❌ Agent 2 iteration ${i} failed:`,
+            agent2Response.error
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: `Agent 2 iteration ${i} failed`,
+            details: agent2Response.error,
+            pipeline: pipelineData,
+          };
+        }
+
+        const agent2Content = extractResponseContent(agent2Response);
+        if (!agent2Content) {
+          console.error(
+            `[FacilitatedDialoguePipeline] ❌ Could not extract content from Agent 2 iteration ${i}`
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: `Could not extract content from Agent 2 iteration ${i}`,
+            pipeline: pipelineData,
+          };
+        }
+
+        // Add Agent 2's response to history and conversation
+        messageHistory.push({ role: "assistant", content: agent2Content });
+        conversation.push({
+          agent: "DialogueAg2",
+          iteration: i,
+          content: agent2Content,
+          timestamp: new Date().toISOString(),
+          callId: agent2Response.callID,
+        });
+
+        console.log(
+          `[FacilitatedDialoguePipeline] ✅ Agent 2 iteration ${i} response received`
         );
-        completePipeline(pipelineData, "failed");
-        return {
-          runId: pipelineData.runId,
-          error: `Could not extract content from Agent 2 iteration ${i}`,
-          pipeline: pipelineData,
-        };
-      }
 
-      // Add Agent 2's response to history and conversation
-      messageHistory.push({ role: "assistant", content: agent2Content });
-      conversation.push({
-        agent: "DialogueAg2",
-        iteration: i,
-        content: agent2Content,
-        timestamp: new Date().toISOString(),
-        callId: agent2Response.callID,
-      });
+        // Stop early once the agents converge (the judge is asked once per iteration)
+        const agent2Check = await convergence.check(conversation, {
+          iteration: i,
+          stepId: `convergence_check_${i}`,
+        });
+        if (agent2Check.budgetExceeded) {
+          budgetStop = agent2Check.error;
+          break;
+        }
+        if (agent2Check.converged) {
+          break;
+        }
 
-      console.log(
-        `[FacilitatedDialoguePipeline] ✅ Agent 2 iteration ${i} response received`
-      );
+        await pauseForOperator(i, i < iterations ? "DialogueAg1" : null);
+        if (operator.stopReason) {
+          break;
+        }
+      }
 
       // Facilitator intervention check
-      if (shouldCallFacilitator(i, facilitatorEnabled && facilitatorAgent)) {
+      const facilitatorDecision =
+        facilitatorEnabled && facilitatorAgent
+          ? decideIntervention(facilitatorSchedule, {
+              iteration: i,
+              iterations,
+              conversation,
+              discussionPrompt: config.discussionPrompt,
+              interventions: pipelineData.facilitatorInterventions.length,
+            })
+          : { intervene: false };
+      if (facilitatorDecision.intervene) {
         console.log(
-          `[FacilitatedDialoguePipeline] 🎯 Facilitator intervention at iteration ${i}...`
+          `[FacilitatedDialoguePipeline] 🎯 Facilitator intervention at iteration ${i}: ${facilitatorDecision.reason}`
         );
 
         try {
+          const facilitatorTranscript = await contextManager.prepareTranscript(
+            conversation.map((entry) => ({
+              speaker: entry.isHuman
+                ? `${entry.agent} (human)`
+                : `${entry.agent} (Iteration ${entry.iteration})`,
+              content: entry.content,
+            })),
+            { key: "facilitator", model: facilitatorModel }
+          );
           const facilitatorContext = prepareFacilitatorContext(
             conversation,
             validation.sanitizedConfig,
-            i
+            i,
+            {
+              conversationText: facilitatorTranscript.text,
+              sourceText: sentSourceText,
+              trigger: facilitatorDecision.reason,
+            }
           );
 
-          const facilitatorConfig = await facilitatorAgent(
-            facilitatorContext.facilitatorPrompt,
-            "You are a dialogue facilitator. Provide guidance to improve discussion quality.",
-            []
+          const facilitatorConfig = contextManager.tag(
+            await facilitatorAgent(
+              facilitatorContext.facilitatorPrompt,
+              "You are a dialogue facilitator. Provide guidance to improve discussion quality.",
+              []
+            ),
+            {
+              history: facilitatorTranscript.strategy,
+              source: source.strategy,
+            }
           );
 
-          const facilitatorResponse = await callEverest(
-            facilitatorConfig,
-            pipelineData,
-            `facilitator_iteration_${i}`
+          const facilitatorResponse = await checkpoint.runStep(
+            `facilitator_iteration_${i}`,
+            () =>
+              callEverest(
+                facilitatorConfig,
+                pipelineData,
+                `facilitator_iteration_${i}`
+              )
           );
 
-          if (facilitatorResponse.error) {
+          if (facilitatorResponse.budgetExceeded) {
+            budgetStop = facilitatorResponse.error;
+          } else if (facilitatorResponse.error) {
             console.warn(
               `[FacilitatedDialoguePipeline] ⚠️ Facilitator intervention ${i} failed:`,
               facilitatorResponse.error
@@ -767,14 +1080,17 @@ async function facilitatedDialoguePipeline(config) {
             const facilitatorContent =
               extractResponseContent(facilitatorResponse);
             if (facilitatorContent) {
+              const intervention = parseIntervention(facilitatorContent);
+
               // Add facilitator intervention to conversation
               conversation.push({
                 agent: "facilitator",
                 iteration: i,
-                content: facilitatorContent,
+                content: intervention.guidance,
                 timestamp: new Date().toISOString(),
                 callId: facilitatorResponse.callID,
                 isFacilitator: true,
+                interventionType: intervention.type,
               });
 
               // Track facilitator intervention
@@ -782,7 +1098,10 @@ async function facilitatedDialoguePipeline(config) {
                 iteration: i,
                 callId: facilitatorResponse.callID,
                 timestamp: new Date().toISOString(),
-                content: facilitatorContent,
+                content: intervention.guidance,
+                type: intervention.type,
+                labelled: intervention.labelled,
+                trigger: facilitatorDecision.reason,
               });
 
               console.log(
@@ -800,26 +1119,50 @@ async function facilitatedDialoguePipeline(config) {
             `Facilitator intervention ${i} error: ${error.message}`
           );
         }
+
+        if (budgetStop) {
+          break;
+        }
       }
 
       // Agent 1 follow-up (except for the final iteration)
-      if (i < iterations) {
+      if (i < iterations && operator.takeSkip()) {
+        console.log(
+          `[FacilitatedDialoguePipeline] Agent 1 follow-up ${i} skipped by the operator`
+        );
+      } else if (i < iterations) {
         console.log(
           `[FacilitatedDialoguePipeline] Agent 1 follow-up for iteration ${i}...`
         );
         const agent1FollowupMessage =
           "Please continue the dialogue. Build on the previous responses and explore the topic further.";
-        const agent1FollowupConfig = await dialogueAg1(
-          agent1FollowupMessage,
-          context,
-          messageHistory
+        const agent1History = await contextManager.prepareHistory(
+          messageHistory,
+          { key: "dialogue", model: agent1Model }
+        );
+        const agent1FollowupConfig = contextManager.tag(
+          await dialogueAg1(
+            agent1FollowupMessage,
+            context,
+            agent1History.history
+          ),
+          { history: agent1History.strategy }
         );
-        const agent1FollowupResponse = await callEverest(
-          agent1FollowupConfig,
-          pipelineData,
-          `agent1_followup_${i}`
+        const agent1FollowupResponse = await checkpoint.runStep(
+          `agent1_followup_${i}`,
+          () =>
+            callEverest(
+              agent1FollowupConfig,
+              pipelineData,
+              `agent1_followup_${i}`
+            )
         );
 
+        if (agent1FollowupResponse.budgetExceeded) {
+          budgetStop = agent1FollowupResponse.error;
+          break;
+        }
+
         if (agent1FollowupResponse.error) {
           console.error(
             `[FacilitatedDialoguePipeline] ❌ Agent 1 follow-up ${i} failed:`,
@@ -865,6 +1208,19 @@ async function facilitatedDialoguePipeline(config) {
         console.log(
           `[FacilitatedDialoguePipeline] ✅ Agent 1 follow-up ${i} response received`
         );
+
+        const agent1Check = await convergence.check(conversation, {
+          iteration: i,
+        });
+        if (agent1Check.budgetExceeded) {
+          budgetStop = agent1Check.error;
+          break;
+        }
+        if (agent1Check.converged) {
+          break;
+        }
+
+        await pauseForOperator(i + 0.5, "DialogueAg2");
       }
     }
 
@@ -872,68 +1228,94 @@ async function facilitatedDialoguePipeline(config) {
     console.log(
       "[FacilitatedDialoguePipeline] Step 5: Generating conversation summary..."
     );
+    let summaryContent = null;
+    let summaryCallId = null;
+
+    if (!budgetStop) {
+      // Create conversation history string for summary agent
+      const conversationText = conversation
+        .map((entry) => {
+          if (entry.isFacilitator) {
+            return `Facilitator (Iteration ${entry.iteration}): ${entry.content}`;
+          }
+          if (entry.isHuman) {
+            return `${entry.agent} (human): ${entry.content}`;
+          }
+          return `${entry.agent} (Iteration ${entry.iteration}): ${entry.content}`;
+        })
+        .join("\n\n");
+
+      const summaryMessage = `FACILITATED CONVERSATION HISTORY:\n${conversationText}`;
+      const summaryConfig = await summaryAgent(
+        summaryMessage,
+        summaryFocus,
+        []
+      );
+      const summaryResponse = await checkpoint.runStep(
+        "conversation_summary",
+        () => callEverest(summaryConfig, pipelineData, "conversation_summary")
+      );
 
-    // Create conversation history string for summary agent
-    const conversationText = conversation
-      .map((entry) => {
-        if (entry.isFacilitator) {
-          return `Facilitator (Iteration ${entry.iteration}): ${entry.content}`;
-        }
-        return `${entry.agent} (Iteration ${entry.iteration}): ${entry.content}`;
-      })
-      .join("\n\n");
+      if (summaryResponse.budgetExceeded) {
+        budgetStop = summaryResponse.error;
+      } else if (summaryResponse.error) {
+        console.error(
+          "[FacilitatedDialoguePipeline] ❌ Summary generation failed:",
+          summaryResponse.error
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: "Summary generation failed",
+          details: summaryResponse.error,
+          conversation,
+          pipeline: pipelineData,
+        };
+      }
 
-    const summaryMessage = `FACILITATED CONVERSATION HISTORY:\n${conversationText}`;
-    const summaryConfig = await summaryAgent(summaryMessage, summaryFocus, []);
-    const summaryResponse = await callEverest(
-      summaryConfig,
-      pipelineData,
-      "conversation_summary"
-    );
+      summaryContent = budgetStop
+        ? null
+        : extractResponseContent(summaryResponse);
+      if (!budgetStop && !summaryContent) {
+        console.error(
+          "[FacilitatedDialoguePipeline] ❌ Could not extract content from summary response"
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: "Could not extract content from summary response",
+          conversation,
+          pipeline: pipelineData,
+        };
+      }
 
-    if (summaryResponse.error) {
-      console.error(
-        "[FacilitatedDialoguePipeline] ❌ Summary generation failed:",
-        summaryResponse.error
-      );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Summary generation failed",
-        details: summaryResponse.error,
-        conversation,
-        pipeline: pipelineData,
-      };
+      if (summaryContent) {
+        console.log(
+          "[FacilitatedDialoguePipeline] ✅ Summary generated successfully"
+        );
+        summaryCallId = summaryResponse.callID;
+      }
     }
 
-    const summaryContent = extractResponseContent(summaryResponse);
-    if (!summaryContent) {
-      console.error(
-        "[FacilitatedDialoguePipeline] ❌ Could not extract content from summary response"
+    if (budgetStop) {
+      console.warn(
+        `[FacilitatedDialoguePipeline] ⚠️ Stopping early - ${budgetStop}`
       );
-      completePipeline(pipelineData, "failed");
-      return {
-        runId: pipelineData.runId,
-        error: "Could not extract content from summary response",
-        conversation,
-        pipeline: pipelineData,
-      };
+      summaryContent = `_Summary not generated: the run stopped early. ${budgetStop}._`;
     }
 
-    console.log(
-      "[FacilitatedDialoguePipeline] ✅ Summary generated successfully"
-    );
-
     // Step 6: Generate enhanced output files
     console.log(
       "[FacilitatedDialoguePipeline] Step 6: Generating enhanced output files..."
     );
 
+    const convergenceReport = convergence.report();
     const summaryData = {
       content: summaryContent,
       focus: summaryFocus,
       timestamp: new Date().toISOString(),
-      callId: summaryResponse.callID,
+      callId: summaryCallId,
+      ...(convergenceReport && { convergence: convergenceReport }),
     };
 
     const fileGenerationResult = await generateEnhancedOutputFiles(
@@ -964,8 +1346,13 @@ async function facilitatedDialoguePipeline(config) {
       });
     }
 
-    // Step 7: Complete pipeline
-    completePipeline(pipelineData, "completed");
+    // Step 7: Complete pipeline (partial when the budget stopped the run)
+    completePipeline(pipelineData, budgetStop ? "partial" : "completed");
+    await checkpoint.complete();
+    const dryRunReport = await finishDryRun(
+      pipelineData,
+      "[FacilitatedDialoguePipeline]"
+    );
 
     // Display pipeline summary
     console.log(`\n[FacilitatedDialoguePipeline] 📊 PIPELINE SUMMARY:`);
@@ -988,16 +1375,26 @@ async function facilitatedDialoguePipeline(config) {
     console.log(`Success rate: ${pipelineData.statistics?.successRate || 0}%`);
     console.log(`Conversation exchanges: ${conversation.length}`);
 
-    // Return structured result
-    return {
+    // Return structured result, running any downstream chain first
+    const result = {
       runId: pipelineData.runId,
       conversation,
       summary: {
         content: summaryContent,
         focus: summaryFocus,
         timestamp: new Date().toISOString(),
-        callId: summaryResponse.callID,
+        callId: summaryCallId,
+        ...(convergenceReport && { convergence: convergenceReport }),
       },
+      ...(budgetStop && { stopReason: budgetStop }),
+      ...(!budgetStop &&
+        operator.stopReason && { stopReason: operator.stopReason }),
+      ...(!budgetStop &&
+        !operator.stopReason &&
+        convergenceReport?.stoppedEarly && {
+          stopReason: convergenceReport.stop.reason,
+        }),
+      ...(dryRunReport && { dryRun: dryRunReport }),
       config: validation.sanitizedConfig,
       pipeline: {
         ...pipelineData,
@@ -1007,6 +1404,10 @@ async function facilitatedDialoguePipeline(config) {
       fileGenerationStatus: fileGenerationResult.success ? "success" : "failed",
       warnings: pipelineData.warnings || [],
     };
+    return continueChain(result, config, {
+      pipeline: "facilitatedDialogue",
+      logPrefix: "[FacilitatedDialoguePipeline]",
+    });
   } catch (error) {
     console.error(
       `[FacilitatedDialoguePipeline] ❌ Pipeline ${pipelineData.runId} failed with error:`,
@@ -1086,9 +1487,10 @@ if (isMain) {
  * NostrMQ execution interface for facilitated dialogue pipeline
  * @param {Object} parameters - Pipeline parameters from NostrMQ request
  * @param {Object} jobLogger - Job-specific logger instance
+ * @param {Object} context - Job context (jobId, requestId, sender pubkey)
  * @returns {Promise<Object>} - Pipeline execution result
  */
-export async function executeViaNostrMQ(parameters, jobLogger) {
+export async function executeViaNostrMQ(parameters, jobLogger, context = {}) {
   jobLogger.info(
     "Facilitated dialogue pipeline execution started via NostrMQ",
     {
@@ -1102,10 +1504,14 @@ export async function executeViaNostrMQ(parameters, jobLogger) {
       sourceText: parameters.sourceText,
       discussionPrompt: parameters.discussionPrompt,
       iterations: parameters.iterations || 4,
+      convergence: parameters.convergence,
+      contextManagement: parameters.contextManagement,
       summaryFocus:
         parameters.summaryFocus ||
         "Please provide a comprehensive summary of the key points, insights, and conclusions from this facilitated dialogue.",
       facilitatorEnabled: parameters.facilitatorEnabled !== false, // Default to true
+      facilitatorSchedule: parameters.facilitatorSchedule,
+      sender: context.sender,
     };
 
     // Execute the pipeline
@@ -1145,7 +1551,14 @@ export const pipelineInfo = {
   version: "1.0.0",
   parameters: {
     required: ["sourceText", "discussionPrompt"],
-    optional: ["iterations", "summaryFocus", "facilitatorEnabled"],
+    optional: [
+      "iterations",
+      "summaryFocus",
+      "facilitatorEnabled",
+      "convergence",
+      "contextManagement",
+      "facilitatorSchedule",
+    ],
     schema: {
       sourceText: {
         type: "string",
@@ -1176,6 +1589,22 @@ export const pipelineInfo = {
         description: "Enable facilitator interventions during dialogue",
         default: true,
       },
+      facilitatorSchedule: {
+        type: ["string", "object"],
+        description:
+          'When the facilitator intervenes: "interval", "agreement", "drift" or "budget", or { strategy, every, threshold, maxInterventions }',
+        default: "interval",
+      },
+      convergence: {
+        type: ["boolean", "object"],
+        description:
+          "End the dialogue early once the agents converge: true, or { threshold, minTurns, judge, judgeConfidence }",
+      },
+      contextManagement: {
+        type: ["boolean", "object"],
+        description:
+          "Summarise older turns and excerpt long sources to keep prompts bounded (off by default): true, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }",
+      },
     },
   },
   capabilities: [
@@ -6,7 +6,80 @@ import {
   addStepResult,
 } from "../utils/pipelineData.js";
 import { formatCostSummary } from "../utils/pipelineCost.js";
+import {
+  validateBudgetOptions,
+  setPipelineBudget,
+  checkBudget,
+  estimatePipelineCost,
+  resolveAgentModel,
+  reportPreflightEstimate,
+} from "../utils/pipelineBudget.js";
+import { openCheckpoint } from "../utils/pipelineCheckpoint.js";
+import {
+  isDryRun,
+  enableDryRun,
+  finishDryRun,
+  stubDryRunReply,
+} from "../utils/dryRun.js";
+import { validateChainOptions, continueChain } from "../utils/pipelineChain.js";
+import {
+  validateContextOptions,
+  resolveContextOptions,
+  estimateSummaryCalls,
+  createContextManager,
+  countTokens,
+} from "../utils/contextManager.js";
+import { createOperatorSession } from "../utils/humanInTheLoop.js";
+import {
+  validateVotingOptions,
+  resolveVotingOptions,
+  runPanelVoting,
+  formatConsensusMarkdown,
+} from "../utils/panelVoting.js";
+import {
+  extractSecurityFindings,
+  buildSarifLog,
+} from "../utils/securityFindings.js";
+import {
+  extractReviewComments,
+  formatReviewCommentsMarkdown,
+} from "../utils/reviewComments.js";
+import {
+  validateFrameworkOptions,
+  resolveFramework,
+  frameworkSourceText,
+  coverageCallCount,
+  assessControlCoverage,
+  mergeControlCoverage,
+  formatCoverageMarkdown,
+  formatUncoveredChecklist,
+} from "../utils/controlCoverage.js";
+import {
+  validateRepositoryOptions,
+  resolveRepositoryOptions,
+  ingestRepository,
+} from "../utils/repositoryIngest.js";
+import {
+  DEBATE_SIDES,
+  DEBATE_DEFAULTS,
+  MAX_REBUTTAL_ROUNDS,
+  validateDebateOptions,
+  resolveDebateOptions,
+  debateRounds,
+  debateCallCount,
+  limitSpeech,
+  tallyDebate,
+  scoreDebateRound,
+  requestDebateVerdict,
+  formatVerdictText,
+  formatScorecardMarkdown,
+} from "../utils/debateScoring.js";
 import { createAgentLoader } from "../services/dynamicAgentLoader.js";
+import {
+  createPanelConfig,
+  FilePanelConfig,
+  DebateConfig,
+} from "../services/panelTypeConfig.js";
 import { performanceMonitor } from "../services/performanceMonitor.js";
 import { fileURLToPath } from "url";
 import { promises as fs } from "fs";
@@ -84,11 +157,117 @@ async function generateTimestampedFolderNameWithType(baseDir, panelType) {
   throw new Error("Unable to generate unique folder name after 100 attempts");
 }
 
+// Members the moderator chooses from when no roster is passed to the parser
+const DEFAULT_ROSTER = createPanelConfig("discussion").getRoster();
+
+// Repair prompts sent before falling back when a moderator reply fails the schema
+const DEFAULT_MODERATOR_REPAIRS = 2;
+const MAX_MODERATOR_REPAIRS = 5;
+
+// Sequential panels pick one speaker per turn; round panels hear every member per question
+const PANEL_MODES = ["sequential", "rounds"];
+const DEFAULT_PANEL_ROUNDS = 3;
+const MAX_PANEL_ROUNDS = 10;
+
+// Skipping a speaker does not apply when every member answers each round
+const ROUND_OPERATOR_ACTIONS = ["continue", "inject", "redirect", "end"];
+// Between debate rounds the operator can only let the debate go on or end it
+const DEBATE_OPERATOR_ACTIONS = ["continue", "end"];
+
+// Repository chunk budget when context management is off, and the floor left for
+// code after the rest of the source material
+export const DEFAULT_REPOSITORY_TOKENS = 60000;
+const MIN_REPOSITORY_TOKENS = 1000;
+
+/**
+ * JSON schema every moderator decision is checked against
+ *
+ * `next_speaker` must also name a panel member: a roster slot (`panel_2`), member ID
+ * or member name.
+ */
+export const MODERATOR_DECISION_SCHEMA = {
+  type: "object",
+  required: ["next_speaker"],
+  properties: {
+    moderator_response: { type: "string" },
+    moderator_comment: { type: "string" },
+    next_speaker: { type: "string", minLength: 1 },
+    speaking_prompt: { type: "string" },
+    reasoning: { type: "string" },
+    moderator_responds: { type: "boolean" },
+  },
+};
+
+/**
+ * JSON schema for the moderator replies that open each round of a round panel
+ *
+ * `moderator_response` carries the opening comment or the synthesis of the previous
+ * round; `question` is what every member answers next.
+ */
+export const ROUND_QUESTION_SCHEMA = {
+  type: "object",
+  required: ["question"],
+  properties: {
+    moderator_response: { type: "string" },
+    question: { type: "string", minLength: 1 },
+  },
+};
+
+/**
+ * Estimates the API calls a panel run makes, before any repairs
+ *
+ * Sequential panels make a moderator call per turn: `2 * panelInteractions + 1`. Round
+ * panels make one moderator call per round plus an answer from every member:
+ * `panelRounds * (memberCount + 1) + 1`. Debates make two speeches and a judge
+ * scorecard per round plus the verdict: `3 * (rebuttalRounds + 2) + 2`. All include
+ * the summary. Voting adds the
+ * recommendation extraction and one ballot per member; structured findings and review
+ * comments add one summarizer call each, and a security framework one per batch of
+ * controls.
+ *
+ * @param {Object} options - Panel pacing
+ * @param {string} [options.panelMode] - "sequential", "rounds" or "debate"
+ * @param {number} [options.panelInteractions] - Panel turns in sequential mode
+ * @param {number} [options.panelRounds] - Rounds in round mode
+ * @param {number} [options.rebuttalRounds] - Rebuttal rounds in a debate
+ * @param {number} [options.memberCount] - Panel members
+ * @param {boolean} [options.voting] - Whether the panel ends with a vote
+ * @param {boolean} [options.structuredFindings] - Whether the panel reports structured findings
+ * @param {boolean} [options.reviewComments] - Whether the panel reports anchored review comments
+ * @param {number} [options.controlCount] - Security framework controls to assess
+ * @returns {number} Expected API calls
+ */
+export function estimatePanelApiCalls({
+  panelMode = "sequential",
+  panelInteractions = 4,
+  panelRounds = DEFAULT_PANEL_ROUNDS,
+  rebuttalRounds = DEBATE_DEFAULTS.rebuttalRounds,
+  memberCount = 3,
+  voting = false,
+  structuredFindings = false,
+  reviewComments = false,
+  controlCount = 0,
+} = {}) {
+  const discussionCalls =
+    panelMode === "debate"
+      ? debateCallCount(rebuttalRounds) + 1
+      : panelMode === "rounds"
+      ? panelRounds * (memberCount + 1) + 1
+      : 2 * panelInteractions + 1;
+  return (
+    discussionCalls +
+    (voting ? memberCount + 1 : 0) +
+    (structuredFindings ? 1 : 0) +
+    (reviewComments ? 1 : 0) +
+    coverageCallCount(controlCount)
+  );
+}
+
 export const pipelineInfo = {
   name: "Moderated Panel Pipeline",
   slug: "moderatedPanel",
   description:
-    "A pipeline that orchestrates a moderated panel discussion with 4 agents (moderator + 3 panel members) around a given topic.",
+    "A pipeline that orchestrates a moderated panel discussion with a moderator and 2-8 panel members around a given topic.",
   version: "1.0.0",
   author: "Pipeline Team",
   inputSchema: {
@@ -102,6 +281,19 @@ export const pipelineInfo = {
       required: true,
       description: "The subject of the panel discussion",
     },
+    panelType: {
+      type: "string",
+      required: false,
+      default: "discussion",
+      description:
+        "discussion, security, techreview, debate or a panel type defined by a file in the panel type directory",
+    },
+    inputs: {
+      type: "object",
+      required: false,
+      description:
+        "For panel types defined by a file: the required inputs keyed by id, combined into sourceText when sourceText is not given",
+    },
     panelInteractions: {
       type: "number",
       required: false,
@@ -118,6 +310,90 @@ export const pipelineInfo = {
         "Key insights, diverse perspectives, points of agreement/disagreement, and actionable recommendations from the panel discussion",
       description: "What the summary should focus on",
     },
+    contextManagement: {
+      type: ["boolean", "object"],
+      required: false,
+      description:
+        "Summarise older turns and excerpt long sources to keep prompts bounded (off by default): true, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }",
+    },
+    panelMembers: {
+      type: "array",
+      required: false,
+      description:
+        "Replace the panel type's members (2-8, in speaking order): [{ name, role, id, agent }], where agent is a file in the panel type's agent directory (members without one speak from a generic prompt built from their role)",
+    },
+    panelMode: {
+      type: "string",
+      required: false,
+      default: "sequential",
+      description:
+        "sequential: the moderator picks one speaker per turn. rounds: the moderator poses a question each round, every member answers it in parallel, and the moderator synthesises the round before the next question",
+    },
+    panelRounds: {
+      type: "number",
+      required: false,
+      default: DEFAULT_PANEL_ROUNDS,
+      min: 1,
+      max: MAX_PANEL_ROUNDS,
+      description:
+        "Number of rounds when panelMode is rounds (panelInteractions is not used)",
+    },
+    motion: {
+      type: "string",
+      required: false,
+      description:
+        "Debate panels: the motion the proposition argues for and the opposition against. Stands in for discussionSubject, and sourceText becomes optional background",
+    },
+    rebuttalRounds: {
+      type: "number",
+      required: false,
+      default: DEBATE_DEFAULTS.rebuttalRounds,
+      min: 1,
+      max: MAX_REBUTTAL_ROUNDS,
+      description:
+        "Debate panels: rebuttal rounds between the opening and closing statements",
+    },
+    speechMinutes: {
+      type: "object",
+      required: false,
+      default: DEBATE_DEFAULTS.speechMinutes,
+      description:
+        "Debate panels: speaking time per speech by phase, { opening, rebuttal, closing } in minutes (0.5-10). Each minute allows 150 words; longer speeches are cut off",
+    },
+    rubric: {
+      type: "array",
+      required: false,
+      description:
+        "Debate panels: criteria the judge scores each round against, [{ id, label, description, maxScore }] (1-8 criteria). Defaults to argument, evidence, rebuttal and delivery, out of 10 each",
+    },
+    repository: {
+      type: ["string", "object"],
+      required: false,
+      description:
+        "CLI only (remote jobs that set it are rejected): review a local directory, as a path or { path, include, exclude, gitignore, maxFileBytes, maxTokens, maxChunks }. Files are packed into the source after sourceText (which becomes optional); a repository over maxTokens is reviewed chunk by chunk and the summaries merged",
+    },
+    securityFramework: {
+      type: ["string", "object"],
+      required: false,
+      description:
+        "Security framework to check the panel against: its text (a markdown checklist, or lines starting with control IDs such as V2.1.1), or { name, content } or { name, controls: [{ id, title }] }. The framework is added to the source and each control's coverage is reported",
+    },
+    moderatorRepairs: {
+      type: "number",
+      required: false,
+      default: DEFAULT_MODERATOR_REPAIRS,
+      min: 0,
+      max: MAX_MODERATOR_REPAIRS,
+      description:
+        "Repair prompts sent when a moderator reply fails the decision schema, before falling back to matching speaker names in the text",
+    },
+    voting: {
+      type: ["boolean", "object"],
+      required: false,
+      default: false,
+      description:
+        "End the panel with a vote: the summarizer extracts candidate recommendations and every member votes agree, disagree or abstain on each. true, or { maxRecommendations } (1-12, default 6)",
+    },
   },
   outputSchema: {
     conversation: {
@@ -134,43 +410,262 @@ export const pipelineInfo = {
     },
     panelStats: {
       type: "object",
-      description: "Statistics about panel participation and interactions",
+      description:
+        "Turns taken per panel member, plus moderatorRepairs and moderatorFallbacks",
+    },
+    consensus: {
+      type: "object",
+      description:
+        "With voting: each recommendation's votes, tally, score and status (unanimous, agreed, contested or rejected)",
+    },
+    findings: {
+      type: "array",
+      description:
+        "Security panels: structured findings (id, title, severity, cwe, component, description, attackPath, mitigation, riskRating), also saved as SARIF 2.1.0",
+    },
+    reviewComments: {
+      type: "array",
+      description:
+        "Tech review panels: code review comments (id, file, startLine, endLine, category, severity, panelist, comment, originalCode, suggestedChange), also saved as a diff-style markdown report",
+    },
+    controlCoverage: {
+      type: "object",
+      description:
+        "With securityFramework: each control's coverage (covered, status pass/fail/not_assessed, quotes, notes), totals and the uncovered control IDs",
+    },
+    debate: {
+      type: "object",
+      description:
+        "Debate panels: the motion, sides, rubric, each round's speech lengths and judge scores, the total scores and the verdict (winner, reasons, decidedBy), also saved as a scorecard",
     },
   },
-  tags: ["panel", "moderated", "conversation", "multi-agent", "discussion"],
+  tags: [
+    "panel",
+    "moderated",
+    "conversation",
+    "multi-agent",
+    "discussion",
+    "debate",
+  ],
 };
 
-export async function runPipeline(config) {
-  const pipeline = createPipelineData();
-  const panelType = config.panelType || "discussion"; // Default to discussion for backward compatibility
+/**
+ * Runs a moderated panel discussion and summarizes it
+ * @param {Object} config - Panel configuration (see pipelineInfo.inputSchema)
+ * @param {Object} [options] - Run options that are not part of the saved config
+ * @param {Function} [options.operator] - Optional interactive operator called after each panel turn (see humanInTheLoop)
+ * @param {Object} [options.repository] - Packed repository details for the metadata (set by runRepositoryReview)
+ * @returns {Promise<Object>} Pipeline data with the panel result
+ */
+export async function runPipeline(config, options = {}) {
+  // Local repositories are packed into the source before the panel starts
+  if (config.repository) {
+    return runRepositoryReview(config, options);
+  }
 
-  // Start performance monitoring
-  const pipelineOperationId = `${panelType}_pipeline_execution_${Date.now()}`;
-  performanceMonitor.startTimer(pipelineOperationId);
+  const pipeline = createPipelineData();
 
   try {
+    // Restore an interrupted run from its checkpoint when resumeRunId is set
+    const checkpoint = await openCheckpoint(pipeline, "moderatedPanel", config);
+    config = checkpoint.config;
+    if (isDryRun(config)) {
+      enableDryRun(pipeline);
+    }
+
+    if (config.backend) {
+      pipeline.metadata.backend = config.backend;
+    }
+    if (config.sender) {
+      pipeline.metadata.sender = config.sender;
+    }
+    const panelType = config.panelType || "discussion"; // Default to discussion for backward compatibility
+    pipeline.metadata.pipeline = "moderatedPanel";
+    pipeline.metadata.panelType = panelType;
+
+    // Start performance monitoring
+    const pipelineOperationId = `${panelType}_pipeline_execution_${Date.now()}`;
+    performanceMonitor.startTimer(pipelineOperationId);
+
+    // Panel members come from the panel type's config unless the run replaces them
+    const panelDefinition = createPanelConfig(panelType);
+    if (config.panelMembers !== undefined) {
+      if (
+        !Array.isArray(config.panelMembers) ||
+        !config.panelMembers.every(
+          (member) => member && typeof member === "object"
+        )
+      ) {
+        throw new Error(
+          "panelMembers must be an array of { name, role, id, agent } objects"
+        );
+      }
+      panelDefinition.setPanelMembers(config.panelMembers);
+    }
+    const panelValidation = panelDefinition.validate();
+    if (!panelValidation.isValid) {
+      throw new Error(panelValidation.errors.join("; "));
+    }
+    const roster = panelDefinition.getRoster();
+    const debatePanel = panelDefinition instanceof DebateConfig;
+
+    // Debates argue a motion, which stands in for the discussion subject
+    if (debatePanel) {
+      const motion = config.motion || config.discussionSubject;
+      if (!motion) {
+        throw new Error("motion is required for debate panels");
+      }
+      config = {
+        ...config,
+        motion,
+        discussionSubject: motion,
+        sourceText: config.sourceText || `MOTION: ${motion}`,
+      };
+    }
+
+    // Panel types defined by a file can take their required inputs instead of sourceText
+    const fileDefined = panelDefinition instanceof FilePanelConfig;
+    if (fileDefined && !config.sourceText && config.inputs) {
+      config = {
+        ...config,
+        sourceText: panelDefinition.buildSourceText(config.inputs),
+      };
+    }
+
+    // A security framework is split into controls and added to the source
+    const frameworkErrors = validateFrameworkOptions(config);
+    if (frameworkErrors.length > 0) {
+      throw new Error(frameworkErrors.join("; "));
+    }
+    const framework = resolveFramework(config.securityFramework);
+    if (framework) {
+      config = { ...config, sourceText: frameworkSourceText(config) };
+    }
+
     // Validate input
     if (!config.sourceText || !config.discussionSubject) {
       throw new Error("sourceText and discussionSubject are required");
     }
 
-    const panelInteractions = config.panelInteractions || 4;
+    const panelInteractions =
+      config.panelInteractions ||
+      (fileDefined ? panelDefinition.defaultInteractions : 4);
     const summaryFocus =
       config.summaryFocus ||
-      "Key insights, diverse perspectives, points of agreement/disagreement, and actionable recommendations from the panel discussion";
+      (fileDefined || debatePanel
+        ? panelDefinition.summaryFocus
+        : "Key insights, diverse perspectives, points of agreement/disagreement, and actionable recommendations from the panel discussion");
 
     // Validate panelInteractions range
     if (panelInteractions < 2 || panelInteractions > 15) {
       throw new Error("panelInteractions must be between 2 and 15");
     }
 
+    const moderatorRepairs =
+      config.moderatorRepairs ?? DEFAULT_MODERATOR_REPAIRS;
+    if (
+      !Number.isInteger(moderatorRepairs) ||
+      moderatorRepairs < 0 ||
+      moderatorRepairs > MAX_MODERATOR_REPAIRS
+    ) {
+      throw new Error(
+        `moderatorRepairs must be an integer between 0 and ${MAX_MODERATOR_REPAIRS}`
+      );
+    }
+
+    // Debates follow their own format instead of a panel mode
+    const panelMode = debatePanel ? "debate" : config.panelMode || "sequential";
+    if (!debatePanel && !PANEL_MODES.includes(panelMode)) {
+      throw new Error(`panelMode must be one of: ${PANEL_MODES.join(", ")}`);
+    }
+    const panelRounds = config.panelRounds ?? DEFAULT_PANEL_ROUNDS;
+    if (
+      !Number.isInteger(panelRounds) ||
+      panelRounds < 1 ||
+      panelRounds > MAX_PANEL_ROUNDS
+    ) {
+      throw new Error(
+        `panelRounds must be an integer between 1 and ${MAX_PANEL_ROUNDS}`
+      );
+    }
+
+    // Validate optional end-of-panel voting
+    const votingErrors = validateVotingOptions(config);
+    if (votingErrors.length > 0) {
+      throw new Error(votingErrors.join("; "));
+    }
+    const votingOptions = resolveVotingOptions(config.voting);
+    const structuredFindings = Boolean(panelDefinition.structuredFindings);
+    const reviewComments = Boolean(panelDefinition.reviewComments);
+
+    // Validate the debate format: rebuttal rounds, speaking times and rubric
+    const debateErrors = debatePanel ? validateDebateOptions(config) : [];
+    if (debateErrors.length > 0) {
+      throw new Error(debateErrors.join("; "));
+    }
+    const debateOptions = debatePanel ? resolveDebateOptions(config) : null;
+
+    const expectedApiCalls = estimatePanelApiCalls({
+      panelMode,
+      panelInteractions,
+      panelRounds,
+      rebuttalRounds: debateOptions?.rebuttalRounds,
+      memberCount: roster.length,
+      voting: Boolean(votingOptions),
+      structuredFindings,
+      reviewComments,
+      controlCount: framework?.controls.length,
+    });
+
+    // Validate optional cost/token budget
+    const budgetErrors = validateBudgetOptions(config);
+    if (budgetErrors.length > 0) {
+      throw new Error(budgetErrors.join("; "));
+    }
+
+    // Validate optional downstream chain
+    const chainErrors = validateChainOptions(config);
+    if (chainErrors.length > 0) {
+      throw new Error(chainErrors.join("; "));
+    }
+
+    // Validate optional context management (opt-in)
+    const contextErrors = validateContextOptions(config);
+    if (contextErrors.length > 0) {
+      throw new Error(contextErrors.join("; "));
+    }
+    const contextOptions = resolveContextOptions(config.contextManagement);
+
     console.log(
-      `🎯 Starting ${panelType} panel with ${panelInteractions} interactions`
+      `🎯 Starting ${panelType} panel with ${
+        panelMode === "debate"
+          ? `${debateOptions.rebuttalRounds} rebuttal rounds`
+          : panelMode === "rounds"
+          ? `${panelRounds} rounds`
+          : `${panelInteractions} interactions`
+      } (${roster.map((member) => member.name).join(", ")})`
     );
+    const extraCalls = `${
+      votingOptions ? ` + ${roster.length + 1} voting` : ""
+    }${structuredFindings ? " + 1 findings" : ""}${
+      reviewComments ? " + 1 review comments" : ""
+    }${
+      framework
+        ? ` + ${coverageCallCount(framework.controls.length)} coverage`
+        : ""
+    }`;
     console.log(
-      `📊 Expected API calls: ${
-        2 * panelInteractions + 1
-      } (${panelInteractions} panel + ${panelInteractions} moderator + 1 summary)`
+      panelMode === "debate"
+        ? `📊 Expected API calls: ${expectedApiCalls} (${
+            2 * (debateOptions.rebuttalRounds + 2)
+          } speeches + ${
+            debateOptions.rebuttalRounds + 3
+          } judge + 1 summary${extraCalls})`
+        : panelMode === "rounds"
+        ? `📊 Expected API calls: ${expectedApiCalls} (${
+            panelRounds * roster.length
+          } panel + ${panelRounds} moderator + 1 summary${extraCalls})`
+        : `📊 Expected API calls: ${expectedApiCalls} (${panelInteractions} panel + ${panelInteractions} moderator + 1 summary${extraCalls})`
     );
 
     // Load agents using dynamic agent loader with performance monitoring
@@ -181,42 +676,202 @@ export async function runPipeline(config) {
 
     console.log(`🤖 Loading ${panelType} panel agents...`);
     const moderator = await agentLoader.loadModerator();
-    const challenger = await agentLoader.loadPanel1();
-    const analyst = await agentLoader.loadPanel2();
-    const explorer = await agentLoader.loadPanel3();
+    const panelAgents = await agentLoader.loadPanelists(roster);
     const summarizer = await agentLoader.loadSummarizer();
+    const rollingSummaryAgent = contextOptions?.summarize
+      ? await loadAgent("rollingSummary")
+      : null;
 
     const agentLoadTime = performanceMonitor.endTimer(agentLoadOperationId, {
       panelType,
-      agentCount: 5,
+      agentCount: roster.length + 2,
     });
 
     performanceMonitor.monitorPanelTypeOperation(
       panelType,
       "agent_loading",
       agentLoadTime.duration,
-      { agentCount: 5 }
+      { agentCount: roster.length + 2 }
     );
 
-    // Agent mapping for easy lookup
-    const panelAgents = {
-      challenger,
-      analyst,
-      explorer,
-    };
+    // Pre-flight cost estimate: moderator setup + decisions, panel turns, summary
+    // (round panels: one moderator call and one answer per member each round;
+    // debates: a speech per side and a judge scorecard each round, plus the verdict;
+    // voting adds a summarizer extraction and a ballot per member, security
+    // panels a summarizer call for the structured findings, tech reviews one
+    // for the review comments, a framework one per batch of controls, and
+    // rolling summaries at most one call per discussion prompt)
+    setPipelineBudget(pipeline, config);
+    const panelModels = await Promise.all(
+      roster.map((member) => resolveAgentModel(panelAgents[member.id]))
+    );
+    const moderatorModel = await resolveAgentModel(moderator);
+    const moderatorCalls =
+      panelMode === "debate"
+        ? debateOptions.rebuttalRounds + 3
+        : panelMode === "rounds"
+        ? panelRounds
+        : panelInteractions;
+    const memberCalls = roster.map((member, index) =>
+      panelMode === "debate"
+        ? debateOptions.rebuttalRounds + 2
+        : panelMode === "rounds"
+        ? panelRounds
+        : Math.floor(panelInteractions / roster.length) +
+          (index < panelInteractions % roster.length ? 1 : 0)
+    );
+    const discussionCalls =
+      moderatorCalls + memberCalls.reduce((sum, count) => sum + count, 0);
+    reportPreflightEstimate(
+      pipeline,
+      estimatePipelineCost([
+        { model: moderatorModel, count: moderatorCalls },
+        ...panelModels.map((model, index) => ({
+          model,
+          count: memberCalls[index] + (votingOptions ? 1 : 0),
+        })),
+        {
+          model: rollingSummaryAgent
+            ? await resolveAgentModel(rollingSummaryAgent)
+            : null,
+          count: estimateSummaryCalls(contextOptions, {
+            prompts: discussionCalls,
+            turns: discussionCalls,
+          }),
+        },
+        {
+          model: await resolveAgentModel(summarizer),
+          count:
+            1 +
+            (votingOptions ? 1 : 0) +
+            (structuredFindings ? 1 : 0) +
+            (reviewComments ? 1 : 0) +
+            coverageCallCount(framework?.controls.length || 0),
+        },
+      ]),
+      `[${panelType} panel]`
+    );
 
     // Initialize conversation tracking
     const conversation = [];
     const moderatorDecisions = [];
     const panelStats = {
-      challenger: 0,
-      analyst: 0,
-      explorer: 0,
+      ...Object.fromEntries(roster.map((member) => [member.id, 0])),
+      moderatorRepairs: 0,
+      moderatorFallbacks: 0,
     };
-
-    // Step 1: Moderator Setup - Select first speaker
-    console.log("🎭 Moderator setting up panel discussion...");
-    const setupPrompt = `Source Text: ${config.sourceText}
+    let budgetStop = null;
+
+    // Interactive runs let the operator join the panel, steer the moderator or skip a speaker
+    const operator = createOperatorSession(options.operator, {
+      pipelineData: pipeline,
+      checkpoint,
+      actions:
+        panelMode === "debate"
+          ? DEBATE_OPERATOR_ACTIONS
+          : panelMode === "rounds"
+          ? ROUND_OPERATOR_ACTIONS
+          : undefined,
+      logPrefix: `[${panelType} panel]`,
+    });
+    let operatorDirection = null;
+
+    // Long panels send a rolling summary plus the latest turns instead of everything
+    const contextManager = createContextManager(contextOptions, {
+      pipelineData: pipeline,
+      checkpoint,
+      summaryAgent: rollingSummaryAgent,
+      logPrefix: `[${panelType} panel]`,
+    });
+    const panelModelByRole = Object.fromEntries(
+      roster.map((member, index) => [member.id, panelModels[index]])
+    );
+    // Code and security sources are never excerpted
+    const source = contextManager.prepareSource(config.sourceText, {
+      model: moderatorModel,
+      focus: config.discussionSubject,
+      excerpt: !(structuredFindings || reviewComments || options.repository),
+    });
+    const moderatorDeps = {
+      moderator,
+      format: decisionReplyFormat(roster),
+      maxRepairs: moderatorRepairs,
+      panelStats,
+      pipeline,
+      checkpoint,
+    };
+    const transcriptTurns = () =>
+      conversation.map((msg) => ({
+        speaker:
+          msg.role === "moderator"
+            ? "Moderator"
+            : msg.isHuman
+            ? `${msg.role} (human)`
+            : msg.role,
+        content: msg.content,
+      }));
+
+    // The debate record grows round by round, so an early stop keeps the scores so far
+    const debate = debatePanel
+      ? {
+          motion: config.motion,
+          sides: Object.fromEntries(
+            DEBATE_SIDES.map((side, index) => [
+              side,
+              { id: roster[index].id, name: roster[index].name },
+            ])
+          ),
+          rubric: debateOptions.rubric,
+          speechMinutes: debateOptions.speechMinutes,
+          rounds: [],
+          totals: tallyDebate([]),
+          verdict: null,
+        }
+      : null;
+
+    if (panelMode === "debate") {
+      budgetStop = await runDebate({
+        config,
+        roster,
+        debate,
+        debateOptions,
+        judge: moderator,
+        panelAgents,
+        panelModelByRole,
+        moderatorModel,
+        conversation,
+        panelStats,
+        operator,
+        contextManager,
+        source,
+        transcriptTurns,
+        checkpoint,
+        pipeline,
+        logPrefix: `[${panelType} panel]`,
+      });
+    } else if (panelMode === "rounds") {
+      budgetStop = await runPanelRounds({
+        config,
+        roster,
+        panelRounds,
+        panelAgents,
+        panelModelByRole,
+        moderatorModel,
+        moderatorDeps,
+        conversation,
+        moderatorDecisions,
+        panelStats,
+        operator,
+        contextManager,
+        source,
+        transcriptTurns,
+        checkpoint,
+        pipeline,
+      });
+    } else {
+      // Step 1: Moderator Setup - Select first speaker
+      console.log("🎭 Moderator setting up panel discussion...");
+      const setupPrompt = `Source Text: ${source.text}
 
 Discussion Subject: ${config.discussionSubject}
 
@@ -226,149 +881,190 @@ This is the beginning of a panel discussion. Please:
 3. Give them a specific prompt to start the discussion
 
 The panel members available are:
-- Challenger: Questions assumptions, plays devil's advocate, challenges ideas
-- Analyst: Provides data-driven insights, breaks down complex topics systematically  
-- Explorer: Offers creative solutions, thinks outside the box, explores possibilities
+${formatRosterForModerator(roster)}
 
 Please select strategically based on what would make for the most engaging opening.`;
 
-    const moderatorConfig = await moderator(setupPrompt, "", []);
-    const setupResponse = await callEverest(
-      moderatorConfig,
-      pipeline,
-      "moderator_setup"
-    );
-
-    // Parse initial moderator decision
-    const initialDecision = parseModeratorResponse(
-      setupResponse.message,
-      "setup"
-    );
-    moderatorDecisions.push(initialDecision);
-
-    // Add moderator setup to conversation
-    conversation.push({
-      role: "moderator",
-      type: "setup",
-      content: initialDecision.moderator_comment,
-      timestamp: new Date().toISOString(),
-    });
-
-    let currentSpeaker = initialDecision.next_speaker;
-    let currentPrompt = initialDecision.speaking_prompt;
-
-    // Step 2: Panel Discussion Loop
-    for (let interaction = 1; interaction <= panelInteractions; interaction++) {
-      console.log(
-        `💬 Panel Interaction ${interaction}/${panelInteractions} - ${currentSpeaker} speaking...`
+      const { decision: initialDecision } = await requestModeratorReply(
+        setupPrompt,
+        "moderator_setup",
+        "setup",
+        {
+          ...moderatorDeps,
+          tag: (agentConfig) =>
+            contextManager.tag(agentConfig, { source: source.strategy }),
+        }
       );
+      moderatorDecisions.push(initialDecision);
 
-      // Panel member responds (COUNTS toward limit)
-      const panelAgent = panelAgents[currentSpeaker];
-      if (!panelAgent) {
-        throw new Error(`Unknown panel member: ${currentSpeaker}`);
-      }
+      // Add moderator setup to conversation
+      conversation.push({
+        role: "moderator",
+        type: "setup",
+        content: initialDecision.moderator_comment,
+        timestamp: new Date().toISOString(),
+      });
+
+      let currentSpeaker = initialDecision.next_speaker;
+      let currentPrompt = initialDecision.speaking_prompt;
+
+      // Step 2: Panel Discussion Loop
+      for (
+        let interaction = 1;
+        interaction <= panelInteractions;
+        interaction++
+      ) {
+        console.log(
+          `💬 Panel Interaction ${interaction}/${panelInteractions} - ${currentSpeaker} speaking...`
+        );
 
-      // Build context for panel member
-      const contextMessages = conversation
-        .map((msg) => {
-          if (msg.role === "moderator") {
-            return `Moderator: ${msg.content}`;
-          } else {
-            return `${msg.role}: ${msg.content}`;
+        // Panel member responds (COUNTS toward limit) unless the operator skipped them
+        if (operator.takeSkip()) {
+          console.log(`⏭️ ${currentSpeaker} skipped by the operator`);
+          operatorDirection = `The operator skipped ${currentSpeaker}. Select a different panel member.`;
+        } else {
+          const panelAgent = panelAgents[currentSpeaker];
+          if (!panelAgent) {
+            throw new Error(`Unknown panel member: ${currentSpeaker}`);
           }
-        })
-        .join("\n\n");
+          const member = roster.find((entry) => entry.id === currentSpeaker);
 
-      const panelPrompt = `Discussion Context:
-${contextMessages}
+          // Build context for panel member
+          const panelTranscript = await contextManager.prepareTranscript(
+            transcriptTurns(),
+            { key: "panel", model: panelModelByRole[currentSpeaker] }
+          );
 
-Source Text: ${config.sourceText}
+          const panelPrompt = `Discussion Context:
+${panelTranscript.text}
+
+Source Text: ${source.text}
 Discussion Subject: ${config.discussionSubject}
 
 Current Prompt: ${currentPrompt}
 
-Please provide your response as the ${currentSpeaker} panel member.`;
-
-      const panelConfig = await panelAgent(panelPrompt, "", []);
-      const panelResponse = await callEverest(
-        panelConfig,
-        pipeline,
-        `${currentSpeaker}_interaction_${interaction}`
-      );
+Please provide your response as ${member.name}${
+            member.role ? ` (${member.role})` : ""
+          }.`;
+
+          const panelConfig = contextManager.tag(
+            await panelAgent(panelPrompt, "", []),
+            { history: panelTranscript.strategy, source: source.strategy }
+          );
+          const panelStepId = `${currentSpeaker}_interaction_${interaction}`;
+          const panelResponse = await checkpoint.runStep(panelStepId, () =>
+            callEverest(panelConfig, pipeline, panelStepId)
+          );
+
+          if (panelResponse.budgetExceeded) {
+            budgetStop = panelResponse.error;
+            break;
+          }
 
-      // Update stats
-      panelStats[currentSpeaker]++;
+          // Update stats
+          panelStats[currentSpeaker]++;
+
+          // Add panel response to conversation
+          conversation.push({
+            role: currentSpeaker,
+            type: "panel_response",
+            content: panelResponse.message,
+            timestamp: new Date().toISOString(),
+          });
+
+          const control = await operator.pause({
+            turn: conversation[conversation.length - 1],
+            nextSpeaker: "moderator",
+            iteration: interaction,
+          });
+          if (control.action === "inject") {
+            conversation.push({
+              role: control.speaker,
+              type: "human",
+              content: control.content,
+              timestamp: new Date().toISOString(),
+              isHuman: true,
+            });
+          } else if (control.action === "redirect") {
+            operatorDirection = control.content;
+          }
+          if (operator.stopReason) {
+            break;
+          }
+        }
 
-      // Add panel response to conversation
-      conversation.push({
-        role: currentSpeaker,
-        type: "panel_response",
-        content: panelResponse.message,
-        timestamp: new Date().toISOString(),
-      });
+        // If this is the last interaction, skip moderator decision
+        if (interaction === panelInteractions) {
+          break;
+        }
 
-      // If this is the last interaction, skip moderator decision
-      if (interaction === panelInteractions) {
-        break;
-      }
+        // Moderator decision (NEVER counts toward limit)
+        console.log(`🎭 Moderator selecting next speaker...`);
 
-      // Moderator decision (NEVER counts toward limit)
-      console.log(`🎭 Moderator selecting next speaker...`);
+        const moderatorTranscript = await contextManager.prepareTranscript(
+          transcriptTurns(),
+          { key: "panel", model: moderatorModel }
+        );
 
-      const moderatorPrompt = `Current Discussion:
-${conversation
-  .map((msg) => {
-    if (msg.role === "moderator") {
-      return `Moderator: ${msg.content}`;
-    } else {
-      return `${msg.role}: ${msg.content}`;
-    }
-  })
-  .join("\n\n")}
+        const moderatorPrompt = `Current Discussion:
+${moderatorTranscript.text}
 
-Source Text: ${config.sourceText}
+Source Text: ${source.text}
 Discussion Subject: ${config.discussionSubject}
 
 We are ${interaction} interactions into a ${panelInteractions}-interaction panel discussion.
 
 Current speaker statistics:
-- Challenger: ${panelStats.challenger} times
-- Analyst: ${panelStats.analyst} times  
-- Explorer: ${panelStats.explorer} times
+${formatRosterForModerator(roster, panelStats)}
 
 Please select the next speaker and provide them with a specific prompt. Consider:
 1. Who would provide the most valuable next perspective?
 2. Ensuring balanced participation
 3. Building on what was just said
-4. Maintaining conversation flow`;
-
-      const moderatorDecisionConfig = await moderator(moderatorPrompt, "", []);
-      const moderatorResponse = await callEverest(
-        moderatorDecisionConfig,
-        pipeline,
-        `moderator_decision_${interaction}`
-      );
-
-      // Parse moderator decision
-      const decision = parseModeratorResponse(
-        moderatorResponse.message,
-        `decision_${interaction}`
-      );
-      moderatorDecisions.push(decision);
-
-      // Update for next iteration
-      currentSpeaker = decision.next_speaker;
-      currentPrompt = decision.speaking_prompt;
-
-      // Add moderator transition if visible
-      if (decision.moderator_comment && decision.moderator_comment.trim()) {
-        conversation.push({
-          role: "moderator",
-          type: "transition",
-          content: decision.moderator_comment,
-          timestamp: new Date().toISOString(),
-        });
+4. Maintaining conversation flow${
+          operatorDirection
+            ? `
+
+Operator direction (takes priority over the points above):
+${operatorDirection}`
+            : ""
+        }`;
+        operatorDirection = null;
+
+        const { response: moderatorResponse, decision } =
+          await requestModeratorReply(
+            moderatorPrompt,
+            `moderator_decision_${interaction}`,
+            `decision_${interaction}`,
+            {
+              ...moderatorDeps,
+              tag: (agentConfig) =>
+                contextManager.tag(agentConfig, {
+                  history: moderatorTranscript.strategy,
+                  source: source.strategy,
+                }),
+            }
+          );
+
+        if (moderatorResponse.budgetExceeded) {
+          budgetStop = moderatorResponse.error;
+          break;
+        }
+        moderatorDecisions.push(decision);
+
+        // Update for next iteration
+        currentSpeaker = decision.next_speaker;
+        currentPrompt = decision.speaking_prompt;
+
+        // Add moderator transition if visible
+        if (decision.moderator_comment && decision.moderator_comment.trim()) {
+          conversation.push({
+            role: "moderator",
+            type: "transition",
+            content: decision.moderator_comment,
+            timestamp: new Date().toISOString(),
+          });
+        }
       }
     }
 
@@ -378,6 +1074,8 @@ Please select the next speaker and provide them with a specific prompt. Consider
       .map((msg) => {
         if (msg.role === "moderator") {
           return `Moderator: ${msg.content}`;
+        } else if (msg.isHuman) {
+          return `${msg.role} (human): ${msg.content}`;
         } else {
           return `${msg.role}: ${msg.content}`;
         }
@@ -387,47 +1085,185 @@ Please select the next speaker and provide them with a specific prompt. Consider
     const summaryPrompt = `Full Panel Discussion:
 ${conversationText}
 
-Source Text: ${config.sourceText}
+Source Text: ${source.text}
 Discussion Subject: ${config.discussionSubject}
 
 Panel Statistics:
-- Challenger participated ${panelStats.challenger} times
-- Analyst participated ${panelStats.analyst} times
-- Explorer participated ${panelStats.explorer} times
+${roster
+  .map(
+    (member) => `- ${member.name} participated ${panelStats[member.id]} times`
+  )
+  .join("\n")}
 
 Summary Focus: ${summaryFocus}
 
 Please provide a comprehensive summary of this moderated panel discussion that captures the diverse perspectives and key insights.`;
 
-    const summaryConfig = await summarizer(summaryPrompt, "", []);
-    const summaryResponse = await callEverest(
-      summaryConfig,
-      pipeline,
-      "panel_summary"
-    );
+    let summary = null;
+    if (!budgetStop) {
+      const summaryConfig = contextManager.tag(
+        await summarizer(summaryPrompt, "", []),
+        { source: source.strategy }
+      );
+      const summaryResponse = await checkpoint.runStep("panel_summary", () =>
+        callEverest(summaryConfig, pipeline, "panel_summary")
+      );
+
+      if (summaryResponse.budgetExceeded) {
+        budgetStop = summaryResponse.error;
+      } else {
+        summary = summaryResponse.message;
+      }
+    }
+
+    if (budgetStop) {
+      console.warn(`⚠️ Stopping panel early - ${budgetStop}`);
+      summary = `_Summary not generated: the panel stopped early. ${budgetStop}._`;
+    }
+
+    // Step 4: Voting on the summary's recommendations (opt-in)
+    let consensus = null;
+    if (votingOptions && !budgetStop) {
+      const voting = await runPanelVoting(votingOptions, {
+        pipelineData: pipeline,
+        checkpoint,
+        summarizer,
+        panelAgents,
+        roster,
+        conversationText,
+        summary,
+        discussionSubject: config.discussionSubject,
+        logPrefix: `[${panelType} panel]`,
+      });
+      if (voting.budgetExceeded) {
+        // The summary is complete, so only the vote is lost
+        budgetStop = voting.error;
+        console.warn(`⚠️ Skipping panel vote - ${budgetStop}`);
+      } else {
+        consensus = voting.consensus;
+      }
+    }
+
+    // Step 5: Structured findings for panel types that report them (security)
+    let findings = null;
+    if (structuredFindings && !budgetStop) {
+      const extraction = await extractSecurityFindings({
+        pipelineData: pipeline,
+        checkpoint,
+        summarizer,
+        roster,
+        conversationText,
+        summary,
+        discussionSubject: config.discussionSubject,
+        logPrefix: `[${panelType} panel]`,
+      });
+      if (extraction.budgetExceeded) {
+        budgetStop = extraction.error;
+        console.warn(`⚠️ Skipping security findings - ${budgetStop}`);
+      } else {
+        findings = extraction.findings;
+      }
+    }
+
+    // Step 6: Anchored review comments for panel types that report them (tech review)
+    let comments = null;
+    if (reviewComments && !budgetStop) {
+      const extraction = await extractReviewComments({
+        pipelineData: pipeline,
+        checkpoint,
+        summarizer,
+        roster,
+        conversationText,
+        summary,
+        discussionSubject: config.discussionSubject,
+        repositoryRoot: options.repository?.path,
+        logPrefix: `[${panelType} panel]`,
+      });
+      if (extraction.budgetExceeded) {
+        budgetStop = extraction.error;
+        console.warn(`⚠️ Skipping review comments - ${budgetStop}`);
+      } else {
+        comments = extraction.comments;
+      }
+    }
+
+    // Step 7: Coverage of the security framework's controls (opt-in)
+    let controlCoverage = null;
+    if (framework && !budgetStop) {
+      const assessment = await assessControlCoverage(framework, {
+        pipelineData: pipeline,
+        checkpoint,
+        summarizer,
+        conversationText,
+        summary,
+        discussionSubject: config.discussionSubject,
+        logPrefix: `[${panelType} panel]`,
+      });
+      if (assessment.budgetExceeded) {
+        budgetStop = assessment.error;
+        console.warn(`⚠️ Skipping control coverage - ${budgetStop}`);
+      } else {
+        controlCoverage = assessment.coverage;
+      }
+    }
 
     // Create final result with enhanced metadata
     const result = {
       conversation,
-      summary: summaryResponse.message,
+      summary,
       moderatorDecisions,
       panelStats,
+      ...(consensus && { consensus }),
+      ...(findings && { findings }),
+      ...(comments && { reviewComments: comments }),
+      ...(controlCoverage && { controlCoverage }),
+      ...(debate && { debate }),
       metadata: {
         panelType,
+        panelMode,
         panelInteractions,
+        ...(panelMode === "rounds" && { panelRounds }),
+        ...(debateOptions && {
+          rebuttalRounds: debateOptions.rebuttalRounds,
+          speechMinutes: debateOptions.speechMinutes,
+        }),
         summaryFocus,
         totalMessages: conversation.length,
-        apiCalls: 2 * panelInteractions + 1,
+        roster,
+        moderatorRepairs,
+        ...(votingOptions && { voting: votingOptions }),
+        ...(options.repository && { repository: options.repository }),
+        ...(framework && {
+          securityFramework: {
+            name: framework.name,
+            controls: framework.controls.length,
+          },
+        }),
+        // Steps the run went through; early stops and skipped phases fall short of the estimate
+        apiCalls: checkpoint.stepCount,
+        expectedApiCalls,
         actualApiCalls: pipeline.steps.length,
+        ...(budgetStop && { stopReason: budgetStop }),
+        ...(!budgetStop &&
+          operator.stopReason && { stopReason: operator.stopReason }),
         configuration: {
           panelType,
           sourceTextLength: config.sourceText.length,
           discussionSubject: config.discussionSubject,
           summaryFocus,
           panelInteractions,
+          panelMode,
         },
         performance: {
-          expectedDuration: `${panelInteractions * 45}s`, // Rough estimate: 45s per interaction
+          // Rough estimate: 45s per interaction, or per round since members answer in
+          // parallel, or per debate speech and scorecard
+          expectedDuration: `${
+            (panelMode === "debate"
+              ? debateCallCount(debateOptions.rebuttalRounds)
+              : panelMode === "rounds"
+              ? panelRounds
+              : panelInteractions) * 45
+          }s`,
           actualDuration: pipeline.endTime
             ? new Date(pipeline.endTime).getTime() -
               new Date(pipeline.startTime).getTime()
@@ -436,8 +1272,13 @@ Please provide a comprehensive summary of this moderated panel discussion that c
       },
     };
 
-    // Complete pipeline
-    completePipeline(pipeline, "completed");
+    // Complete pipeline (partial when the budget stopped the run)
+    completePipeline(pipeline, budgetStop ? "partial" : "completed");
+    await checkpoint.complete();
+    const dryRunReport = await finishDryRun(pipeline, `[${panelType} panel]`);
+    if (dryRunReport) {
+      result.metadata.dryRun = dryRunReport;
+    }
 
     // Add result to pipeline
     pipeline.result = result;
@@ -475,6 +1316,15 @@ Please provide a comprehensive summary of this moderated panel discussion that c
       panelInteractions,
       summaryFocus,
       panelType,
+      panelMode,
+      panelRounds,
+      ...(debateOptions && { rebuttalRounds: debateOptions.rebuttalRounds }),
+      roster,
+      ...(fileDefined && {
+        panelTitle: panelDefinition.title,
+        panelDescription: panelDefinition.description,
+        outputDirectory: panelDefinition.getRunOutputDirectory(),
+      }),
     });
 
     if (fileGenerationResult.success) {
@@ -484,6 +1334,7 @@ Please provide a comprehensive summary of this moderated panel discussion that c
       console.log(`⚡ Performance: ${(pipelineTime.duration/1000).toFixed(1)}s (${performanceValidation.message})`);
 
       // Add file generation result to pipeline
+      pipeline.files = fileGenerationResult.files;
       addStepResult(pipeline, "file_generation", {
         status: "success",
         files: fileGenerationResult.files,
@@ -506,7 +1357,10 @@ Please provide a comprehensive summary of this moderated panel discussion that c
     result.metadata.performance.performanceValidation = performanceValidation;
     result.metadata.performance.cacheStats = performanceMonitor.getCacheStats();
 
-    return pipeline;
+    return continueChain(pipeline, config, {
+      pipeline: "moderatedPanel",
+      logPrefix: `[${panelType} panel]`,
+    });
   } catch (error) {
     console.error("❌ Pipeline failed:", error);
     pipeline.status = "failed";
@@ -516,87 +1370,1076 @@ Please provide a comprehensive summary of this moderated panel discussion that c
   }
 }
 
-export function parseModeratorResponse(content, context) {
-  try {
-    // Try to parse as JSON
-    const parsed = JSON.parse(content);
-
-    // Handle both old and new JSON formats
-    let next_speaker, moderator_comment, speaking_prompt;
-
-    // New format: {moderator_response, next_speaker: "panel_1|panel_2|panel_3", moderator_responds}
-    if (parsed.next_speaker && parsed.next_speaker.startsWith("panel_")) {
-      const speakerMapping = {
-        panel_1: "challenger",
-        panel_2: "analyst",
-        panel_3: "explorer",
-      };
+/**
+ * Runs a panel over a local repository (`config.repository`)
+ *
+ * The repository is packed after the rest of the source material, within the panel's
+ * source budget. A repository that fits is reviewed in a single run. Otherwise each
+ * chunk gets its own panel run (and output folder), the summarizer merges the chunk
+ * summaries in a `chunk_merge` step, and the merged run saves the combined
+ * conversation, summary and findings. Downstream chains run once, after the merge.
+ *
+ * The parts share `maxCost`/`maxTokens`: each part gets what the earlier parts left,
+ * and the merged run carries every part's steps and costs. Parts always start afresh,
+ * because a `resumeRunId` names a single run's checkpoint.
+ *
+ * @param {Object} config - Panel configuration with `repository`
+ * @param {Object} options - Run options (see runPipeline)
+ * @returns {Promise<Object>} Pipeline data of the single or merged run
+ */
+async function runRepositoryReview(config, options) {
+  const repositoryErrors = validateRepositoryOptions(config);
+  if (repositoryErrors.length > 0) {
+    throw new Error(repositoryErrors.join("; "));
+  }
+  const contextErrors = validateContextOptions(config);
+  if (contextErrors.length > 0) {
+    throw new Error(contextErrors.join("; "));
+  }
+  const frameworkErrors = validateFrameworkOptions(config);
+  if (frameworkErrors.length > 0) {
+    throw new Error(frameworkErrors.join("; "));
+  }
+  const budgetErrors = validateBudgetOptions(config);
+  if (budgetErrors.length > 0) {
+    throw new Error(budgetErrors.join("; "));
+  }
+  // The framework goes in front of every chunk, so it counts against the budget
+  const baseSourceText = frameworkSourceText(config);
+
+  const sourceBudget =
+    resolveContextOptions(config.contextManagement)?.maxSourceTokens ||
+    DEFAULT_REPOSITORY_TOKENS;
+  const codebase = await ingestRepository(
+    resolveRepositoryOptions(config.repository, {
+      maxTokens: Math.max(
+        sourceBudget - countTokens(baseSourceText),
+        MIN_REPOSITORY_TOKENS
+      ),
+    })
+  );
+  const repository = {
+    name: codebase.name,
+    path: codebase.root,
+    files: codebase.files.length,
+    skipped: codebase.skipped,
+    tokens: codebase.tokens,
+    chunks: codebase.chunks.length,
+  };
+  console.log(
+    `📦 Packed ${repository.files} files from ${repository.name} (~${
+      repository.tokens
+    } tokens in ${repository.chunks} chunk${
+      repository.chunks === 1 ? "" : "s"
+    }, ${repository.skipped.length} skipped)`
+  );
 
-      next_speaker = speakerMapping[parsed.next_speaker];
-      if (!next_speaker) {
-        throw new Error(
-          `Invalid speaker: ${parsed.next_speaker}. Expected panel_1, panel_2, or panel_3`
-        );
-      }
+  const { repository: _repository, chain, resumeRunId, ...runConfig } = config;
+  const withChunk = (chunk) =>
+    [baseSourceText, chunk.text].filter(Boolean).join("\n\n");
 
-      moderator_comment = parsed.moderator_response || "";
-      speaking_prompt = `Please continue the discussion based on the context provided.`;
-    }
-    // Old format: {moderator_comment, next_speaker: "challenger|analyst|explorer", speaking_prompt}
-    else if (
-      parsed.next_speaker &&
-      ["challenger", "analyst", "explorer"].includes(parsed.next_speaker)
-    ) {
-      next_speaker = parsed.next_speaker;
-      moderator_comment = parsed.moderator_comment || "";
-      speaking_prompt =
-        parsed.speaking_prompt ||
-        `Please continue the discussion based on the context provided.`;
+  if (codebase.chunks.length === 1) {
+    return runPipeline(
+      {
+        ...runConfig,
+        ...(chain && { chain }),
+        ...(resumeRunId && { resumeRunId }),
+        sourceText: withChunk(codebase.chunks[0]),
+      },
+      { ...options, repository }
+    );
+  }
+
+  const warnings = [];
+  if (resumeRunId) {
+    const warning = `resumeRunId ignored: the repository is reviewed in ${codebase.chunks.length} parts, which start afresh`;
+    console.warn(`⚠️ ${warning}`);
+    warnings.push(warning);
+  }
+
+  // One panel per chunk within what is left of the budget; a budget stop ends the review early
+  const parts = [];
+  let spentCost = 0;
+  let spentTokens = 0;
+  let budgetStop = null;
+  for (const [index, chunk] of codebase.chunks.entries()) {
+    const part = index + 1;
+    const partBudget = {
+      ...(config.maxCost !== undefined && {
+        maxCost: config.maxCost - spentCost,
+      }),
+      ...(config.maxTokens !== undefined && {
+        maxTokens: config.maxTokens - spentTokens,
+      }),
+    };
+    if (partBudget.maxCost <= 0 || partBudget.maxTokens <= 0) {
+      budgetStop = `Budget exceeded: the first ${index} part${
+        index === 1 ? "" : "s"
+      } used the whole budget`;
+      console.warn(`⚠️ ${budgetStop}`);
+      break;
+    }
+
+    console.log(
+      `📦 Reviewing part ${part} of ${codebase.chunks.length} (${chunk.files.length} files)`
+    );
+    const run = await runPipeline(
+      {
+        ...runConfig,
+        ...partBudget,
+        sourceText: withChunk(chunk),
+        discussionSubject: `${config.discussionSubject} (part ${part} of ${codebase.chunks.length})`,
+      },
+      { ...options, repository: { ...repository, part } }
+    );
+    parts.push({ part, files: chunk.files, run });
+    spentCost += run.costs?.totalCost || 0;
+    spentTokens += run.costs?.totalTokens || 0;
+    if (run.status === "partial") {
+      break;
+    }
+  }
+
+  const pipeline = createPipelineData();
+  if (isDryRun(config)) {
+    enableDryRun(pipeline);
+  }
+  const panelType = config.panelType || "discussion";
+  pipeline.metadata.pipeline = "moderatedPanel";
+  pipeline.metadata.panelType = panelType;
+  if (warnings.length > 0) {
+    pipeline.warnings = warnings;
+  }
+
+  // The merged run accounts for every part, so the merge step is checked against the whole budget
+  for (const { part, run } of parts) {
+    pipeline.steps.push(...run.steps.map((step) => ({ ...step, part })));
+    pipeline.costs.totalCost += run.costs.totalCost;
+    pipeline.costs.totalTokensIn += run.costs.totalTokensIn;
+    pipeline.costs.totalTokensOut += run.costs.totalTokensOut;
+    pipeline.costs.totalTokens += run.costs.totalTokens;
+    pipeline.costs.stepCosts.push(
+      ...run.costs.stepCosts.map((stepCost) => ({ ...stepCost, part }))
+    );
+  }
+  setPipelineBudget(pipeline, config);
+
+  const results = parts.map(({ run }) => run.result);
+  const { metadata } = results[0];
+  const stopReason =
+    results.find((result) => result.metadata.stopReason)?.metadata.stopReason ||
+    budgetStop;
+
+  // Merge the chunk summaries; on failure keep them side by side
+  console.log(`📋 Merging ${parts.length} part summaries...`);
+  const partSummaries = parts
+    .map(
+      ({ part, files, run }) => `Part ${part} of ${codebase.chunks.length} (${
+        files.length
+      } files: ${files.join(", ")}):
+${run.result.summary}`
+    )
+    .join("\n\n");
+  const summarizer = await createAgentLoader(panelType).loadSummarizer();
+  const mergePrompt = `The panel reviewed the repository ${codebase.name} in ${
+    codebase.chunks.length
+  } parts because it did not fit in one context. Merge the part summaries below into a single summary of the whole repository.
+
+Repository File Tree:
+${codebase.tree}
+
+${partSummaries}
+
+Discussion Subject: ${config.discussionSubject}
+Summary Focus: ${metadata.summaryFocus}
+
+Combine findings that appear in more than one part, keep every distinct issue and recommendation, and note anything that spans files in different parts.${
+    stopReason
+      ? ` The review stopped early (${stopReason}), so some parts were not reviewed; say so.`
+      : ""
+  }`;
+  const mergeResponse = await callEverest(
+    await summarizer(mergePrompt, "", []),
+    pipeline,
+    "chunk_merge"
+  );
+  const summary =
+    mergeResponse.error || mergeResponse.budgetExceeded
+      ? `_Part summaries were not merged: ${mergeResponse.error}._\n\n${partSummaries}`
+      : mergeResponse.message;
+
+  // Findings from every part, renumbered so their IDs stay unique
+  const findings = results.some((result) => result.findings)
+    ? parts.flatMap(({ part, run }) =>
+        (run.result.findings || []).map((finding) => ({ ...finding, part }))
+      )
+    : null;
+  findings?.forEach((finding, index) => {
+    finding.id = `SEC-${String(index + 1).padStart(3, "0")}`;
+  });
+  const reviewComments = results.some((result) => result.reviewComments)
+    ? parts.flatMap(({ part, run }) =>
+        (run.result.reviewComments || []).map((comment) => ({
+          ...comment,
+          part,
+        }))
+      )
+    : null;
+  reviewComments?.forEach((comment, index) => {
+    comment.id = `TR-${String(index + 1).padStart(3, "0")}`;
+  });
+  const partCoverages = results
+    .map((result) => result.controlCoverage)
+    .filter(Boolean);
+  const controlCoverage =
+    partCoverages.length > 0 ? mergeControlCoverage(partCoverages) : null;
+
+  const panelStats = {};
+  for (const result of results) {
+    for (const [key, count] of Object.entries(result.panelStats)) {
+      panelStats[key] = (panelStats[key] || 0) + count;
+    }
+  }
+  const conversation = parts.flatMap(({ part, files, run }) => [
+    {
+      role: "moderator",
+      type: "part",
+      content: `Part ${part} of ${codebase.chunks.length}: ${files.join(", ")}`,
+      part,
+    },
+    ...run.result.conversation.map((entry) => ({ ...entry, part })),
+  ]);
+  const partRecords = parts.map(({ part, files, run }) => ({
+    part,
+    files,
+    runId: run.runId,
+    status: run.status,
+    outputDir: run.files ? path.dirname(run.files.summary) : null,
+  }));
+
+  const result = {
+    conversation,
+    summary,
+    moderatorDecisions: parts.flatMap(({ part, run }) =>
+      run.result.moderatorDecisions.map((decision) => ({ ...decision, part }))
+    ),
+    panelStats,
+    ...(findings && { findings }),
+    ...(reviewComments && { reviewComments }),
+    ...(controlCoverage && { controlCoverage }),
+    parts: partRecords,
+    metadata: {
+      ...metadata,
+      totalMessages: conversation.length,
+      repository,
+      apiCalls:
+        results.reduce((total, part) => total + part.metadata.apiCalls, 0) + 1,
+      expectedApiCalls:
+        results.reduce(
+          (total, part) => total + part.metadata.expectedApiCalls,
+          0
+        ) + 1,
+      actualApiCalls: pipeline.steps.length,
+      ...(stopReason && { stopReason }),
+    },
+  };
+  delete result.metadata.performance;
+
+  completePipeline(pipeline, stopReason ? "partial" : "completed");
+  pipeline.result = result;
+
+  const fileGenerationResult = await saveOutputs(pipeline, result, {
+    sourceText: [baseSourceText, `REPOSITORY: ${codebase.name}`, codebase.tree]
+      .filter(Boolean)
+      .join("\n\n"),
+    discussionSubject: config.discussionSubject,
+    panelInteractions: metadata.panelInteractions,
+    summaryFocus: metadata.summaryFocus,
+    panelType,
+    panelMode: metadata.panelMode,
+    panelRounds: metadata.panelRounds,
+    roster: metadata.roster,
+    parts: partRecords,
+  });
+  if (fileGenerationResult.success) {
+    console.log(`📁 Merged review saved to: ${fileGenerationResult.outputDir}`);
+    pipeline.files = fileGenerationResult.files;
+  } else {
+    console.warn(
+      "⚠️ File generation failed (non-critical):",
+      fileGenerationResult.error
+    );
+  }
+
+  return continueChain(pipeline, config, {
+    pipeline: "moderatedPanel",
+    logPrefix: `[${panelType} panel]`,
+  });
+}
+
+// Reply format appended to every round prompt for the moderator
+const ROUND_REPLY_INSTRUCTIONS = `Respond with only a JSON object in this format:
+{
+  "moderator_response": "Your comment to the panel",
+  "question": "The one question every panel member answers this round"
+}
+Every panel member answers the question, so next_speaker is not needed.`;
+
+/**
+ * Runs a round panel: each round the moderator poses one question, every member
+ * answers it in parallel from the same context, and the moderator synthesises the
+ * round while posing the next question
+ *
+ * The last round goes straight to the summary. Conversation entries carry their
+ * `round`; answers have type `round_response`.
+ *
+ * @param {Object} run - Run state from runPipeline: config, roster, panelRounds, agents, trackers, context manager and checkpoint
+ * @returns {Promise<string|null>} Reason the budget stopped the run, or null
+ */
+async function runPanelRounds(run) {
+  const {
+    config,
+    roster,
+    panelRounds,
+    panelAgents,
+    panelModelByRole,
+    moderatorModel,
+    moderatorDeps,
+    conversation,
+    moderatorDecisions,
+    panelStats,
+    operator,
+    contextManager,
+    source,
+    transcriptTurns,
+    checkpoint,
+    pipeline,
+  } = run;
+  const roundDeps = { ...moderatorDeps, format: ROUND_QUESTION_FORMAT };
+  let operatorDirection = null;
+
+  console.log("🎭 Moderator opening round 1...");
+  const openingPrompt = `Source Text: ${source.text}
+
+Discussion Subject: ${config.discussionSubject}
+
+This panel runs in ${panelRounds} rounds. In each round you pose one question and every panel member answers it at the same time.
+
+The panel members are:
+${roster
+  .map((member) => `- ${member.name}${member.role ? `: ${member.role}` : ""}`)
+  .join("\n")}
+
+Please:
+1. Provide a brief opening comment to set the stage
+2. Pose the question for round 1
+
+${ROUND_REPLY_INSTRUCTIONS}`;
+
+  const opening = await requestModeratorReply(
+    openingPrompt,
+    "moderator_setup",
+    "setup",
+    {
+      ...roundDeps,
+      tag: (agentConfig) =>
+        contextManager.tag(agentConfig, { source: source.strategy }),
+    }
+  );
+  if (opening.response.budgetExceeded) {
+    return opening.response.error;
+  }
+  moderatorDecisions.push(opening.decision);
+  if (opening.decision.moderator_comment.trim()) {
+    conversation.push({
+      role: "moderator",
+      type: "setup",
+      content: opening.decision.moderator_comment,
+      round: 1,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  let question = opening.decision.question;
+
+  for (let round = 1; round <= panelRounds; round++) {
+    console.log(
+      `💬 Round ${round}/${panelRounds} - ${roster.length} members answering...`
+    );
+    conversation.push({
+      role: "moderator",
+      type: "question",
+      content: question,
+      round,
+      timestamp: new Date().toISOString(),
+    });
+
+    // Every member answers from the same transcript; prompts are built first so a
+    // rolling summary is never requested twice at once
+    const turns = transcriptTurns();
+    const requests = [];
+    for (const member of roster) {
+      const transcript = await contextManager.prepareTranscript(turns, {
+        key: "panel",
+        model: panelModelByRole[member.id],
+      });
+      const prompt = `Discussion Context:
+${transcript.text}
+
+Source Text: ${source.text}
+Discussion Subject: ${config.discussionSubject}
+
+Round ${round} question for every panel member: ${question}
+
+Please provide your response as ${member.name}${
+        member.role ? ` (${member.role})` : ""
+      }. The other members are answering the same question at the same time.`;
+      const agentConfig = contextManager.tag(
+        await panelAgents[member.id](prompt, "", []),
+        { history: transcript.strategy, source: source.strategy }
+      );
+      requests.push({ member, agentConfig });
+    }
+
+    // The answers are sent together, so the whole round must fit in the budget
+    const roundBudget = checkBudget(pipeline, { calls: requests.length });
+    if (roundBudget.exceeded) {
+      return roundBudget.reason;
     }
-    // Invalid or missing next_speaker
-    else {
-      throw new Error("Missing or invalid next_speaker field");
+
+    const responses = await Promise.all(
+      requests.map(({ member, agentConfig }) => {
+        const stepId = `${member.id}_round_${round}`;
+        return checkpoint.runStep(stepId, () =>
+          callEverest(agentConfig, pipeline, stepId)
+        );
+      })
+    );
+
+    let budgetStop = null;
+    responses.forEach((response, index) => {
+      if (response.budgetExceeded) {
+        budgetStop = budgetStop || response.error;
+        return;
+      }
+      const member = requests[index].member;
+      // callEverest has recorded the failed step; the round goes on without this member
+      if (response.error) {
+        const warning = `Round ${round}: ${member.name} did not answer (${response.error})`;
+        console.warn(`⚠️ ${warning}`);
+        pipeline.warnings = pipeline.warnings || [];
+        pipeline.warnings.push(warning);
+        return;
+      }
+      panelStats[member.id]++;
+      conversation.push({
+        role: member.id,
+        type: "round_response",
+        content: response.message,
+        round,
+        timestamp: new Date().toISOString(),
+      });
+    });
+    if (budgetStop) {
+      return budgetStop;
+    }
+
+    const control = await operator.pause({
+      turn: conversation[conversation.length - 1],
+      nextSpeaker: "moderator",
+      iteration: round,
+    });
+    if (control.action === "inject") {
+      conversation.push({
+        role: control.speaker,
+        type: "human",
+        content: control.content,
+        round,
+        timestamp: new Date().toISOString(),
+        isHuman: true,
+      });
+    } else if (control.action === "redirect") {
+      operatorDirection = control.content;
+    }
+    if (operator.stopReason || round === panelRounds) {
+      break;
+    }
+
+    // Moderator synthesises the round and poses the next question
+    console.log(`🎭 Moderator synthesising round ${round}...`);
+    const moderatorTranscript = await contextManager.prepareTranscript(
+      transcriptTurns(),
+      { key: "panel", model: moderatorModel }
+    );
+    const synthesisPrompt = `Current Discussion:
+${moderatorTranscript.text}
+
+Source Text: ${source.text}
+Discussion Subject: ${config.discussionSubject}
+
+Round ${round} of ${panelRounds} is complete. Every panel member answered: ${question}
+
+Please:
+1. Synthesise the round: where the members agree, where they differ and what is still open
+2. Pose the question for round ${round + 1}, building on what is still open${
+      operatorDirection
+        ? `
+
+Operator direction (takes priority over the points above):
+${operatorDirection}`
+        : ""
+    }
+
+${ROUND_REPLY_INSTRUCTIONS}`;
+    operatorDirection = null;
+
+    const { response, decision } = await requestModeratorReply(
+      synthesisPrompt,
+      `moderator_round_${round}`,
+      `round_${round}`,
+      {
+        ...roundDeps,
+        tag: (agentConfig) =>
+          contextManager.tag(agentConfig, {
+            history: moderatorTranscript.strategy,
+            source: source.strategy,
+          }),
+      }
+    );
+    if (response.budgetExceeded) {
+      return response.error;
+    }
+    moderatorDecisions.push(decision);
+    if (decision.moderator_comment.trim()) {
+      conversation.push({
+        role: "moderator",
+        type: "synthesis",
+        content: decision.moderator_comment,
+        round,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    question = decision.question;
+  }
+
+  return null;
+}
+
+// What each side is asked for in each phase of a debate
+const DEBATE_PHASE_INSTRUCTIONS = {
+  opening:
+    "Give your opening statement: set out your case and your strongest arguments.",
+  rebuttal:
+    "Give your rebuttal: answer the other side's strongest points, then reinforce your own case.",
+  closing:
+    "Give your closing statement: weigh the arguments made in the debate and explain why your side should win. Do not introduce new arguments.",
+};
+
+/**
+ * Runs a debate: in each round (opening statements, the rebuttal rounds, closing
+ * statements) the proposition speaks and then the opposition, and the judge scores
+ * the round. After the closing statements, or when the operator ends the debate,
+ * the judge gives the verdict.
+ *
+ * Speeches over the phase's word limit are cut off. Speeches have type opening,
+ * rebuttal or closing and carry their `round`; the verdict is added as a moderator
+ * entry of type `verdict`. Scorecards are kept on `run.debate`, out of the
+ * conversation, so the sides never see them.
+ *
+ * @param {Object} run - Run state from runPipeline: config, roster, debate record and options, agents, trackers, context manager and checkpoint
+ * @returns {Promise<string|null>} Reason the budget stopped the run, or null
+ */
+async function runDebate(run) {
+  const {
+    config,
+    roster,
+    debate,
+    debateOptions,
+    judge,
+    panelAgents,
+    panelModelByRole,
+    moderatorModel,
+    conversation,
+    panelStats,
+    operator,
+    contextManager,
+    source,
+    transcriptTurns,
+    checkpoint,
+    pipeline,
+    logPrefix,
+  } = run;
+  const judgeContext = {
+    pipelineData: pipeline,
+    checkpoint,
+    judge,
+    motion: debate.motion,
+    rubric: debateOptions.rubric,
+    sides: debate.sides,
+    logPrefix,
+  };
+  const rounds = debateRounds(debateOptions.rebuttalRounds);
+
+  for (const [index, round] of rounds.entries()) {
+    console.log(`🎤 ${round.label}...`);
+    const minutes = debateOptions.speechMinutes[round.phase];
+    const maxWords = debateOptions.speechWords[round.phase];
+    const speeches = {};
+
+    for (const [sideIndex, side] of DEBATE_SIDES.entries()) {
+      const member = roster[sideIndex];
+      const transcript = await contextManager.prepareTranscript(
+        transcriptTurns(),
+        { key: "panel", model: panelModelByRole[member.id] }
+      );
+      const prompt = `Debate So Far:
+${transcript.text || "(No speeches yet: you speak first.)"}
+
+Background: ${source.text}
+Motion: ${debate.motion}
+
+You are the ${member.name}${
+        member.role ? ` (${member.role})` : ""
+      }: you argue ${side === "proposition" ? "for" : "against"} the motion.
+
+${round.label}. ${DEBATE_PHASE_INSTRUCTIONS[round.phase]}
+
+Speaking time: ${minutes} minutes, about ${maxWords} words. The judge cuts off anything longer.`;
+      const agentConfig = contextManager.tag(
+        await panelAgents[member.id](prompt, "", []),
+        { history: transcript.strategy, source: source.strategy }
+      );
+      const stepId = `${member.id}_${round.id}`;
+      const response = await checkpoint.runStep(stepId, () =>
+        callEverest(agentConfig, pipeline, stepId)
+      );
+      if (response.budgetExceeded) {
+        return response.error;
+      }
+
+      const speech = limitSpeech(response.message, maxWords);
+      speeches[side] = { ...speech, maxWords };
+      panelStats[member.id]++;
+      conversation.push({
+        role: member.id,
+        type: round.phase,
+        content: speech.content,
+        round: round.id,
+        words: speech.words,
+        ...(speech.overtime && { overtime: true }),
+        timestamp: new Date().toISOString(),
+      });
     }
 
+    const scored = await scoreDebateRound(round, {
+      ...judgeContext,
+      speeches,
+    });
+    if (scored.budgetExceeded) {
+      return scored.error;
+    }
+    debate.rounds.push(scored);
+    debate.totals = tallyDebate(debate.rounds);
+
+    const next = rounds[index + 1];
+    await operator.pause({
+      turn: conversation[conversation.length - 1],
+      nextSpeaker: next ? next.label : "verdict",
+      iteration: index + 1,
+    });
+    if (operator.stopReason) {
+      break;
+    }
+  }
+
+  console.log("⚖️ Judge giving the verdict...");
+  const transcript = await contextManager.prepareTranscript(transcriptTurns(), {
+    key: "panel",
+    model: moderatorModel,
+  });
+  const decision = await requestDebateVerdict({
+    ...judgeContext,
+    rounds: debate.rounds,
+    transcript: transcript.text,
+  });
+  if (decision.budgetExceeded) {
+    return decision.error;
+  }
+  debate.verdict = decision.verdict;
+  conversation.push({
+    role: "moderator",
+    type: "verdict",
+    content: formatVerdictText(debate.verdict, debate.sides),
+    round: "verdict",
+    timestamp: new Date().toISOString(),
+  });
+
+  return null;
+}
+
+/**
+ * Parses the moderator reply that opens a round into the round's question
+ *
+ * A reply that does not match ROUND_QUESTION_SCHEMA falls back to a general question
+ * about the discussion subject.
+ *
+ * @param {string} content - Moderator reply
+ * @param {string} context - Reply label, e.g. "setup" or "round_2"
+ * @returns {Object} Decision with moderator_comment and question
+ */
+export function parseRoundQuestion(content, context) {
+  const { parsed, errors } = readModeratorReply(content, (reply) =>
+    checkReplySchema(reply, ROUND_QUESTION_SCHEMA)
+  );
+
+  if (errors.length === 0) {
     return {
-      moderator_comment,
-      next_speaker,
-      speaking_prompt,
-      reasoning: parsed.reasoning || "",
-      moderator_responds: parsed.moderator_responds || false,
+      moderator_comment: parsed.moderator_response || "",
+      question: parsed.question.trim(),
       context,
       timestamp: new Date().toISOString(),
     };
+  }
+
+  const parsingError = errors.join("; ");
+  console.warn(
+    `⚠️ Failed to parse moderator JSON in ${context}:`,
+    parsingError
+  );
+  console.warn("Raw content:", content);
+
+  return {
+    moderator_comment: "",
+    question:
+      "What is your perspective on the discussion subject, given what has been said so far?",
+    context: `${context}_fallback`,
+    timestamp: new Date().toISOString(),
+    parsing_error: parsingError,
+  };
+}
+
+/**
+ * Lists the panel members for the moderator with the slot that selects each one
+ * @param {Array<Object>} roster - Panel members from the panel config
+ * @param {Object} [panelStats] - Turns taken per member; shown instead of roles when given
+ * @returns {string} One line per member followed by the valid next_speaker values
+ */
+function formatRosterForModerator(roster, panelStats = null) {
+  const members = roster.map((member) => {
+    const detail = panelStats ? `${panelStats[member.id]} times` : member.role;
+    return `- ${member.name} (${member.slot})${detail ? `: ${detail}` : ""}`;
+  });
+  return `${members.join("\n")}
+
+Valid next_speaker values: ${roster.map((member) => member.slot).join(", ")}`;
+}
+
+/**
+ * Finds the panel member a moderator's next_speaker refers to
+ * @param {Array<Object>} roster - Panel members
+ * @param {string} speaker - Roster slot (`panel_2`), member ID or member name
+ * @returns {Object|undefined} Roster member
+ */
+function findRosterMember(roster, speaker) {
+  const value = String(speaker).trim().toLowerCase();
+  const slot = value.match(/^panel_(\d+)$/);
+  if (slot) {
+    return roster[Number(slot[1]) - 1];
+  }
+  return roster.find(
+    (member) => member.id === value || member.name.toLowerCase() === value
+  );
+}
+
+/**
+ * Checks a parsed moderator reply against a reply schema's required fields and types
+ * @param {*} reply - Parsed moderator reply
+ * @param {Object} schema - MODERATOR_DECISION_SCHEMA or ROUND_QUESTION_SCHEMA
+ * @returns {Array<string>} Schema violations
+ */
+function checkReplySchema(reply, schema) {
+  if (!reply || typeof reply !== "object" || Array.isArray(reply)) {
+    return ["Decision must be a JSON object"];
+  }
+
+  const errors = [];
+  for (const field of schema.required) {
+    if (reply[field] === undefined) {
+      errors.push(`Missing required field: ${field}`);
+    }
+  }
+  for (const [field, rule] of Object.entries(schema.properties)) {
+    const value = reply[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (typeof value !== rule.type) {
+      errors.push(`${field} must be a ${rule.type}`);
+    } else if (rule.minLength && value.trim().length < rule.minLength) {
+      errors.push(`${field} must not be empty`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checks a parsed moderator decision against MODERATOR_DECISION_SCHEMA and the roster
+ * @param {*} decision - Parsed moderator reply
+ * @param {Array<Object>} [roster] - Panel members; defaults to the discussion panel
+ * @returns {Array<string>} Schema violations; empty when the decision is usable
+ */
+export function validateModeratorDecision(decision, roster = DEFAULT_ROSTER) {
+  const errors = checkReplySchema(decision, MODERATOR_DECISION_SCHEMA);
+
+  if (errors.length === 0 && !findRosterMember(roster, decision.next_speaker)) {
+    errors.push(
+      `Invalid speaker: ${decision.next_speaker}. Expected ${roster
+        .map((member) => member.slot)
+        .join(", ")}`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Parses a moderator reply and checks it with the given validator
+ * @param {string} content - Moderator reply
+ * @param {Function} validate - `(parsed) => errors`
+ * @returns {Object} `{ parsed, errors }`; parsed is null when the reply is not JSON
+ */
+function readModeratorReply(content, validate) {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
   } catch (error) {
+    return {
+      parsed: null,
+      errors: [`Reply is not valid JSON: ${error.message}`],
+    };
+  }
+  return { parsed, errors: validate(parsed) };
+}
+
+/**
+ * Reply format for speaker decisions in sequential panels
+ *
+ * The dry-run stub hands the floor to each roster member in turn.
+ *
+ * @param {Array<Object>} roster - Panel members
+ * @returns {Object} `{ schema, validate, parse, stub }` for requestModeratorReply
+ */
+function decisionReplyFormat(roster) {
+  let stubs = 0;
+  return {
+    schema: {
+      ...MODERATOR_DECISION_SCHEMA,
+      properties: {
+        ...MODERATOR_DECISION_SCHEMA.properties,
+        next_speaker: {
+          type: "string",
+          enum: roster.map((member) => member.slot),
+        },
+      },
+    },
+    validate: (reply) => validateModeratorDecision(reply, roster),
+    parse: (content, context) =>
+      parseModeratorResponse(content, context, roster),
+    stub: (stepId) => ({
+      moderator_response: `[Dry run] Stub moderator response for ${stepId}.`,
+      next_speaker: roster[stubs++ % roster.length].slot,
+      moderator_responds: false,
+    }),
+  };
+}
+
+// Reply format for the question that opens each round
+const ROUND_QUESTION_FORMAT = {
+  schema: ROUND_QUESTION_SCHEMA,
+  validate: (reply) => checkReplySchema(reply, ROUND_QUESTION_SCHEMA),
+  parse: (content, context) => parseRoundQuestion(content, context),
+  stub: (stepId) => ({
+    moderator_response: `[Dry run] Stub moderator response for ${stepId}.`,
+    question: `[Dry run] Stub question for ${stepId}.`,
+  }),
+};
+
+/**
+ * Builds the prompt that asks the moderator to fix a reply that failed the schema
+ * @param {string} prompt - Prompt the failed reply answered
+ * @param {string} reply - The failed reply
+ * @param {Array<string>} errors - Schema violations
+ * @param {Object} schema - Schema the reply must match
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(prompt, reply, errors, schema) {
+  return `${prompt}
+
+Your previous reply could not be used:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Previous reply:
+${reply ?? ""}
+
+Reply again with only a JSON object that matches this schema:
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Asks the moderator for a reply, sending repair prompts while it fails the schema
+ *
+ * Each repair is counted in `panelStats.moderatorRepairs`. A reply that still fails
+ * after the last repair goes through the parser's fallback and is counted in
+ * `panelStats.moderatorFallbacks`. Repair calls run as `<stepId>_repair_<n>` steps.
+ *
+ * @param {string} prompt - Moderator prompt
+ * @param {string} stepId - Step ID of the first call
+ * @param {string} context - Decision label, e.g. "setup" or "decision_2"
+ * @param {Object} deps - Moderator agent, reply format, maxRepairs, panelStats, pipeline, checkpoint and tag
+ * @returns {Promise<Object>} `{ response, decision }` with the last Everest response
+ */
+async function requestModeratorReply(prompt, stepId, context, deps) {
+  const { moderator, format, maxRepairs, panelStats, pipeline, checkpoint } =
+    deps;
+  const callModerator = async (message, id) => {
+    const agentConfig = deps.tag(await moderator(message, "", []));
+    stubDryRunReply(pipeline, id, () => format.stub(id));
+    return checkpoint.runStep(id, () => callEverest(agentConfig, pipeline, id));
+  };
+
+  let response = await callModerator(prompt, stepId);
+  let repairs = 0;
+  while (!response.budgetExceeded && repairs < maxRepairs) {
+    const { errors } = readModeratorReply(response.message, format.validate);
+    if (errors.length === 0) {
+      break;
+    }
+    repairs++;
+    panelStats.moderatorRepairs++;
     console.warn(
-      `⚠️ Failed to parse moderator JSON in ${context}:`,
-      error.message
+      `🔧 Moderator reply in ${context} failed the reply schema (${errors.join(
+        "; "
+      )}). Requesting repair ${repairs}/${maxRepairs}...`
     );
-    console.warn("Raw content:", content);
+    response = await callModerator(
+      buildRepairPrompt(prompt, response.message, errors, format.schema),
+      `${stepId}_repair_${repairs}`
+    );
+  }
 
-    // Fallback logic - try to extract speaker from content
-    const panelMatch = content.match(/panel_([123])/i);
-    const speakerMatch = content.match(/(?:challenger|analyst|explorer)/i);
+  const decision = format.parse(response.message, context);
+  if (decision.parsing_error && !response.budgetExceeded) {
+    panelStats.moderatorFallbacks++;
+  }
+  if (repairs > 0) {
+    decision.repairs = repairs;
+  }
+  return { response, decision };
+}
 
-    let fallbackSpeaker = "analyst"; // default
+/**
+ * Escapes a member ID or name for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
 
-    if (panelMatch) {
-      const speakerMapping = { 1: "challenger", 2: "analyst", 3: "explorer" };
-      fallbackSpeaker = speakerMapping[panelMatch[1]] || "analyst";
-    } else if (speakerMatch) {
-      fallbackSpeaker = speakerMatch[0].toLowerCase();
-    }
+/**
+ * Parses a moderator decision into the next speaker and their prompt
+ *
+ * The reply must match MODERATOR_DECISION_SCHEMA. `next_speaker` may be a roster slot
+ * (`panel_2`), a member ID or a member name. When the reply cannot be used the speaker
+ * is taken from the first slot, ID or name in the text, falling back to the second
+ * member.
+ *
+ * @param {string} content - Moderator reply
+ * @param {string} context - Decision label, e.g. "setup" or "decision_2"
+ * @param {Array<Object>} [roster] - Panel members; defaults to the discussion panel
+ * @returns {Object} Decision with next_speaker set to a member ID
+ */
+export function parseModeratorResponse(
+  content,
+  context,
+  roster = DEFAULT_ROSTER
+) {
+  const { parsed, errors } = readModeratorReply(content, (reply) =>
+    validateModeratorDecision(reply, roster)
+  );
 
+  if (errors.length === 0) {
+    const member = findRosterMember(roster, parsed.next_speaker);
+
+    // New format: {moderator_response, next_speaker: "panel_N", moderator_responds}
+    // Old format: {moderator_comment, next_speaker: "<member id>", speaking_prompt}
     return {
-      moderator_comment: `Continuing discussion... (fallback mode)`,
-      next_speaker: fallbackSpeaker,
-      speaking_prompt: `Please continue the discussion based on the context provided.`,
-      reasoning: `Fallback selection due to parsing error: ${error.message}`,
-      context: `${context}_fallback`,
+      moderator_comment:
+        parsed.moderator_response || parsed.moderator_comment || "",
+      next_speaker: member.id,
+      speaking_prompt:
+        parsed.speaking_prompt ||
+        `Please continue the discussion based on the context provided.`,
+      reasoning: parsed.reasoning || "",
+      moderator_responds: parsed.moderator_responds || false,
+      context,
       timestamp: new Date().toISOString(),
-      parsing_error: error.message,
     };
   }
+
+  const parsingError = errors.join("; ");
+  console.warn(
+    `⚠️ Failed to parse moderator JSON in ${context}:`,
+    parsingError
+  );
+  console.warn("Raw content:", content);
+
+  // Fallback logic - take the earliest slot, ID or name mentioned in the content
+  const text = String(content ?? "");
+  const panelMatch = text.match(/panel_(\d+)/i);
+  const mentioned = roster
+    .map((member) => ({
+      member,
+      index: text.search(
+        new RegExp(
+          `\\b(?:${escapeRegExp(member.id)}|${escapeRegExp(member.name)})\\b`,
+          "i"
+        )
+      ),
+    }))
+    .filter((match) => match.index >= 0)
+    .sort((a, b) => a.index - b.index)[0];
+
+  const fallbackMember =
+    (panelMatch && roster[Number(panelMatch[1]) - 1]) ||
+    mentioned?.member ||
+    roster[1] ||
+    roster[0];
+
+  return {
+    moderator_comment: `Continuing discussion... (fallback mode)`,
+    next_speaker: fallbackMember.id,
+    speaking_prompt: `Please continue the discussion based on the context provided.`,
+    reasoning: `Fallback selection due to parsing error: ${parsingError}`,
+    context: `${context}_fallback`,
+    timestamp: new Date().toISOString(),
+    parsing_error: parsingError,
+  };
+}
+
+/**
+ * Formats each member's contribution count and the moderator repairs and fallbacks
+ * @param {Array<Object>} roster - Panel members
+ * @param {Object} panelStats - Panel participation statistics
+ * @returns {string} Markdown list lines
+ */
+function formatPanelStatistics(roster, panelStats) {
+  return [
+    ...roster.map(
+      (member) =>
+        `- **${member.name}**: ${panelStats[member.id] || 0} contributions`
+    ),
+    `- **Moderator Repairs**: ${panelStats.moderatorRepairs || 0}`,
+    `- **Moderator Fallbacks**: ${panelStats.moderatorFallbacks || 0}`,
+  ].join("\n");
 }
 
 /**
@@ -619,58 +2462,63 @@ function generateConversationMarkdown(
   timestamp,
   pipelineData
 ) {
-  const {
-    sourceText,
-    discussionSubject,
-    panelInteractions,
-    summaryFocus,
-    panelType,
-  } = config;
+  const { sourceText, discussionSubject, summaryFocus, panelType, roster } =
+    config;
+  const memberNames = Object.fromEntries(
+    roster.map((member) => [member.id, member.name])
+  );
 
   // Panel type specific context
   const panelTypeInfo = {
     discussion: {
       title: "Discussion Panel Conversation",
       description: "tl;dr podcast format with named participants",
-      participants: "Sarah (Challenger), Mike (Analyst), Lisa (Explorer)",
     },
     security: {
       title: "Security Review Panel Conversation",
       description: "Security-focused analysis with offensive/defensive experts",
-      participants:
-        "Red Team (Offensive), Blue Team (Defensive), Risk Assessment (Compliance)",
     },
     techreview: {
       title: "Technical Review Panel Conversation",
       description: "Technical architecture review with specialized experts",
-      participants:
-        "Systems Architect, Performance Engineer, Innovation Specialist",
+    },
+    debate: {
+      title: "Debate Panel Conversation",
+      description:
+        "Timed debate: proposition and opposition argue a motion before a judge",
     },
   };
 
-  const typeInfo = panelTypeInfo[panelType] || panelTypeInfo.discussion;
+  const typeInfo =
+    panelTypeInfo[panelType] ||
+    (config.panelTitle && {
+      title: `${config.panelTitle} Conversation`,
+      description:
+        config.panelDescription || "Panel defined by a panel type file",
+    }) ||
+    panelTypeInfo.discussion;
 
   let markdown = `# ${typeInfo.title}
 
 ## Panel Type Information
 - **Panel Type**: ${panelType || "discussion"}
 - **Format**: ${typeInfo.description}
-- **Participants**: ${typeInfo.participants}
+- **Participants**: ${roster
+    .map((member) => `${member.name}${member.role ? ` (${member.role})` : ""}`)
+    .join(", ")}
 
 ## Metadata
 - **Run ID**: ${runId}
 - **Generated**: ${timestamp}
 - **Discussion Subject**: ${discussionSubject}
-- **Panel Interactions**: ${panelInteractions}
+${formatPanelPacing(config)}
 - **Summary Focus**: ${summaryFocus}
 
 ## Cost Summary
 ${formatCostSummary(pipelineData)}
 
 ## Panel Statistics
-- **Challenger**: ${panelStats.challenger} contributions
-- **Analyst**: ${panelStats.analyst} contributions
-- **Explorer**: ${panelStats.explorer} contributions
+${formatPanelStatistics(roster, panelStats)}
 - **Total Messages**: ${conversation.length}
 - **Moderator Decisions**: ${moderatorDecisions.length}
 
@@ -681,11 +2529,23 @@ ${sourceText}
 
 `;
 
+  if (config.panelMode === "rounds") {
+    return markdown + formatRoundsConversation(conversation, memberNames);
+  }
+  if (config.panelMode === "debate") {
+    return (
+      markdown +
+      formatDebateConversation(conversation, memberNames, config.rebuttalRounds)
+    );
+  }
+
   conversation.forEach((msg) => {
     const role =
       msg.role === "moderator"
         ? "Moderator"
-        : msg.role.charAt(0).toUpperCase() + msg.role.slice(1);
+        : msg.isHuman
+        ? `🧑 ${msg.role}`
+        : memberNames[msg.role] || msg.role;
     markdown += `## ${role}${msg.type ? ` (${msg.type})` : ""}
 
 ${msg.content}
@@ -698,6 +2558,97 @@ ${msg.content}
   return markdown;
 }
 
+/**
+ * Describes the panel's pacing for the markdown metadata
+ * @param {Object} config - Output config with panelMode, panelInteractions, panelRounds and rebuttalRounds
+ * @returns {string} Markdown list line
+ */
+function formatPanelPacing(config) {
+  return config.panelMode === "debate"
+    ? `- **Format**: Debate (opening statements, ${config.rebuttalRounds} rebuttal rounds, closing statements)`
+    : config.panelMode === "rounds"
+    ? `- **Panel Mode**: Rounds (${config.panelRounds} rounds, every member answers each question)`
+    : `- **Panel Interactions**: ${config.panelInteractions}`;
+}
+
+/**
+ * Lays out a round panel's conversation as one section per round
+ * @param {Array} conversation - Conversation entries with their round
+ * @param {Object} memberNames - Member names by ID
+ * @returns {string} Markdown content
+ */
+function formatRoundsConversation(conversation, memberNames) {
+  const headings = {
+    setup: "Moderator opening",
+    question: "Moderator question",
+    synthesis: "Moderator synthesis",
+  };
+  let markdown = "";
+  let currentRound = null;
+
+  conversation.forEach((msg) => {
+    if (msg.round !== currentRound) {
+      currentRound = msg.round;
+      markdown += `## Round ${currentRound}
+
+`;
+    }
+    const heading = msg.isHuman
+      ? `🧑 ${msg.role} (human)`
+      : msg.role === "moderator"
+      ? headings[msg.type] || "Moderator"
+      : memberNames[msg.role] || msg.role;
+    markdown += `### ${heading}
+
+${msg.content}
+
+`;
+    if (msg.type === "synthesis") {
+      markdown += `---
+
+`;
+    }
+  });
+
+  return markdown;
+}
+
+/**
+ * Lays out a debate as one section per round, followed by the verdict
+ * @param {Array} conversation - Conversation entries with their round
+ * @param {Object} memberNames - Member names by ID
+ * @param {number} rebuttalRounds - Rebuttal rounds in the debate
+ * @returns {string} Markdown content
+ */
+function formatDebateConversation(conversation, memberNames, rebuttalRounds) {
+  const labels = {
+    ...Object.fromEntries(
+      debateRounds(rebuttalRounds).map((round) => [round.id, round.label])
+    ),
+    verdict: "Verdict",
+  };
+  let markdown = "";
+  let currentRound = null;
+
+  conversation.forEach((msg) => {
+    if (msg.round !== currentRound) {
+      currentRound = msg.round;
+      markdown += `## ${labels[currentRound] || currentRound}
+
+`;
+    }
+    const heading =
+      msg.role === "moderator" ? "Judge" : memberNames[msg.role] || msg.role;
+    markdown += `### ${heading}${msg.overtime ? " ⏱️ (cut off)" : ""}
+
+${msg.content}
+
+`;
+  });
+
+  return markdown;
+}
+
 /**
  * Generates summary markdown file with metadata
  * @param {string} summary - Summary content
@@ -716,13 +2667,7 @@ function generateSummaryMarkdown(
   timestamp,
   pipelineData
 ) {
-  const {
-    sourceText,
-    discussionSubject,
-    panelInteractions,
-    summaryFocus,
-    panelType,
-  } = config;
+  const { sourceText, discussionSubject, summaryFocus, panelType } = config;
 
   // Panel type specific context
   const panelTypeInfo = {
@@ -741,9 +2686,20 @@ function generateSummaryMarkdown(
       focus:
         "Architectural improvements, performance optimizations, and innovation opportunities",
     },
+    debate: {
+      title: "Debate Panel Summary",
+      focus:
+        "The case on each side, the turning points and the judge's verdict",
+    },
   };
 
-  const typeInfo = panelTypeInfo[panelType] || panelTypeInfo.discussion;
+  const typeInfo =
+    panelTypeInfo[panelType] ||
+    (config.panelTitle && {
+      title: `${config.panelTitle} Summary`,
+      focus: summaryFocus,
+    }) ||
+    panelTypeInfo.discussion;
 
   return `# ${typeInfo.title}
 
@@ -755,28 +2711,40 @@ function generateSummaryMarkdown(
 - **Run ID**: ${runId}
 - **Generated**: ${timestamp}
 - **Discussion Subject**: ${discussionSubject}
-- **Panel Interactions**: ${panelInteractions}
+${formatPanelPacing(config)}
 - **Summary Focus**: ${summaryFocus}
 
 ## Cost Summary
 ${formatCostSummary(pipelineData)}
 
 ## Panel Statistics
-- **Challenger**: ${panelStats.challenger} contributions
-- **Analyst**: ${panelStats.analyst} contributions
-- **Explorer**: ${panelStats.explorer} contributions
-- **Total Moderator Decisions**: ${Object.values(panelStats).reduce(
-    (a, b) => a + b,
+${formatPanelStatistics(config.roster, panelStats)}
+- **Total Moderator Decisions**: ${config.roster.reduce(
+    (total, member) => total + (panelStats[member.id] || 0),
     0
   )}
 
 ## Summary
 
 ${summary}
-
+${
+  config.parts
+    ? `
+## Repository Parts
+${config.parts
+  .map(
+    (part) =>
+      `- **Part ${part.part}** (${part.files.length} files, ${part.status}): ${
+        part.outputDir || "no output folder"
+      }`
+  )
+  .join("\n")}
+`
+    : ""
+}
 ## Context
 - **Source Material Length**: ${sourceText.length} characters
-- **Panel Interactions**: ${panelInteractions}
+${formatPanelPacing(config)}
 - **Panel Type**: ${panelType || "discussion"}
 - **Summary Model**: Generated via Everest API
 `;
@@ -788,7 +2756,10 @@ async function saveOutputs(pipeline, result, config) {
   const panelType = config.panelType || "discussion";
 
   // Type-specific output directory naming: output/panel/{timestamp}_{panelType}/
-  const baseOutputDir = path.join(process.cwd(), "output", "panel");
+  // Panel type files may name their own output directory instead of output/panel
+  const baseOutputDir = config.outputDirectory
+    ? path.resolve(process.cwd(), config.outputDirectory)
+    : path.join(process.cwd(), "output", "panel");
 
   console.log(
     `[FileGeneration] Starting file generation for ${panelType} panel run ${runId}`
@@ -840,8 +2811,30 @@ async function saveOutputs(pipeline, result, config) {
       "moderator_decisions.json"
     );
     const dataPath = path.join(outputDir, "data.json");
-
-    // Write all files
+    const consensusPath = path.join(outputDir, "consensus.json");
+    const consensusMarkdownPath = path.join(outputDir, "consensus.md");
+    const findingsPath = path.join(outputDir, "findings.json");
+    const sarifPath = path.join(outputDir, "findings.sarif");
+    const reviewCommentsPath = path.join(outputDir, "review-comments.json");
+    const reviewCommentsMarkdownPath = path.join(
+      outputDir,
+      "review-comments.md"
+    );
+    const controlCoveragePath = path.join(outputDir, "control-coverage.json");
+    const controlCoverageMarkdownPath = path.join(
+      outputDir,
+      "control-coverage.md"
+    );
+    const uncoveredControlsPath = path.join(outputDir, "uncovered-controls.md");
+    const scorecardPath = path.join(outputDir, "scorecard.json");
+    const scorecardMarkdownPath = path.join(outputDir, "scorecard.md");
+    const uncoveredControls =
+      result.controlCoverage && result.controlCoverage.uncovered.length > 0;
+
+    // Write all files (the consensus files only when the panel voted, the
+    // findings, review comment and coverage files only when the panel reported
+    // them, the uncovered checklist only when a control was missed, the
+    // scorecard only for debates)
     await Promise.all([
       fs.writeFile(conversationPath, conversationMd, "utf8"),
       fs.writeFile(summaryPath, summaryMd, "utf8"),
@@ -851,6 +2844,100 @@ async function saveOutputs(pipeline, result, config) {
         "utf8"
       ),
       fs.writeFile(dataPath, JSON.stringify(result, null, 2), "utf8"),
+      ...(result.consensus
+        ? [
+            fs.writeFile(
+              consensusPath,
+              JSON.stringify(result.consensus, null, 2),
+              "utf8"
+            ),
+            fs.writeFile(
+              consensusMarkdownPath,
+              formatConsensusMarkdown(result.consensus, {
+                title: `${config.panelTitle || "Panel"} Consensus`,
+                discussionSubject: config.discussionSubject,
+              }),
+              "utf8"
+            ),
+          ]
+        : []),
+      ...(result.findings
+        ? [
+            fs.writeFile(
+              findingsPath,
+              JSON.stringify(result.findings, null, 2),
+              "utf8"
+            ),
+            fs.writeFile(
+              sarifPath,
+              JSON.stringify(
+                buildSarifLog(result.findings, {
+                  toolVersion: pipelineInfo.version,
+                  runId,
+                  discussionSubject: config.discussionSubject,
+                }),
+                null,
+                2
+              ),
+              "utf8"
+            ),
+          ]
+        : []),
+      ...(result.reviewComments
+        ? [
+            fs.writeFile(
+              reviewCommentsPath,
+              JSON.stringify(result.reviewComments, null, 2),
+              "utf8"
+            ),
+            fs.writeFile(
+              reviewCommentsMarkdownPath,
+              formatReviewCommentsMarkdown(result.reviewComments, {
+                discussionSubject: config.discussionSubject,
+              }),
+              "utf8"
+            ),
+          ]
+        : []),
+      ...(result.controlCoverage
+        ? [
+            fs.writeFile(
+              controlCoveragePath,
+              JSON.stringify(result.controlCoverage, null, 2),
+              "utf8"
+            ),
+            fs.writeFile(
+              controlCoverageMarkdownPath,
+              formatCoverageMarkdown(result.controlCoverage, {
+                discussionSubject: config.discussionSubject,
+              }),
+              "utf8"
+            ),
+          ]
+        : []),
+      ...(uncoveredControls
+        ? [
+            fs.writeFile(
+              uncoveredControlsPath,
+              formatUncoveredChecklist(result.controlCoverage),
+              "utf8"
+            ),
+          ]
+        : []),
+      ...(result.debate
+        ? [
+            fs.writeFile(
+              scorecardPath,
+              JSON.stringify(result.debate, null, 2),
+              "utf8"
+            ),
+            fs.writeFile(
+              scorecardMarkdownPath,
+              formatScorecardMarkdown(result.debate),
+              "utf8"
+            ),
+          ]
+        : []),
     ]);
 
     console.log(`[FileGeneration] ✅ All files generated successfully`);
@@ -861,6 +2948,31 @@ async function saveOutputs(pipeline, result, config) {
       `[FileGeneration] - Moderator Decisions: ${moderatorDecisionsPath}`
     );
     console.log(`[FileGeneration] - Data: ${dataPath}`);
+    if (result.consensus) {
+      console.log(`[FileGeneration] - Consensus: ${consensusMarkdownPath}`);
+    }
+    if (result.findings) {
+      console.log(`[FileGeneration] - Findings: ${findingsPath}`);
+      console.log(`[FileGeneration] - SARIF: ${sarifPath}`);
+    }
+    if (result.reviewComments) {
+      console.log(
+        `[FileGeneration] - Review Comments: ${reviewCommentsMarkdownPath}`
+      );
+    }
+    if (result.controlCoverage) {
+      console.log(
+        `[FileGeneration] - Control Coverage: ${controlCoverageMarkdownPath}`
+      );
+    }
+    if (uncoveredControls) {
+      console.log(
+        `[FileGeneration] - Uncovered Controls: ${uncoveredControlsPath}`
+      );
+    }
+    if (result.debate) {
+      console.log(`[FileGeneration] - Scorecard: ${scorecardMarkdownPath}`);
+    }
 
     return {
       success: true,
@@ -871,6 +2983,27 @@ async function saveOutputs(pipeline, result, config) {
         summary: summaryPath,
         moderatorDecisions: moderatorDecisionsPath,
         data: dataPath,
+        ...(result.consensus && {
+          consensus: consensusPath,
+          consensusMarkdown: consensusMarkdownPath,
+        }),
+        ...(result.findings && {
+          findings: findingsPath,
+          sarif: sarifPath,
+        }),
+        ...(result.reviewComments && {
+          reviewComments: reviewCommentsPath,
+          reviewCommentsMarkdown: reviewCommentsMarkdownPath,
+        }),
+        ...(result.controlCoverage && {
+          controlCoverage: controlCoveragePath,
+          controlCoverageMarkdown: controlCoverageMarkdownPath,
+        }),
+        ...(uncoveredControls && { uncoveredControls: uncoveredControlsPath }),
+        ...(result.debate && {
+          scorecard: scorecardPath,
+          scorecardMarkdown: scorecardMarkdownPath,
+        }),
       },
       timestamp,
     };
@@ -915,9 +3048,13 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
 export const moderatedPanelPipeline = runPipeline;
 
 // NostrMQ execution interface
-export async function executeForNostrMQ(jobData) {
+export async function executeForNostrMQ(jobData, jobLogger, context = {}) {
   try {
-    const result = await runPipeline(jobData);
+    // Remote senders must not make the server read its own directories
+    if (jobData.repository !== undefined) {
+      throw new Error("repository is only accepted from the CLI");
+    }
+    const result = await runPipeline({ ...jobData, sender: context.sender });
     return {
       success: true,
       data: result,
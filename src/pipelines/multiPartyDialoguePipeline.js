@@ -0,0 +1,1194 @@
+import { fileURLToPath } from "url";
+import { promises as fs } from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { callEverest } from "../services/everest.service.js";
+import { loadAgent } from "../services/agentLoader.service.js";
+import {
+  createPipelineData,
+  completePipeline,
+  addStepResult,
+} from "../utils/pipelineData.js";
+import { formatCostSummary } from "../utils/pipelineCost.js";
+import {
+  validateBudgetOptions,
+  setPipelineBudget,
+  estimatePipelineCost,
+  resolveAgentModel,
+  reportPreflightEstimate,
+} from "../utils/pipelineBudget.js";
+import { openCheckpoint } from "../utils/pipelineCheckpoint.js";
+import { isDryRun, enableDryRun, finishDryRun } from "../utils/dryRun.js";
+import { validateChainOptions, continueChain } from "../utils/pipelineChain.js";
+import {
+  validateConvergenceOptions,
+  resolveConvergenceOptions,
+  createConvergenceMonitor,
+  formatConvergenceSection,
+} from "../utils/dialogueConvergence.js";
+import {
+  validateContextOptions,
+  resolveContextOptions,
+  estimateSummaryCalls,
+  createContextManager,
+} from "../utils/contextManager.js";
+import { createOperatorSession } from "../utils/humanInTheLoop.js";
+import { sanitizeMessageContent } from "../utils/agentLoader.js";
+import { generateTimestampedFolderName } from "./dialoguePipeline.js";
+import {
+  DIALOGUE_PERSONAS,
+  createPersonaAgent,
+} from "../agents/dialogue/personas.js";
+
+// Load environment variables
+dotenv.config();
+
+export const TURN_ORDERS = ["round-robin", "random", "addressed"];
+export const MIN_PARTICIPANTS = 3;
+export const MAX_PARTICIPANTS = 6;
+export const DEFAULT_PARTICIPANTS = ["explorer", "referee", "pragmatist"];
+
+// Model used by custom personas that don't name one
+const DEFAULT_PERSONA_MODEL = "openai/gpt-4.1";
+
+/**
+ * Resolves the participant roster against the persona library
+ *
+ * A participant is a persona ID ("skeptic"), a persona with overrides
+ * ({ persona: "skeptic", model, temperature, name }) or a custom persona
+ * ({ name, description, summary, model, temperature }). Repeated personas get
+ * numbered names so every participant can be addressed.
+ *
+ * @param {Array} participants - Participant entries
+ * @returns {Object} - { errors, participants } with id, name, summary, persona, model and temperature
+ */
+export function resolveParticipants(participants) {
+  const errors = [];
+  const resolved = [];
+
+  if (!Array.isArray(participants)) {
+    return { errors: ["participants must be an array"], participants: [] };
+  }
+  if (
+    participants.length < MIN_PARTICIPANTS ||
+    participants.length > MAX_PARTICIPANTS
+  ) {
+    errors.push(
+      `participants must list between ${MIN_PARTICIPANTS} and ${MAX_PARTICIPANTS} personas`
+    );
+  }
+
+  participants.forEach((entry, index) => {
+    const spec = typeof entry === "string" ? { persona: entry } : entry;
+    const label = `participants[${index}]`;
+
+    if (!spec || typeof spec !== "object") {
+      errors.push(`${label} must be a persona ID or an object`);
+      return;
+    }
+
+    let base;
+    if (spec.persona !== undefined) {
+      base = DIALOGUE_PERSONAS[spec.persona];
+      if (!base) {
+        errors.push(
+          `${label} uses unknown persona "${
+            spec.persona
+          }" (available: ${Object.keys(DIALOGUE_PERSONAS).join(", ")})`
+        );
+        return;
+      }
+    } else if (
+      typeof spec.name !== "string" ||
+      !spec.name.trim() ||
+      typeof spec.description !== "string" ||
+      !spec.description.trim()
+    ) {
+      errors.push(
+        `${label} needs a persona ID, or a name and description for a custom persona`
+      );
+      return;
+    }
+
+    const participant = {
+      id: spec.persona || spec.name.trim().toLowerCase().replace(/\W+/g, "_"),
+      name: (spec.name || base.name).trim(),
+      summary: spec.summary || base?.summary || spec.description.trim(),
+      persona: spec.description?.trim() || base.persona,
+      model: spec.model ?? base?.model ?? DEFAULT_PERSONA_MODEL,
+      temperature: spec.temperature ?? base?.temperature ?? 0.7,
+    };
+
+    if (typeof participant.model !== "string" || !participant.model.trim()) {
+      errors.push(`${label}.model must be a non-empty string`);
+    }
+    if (
+      typeof participant.temperature !== "number" ||
+      participant.temperature < 0 ||
+      participant.temperature > 2
+    ) {
+      errors.push(`${label}.temperature must be a number between 0 and 2`);
+    }
+
+    resolved.push(participant);
+  });
+
+  // Keep IDs and names unique so step IDs and addressing stay unambiguous
+  const seen = {};
+  for (const participant of resolved) {
+    const count = (seen[participant.id] || 0) + 1;
+    seen[participant.id] = count;
+    if (count > 1) {
+      participant.id = `${participant.id}_${count}`;
+      participant.name = `${participant.name} ${count}`;
+    }
+  }
+
+  return { errors, participants: resolved };
+}
+
+/**
+ * Validates and sanitizes multi-party dialogue configuration
+ * @param {Object} config - Configuration object
+ * @returns {Object} - Validation result with isValid, errors, and sanitizedConfig
+ */
+function validateMultiPartyDialogueConfig(config) {
+  const errors = [];
+  const sanitizedConfig = {};
+
+  // Validate required fields
+  if (!config.sourceText || typeof config.sourceText !== "string") {
+    errors.push("sourceText is required and must be a string");
+  } else {
+    sanitizedConfig.sourceText = sanitizeMessageContent(
+      config.sourceText.trim()
+    );
+  }
+
+  if (!config.discussionPrompt || typeof config.discussionPrompt !== "string") {
+    errors.push("discussionPrompt is required and must be a string");
+  } else {
+    sanitizedConfig.discussionPrompt = sanitizeMessageContent(
+      config.discussionPrompt.trim()
+    );
+  }
+
+  // Validate participants (default roster when not provided)
+  const roster = resolveParticipants(
+    config.participants ?? DEFAULT_PARTICIPANTS
+  );
+  errors.push(...roster.errors);
+  sanitizedConfig.participants = roster.participants;
+
+  // Validate turnOrder (default round-robin)
+  if (config.turnOrder === undefined || config.turnOrder === null) {
+    sanitizedConfig.turnOrder = "round-robin";
+  } else if (!TURN_ORDERS.includes(config.turnOrder)) {
+    errors.push(`turnOrder must be one of: ${TURN_ORDERS.join(", ")}`);
+  } else {
+    sanitizedConfig.turnOrder = config.turnOrder;
+  }
+
+  // Validate rounds (each round gives every participant one turn on average)
+  if (config.rounds === undefined || config.rounds === null) {
+    sanitizedConfig.rounds = 2;
+  } else if (!Number.isInteger(config.rounds)) {
+    errors.push("rounds must be an integer");
+  } else if (config.rounds < 1 || config.rounds > 5) {
+    errors.push("rounds must be between 1 and 5");
+  } else {
+    sanitizedConfig.rounds = config.rounds;
+  }
+
+  // Validate summaryFocus (optional, default to generic summary)
+  if (config.summaryFocus === undefined || config.summaryFocus === null) {
+    sanitizedConfig.summaryFocus =
+      "Please provide a comprehensive summary of the key points, insights, and conclusions from this dialogue, noting where participants agreed and disagreed.";
+  } else if (typeof config.summaryFocus !== "string") {
+    errors.push("summaryFocus must be a string");
+  } else {
+    sanitizedConfig.summaryFocus = sanitizeMessageContent(
+      config.summaryFocus.trim()
+    );
+  }
+
+  // Validate optional cost/token budget
+  errors.push(...validateBudgetOptions(config));
+  if (config.maxCost !== undefined) {
+    sanitizedConfig.maxCost = config.maxCost;
+  }
+  if (config.maxTokens !== undefined) {
+    sanitizedConfig.maxTokens = config.maxTokens;
+  }
+
+  // Validate optional convergence detection (early stop)
+  const convergenceErrors = validateConvergenceOptions(config);
+  errors.push(...convergenceErrors);
+  if (convergenceErrors.length === 0 && config.convergence) {
+    sanitizedConfig.convergence = resolveConvergenceOptions(config.convergence);
+  }
+
+  // Validate optional context management (opt-in)
+  const contextErrors = validateContextOptions(config);
+  errors.push(...contextErrors);
+  if (contextErrors.length === 0 && config.contextManagement !== undefined) {
+    sanitizedConfig.contextManagement = config.contextManagement;
+  }
+
+  // Validate optional downstream chain
+  errors.push(...validateChainOptions(config));
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedConfig: errors.length === 0 ? sanitizedConfig : null,
+  };
+}
+
+/**
+ * Finds the participant a turn hands over to
+ *
+ * Looks for a "Next speaker: <name>" line first, then for the last other
+ * participant mentioned by name.
+ *
+ * @param {string} content - Turn content
+ * @param {Array} participants - Resolved participants
+ * @param {number} currentIndex - Index of the participant who spoke
+ * @returns {number|null} - Index of the addressed participant, or null when none is found
+ */
+export function parseAddressedSpeaker(content, participants, currentIndex) {
+  const text = (content || "").toLowerCase();
+  const findByName = (name) =>
+    participants.findIndex(
+      (participant, index) =>
+        index !== currentIndex && participant.name.toLowerCase() === name
+    );
+
+  const explicit = text.match(/next speaker:\s*\**@?([^\n*.]+)/);
+  if (explicit) {
+    const index = findByName(explicit[1].trim());
+    if (index !== -1) {
+      return index;
+    }
+  }
+
+  let lastMention = { index: null, position: -1 };
+  participants.forEach((participant, index) => {
+    const position = text.lastIndexOf(participant.name.toLowerCase());
+    if (index !== currentIndex && position > lastMention.position) {
+      lastMention = { index, position };
+    }
+  });
+
+  return lastMention.index;
+}
+
+/**
+ * Picks who speaks after the given turn
+ * @param {string} turnOrder - "round-robin", "random" or "addressed"
+ * @param {Array} participants - Resolved participants
+ * @param {number} lastIndex - Index of the participant who just spoke
+ * @param {string} lastContent - What they said (used by "addressed")
+ * @param {Function} random - Random number source (for testing)
+ * @returns {Object} - { index, addressed } where addressed is true when the speaker was named
+ */
+export function selectNextSpeaker(
+  turnOrder,
+  participants,
+  lastIndex,
+  lastContent = "",
+  random = Math.random
+) {
+  const roundRobin = (lastIndex + 1) % participants.length;
+
+  if (turnOrder === "random") {
+    // Anyone except the previous speaker
+    const offset = 1 + Math.floor(random() * (participants.length - 1));
+    return {
+      index: (lastIndex + offset) % participants.length,
+      addressed: false,
+    };
+  }
+
+  if (turnOrder === "addressed") {
+    const addressedIndex = parseAddressedSpeaker(
+      lastContent,
+      participants,
+      lastIndex
+    );
+    if (addressedIndex !== null) {
+      return { index: addressedIndex, addressed: true };
+    }
+  }
+
+  return { index: roundRobin, addressed: false };
+}
+
+/**
+ * Builds a participant's view of the conversation
+ *
+ * The participant's own turns are assistant messages; everyone else's are user
+ * messages prefixed with the speaker's name.
+ *
+ * @param {Array} conversation - Conversation entries so far
+ * @param {string} participantId - ID of the participant about to speak
+ * @returns {Array} - Message history
+ */
+export function buildParticipantHistory(conversation, participantId) {
+  return conversation.map((entry) =>
+    entry.participantId === participantId
+      ? { role: "assistant", content: entry.content }
+      : {
+          role: "user",
+          content: `${entry.agent}${
+            entry.isHuman ? " (human participant)" : ""
+          }: ${entry.content}`,
+        }
+  );
+}
+
+/**
+ * Calculates per-persona statistics for the conversation
+ * @param {Array} participants - Resolved participants
+ * @param {Array} conversation - Conversation entries
+ * @param {Object} pipelineData - Pipeline data with step costs
+ * @returns {Array} - One entry per participant with turns, words, addressed count, cost and tokens
+ */
+export function computePersonaStats(participants, conversation, pipelineData) {
+  const stepCosts = pipelineData.costs?.stepCosts || [];
+
+  return participants.map((participant) => {
+    const turns = conversation.filter(
+      (entry) => entry.participantId === participant.id
+    );
+    const stepIds = new Set(turns.map((entry) => entry.stepId));
+    const costs = stepCosts.filter((step) => stepIds.has(step.stepId));
+
+    return {
+      id: participant.id,
+      name: participant.name,
+      model: participant.model,
+      temperature: participant.temperature,
+      turns: turns.length,
+      words: turns.reduce(
+        (sum, entry) => sum + entry.content.split(/\s+/).filter(Boolean).length,
+        0
+      ),
+      characters: turns.reduce((sum, entry) => sum + entry.content.length, 0),
+      timesAddressed: conversation.filter(
+        (entry) => entry.addressedBy && entry.participantId === participant.id
+      ).length,
+      cost: costs.reduce((sum, step) => sum + (step.cost || 0), 0),
+      tokensIn: costs.reduce((sum, step) => sum + (step.tokensIn || 0), 0),
+      tokensOut: costs.reduce((sum, step) => sum + (step.tokensOut || 0), 0),
+    };
+  });
+}
+
+/**
+ * Extracts response content from various API response formats
+ * @param {Object} response - API response object
+ * @returns {string|null} - Extracted content or null if not found
+ */
+function extractResponseContent(response) {
+  if (response.error) {
+    return null;
+  }
+
+  if (response.response && response.response.content) {
+    return response.response.content;
+  } else if (response.choices?.[0]?.message?.content) {
+    return response.choices[0].message.content;
+  } else if (
+    typeof response.message === "string" &&
+    response.message.length > 0
+  ) {
+    return response.message;
+  }
+
+  return null;
+}
+
+/**
+ * Generates conversation markdown file
+ * @param {Array} conversation - Conversation entries
+ * @param {Array} personaStats - Per-persona statistics
+ * @param {Object} config - Pipeline configuration
+ * @param {Object} pipelineData - Pipeline execution data
+ * @param {string} timestamp - Formatted timestamp
+ * @returns {string} - Markdown content
+ */
+function generateConversationMarkdown(
+  conversation,
+  personaStats,
+  config,
+  pipelineData,
+  timestamp
+) {
+  const { sourceText, discussionPrompt, rounds, turnOrder } = config;
+
+  const participantRows = personaStats
+    .map(
+      (stats) =>
+        `| ${stats.name} | ${stats.model} | ${stats.temperature} | ${
+          stats.turns
+        } | ${stats.words} | ${stats.timesAddressed} | $${stats.cost.toFixed(
+          4
+        )} |`
+    )
+    .join("\n");
+
+  let markdown = `# Multi-Party Dialogue Conversation
+
+## Metadata
+- **Run ID**: ${pipelineData.runId}
+- **Generated**: ${timestamp}
+- **Participants**: ${personaStats.length}
+- **Turn Order**: ${turnOrder}
+- **Rounds**: ${rounds}
+- **Discussion Prompt**: ${discussionPrompt}
+
+## Participants
+
+| Persona | Model | Temperature | Turns | Words | Addressed | Cost |
+| ------- | ----- | ----------- | ----- | ----- | --------- | ---- |
+${participantRows}
+
+## Cost Summary
+${formatCostSummary(pipelineData)}
+
+## Source Material
+${sourceText}
+
+## Conversation
+
+`;
+
+  conversation.forEach((entry) => {
+    markdown += `### Turn ${entry.turn} - ${
+      entry.isHuman ? `🧑 ${entry.agent} (human)` : entry.agent
+    }${entry.addressedBy ? ` (addressed by ${entry.addressedBy})` : ""}
+*${entry.timestamp}*
+
+${entry.content}
+
+---
+
+`;
+  });
+
+  return markdown;
+}
+
+/**
+ * Generates summary markdown file
+ * @param {Object} summaryData - Summary data object
+ * @param {Object} config - Pipeline configuration
+ * @param {Object} pipelineData - Pipeline execution data
+ * @param {string} timestamp - Formatted timestamp
+ * @returns {string} - Markdown content
+ */
+function generateSummaryMarkdown(summaryData, config, pipelineData, timestamp) {
+  return `# Multi-Party Dialogue Summary
+
+## Metadata
+- **Run ID**: ${pipelineData.runId}
+- **Generated**: ${timestamp}
+- **Participants**: ${config.participants
+    .map((participant) => participant.name)
+    .join(", ")}
+- **Summary Focus**: ${summaryData.focus}
+- **Discussion Prompt**: ${config.discussionPrompt}
+
+## Cost Summary
+${formatCostSummary(pipelineData)}
+
+## Summary
+
+${summaryData.content}
+${formatConvergenceSection(summaryData.convergence)}`;
+}
+
+/**
+ * Writes conversation.md, summary.md and data.json into a timestamped folder
+ * @param {Object} pipelineData - Pipeline execution data
+ * @param {Array} conversation - Conversation entries
+ * @param {Array} personaStats - Per-persona statistics
+ * @param {Object} summaryData - Summary data object
+ * @param {Object} config - Pipeline configuration
+ * @returns {Promise<Object>} - Object containing file paths and generation status
+ */
+async function generateOutputFiles(
+  pipelineData,
+  conversation,
+  personaStats,
+  summaryData,
+  config
+) {
+  const timestamp = new Date().toISOString();
+  const baseOutputDir = path.join("output", "multiPartyDialogue");
+
+  try {
+    await fs.mkdir(baseOutputDir, { recursive: true });
+    const timestampedFolder = await generateTimestampedFolderName(
+      baseOutputDir
+    );
+    const outputDir = path.join(baseOutputDir, timestampedFolder);
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const conversationPath = path.join(outputDir, "conversation.md");
+    const summaryPath = path.join(outputDir, "summary.md");
+    const dataPath = path.join(outputDir, "data.json");
+
+    const jsonOutput = JSON.stringify(
+      {
+        runId: pipelineData.runId,
+        participants: config.participants,
+        turnOrder: config.turnOrder,
+        personaStats,
+        conversation,
+        summary: summaryData,
+        config,
+        costs: pipelineData.costs,
+        pipeline: { ...pipelineData, generatedAt: timestamp },
+      },
+      null,
+      2
+    );
+
+    await Promise.all([
+      fs.writeFile(
+        conversationPath,
+        generateConversationMarkdown(
+          conversation,
+          personaStats,
+          config,
+          pipelineData,
+          timestamp
+        ),
+        "utf8"
+      ),
+      fs.writeFile(
+        summaryPath,
+        generateSummaryMarkdown(summaryData, config, pipelineData, timestamp),
+        "utf8"
+      ),
+      fs.writeFile(dataPath, jsonOutput, "utf8"),
+    ]);
+
+    console.log(`[FileGeneration] ✅ All files generated successfully`);
+    console.log(`[FileGeneration] - Folder: ${outputDir}`);
+
+    return {
+      success: true,
+      folder: timestampedFolder,
+      outputDir,
+      files: {
+        conversation: conversationPath,
+        summary: summaryPath,
+        data: dataPath,
+      },
+      timestamp,
+    };
+  } catch (error) {
+    console.error(`[FileGeneration] ❌ File generation failed:`, error);
+    return {
+      success: false,
+      error: error.message,
+      timestamp,
+    };
+  }
+}
+
+/**
+ * Multi-party dialogue pipeline: 3-6 personas discuss the source material, then the dialogue is summarised
+ * @param {Object} config - Configuration object containing sourceText, discussionPrompt and the roster
+ * @param {Array} config.participants - Optional persona IDs or persona objects (default explorer, referee, pragmatist)
+ * @param {string} config.turnOrder - Optional "round-robin" (default), "random" or "addressed"
+ * @param {number} config.rounds - Optional rounds; the dialogue runs rounds × participants turns (default 2)
+ * @param {string} config.summaryFocus - Optional focus for the summary
+ * @param {boolean|Object} config.convergence - Optional early stop once the participants converge ({ threshold, minTurns, judge, judgeConfidence })
+ * @param {boolean|Object} config.contextManagement - Optional rolling summary/source excerpt settings: true for the defaults, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }
+ * @param {string} config.resumeRunId - Optional runId of an interrupted run to continue from its checkpoint
+ * @param {boolean} config.dryRun - Optional: render every prompt with stubbed responses instead of calling the API
+ * @param {Object} config.chain - Optional downstream pipeline to feed this run's results into ({ pipeline, mapping, config })
+ * @param {Object} [options] - Runtime options that are not part of the saved config
+ * @param {Function} [options.operator] - Optional interactive operator called between turns (see humanInTheLoop)
+ * @returns {Promise<Object>} - Pipeline result with conversation, per-persona statistics, summary, and metadata
+ */
+async function multiPartyDialoguePipeline(config, options = {}) {
+  const logPrefix = "[MultiPartyDialoguePipeline]";
+  const pipelineData = createPipelineData();
+  pipelineData.metadata.pipeline = "multiPartyDialogue";
+  if (config.backend) {
+    pipelineData.metadata.backend = config.backend;
+  }
+  if (config.sender) {
+    pipelineData.metadata.sender = config.sender;
+  }
+
+  console.log(`${logPrefix} Starting pipeline ${pipelineData.runId}`);
+
+  try {
+    // Restore an interrupted run from its checkpoint when resumeRunId is set
+    const checkpoint = await openCheckpoint(
+      pipelineData,
+      "multiPartyDialogue",
+      config
+    );
+    config = checkpoint.config;
+    if (isDryRun(config)) {
+      enableDryRun(pipelineData);
+    }
+
+    // Step 1: Validate configuration
+    console.log(`${logPrefix} Step 1: Validating configuration...`);
+    const validation = validateMultiPartyDialogueConfig(config);
+
+    if (!validation.isValid) {
+      console.error(
+        `${logPrefix} ❌ Configuration validation failed:`,
+        validation.errors
+      );
+      completePipeline(pipelineData, "failed");
+      return {
+        runId: pipelineData.runId,
+        error: "Configuration validation failed",
+        errors: validation.errors,
+        pipeline: pipelineData,
+      };
+    }
+
+    const {
+      sourceText,
+      discussionPrompt,
+      participants,
+      turnOrder,
+      rounds,
+      summaryFocus,
+      convergence: convergenceOptions,
+    } = validation.sanitizedConfig;
+    const contextOptions = resolveContextOptions(
+      validation.sanitizedConfig.contextManagement
+    );
+    const totalTurns = rounds * participants.length;
+    pipelineData.metadata.participants = participants.map(
+      (participant) => participant.id
+    );
+    console.log(
+      `${logPrefix} ✅ ${participants.length} participants (${participants
+        .map((participant) => participant.name)
+        .join(", ")}), ${turnOrder} turn order, ${totalTurns} turns planned`
+    );
+
+    // Step 2: Create persona agents and load the summary agent
+    const agents = participants.map((participant) =>
+      createPersonaAgent(participant, participants, turnOrder)
+    );
+    const summaryAgent = await loadAgent("dialogue/summariseConversation");
+    const judgeAgent = convergenceOptions?.judge
+      ? await loadAgent("dialogue/convergenceJudge")
+      : null;
+    const rollingSummaryAgent = contextOptions?.summarize
+      ? await loadAgent("rollingSummary")
+      : null;
+
+    // Pre-flight cost estimate: every persona speaks `rounds` times on average, plus the summary
+    // (and at most one convergence judge call per round and one rolling summary per prompt,
+    // for each participant's view of the dialogue)
+    setPipelineBudget(pipelineData, validation.sanitizedConfig);
+    reportPreflightEstimate(
+      pipelineData,
+      estimatePipelineCost([
+        ...participants.map((participant) => ({
+          model: participant.model,
+          count: rounds,
+        })),
+        {
+          model: judgeAgent ? await resolveAgentModel(judgeAgent) : null,
+          count: judgeAgent ? rounds : 0,
+        },
+        {
+          model: rollingSummaryAgent
+            ? await resolveAgentModel(rollingSummaryAgent)
+            : null,
+          count:
+            participants.length *
+            estimateSummaryCalls(contextOptions, {
+              prompts: rounds,
+              turns: totalTurns,
+            }),
+        },
+        { model: await resolveAgentModel(summaryAgent), count: 1 },
+      ]),
+      logPrefix
+    );
+
+    // Long dialogues send each participant a rolling summary plus the latest turns
+    const contextManager = createContextManager(contextOptions, {
+      pipelineData,
+      checkpoint,
+      summaryAgent: rollingSummaryAgent,
+      logPrefix,
+    });
+    const source = contextManager.prepareSource(sourceText, {
+      model: participants[0].model,
+      focus: discussionPrompt,
+    });
+
+    // Step 3: Conversation loop
+    const context = `SOURCE MATERIAL:\n${source.text}\n\nDISCUSSION PROMPT:\n${discussionPrompt}`;
+    const conversation = [];
+    // Speaker order is saved so a resumed run replays the same turns
+    const speakers = [...(checkpoint.state?.speakers || [])];
+    let budgetStop = null;
+    let next = { index: 0, addressed: false };
+    const convergence = createConvergenceMonitor(convergenceOptions, {
+      pipelineData,
+      checkpoint,
+      judgeAgent,
+      discussionPrompt,
+      logPrefix,
+    });
+    const operator = createOperatorSession(options.operator, {
+      pipelineData,
+      checkpoint,
+      actions: ["continue", "inject", "skip", "end"],
+      logPrefix,
+    });
+
+    for (let turn = 1; turn <= totalTurns; turn++) {
+      if (operator.stopReason) {
+        break;
+      }
+      if (speakers[turn - 1] !== undefined) {
+        next = speakers[turn - 1];
+      }
+      const participant = participants[next.index];
+      // A skipped speaker gives up this turn to the next one in order
+      if (operator.takeSkip()) {
+        console.log(
+          `${logPrefix} Turn ${turn} (${participant.name}) skipped by the operator`
+        );
+        next = selectNextSpeaker(turnOrder, participants, next.index);
+        continue;
+      }
+      const previous = conversation[conversation.length - 1];
+      const stepId = `turn_${turn}_${participant.id}`;
+      console.log(
+        `${logPrefix} Turn ${turn}/${totalTurns}: ${participant.name}`
+      );
+
+      const message =
+        turn === 1
+          ? "Open the dialogue: introduce the discussion prompt, share your initial view of the source material and invite the others in."
+          : "Please continue the dialogue. Respond to the latest contributions and add your own perspective.";
+      const history = await contextManager.prepareHistory(
+        buildParticipantHistory(conversation, participant.id),
+        { key: participant.id, model: participant.model }
+      );
+      const agentConfig = contextManager.tag(
+        await agents[next.index](message, context, history.history),
+        {
+          history: history.strategy,
+          ...(turn === 1 && { source: source.strategy }),
+        }
+      );
+      const response = await checkpoint.runStep(stepId, () =>
+        callEverest(agentConfig, pipelineData, stepId)
+      );
+
+      if (response.budgetExceeded) {
+        budgetStop = response.error;
+        break;
+      }
+
+      const content = extractResponseContent(response);
+      if (response.error || !content) {
+        console.error(
+          `${logPrefix} ❌ Turn ${turn} (${participant.name}) failed:`,
+          response.error || "no content"
+        );
+        completePipeline(pipelineData, "failed");
+        return {
+          runId: pipelineData.runId,
+          error: `Turn ${turn} (${participant.name}) failed`,
+          details: response.error || "Could not extract content from response",
+          conversation,
+          pipeline: pipelineData,
+        };
+      }
+
+      conversation.push({
+        agent: participant.name,
+        participantId: participant.id,
+        turn,
+        round: Math.ceil(turn / participants.length),
+        stepId,
+        content,
+        ...(next.addressed && previous && { addressedBy: previous.agent }),
+        timestamp: new Date().toISOString(),
+        callId: response.callID,
+      });
+      speakers[turn - 1] = next;
+      next = selectNextSpeaker(turnOrder, participants, next.index, content);
+      await checkpoint.save({ conversation, speakers, turn });
+
+      // Stop early once the participants converge (the judge is asked once per round)
+      const round = Math.ceil(turn / participants.length);
+      const check = await convergence.check(conversation, {
+        iteration: round,
+        ...(turn % participants.length === 0 && {
+          stepId: `convergence_check_${round}`,
+        }),
+      });
+      if (check.budgetExceeded) {
+        budgetStop = check.error;
+        break;
+      }
+      if (check.converged) {
+        break;
+      }
+
+      // Interactive runs let the operator add a human turn after each persona turn
+      const control = await operator.pause({
+        turn: conversation[conversation.length - 1],
+        nextSpeaker: turn < totalTurns ? participants[next.index].name : null,
+        iteration: turn,
+      });
+      if (control.action === "inject") {
+        conversation.push({
+          agent: control.speaker,
+          turn,
+          round,
+          content: control.content,
+          timestamp: new Date().toISOString(),
+          isHuman: true,
+        });
+      }
+    }
+
+    // Step 4: Generate summary
+    console.log(`${logPrefix} Step 4: Generating conversation summary...`);
+    let summaryContent = null;
+    let summaryCallId = null;
+
+    if (!budgetStop) {
+      const conversationText = conversation
+        .map((entry) =>
+          entry.isHuman
+            ? `${entry.agent} (human): ${entry.content}`
+            : `${entry.agent} (Turn ${entry.turn}): ${entry.content}`
+        )
+        .join("\n\n");
+      const summaryConfig = await summaryAgent(
+        `PARTICIPANTS: ${participants
+          .map((participant) => `${participant.name} (${participant.summary})`)
+          .join("; ")}\n\nCONVERSATION HISTORY:\n${conversationText}`,
+        summaryFocus,
+        []
+      );
+      const summaryResponse = await checkpoint.runStep(
+        "conversation_summary",
+        () => callEverest(summaryConfig, pipelineData, "conversation_summary")
+      );
+
+      if (summaryResponse.budgetExceeded) {
+        budgetStop = summaryResponse.error;
+      } else {
+        summaryContent = extractResponseContent(summaryResponse);
+        if (!summaryContent) {
+          console.error(
+            `${logPrefix} ❌ Summary generation failed:`,
+            summaryResponse.error || "no content"
+          );
+          completePipeline(pipelineData, "failed");
+          return {
+            runId: pipelineData.runId,
+            error: "Summary generation failed",
+            details:
+              summaryResponse.error ||
+              "Could not extract content from summary response",
+            conversation,
+            pipeline: pipelineData,
+          };
+        }
+        summaryCallId = summaryResponse.callID;
+      }
+    }
+
+    if (budgetStop) {
+      console.warn(`${logPrefix} ⚠️ Stopping early - ${budgetStop}`);
+      summaryContent = `_Summary not generated: the run stopped early. ${budgetStop}._`;
+    }
+
+    // Step 5: Generate output files
+    const convergenceReport = convergence.report();
+    const summaryData = {
+      content: summaryContent,
+      focus: summaryFocus,
+      timestamp: new Date().toISOString(),
+      callId: summaryCallId,
+      ...(convergenceReport && { convergence: convergenceReport }),
+    };
+    const personaStats = computePersonaStats(
+      participants,
+      conversation,
+      pipelineData
+    );
+
+    const fileGenerationResult = await generateOutputFiles(
+      pipelineData,
+      conversation,
+      personaStats,
+      summaryData,
+      validation.sanitizedConfig
+    );
+
+    if (fileGenerationResult.success) {
+      addStepResult(pipelineData, "file_generation", {
+        status: "success",
+        files: fileGenerationResult.files,
+        timestamp: fileGenerationResult.timestamp,
+      });
+    } else {
+      console.warn(
+        `${logPrefix} ⚠️ File generation failed (non-critical):`,
+        fileGenerationResult.error
+      );
+      addStepResult(pipelineData, "file_generation", {
+        status: "failed",
+        error: fileGenerationResult.error,
+        timestamp: fileGenerationResult.timestamp,
+      });
+    }
+
+    // Step 6: Complete pipeline (partial when the budget stopped the run)
+    completePipeline(pipelineData, budgetStop ? "partial" : "completed");
+    await checkpoint.complete();
+    const dryRunReport = await finishDryRun(pipelineData, logPrefix);
+
+    console.log(`\n${logPrefix} 📊 PIPELINE SUMMARY:`);
+    console.log(`Pipeline ID: ${pipelineData.runId}`);
+    console.log(`Status: ${pipelineData.status}`);
+    personaStats.forEach((stats) => {
+      console.log(
+        `  ${stats.name}: ${stats.turns} turns, ${
+          stats.words
+        } words, $${stats.cost.toFixed(4)}`
+      );
+    });
+
+    // Return structured result, running any downstream chain first
+    const result = {
+      runId: pipelineData.runId,
+      participants,
+      turnOrder,
+      conversation,
+      personaStats,
+      summary: summaryData,
+      ...(budgetStop && { stopReason: budgetStop }),
+      ...(!budgetStop &&
+        operator.stopReason && { stopReason: operator.stopReason }),
+      ...(!budgetStop &&
+        !operator.stopReason &&
+        convergenceReport?.stoppedEarly && {
+          stopReason: convergenceReport.stop.reason,
+        }),
+      ...(dryRunReport && { dryRun: dryRunReport }),
+      config: validation.sanitizedConfig,
+      pipeline: pipelineData,
+      files: fileGenerationResult.success ? fileGenerationResult.files : null,
+      fileGenerationStatus: fileGenerationResult.success ? "success" : "failed",
+    };
+    return continueChain(result, config, {
+      pipeline: "multiPartyDialogue",
+      logPrefix,
+    });
+  } catch (error) {
+    console.error(
+      `${logPrefix} ❌ Pipeline ${pipelineData.runId} failed with error:`,
+      error
+    );
+    completePipeline(pipelineData, "failed");
+
+    pipelineData.error = {
+      message: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString(),
+    };
+
+    return {
+      runId: pipelineData.runId,
+      error: "Pipeline execution failed",
+      details: error.message,
+      pipeline: pipelineData,
+    };
+  }
+}
+
+/**
+ * NostrMQ execution interface for the multi-party dialogue pipeline
+ * @param {Object} parameters - Pipeline parameters from NostrMQ request
+ * @param {Object} jobLogger - Job-specific logger instance
+ * @param {Object} context - Job context (jobId, requestId, sender pubkey)
+ * @returns {Promise<Object>} - Pipeline execution result
+ */
+export async function executeViaNostrMQ(parameters, jobLogger, context = {}) {
+  jobLogger.info("Multi-party dialogue execution started via NostrMQ", {
+    parameters,
+  });
+
+  try {
+    const result = await multiPartyDialoguePipeline({
+      sourceText: parameters.sourceText,
+      discussionPrompt: parameters.discussionPrompt,
+      participants: parameters.participants,
+      turnOrder: parameters.turnOrder,
+      rounds: parameters.rounds,
+      summaryFocus: parameters.summaryFocus,
+      convergence: parameters.convergence,
+      contextManagement: parameters.contextManagement,
+      sender: context.sender,
+    });
+
+    jobLogger.info("Multi-party dialogue execution completed via NostrMQ", {
+      runId: result.runId,
+      status: result.error ? "failed" : "completed",
+      conversationLength: result.conversation?.length || 0,
+    });
+
+    return result;
+  } catch (error) {
+    jobLogger.error("Multi-party dialogue execution failed via NostrMQ", {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Pipeline metadata for registry discovery
+ */
+export const pipelineInfo = {
+  name: "multiPartyDialogue",
+  description:
+    "Multi-party dialogue pipeline where 3-6 personas, each with its own model and temperature, discuss the source material before a summary",
+  version: "1.0.0",
+  parameters: {
+    required: ["sourceText", "discussionPrompt"],
+    optional: [
+      "participants",
+      "turnOrder",
+      "rounds",
+      "summaryFocus",
+      "convergence",
+      "contextManagement",
+    ],
+    schema: {
+      sourceText: {
+        type: "string",
+        description: "Source material for the dialogue",
+        minLength: 10,
+      },
+      discussionPrompt: {
+        type: "string",
+        description: "Prompt to guide the discussion",
+        minLength: 10,
+      },
+      participants: {
+        type: "array",
+        description: `Persona IDs (${Object.keys(DIALOGUE_PERSONAS).join(
+          ", "
+        )}) or persona objects with model and temperature overrides`,
+        minItems: MIN_PARTICIPANTS,
+        maxItems: MAX_PARTICIPANTS,
+        default: DEFAULT_PARTICIPANTS,
+      },
+      turnOrder: {
+        type: "string",
+        enum: TURN_ORDERS,
+        description: "How the next speaker is chosen",
+        default: "round-robin",
+      },
+      rounds: {
+        type: "integer",
+        description: "Rounds of discussion (rounds × participants turns)",
+        minimum: 1,
+        maximum: 5,
+        default: 2,
+      },
+      summaryFocus: {
+        type: "string",
+        description: "Focus for the summary generation",
+      },
+      convergence: {
+        type: ["boolean", "object"],
+        description:
+          "End the dialogue early once the participants converge: true, or { threshold, minTurns, judge, judgeConfidence }",
+      },
+      contextManagement: {
+        type: ["boolean", "object"],
+        description:
+          "Summarise older turns and excerpt long sources to keep prompts bounded (off by default): true, or { recentTurns, maxHistoryTokens, maxSourceTokens, summarize }",
+      },
+    },
+  },
+  capabilities: [
+    "multi-agent-dialogue",
+    "persona-roster",
+    "conversation-summary",
+    "file-generation",
+    "cost-tracking",
+  ],
+  outputs: {
+    conversation: "Array of dialogue turns with speaker and addressing",
+    personaStats: "Turns, words, times addressed, cost and tokens per persona",
+    summary: "Generated conversation summary",
+    files: "Generated output files (markdown, JSON)",
+    pipeline: "Execution metadata and statistics",
+  },
+};
+
+// ES Module main detection for direct execution
+const isMain = process.argv[1] === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  console.log("🚀 Running Multi-Party Dialogue Pipeline directly...\n");
+
+  const testConfig = {
+    sourceText:
+      "Artificial Intelligence is rapidly transforming various industries, from healthcare to finance. While AI offers tremendous potential for improving efficiency and solving complex problems, it also raises concerns about job displacement, privacy, and ethical decision-making.",
+    discussionPrompt:
+      "What are the most significant opportunities and challenges that AI presents for society, and how should we approach AI development responsibly?",
+    participants: ["explorer", "skeptic", "ethicist", "pragmatist"],
+    turnOrder: "addressed",
+    rounds: 2,
+  };
+
+  multiPartyDialoguePipeline(testConfig)
+    .then((result) => {
+      console.log("\n📋 FINAL PIPELINE RESULT:");
+      console.log(`Run ID: ${result.runId}`);
+
+      if (result.error) {
+        console.log(`❌ Error: ${result.error}`);
+        if (result.details) console.log(`Details: ${result.details}`);
+        if (result.errors) console.log(`Errors: ${result.errors.join("; ")}`);
+      } else {
+        console.log(
+          `✅ Conversation completed with ${result.conversation.length} turns`
+        );
+        if (result.files) console.log(`📁 Files: ${result.files.data}`);
+      }
+
+      process.exit(result.error ? 1 : 0);
+    })
+    .catch((error) => {
+      console.error("❌ Pipeline execution failed:", error);
+      process.exit(1);
+    });
+}
+
+export { multiPartyDialoguePipeline, validateMultiPartyDialogueConfig };
@@ -1,6 +1,13 @@
 import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { getSpecDir } from "../../utils/pipelineSpec.js";
+import { loadSpecPipelines } from "../engine/index.js";
+import {
+  createPanelConfig,
+  getPanelTypeDir,
+  loadPanelTypeFiles,
+} from "../../services/panelTypeConfig.js";
 
 /**
  * Pipeline Registry - Automatic discovery and management of all pipelines
@@ -14,6 +21,8 @@ export class PipelineRegistry {
       path.dirname(fileURLToPath(import.meta.url)),
       ".."
     );
+    this.specDirectory = getSpecDir();
+    this.panelTypeDirectory = getPanelTypeDir();
   }
 
   /**
@@ -22,6 +31,8 @@ export class PipelineRegistry {
   async initialize() {
     this.log("info", "Initializing Pipeline Registry");
     await this.discoverPipelines();
+    await this.discoverSpecPipelines();
+    await this.discoverPanelTypes();
     this.log(
       "info",
       `Pipeline Registry initialized with ${this.pipelines.size} pipelines`,
@@ -104,6 +115,148 @@ export class PipelineRegistry {
     }
   }
 
+  /**
+   * Discover declarative pipeline specs (JSON/YAML) and register them
+   * Spec pipelines run on the generic engine and always support NostrMQ
+   */
+  async discoverSpecPipelines() {
+    try {
+      const { pipelines, errors } = await loadSpecPipelines(this.specDirectory);
+
+      for (const { filePath, error } of errors) {
+        this.log("error", `Failed to load pipeline spec: ${filePath}`, {
+          error,
+        });
+      }
+
+      for (const specPipeline of pipelines) {
+        this.registerSpecPipeline(specPipeline);
+      }
+    } catch (error) {
+      this.log("error", "Failed to discover pipeline specs", {
+        error: error.message,
+        directory: this.specDirectory,
+      });
+    }
+  }
+
+  /**
+   * Register a spec pipeline created by the engine
+   */
+  registerSpecPipeline(specPipeline) {
+    const { name, filePath } = specPipeline;
+
+    if (this.pipelines.has(name)) {
+      this.log(
+        "warn",
+        `Pipeline spec ${filePath} skipped: '${name}' is already registered`
+      );
+      return;
+    }
+
+    this.pipelines.set(name, {
+      name,
+      filename: filePath ? path.basename(filePath) : null,
+      path: filePath,
+      execute: specPipeline.run,
+      executeViaNostrMQ: specPipeline.executeViaNostrMQ,
+      info: this.extractPipelineInfo(specPipeline, name),
+      module: specPipeline,
+      spec: true,
+    });
+
+    this.log("info", `Pipeline spec registered: ${name}`, {
+      path: filePath,
+    });
+  }
+
+  /**
+   * Register the debate panel and the panel types defined by files, each as
+   * "<panelType>Panel"
+   * They run on the moderated panel pipeline with their panelType filled in
+   */
+  async discoverPanelTypes() {
+    const moderatedPanel = this.pipelines.get("moderatedPanel");
+    if (!moderatedPanel) {
+      this.log(
+        "warn",
+        "Panel type files skipped: the moderatedPanel pipeline is not registered"
+      );
+      return;
+    }
+
+    // Debates take their own parameters (motion, rebuttalRounds, speechMinutes,
+    // rubric), so they get a pipeline name of their own
+    this.registerPanelType(createPanelConfig("debate"), moderatedPanel);
+
+    try {
+      const { panelTypes, errors } = loadPanelTypeFiles(
+        this.panelTypeDirectory
+      );
+
+      for (const { filePath, error } of errors) {
+        this.log("error", `Failed to load panel type: ${filePath}`, {
+          error,
+        });
+      }
+
+      for (const panelConfig of panelTypes) {
+        this.registerPanelType(panelConfig, moderatedPanel);
+      }
+    } catch (error) {
+      this.log("error", "Failed to discover panel types", {
+        error: error.message,
+        directory: this.panelTypeDirectory,
+      });
+    }
+  }
+
+  /**
+   * Register a panel type defined by a file, or a built-in one
+   */
+  registerPanelType(panelConfig, moderatedPanel) {
+    const { panelType, filePath } = panelConfig;
+    const name = `${panelType}Panel`;
+
+    if (this.pipelines.has(name)) {
+      this.log(
+        "warn",
+        `Panel type ${filePath} skipped: '${name}' is already registered`
+      );
+      return;
+    }
+
+    this.pipelines.set(name, {
+      name,
+      filename: filePath ? path.basename(filePath) : null,
+      path: filePath,
+      execute: (config = {}, options = {}) =>
+        moderatedPanel.execute({ ...config, panelType }, options),
+      executeViaNostrMQ: moderatedPanel.executeViaNostrMQ
+        ? (jobData = {}, jobLogger, context) =>
+            moderatedPanel.executeViaNostrMQ(
+              { ...jobData, panelType },
+              jobLogger,
+              context
+            )
+        : null,
+      info: {
+        ...moderatedPanel.info,
+        name: panelConfig.title,
+        slug: name,
+        description: panelConfig.description || moderatedPanel.info.description,
+        panelType,
+        requiredInputs: panelConfig.requiredInputs,
+      },
+      module: moderatedPanel.module,
+      panelType,
+    });
+
+    this.log("info", `Panel type registered: ${name}`, {
+      path: filePath,
+    });
+  }
+
   /**
    * Extract the main pipeline function from the module
    */
@@ -0,0 +1,47 @@
+/**
+ * Everest backend adapter - the default transport for agent calls
+ * Sends the agent config to the Everest /v2/agent endpoint, minus local-only fields
+ */
+export const everestBackend = {
+  name: "everest",
+  label: "Everest",
+
+  /**
+   * Throws if the Everest endpoint or key is missing
+   */
+  assertConfigured() {
+    if (!process.env.EVEREST_API_BASE || !process.env.EVEREST_API) {
+      const errorMessage = `[Everest Service] Error: Required environment variables not configured. Please set EVEREST_API_BASE and EVEREST_API in your .env file.`;
+      console.error(errorMessage);
+      throw new Error(errorMessage);
+    }
+  },
+
+  /**
+   * Builds the HTTP request for an agent config
+   * @param {Object} agentConfig - Everest agent config from agentLoader
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(agentConfig) {
+    const baseUrl = process.env.EVEREST_API_BASE || "";
+    const { backend, contextStrategy, ...payload } = agentConfig;
+
+    return {
+      url: `${baseUrl.replace(/\/$/, "")}/v2/agent`,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${process.env.EVEREST_API}`,
+      },
+      body: JSON.stringify(payload),
+    };
+  },
+
+  /**
+   * Everest responses are already in the shape pipelines expect
+   * @param {Object} json - Parsed response body
+   * @returns {Object} - Unchanged response
+   */
+  normalizeResponse(json) {
+    return json;
+  },
+};
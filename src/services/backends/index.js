@@ -0,0 +1,61 @@
+import { everestBackend } from "./everestBackend.js";
+import { openaiCompatibleBackend } from "./openaiCompatibleBackend.js";
+
+/**
+ * Backend registry - transports that callEverest can route agent calls through
+ *
+ * Each backend implements:
+ *   name                         - identifier used in configs
+ *   label                        - name used in error messages
+ *   assertConfigured()           - throws if required settings are missing
+ *   buildRequest(agentConfig)    - returns { url, headers, body }
+ *   normalizeResponse(json, agentConfig) - returns an Everest-shaped response
+ */
+const backends = new Map([
+  [everestBackend.name, everestBackend],
+  [openaiCompatibleBackend.name, openaiCompatibleBackend],
+]);
+
+/**
+ * Get a backend by name
+ * @param {string} name - Backend name
+ * @returns {Object} - Backend adapter
+ */
+export function getBackend(name) {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(
+      `Unknown backend: ${name}. Available backends: ${getAvailableBackends().join(
+        ", "
+      )}`
+    );
+  }
+  return backend;
+}
+
+/**
+ * Get all registered backend names
+ * @returns {Array<string>} - Backend names
+ */
+export function getAvailableBackends() {
+  return Array.from(backends.keys());
+}
+
+/**
+ * Resolve the backend for a call
+ * Precedence: agent config > call options > run (pipelineData.metadata) > PIPELINER_BACKEND > everest
+ * @param {Object} agentConfig - Agent config being sent
+ * @param {Object} pipelineData - Pipeline data for the current run
+ * @param {Object} options - callEverest options
+ * @returns {Object} - Backend adapter
+ */
+export function resolveBackend(agentConfig, pipelineData, options = {}) {
+  const name =
+    agentConfig?.backend ||
+    options.backend ||
+    pipelineData?.metadata?.backend ||
+    process.env.PIPELINER_BACKEND ||
+    everestBackend.name;
+
+  return getBackend(name);
+}
@@ -0,0 +1,125 @@
+/**
+ * OpenAI-compatible backend adapter
+ * Maps Everest agent configs onto a /chat/completions request so agents can run
+ * against OpenAI, OpenRouter or a local server (Ollama, llama.cpp, vLLM, ...)
+ */
+
+const DEFAULT_BASE_URL = "http://localhost:11434/v1";
+
+/**
+ * Resolves the model name to send
+ * OPENAI_COMPAT_MODEL overrides every agent's model (useful for local servers);
+ * otherwise "openai/" prefixes are dropped for the openai provider.
+ * @param {Object} model - Everest model block
+ * @returns {string} - Model name
+ */
+function resolveModelName(model = {}) {
+  if (process.env.OPENAI_COMPAT_MODEL) {
+    return process.env.OPENAI_COMPAT_MODEL;
+  }
+
+  if (model.provider === "openai" && model.model?.startsWith("openai/")) {
+    return model.model.slice("openai/".length);
+  }
+
+  return model.model;
+}
+
+/**
+ * Builds the chat messages from the Everest chat block
+ * @param {Object} chat - Everest chat block
+ * @returns {Array} - OpenAI chat messages
+ */
+function buildMessages(chat = {}) {
+  const systemContent = [chat.systemPrompt, chat.messageContext]
+    .filter((part) => part && part.trim())
+    .join("\n\n");
+
+  const messages = [];
+  if (systemContent) {
+    messages.push({ role: "system", content: systemContent });
+  }
+
+  for (const entry of chat.messageHistory || []) {
+    if (entry && entry.role && typeof entry.content === "string") {
+      messages.push({ role: entry.role, content: entry.content });
+    }
+  }
+
+  messages.push({ role: "user", content: chat.userPrompt || "" });
+  return messages;
+}
+
+export const openaiCompatibleBackend = {
+  name: "openai-compatible",
+  label: "OpenAI-compatible",
+
+  /**
+   * No required settings - defaults to a local server without a key
+   */
+  assertConfigured() {},
+
+  /**
+   * Builds the HTTP request for an agent config
+   * @param {Object} agentConfig - Everest agent config from agentLoader
+   * @returns {Object} - { url, headers, body }
+   */
+  buildRequest(agentConfig) {
+    const baseUrl = process.env.OPENAI_COMPAT_API_BASE || DEFAULT_BASE_URL;
+    const apiKey = process.env.OPENAI_COMPAT_API_KEY;
+    const model = agentConfig.model || {};
+
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const payload = {
+      model: resolveModelName(model),
+      messages: buildMessages(agentConfig.chat),
+      ...(model.temperature !== undefined && {
+        temperature: model.temperature,
+      }),
+      ...(model.max_tokens && { max_tokens: model.max_tokens }),
+      ...(model.response_format && {
+        response_format: model.response_format,
+      }),
+    };
+
+    return {
+      url: `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+      headers,
+      body: JSON.stringify(payload),
+    };
+  },
+
+  /**
+   * Normalises a chat completion into the Everest response shape read by
+   * extractResponseContent and extractCostData
+   * @param {Object} json - Parsed chat completion
+   * @param {Object} agentConfig - Agent config that was sent
+   * @returns {Object} - Everest-shaped response
+   */
+  normalizeResponse(json, agentConfig) {
+    const content = json.choices?.[0]?.message?.content ?? "";
+    const usage = json.usage || {};
+
+    return {
+      callID: agentConfig.callID,
+      billingID: json.id || null,
+      message: content,
+      response: { content },
+      choices: json.choices,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens:
+          usage.total_tokens ||
+          (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
+        cost: usage.cost || 0,
+        model: json.model || resolveModelName(agentConfig.model),
+      },
+      backend: "openai-compatible",
+    };
+  },
+};
@@ -4,6 +4,8 @@
  * Provides dynamic loading of agents from type-specific directories
  * Supports loading agents from /src/agents/panel/{panelType}/ directories
  * Falls back to default panel agents if type-specific agents don't exist
+ * Participants with a `prompt` in their panel config are built from it instead
+ * A moderator with an `agent` (such as the debate judge) is loaded from that file
  */
 
 import { fileURLToPath } from "url";
@@ -11,10 +13,76 @@ import { dirname, join } from "path";
 import { existsSync } from "fs";
 import { createPanelConfig } from "./panelTypeConfig.js";
 import { performanceMonitor } from "./performanceMonitor.js";
+import agentLoader from "../utils/agentLoader.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const DEFAULT_PROMPT_AGENT_MODEL = "openai/gpt-4.1";
+const DEFAULT_PROMPT_AGENT_TEMPERATURE = 0.7;
+
+// Appended to moderator prompts so the pipeline can read the speaker selection
+const MODERATOR_RESPONSE_FORMAT = `You MUST always respond with valid JSON in this exact format:
+{
+  "moderator_response": "Your comment to the panel (can be an empty string)",
+  "next_speaker": "panel_N",
+  "speaking_prompt": "What the next speaker should address",
+  "moderator_responds": true|false
+}`;
+
+/**
+ * Creates an agent from a participant's prompt in the panel config
+ * @param {Object} settings - Participant settings ({ name, prompt, model, temperature })
+ * @param {Object} options - Agent options
+ * @param {string} options.panelType - Panel type, used for the call origin
+ * @param {string} options.agentName - Agent name, used for the call origin and logs
+ * @param {boolean} [options.moderator=false] - Ask for the moderator's JSON decision
+ * @returns {Function} Agent function with the same signature as the agent files
+ */
+export function createPromptAgent(
+  settings,
+  { panelType, agentName, moderator = false }
+) {
+  return async function promptAgent(message, context, messageHistory = []) {
+    if (!message) {
+      throw new Error(
+        `${settings.name || agentName} requires content to respond to`
+      );
+    }
+
+    const systemPrompt = [
+      settings.prompt.trim(),
+      moderator ? MODERATOR_RESPONSE_FORMAT : "",
+      context ? `Discussion Topic: ${context}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+
+    const agentConfig = {
+      systemPrompt,
+      provider: "openrouter",
+      model: settings.model || DEFAULT_PROMPT_AGENT_MODEL,
+      callType: "chat",
+      type: "completion",
+      temperature: settings.temperature ?? DEFAULT_PROMPT_AGENT_TEMPERATURE,
+      ...(moderator && { response_format: { type: "json_object" } }),
+      includeDateContext: false,
+      debugPrefix: `[Panel:${panelType}:${agentName}]`,
+      originOverrides: {
+        channel: `${panelType}-panel-pipeline`,
+        gatewayUserID: `${panelType}-${agentName}`,
+        gatewayMessageID: `${panelType}-${agentName}-message`,
+        gatewayNpub: `${panelType}-${agentName}-npub`,
+        conversationID: `${panelType}-panel-discussion`,
+        channelSpace: "PANEL",
+        userID: "panel-pipeline-user",
+      },
+    };
+
+    return agentLoader(agentConfig, message, "", messageHistory);
+  };
+}
+
 /**
  * Dynamic Agent Loader Class
  * Handles loading of panel agents based on panel type
@@ -166,7 +234,23 @@ export class DynamicAgentLoader {
    * @returns {Promise<Function>} The moderator agent function
    */
   async loadModerator() {
-    return this.loadAgent("moderator");
+    const { moderator } = this.config.participants || {};
+    if (moderator?.prompt !== undefined) {
+      return createPromptAgent(moderator, {
+        panelType: this.panelType,
+        agentName: "moderator",
+        moderator: true,
+      });
+    }
+    return this.loadAgent(this.getModeratorAgentName());
+  }
+
+  /**
+   * Gets the agent file the moderator is loaded from
+   * @returns {string} Agent name, "moderator" unless the panel config names another
+   */
+  getModeratorAgentName() {
+    return this.config.participants?.moderator?.agent || "moderator";
   }
 
   /**
@@ -193,11 +277,38 @@ export class DynamicAgentLoader {
     return this.loadAgent("panel3_explorer");
   }
 
+  /**
+   * Loads the agent for every member of a panel roster
+   * @param {Array<Object>} [roster] - Panel members ({ id, agent }); defaults to the panel config's roster
+   * @returns {Promise<Object>} Agent functions keyed by member ID
+   */
+  async loadPanelists(roster = this.config.getRoster()) {
+    const agents = await Promise.all(
+      roster.map((member) =>
+        member.prompt !== undefined
+          ? createPromptAgent(member, {
+              panelType: this.panelType,
+              agentName: member.agent,
+            })
+          : this.loadAgent(member.agent)
+      )
+    );
+    return Object.fromEntries(
+      roster.map((member, index) => [member.id, agents[index]])
+    );
+  }
+
   /**
    * Loads the summarizer agent for the current panel type
    * @returns {Promise<Function>} The summarizer agent function
    */
   async loadSummarizer() {
+    if (this.config.summarizer?.prompt !== undefined) {
+      return createPromptAgent(this.config.summarizer, {
+        panelType: this.panelType,
+        agentName: "summarizePanel",
+      });
+    }
     return this.loadAgent("summarizePanel");
   }
 
@@ -228,13 +339,24 @@ export class DynamicAgentLoader {
    * @returns {Object} Information about agent availability
    */
   getAgentInfo() {
+    const roster = this.config.getRoster();
+    const moderatorAgent = this.getModeratorAgentName();
     const agents = [
-      "moderator",
-      "panel1_challenger",
-      "panel2_analyst",
-      "panel3_explorer",
+      moderatorAgent,
+      ...roster.map((member) => member.agent),
       "summarizePanel",
     ];
+    const promptAgents = new Set(
+      roster
+        .filter((member) => member.prompt !== undefined)
+        .map((member) => member.agent)
+    );
+    if (this.config.participants?.moderator?.prompt !== undefined) {
+      promptAgents.add(moderatorAgent);
+    }
+    if (this.config.summarizer?.prompt !== undefined) {
+      promptAgents.add("summarizePanel");
+    }
     const info = {
       panelType: this.panelType,
       agentDirectory: this.getAgentDirectory(),
@@ -246,7 +368,12 @@ export class DynamicAgentLoader {
       info.agents[agentName] = {
         typeSpecific: this.agentExists(agentName),
         fallbackAvailable: this.fallbackAgentExists(agentName),
-        willUse: this.agentExists(agentName) ? "type-specific" : "fallback",
+        definedByPrompt: promptAgents.has(agentName),
+        willUse: promptAgents.has(agentName)
+          ? "prompt"
+          : this.agentExists(agentName)
+          ? "type-specific"
+          : "fallback",
       };
     });
 
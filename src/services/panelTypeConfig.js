@@ -5,7 +5,88 @@
  * - Discussion Panel: Enhanced moderated panel with named participants (Sarah, Mike, Lisa)
  * - Security Review Panel: Security-focused analysis panel
  * - Tech Review Panel: Technical architecture review panel
+ * - Debate Panel: Proposition and opposition argue a motion before a judge
+ *
+ * Each config lists its participants as a moderator plus panel1..panelN members. A
+ * member's `id` names them in the conversation and statistics, and `agent` is the agent
+ * file loaded for them from the panel type's agent directory. A member with neither
+ * `agent` nor `prompt` speaks from a generic panelist prompt built from its role.
+ *
+ * Further panel types are defined by JSON or YAML files in the panel type directory
+ * (env PIPELINER_PANEL_TYPE_DIR, default src/pipelines/panels). A file gives the
+ * participants and their prompts, so no agent files or code changes are needed:
+ *
+ * @example
+ * name: productreview
+ * title: Product Review Panel
+ * description: Customer, engineering and business views on a product proposal
+ * defaultInteractions: 4
+ * summaryFocus: Risks, open questions and a go/no-go recommendation
+ * requiredInputs:
+ *   - { id: proposal, label: Product proposal }
+ *   - { id: research, label: Customer research }
+ * outputDirectory: output/panel/productreview
+ * moderator:
+ *   name: Product Lead
+ *   role: Keeps the review focused on the decision
+ *   prompt: You chair a product review...
+ * members:
+ *   - { name: Customer Advocate, role: Speaks for users, prompt: "You represent..." }
+ *   - { name: Staff Engineer, role: Feasibility and cost, agent: panel2_analyst }
+ * summarizer:
+ *   prompt: Summarize the review as a decision memo...
+ */
+
+import { readdirSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+
+/**
+ * Smallest and largest number of panel members, not counting the moderator
+ */
+export const MIN_PANEL_MEMBERS = 2;
+export const MAX_PANEL_MEMBERS = 8;
+
+export const PANEL_TYPE_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+export const DEFAULT_PANEL_TYPE_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "pipelines",
+  "panels"
+);
+
+const BUILT_IN_PANEL_TYPES = ["discussion", "security", "techreview", "debate"];
+const PANEL_TYPE_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+const INPUT_ID_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Turns a participant name into a speaker ID ("Red Team" -> "red_team")
+ * @param {string} name - Participant name
+ * @returns {string} Speaker ID
+ */
+function toSpeakerId(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Builds the prompt for a panel member that names no agent file or prompt
+ * @param {Object} member - Panel member ({ name, role })
+ * @returns {string} Panelist prompt
  */
+function buildPanelistPrompt(member) {
+  return [
+    `You are ${member.name}, a panelist in a moderated discussion.`,
+    member.role ? `Your role: ${member.role}` : "",
+    "When the moderator calls on you, respond to the points raised so far from your role's perspective. Keep each contribution focused and conversational.",
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
 
 /**
  * Base Panel Configuration Class
@@ -69,6 +150,158 @@ export class BasePanelConfig {
   getTypeSpecificConfig() {
     return {};
   }
+
+  /**
+   * Gets the panel members in speaking order, without the moderator
+   *
+   * The moderator picks members by slot: `panel_1` is the first member. Members without
+   * an agent or prompt get a generic panelist prompt; `agent` then only labels their calls.
+   *
+   * @returns {Array<Object>} Members with slot, id, name, role and agent
+   */
+  getRoster() {
+    return Object.keys(this.participants || {})
+      .filter((key) => /^panel\d+$/.test(key))
+      .sort((a, b) => Number(a.slice(5)) - Number(b.slice(5)))
+      .map((key, index) => {
+        const member = this.participants[key];
+        const id = member.id || toSpeakerId(member.name);
+        // Without an agent file or prompt, the member speaks from its role
+        const prompt =
+          member.prompt === undefined && member.agent === undefined
+            ? buildPanelistPrompt(member)
+            : member.prompt;
+        return {
+          slot: `panel_${index + 1}`,
+          id,
+          name: member.name,
+          role: member.role || "",
+          agent: member.agent || `panel${index + 1}_${id}`,
+          ...(prompt !== undefined && {
+            prompt,
+            model: member.model,
+            temperature: member.temperature,
+          }),
+        };
+      });
+  }
+
+  /**
+   * Replaces the panel members, keeping the moderator
+   * @param {Array<Object>} members - Members in speaking order ({ name, role, id, agent })
+   */
+  setPanelMembers(members) {
+    const { moderator } = this.participants || {};
+    this.participants = moderator ? { moderator } : {};
+    members.forEach((member, index) => {
+      this.participants[`panel${index + 1}`] = { ...member };
+    });
+  }
+
+  /**
+   * Validates the moderator and panel members
+   * @param {string} label - Panel name used in error messages
+   * @returns {Array<string>} Validation errors
+   */
+  validateRoster(label) {
+    const errors = [];
+    const participants = this.participants || {};
+    const keys = Object.keys(participants);
+    const memberKeys = keys.filter((key) => /^panel\d+$/.test(key));
+
+    if (
+      !participants.moderator ||
+      memberKeys.length < MIN_PANEL_MEMBERS ||
+      memberKeys.length > MAX_PANEL_MEMBERS ||
+      memberKeys.length !== keys.length - 1
+    ) {
+      errors.push(
+        `${label} must have a moderator and ${MIN_PANEL_MEMBERS}-${MAX_PANEL_MEMBERS} panel members (panel1, panel2, ...)`
+      );
+      return errors;
+    }
+
+    const numbers = memberKeys
+      .map((key) => Number(key.slice(5)))
+      .sort((a, b) => a - b);
+    if (numbers.some((number, index) => number !== index + 1)) {
+      errors.push(
+        `${label} members must be numbered panel1 to panel${numbers.length}`
+      );
+    }
+
+    const ids = new Set();
+    this.getRoster().forEach((member) => {
+      if (typeof member.name !== "string" || !member.name.trim()) {
+        errors.push(`${label} ${member.slot} needs a name`);
+        return;
+      }
+      if (!member.id || member.id === "moderator") {
+        errors.push(
+          `${label} ${member.slot} needs an ID other than "moderator"`
+        );
+      } else if (ids.has(member.id)) {
+        errors.push(`${label} member ID "${member.id}" is used more than once`);
+      }
+      ids.add(member.id);
+      if (!/^[\w-]+$/.test(member.agent)) {
+        errors.push(
+          `${label} ${member.slot} agent must be a file name in the panel's agent directory`
+        );
+      }
+      if (member.prompt !== undefined) {
+        errors.push(
+          ...validatePromptSettings(member, `${label} ${member.slot}`)
+        );
+      }
+    });
+
+    if (participants.moderator.prompt !== undefined) {
+      errors.push(
+        ...validatePromptSettings(participants.moderator, `${label} moderator`)
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Directory run folders are written to; null keeps the default output/panel
+   * @returns {string|null} Output directory
+   */
+  getRunOutputDirectory() {
+    return null;
+  }
+}
+
+/**
+ * Validates the prompt, model and temperature of a participant defined by prompt
+ * @param {Object} settings - Participant or summarizer settings
+ * @param {string} label - Name used in error messages
+ * @returns {Array<string>} Validation errors
+ */
+function validatePromptSettings(settings, label) {
+  const errors = [];
+
+  if (typeof settings.prompt !== "string" || !settings.prompt.trim()) {
+    errors.push(`${label} prompt must be a non-empty string`);
+  }
+  if (
+    settings.model !== undefined &&
+    (typeof settings.model !== "string" || !settings.model.trim())
+  ) {
+    errors.push(`${label} model must be a model name`);
+  }
+  if (
+    settings.temperature !== undefined &&
+    (typeof settings.temperature !== "number" ||
+      settings.temperature < 0 ||
+      settings.temperature > 2)
+  ) {
+    errors.push(`${label} temperature must be a number between 0 and 2`);
+  }
+
+  return errors;
 }
 
 /**
@@ -85,16 +318,22 @@ export class DiscussionConfig extends BasePanelConfig {
         role: "Podcast host and conversation facilitator",
       },
       panel1: {
+        id: "challenger",
         name: "Sarah",
         role: "The Challenger - Questions assumptions, high disagreeableness",
+        agent: "panel1_challenger",
       },
       panel2: {
+        id: "analyst",
         name: "Mike",
         role: "The Analyst - Balanced, evidence-based approach",
+        agent: "panel2_analyst",
       },
       panel3: {
+        id: "explorer",
         name: "Lisa",
         role: "The Explorer - Creative, unconventional thinking",
+        agent: "panel3_explorer",
       },
     };
     this.defaultInteractions = 4;
@@ -115,11 +354,7 @@ export class DiscussionConfig extends BasePanelConfig {
     const baseValidation = super.validate();
     const errors = [...baseValidation.errors];
 
-    if (!this.participants || Object.keys(this.participants).length !== 4) {
-      errors.push(
-        "Discussion panel must have exactly 4 participants (moderator, panel1, panel2, panel3)"
-      );
-    }
+    errors.push(...this.validateRoster("Discussion panel"));
 
     if (!this.format) {
       errors.push("Discussion panel format is required");
@@ -146,21 +381,29 @@ export class SecurityConfig extends BasePanelConfig {
         role: "Security assessment coordinator",
       },
       panel1: {
+        id: "offensive",
         name: "Red Team",
         role: "Offensive security perspective - identifies vulnerabilities and attack vectors",
+        agent: "panel1_offensive",
       },
       panel2: {
+        id: "defensive",
         name: "Blue Team",
         role: "Defensive security perspective - focuses on detection and mitigation",
+        agent: "panel2_defensive",
       },
       panel3: {
+        id: "risk",
         name: "Risk Assessment",
         role: "Business impact assessment and strategic risk evaluation",
+        agent: "panel3_risk",
       },
     };
     this.defaultInteractions = 6;
     this.summaryFocus =
       "Provide a comprehensive security assessment summary with risk analysis and recommendations";
+    // Saves findings.json and findings.sarif next to the summary
+    this.structuredFindings = true;
   }
 
   getTypeSpecificConfig() {
@@ -169,6 +412,7 @@ export class SecurityConfig extends BasePanelConfig {
       participants: this.participants,
       defaultInteractions: this.defaultInteractions,
       summaryFocus: this.summaryFocus,
+      structuredFindings: this.structuredFindings,
     };
   }
 
@@ -176,35 +420,12 @@ export class SecurityConfig extends BasePanelConfig {
     const baseValidation = super.validate();
     const errors = [...baseValidation.errors];
 
-    if (!this.participants || Object.keys(this.participants).length !== 4) {
-      errors.push(
-        "Security panel must have exactly 4 participants (moderator, panel1, panel2, panel3)"
-      );
-    }
+    errors.push(...this.validateRoster("Security panel"));
 
     if (!this.focus) {
       errors.push("Security panel focus is required");
     }
 
-    // Validate required security panel roles
-    const requiredRoles = ["moderator", "panel1", "panel2", "panel3"];
-    const expectedNames = [
-      "Security Lead",
-      "Red Team",
-      "Blue Team",
-      "Risk Assessment",
-    ];
-
-    requiredRoles.forEach((role, index) => {
-      if (!this.participants[role]) {
-        errors.push(`Security panel missing required role: ${role}`);
-      } else if (this.participants[role].name !== expectedNames[index]) {
-        errors.push(
-          `Security panel ${role} should be named "${expectedNames[index]}"`
-        );
-      }
-    });
-
     return {
       isValid: errors.length === 0,
       errors,
@@ -226,16 +447,22 @@ export class TechReviewConfig extends BasePanelConfig {
         role: "Technical review coordinator with balanced facilitation (70% conservative, 30% innovation)",
       },
       panel1: {
+        id: "architect",
         name: "System Architect",
         role: "Design patterns, best practices, maintainability - conservative approach",
+        agent: "panel1_architect",
       },
       panel2: {
+        id: "performance",
         name: "Performance Engineer",
         role: "Code quality, performance, reliability - conservative best practices",
+        agent: "panel2_performance",
       },
       panel3: {
+        id: "innovation",
         name: "Innovation Engineer",
         role: "Creative solutions, alternatives - occasional innovative input (30% participation)",
+        agent: "panel3_innovation",
       },
     };
     this.defaultInteractions = 5;
@@ -246,6 +473,8 @@ export class TechReviewConfig extends BasePanelConfig {
       innovation: 30,
     };
     this.requiredInputs = ["prd", "designDoc", "codebase"];
+    // Saves review-comments.json and review-comments.md next to the summary
+    this.reviewComments = true;
   }
 
   getTypeSpecificConfig() {
@@ -256,6 +485,7 @@ export class TechReviewConfig extends BasePanelConfig {
       summaryFocus: this.summaryFocus,
       conversationBalance: this.conversationBalance,
       requiredInputs: this.requiredInputs,
+      reviewComments: this.reviewComments,
     };
   }
 
@@ -263,35 +493,12 @@ export class TechReviewConfig extends BasePanelConfig {
     const baseValidation = super.validate();
     const errors = [...baseValidation.errors];
 
-    if (!this.participants || Object.keys(this.participants).length !== 4) {
-      errors.push(
-        "Tech review panel must have exactly 4 participants (moderator, panel1, panel2, panel3)"
-      );
-    }
+    errors.push(...this.validateRoster("Tech review panel"));
 
     if (!this.focus) {
       errors.push("Tech review panel focus is required");
     }
 
-    // Validate required tech review panel roles
-    const requiredRoles = ["moderator", "panel1", "panel2", "panel3"];
-    const expectedNames = [
-      "Tech Lead",
-      "System Architect",
-      "Performance Engineer",
-      "Innovation Engineer",
-    ];
-
-    requiredRoles.forEach((role, index) => {
-      if (!this.participants[role]) {
-        errors.push(`Tech review panel missing required role: ${role}`);
-      } else if (this.participants[role].name !== expectedNames[index]) {
-        errors.push(
-          `Tech review panel ${role} should be named "${expectedNames[index]}"`
-        );
-      }
-    });
-
     // Validate conversation balance
     if (!this.conversationBalance ||
         this.conversationBalance.conservative !== 70 ||
@@ -311,9 +518,332 @@ export class TechReviewConfig extends BasePanelConfig {
   }
 }
 
+/**
+ * Debate Panel Configuration
+ * A proposition and an opposition argue a motion in opening statements, timed
+ * rebuttal rounds and closing statements. The judge takes the moderator's place: it
+ * scores every round against a rubric and gives the verdict.
+ */
+export class DebateConfig extends BasePanelConfig {
+  constructor() {
+    super("debate");
+    this.format = "debate";
+    this.title = "Debate Panel";
+    this.description =
+      "Proposition and opposition argue a motion; a judge scores each round and gives the verdict";
+    this.participants = {
+      moderator: {
+        name: "Judge",
+        role: "Adjudicator - scores each round against the rubric and gives the verdict",
+        agent: "judge",
+      },
+      panel1: {
+        id: "proposition",
+        name: "Proposition",
+        role: "Argues for the motion",
+        agent: "panel1_proposition",
+      },
+      panel2: {
+        id: "opposition",
+        name: "Opposition",
+        role: "Argues against the motion",
+        agent: "panel2_opposition",
+      },
+    };
+    this.summaryFocus =
+      "The motion, the strongest arguments and rebuttals on each side, how the debate turned, and the judge's verdict with its reasons";
+  }
+
+  getTypeSpecificConfig() {
+    return {
+      format: this.format,
+      title: this.title,
+      description: this.description,
+      participants: this.participants,
+      summaryFocus: this.summaryFocus,
+    };
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+
+    errors.push(...this.validateRoster("Debate panel"));
+
+    // The first member proposes the motion and the second opposes it
+    if (this.getRoster().length !== 2) {
+      errors.push(
+        "Debate panel must have exactly two members: the proposition (panel1) and the opposition (panel2)"
+      );
+    }
+
+    if (!/^[\w-]+$/.test(this.participants.moderator?.agent || "")) {
+      errors.push(
+        "Debate panel judge agent must be a file name in the panel's agent directory"
+      );
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+}
+
+/**
+ * Panel Configuration loaded from a panel type file
+ * Participants, prompts and defaults all come from the file
+ */
+export class FilePanelConfig extends BasePanelConfig {
+  /**
+   * @param {Object} definition - Parsed panel type file
+   * @param {string} [filePath] - File the definition was read from
+   */
+  constructor(definition, filePath = null) {
+    super(definition.name);
+    this.filePath = filePath;
+    this.title = definition.title || `${definition.name} panel`;
+    this.description = definition.description || "";
+    this.participants = {
+      moderator: definition.moderator,
+    };
+    this.setPanelMembers(
+      Array.isArray(definition.members) ? definition.members : []
+    );
+    this.summarizer = definition.summarizer || null;
+    this.defaultInteractions = definition.defaultInteractions ?? 4;
+    this.summaryFocus =
+      definition.summaryFocus ||
+      "Key insights, diverse perspectives, points of agreement/disagreement, and actionable recommendations from the panel discussion";
+    this.requiredInputs = Array.isArray(definition.requiredInputs)
+      ? definition.requiredInputs.map((input) =>
+          typeof input === "string" ? { id: input, label: input } : input
+        )
+      : definition.requiredInputs ?? [];
+    if (definition.inputDirectory) {
+      this.inputDirectory = definition.inputDirectory;
+    }
+    if (definition.outputDirectory) {
+      this.outputDirectory = definition.outputDirectory;
+    }
+    this.customOutputDirectory = Boolean(definition.outputDirectory);
+  }
+
+  getTypeSpecificConfig() {
+    return {
+      title: this.title,
+      description: this.description,
+      participants: this.participants,
+      summarizer: this.summarizer,
+      defaultInteractions: this.defaultInteractions,
+      summaryFocus: this.summaryFocus,
+      requiredInputs: this.requiredInputs,
+      filePath: this.filePath,
+    };
+  }
+
+  getRunOutputDirectory() {
+    return this.customOutputDirectory ? this.outputDirectory : null;
+  }
+
+  /**
+   * Combines the required inputs into the source text the panel discusses
+   * @param {Object} inputs - Input text keyed by input ID
+   * @returns {string} One labelled section per input
+   * @throws {Error} When a required input is missing
+   */
+  buildSourceText(inputs = {}) {
+    const missing = this.requiredInputs.filter(
+      (input) =>
+        typeof inputs[input.id] !== "string" || !inputs[input.id].trim()
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Missing required inputs for the ${this.panelType} panel: ${missing
+          .map((input) => input.id)
+          .join(", ")}`
+      );
+    }
+
+    return this.requiredInputs
+      .map((input) => `${input.label.toUpperCase()}:\n${inputs[input.id]}`)
+      .join("\n\n");
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    const label = `Panel type "${this.panelType}"`;
+
+    if (!PANEL_TYPE_NAME_PATTERN.test(this.panelType || "")) {
+      errors.push(
+        `${label} name must start with a lowercase letter and use only lowercase letters, digits, "-" and "_"`
+      );
+    } else if (BUILT_IN_PANEL_TYPES.includes(this.panelType)) {
+      errors.push(`${label} is built in and cannot be redefined`);
+    }
+
+    const { moderator } = this.participants;
+    if (
+      !moderator ||
+      typeof moderator !== "object" ||
+      typeof moderator.name !== "string" ||
+      !moderator.name.trim()
+    ) {
+      errors.push(`${label} needs a moderator with a name`);
+    } else {
+      errors.push(...this.validateRoster(label));
+      this.getRoster().forEach((member, index) => {
+        const { prompt, agent } = this.participants[`panel${index + 1}`];
+        if (prompt === undefined && !agent) {
+          errors.push(`${label} ${member.slot} needs a prompt or an agent`);
+        }
+      });
+    }
+
+    if (
+      !Number.isInteger(this.defaultInteractions) ||
+      this.defaultInteractions < 2 ||
+      this.defaultInteractions > 15
+    ) {
+      errors.push(
+        `${label} defaultInteractions must be an integer from 2 to 15`
+      );
+    }
+
+    if (this.summarizer !== null) {
+      errors.push(
+        ...validatePromptSettings(this.summarizer || {}, `${label} summarizer`)
+      );
+    }
+
+    if (Array.isArray(this.requiredInputs)) {
+      errors.push(...this.validateRequiredInputs(label));
+    } else {
+      errors.push(`${label} requiredInputs must be a list`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Validates the ids and labels of the required inputs
+   * @param {string} label - Panel name used in error messages
+   * @returns {Array<string>} Validation errors
+   */
+  validateRequiredInputs(label) {
+    const errors = [];
+    const inputIds = new Set();
+
+    this.requiredInputs.forEach((input, index) => {
+      if (!input || !INPUT_ID_PATTERN.test(input.id || "")) {
+        errors.push(
+          `${label} requiredInputs[${index}] needs an id made of letters, digits and "_"`
+        );
+        return;
+      }
+      if (inputIds.has(input.id)) {
+        errors.push(`${label} required input "${input.id}" is listed twice`);
+      }
+      inputIds.add(input.id);
+      if (typeof input.label !== "string" || !input.label.trim()) {
+        errors.push(`${label} required input "${input.id}" needs a label`);
+      }
+    });
+
+    return errors;
+  }
+}
+
+/**
+ * Resolves the directory panel type files are discovered from
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.panelTypeDir] - Directory (env PIPELINER_PANEL_TYPE_DIR, default src/pipelines/panels)
+ * @returns {string} Panel type directory
+ */
+export function getPanelTypeDir(options = {}) {
+  return (
+    options.panelTypeDir ||
+    process.env.PIPELINER_PANEL_TYPE_DIR ||
+    DEFAULT_PANEL_TYPE_DIR
+  );
+}
+
+/**
+ * Reads and validates every panel type file in a directory
+ *
+ * Files that cannot be parsed, fail validation or reuse a panel type name are reported
+ * in `errors` and left out. A missing directory has no panel types.
+ *
+ * @param {string} [dir] - Panel type directory
+ * @returns {Object} `{ panelTypes: Array<FilePanelConfig>, errors: Array<{ filePath, error }> }`
+ */
+export function loadPanelTypeFiles(dir = getPanelTypeDir()) {
+  const panelTypes = [];
+  const errors = [];
+
+  let files;
+  try {
+    files = readdirSync(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { panelTypes, errors };
+    }
+    throw error;
+  }
+
+  files
+    .filter((file) =>
+      PANEL_TYPE_EXTENSIONS.includes(path.extname(file).toLowerCase())
+    )
+    .sort()
+    .forEach((file) => {
+      const filePath = path.join(dir, file);
+      try {
+        const text = readFileSync(filePath, "utf8");
+        const definition =
+          path.extname(file).toLowerCase() === ".json"
+            ? JSON.parse(text)
+            : yaml.load(text);
+        if (
+          !definition ||
+          typeof definition !== "object" ||
+          Array.isArray(definition)
+        ) {
+          throw new Error("Panel type file must contain an object");
+        }
+
+        const config = new FilePanelConfig(
+          {
+            ...definition,
+            name: definition.name || path.basename(file, path.extname(file)),
+          },
+          filePath
+        );
+        const validation = config.validate();
+        if (!validation.isValid) {
+          throw new Error(validation.errors.join("; "));
+        }
+        if (panelTypes.some((panel) => panel.panelType === config.panelType)) {
+          throw new Error(
+            `Panel type "${config.panelType}" is already defined by another file`
+          );
+        }
+        panelTypes.push(config);
+      } catch (error) {
+        errors.push({ filePath, error: error.message });
+      }
+    });
+
+  return { panelTypes, errors };
+}
+
 /**
  * Factory function to create panel configuration instances
- * @param {string} panelType - The type of panel ('discussion', 'security', 'techreview')
+ * @param {string} panelType - A built-in type ('discussion', 'security', 'techreview', 'debate') or one defined by a panel type file
  * @returns {BasePanelConfig} Panel configuration instance
  * @throws {Error} If panel type is not supported
  */
@@ -325,19 +855,33 @@ export function createPanelConfig(panelType) {
       return new SecurityConfig();
     case "techreview":
       return new TechReviewConfig();
-    default:
+    case "debate":
+      return new DebateConfig();
+    default: {
+      const fileConfig = loadPanelTypeFiles().panelTypes.find(
+        (config) => config.panelType === panelType.toLowerCase()
+      );
+      if (fileConfig) {
+        return fileConfig;
+      }
       throw new Error(
-        `Unsupported panel type: ${panelType}. Supported types: discussion, security, techreview`
+        `Unsupported panel type: ${panelType}. Supported types: ${getAvailablePanelTypes().join(
+          ", "
+        )}`
       );
+    }
   }
 }
 
 /**
- * Gets all available panel types
+ * Gets all available panel types: the built-in ones, then those defined by files
  * @returns {Array<string>} Array of supported panel types
  */
 export function getAvailablePanelTypes() {
-  return ["discussion", "security", "techreview"];
+  return [
+    ...BUILT_IN_PANEL_TYPES,
+    ...loadPanelTypeFiles().panelTypes.map((config) => config.panelType),
+  ];
 }
 
 /**
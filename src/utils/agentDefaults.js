@@ -52,6 +52,11 @@ export const DEFAULT_ORIGIN = {
  */
 export const SUPPORTED_PROVIDERS = ["groq", "openai", "openrouter"];
 
+/**
+ * Supported backends (transports) for agent calls
+ */
+export const SUPPORTED_BACKENDS = ["everest", "openai-compatible"];
+
 /**
  * Supported model types
  */
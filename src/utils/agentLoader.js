@@ -13,6 +13,7 @@ import {
   DEFAULT_ORIGIN,
   SUPPORTED_PROVIDERS,
   SUPPORTED_TYPES,
+  SUPPORTED_BACKENDS,
 } from "./agentDefaults.js";
 
 /**
@@ -101,6 +102,7 @@ export function generateCallDetails(
       ...(config.max_tokens && { max_tokens: config.max_tokens }),
       ...(config.response_format && { response_format: config.response_format }),
     },
+    ...(config.backend && { backend: config.backend }),
     chat: {
       userPrompt: sanitizedMessage,
       systemPrompt: config.systemPrompt,
@@ -133,6 +135,14 @@ function validateAgentConfig(config) {
     );
   }
 
+  if (config.backend && !SUPPORTED_BACKENDS.includes(config.backend)) {
+    throw new Error(
+      `Unsupported backend: ${
+        config.backend
+      }. Supported backends: ${SUPPORTED_BACKENDS.join(", ")}`
+    );
+  }
+
   if (config.type && !SUPPORTED_TYPES.includes(config.type)) {
     throw new Error(
       `Unsupported type: ${
@@ -164,6 +174,7 @@ function validateAgentConfig(config) {
  * @param {string} [agentConfig.type="completion"] - Response type ("completion", "json_object")
  * @param {number} [agentConfig.temperature=0.8] - Model temperature (0-2)
  * @param {number} [agentConfig.max_tokens] - Maximum tokens (optional)
+ * @param {string} [agentConfig.backend] - Transport override ("everest", "openai-compatible"); defaults to the run's backend
  * @param {boolean} [agentConfig.includeDateContext=true] - Whether to append current date to context
  * @param {string} [agentConfig.debugPrefix="[Agent]"] - Prefix for debug logging
  * @param {Object} [agentConfig.originOverrides={}] - Overrides for origin object fields
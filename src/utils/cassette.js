@@ -0,0 +1,243 @@
+/**
+ * Everest Cassette Utilities
+ *
+ * Record/replay support for the Everest client. In record mode every call made by
+ * `callEverest` is written to a cassette file keyed by a stable hash of the agent
+ * config; in replay mode those recordings are served back without touching the
+ * network, so whole pipeline runs can be reproduced offline.
+ *
+ * Identical requests made more than once in a run (e.g. repeated prompts) are
+ * stored as an ordered list of interactions and replayed in the same order.
+ * Positions are tracked per run, so each pipeline run starts from the first
+ * interaction even when several runs share one process; `completePipeline` drops a
+ * run's positions when it finishes.
+ *
+ * @module cassette
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const CASSETTE_MODES = ["off", "record", "replay"];
+
+// Matches the date suffix appended by agentLoader when includeDateContext is on
+const DATE_CONTEXT_PATTERN = /The date today is: [^\n]*$/;
+
+// Per-run map of cassette key -> position within that key's interactions
+const cassetteCursors = new Map();
+
+const DEFAULT_RUN = "default";
+
+function getRunCursors(runId = DEFAULT_RUN) {
+  if (!cassetteCursors.has(runId)) {
+    cassetteCursors.set(runId, new Map());
+  }
+  return cassetteCursors.get(runId);
+}
+
+/**
+ * Resolves cassette settings from options and environment
+ *
+ * @param {Object} options - Per-call overrides
+ * @param {string} [options.cassetteMode] - off | record | replay (env EVEREST_CASSETTE_MODE)
+ * @param {string} [options.cassetteDir] - Cassette directory (env EVEREST_CASSETTE_DIR, default "cassettes")
+ * @returns {Object} Settings with mode and dir
+ * @throws {Error} When the mode is not recognised
+ */
+export function getCassetteSettings(options = {}) {
+  const mode = (
+    options.cassetteMode ||
+    process.env.EVEREST_CASSETTE_MODE ||
+    "off"
+  ).toLowerCase();
+
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid cassette mode: ${mode}. Must be one of: ${CASSETTE_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  return {
+    mode,
+    dir: options.cassetteDir || process.env.EVEREST_CASSETTE_DIR || "cassettes",
+  };
+}
+
+/**
+ * Serialises a value to JSON with object keys sorted, so equal configs always
+ * produce the same string regardless of property insertion order
+ *
+ * @param {*} value - Value to serialise
+ * @returns {string} Canonical JSON string
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Strips per-call volatile fields from an agent config
+ *
+ * Removes `callID`, `origin.callTS`, the `contextStrategy` bookkeeping and the
+ * date appended to the message context by `includeDateContext`, none of which
+ * affect the model's answer.
+ *
+ * @param {Object} agentConfig - Everest agent config
+ * @returns {Object} Normalised copy of the config
+ */
+export function normalizeAgentConfig(agentConfig) {
+  const normalized = JSON.parse(JSON.stringify(agentConfig));
+  delete normalized.callID;
+  delete normalized.contextStrategy;
+
+  if (normalized.origin) {
+    delete normalized.origin.callTS;
+  }
+
+  if (typeof normalized.chat?.messageContext === "string") {
+    normalized.chat.messageContext = normalized.chat.messageContext.replace(
+      DATE_CONTEXT_PATTERN,
+      "The date today is: <date>"
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Computes the cassette key for an agent config
+ *
+ * @param {Object} agentConfig - Everest agent config
+ * @returns {string} SHA-256 hex digest of the normalised config
+ */
+export function getCassetteKey(agentConfig) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(normalizeAgentConfig(agentConfig)))
+    .digest("hex");
+}
+
+function getCassettePath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+async function readCassetteFile(dir, key) {
+  const filePath = getCassettePath(dir, key);
+  let content;
+  try {
+    content = await fs.readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Corrupt cassette ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Records an interaction for an agent config
+ *
+ * The first recording of a key in a run replaces any interactions left from an
+ * earlier session; later recordings of the same key in that run are appended.
+ *
+ * @param {string} dir - Cassette directory
+ * @param {Object} agentConfig - Everest agent config that was sent
+ * @param {Object} interaction - Recorded outcome
+ * @param {number} interaction.status - HTTP status code
+ * @param {string} [interaction.statusText] - HTTP status text
+ * @param {Object} [interaction.body] - Parsed JSON body for successful calls
+ * @param {string} [interaction.errorText] - Response text for failed calls
+ * @param {string} [runId] - Pipeline run the call belongs to
+ * @returns {Promise<string>} The cassette key
+ */
+export async function recordInteraction(dir, agentConfig, interaction, runId) {
+  const key = getCassetteKey(agentConfig);
+  const cursors = getRunCursors(runId);
+  const cursor = cursors.get(key) || 0;
+  const existing = cursor > 0 ? await readCassetteFile(dir, key) : null;
+
+  const cassette = existing || {
+    key,
+    request: normalizeAgentConfig(agentConfig),
+    interactions: [],
+  };
+  cassette.interactions = cassette.interactions.slice(0, cursor);
+  cassette.interactions.push({
+    ...interaction,
+    recordedAt: new Date().toISOString(),
+  });
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    getCassettePath(dir, key),
+    JSON.stringify(cassette, null, 2),
+    "utf-8"
+  );
+  cursors.set(key, cursor + 1);
+
+  console.log(`[Cassette] Recorded interaction ${cursor + 1} for ${key}`);
+  return key;
+}
+
+/**
+ * Finds the next recorded interaction for an agent config
+ *
+ * Interactions are served in recording order, starting over for each run; once
+ * exhausted, the last one is repeated.
+ *
+ * @param {string} dir - Cassette directory
+ * @param {Object} agentConfig - Everest agent config about to be sent
+ * @param {string} [runId] - Pipeline run the call belongs to
+ * @returns {Promise<Object|null>} Recorded interaction with its key, or null on a miss
+ * @throws {Error} When the cassette file cannot be read or is not valid JSON
+ */
+export async function replayInteraction(dir, agentConfig, runId) {
+  const key = getCassetteKey(agentConfig);
+  const cassette = await readCassetteFile(dir, key);
+
+  if (!cassette || !cassette.interactions?.length) {
+    console.error(`[Cassette] No recording found for ${key} in ${dir}`);
+    return null;
+  }
+
+  const cursors = getRunCursors(runId);
+  const cursor = cursors.get(key) || 0;
+  const index = Math.min(cursor, cassette.interactions.length - 1);
+  cursors.set(key, cursor + 1);
+
+  console.log(`[Cassette] Replaying interaction ${index + 1} for ${key}`);
+  return { key, ...cassette.interactions[index] };
+}
+
+/**
+ * Resets replay/record positions for one run, or for every run when no runId is given
+ *
+ * @param {string} [runId] - Pipeline run to reset
+ */
+export function resetCassetteCursors(runId) {
+  if (runId === undefined) {
+    cassetteCursors.clear();
+    return;
+  }
+  cassetteCursors.delete(runId);
+}
@@ -0,0 +1,488 @@
+/**
+ * Context Management Utilities
+ *
+ * This module keeps the prompts of long conversational pipelines bounded. Token counts
+ * are estimated per model family; once a conversation outgrows its history budget the
+ * older turns are folded into a rolling summary (one summariser call per fold) and only
+ * the last `recentTurns` turns are sent verbatim. Source material over its budget is cut
+ * down to the paragraphs most relevant to the discussion, except code and security
+ * sources, which are always sent whole. Context management is opt-in. Each agent config
+ * is tagged with the strategy that was applied, and `callEverest` records it in the step
+ * metadata.
+ *
+ * @module contextManager
+ */
+
+import { callEverest } from "../services/everest.service.js";
+import { lexicalSimilarity } from "./dialogueConvergence.js";
+
+/**
+ * Defaults for `config.contextManagement` (`true` enables them as-is)
+ */
+export const CONTEXT_DEFAULTS = {
+  recentTurns: 6,
+  maxHistoryTokens: 12000,
+  maxSourceTokens: 8000,
+  summarize: true,
+};
+
+/**
+ * Approximate characters per token by model family
+ */
+export const CHARS_PER_TOKEN = {
+  anthropic: 3.5,
+  openai: 4,
+  "x-ai": 4,
+  "meta-llama": 4,
+  default: 4,
+};
+
+/**
+ * Context windows in tokens, keyed by model name
+ */
+export const MODEL_CONTEXT_WINDOWS = {
+  "openai/gpt-4.1": 1047576,
+  "gpt-4.1": 1047576,
+  "gpt-4o": 128000,
+  "anthropic/claude-3-5-sonnet": 200000,
+  "anthropic/claude-sonnet-4": 200000,
+  "x-ai/grok-4": 256000,
+  "meta-llama/llama-4-scout-17b-16e-instruct": 131072,
+};
+
+// Fallback window for models missing from MODEL_CONTEXT_WINDOWS
+const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// History and source each get at most this share of a model's window
+const MAX_WINDOW_SHARE = 0.4;
+
+// Marks where an excerpt left paragraphs out
+const OMISSION_MARKER = "[...]";
+
+/**
+ * Estimates the token count of text for a model
+ *
+ * @param {string} text - Text to measure
+ * @param {string} [model] - Model name (e.g. "anthropic/claude-sonnet-4")
+ * @returns {number} Estimated tokens
+ */
+export function countTokens(text, model) {
+  const family = String(model || "").split("/")[0];
+  const ratio = CHARS_PER_TOKEN[family] || CHARS_PER_TOKEN.default;
+  return Math.ceil(String(text || "").length / ratio);
+}
+
+/**
+ * Looks up a model's context window
+ *
+ * @param {string} [model] - Model name
+ * @returns {number} Context window in tokens
+ */
+export function getContextWindow(model) {
+  return MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * Validates the contextManagement option on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateContextOptions(config = {}) {
+  const { contextManagement } = config;
+  if (
+    contextManagement === undefined ||
+    contextManagement === null ||
+    typeof contextManagement === "boolean"
+  ) {
+    return [];
+  }
+  if (
+    typeof contextManagement !== "object" ||
+    Array.isArray(contextManagement)
+  ) {
+    return ["contextManagement must be a boolean or an object"];
+  }
+
+  const errors = [];
+  for (const key of ["recentTurns", "maxHistoryTokens", "maxSourceTokens"]) {
+    const value = contextManagement[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`contextManagement.${key} must be a positive integer`);
+    }
+  }
+  if (
+    contextManagement.summarize !== undefined &&
+    typeof contextManagement.summarize !== "boolean"
+  ) {
+    errors.push("contextManagement.summarize must be a boolean");
+  }
+
+  return errors;
+}
+
+/**
+ * Resolves the contextManagement option to full settings
+ *
+ * @param {boolean|Object} [contextManagement] - `config.contextManagement`
+ * @returns {Object|null} Settings, or null when context management is off (the default)
+ */
+export function resolveContextOptions(contextManagement) {
+  if (!contextManagement) {
+    return null;
+  }
+  return {
+    ...CONTEXT_DEFAULTS,
+    ...(typeof contextManagement === "object" ? contextManagement : {}),
+  };
+}
+
+/**
+ * Cuts source material down to the paragraphs most relevant to a focus
+ *
+ * The first paragraph is always kept; the rest are ranked by word overlap with the
+ * focus and kept in their original order, with a marker wherever paragraphs were left
+ * out. The separators and markers count against the budget. A single paragraph over
+ * budget is truncated.
+ *
+ * @param {string} sourceText - Source material
+ * @param {Object} options - Excerpt options
+ * @param {number} options.maxTokens - Token budget for the source
+ * @param {string} [options.model] - Model the source is sent to
+ * @param {string} [options.focus] - Text the excerpt should be relevant to
+ * @returns {Object} `{ text, strategy }` where strategy describes what was sent
+ */
+export function excerptSource(sourceText, { maxTokens, model, focus = "" }) {
+  const tokens = countTokens(sourceText, model);
+  if (tokens <= maxTokens) {
+    return { text: sourceText, strategy: { strategy: "full", tokens } };
+  }
+
+  const paragraphs = sourceText.split(/\n\s*\n/).filter((p) => p.trim());
+  const ranked = paragraphs
+    .map((paragraph, index) => ({
+      index,
+      tokens: countTokens(paragraph, model),
+      score: index === 0 ? Infinity : lexicalSimilarity(paragraph, focus),
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  // Each kept paragraph may bring a separator and a marker before it, and the
+  // excerpt may end with one more marker
+  const markerTokens = countTokens(`\n\n${OMISSION_MARKER}`, model);
+  const paragraphOverhead = countTokens(`\n\n${OMISSION_MARKER}\n\n`, model);
+  const kept = new Set();
+  let used = markerTokens;
+  for (const paragraph of ranked) {
+    const cost = paragraph.tokens + paragraphOverhead;
+    if (used + cost <= maxTokens) {
+      kept.add(paragraph.index);
+      used += cost;
+    }
+  }
+
+  let text;
+  if (kept.size === 0) {
+    const ratio = tokens / sourceText.length;
+    text = `${sourceText.slice(
+      0,
+      Math.max(0, Math.floor((maxTokens - markerTokens) / ratio))
+    )}\n\n${OMISSION_MARKER}`;
+  } else {
+    const parts = [];
+    paragraphs.forEach((paragraph, index) => {
+      if (kept.has(index)) {
+        parts.push(paragraph);
+      } else if (parts[parts.length - 1] !== OMISSION_MARKER) {
+        parts.push(OMISSION_MARKER);
+      }
+    });
+    text = parts.join("\n\n");
+  }
+
+  return {
+    text,
+    strategy: {
+      strategy: "excerpt",
+      tokens,
+      sentTokens: countTokens(text, model),
+      paragraphs: paragraphs.length,
+      keptParagraphs: kept.size,
+    },
+  };
+}
+
+/**
+ * Estimates how many rolling-summary calls one history can need
+ *
+ * Every prompt built from the history folds at most once, and every fold takes in at
+ * least one turn beyond the `recentTurns` that stay verbatim.
+ *
+ * @param {Object|null} options - Resolved context settings
+ * @param {Object} usage - How the history is used
+ * @param {number} usage.prompts - Prompts built from the history
+ * @param {number} usage.turns - Turns in the history by the end of the run
+ * @returns {number} Most summariser calls, or 0 when summarising is off
+ */
+export function estimateSummaryCalls(options, { prompts, turns }) {
+  if (!options?.summarize) {
+    return 0;
+  }
+  return Math.max(0, Math.min(prompts, turns - options.recentTurns));
+}
+
+/**
+ * Builds an extractive summary from each turn's opening sentence
+ *
+ * @param {Array<Object>} turns - Turns with content and an optional speaker
+ * @returns {string} One bullet per turn
+ */
+function extractiveSummary(turns) {
+  return turns
+    .map((turn) => {
+      const opening = String(turn.content || "")
+        .replace(/\s+/g, " ")
+        .trim()
+        .match(/^.{0,280}?[.!?](\s|$)|^.{0,280}/)[0]
+        .trim();
+      return `- ${turn.speaker ? `${turn.speaker}: ` : ""}${opening}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Formats turns for the summariser
+ *
+ * @param {Array<Object>} turns - Turns with content and an optional speaker
+ * @returns {string} Transcript text
+ */
+function formatTurns(turns) {
+  return turns
+    .map((turn) =>
+      turn.speaker ? `${turn.speaker}: ${turn.content}` : turn.content
+    )
+    .join("\n\n");
+}
+
+/**
+ * Creates the context manager for a run
+ *
+ * Rolling summaries are kept per `key`, so a pipeline can manage several histories (one
+ * per agent) or one shared transcript. Summariser calls go through the checkpoint so a
+ * resumed run rebuilds the same summaries; if a call fails, is over budget or no
+ * summariser is configured, the turns are folded in extractively instead.
+ *
+ * @param {Object|null} options - Resolved context settings (null sends everything as-is)
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} [context.summaryAgent] - Rolling summary agent
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Object} Manager with `prepareHistory`, `prepareTranscript`, `prepareSource` and `tag`
+ */
+export function createContextManager(options, context) {
+  const {
+    pipelineData,
+    checkpoint,
+    summaryAgent,
+    logPrefix = "[ContextManager]",
+  } = context;
+  const rolling = new Map();
+  let foldCount = 0;
+
+  /**
+   * Folds turns into the rolling summary for a key
+   * @returns {Promise<string>} Method used: "summary" or "extractive"
+   */
+  async function fold(state, key, turns) {
+    if (options.summarize && summaryAgent) {
+      foldCount += 1;
+      const stepId = `context_summary_${foldCount}`;
+      const summaryConfig = await summaryAgent(
+        `PREVIOUS SUMMARY:\n${
+          state.summary || "(none)"
+        }\n\nNEW TURNS:\n${formatTurns(turns)}`,
+        "",
+        []
+      );
+      const response = await checkpoint.runStep(stepId, () =>
+        callEverest(summaryConfig, pipelineData, stepId)
+      );
+      const content = response.error
+        ? null
+        : response.response?.content || response.message;
+
+      if (content) {
+        state.summary = content.trim();
+        return "summary";
+      }
+      console.warn(
+        `${logPrefix} ⚠️ Rolling summary ${stepId} for ${key} failed, folding turns extractively:`,
+        response.error || "no content"
+      );
+    }
+
+    state.summary = [state.summary, extractiveSummary(turns)]
+      .filter(Boolean)
+      .join("\n");
+    return "extractive";
+  }
+
+  /**
+   * Applies the rolling summary to a list of turns
+   * @returns {Promise<Object>} `{ summary, recent, strategy }`
+   */
+  async function compress(turns, { key = "conversation", model } = {}) {
+    const count = (items) =>
+      items.reduce((sum, turn) => sum + countTokens(turn.content, model), 0);
+    const totalTokens = count(turns);
+
+    if (!options) {
+      return {
+        summary: null,
+        recent: turns,
+        strategy: { strategy: "off", tokens: totalTokens },
+      };
+    }
+
+    if (!rolling.has(key)) {
+      rolling.set(key, { summary: "", summarizedCount: 0, method: null });
+    }
+    const state = rolling.get(key);
+    const maxTokens = Math.min(
+      options.maxHistoryTokens,
+      Math.floor(getContextWindow(model) * MAX_WINDOW_SHARE)
+    );
+    const pending = () => turns.slice(state.summarizedCount);
+    const pendingTokens = () =>
+      countTokens(state.summary, model) + count(pending());
+
+    if (pendingTokens() > maxTokens) {
+      const cut = turns.length - options.recentTurns;
+      if (cut > state.summarizedCount) {
+        state.method = await fold(
+          state,
+          key,
+          turns.slice(state.summarizedCount, cut)
+        );
+        state.summarizedCount = cut;
+        console.log(
+          `${logPrefix} 🗜️ Folded ${key} turns 1-${cut} into the rolling summary (${state.method})`
+        );
+      }
+    }
+
+    if (!state.summary) {
+      return {
+        summary: null,
+        recent: turns,
+        strategy: { strategy: "full", tokens: totalTokens },
+      };
+    }
+
+    return {
+      summary: state.summary,
+      recent: pending(),
+      strategy: {
+        strategy: "rolling-summary",
+        method: state.method,
+        tokens: totalTokens,
+        sentTokens: pendingTokens(),
+        summarizedTurns: state.summarizedCount,
+        recentTurns: turns.length - state.summarizedCount,
+      },
+    };
+  }
+
+  return {
+    /**
+     * Compresses a chat message history ({ role, content } messages)
+     * @param {Array<Object>} history - Message history
+     * @param {Object} [target] - `{ key, model }` of the agent the history is sent to
+     * @returns {Promise<Object>} `{ history, strategy }`
+     */
+    async prepareHistory(history, target) {
+      const { summary, recent, strategy } = await compress(history, target);
+      return {
+        history: summary
+          ? [
+              {
+                role: "user",
+                content: `SUMMARY OF EARLIER CONVERSATION:\n${summary}`,
+              },
+              ...recent,
+            ]
+          : recent,
+        strategy,
+      };
+    },
+
+    /**
+     * Compresses a transcript of { speaker, content } turns into prompt text
+     * @param {Array<Object>} turns - Transcript turns
+     * @param {Object} [target] - `{ key, model }` of the agent the transcript is sent to
+     * @returns {Promise<Object>} `{ text, strategy }`
+     */
+    async prepareTranscript(turns, target) {
+      const { summary, recent, strategy } = await compress(turns, target);
+      const recentText = formatTurns(recent);
+      return {
+        text: summary
+          ? `Summary of earlier discussion:\n${summary}\n\nRecent discussion:\n${recentText}`
+          : recentText,
+        strategy,
+      };
+    },
+
+    /**
+     * Excerpts source material to the source budget
+     *
+     * Pass `excerpt: false` for code and security sources: leaving paragraphs out could
+     * drop the lines a finding depends on, so they are always sent whole.
+     *
+     * @param {string} sourceText - Source material
+     * @param {Object} [target] - `{ model, focus, excerpt }`
+     * @returns {Object} `{ text, strategy }`
+     */
+    prepareSource(sourceText, { model, focus, excerpt = true } = {}) {
+      if (!options) {
+        return {
+          text: sourceText,
+          strategy: {
+            strategy: "off",
+            tokens: countTokens(sourceText, model),
+          },
+        };
+      }
+      if (!excerpt) {
+        return {
+          text: sourceText,
+          strategy: {
+            strategy: "full",
+            tokens: countTokens(sourceText, model),
+            verbatim: true,
+          },
+        };
+      }
+      return excerptSource(sourceText, {
+        maxTokens: Math.min(
+          options.maxSourceTokens,
+          Math.floor(getContextWindow(model) * MAX_WINDOW_SHARE)
+        ),
+        model,
+        focus,
+      });
+    },
+
+    /**
+     * Tags an agent config with the strategies applied to its prompt
+     * @param {Object} agentConfig - Agent config about to be sent
+     * @param {Object} strategies - e.g. `{ history, source }` strategy records
+     * @returns {Object} The same agent config
+     */
+    tag(agentConfig, strategies) {
+      agentConfig.contextStrategy = strategies;
+      return agentConfig;
+    },
+  };
+}
@@ -0,0 +1,355 @@
+/**
+ * Cost Ledger Utilities
+ *
+ * This module keeps an append-only ledger of every step cost recorded by `callEverest`,
+ * so spend survives beyond each run's `data.json` and can be reconciled against Everest
+ * billing. Entries are stored one JSON object per line (JSONL) and can be aggregated by
+ * day, pipeline, panel type, model or NostrMQ sender pubkey, and exported as CSV or JSON.
+ *
+ * @module costLedger
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+
+export const DEFAULT_LEDGER_PATH = path.join("logs", "cost-ledger.jsonl");
+
+export const LEDGER_GROUP_BY = [
+  "day",
+  "pipeline",
+  "panelType",
+  "model",
+  "sender",
+  "runId",
+];
+
+export const LEDGER_FIELDS = [
+  "timestamp",
+  "runId",
+  "pipeline",
+  "panelType",
+  "stepId",
+  "model",
+  "callID",
+  "billingID",
+  "tokensIn",
+  "tokensOut",
+  "totalTokens",
+  "cost",
+  "sender",
+];
+
+/**
+ * Resolves the ledger file path
+ *
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.ledgerPath] - Ledger file (env PIPELINER_COST_LEDGER, default logs/cost-ledger.jsonl)
+ * @returns {string|null} Ledger path, or null when the ledger is set to "off"
+ */
+export function getLedgerPath(options = {}) {
+  const ledgerPath =
+    options.ledgerPath ||
+    process.env.PIPELINER_COST_LEDGER ||
+    DEFAULT_LEDGER_PATH;
+
+  return ledgerPath.toLowerCase() === "off" ? null : ledgerPath;
+}
+
+/**
+ * Builds a ledger entry from a step cost and the run it belongs to
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} stepCost - Step cost entry returned by addStepCost
+ * @returns {Object} Ledger entry
+ *
+ * @example
+ * const entry = createLedgerEntry(pipelineData, stepCost);
+ * // Returns: {
+ * //   timestamp: "2025-07-18T07:49:43.000Z",
+ * //   runId: "uuid", pipeline: "moderatedPanel", panelType: "security",
+ * //   stepId: "panel_1_challenger", model: "anthropic/claude-sonnet-4",
+ * //   callID: "1234", billingID: "bill-1111",
+ * //   tokensIn: 23, tokensOut: 414, totalTokens: 437, cost: 0.00621621,
+ * //   sender: "npub1..."
+ * // }
+ */
+export function createLedgerEntry(pipelineData, stepCost) {
+  const metadata = pipelineData?.metadata || {};
+
+  return {
+    timestamp: stepCost.timestamp || new Date().toISOString(),
+    runId: pipelineData?.runId || null,
+    pipeline: metadata.pipeline || null,
+    panelType: metadata.panelType || null,
+    stepId: stepCost.stepId,
+    model: stepCost.model || null,
+    callID: stepCost.callID || null,
+    billingID: stepCost.billingID || null,
+    tokensIn: stepCost.tokensIn || 0,
+    tokensOut: stepCost.tokensOut || 0,
+    totalTokens: (stepCost.tokensIn || 0) + (stepCost.tokensOut || 0),
+    cost: stepCost.cost || 0,
+    sender: metadata.sender || null,
+  };
+}
+
+/**
+ * Appends an entry to the ledger
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} [options] - Overrides passed to getLedgerPath
+ * @returns {Promise<string|null>} Path written to, or null when the ledger is off
+ */
+export async function appendLedgerEntry(entry, options = {}) {
+  const ledgerPath = getLedgerPath(options);
+  if (!ledgerPath) {
+    return null;
+  }
+
+  await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+  await fs.appendFile(ledgerPath, `${JSON.stringify(entry)}\n`, "utf-8");
+  return ledgerPath;
+}
+
+/**
+ * Records a step cost in the ledger without ever failing the calling step
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} stepCost - Step cost entry returned by addStepCost
+ * @param {Object} [options] - Overrides passed to getLedgerPath
+ * @returns {Promise<Object|null>} The entry written, or null when skipped or failed
+ */
+export async function recordStepCost(pipelineData, stepCost, options = {}) {
+  if (!stepCost) {
+    return null;
+  }
+
+  const entry = createLedgerEntry(pipelineData, stepCost);
+  try {
+    const ledgerPath = await appendLedgerEntry(entry, options);
+    return ledgerPath ? entry : null;
+  } catch (error) {
+    console.error(
+      `[CostLedger] Failed to record cost for step ${stepCost.stepId}:`,
+      error.message
+    );
+    return null;
+  }
+}
+
+/**
+ * Reads all entries from the ledger
+ *
+ * Malformed lines (e.g. a partial write) are skipped with a warning.
+ *
+ * @param {string} ledgerPath - Ledger file
+ * @returns {Promise<Array<Object>>} Ledger entries in file order
+ */
+export async function readLedger(ledgerPath) {
+  let content;
+  try {
+    content = await fs.readFile(ledgerPath, "utf-8");
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const entries = [];
+  let skipped = 0;
+
+  for (const line of content.split("\n")) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    console.warn(`[CostLedger] Skipped ${skipped} malformed ledger lines`);
+  }
+
+  return entries;
+}
+
+/**
+ * Filters ledger entries by date range and field values
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {Object} [filters] - Filters to apply
+ * @param {string} [filters.from] - Inclusive start day (YYYY-MM-DD)
+ * @param {string} [filters.to] - Inclusive end day (YYYY-MM-DD)
+ * @param {string} [filters.pipeline] - Pipeline name
+ * @param {string} [filters.model] - Model name
+ * @param {string} [filters.sender] - Sender pubkey
+ * @returns {Array<Object>} Matching entries
+ */
+export function filterLedgerEntries(entries, filters = {}) {
+  return entries.filter((entry) => {
+    const day = (entry.timestamp || "").slice(0, 10);
+    if (filters.from && day < filters.from) {
+      return false;
+    }
+    if (filters.to && day > filters.to) {
+      return false;
+    }
+    for (const field of ["pipeline", "model", "sender"]) {
+      if (filters[field] && entry[field] !== filters[field]) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+function getGroupKey(entry, groupBy) {
+  if (groupBy === "day") {
+    return (entry.timestamp || "").slice(0, 10) || "unknown";
+  }
+  if (groupBy === "sender") {
+    return entry.sender || "local";
+  }
+  return entry[groupBy] || "unknown";
+}
+
+/**
+ * Aggregates ledger entries into spend totals per group
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {string} [groupBy="day"] - One of LEDGER_GROUP_BY; runs without a sender group as "local"
+ * @returns {Array<Object>} Rows of `{ key, calls, runs, tokensIn, tokensOut, totalTokens, cost }` sorted by key
+ * @throws {Error} When groupBy is not supported
+ *
+ * @example
+ * aggregateLedger(entries, "model");
+ * // Returns: [
+ * //   { key: "anthropic/claude-sonnet-4", calls: 12, runs: 3, tokensIn: 24000,
+ * //     tokensOut: 7200, totalTokens: 31200, cost: 0.18 },
+ * //   ...
+ * // ]
+ */
+export function aggregateLedger(entries, groupBy = "day") {
+  if (!LEDGER_GROUP_BY.includes(groupBy)) {
+    throw new Error(
+      `Invalid groupBy: ${groupBy}. Must be one of: ${LEDGER_GROUP_BY.join(
+        ", "
+      )}`
+    );
+  }
+
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = getGroupKey(entry, groupBy);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        calls: 0,
+        runIds: new Set(),
+        tokensIn: 0,
+        tokensOut: 0,
+        totalTokens: 0,
+        cost: 0,
+      });
+    }
+
+    const group = groups.get(key);
+    group.calls++;
+    group.runIds.add(entry.runId);
+    group.tokensIn += entry.tokensIn || 0;
+    group.tokensOut += entry.tokensOut || 0;
+    group.totalTokens += entry.totalTokens || 0;
+    group.cost += entry.cost || 0;
+  }
+
+  return Array.from(groups.values())
+    .sort((a, b) => a.key.localeCompare(b.key))
+    .map(({ runIds, ...group }) => ({ ...group, runs: runIds.size }));
+}
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises rows to CSV with a header line
+ *
+ * @param {Array<Object>} rows - Ledger entries or aggregate rows
+ * @param {Array<string>} columns - Columns to include, in order
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(","));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Formats aggregate rows as a plain-text table for the console
+ *
+ * @param {Array<Object>} rows - Rows from aggregateLedger
+ * @param {string} groupBy - Grouping used, shown as the first column header
+ * @returns {string} Table text including a total line
+ */
+export function formatLedgerTable(rows, groupBy) {
+  const header = [groupBy, "calls", "runs", "tokensIn", "tokensOut", "costUSD"];
+  const body = rows.map((row) => [
+    row.key,
+    String(row.calls),
+    String(row.runs),
+    String(row.tokensIn),
+    String(row.tokensOut),
+    row.cost.toFixed(4),
+  ]);
+
+  const total = rows.reduce(
+    (sum, row) => ({
+      calls: sum.calls + row.calls,
+      tokensIn: sum.tokensIn + row.tokensIn,
+      tokensOut: sum.tokensOut + row.tokensOut,
+      cost: sum.cost + row.cost,
+    }),
+    { calls: 0, tokensIn: 0, tokensOut: 0, cost: 0 }
+  );
+  const footer = [
+    "TOTAL",
+    String(total.calls),
+    "",
+    String(total.tokensIn),
+    String(total.tokensOut),
+    total.cost.toFixed(4),
+  ];
+
+  const allRows = [header, ...body, footer];
+  const widths = header.map((_, column) =>
+    Math.max(...allRows.map((row) => row[column].length))
+  );
+  const formatRow = (row) =>
+    row
+      .map((cell, column) =>
+        column === 0
+          ? cell.padEnd(widths[column])
+          : cell.padStart(widths[column])
+      )
+      .join("  ");
+  const divider = widths.map((width) => "-".repeat(width)).join("  ");
+
+  return [
+    formatRow(header),
+    divider,
+    ...body.map(formatRow),
+    divider,
+    formatRow(footer),
+  ].join("\n");
+}
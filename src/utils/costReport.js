@@ -0,0 +1,206 @@
+/**
+ * Cost Report CLI
+ *
+ * Aggregates the cost ledger by day, pipeline, panel type, model or NostrMQ sender
+ * and prints a table, or exports the totals (or raw entries) as CSV or JSON.
+ *
+ * @module costReport
+ *
+ * @example
+ * // Spend per model for July, as CSV
+ * node src/utils/costReport.js --by model --from 2025-07-01 --to 2025-07-31 --format csv
+ *
+ * // Raw ledger entries for one sender, written to a file
+ * node src/utils/costReport.js --raw --sender npub1... --format json --output spend.json
+ */
+
+import { promises as fs } from "fs";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import {
+  DEFAULT_LEDGER_PATH,
+  LEDGER_FIELDS,
+  LEDGER_GROUP_BY,
+  readLedger,
+  filterLedgerEntries,
+  aggregateLedger,
+  toCsv,
+  formatLedgerTable,
+} from "./costLedger.js";
+
+// Load environment variables
+dotenv.config();
+
+export const REPORT_FORMATS = ["table", "csv", "json"];
+
+const AGGREGATE_COLUMNS = [
+  "key",
+  "calls",
+  "runs",
+  "tokensIn",
+  "tokensOut",
+  "totalTokens",
+  "cost",
+];
+
+const USAGE = `Usage: node src/utils/costReport.js [options]
+
+Options:
+  --by <group>       ${LEDGER_GROUP_BY.join(" | ")} (default: day)
+  --from <date>      Include entries on or after YYYY-MM-DD
+  --to <date>        Include entries on or before YYYY-MM-DD
+  --pipeline <name>  Only include one pipeline
+  --model <name>     Only include one model
+  --sender <pubkey>  Only include one NostrMQ sender
+  --raw              Export ledger entries instead of totals
+  --format <format>  ${REPORT_FORMATS.join(" | ")} (default: table)
+  --output <file>    Write the report to a file instead of stdout
+  --ledger <file>    Ledger file (default: PIPELINER_COST_LEDGER or ${DEFAULT_LEDGER_PATH})
+  --help             Show this message`;
+
+/**
+ * Parses command line arguments for the cost report
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Report options
+ * @throws {Error} On unknown flags, missing values or invalid choices
+ */
+export function parseReportArgs(argv) {
+  const options = {
+    groupBy: "day",
+    format: "table",
+    raw: false,
+    help: false,
+    filters: {},
+  };
+  const valueFlags = {
+    "--by": (value) => (options.groupBy = value),
+    "--from": (value) => (options.filters.from = value),
+    "--to": (value) => (options.filters.to = value),
+    "--pipeline": (value) => (options.filters.pipeline = value),
+    "--model": (value) => (options.filters.model = value),
+    "--sender": (value) => (options.filters.sender = value),
+    "--format": (value) => (options.format = value),
+    "--output": (value) => (options.output = value),
+    "--ledger": (value) => (options.ledgerPath = value),
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--raw") {
+      options.raw = true;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (valueFlags[arg]) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      valueFlags[arg](value);
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!LEDGER_GROUP_BY.includes(options.groupBy)) {
+    throw new Error(`--by must be one of: ${LEDGER_GROUP_BY.join(", ")}`);
+  }
+  if (!REPORT_FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of: ${REPORT_FORMATS.join(", ")}`);
+  }
+  if (options.raw && options.format === "table") {
+    throw new Error("--raw requires --format csv or json");
+  }
+
+  return options;
+}
+
+/**
+ * Builds the report text from ledger entries
+ *
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {Object} options - Options from parseReportArgs
+ * @returns {string} Report in the requested format
+ */
+export function buildCostReport(entries, options) {
+  const filtered = filterLedgerEntries(entries, options.filters);
+
+  if (options.raw) {
+    return options.format === "csv"
+      ? toCsv(filtered, LEDGER_FIELDS)
+      : `${JSON.stringify(filtered, null, 2)}\n`;
+  }
+
+  const rows = aggregateLedger(filtered, options.groupBy);
+
+  if (options.format === "csv") {
+    return toCsv(rows, AGGREGATE_COLUMNS);
+  }
+
+  if (options.format === "json") {
+    const report = {
+      groupBy: options.groupBy,
+      filters: options.filters,
+      generatedAt: new Date().toISOString(),
+      totals: {
+        calls: filtered.length,
+        cost: rows.reduce((sum, row) => sum + row.cost, 0),
+        totalTokens: rows.reduce((sum, row) => sum + row.totalTokens, 0),
+      },
+      rows,
+    };
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+
+  return `${formatLedgerTable(rows, options.groupBy)}\n`;
+}
+
+/**
+ * Runs the cost report CLI
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runCostReport(argv) {
+  let options;
+  try {
+    options = parseReportArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const ledgerPath =
+    options.ledgerPath ||
+    process.env.PIPELINER_COST_LEDGER ||
+    DEFAULT_LEDGER_PATH;
+  const entries = await readLedger(ledgerPath);
+  const report = buildCostReport(entries, options);
+
+  if (options.output) {
+    await fs.writeFile(options.output, report, "utf-8");
+    console.log(`✅ Cost report written to ${options.output}`);
+  } else {
+    process.stdout.write(report);
+  }
+
+  return 0;
+}
+
+// ES Module main detection for direct execution
+const isMain = process.argv[1] === fileURLToPath(import.meta.url);
+
+if (isMain) {
+  runCostReport(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error("❌ Cost report failed:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,735 @@
+/**
+ * Debate Scoring Utilities
+ *
+ * Debate panels argue a motion in a fixed order: opening statements, a number of
+ * rebuttal rounds and closing statements, each with a proposition and an opposition
+ * speech. Speeches are timed: every phase has a speaking time that becomes a word
+ * limit, and a speech over the limit is cut off. After each round the judge scores
+ * both sides against a rubric, and after the closing statements it gives a verdict
+ * with its reasons. The pipeline saves the scores and verdict as `scorecard.json` and
+ * `scorecard.md`, next to `summary.md`.
+ *
+ * @module debateScoring
+ */
+
+import { callEverest } from "../services/everest.service.js";
+import { stubDryRunReply } from "./dryRun.js";
+import { parseJsonObject, withJsonResponse } from "./structuredReplies.js";
+
+/**
+ * Debate sides, in speaking order: the first panel member proposes the motion
+ */
+export const DEBATE_SIDES = ["proposition", "opposition"];
+
+/**
+ * Defaults for the debate options: rebuttal rounds and minutes per speech
+ */
+export const DEBATE_DEFAULTS = {
+  rebuttalRounds: 2,
+  speechMinutes: {
+    opening: 3,
+    rebuttal: 2,
+    closing: 2,
+  },
+};
+
+/**
+ * Speaking rate used to turn speech minutes into a word limit
+ */
+export const WORDS_PER_MINUTE = 150;
+
+/**
+ * Limits on rebuttal rounds and on minutes per speech
+ */
+export const MAX_REBUTTAL_ROUNDS = 5;
+export const MAX_SPEECH_MINUTES = 10;
+
+const MAX_RUBRIC_CRITERIA = 8;
+const CRITERION_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Criteria the judge scores each side on when the run gives no rubric
+ */
+export const DEFAULT_RUBRIC = [
+  {
+    id: "argument",
+    label: "Argument",
+    description: "A clear, well-structured case that addresses the motion",
+    maxScore: 10,
+  },
+  {
+    id: "evidence",
+    label: "Evidence",
+    description: "Claims are backed by facts, examples or sound reasoning",
+    maxScore: 10,
+  },
+  {
+    id: "rebuttal",
+    label: "Rebuttal",
+    description: "Engages with and answers the other side's strongest points",
+    maxScore: 10,
+  },
+  {
+    id: "delivery",
+    label: "Delivery",
+    description: "Clear and persuasive, and within the speaking time",
+    maxScore: 10,
+  },
+];
+
+const SIDE_LABELS = {
+  proposition: "Proposition",
+  opposition: "Opposition",
+};
+
+/**
+ * Validates the debate options on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateDebateOptions(config = {}) {
+  const errors = [];
+  const { rebuttalRounds, speechMinutes, rubric } = config;
+
+  if (
+    rebuttalRounds !== undefined &&
+    (!Number.isInteger(rebuttalRounds) ||
+      rebuttalRounds < 1 ||
+      rebuttalRounds > MAX_REBUTTAL_ROUNDS)
+  ) {
+    errors.push(
+      `rebuttalRounds must be an integer between 1 and ${MAX_REBUTTAL_ROUNDS}`
+    );
+  }
+
+  if (speechMinutes !== undefined) {
+    if (
+      !speechMinutes ||
+      typeof speechMinutes !== "object" ||
+      Array.isArray(speechMinutes)
+    ) {
+      errors.push("speechMinutes must be an object");
+    } else {
+      Object.entries(speechMinutes).forEach(([phase, minutes]) => {
+        if (!(phase in DEBATE_DEFAULTS.speechMinutes)) {
+          errors.push(
+            `speechMinutes.${phase} is not a debate phase (opening, rebuttal, closing)`
+          );
+        } else if (
+          typeof minutes !== "number" ||
+          !(minutes >= 0.5 && minutes <= MAX_SPEECH_MINUTES)
+        ) {
+          errors.push(
+            `speechMinutes.${phase} must be a number of minutes between 0.5 and ${MAX_SPEECH_MINUTES}`
+          );
+        }
+      });
+    }
+  }
+
+  if (rubric !== undefined) {
+    if (
+      !Array.isArray(rubric) ||
+      rubric.length === 0 ||
+      rubric.length > MAX_RUBRIC_CRITERIA
+    ) {
+      errors.push(`rubric must be a list of 1-${MAX_RUBRIC_CRITERIA} criteria`);
+    } else {
+      const ids = new Set();
+      rubric.forEach((criterion, index) => {
+        if (!criterion || !CRITERION_ID_PATTERN.test(criterion.id || "")) {
+          errors.push(
+            `rubric[${index}] needs an id made of lowercase letters, digits and "_"`
+          );
+          return;
+        }
+        if (ids.has(criterion.id)) {
+          errors.push(`rubric criterion "${criterion.id}" is listed twice`);
+        }
+        ids.add(criterion.id);
+        if (
+          criterion.maxScore !== undefined &&
+          (!Number.isInteger(criterion.maxScore) ||
+            criterion.maxScore < 1 ||
+            criterion.maxScore > 100)
+        ) {
+          errors.push(
+            `rubric criterion "${criterion.id}" maxScore must be an integer between 1 and 100`
+          );
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Resolves the debate options to full settings
+ *
+ * @param {Object} config - Pipeline config with rebuttalRounds, speechMinutes and rubric
+ * @returns {Object} `{ rebuttalRounds, speechMinutes, speechWords, rubric }`
+ */
+export function resolveDebateOptions(config = {}) {
+  const speechMinutes = {
+    ...DEBATE_DEFAULTS.speechMinutes,
+    ...(config.speechMinutes || {}),
+  };
+  return {
+    rebuttalRounds: config.rebuttalRounds ?? DEBATE_DEFAULTS.rebuttalRounds,
+    speechMinutes,
+    speechWords: Object.fromEntries(
+      Object.entries(speechMinutes).map(([phase, minutes]) => [
+        phase,
+        Math.round(minutes * WORDS_PER_MINUTE),
+      ])
+    ),
+    rubric: (config.rubric || DEFAULT_RUBRIC).map((criterion) => ({
+      id: criterion.id,
+      label: criterion.label || criterion.id,
+      description: criterion.description || "",
+      maxScore: criterion.maxScore ?? 10,
+    })),
+  };
+}
+
+/**
+ * Lists the rounds of a debate in order
+ *
+ * @param {number} rebuttalRounds - Rebuttal rounds between the openings and closings
+ * @returns {Array<Object>} `[{ id, phase, label }]`
+ */
+export function debateRounds(rebuttalRounds) {
+  return [
+    { id: "opening", phase: "opening", label: "Opening statements" },
+    ...Array.from({ length: rebuttalRounds }, (_, index) => ({
+      id: `rebuttal_${index + 1}`,
+      phase: "rebuttal",
+      label: `Rebuttal round ${index + 1}`,
+    })),
+    { id: "closing", phase: "closing", label: "Closing statements" },
+  ];
+}
+
+/**
+ * Counts the API calls of a debate: two speeches and a scorecard per round, then
+ * the verdict (the summary is counted by the pipeline)
+ *
+ * @param {number} rebuttalRounds - Rebuttal rounds
+ * @returns {number} API calls
+ */
+export function debateCallCount(rebuttalRounds) {
+  return 3 * (rebuttalRounds + 2) + 1;
+}
+
+/**
+ * Cuts a speech off at its word limit
+ *
+ * @param {string} text - Speech
+ * @param {number} maxWords - Word limit for the speech
+ * @returns {Object} `{ content, words, overtime }`, where words counts the full speech
+ */
+export function limitSpeech(text, maxWords) {
+  const speech = String(text || "").trim();
+  const words = speech.match(/\S+/g) || [];
+  if (words.length <= maxWords) {
+    return { content: speech, words: words.length, overtime: false };
+  }
+
+  const wordPattern = /\S+/g;
+  let end = 0;
+  for (let count = 0; count < maxWords; count++) {
+    const match = wordPattern.exec(speech);
+    end = match.index + match[0].length;
+  }
+  const cut = speech.slice(0, end);
+  return {
+    content: `${cut}\n\n_[Time: cut off at ${maxWords} words]_`,
+    words: words.length,
+    overtime: true,
+  };
+}
+
+/**
+ * Picks the side with the higher total
+ *
+ * @param {Object} totals - `{ proposition, opposition }`
+ * @returns {string} "proposition", "opposition" or "tie"
+ */
+function leadingSide(totals) {
+  if (totals.proposition === totals.opposition) {
+    return "tie";
+  }
+  return totals.proposition > totals.opposition ? "proposition" : "opposition";
+}
+
+/**
+ * Parses the judge's scorecard for one round
+ *
+ * Accepts `{ scores: { proposition: { <criterion>: n }, opposition: {...} }, reasons }`.
+ * Scores are rounded and clamped to each criterion's range. A scorecard that misses
+ * a side or a criterion is not used.
+ *
+ * @param {string} content - Judge response content
+ * @param {Array<Object>} rubric - Resolved rubric
+ * @returns {Object|null} `{ scores, totals, winner, reasons }`, or null when unparseable
+ */
+export function parseRoundScores(content, rubric) {
+  const parsed = parseJsonObject(content);
+  if (!parsed || !parsed.scores || typeof parsed.scores !== "object") {
+    return null;
+  }
+
+  const scores = {};
+  for (const side of DEBATE_SIDES) {
+    const sideScores = parsed.scores[side];
+    if (!sideScores || typeof sideScores !== "object") {
+      return null;
+    }
+    scores[side] = {};
+    for (const criterion of rubric) {
+      const value = Number(sideScores[criterion.id]);
+      if (sideScores[criterion.id] === null || !Number.isFinite(value)) {
+        return null;
+      }
+      scores[side][criterion.id] = Math.min(
+        criterion.maxScore,
+        Math.max(0, Math.round(value))
+      );
+    }
+  }
+
+  const totals = Object.fromEntries(
+    DEBATE_SIDES.map((side) => [
+      side,
+      Object.values(scores[side]).reduce((sum, value) => sum + value, 0),
+    ])
+  );
+  return {
+    scores,
+    totals,
+    winner: leadingSide(totals),
+    reasons: typeof parsed.reasons === "string" ? parsed.reasons.trim() : "",
+  };
+}
+
+/**
+ * Parses the judge's final verdict
+ *
+ * Accepts `{ winner: "proposition" | "opposition", reasons: [...] }`; reasons may
+ * also be a single string.
+ *
+ * @param {string} content - Judge response content
+ * @returns {Object|null} `{ winner, reasons }`, or null when unparseable
+ */
+export function parseVerdict(content) {
+  const parsed = parseJsonObject(content);
+  const winner = String(parsed?.winner || "")
+    .trim()
+    .toLowerCase();
+  if (!DEBATE_SIDES.includes(winner)) {
+    return null;
+  }
+
+  const reasons = (
+    Array.isArray(parsed.reasons) ? parsed.reasons : [parsed.reasons]
+  )
+    .filter((reason) => typeof reason === "string" && reason.trim())
+    .map((reason) => reason.trim());
+  return { winner, reasons };
+}
+
+/**
+ * Adds up the scores of every scored round
+ *
+ * @param {Array<Object>} rounds - Round records with `totals` (null when unscored)
+ * @returns {Object} `{ proposition, opposition }`
+ */
+export function tallyDebate(rounds) {
+  return Object.fromEntries(
+    DEBATE_SIDES.map((side) => [
+      side,
+      rounds.reduce((sum, round) => sum + (round.totals?.[side] || 0), 0),
+    ])
+  );
+}
+
+/**
+ * Names a side for prompts and markdown: "Proposition (Ada)"
+ *
+ * @param {Object} sides - `{ proposition: { name }, opposition: { name } }`
+ * @param {string} side - Side, or "tie"
+ * @returns {string} Side label
+ */
+function sideLabel(sides, side) {
+  if (!SIDE_LABELS[side]) {
+    return "Tie";
+  }
+  const name = sides?.[side]?.name;
+  return name && name !== SIDE_LABELS[side]
+    ? `${SIDE_LABELS[side]} (${name})`
+    : SIDE_LABELS[side];
+}
+
+/**
+ * Formats the verdict as the judge's closing turn of the debate
+ *
+ * @param {Object} verdict - Verdict from requestDebateVerdict
+ * @param {Object} sides - `{ proposition: { name }, opposition: { name } }`
+ * @returns {string} Verdict text with one line per reason
+ */
+export function formatVerdictText(verdict, sides) {
+  const decision =
+    verdict.winner === "tie"
+      ? "The debate is a tie."
+      : `${sideLabel(sides, verdict.winner)} wins the debate.`;
+  return `Judge's verdict: ${decision}
+${verdict.reasons.map((reason) => `\n- ${reason}`).join("")}`;
+}
+
+/**
+ * Describes a rubric for the judge, one criterion per line
+ *
+ * @param {Array<Object>} rubric - Resolved rubric
+ * @returns {string} Rubric lines
+ */
+function formatRubric(rubric) {
+  return rubric
+    .map(
+      (criterion) =>
+        `- ${criterion.id} (0-${criterion.maxScore}): ${criterion.label}${
+          criterion.description ? ` - ${criterion.description}` : ""
+        }`
+    )
+    .join("\n");
+}
+
+/**
+ * Formats the scorecard as markdown: the verdict, a score table per round, then the
+ * judge's reasons for each round
+ *
+ * @param {Object} debate - Debate result from the pipeline
+ * @param {Object} [options] - Heading details
+ * @param {string} [options.title] - Document title
+ * @returns {string} Markdown content
+ */
+export function formatScorecardMarkdown(
+  debate,
+  { title = "Debate Scorecard" } = {}
+) {
+  const { motion, sides, rubric, rounds, totals, verdict } = debate;
+  const header = [
+    "Round",
+    sideLabel(sides, "proposition"),
+    sideLabel(sides, "opposition"),
+    "Round winner",
+  ];
+  const rows = rounds.map((round) =>
+    round.totals
+      ? [
+          round.label,
+          round.totals.proposition,
+          round.totals.opposition,
+          sideLabel(sides, round.winner),
+        ]
+      : [round.label, "-", "-", "not scored"]
+  );
+  rows.push([
+    "**Total**",
+    `**${totals.proposition}**`,
+    `**${totals.opposition}**`,
+    sideLabel(sides, leadingSide(totals)),
+  ]);
+  const table = [header, header.map(() => "---"), ...rows]
+    .map((cells) => `| ${cells.join(" | ")} |`)
+    .join("\n");
+
+  const verdictText = verdict
+    ? `**Winner**: ${sideLabel(sides, verdict.winner)}${
+        verdict.decidedBy === "scores" ? " (decided on total scores)" : ""
+      }
+${verdict.reasons.map((reason) => `\n- ${reason}`).join("")}`
+    : "_No verdict: the debate stopped early._";
+
+  const details = rounds
+    .map((round) => {
+      const timing = DEBATE_SIDES.filter(
+        (side) => round.speeches?.[side]?.overtime
+      )
+        .map(
+          (side) =>
+            `⏱️ ${sideLabel(sides, side)} ran over time (${
+              round.speeches[side].words
+            } words, cut off at ${round.speeches[side].maxWords})`
+        )
+        .join("\n\n");
+      const scores = round.scores
+        ? [
+            "| Criterion | Proposition | Opposition |",
+            "| --- | --- | --- |",
+            ...rubric.map(
+              (criterion) =>
+                `| ${criterion.label} (/${criterion.maxScore}) | ${
+                  round.scores.proposition[criterion.id]
+                } | ${round.scores.opposition[criterion.id]} |`
+            ),
+          ].join("\n")
+        : "The judge's scorecard for this round could not be read.";
+      return [`### ${round.label}`, scores, round.reasons, timing]
+        .filter(Boolean)
+        .join("\n\n");
+    })
+    .join("\n\n");
+
+  return `# ${title}
+
+**Motion**: ${motion}
+
+## Verdict
+
+${verdictText}
+
+## Scores
+
+${table}
+
+## Rubric
+
+${rubric
+  .map(
+    (criterion) =>
+      `- **${criterion.label}** (0-${criterion.maxScore})${
+        criterion.description ? `: ${criterion.description}` : ""
+      }`
+  )
+  .join("\n")}
+
+## Rounds
+
+${details}
+`;
+}
+
+/**
+ * Records a warning on the pipeline data
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {string} warning - Warning text
+ * @param {string} logPrefix - Log prefix
+ */
+function warn(pipelineData, warning, logPrefix) {
+  console.warn(`${logPrefix} ⚠️ ${warning}`);
+  pipelineData.warnings = pipelineData.warnings || [];
+  pipelineData.warnings.push(warning);
+}
+
+/**
+ * Has the judge score one round of the debate
+ *
+ * Runs as the `judge_<roundId>` step. A scorecard that cannot be read leaves the
+ * round unscored with a warning.
+ *
+ * @param {Object} round - Round from debateRounds
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} context.judge - Judge agent
+ * @param {string} context.motion - The motion
+ * @param {Array<Object>} context.rubric - Resolved rubric
+ * @param {Object} context.sides - `{ proposition: { id, name }, opposition: {...} }`
+ * @param {Object} context.speeches - `{ proposition: { content, words, overtime, maxWords }, opposition: {...} }`
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Promise<Object>} Round record `{ id, phase, label, speeches, scores, totals, winner, reasons }`, or `{ budgetExceeded, error }`
+ */
+export async function scoreDebateRound(round, context) {
+  const {
+    pipelineData,
+    checkpoint,
+    judge,
+    motion,
+    rubric,
+    sides,
+    speeches,
+    logPrefix = "[Debate]",
+  } = context;
+
+  console.log(`${logPrefix} ⚖️ Judge scoring ${round.label.toLowerCase()}...`);
+  const scorePrompt = `Motion: ${motion}
+
+${round.label}:
+
+${DEBATE_SIDES.map((side) => {
+  const speech = speeches[side];
+  return `### ${sideLabel(sides, side)} - ${speech.words} words of ${
+    speech.maxWords
+  } allowed${speech.overtime ? ", cut off for running over time" : ""}
+
+${speech.content}`;
+}).join("\n\n")}
+
+Score each side's speech in this round only, on every criterion of the rubric:
+${formatRubric(rubric)}
+
+A speech that ran over its time was cut off; take that into account. Do not announce a winner of the debate yet.
+
+Respond with only a JSON object in this format:
+{"scores": {"proposition": {${rubric
+    .map((criterion) => `"${criterion.id}": 0`)
+    .join(", ")}}, "opposition": {${rubric
+    .map((criterion) => `"${criterion.id}": 0`)
+    .join(
+      ", "
+    )}}}, "reasons": "Why the scores differ, in two or three sentences"}`;
+
+  const stepId = `judge_${round.id}`;
+  const scoreConfig = withJsonResponse(await judge(scorePrompt, "", []));
+  stubDryRunReply(pipelineData, stepId, () => ({
+    scores: Object.fromEntries(
+      DEBATE_SIDES.map((side) => [
+        side,
+        Object.fromEntries(rubric.map((criterion) => [criterion.id, 0])),
+      ])
+    ),
+    reasons: `[Dry run] Stub scores from ${stepId}.`,
+  }));
+  const response = await checkpoint.runStep(stepId, () =>
+    callEverest(scoreConfig, pipelineData, stepId)
+  );
+  if (response.budgetExceeded) {
+    return { budgetExceeded: true, error: response.error };
+  }
+
+  const record = {
+    id: round.id,
+    phase: round.phase,
+    label: round.label,
+    speeches: Object.fromEntries(
+      DEBATE_SIDES.map((side) => {
+        const { words, overtime, maxWords } = speeches[side];
+        return [side, { words, overtime, maxWords }];
+      })
+    ),
+  };
+  const scorecard = response.error
+    ? null
+    : parseRoundScores(response.message, rubric);
+  if (!scorecard) {
+    warn(
+      pipelineData,
+      `Debate ${round.label.toLowerCase()} not scored: ${
+        response.error || "reply was not a scorecard"
+      }`,
+      logPrefix
+    );
+    return { ...record, scores: null, totals: null, winner: null, reasons: "" };
+  }
+
+  console.log(
+    `${logPrefix} ⚖️ ${round.label}: proposition ${scorecard.totals.proposition}, opposition ${scorecard.totals.opposition}`
+  );
+  return { ...record, ...scorecard };
+}
+
+/**
+ * Has the judge give the final verdict
+ *
+ * Runs as the `judge_verdict` step. When the verdict cannot be read, the side with
+ * the higher total score wins (`decidedBy: "scores"`) and a warning is recorded.
+ *
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} context.judge - Judge agent
+ * @param {string} context.motion - The motion
+ * @param {Object} context.sides - `{ proposition: { id, name }, opposition: {...} }`
+ * @param {Array<Object>} context.rounds - Scored round records
+ * @param {string} context.transcript - Debate transcript
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Promise<Object>} `{ verdict: { winner, reasons, decidedBy, totals } }`, or `{ budgetExceeded, error }`
+ */
+export async function requestDebateVerdict(context) {
+  const {
+    pipelineData,
+    checkpoint,
+    judge,
+    motion,
+    sides,
+    rounds,
+    transcript,
+    logPrefix = "[Debate]",
+  } = context;
+  const totals = tallyDebate(rounds);
+
+  console.log(`${logPrefix} ⚖️ Judge deciding the verdict...`);
+  const verdictPrompt = `Motion: ${motion}
+
+Debate transcript:
+${transcript}
+
+Your scores by round:
+${rounds
+  .map((round) =>
+    round.totals
+      ? `- ${round.label}: proposition ${
+          round.totals.proposition
+        }, opposition ${round.totals.opposition}${
+          round.reasons ? ` (${round.reasons})` : ""
+        }`
+      : `- ${round.label}: not scored`
+  )
+  .join("\n")}
+- Total: proposition ${totals.proposition}, opposition ${totals.opposition}
+
+The debate is over. Give your verdict: which side won the debate on the motion, ${sideLabel(
+    sides,
+    "proposition"
+  )} or ${sideLabel(
+    sides,
+    "opposition"
+  )}, and the reasons for your decision. The verdict should follow from your scores; if it does not, explain why.
+
+Respond with only a JSON object in this format:
+{"winner": "proposition", "reasons": ["First reason", "Second reason"]}`;
+
+  const verdictConfig = withJsonResponse(await judge(verdictPrompt, "", []));
+  stubDryRunReply(pipelineData, "judge_verdict", () => {
+    const leader = leadingSide(totals);
+    return {
+      winner: DEBATE_SIDES.includes(leader) ? leader : DEBATE_SIDES[0],
+      reasons: [
+        `[Dry run] Stub verdict from judge_verdict (${totals.proposition} to ${totals.opposition}).`,
+      ],
+    };
+  });
+  const response = await checkpoint.runStep("judge_verdict", () =>
+    callEverest(verdictConfig, pipelineData, "judge_verdict")
+  );
+  if (response.budgetExceeded) {
+    return { budgetExceeded: true, error: response.error };
+  }
+
+  const verdict = response.error ? null : parseVerdict(response.message);
+  if (verdict) {
+    console.log(`${logPrefix} 🏆 Verdict: ${sideLabel(sides, verdict.winner)}`);
+    return { verdict: { ...verdict, decidedBy: "judge", totals } };
+  }
+
+  warn(
+    pipelineData,
+    `Debate verdict decided on total scores: ${
+      response.error || "reply was not a verdict"
+    }`,
+    logPrefix
+  );
+  return {
+    verdict: {
+      winner: leadingSide(totals),
+      reasons: [
+        `The judge's verdict could not be read, so the debate was decided on total scores (${totals.proposition} to ${totals.opposition}).`,
+      ],
+      decidedBy: "scores",
+      totals,
+    },
+  };
+}
@@ -0,0 +1,410 @@
+/**
+ * Dialogue Convergence Utilities
+ *
+ * This module lets the dialogue pipelines end a conversation before its final iteration
+ * once the agents have converged. After each turn the latest turn is compared with the
+ * one before it (agreement) and with the same agent's previous turn (repetition); an
+ * optional judge agent can also be asked once per iteration. The first signal over its
+ * threshold stops the loop and the reason is recorded with the summary.
+ *
+ * @module dialogueConvergence
+ */
+
+import { callEverest } from "../services/everest.service.js";
+import { stubDryRunReply } from "./dryRun.js";
+import { parseJsonObject } from "./structuredReplies.js";
+
+/**
+ * Defaults for `config.convergence` (`true` enables them as-is)
+ */
+export const CONVERGENCE_DEFAULTS = {
+  threshold: 0.75,
+  minTurns: 3,
+  judge: false,
+  judgeConfidence: 0.75,
+};
+
+// Turns shown to the judge agent
+const JUDGE_WINDOW = 4;
+
+// Words that carry no topic and would inflate similarity between any two turns
+const STOPWORDS = new Set(
+  (
+    "the and for are but not you your with this that have has had was were will " +
+    "would could should can its it's they them their there then than what which " +
+    "who whom when where why how all any both each more most other some such only " +
+    "own same too very just also into from about over under again further once " +
+    "here our ours out off does did doing been being because while these those " +
+    "i'm we're let's"
+  ).split(" ")
+);
+
+/**
+ * Validates the convergence option on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateConvergenceOptions(config = {}) {
+  const { convergence } = config;
+  if (
+    convergence === undefined ||
+    convergence === null ||
+    typeof convergence === "boolean"
+  ) {
+    return [];
+  }
+  if (typeof convergence !== "object" || Array.isArray(convergence)) {
+    return ["convergence must be a boolean or an object"];
+  }
+
+  const errors = [];
+  const isRatio = (value) =>
+    typeof value === "number" && value > 0 && value <= 1;
+
+  if (convergence.threshold !== undefined && !isRatio(convergence.threshold)) {
+    errors.push("convergence.threshold must be a number between 0 and 1");
+  }
+  if (
+    convergence.minTurns !== undefined &&
+    (!Number.isInteger(convergence.minTurns) || convergence.minTurns < 2)
+  ) {
+    errors.push("convergence.minTurns must be an integer of at least 2");
+  }
+  if (
+    convergence.judge !== undefined &&
+    typeof convergence.judge !== "boolean"
+  ) {
+    errors.push("convergence.judge must be a boolean");
+  }
+  if (
+    convergence.judgeConfidence !== undefined &&
+    !isRatio(convergence.judgeConfidence)
+  ) {
+    errors.push("convergence.judgeConfidence must be a number between 0 and 1");
+  }
+
+  return errors;
+}
+
+/**
+ * Resolves the convergence option to full settings
+ *
+ * @param {boolean|Object} convergence - `config.convergence`
+ * @returns {Object|null} Settings, or null when convergence detection is off
+ */
+export function resolveConvergenceOptions(convergence) {
+  if (!convergence) {
+    return null;
+  }
+  return {
+    ...CONVERGENCE_DEFAULTS,
+    ...(typeof convergence === "object" ? convergence : {}),
+  };
+}
+
+/**
+ * Splits text into lower-case content words
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Words of three or more characters, minus stopwords
+ */
+function tokenize(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .match(/[a-z0-9']+/g) || []
+  ).filter((word) => word.length > 2 && !STOPWORDS.has(word));
+}
+
+/**
+ * Cosine similarity between the word counts of two texts
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity from 0 (no shared words) to 1 (same word counts)
+ *
+ * @example
+ * lexicalSimilarity("Solar is cheap", "Solar is cheap now"); // 0.82
+ */
+export function lexicalSimilarity(a, b) {
+  const count = (words) =>
+    words.reduce((counts, word) => {
+      counts.set(word, (counts.get(word) || 0) + 1);
+      return counts;
+    }, new Map());
+  const countsA = count(tokenize(a));
+  const countsB = count(tokenize(b));
+  if (countsA.size === 0 || countsB.size === 0) {
+    return 0;
+  }
+
+  let dot = 0;
+  for (const [word, value] of countsA) {
+    dot += value * (countsB.get(word) || 0);
+  }
+  const norm = (counts) =>
+    Math.sqrt([...counts.values()].reduce((sum, value) => sum + value ** 2, 0));
+
+  return dot / (norm(countsA) * norm(countsB));
+}
+
+/**
+ * Scores the latest dialogue turn against the turns before it
+ *
+ * Facilitator interventions and human turns are ignored. `agreement` compares the latest turn with the
+ * previous turn and `repetition` with the same agent's previous turn.
+ *
+ * @param {Array<Object>} conversation - Conversation entries ({ agent, content })
+ * @returns {Object|null} `{ score, signal, agent }`, or null with fewer than two turns
+ */
+export function measureLexicalConvergence(conversation) {
+  const turns = conversation.filter(
+    (entry) => !entry.isFacilitator && !entry.isHuman
+  );
+  if (turns.length < 2) {
+    return null;
+  }
+
+  const latest = turns[turns.length - 1];
+  const agreement = lexicalSimilarity(
+    latest.content,
+    turns[turns.length - 2].content
+  );
+  const ownPrevious = turns
+    .slice(0, -1)
+    .reverse()
+    .find((entry) => entry.agent === latest.agent);
+  const repetition = ownPrevious
+    ? lexicalSimilarity(latest.content, ownPrevious.content)
+    : 0;
+
+  return repetition > agreement
+    ? { score: repetition, signal: "repetition", agent: latest.agent }
+    : { score: agreement, signal: "agreement", agent: latest.agent };
+}
+
+/**
+ * Parses the judge agent's JSON verdict
+ *
+ * @param {string} content - Judge response content
+ * @returns {Object|null} `{ converged, confidence, reason }`, or null when unparseable
+ */
+export function parseJudgeVerdict(content) {
+  const verdict = parseJsonObject(content);
+  if (typeof verdict?.converged !== "boolean") {
+    return null;
+  }
+  const confidence = Number(verdict.confidence);
+  return {
+    converged: verdict.converged,
+    confidence: Number.isFinite(confidence)
+      ? Math.min(Math.max(confidence, 0), 1)
+      : verdict.converged
+      ? 1
+      : 0,
+    reason: typeof verdict.reason === "string" ? verdict.reason : "",
+  };
+}
+
+/**
+ * Formats a 0-1 score as a percentage
+ *
+ * @param {number} value - Score
+ * @returns {string} Percentage, e.g. "82%"
+ */
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Creates the convergence monitor for a dialogue run
+ *
+ * `check()` is called after every dialogue turn. Lexical checks start once `minTurns`
+ * dialogue turns exist and are skipped in dry runs (stub responses look alike); the
+ * judge runs only when the call passes a `stepId`, through the checkpoint so resumed
+ * runs replay its verdicts.
+ *
+ * @param {Object|null} options - Resolved convergence settings (null disables the monitor)
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} [context.judgeAgent] - Judge agent (required when options.judge is set)
+ * @param {string} [context.discussionPrompt] - Prompt shown to the judge
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Object} Monitor with `check(conversation, { iteration, stepId })` and `report()`
+ */
+export function createConvergenceMonitor(options, context) {
+  const {
+    pipelineData,
+    checkpoint,
+    judgeAgent,
+    discussionPrompt = "",
+    logPrefix = "[Convergence]",
+  } = context;
+  const checks = [];
+  let stop = null;
+
+  /**
+   * Asks the judge whether the dialogue has converged
+   * @returns {Promise<Object>} `{ verdict }`, or `{ budgetExceeded, error }`
+   */
+  async function askJudge(conversation, stepId) {
+    const recentTurns = conversation
+      .filter((entry) => !entry.isFacilitator && !entry.isHuman)
+      .slice(-JUDGE_WINDOW)
+      .map((entry) => `${entry.agent}: ${entry.content}`)
+      .join("\n\n");
+    const judgeConfig = await judgeAgent(
+      `RECENT TURNS:\n${recentTurns}`,
+      `DISCUSSION PROMPT:\n${discussionPrompt}`,
+      []
+    );
+    stubDryRunReply(pipelineData, stepId, () => ({
+      converged: false,
+      confidence: 0,
+      reason: `[Dry run] Stub convergence verdict from ${stepId}.`,
+    }));
+    const response = await checkpoint.runStep(stepId, () =>
+      callEverest(judgeConfig, pipelineData, stepId)
+    );
+
+    if (response.budgetExceeded) {
+      return { budgetExceeded: true, error: response.error };
+    }
+    const verdict = response.error
+      ? null
+      : parseJudgeVerdict(response.response?.content || response.message);
+    if (!verdict) {
+      const problem = response.error || "unparseable verdict";
+      console.warn(
+        `${logPrefix} ⚠️ Convergence judge ${stepId} failed:`,
+        problem
+      );
+      pipelineData.warnings = pipelineData.warnings || [];
+      pipelineData.warnings.push(
+        `Convergence judge ${stepId} failed: ${problem}`
+      );
+    }
+    return { verdict };
+  }
+
+  return {
+    /**
+     * Checks the conversation after a turn
+     * @param {Array<Object>} conversation - Conversation entries so far
+     * @param {Object} [turn] - `{ iteration, stepId }`; a stepId also asks the judge
+     * @returns {Promise<Object>} `{ converged, reason? }`, or `{ budgetExceeded, error }`
+     */
+    async check(conversation, { iteration, stepId } = {}) {
+      const turns = conversation.filter(
+        (entry) => !entry.isFacilitator && !entry.isHuman
+      );
+      if (!options || stop || turns.length < options.minTurns) {
+        return { converged: Boolean(stop) };
+      }
+
+      const lexical = measureLexicalConvergence(conversation);
+      const record = {
+        iteration,
+        turn: turns.length,
+        agent: lexical.agent,
+        signal: lexical.signal,
+        score: Number(lexical.score.toFixed(3)),
+      };
+      checks.push(record);
+
+      if (!pipelineData.dryRun && lexical.score >= options.threshold) {
+        stop = {
+          method: "lexical",
+          signal: lexical.signal,
+          score: record.score,
+          iteration,
+          turn: record.turn,
+          reason:
+            lexical.signal === "repetition"
+              ? `${lexical.agent} repeated its previous turn (${percent(
+                  lexical.score
+                )} similar, threshold ${percent(options.threshold)})`
+              : `Consecutive turns were ${percent(
+                  lexical.score
+                )} similar (threshold ${percent(options.threshold)})`,
+        };
+      } else if (options.judge && judgeAgent && stepId) {
+        const judged = await askJudge(conversation, stepId);
+        if (judged.budgetExceeded) {
+          return { converged: false, ...judged };
+        }
+        if (judged.verdict) {
+          record.judge = judged.verdict;
+          if (
+            judged.verdict.converged &&
+            judged.verdict.confidence >= options.judgeConfidence
+          ) {
+            stop = {
+              method: "judge",
+              score: judged.verdict.confidence,
+              iteration,
+              turn: record.turn,
+              reason: `Judge found the dialogue converged (${percent(
+                judged.verdict.confidence
+              )} confidence): ${judged.verdict.reason.replace(/\.$/, "")}`,
+            };
+          }
+        }
+      }
+
+      if (stop) {
+        console.log(`${logPrefix} 🎯 Dialogue converged - ${stop.reason}`);
+      }
+      return stop
+        ? { converged: true, reason: stop.reason }
+        : { converged: false };
+    },
+
+    /**
+     * Convergence record for the summary output
+     * @returns {Object|null} Settings, checks and the early stop (if any), or null when disabled
+     */
+    report() {
+      if (!options) {
+        return null;
+      }
+      return {
+        threshold: options.threshold,
+        judge: options.judge,
+        stoppedEarly: Boolean(stop),
+        ...(stop && { stop }),
+        highestScore: checks.reduce(
+          (highest, check) => Math.max(highest, check.score),
+          0
+        ),
+        checks,
+      };
+    },
+  };
+}
+
+/**
+ * Formats the convergence record for summary markdown
+ *
+ * @param {Object|null} convergence - Record from `report()`
+ * @returns {string} Markdown section, or an empty string when detection was off
+ */
+export function formatConvergenceSection(convergence) {
+  if (!convergence) {
+    return "";
+  }
+  if (convergence.stoppedEarly) {
+    return `
+## Early Stop
+The dialogue ended after iteration ${convergence.stop.iteration} of the planned run: ${convergence.stop.reason}.
+`;
+  }
+  return `
+## Convergence
+The dialogue ran every iteration without converging (highest similarity ${percent(
+    convergence.highestScore
+  )}, threshold ${percent(convergence.threshold)}).
+`;
+}
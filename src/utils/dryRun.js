@@ -0,0 +1,308 @@
+/**
+ * Dry Run Utilities
+ *
+ * Walks a pipeline without calling any agent API. In a dry run `callEverest` renders each
+ * agent's prompts to a markdown file in the dry-run output folder and answers with a stub
+ * response so the pipeline carries on to the next step. At the end the pipeline writes a
+ * report of prompt sizes and estimated token counts per step.
+ *
+ * @module dryRun
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+
+export const DEFAULT_DRY_RUN_DIR = path.join("output", "dry-run");
+
+// Rough English-text heuristic used for estimates only
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Checks whether a pipeline config asks for a dry run
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {boolean} True when `config.dryRun` is set or env PIPELINER_DRY_RUN is "true"/"1"
+ */
+export function isDryRun(config = {}) {
+  if (config.dryRun !== undefined) {
+    return config.dryRun === true;
+  }
+  return ["true", "1"].includes(
+    (process.env.PIPELINER_DRY_RUN || "").toLowerCase()
+  );
+}
+
+/**
+ * Marks a run as a dry run
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.dryRunDir] - Base folder (env PIPELINER_DRY_RUN_DIR, default output/dry-run)
+ * @returns {Object} Dry run state stored on pipelineData.dryRun
+ */
+export function enableDryRun(pipelineData, options = {}) {
+  pipelineData.metadata.dryRun = true;
+  pipelineData.dryRun = {
+    baseDir:
+      options.dryRunDir ||
+      process.env.PIPELINER_DRY_RUN_DIR ||
+      DEFAULT_DRY_RUN_DIR,
+    steps: [],
+    stubs: {},
+  };
+
+  console.log(
+    `[DryRun] Dry run enabled for ${pipelineData.runId} - no API calls will be made`
+  );
+  return pipelineData.dryRun;
+}
+
+/**
+ * Gets the folder a dry run writes its prompts and report to
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @returns {string} Folder path
+ */
+export function getDryRunFolder(pipelineData) {
+  return path.join(pipelineData.dryRun.baseDir, pipelineData.runId);
+}
+
+/**
+ * Estimates the token count of a piece of text
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Measures the rendered prompts of an agent config
+ *
+ * @param {Object} agentConfig - Agent config as produced by the agent function
+ * @returns {Object} Character counts per prompt part plus totalChars and estimatedTokens
+ */
+export function measurePrompt(agentConfig) {
+  const chat = agentConfig.chat || {};
+  const history = Array.isArray(chat.messageHistory) ? chat.messageHistory : [];
+  const sizes = {
+    systemChars: (chat.systemPrompt || "").length,
+    contextChars: (chat.messageContext || "").length,
+    historyChars: history.reduce(
+      (sum, message) => sum + (message?.content || "").length,
+      0
+    ),
+    userChars: (chat.userPrompt || "").length,
+    historyMessages: history.length,
+  };
+  const totalChars =
+    sizes.systemChars +
+    sizes.contextChars +
+    sizes.historyChars +
+    sizes.userChars;
+
+  return {
+    ...sizes,
+    totalChars,
+    estimatedTokens: Math.ceil(totalChars / CHARS_PER_TOKEN),
+  };
+}
+
+function renderPromptMarkdown(stepId, index, agentConfig, sizes) {
+  const chat = agentConfig.chat || {};
+  const history = Array.isArray(chat.messageHistory) ? chat.messageHistory : [];
+  const historyText =
+    history.length > 0
+      ? history
+          .map(
+            (message, i) =>
+              `### ${i + 1}. ${message?.role || "unknown"}\n\n${
+                message?.content || ""
+              }`
+          )
+          .join("\n\n")
+      : "_No message history_";
+
+  return `# Step ${index}: ${stepId}
+
+- **Model:** ${agentConfig.model?.model || "unknown"}
+- **Response format:** ${agentConfig.model?.response_format?.type || "text"}
+- **Prompt size:** ${sizes.totalChars} chars (~${sizes.estimatedTokens} tokens)
+
+## System Prompt
+
+${chat.systemPrompt || "_None_"}
+
+## Message Context
+
+${chat.messageContext || "_None_"}
+
+## Message History (${history.length})
+
+${historyText}
+
+## User Prompt
+
+${chat.userPrompt || "_None_"}
+`;
+}
+
+/**
+ * Registers the reply a JSON step should get in a dry run
+ *
+ * Phases that read a structured reply call this before the step runs, so the stub
+ * matches the schema they ask for and the roster, rubric or controls of this run.
+ * Outside a dry run it does nothing.
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {string} stepId - Step identifier the reply is for
+ * @param {Function} buildReply - `() => Object` fields of the stub reply
+ */
+export function stubDryRunReply(pipelineData, stepId, buildReply) {
+  if (pipelineData?.dryRun) {
+    pipelineData.dryRun.stubs[stepId] = buildReply;
+  }
+}
+
+/**
+ * Builds the stub response returned in place of an API call
+ *
+ * JSON-format agents get a JSON object with `dryRun` and `stepId` plus the fields
+ * registered for the step with `stubDryRunReply`. Other agents get a plain text stub.
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} agentConfig - Agent config for the step
+ * @param {string} stepId - Step identifier
+ * @returns {Object} Everest-shaped response marked with `dryRun: true`
+ */
+export function createStubResponse(pipelineData, agentConfig, stepId) {
+  let content = `[Dry run] Stub response for ${stepId}.`;
+
+  if (agentConfig.model?.response_format?.type === "json_object") {
+    const buildReply = pipelineData.dryRun.stubs[stepId];
+    delete pipelineData.dryRun.stubs[stepId];
+    content = JSON.stringify({
+      dryRun: true,
+      stepId,
+      ...(buildReply ? buildReply() : {}),
+    });
+  }
+
+  return {
+    callID: agentConfig.callID || null,
+    billingID: null,
+    message: content,
+    response: { content },
+    dryRun: true,
+  };
+}
+
+/**
+ * Renders a step's prompts to the dry-run folder and returns a stub response
+ *
+ * @param {Object} pipelineData - The pipeline data object (dry run enabled)
+ * @param {Object} agentConfig - Agent config for the step
+ * @param {string} stepId - Step identifier
+ * @returns {Promise<Object>} Stub response
+ */
+export async function renderDryRunStep(pipelineData, agentConfig, stepId) {
+  const sizes = measurePrompt(agentConfig);
+  const index = pipelineData.dryRun.steps.length + 1;
+  const fileName = `${String(index).padStart(2, "0")}_${stepId}.md`;
+
+  pipelineData.dryRun.steps.push({
+    index,
+    stepId,
+    model: agentConfig.model?.model || "unknown",
+    file: fileName,
+    ...sizes,
+  });
+
+  try {
+    const folder = getDryRunFolder(pipelineData);
+    await fs.mkdir(folder, { recursive: true });
+    await fs.writeFile(
+      path.join(folder, fileName),
+      renderPromptMarkdown(stepId, index, agentConfig, sizes),
+      "utf-8"
+    );
+  } catch (error) {
+    console.error(
+      `[DryRun] Failed to write prompt for step ${stepId}:`,
+      error.message
+    );
+  }
+
+  console.log(
+    `[DryRun] Step ${stepId}: ${sizes.totalChars} chars, ~${sizes.estimatedTokens} tokens`
+  );
+  return createStubResponse(pipelineData, agentConfig, stepId);
+}
+
+/**
+ * Writes the dry-run report and logs prompt sizes per step
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {string} logPrefix - Pipeline log prefix, e.g. "[DialoguePipeline]"
+ * @returns {Promise<Object|null>} Report with folder, steps and totals, or null when not a dry run
+ *
+ * @example
+ * const dryRunReport = await finishDryRun(pipelineData, "[DialoguePipeline]");
+ * // Returns: {
+ * //   runId, folder: "output/dry-run/<runId>",
+ * //   steps: [{ index: 1, stepId: "agent1_initial", model, systemChars, userChars, ..., estimatedTokens }],
+ * //   totals: { steps: 7, totalChars: 41200, estimatedTokens: 10300 }
+ * // }
+ */
+export async function finishDryRun(pipelineData, logPrefix) {
+  if (!pipelineData.dryRun) {
+    return null;
+  }
+
+  const steps = pipelineData.dryRun.steps;
+  const report = {
+    runId: pipelineData.runId,
+    pipeline: pipelineData.metadata?.pipeline || null,
+    folder: getDryRunFolder(pipelineData),
+    generatedAt: new Date().toISOString(),
+    steps,
+    totals: {
+      steps: steps.length,
+      totalChars: steps.reduce((sum, step) => sum + step.totalChars, 0),
+      estimatedTokens: steps.reduce(
+        (sum, step) => sum + step.estimatedTokens,
+        0
+      ),
+    },
+  };
+
+  try {
+    await fs.mkdir(report.folder, { recursive: true });
+    await fs.writeFile(
+      path.join(report.folder, "prompt-report.json"),
+      JSON.stringify(report, null, 2),
+      "utf-8"
+    );
+  } catch (error) {
+    console.error(
+      `${logPrefix} Failed to write dry-run report:`,
+      error.message
+    );
+  }
+
+  console.log(`\n${logPrefix} 🧪 DRY RUN PROMPT REPORT:`);
+  steps.forEach((step) => {
+    console.log(
+      `  ${String(step.index).padStart(2)}. ${step.stepId} (${step.model}): ${
+        step.totalChars
+      } chars, ~${step.estimatedTokens} tokens`
+    );
+  });
+  console.log(
+    `  Total: ${report.totals.steps} steps, ${report.totals.totalChars} chars, ~${report.totals.estimatedTokens} tokens`
+  );
+  console.log(`  Prompts written to: ${report.folder}`);
+
+  return report;
+}
@@ -0,0 +1,416 @@
+/**
+ * Facilitator Scheduling Utilities
+ *
+ * This module decides when the facilitated dialogue pipeline calls its facilitator and
+ * classifies what the facilitator said. A schedule either runs on a fixed interval,
+ * spreads a budget of interventions evenly over the run, or reacts to the conversation:
+ * agreement bias (recent turns agreeing without pushback) or topic drift (recent turns
+ * sharing little vocabulary with the discussion prompt and opening turn). Each
+ * facilitator reply is parsed into one of the intervention types for the summary.
+ *
+ * @module facilitatorSchedule
+ */
+
+import { lexicalSimilarity } from "./dialogueConvergence.js";
+
+/**
+ * Scheduling strategies and what they react to
+ */
+export const SCHEDULE_STRATEGIES = {
+  interval: "every N iterations",
+  agreement: "when recent turns agree without pushback",
+  drift: "when recent turns drift away from the discussion prompt",
+  budget: "a fixed number of interventions spread evenly across the run",
+};
+
+/**
+ * Intervention types the facilitator is asked to label its replies with
+ */
+export const INTERVENTION_TYPES = [
+  "redirect",
+  "challenge",
+  "deepen",
+  "summarise",
+];
+
+/**
+ * Default schedule: the original behaviour of one intervention every second iteration
+ */
+export const SCHEDULE_DEFAULTS = {
+  strategy: "interval",
+  every: 2,
+};
+
+// Score at which the adaptive strategies intervene
+const DEFAULT_THRESHOLDS = {
+  agreement: 0.75,
+  drift: 0.9,
+};
+
+// Dialogue turns the adaptive strategies look back over
+const SIGNAL_WINDOW = 4;
+
+// Phrases that mark a turn as agreeing with the previous speaker
+const AGREEMENT_MARKERS =
+  /\b(i (completely |fully |totally )?agree|agreed|absolutely|exactly|great point|good point|you'?re (absolutely )?right|well said|i love (that|this)|building on (that|this|your)|spot on|couldn'?t agree more)\b/i;
+
+// Phrases that mark a turn as pushing back
+const PUSHBACK_MARKERS =
+  /\b(however|but|disagree|not convinced|on the other hand|i doubt|push back|counter|skeptical|sceptical|concern|risk|overlook)/i;
+
+// Keyword fallbacks when the facilitator does not label its reply
+const TYPE_KEYWORDS = [
+  ["summarise", /\b(summari[sz]e|summary|recap|so far|to sum up|take stock)/i],
+  [
+    "redirect",
+    /\b(return to|go back|back to|refocus|earlier thread|abandoned|off track|off-topic|get back)/i,
+  ],
+  [
+    "challenge",
+    /\b(challenge|devil'?s advocate|push back|too quick|question (the|your|this)|counter-?argument|assumption)/i,
+  ],
+];
+
+/**
+ * Validates the facilitatorSchedule option on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateFacilitatorSchedule(config = {}) {
+  const { facilitatorSchedule } = config;
+  if (facilitatorSchedule === undefined || facilitatorSchedule === null) {
+    return [];
+  }
+
+  const schedule =
+    typeof facilitatorSchedule === "string"
+      ? { strategy: facilitatorSchedule }
+      : facilitatorSchedule;
+  if (typeof schedule !== "object" || Array.isArray(schedule)) {
+    return ["facilitatorSchedule must be a strategy name or an object"];
+  }
+
+  const errors = [];
+  const strategy = schedule.strategy ?? SCHEDULE_DEFAULTS.strategy;
+  if (!SCHEDULE_STRATEGIES[strategy]) {
+    errors.push(
+      `facilitatorSchedule.strategy must be one of: ${Object.keys(
+        SCHEDULE_STRATEGIES
+      ).join(", ")}`
+    );
+  }
+  if (
+    schedule.every !== undefined &&
+    (!Number.isInteger(schedule.every) || schedule.every < 1)
+  ) {
+    errors.push("facilitatorSchedule.every must be a positive integer");
+  }
+  if (
+    schedule.threshold !== undefined &&
+    (typeof schedule.threshold !== "number" ||
+      !(schedule.threshold > 0 && schedule.threshold <= 1))
+  ) {
+    errors.push(
+      "facilitatorSchedule.threshold must be a number between 0 and 1"
+    );
+  }
+  if (
+    schedule.maxInterventions !== undefined &&
+    (!Number.isInteger(schedule.maxInterventions) ||
+      schedule.maxInterventions < 1)
+  ) {
+    errors.push(
+      "facilitatorSchedule.maxInterventions must be a positive integer"
+    );
+  }
+  if (strategy === "budget" && schedule.maxInterventions === undefined) {
+    errors.push(
+      "facilitatorSchedule.maxInterventions is required for the budget strategy"
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Resolves the facilitatorSchedule option to full settings
+ *
+ * @param {string|Object} [facilitatorSchedule] - `config.facilitatorSchedule`
+ * @returns {Object} `{ strategy, every, threshold, maxInterventions }`
+ */
+export function resolveFacilitatorSchedule(facilitatorSchedule) {
+  const schedule =
+    typeof facilitatorSchedule === "string"
+      ? { strategy: facilitatorSchedule }
+      : facilitatorSchedule || {};
+  const strategy = schedule.strategy || SCHEDULE_DEFAULTS.strategy;
+
+  return {
+    strategy,
+    every: schedule.every ?? SCHEDULE_DEFAULTS.every,
+    threshold: schedule.threshold ?? DEFAULT_THRESHOLDS[strategy] ?? null,
+    maxInterventions: schedule.maxInterventions ?? null,
+  };
+}
+
+/**
+ * Dialogue turns since the facilitator last spoke
+ *
+ * @param {Array<Object>} conversation - Conversation entries
+ * @returns {Array<Object>} Non-facilitator entries after the last intervention
+ */
+function turnsSinceIntervention(conversation) {
+  const lastIntervention = conversation.findLastIndex(
+    (entry) => entry.isFacilitator
+  );
+  return conversation.slice(lastIntervention + 1);
+}
+
+/**
+ * Scores how far the recent turns agree without pushing back
+ *
+ * @param {Array<Object>} conversation - Conversation entries ({ content, isFacilitator })
+ * @returns {number|null} Share of recent turns that agree without pushback, or null with fewer than two turns
+ */
+export function measureAgreementBias(conversation) {
+  const turns = turnsSinceIntervention(conversation).slice(-SIGNAL_WINDOW);
+  if (turns.length < 2) {
+    return null;
+  }
+
+  const agreeing = turns.filter(
+    (entry) =>
+      AGREEMENT_MARKERS.test(entry.content) &&
+      !PUSHBACK_MARKERS.test(entry.content)
+  );
+  return agreeing.length / turns.length;
+}
+
+/**
+ * Scores how far the recent turns have drifted from the discussion
+ *
+ * The anchor is the discussion prompt plus the opening turn, which engages the source.
+ *
+ * @param {Array<Object>} conversation - Conversation entries ({ content, isFacilitator })
+ * @param {string} discussionPrompt - Discussion prompt
+ * @returns {number|null} 1 minus the recent turns' similarity to the anchor, or null too early in the run
+ */
+export function measureTopicDrift(conversation, discussionPrompt) {
+  const turns = conversation.filter((entry) => !entry.isFacilitator);
+  if (turns.length < 3) {
+    return null;
+  }
+
+  const recent = turns
+    .slice(1)
+    .slice(-2)
+    .map((entry) => entry.content)
+    .join("\n");
+  return (
+    1 - lexicalSimilarity(recent, `${discussionPrompt}\n${turns[0].content}`)
+  );
+}
+
+/**
+ * Iterations a budget of interventions lands on
+ *
+ * @param {number} budget - Interventions to spread out
+ * @param {number} iterations - Planned iterations
+ * @returns {Set<number>} Iteration numbers
+ */
+function budgetSlots(budget, iterations) {
+  const slots = new Set();
+  for (let slot = 1; slot <= budget; slot++) {
+    slots.add(
+      Math.min(
+        iterations,
+        Math.max(1, Math.round((slot * iterations) / (budget + 1)))
+      )
+    );
+  }
+  return slots;
+}
+
+/**
+ * Formats a 0-1 score as a percentage
+ *
+ * @param {number} value - Score
+ * @returns {string} Percentage, e.g. "82%"
+ */
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Decides whether the facilitator should intervene after an iteration
+ *
+ * @param {Object} schedule - Resolved schedule from resolveFacilitatorSchedule
+ * @param {Object} state - Run state
+ * @param {number} state.iteration - Iteration that just finished
+ * @param {number} state.iterations - Planned iterations
+ * @param {Array<Object>} state.conversation - Conversation entries so far
+ * @param {string} [state.discussionPrompt] - Discussion prompt (drift strategy)
+ * @param {number} [state.interventions] - Interventions made so far
+ * @returns {Object} `{ intervene, reason?, score? }`
+ */
+export function decideIntervention(schedule, state) {
+  const {
+    iteration,
+    iterations,
+    conversation,
+    discussionPrompt = "",
+    interventions = 0,
+  } = state;
+
+  if (
+    schedule.maxInterventions !== null &&
+    interventions >= schedule.maxInterventions
+  ) {
+    return { intervene: false };
+  }
+
+  switch (schedule.strategy) {
+    case "budget":
+      return budgetSlots(schedule.maxInterventions, iterations).has(iteration)
+        ? {
+            intervene: true,
+            reason: `Intervention ${interventions + 1} of ${
+              schedule.maxInterventions
+            }, spread across ${iterations} iterations`,
+          }
+        : { intervene: false };
+
+    case "agreement": {
+      const score = measureAgreementBias(conversation);
+      return score !== null && score >= schedule.threshold
+        ? {
+            intervene: true,
+            score,
+            reason: `Agreement bias: ${percent(
+              score
+            )} of recent turns agreed without pushback (threshold ${percent(
+              schedule.threshold
+            )})`,
+          }
+        : { intervene: false, score };
+    }
+
+    case "drift": {
+      const score = measureTopicDrift(conversation, discussionPrompt);
+      return score !== null && score >= schedule.threshold
+        ? {
+            intervene: true,
+            score,
+            reason: `Topic drift: recent turns share ${percent(
+              1 - score
+            )} of their vocabulary with the discussion prompt and opening (threshold ${percent(
+              1 - schedule.threshold
+            )})`,
+          }
+        : { intervene: false, score };
+    }
+
+    default:
+      return iteration > 0 && iteration % schedule.every === 0
+        ? {
+            intervene: true,
+            reason: `Scheduled every ${schedule.every} iterations`,
+          }
+        : { intervene: false };
+  }
+}
+
+/**
+ * Upper bound on facilitator calls for the pre-flight cost estimate
+ *
+ * @param {Object} schedule - Resolved schedule
+ * @param {number} iterations - Planned iterations
+ * @returns {number} Maximum number of interventions
+ */
+export function estimateInterventionCount(schedule, iterations) {
+  const planned =
+    schedule.strategy === "interval"
+      ? Math.floor(iterations / schedule.every)
+      : schedule.strategy === "budget"
+      ? budgetSlots(schedule.maxInterventions, iterations).size
+      : iterations;
+  return schedule.maxInterventions !== null
+    ? Math.min(planned, schedule.maxInterventions)
+    : planned;
+}
+
+/**
+ * Parses a facilitator reply into its intervention type and guidance
+ *
+ * The facilitator is asked to open with `Intervention: <type>`; replies without that
+ * line are classified by keyword, defaulting to `deepen`.
+ *
+ * @param {string} content - Facilitator reply
+ * @returns {Object} `{ type, guidance, labelled }`
+ */
+export function parseIntervention(content) {
+  const text = String(content || "").trim();
+  const match = text.match(
+    /^\**\s*intervention(?:\s+type)?\s*\**\s*:\s*\**\s*([a-z]+)\**\s*\n?/i
+  );
+
+  if (match) {
+    const label = match[1].toLowerCase().replace(/ize$/, "ise");
+    if (INTERVENTION_TYPES.includes(label)) {
+      return {
+        type: label,
+        guidance: text.slice(match[0].length).trim(),
+        labelled: true,
+      };
+    }
+  }
+
+  const [type] = TYPE_KEYWORDS.find(([, pattern]) => pattern.test(text)) || [
+    "deepen",
+  ];
+  return { type, guidance: text, labelled: false };
+}
+
+/**
+ * Formats the facilitator interventions for summary markdown
+ *
+ * @param {Object} schedule - Resolved schedule
+ * @param {Array<Object>} interventions - Interventions ({ iteration, type, trigger })
+ * @returns {string} Markdown section
+ */
+export function formatInterventionSection(schedule, interventions = []) {
+  const counts = INTERVENTION_TYPES.map(
+    (type) =>
+      `| ${type} | ${
+        interventions.filter((entry) => entry.type === type).length
+      } |`
+  ).join("\n");
+  const rows = interventions
+    .map(
+      (entry) =>
+        `- **Iteration ${entry.iteration}** (${entry.type}): ${
+          entry.trigger || "Scheduled"
+        }`
+    )
+    .join("\n");
+
+  return `
+## Facilitator Interventions
+- **Schedule**: ${schedule.strategy} (${
+    schedule.strategy === "interval"
+      ? `every ${schedule.every} iterations`
+      : SCHEDULE_STRATEGIES[schedule.strategy]
+  })${
+    schedule.maxInterventions !== null
+      ? `, at most ${schedule.maxInterventions}`
+      : ""
+  }
+
+| Type | Count |
+| --- | --- |
+${counts}
+
+${rows || "The facilitator did not intervene."}
+`;
+}
@@ -0,0 +1,184 @@
+/**
+ * Human-in-the-loop Utilities
+ *
+ * Interactive runs pass an operator: an async function the pipeline calls between
+ * turns with the latest turn. It returns what should happen next:
+ *
+ * - `{ action: "continue" }` - carry on as planned
+ * - `{ action: "inject", speaker, content }` - add a human turn as a named participant
+ * - `{ action: "redirect", content }` - steer the moderator's next decision (panels)
+ * - `{ action: "skip" }` - skip the next speaker's turn
+ * - `{ action: "end" }` - end the discussion early and go straight to the summary
+ *
+ * Operator actions are recorded on the pipeline data. Every pause's outcome is also
+ * saved to the run's checkpoint: a resumed run replays them at the same pauses before
+ * asking the operator again, so replayed steps get the same human turns and step IDs.
+ *
+ * @module humanInTheLoop
+ */
+
+/**
+ * Actions an operator can take between turns
+ */
+export const OPERATOR_ACTIONS = [
+  "continue",
+  "inject",
+  "redirect",
+  "skip",
+  "end",
+];
+
+/**
+ * Name used for injected turns when the operator does not give one
+ */
+export const DEFAULT_HUMAN_SPEAKER = "Operator";
+
+/**
+ * Stop reason reported when the operator ends a run
+ */
+export const OPERATOR_STOP_REASON = "Ended early by the operator";
+
+/**
+ * Normalizes an operator's reply into an action
+ *
+ * A bare action name is accepted in place of an object. Unknown or disallowed actions,
+ * and injects or redirects without content, fall back to `continue`.
+ *
+ * @param {Object|string|null} reply - Operator reply
+ * @param {Array<string>} [actions] - Actions the pipeline supports at this point
+ * @returns {Object} `{ action, speaker?, content? }`
+ */
+export function normalizeOperatorAction(reply, actions = OPERATOR_ACTIONS) {
+  const input = typeof reply === "string" ? { action: reply } : reply || {};
+  const action = String(input.action || "continue").toLowerCase();
+
+  if (!actions.includes(action)) {
+    return { action: "continue" };
+  }
+
+  if (action === "inject" || action === "redirect") {
+    const content =
+      typeof input.content === "string" ? input.content.trim() : "";
+    if (!content) {
+      return { action: "continue" };
+    }
+    if (action === "redirect") {
+      return { action, content };
+    }
+    const speaker =
+      typeof input.speaker === "string" && input.speaker.trim()
+        ? input.speaker.trim()
+        : DEFAULT_HUMAN_SPEAKER;
+    return { action, speaker, content };
+  }
+
+  return { action };
+}
+
+/**
+ * Creates the operator session a pipeline pauses on between turns
+ *
+ * Without an operator every pause continues immediately. A skip is held until the
+ * pipeline reaches the next speaker and claims it with `takeSkip()`. Pauses that a
+ * resumed run already went through get their saved outcome, with or without an operator.
+ *
+ * @param {Function|null} operator - Async `(context) => reply`, or null for unattended runs
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.pipelineData - Pipeline data; actions are recorded on `operatorActions`
+ * @param {Object} [deps.checkpoint] - Run checkpoint; outcomes are saved as `operatorReplies` in its state
+ * @param {Array<string>} [deps.actions] - Actions the pipeline supports
+ * @param {string} [deps.logPrefix] - Prefix for console output
+ * @returns {Object} Session with enabled, pause, takeSkip and stopReason
+ */
+export function createOperatorSession(
+  operator,
+  {
+    pipelineData,
+    checkpoint = null,
+    actions = OPERATOR_ACTIONS,
+    logPrefix = "[Operator]",
+  } = {}
+) {
+  const enabled = typeof operator === "function";
+  const savedReplies = checkpoint?.state?.operatorReplies || [];
+  const replies = [];
+  const log = [];
+  let pendingSkip = false;
+  let stopReason = null;
+
+  if (enabled || savedReplies.length > 0) {
+    pipelineData.operatorActions = log;
+  }
+
+  return {
+    enabled,
+
+    /**
+     * Hands control to the operator between turns
+     * @param {Object} context - `{ turn, nextSpeaker, iteration }` shown to the operator
+     * @returns {Promise<Object>} Normalized action
+     */
+    async pause(context = {}) {
+      if (stopReason) {
+        return { action: "continue" };
+      }
+
+      let result;
+      if (replies.length < savedReplies.length) {
+        result = savedReplies[replies.length];
+        replies.push(result);
+      } else {
+        if (!enabled) {
+          return { action: "continue" };
+        }
+
+        let reply;
+        try {
+          reply = await operator({ ...context, actions });
+        } catch (error) {
+          console.warn(`${logPrefix} ⚠️ Operator input failed:`, error.message);
+          reply = null;
+        }
+        result = normalizeOperatorAction(reply, actions);
+        replies.push(result);
+        await checkpoint?.save({ operatorReplies: replies });
+      }
+
+      if (result.action === "continue") {
+        return result;
+      }
+
+      if (result.action === "skip") {
+        pendingSkip = true;
+      } else if (result.action === "end") {
+        stopReason = OPERATOR_STOP_REASON;
+      }
+      log.push({
+        ...result,
+        iteration: context.iteration,
+        ...(context.nextSpeaker && { nextSpeaker: context.nextSpeaker }),
+        timestamp: new Date().toISOString(),
+      });
+      console.log(`${logPrefix} 🧑 Operator action: ${result.action}`);
+      return result;
+    },
+
+    /**
+     * Claims a pending skip for the speaker about to take a turn
+     * @returns {boolean} True when that turn should be skipped
+     */
+    takeSkip() {
+      const skip = pendingSkip;
+      pendingSkip = false;
+      return skip;
+    },
+
+    /**
+     * Reason the operator ended the run, or null
+     * @returns {string|null}
+     */
+    get stopReason() {
+      return stopReason;
+    },
+  };
+}
@@ -0,0 +1,412 @@
+/**
+ * Panel Voting Utilities
+ *
+ * This module adds a structured phase to the end of a moderated panel. The summarizer
+ * extracts the candidate recommendations from the discussion, every panel member votes
+ * agree, disagree or abstain on each one with a short rationale, and the votes are
+ * combined into a consensus matrix. The pipeline saves the matrix as `consensus.json`
+ * and as a markdown table in `consensus.md`, next to `summary.md`.
+ *
+ * @module panelVoting
+ */
+
+import { callEverest } from "../services/everest.service.js";
+import { stubDryRunReply } from "./dryRun.js";
+import {
+  parseJsonObject,
+  withJsonResponse,
+  tableCell,
+} from "./structuredReplies.js";
+
+/**
+ * Defaults for `config.voting` (`true` enables them as-is)
+ */
+export const VOTING_DEFAULTS = {
+  maxRecommendations: 6,
+};
+
+// Upper bound for maxRecommendations, to keep the vote prompts short
+const MAX_RECOMMENDATIONS = 12;
+
+/**
+ * Votes a panel member can cast on a recommendation
+ */
+export const VOTE_CHOICES = ["agree", "disagree", "abstain"];
+
+// Markdown table cell for each vote
+const VOTE_SYMBOLS = {
+  agree: "✅",
+  disagree: "❌",
+  abstain: "➖",
+};
+
+/**
+ * Validates the voting option on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateVotingOptions(config = {}) {
+  const { voting } = config;
+  if (voting === undefined || voting === null || typeof voting === "boolean") {
+    return [];
+  }
+  if (typeof voting !== "object" || Array.isArray(voting)) {
+    return ["voting must be a boolean or an object"];
+  }
+
+  const errors = [];
+  if (
+    voting.maxRecommendations !== undefined &&
+    (!Number.isInteger(voting.maxRecommendations) ||
+      voting.maxRecommendations < 1 ||
+      voting.maxRecommendations > MAX_RECOMMENDATIONS)
+  ) {
+    errors.push(
+      `voting.maxRecommendations must be an integer between 1 and ${MAX_RECOMMENDATIONS}`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Resolves the voting option to full settings
+ *
+ * @param {boolean|Object} voting - `config.voting`
+ * @returns {Object|null} Settings, or null when voting is off
+ */
+export function resolveVotingOptions(voting) {
+  if (!voting) {
+    return null;
+  }
+  return {
+    ...VOTING_DEFAULTS,
+    ...(typeof voting === "object" ? voting : {}),
+  };
+}
+
+/**
+ * Parses the summarizer's candidate recommendations
+ *
+ * Accepts `{ recommendations: [...] }` where each item is a string or `{ text }`.
+ * Blank and repeated recommendations are dropped and the rest numbered R1, R2, ...
+ *
+ * @param {string} content - Summarizer response content
+ * @param {number} [maxRecommendations] - Most recommendations to keep
+ * @returns {Array<Object>|null} `[{ id, text }]`, or null when unparseable
+ */
+export function parseRecommendations(
+  content,
+  maxRecommendations = VOTING_DEFAULTS.maxRecommendations
+) {
+  const parsed = parseJsonObject(content);
+  if (!parsed || !Array.isArray(parsed.recommendations)) {
+    return null;
+  }
+
+  const texts = parsed.recommendations
+    .map((item) => (typeof item === "string" ? item : item?.text))
+    .filter((text) => typeof text === "string" && text.trim())
+    .map((text) => text.trim());
+  return [...new Set(texts)]
+    .slice(0, maxRecommendations)
+    .map((text, index) => ({ id: `R${index + 1}`, text }));
+}
+
+/**
+ * Parses a panel member's votes
+ *
+ * Recommendations the member skipped, or voted on with anything other than
+ * agree/disagree/abstain, count as abstentions.
+ *
+ * @param {string} content - Panel member response content
+ * @param {Array<Object>} recommendations - Recommendations voted on
+ * @returns {Object} `{ [recommendationId]: { vote, rationale } }`
+ */
+export function parseVotes(content, recommendations) {
+  const parsed = parseJsonObject(content);
+  const votes = Array.isArray(parsed?.votes) ? parsed.votes : [];
+
+  return Object.fromEntries(
+    recommendations.map((recommendation) => {
+      const entry = votes.find(
+        (vote) => String(vote?.id || "").toUpperCase() === recommendation.id
+      );
+      const vote = String(entry?.vote || "").toLowerCase();
+      if (!VOTE_CHOICES.includes(vote)) {
+        return [
+          recommendation.id,
+          { vote: "abstain", rationale: "No valid vote given" },
+        ];
+      }
+      return [
+        recommendation.id,
+        {
+          vote,
+          rationale:
+            typeof entry.rationale === "string" ? entry.rationale.trim() : "",
+        },
+      ];
+    })
+  );
+}
+
+/**
+ * Combines the members' votes into a consensus matrix
+ *
+ * Each recommendation gets a tally, a score from -1 (everyone disagrees) to 1 (everyone
+ * agrees) and a status: `unanimous` when every member agrees, `agreed` or `rejected`
+ * when more than half the members agree or disagree, otherwise `contested`.
+ *
+ * @param {Array<Object>} recommendations - `[{ id, text }]`
+ * @param {Array<Object>} roster - Panel members
+ * @param {Object} votesByMember - `{ [memberId]: parseVotes(...) }`
+ * @returns {Object} `{ members, recommendations, totals }`
+ */
+export function buildConsensusMatrix(recommendations, roster, votesByMember) {
+  const memberCount = roster.length;
+
+  const rows = recommendations.map((recommendation) => {
+    const votes = Object.fromEntries(
+      roster.map((member) => [
+        member.id,
+        votesByMember[member.id]?.[recommendation.id] || {
+          vote: "abstain",
+          rationale: "No valid vote given",
+        },
+      ])
+    );
+    const tally = Object.fromEntries(
+      VOTE_CHOICES.map((choice) => [
+        choice,
+        Object.values(votes).filter((entry) => entry.vote === choice).length,
+      ])
+    );
+
+    let status = "contested";
+    if (tally.agree === memberCount) {
+      status = "unanimous";
+    } else if (tally.agree > memberCount / 2) {
+      status = "agreed";
+    } else if (tally.disagree > memberCount / 2) {
+      status = "rejected";
+    }
+
+    return {
+      ...recommendation,
+      votes,
+      tally,
+      score: Number(((tally.agree - tally.disagree) / memberCount).toFixed(2)),
+      status,
+    };
+  });
+
+  return {
+    members: roster.map(({ id, name }) => ({ id, name })),
+    recommendations: rows,
+    totals: Object.fromEntries(
+      ["unanimous", "agreed", "contested", "rejected"].map((status) => [
+        status,
+        rows.filter((row) => row.status === status).length,
+      ])
+    ),
+  };
+}
+
+/**
+ * Formats the consensus matrix as markdown: a vote table, then each rationale
+ *
+ * @param {Object} consensus - Matrix from buildConsensusMatrix
+ * @param {Object} [options] - Heading details
+ * @param {string} [options.title] - Document title
+ * @param {string} [options.discussionSubject] - Discussion subject
+ * @returns {string} Markdown content
+ */
+export function formatConsensusMarkdown(
+  consensus,
+  { title = "Panel Consensus", discussionSubject } = {}
+) {
+  const { members, recommendations, totals } = consensus;
+  const header = [
+    "#",
+    "Recommendation",
+    ...members.map((member) => member.name),
+    "Agree",
+    "Disagree",
+    "Abstain",
+    "Status",
+  ];
+  const rows = recommendations.map((row) => [
+    row.id,
+    tableCell(row.text),
+    ...members.map((member) => VOTE_SYMBOLS[row.votes[member.id].vote]),
+    row.tally.agree,
+    row.tally.disagree,
+    row.tally.abstain,
+    row.status,
+  ]);
+  const table = [header, header.map(() => "---"), ...rows]
+    .map((cells) => `| ${cells.join(" | ")} |`)
+    .join("\n");
+
+  const rationale = recommendations
+    .map(
+      (row) => `### ${row.id}. ${row.text}
+
+${members
+  .map((member) => {
+    const { vote, rationale: reason } = row.votes[member.id];
+    return `- **${member.name}** (${vote})${reason ? `: ${reason}` : ""}`;
+  })
+  .join("\n")}`
+    )
+    .join("\n\n");
+
+  return `# ${title}
+${discussionSubject ? `\n**Discussion Subject**: ${discussionSubject}\n` : ""}
+## Consensus Matrix
+
+✅ agree · ❌ disagree · ➖ abstain
+
+${table}
+
+**Unanimous**: ${totals.unanimous} · **Agreed**: ${
+    totals.agreed
+  } · **Contested**: ${totals.contested} · **Rejected**: ${totals.rejected}
+
+## Rationale
+
+${rationale}
+`;
+}
+
+/**
+ * Runs the voting phase at the end of a panel
+ *
+ * The summarizer's extraction runs as the `recommendation_extraction` step and each
+ * member's ballot as `<memberId>_vote`; ballots are requested in parallel. Every call
+ * goes through the checkpoint so resumed runs replay it.
+ *
+ * @param {Object} options - Resolved voting settings
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} context.summarizer - Summarizer agent
+ * @param {Object} context.panelAgents - Panel member agents by member ID
+ * @param {Array<Object>} context.roster - Panel members
+ * @param {string} context.conversationText - Full panel discussion
+ * @param {string} context.summary - Panel summary
+ * @param {string} context.discussionSubject - Discussion subject
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Promise<Object>} `{ consensus }` (null when no recommendations were found), or `{ budgetExceeded, error }`
+ */
+export async function runPanelVoting(options, context) {
+  const {
+    pipelineData,
+    checkpoint,
+    summarizer,
+    panelAgents,
+    roster,
+    conversationText,
+    summary,
+    discussionSubject,
+    logPrefix = "[Voting]",
+  } = context;
+
+  console.log(`${logPrefix} 🗳️ Extracting candidate recommendations...`);
+  const extractionPrompt = `Full Panel Discussion:
+${conversationText}
+
+Panel Summary:
+${summary}
+
+Discussion Subject: ${discussionSubject}
+
+List the distinct, actionable recommendations the panel made or debated, at most ${options.maxRecommendations}. Phrase each one as a single sentence, and include recommendations some members disagreed with.
+
+Respond with only a JSON object in this format:
+{"recommendations": ["First recommendation", "Second recommendation"]}`;
+
+  const extractionConfig = withJsonResponse(
+    await summarizer(extractionPrompt, "", [])
+  );
+  stubDryRunReply(pipelineData, "recommendation_extraction", () => ({
+    recommendations: [
+      "[Dry run] Stub recommendation from recommendation_extraction.",
+    ],
+  }));
+  const extraction = await checkpoint.runStep("recommendation_extraction", () =>
+    callEverest(extractionConfig, pipelineData, "recommendation_extraction")
+  );
+  if (extraction.budgetExceeded) {
+    return { budgetExceeded: true, error: extraction.error };
+  }
+
+  const recommendations = extraction.error
+    ? null
+    : parseRecommendations(extraction.message, options.maxRecommendations);
+  if (!recommendations || recommendations.length === 0) {
+    const problem = extraction.error || "no recommendations found";
+    console.warn(`${logPrefix} ⚠️ Voting skipped: ${problem}`);
+    pipelineData.warnings = pipelineData.warnings || [];
+    pipelineData.warnings.push(`Panel voting skipped: ${problem}`);
+    return { consensus: null };
+  }
+
+  console.log(
+    `${logPrefix} 🗳️ ${roster.length} members voting on ${recommendations.length} recommendations...`
+  );
+  const recommendationList = recommendations
+    .map((recommendation) => `${recommendation.id}. ${recommendation.text}`)
+    .join("\n");
+  const ballots = await Promise.all(
+    roster.map(async (member) => {
+      const votePrompt = `Discussion Subject: ${discussionSubject}
+
+Panel Summary:
+${summary}
+
+Candidate recommendations:
+${recommendationList}
+
+Vote on every recommendation as ${member.name}${
+        member.role ? ` (${member.role})` : ""
+      }: "agree", "disagree" or "abstain", with a one-sentence rationale from your perspective.
+
+Respond with only a JSON object in this format:
+{"votes": [{"id": "R1", "vote": "agree", "rationale": "Why"}]}`;
+      const voteConfig = withJsonResponse(
+        await panelAgents[member.id](votePrompt, "", [])
+      );
+      const stepId = `${member.id}_vote`;
+      stubDryRunReply(pipelineData, stepId, () => ({
+        votes: recommendations.map((recommendation) => ({
+          id: recommendation.id,
+          vote: "abstain",
+          rationale: `[Dry run] Stub vote for ${stepId}.`,
+        })),
+      }));
+      return checkpoint.runStep(stepId, () =>
+        callEverest(voteConfig, pipelineData, stepId)
+      );
+    })
+  );
+
+  const budgetStop = ballots.find((ballot) => ballot.budgetExceeded);
+  if (budgetStop) {
+    return { budgetExceeded: true, error: budgetStop.error };
+  }
+
+  const votesByMember = Object.fromEntries(
+    roster.map((member, index) => [
+      member.id,
+      parseVotes(
+        ballots[index].error ? "" : ballots[index].message,
+        recommendations
+      ),
+    ])
+  );
+  return {
+    consensus: buildConsensusMatrix(recommendations, roster, votesByMember),
+  };
+}
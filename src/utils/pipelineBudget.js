@@ -0,0 +1,278 @@
+/**
+ * Pipeline Budget Utilities
+ *
+ * This module provides per-run cost and token budgets on top of the cost tracking in
+ * pipelineCost.js. Pipelines register a budget from their `maxCost`/`maxTokens` config,
+ * run a pre-flight estimate from their expected call count, and `callEverest` refuses
+ * any call that would take the run over budget so the pipeline can stop with a
+ * `partial` status instead of overspending.
+ *
+ * @module pipelineBudget
+ */
+
+/**
+ * Approximate list prices in USD per 1M tokens, keyed by model name
+ * Used for pre-flight estimates only - actual spend comes from Everest usage data
+ */
+export const MODEL_PRICING = {
+  "openai/gpt-4.1": { input: 2.0, output: 8.0 },
+  "gpt-4.1": { input: 2.0, output: 8.0 },
+  "gpt-4o": { input: 2.5, output: 10.0 },
+  "o4-mini": { input: 1.1, output: 4.4 },
+  "anthropic/claude-3-5-sonnet": { input: 3.0, output: 15.0 },
+  "anthropic/claude-sonnet-4": { input: 3.0, output: 15.0 },
+  "x-ai/grok-4": { input: 3.0, output: 15.0 },
+  "meta-llama/llama-4-scout-17b-16e-instruct": { input: 0.11, output: 0.34 },
+};
+
+/**
+ * Conservative fallback price for models missing from MODEL_PRICING
+ */
+export const DEFAULT_MODEL_PRICING = { input: 3.0, output: 15.0 };
+
+/**
+ * Default per-call token assumptions for estimates
+ */
+export const DEFAULT_ESTIMATE_TOKENS = {
+  promptTokens: 2000,
+  completionTokens: 600,
+};
+
+/**
+ * Looks up the price for a model
+ *
+ * @param {string} model - Model name
+ * @returns {Object} Pricing with input/output per 1M tokens and a known flag
+ */
+export function getModelPricing(model) {
+  const pricing = MODEL_PRICING[model];
+  return pricing
+    ? { ...pricing, known: true }
+    : { ...DEFAULT_MODEL_PRICING, known: false };
+}
+
+/**
+ * Estimates the cost of a run from its expected calls
+ *
+ * @param {Array<Object>} calls - Expected calls as `{ model, count }` entries
+ * @param {Object} [options] - Token assumptions per call
+ * @param {number} [options.promptTokens=2000] - Estimated prompt tokens per call
+ * @param {number} [options.completionTokens=600] - Estimated completion tokens per call
+ * @returns {Object} Estimate with callCount, estimatedCost, estimatedTokens, breakdown and unknownModels
+ *
+ * @example
+ * // Moderated panel: moderator decisions + panel turns + summary
+ * const estimate = estimatePipelineCost([
+ *   { model: "openai/gpt-4.1", count: 5 },
+ *   { model: "anthropic/claude-3-5-sonnet", count: 4 },
+ * ]);
+ * // Returns: { callCount: 9, estimatedCost: 0.104, estimatedTokens: 23400, ... }
+ */
+export function estimatePipelineCost(calls, options = {}) {
+  const promptTokens =
+    options.promptTokens ?? DEFAULT_ESTIMATE_TOKENS.promptTokens;
+  const completionTokens =
+    options.completionTokens ?? DEFAULT_ESTIMATE_TOKENS.completionTokens;
+
+  const breakdown = [];
+  const unknownModels = new Set();
+  let callCount = 0;
+  let estimatedCost = 0;
+
+  for (const { model, count } of calls) {
+    if (!count || count <= 0) {
+      continue;
+    }
+
+    const pricing = getModelPricing(model);
+    if (!pricing.known) {
+      unknownModels.add(model || "unknown");
+    }
+
+    const cost =
+      (count *
+        (promptTokens * pricing.input + completionTokens * pricing.output)) /
+      1_000_000;
+
+    breakdown.push({ model: model || "unknown", count, cost });
+    callCount += count;
+    estimatedCost += cost;
+  }
+
+  return {
+    callCount,
+    estimatedCost,
+    estimatedTokens: callCount * (promptTokens + completionTokens),
+    breakdown,
+    unknownModels: Array.from(unknownModels),
+  };
+}
+
+/**
+ * Reads the model an agent would use by generating a throwaway config
+ *
+ * @param {Function} agentFn - Agent function `(message, context, history)`
+ * @returns {Promise<string|null>} Model name, or null if it cannot be determined
+ */
+export async function resolveAgentModel(agentFn) {
+  try {
+    const config = await agentFn("", "", []);
+    return config?.model?.model || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validates maxCost/maxTokens options on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateBudgetOptions(config = {}) {
+  const errors = [];
+
+  if (
+    config.maxCost !== undefined &&
+    (typeof config.maxCost !== "number" || !(config.maxCost > 0))
+  ) {
+    errors.push("maxCost must be a positive number");
+  }
+
+  if (
+    config.maxTokens !== undefined &&
+    (!Number.isInteger(config.maxTokens) || config.maxTokens <= 0)
+  ) {
+    errors.push("maxTokens must be a positive integer");
+  }
+
+  return errors;
+}
+
+/**
+ * Registers the run budget on pipeline data
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} config - Pipeline config with optional maxCost/maxTokens
+ * @returns {Object|null} The budget, or null when no limits are set
+ */
+export function setPipelineBudget(pipelineData, config = {}) {
+  if (config.maxCost === undefined && config.maxTokens === undefined) {
+    return null;
+  }
+
+  pipelineData.budget = {
+    maxCost: config.maxCost ?? null,
+    maxTokens: config.maxTokens ?? null,
+    exceeded: false,
+    reason: null,
+  };
+
+  console.log(
+    `[PipelineBudget] Budget set for ${pipelineData.runId}: maxCost=${pipelineData.budget.maxCost}, maxTokens=${pipelineData.budget.maxTokens}`
+  );
+  return pipelineData.budget;
+}
+
+/**
+ * Checks whether the next call would take the run over budget
+ *
+ * The next call is assumed to cost the average of the calls made so far, so the
+ * run stops before overspending rather than after. Pass `calls` to check a batch of
+ * calls that are sent together, before any of them is charged.
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} [options] - Options
+ * @param {number} [options.calls=1] - Number of calls about to be made
+ * @returns {Object} `{ exceeded, reason }`
+ *
+ * @example
+ * // $0.09 spent over 3 calls with maxCost 0.1 - next call projected at $0.12
+ * checkBudget(pipelineData);
+ * // Returns: { exceeded: true, reason: "Budget exceeded: projected cost $0.1200 > maxCost $0.1000" }
+ */
+export function checkBudget(pipelineData, { calls = 1 } = {}) {
+  const budget = pipelineData?.budget;
+  if (!budget) {
+    return { exceeded: false, reason: null };
+  }
+
+  const costs = pipelineData.costs || {};
+  const stepCount = costs.stepCosts?.length || 0;
+  const totalCost = costs.totalCost || 0;
+  const totalTokens = costs.totalTokens || 0;
+  const projectedCost =
+    totalCost + (stepCount > 0 ? (calls * totalCost) / stepCount : 0);
+  const projectedTokens =
+    totalTokens + (stepCount > 0 ? (calls * totalTokens) / stepCount : 0);
+
+  let reason = null;
+  if (budget.maxCost !== null && projectedCost > budget.maxCost) {
+    reason = `Budget exceeded: projected cost $${projectedCost.toFixed(
+      4
+    )} > maxCost $${budget.maxCost.toFixed(4)}`;
+  } else if (budget.maxTokens !== null && projectedTokens > budget.maxTokens) {
+    reason = `Budget exceeded: projected tokens ${Math.round(
+      projectedTokens
+    )} > maxTokens ${budget.maxTokens}`;
+  }
+
+  if (reason) {
+    budget.exceeded = true;
+    budget.reason = reason;
+  }
+
+  return { exceeded: !!reason, reason };
+}
+
+/**
+ * Records a pre-flight estimate on pipeline data and warns if it exceeds the budget
+ *
+ * @param {Object} pipelineData - The pipeline data object
+ * @param {Object} estimate - Result of estimatePipelineCost
+ * @param {string} logPrefix - Pipeline log prefix, e.g. "[DialoguePipeline]"
+ * @returns {Array<string>} Warnings raised (empty when within budget)
+ */
+export function reportPreflightEstimate(pipelineData, estimate, logPrefix) {
+  pipelineData.costEstimate = estimate;
+  const warnings = [];
+
+  console.log(
+    `${logPrefix} Pre-flight estimate: ${
+      estimate.callCount
+    } calls, ~$${estimate.estimatedCost.toFixed(4)}, ~${
+      estimate.estimatedTokens
+    } tokens`
+  );
+
+  if (estimate.unknownModels.length > 0) {
+    console.log(
+      `${logPrefix} No price data for ${estimate.unknownModels.join(
+        ", "
+      )} - using default pricing`
+    );
+  }
+
+  const budget = pipelineData.budget;
+  if (budget?.maxCost !== null && budget?.maxCost !== undefined) {
+    if (estimate.estimatedCost > budget.maxCost) {
+      warnings.push(
+        `Estimated cost $${estimate.estimatedCost.toFixed(
+          4
+        )} exceeds maxCost $${budget.maxCost.toFixed(
+          4
+        )} - the run will likely stop early`
+      );
+    }
+  }
+  if (budget?.maxTokens !== null && budget?.maxTokens !== undefined) {
+    if (estimate.estimatedTokens > budget.maxTokens) {
+      warnings.push(
+        `Estimated tokens ${estimate.estimatedTokens} exceed maxTokens ${budget.maxTokens} - the run will likely stop early`
+      );
+    }
+  }
+
+  warnings.forEach((warning) => console.warn(`${logPrefix} ⚠️ ${warning}`));
+  return warnings;
+}
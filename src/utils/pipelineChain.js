@@ -0,0 +1,377 @@
+/**
+ * Pipeline Chaining Utilities
+ *
+ * Lets a run hand its outputs to a downstream pipeline. A run declares the chain in its
+ * config: the registered pipeline to run next, a mapping from paths in its own result
+ * (e.g. `summary.content`, `result.summary`) to the downstream pipeline's inputs, and
+ * optional static config for the downstream run. Chains can nest, so a downstream run may
+ * declare its own chain.
+ *
+ * Once the downstream run finishes, every run in the chain gets a `lineage` block in its
+ * `data.json` with its parent/child runIds and the combined cost and steps of the chain.
+ *
+ * @module pipelineChain
+ */
+
+import { promises as fs } from "fs";
+import { resolvePath } from "./pipelineSpec.js";
+import { isDryRun } from "./dryRun.js";
+
+export const MAX_CHAIN_DEPTH = 5;
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validates the `chain` option on a pipeline config
+ *
+ * @param {Object} config - Pipeline config, optionally with `chain`
+ * @param {number} [depth=1] - Nesting depth of this chain
+ * @returns {Array<string>} Validation errors (empty when valid or no chain is set)
+ */
+export function validateChainOptions(config = {}, depth = 1) {
+  const { chain } = config;
+  if (chain === undefined || chain === null) {
+    return [];
+  }
+
+  if (!isPlainObject(chain)) {
+    return ["chain must be an object"];
+  }
+  if (depth > MAX_CHAIN_DEPTH) {
+    return [`chain cannot be nested more than ${MAX_CHAIN_DEPTH} levels deep`];
+  }
+
+  const errors = [];
+  if (typeof chain.pipeline !== "string" || chain.pipeline.trim() === "") {
+    errors.push("chain.pipeline must be a non-empty string");
+  }
+
+  if (
+    !isPlainObject(chain.mapping) ||
+    Object.keys(chain.mapping).length === 0
+  ) {
+    errors.push("chain.mapping must map at least one downstream input");
+  } else {
+    for (const [input, sourcePath] of Object.entries(chain.mapping)) {
+      if (typeof sourcePath !== "string" || sourcePath.trim() === "") {
+        errors.push(`chain.mapping.${input} must be a result path string`);
+      }
+    }
+  }
+
+  if (chain.config !== undefined && !isPlainObject(chain.config)) {
+    errors.push("chain.config must be an object");
+  }
+
+  errors.push(
+    ...validateChainOptions(chain, depth + 1).map((error) =>
+      error.replace(/^chain/, "chain.chain")
+    )
+  );
+
+  return errors;
+}
+
+/**
+ * Gets the input names a registered pipeline accepts
+ *
+ * Reads `parameters.required/optional` or `inputSchema` from the pipeline info.
+ *
+ * @param {Object} info - Pipeline info from the registry
+ * @returns {Object} `{ required, known }` input names; `known` is null when the pipeline has no schema
+ */
+export function getPipelineInputs(info = {}) {
+  const required = new Set(info.parameters?.required || []);
+  const known = new Set([
+    ...required,
+    ...(info.parameters?.optional || []),
+    ...Object.keys(info.parameters?.schema || {}),
+  ]);
+
+  for (const [name, field] of Object.entries(info.inputSchema || {})) {
+    known.add(name);
+    if (field?.required) {
+      required.add(name);
+    }
+  }
+
+  return {
+    required: [...required],
+    known: known.size > 0 ? [...known] : null,
+  };
+}
+
+/**
+ * Maps fields of an upstream result onto downstream pipeline inputs
+ *
+ * @param {Object} chain - Chain options with `mapping` and optional `config`
+ * @param {Object} upstreamResult - Result returned by the upstream pipeline
+ * @param {Object} [info] - Downstream pipeline info used to check the mapping
+ * @returns {Object} `{ isValid, errors, inputs }` where inputs is the downstream config
+ *
+ * @example
+ * const { inputs } = mapChainInputs(
+ *   { pipeline: "contentWaterfall", mapping: { sourceText: "summary.content" } },
+ *   dialogueResult
+ * );
+ * // Returns: { sourceText: "<the dialogue summary>" }
+ */
+export function mapChainInputs(chain, upstreamResult, info = {}) {
+  const errors = [];
+  const inputs = { ...(chain.config || {}) };
+  const { required, known } = getPipelineInputs(info);
+
+  for (const [input, sourcePath] of Object.entries(chain.mapping)) {
+    if (known && !known.includes(input)) {
+      errors.push(`${chain.pipeline} has no input named ${input}`);
+      continue;
+    }
+
+    const value = resolvePath(upstreamResult, sourcePath);
+    if (value === undefined || value === null || value === "") {
+      errors.push(`Result path ${sourcePath} (for ${input}) has no value`);
+      continue;
+    }
+    inputs[input] = value;
+  }
+
+  for (const input of required) {
+    if (inputs[input] === undefined && !(input in chain.mapping)) {
+      errors.push(`Missing required input for ${chain.pipeline}: ${input}`);
+    }
+  }
+
+  return { isValid: errors.length === 0, errors, inputs };
+}
+
+function getPipelineData(result) {
+  return isPlainObject(result?.pipeline) ? result.pipeline : result;
+}
+
+function getDataFile(result, pipelineData) {
+  return result?.files?.data || pipelineData?.files?.data || null;
+}
+
+/**
+ * Summarises a pipeline result as one run of a chain
+ *
+ * Works with results that carry their pipeline data under `pipeline` and with the
+ * moderated panel, which returns the pipeline data object itself.
+ *
+ * @param {Object} result - Result returned by a pipeline
+ * @param {string} pipelineName - Pipeline name
+ * @returns {Object} Run record with runId, pipeline, status, dataFile, steps and costs
+ */
+export function getChainRunRecord(result, pipelineName) {
+  const pipelineData = getPipelineData(result) || {};
+  const costs = pipelineData.costs || {};
+
+  return {
+    runId: result?.runId || pipelineData.runId || null,
+    pipeline: pipelineName,
+    status: result?.error ? "failed" : pipelineData.status || "unknown",
+    dataFile: getDataFile(result, pipelineData),
+    steps: (pipelineData.steps || []).filter(
+      (step) => step.stepId !== "file_generation"
+    ).length,
+    costs: {
+      totalCost: costs.totalCost || 0,
+      totalTokensIn: costs.totalTokensIn || 0,
+      totalTokensOut: costs.totalTokensOut || 0,
+      totalTokens: costs.totalTokens || 0,
+    },
+  };
+}
+
+/**
+ * Adds up the cost and steps of every run in a chain
+ *
+ * @param {Array<Object>} runs - Run records from getChainRunRecord
+ * @returns {Object} Combined totals
+ */
+export function combineChainRuns(runs) {
+  return runs.reduce(
+    (combined, run) => ({
+      runs: combined.runs + 1,
+      steps: combined.steps + run.steps,
+      totalCost: combined.totalCost + run.costs.totalCost,
+      totalTokensIn: combined.totalTokensIn + run.costs.totalTokensIn,
+      totalTokensOut: combined.totalTokensOut + run.costs.totalTokensOut,
+      totalTokens: combined.totalTokens + run.costs.totalTokens,
+    }),
+    {
+      runs: 0,
+      steps: 0,
+      totalCost: 0,
+      totalTokensIn: 0,
+      totalTokensOut: 0,
+      totalTokens: 0,
+    }
+  );
+}
+
+/**
+ * Writes the chain lineage into the data.json of every run in the chain
+ *
+ * @param {Array<Object>} runs - Run records in chain order (root first)
+ * @param {string} [logPrefix] - Log prefix
+ * @returns {Promise<Object>} The lineage shared by the chain
+ */
+export async function recordChainLineage(runs, logPrefix = "[PipelineChain]") {
+  const lineage = {
+    rootRunId: runs[0]?.runId || null,
+    runs,
+    combined: combineChainRuns(runs),
+  };
+
+  for (const [index, run] of runs.entries()) {
+    if (!run.dataFile) {
+      continue;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(run.dataFile, "utf-8"));
+      data.lineage = {
+        runId: run.runId,
+        parentRunId: runs[index - 1]?.runId || null,
+        childRunId: runs[index + 1]?.runId || null,
+        ...lineage,
+      };
+      await fs.writeFile(run.dataFile, JSON.stringify(data, null, 2), "utf-8");
+    } catch (error) {
+      console.error(
+        `${logPrefix} Failed to record lineage in ${run.dataFile}:`,
+        error.message
+      );
+    }
+  }
+
+  return lineage;
+}
+
+async function loadRegistry() {
+  // Imported lazily: the registry imports every pipeline, which import this module
+  const { getDefaultRegistry } = await import("../pipelines/registry/index.js");
+  return getDefaultRegistry();
+}
+
+/**
+ * Runs the downstream pipeline declared by a run's `chain` option
+ *
+ * Does nothing when the run declares no chain. The chain only continues from a run that
+ * completed; partial (budget stopped) and failed runs are not passed on. Dry runs and the
+ * sender carry over to the downstream run. A downstream failure is reported on
+ * `result.chain` and never fails the upstream run.
+ *
+ * @param {Object} result - Result returned by the upstream pipeline (mutated)
+ * @param {Object} config - Upstream pipeline config, optionally with `chain`
+ * @param {Object} context - Upstream run context
+ * @param {string} context.pipeline - Upstream pipeline name
+ * @param {string} [context.logPrefix] - Log prefix
+ * @param {Object} [options] - Overrides
+ * @param {Object} [options.registry] - Pipeline registry (default registry when omitted)
+ * @returns {Promise<Object>} The upstream result, with `chain` set when a chain ran
+ *
+ * @example
+ * return continueChain(result, config, {
+ *   pipeline: "dialogue",
+ *   logPrefix: "[DialoguePipeline]",
+ * });
+ * // result.chain: {
+ * //   pipeline: "contentWaterfall", runId, status: "completed",
+ * //   result: { ...downstream result },
+ * //   lineage: { rootRunId, runs: [...], combined: { runs: 2, steps: 7, totalCost, ... } }
+ * // }
+ */
+export async function continueChain(
+  result,
+  config = {},
+  context,
+  options = {}
+) {
+  const { chain } = config;
+  const logPrefix = context.logPrefix || "[PipelineChain]";
+  if (!chain) {
+    return result;
+  }
+
+  const upstreamStatus = getPipelineData(result)?.status;
+  if (result.error || upstreamStatus !== "completed") {
+    console.warn(
+      `${logPrefix} ⚠️ Chain to ${chain.pipeline} skipped: run ${
+        result.runId
+      } is ${result.error ? "failed" : upstreamStatus}`
+    );
+    result.chain = {
+      pipeline: chain.pipeline,
+      status: "skipped",
+      reason: `Upstream run is ${result.error ? "failed" : upstreamStatus}`,
+    };
+    return result;
+  }
+
+  try {
+    const registry = options.registry || (await loadRegistry());
+    const downstream = registry.getPipeline(chain.pipeline);
+    if (!downstream) {
+      throw new Error(`Pipeline '${chain.pipeline}' not found`);
+    }
+
+    const mapped = mapChainInputs(chain, result, downstream.info);
+    if (!mapped.isValid) {
+      throw new Error(`Invalid chain mapping: ${mapped.errors.join("; ")}`);
+    }
+
+    const downstreamConfig = {
+      ...mapped.inputs,
+      ...(chain.chain && { chain: chain.chain }),
+      ...(isDryRun(config) && { dryRun: true }),
+      ...(config.sender && { sender: config.sender }),
+    };
+
+    console.log(
+      `${logPrefix} 🔗 Chaining run ${result.runId} into ${
+        chain.pipeline
+      } (${Object.keys(chain.mapping).join(", ")})`
+    );
+    const downstreamResult = await downstream.execute(downstreamConfig);
+
+    // A nested chain already recorded its own runs; prepend this run to them
+    const downstreamRuns = downstreamResult?.chain?.lineage?.runs || [
+      getChainRunRecord(downstreamResult, chain.pipeline),
+    ];
+    const runs = [
+      getChainRunRecord(result, context.pipeline),
+      { ...downstreamRuns[0], mapping: chain.mapping },
+      ...downstreamRuns.slice(1),
+    ];
+    const lineage = await recordChainLineage(runs, logPrefix);
+
+    result.chain = {
+      pipeline: chain.pipeline,
+      runId: runs[1].runId,
+      status: runs[1].status,
+      result: downstreamResult,
+      lineage,
+    };
+    console.log(
+      `${logPrefix} 🔗 Chain finished: ${lineage.combined.runs} runs, ${
+        lineage.combined.steps
+      } steps, $${lineage.combined.totalCost.toFixed(4)}`
+    );
+  } catch (error) {
+    console.error(
+      `${logPrefix} ❌ Chain to ${chain.pipeline} failed:`,
+      error.message
+    );
+    result.chain = {
+      pipeline: chain.pipeline,
+      status: "failed",
+      error: error.message,
+    };
+  }
+
+  return result;
+}
@@ -0,0 +1,285 @@
+/**
+ * Pipeline Checkpoint Utilities
+ *
+ * This module persists a run to disk after every agent call so an interrupted run can be
+ * resumed without paying for the calls it already made. A checkpoint holds the pipeline
+ * data (steps, costs, metadata), every successful agent response keyed by step ID, and any
+ * pipeline state that replaying the responses cannot rebuild (e.g. randomly chosen speakers).
+ *
+ * Resuming re-runs the pipeline from the top with the same runId: steps that already
+ * completed are answered from the checkpoint instead of calling the agent again, so the
+ * pipeline walks back to exactly where it stopped and continues live from there. The
+ * conversation and loop position are rebuilt by that replay, so they are not saved.
+ *
+ * @module pipelineCheckpoint
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { isDryRun } from "./dryRun.js";
+
+export const DEFAULT_CHECKPOINT_DIR = path.join("output", "checkpoints");
+
+// Pipeline data fields carried over on resume; everything else is rebuilt by the run
+const RESTORED_FIELDS = [
+  "runId",
+  "startTime",
+  "steps",
+  "outputs",
+  "costs",
+  "metadata",
+];
+
+/**
+ * Resolves the checkpoint directory
+ *
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.checkpointDir] - Directory (env PIPELINER_CHECKPOINT_DIR, default output/checkpoints)
+ * @returns {string|null} Checkpoint directory, or null when checkpointing is set to "off"
+ */
+export function getCheckpointDir(options = {}) {
+  const dir =
+    options.checkpointDir ||
+    process.env.PIPELINER_CHECKPOINT_DIR ||
+    DEFAULT_CHECKPOINT_DIR;
+
+  return dir.toLowerCase() === "off" ? null : dir;
+}
+
+/**
+ * Gets the checkpoint file path for a run
+ *
+ * @param {string} runId - Pipeline run ID
+ * @param {string} dir - Checkpoint directory
+ * @returns {string} Checkpoint file path
+ */
+export function getCheckpointPath(runId, dir) {
+  return path.join(dir, `${runId}.json`);
+}
+
+/**
+ * Loads the checkpoint for a run
+ *
+ * @param {string} runId - Pipeline run ID
+ * @param {Object} [options] - Overrides passed to getCheckpointDir
+ * @returns {Promise<Object|null>} Checkpoint, or null when none exists
+ */
+export async function loadCheckpoint(runId, options = {}) {
+  const dir = getCheckpointDir(options);
+  if (!dir) {
+    return null;
+  }
+
+  try {
+    const content = await fs.readFile(getCheckpointPath(runId, dir), "utf-8");
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Restores saved pipeline data onto a fresh pipeline data object
+ *
+ * Keeps the runId, start time, steps, outputs, cost totals and metadata, drops any
+ * earlier file generation step, and marks the run as running again.
+ *
+ * @param {Object} pipelineData - Fresh pipeline data object (mutated)
+ * @param {Object} savedData - Pipeline data from the checkpoint
+ * @returns {Object} The restored pipeline data object
+ */
+export function restorePipelineData(pipelineData, savedData) {
+  for (const field of RESTORED_FIELDS) {
+    if (savedData[field] !== undefined) {
+      pipelineData[field] = savedData[field];
+    }
+  }
+
+  pipelineData.steps = (pipelineData.steps || []).filter(
+    (step) => step.stepId !== "file_generation"
+  );
+  pipelineData.status = "running";
+  pipelineData.metadata = {
+    ...pipelineData.metadata,
+    resumedAt: [
+      ...(pipelineData.metadata?.resumedAt || []),
+      new Date().toISOString(),
+    ],
+  };
+
+  return pipelineData;
+}
+
+async function writeCheckpointFile(dir, checkpoint) {
+  const filePath = getCheckpointPath(checkpoint.runId, dir);
+  const tempPath = `${filePath}.tmp`;
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(tempPath, JSON.stringify(checkpoint, null, 2), "utf-8");
+  await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Opens the checkpoint for a pipeline run
+ *
+ * Without `config.resumeRunId` this starts a new checkpoint for the run. With it, the
+ * saved run is restored onto `pipelineData` (same runId and cost totals) and the saved
+ * config is used, overridden by any other fields passed in `config` (e.g. a higher
+ * `maxCost` to continue a run the budget stopped).
+ *
+ * @param {Object} pipelineData - Fresh pipeline data object for this run
+ * @param {string} pipelineName - Pipeline name, e.g. "dialogue"
+ * @param {Object} config - Pipeline config, optionally with resumeRunId
+ * @param {Object} [options] - Overrides passed to getCheckpointDir
+ * @returns {Promise<Object>} Checkpoint handle with config, resumed, state, stepCount, runStep, save and complete
+ * @throws {Error} When the run to resume has no checkpoint, belongs to another pipeline or already completed
+ *
+ * @example
+ * const checkpoint = await openCheckpoint(pipelineData, "dialogue", config);
+ * config = checkpoint.config;
+ *
+ * const response = await checkpoint.runStep("agent1_initial", () =>
+ *   callEverest(agentConfig, pipelineData, "agent1_initial")
+ * );
+ * conversation.push(...);
+ *
+ * completePipeline(pipelineData, "completed");
+ * await checkpoint.complete();
+ */
+export async function openCheckpoint(
+  pipelineData,
+  pipelineName,
+  config = {},
+  options = {}
+) {
+  // Dry runs only stub their responses, so they are never checkpointed
+  const dir = isDryRun(config) ? null : getCheckpointDir(options);
+  const { resumeRunId, ...overrides } = config;
+  let saved = null;
+
+  if (resumeRunId) {
+    if (!dir) {
+      throw new Error("Cannot resume: checkpointing is disabled");
+    }
+
+    saved = await loadCheckpoint(resumeRunId, options);
+    if (!saved) {
+      throw new Error(`No checkpoint found for run ${resumeRunId}`);
+    }
+    if (saved.pipeline !== pipelineName) {
+      throw new Error(
+        `Run ${resumeRunId} is a ${saved.pipeline} run, not ${pipelineName}`
+      );
+    }
+    if (saved.status === "completed") {
+      throw new Error(`Run ${resumeRunId} already completed`);
+    }
+
+    restorePipelineData(pipelineData, saved.pipelineData);
+    console.log(
+      `[Checkpoint] Resuming run ${resumeRunId} after step ${
+        saved.position || "(none)"
+      } - ${Object.keys(saved.responses || {}).length} completed steps`
+    );
+  }
+
+  const responses = { ...(saved?.responses || {}) };
+  const mergedConfig = saved
+    ? {
+        ...saved.config,
+        ...Object.fromEntries(
+          Object.entries(overrides).filter(([, value]) => value !== undefined)
+        ),
+      }
+    : overrides;
+  let position = saved?.position || null;
+  let state = saved?.state || null;
+
+  const writeNow = async () => {
+    if (!dir) {
+      return;
+    }
+
+    try {
+      await writeCheckpointFile(dir, {
+        runId: pipelineData.runId,
+        pipeline: pipelineName,
+        status: pipelineData.status,
+        savedAt: new Date().toISOString(),
+        position,
+        config: mergedConfig,
+        responses,
+        state,
+        pipelineData,
+      });
+    } catch (error) {
+      console.error(
+        `[Checkpoint] Failed to save checkpoint for ${pipelineData.runId}:`,
+        error.message
+      );
+    }
+  };
+
+  // Queue writes so steps that run in parallel never write the file at the same time
+  let lastWrite = Promise.resolve();
+  const write = () => {
+    lastWrite = lastWrite.then(writeNow);
+    return lastWrite;
+  };
+
+  let stepCount = 0;
+
+  return {
+    config: mergedConfig,
+    resumed: !!saved,
+    state,
+
+    /**
+     * Number of steps this run has gone through, called or replayed
+     */
+    get stepCount() {
+      return stepCount;
+    },
+
+    /**
+     * Runs an agent step, or returns its saved response if it completed before
+     * @param {string} stepId - Unique step identifier
+     * @param {Function} callFn - Makes the agent call, e.g. `() => callEverest(...)`
+     * @returns {Promise<Object>} The agent response
+     */
+    async runStep(stepId, callFn) {
+      stepCount += 1;
+      if (responses[stepId]) {
+        console.log(`[Checkpoint] Reusing completed step ${stepId}`);
+        return responses[stepId];
+      }
+
+      const response = await callFn();
+      if (response && !response.error) {
+        responses[stepId] = response;
+        position = stepId;
+        await write();
+      }
+      return response;
+    },
+
+    /**
+     * Saves pipeline state that replaying the steps cannot rebuild, read back from `state` on resume
+     * @param {Object} nextState - Pipeline-specific state, merged into what was saved before
+     */
+    async save(nextState) {
+      state = { ...state, ...nextState };
+      await write();
+    },
+
+    /**
+     * Saves the final status so completed runs cannot be resumed
+     */
+    async complete() {
+      await write();
+    },
+  };
+}
@@ -111,6 +111,7 @@ function initializePipelineCosts(pipelineData) {
  * @param {Object} pipelineData - The pipeline data object
  * @param {string} stepId - Unique identifier for the pipeline step
  * @param {Object} apiResponse - The API response containing cost data
+ * @returns {Object|null} The step cost entry added, or null when no cost data is available
  *
  * @example
  * addStepCost(pipelineData, "agent1_initial", apiResponse);
@@ -119,7 +120,7 @@ function initializePipelineCosts(pipelineData) {
 function addStepCost(pipelineData, stepId, apiResponse) {
   if (!pipelineData || !stepId) {
     console.log("[PipelineCost] Missing pipeline data or step ID");
-    return;
+    return null;
   }
 
   // Ensure costs structure exists
@@ -133,7 +134,7 @@ function addStepCost(pipelineData, stepId, apiResponse) {
   // Handle backwards compatibility - no cost data available
   if (!costData) {
     console.log(`[PipelineCost] No cost data available for step ${stepId}`);
-    return;
+    return null;
   }
 
   // Accumulate costs
@@ -159,6 +160,7 @@ function addStepCost(pipelineData, stepId, apiResponse) {
   console.log(
     `[PipelineCost] Added step cost for ${stepId}: $${costData.cost}, total pipeline cost: $${pipelineData.costs.totalCost}`
   );
+  return stepCostEntry;
 }
 
 /**
@@ -1,5 +1,6 @@
 import { v4 as uuidv4 } from "uuid";
 import { initializePipelineCosts, formatCostSummary } from "./pipelineCost.js";
+import { resetCassetteCursors } from "./cassette.js";
 
 /**
  * Creates a new pipeline data object
@@ -92,6 +93,9 @@ function completePipeline(pipelineData, status = "completed") {
   const endTime = new Date(pipelineData.endTime);
   pipelineData.duration = endTime - startTime;
 
+  // Cassette positions are only needed while the run is going
+  resetCassetteCursors(pipelineData.runId);
+
   // Calculate step statistics
   const totalSteps = pipelineData.steps.length;
   const completedSteps = pipelineData.steps.filter(
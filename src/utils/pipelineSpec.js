@@ -0,0 +1,619 @@
+/**
+ * Pipeline Spec Utilities
+ *
+ * This module loads and validates declarative pipeline specs (JSON or YAML) and provides the
+ * template and condition helpers the generic pipeline engine uses to run them. A spec names
+ * its inputs, the agents it uses, an ordered list of steps (agent calls, loops and
+ * conditions) and the files and result fields it produces, so a new workflow can be added
+ * without writing a new pipeline file.
+ *
+ * @module pipelineSpec
+ *
+ * @example
+ * // A minimal spec - see src/pipelines/specs/critiqueRefine.yaml for a complete one
+ * name: draftAndRevise
+ * description: Draft, critique and revise a piece of writing
+ * inputs:
+ *   sourceText: { type: string, required: true, description: Material to write about }
+ *   rounds: { type: integer, default: 2, minimum: 1, maximum: 5 }
+ * agents:
+ *   writer: dialogue/DialogueAg1
+ *   critic: dialogue/DialogueAg2
+ * steps:
+ *   - id: draft
+ *     agent: writer
+ *     message: "SOURCE MATERIAL:\n{{inputs.sourceText}}"
+ *   - loop:
+ *       count: "{{inputs.rounds}}"
+ *       until: { value: "{{critique}}", contains: APPROVED }
+ *       steps:
+ *         - { id: critique, agent: critic, message: "Critique this draft:\n{{draft}}" }
+ *         - { id: draft, agent: writer, message: "Revise the draft:\n{{critique}}", history: true }
+ * outputs:
+ *   files:
+ *     - { path: draft.md, template: "# Final Draft\n\n{{draft}}" }
+ *   result:
+ *     draft: "{{draft}}"
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import yaml from "js-yaml";
+
+export const SPEC_EXTENSIONS = [".json", ".yaml", ".yml"];
+
+export const DEFAULT_SPEC_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "pipelines",
+  "specs"
+);
+
+export const SPEC_INPUT_TYPES = [
+  "string",
+  "integer",
+  "number",
+  "boolean",
+  "array",
+  "object",
+];
+
+// Scope keys the engine provides; step outputs may not shadow them
+export const RESERVED_BINDINGS = ["inputs", "loop", "run", "transcript"];
+
+export const MAX_LOOP_ITERATIONS = 50;
+
+const NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const TEMPLATE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+const SINGLE_TEMPLATE_PATTERN = /^\{\{\s*([\w.]+)\s*\}\}$/;
+const CONDITION_OPERATORS = [
+  "equals",
+  "notEquals",
+  "contains",
+  "notContains",
+  "matches",
+];
+const FALSY_VALUES = ["", "false", "0", "no", "null", "undefined"];
+
+// `matches` patterns compiled when the spec is validated, keyed by their condition
+const compiledPatterns = new WeakMap();
+
+function compilePattern(condition) {
+  if (!compiledPatterns.has(condition)) {
+    compiledPatterns.set(condition, new RegExp(condition.matches, "i"));
+  }
+  return compiledPatterns.get(condition);
+}
+
+/**
+ * Resolves the directory pipeline specs are discovered from
+ *
+ * @param {Object} [options] - Overrides
+ * @param {string} [options.specDir] - Directory (env PIPELINER_SPEC_DIR, default src/pipelines/specs)
+ * @returns {string} Spec directory
+ */
+export function getSpecDir(options = {}) {
+  return options.specDir || process.env.PIPELINER_SPEC_DIR || DEFAULT_SPEC_DIR;
+}
+
+/**
+ * Checks whether a file name is a pipeline spec
+ *
+ * @param {string} filename - File name or path
+ * @returns {boolean} True for .json, .yaml and .yml files
+ */
+export function isSpecFile(filename) {
+  return SPEC_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Parses spec text as JSON or YAML
+ *
+ * @param {string} text - Spec file content
+ * @param {string} [format="yaml"] - "json" or "yaml"
+ * @returns {Object} Parsed spec
+ * @throws {Error} When the text cannot be parsed or is not an object
+ */
+export function parsePipelineSpec(text, format = "yaml") {
+  const spec = format === "json" ? JSON.parse(text) : yaml.load(text);
+
+  if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+    throw new Error("Pipeline spec must be an object");
+  }
+  return spec;
+}
+
+function validateCondition(condition, where, errors) {
+  if (typeof condition === "string") {
+    return;
+  }
+  if (!condition || typeof condition !== "object") {
+    errors.push(`${where} must be a string or an object`);
+    return;
+  }
+  if (typeof condition.value !== "string") {
+    errors.push(`${where}.value is required and must be a string`);
+  }
+  const operators = CONDITION_OPERATORS.filter((op) => op in condition);
+  if (operators.length > 1) {
+    errors.push(
+      `${where} may use only one of: ${CONDITION_OPERATORS.join(", ")}`
+    );
+  }
+  if ("matches" in condition) {
+    if (
+      typeof condition.matches !== "string" ||
+      condition.matches.match(TEMPLATE_PATTERN)
+    ) {
+      errors.push(`${where}.matches must be a regular expression string`);
+      return;
+    }
+    try {
+      compilePattern(condition);
+    } catch (error) {
+      errors.push(
+        `${where}.matches is not a valid regular expression: ${error.message}`
+      );
+    }
+  }
+}
+
+function validateSteps(steps, where, spec, errors) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    errors.push(`${where} must be a non-empty array`);
+    return;
+  }
+
+  steps.forEach((step, index) => {
+    const stepWhere = `${where}[${index}]`;
+    if (!step || typeof step !== "object") {
+      errors.push(`${stepWhere} must be an object`);
+      return;
+    }
+
+    if (step.when !== undefined) {
+      validateCondition(step.when, `${stepWhere}.when`, errors);
+    }
+
+    if (step.loop) {
+      const { loop } = step;
+      if (loop.count === undefined) {
+        errors.push(`${stepWhere}.loop.count is required`);
+      } else if (
+        typeof loop.count === "number" &&
+        (!Number.isInteger(loop.count) ||
+          loop.count < 1 ||
+          loop.count > MAX_LOOP_ITERATIONS)
+      ) {
+        errors.push(
+          `${stepWhere}.loop.count must be an integer between 1 and ${MAX_LOOP_ITERATIONS}`
+        );
+      } else if (!["number", "string"].includes(typeof loop.count)) {
+        errors.push(`${stepWhere}.loop.count must be a number or a template`);
+      }
+      if (loop.until !== undefined) {
+        validateCondition(loop.until, `${stepWhere}.loop.until`, errors);
+      }
+      validateSteps(loop.steps, `${stepWhere}.loop.steps`, spec, errors);
+      return;
+    }
+
+    if (!step.id || !NAME_PATTERN.test(step.id)) {
+      errors.push(
+        `${stepWhere}.id is required and must be letters, digits or underscores`
+      );
+    }
+    if (!step.agent || !spec.agents?.[step.agent]) {
+      errors.push(
+        `${stepWhere}.agent must name an agent declared in agents (got ${step.agent})`
+      );
+    }
+    if (typeof step.message !== "string" || !step.message.trim()) {
+      errors.push(`${stepWhere}.message is required and must be a string`);
+    }
+    if (step.context !== undefined && typeof step.context !== "string") {
+      errors.push(`${stepWhere}.context must be a string`);
+    }
+    const binding = step.output || step.id;
+    if (RESERVED_BINDINGS.includes(binding)) {
+      errors.push(
+        `${stepWhere} output "${binding}" is reserved (${RESERVED_BINDINGS.join(
+          ", "
+        )})`
+      );
+    } else if (step.output !== undefined && !NAME_PATTERN.test(step.output)) {
+      errors.push(`${stepWhere}.output must be letters, digits or underscores`);
+    }
+    if (step.parse !== undefined && !["json", "text"].includes(step.parse)) {
+      errors.push(`${stepWhere}.parse must be "json" or "text"`);
+    }
+  });
+}
+
+/**
+ * Validates the structure of a pipeline spec
+ *
+ * @param {Object} spec - Parsed spec
+ * @returns {Object} Validation result with isValid and errors
+ */
+export function validatePipelineSpec(spec) {
+  const errors = [];
+
+  if (!spec || typeof spec !== "object") {
+    return { isValid: false, errors: ["Pipeline spec must be an object"] };
+  }
+
+  if (!spec.name || !NAME_PATTERN.test(spec.name)) {
+    errors.push(
+      "name is required and must start with a letter and use letters, digits or underscores"
+    );
+  }
+  if (spec.description !== undefined && typeof spec.description !== "string") {
+    errors.push("description must be a string");
+  }
+
+  if (spec.inputs !== undefined) {
+    if (typeof spec.inputs !== "object" || Array.isArray(spec.inputs)) {
+      errors.push("inputs must be an object of input definitions");
+    } else {
+      for (const [key, input] of Object.entries(spec.inputs)) {
+        const type = input?.type || "string";
+        if (!SPEC_INPUT_TYPES.includes(type)) {
+          errors.push(
+            `inputs.${key}.type must be one of: ${SPEC_INPUT_TYPES.join(", ")}`
+          );
+        }
+      }
+    }
+  }
+
+  if (
+    !spec.agents ||
+    typeof spec.agents !== "object" ||
+    Object.keys(spec.agents).length === 0
+  ) {
+    errors.push("agents must map at least one alias to an agent path");
+  } else {
+    for (const [alias, agentPath] of Object.entries(spec.agents)) {
+      if (typeof agentPath !== "string" || !agentPath.trim()) {
+        errors.push(
+          `agents.${alias} must be an agent path such as "dialogue/DialogueAg1"`
+        );
+      }
+    }
+  }
+
+  validateSteps(spec.steps, "steps", spec, errors);
+
+  const files = spec.outputs?.files;
+  if (files !== undefined) {
+    if (!Array.isArray(files)) {
+      errors.push("outputs.files must be an array");
+    } else {
+      files.forEach((file, index) => {
+        if (
+          !file?.path ||
+          path.isAbsolute(file.path) ||
+          file.path.split(/[\\/]/).includes("..")
+        ) {
+          errors.push(
+            `outputs.files[${index}].path must be a relative path inside the run folder`
+          );
+        }
+        if (typeof file?.template !== "string") {
+          errors.push(`outputs.files[${index}].template must be a string`);
+        }
+      });
+    }
+  }
+  if (
+    spec.outputs?.result !== undefined &&
+    (typeof spec.outputs.result !== "object" ||
+      Array.isArray(spec.outputs.result))
+  ) {
+    errors.push("outputs.result must map result fields to templates");
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Loads and validates a pipeline spec file
+ *
+ * @param {string} filePath - Path to a .json, .yaml or .yml spec
+ * @returns {Promise<Object>} Validated spec
+ * @throws {Error} When the file cannot be read, parsed or validated
+ */
+export async function loadPipelineSpec(filePath) {
+  const text = await fs.readFile(filePath, "utf-8");
+  const format =
+    path.extname(filePath).toLowerCase() === ".json" ? "json" : "yaml";
+
+  let spec;
+  try {
+    spec = parsePipelineSpec(text, format);
+  } catch (error) {
+    throw new Error(`Invalid pipeline spec ${filePath}: ${error.message}`);
+  }
+
+  const validation = validatePipelineSpec(spec);
+  if (!validation.isValid) {
+    throw new Error(
+      `Invalid pipeline spec ${filePath}: ${validation.errors.join("; ")}`
+    );
+  }
+  return spec;
+}
+
+/**
+ * Loads every spec in a directory
+ *
+ * Invalid specs are reported in `errors` and skipped so one bad file does not hide the rest.
+ *
+ * @param {string} [dir] - Spec directory (defaults to getSpecDir())
+ * @returns {Promise<Object>} `{ specs: [{ spec, filePath }], errors: [{ filePath, error }] }`
+ */
+export async function loadPipelineSpecs(dir = getSpecDir()) {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { specs: [], errors: [] };
+    }
+    throw error;
+  }
+
+  const specs = [];
+  const errors = [];
+
+  for (const file of files.filter(isSpecFile).sort()) {
+    const filePath = path.join(dir, file);
+    try {
+      specs.push({ spec: await loadPipelineSpec(filePath), filePath });
+    } catch (error) {
+      errors.push({ filePath, error: error.message });
+    }
+  }
+
+  return { specs, errors };
+}
+
+/**
+ * Looks up a dotted path in a scope object
+ *
+ * @param {Object} scope - Values available to templates
+ * @param {string} keyPath - Dotted path, e.g. "inputs.sourceText"
+ * @returns {*} The value, or undefined when any segment is missing
+ */
+export function resolvePath(scope, keyPath) {
+  return keyPath
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== undefined && value !== null ? value[key] : undefined,
+      scope
+    );
+}
+
+function stringifyValue(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value, null, 2);
+  }
+  return String(value);
+}
+
+/**
+ * Renders `{{path}}` placeholders in a template
+ *
+ * Missing values render as an empty string; objects and arrays render as JSON.
+ *
+ * @param {string} template - Template text
+ * @param {Object} scope - Values available to the template
+ * @returns {string} Rendered text
+ *
+ * @example
+ * renderTemplate("Round {{loop.iteration}}: {{critique}}", scope);
+ * // Returns: "Round 2: Tighten the opening paragraph..."
+ */
+export function renderTemplate(template, scope) {
+  if (typeof template !== "string") {
+    return stringifyValue(template);
+  }
+  return template.replace(TEMPLATE_PATTERN, (match, keyPath) =>
+    stringifyValue(resolvePath(scope, keyPath))
+  );
+}
+
+/**
+ * Resolves a spec value that may be a template
+ *
+ * A string that is exactly one placeholder keeps the referenced value's type (so
+ * `"{{inputs.rounds}}"` stays a number); other strings are rendered.
+ *
+ * @param {*} value - Literal or template
+ * @param {Object} scope - Values available to the template
+ * @returns {*} Resolved value
+ */
+export function resolveValue(value, scope) {
+  if (typeof value !== "string") {
+    return value;
+  }
+  const single = value.trim().match(SINGLE_TEMPLATE_PATTERN);
+  if (single) {
+    return resolvePath(scope, single[1]);
+  }
+  return renderTemplate(value, scope);
+}
+
+/**
+ * Evaluates a `when` or `until` condition
+ *
+ * A string condition is rendered and tested for truthiness ("", "false", "0", "no" are
+ * false). An object condition renders `value` and applies one operator: equals,
+ * notEquals, contains, notContains or matches (a case-insensitive regular expression,
+ * compiled when the spec is validated).
+ *
+ * @param {string|Object} condition - Condition from the spec
+ * @param {Object} scope - Values available to the condition
+ * @returns {boolean} Whether the condition holds
+ *
+ * @example
+ * evaluateCondition({ value: "{{critique}}", contains: "APPROVED" }, scope);
+ */
+export function evaluateCondition(condition, scope) {
+  if (condition === undefined || condition === null) {
+    return true;
+  }
+
+  if (typeof condition === "string") {
+    const value = resolveValue(condition, scope);
+    if (typeof value === "boolean") {
+      return value;
+    }
+    return !FALSY_VALUES.includes(stringifyValue(value).trim().toLowerCase());
+  }
+
+  const value = stringifyValue(resolveValue(condition.value, scope));
+  const operand = (key) => renderTemplate(String(condition[key]), scope);
+
+  if ("equals" in condition) {
+    return value.trim() === operand("equals").trim();
+  }
+  if ("notEquals" in condition) {
+    return value.trim() !== operand("notEquals").trim();
+  }
+  if ("contains" in condition) {
+    return value.includes(operand("contains"));
+  }
+  if ("notContains" in condition) {
+    return !value.includes(operand("notContains"));
+  }
+  if ("matches" in condition) {
+    return compilePattern(condition).test(value);
+  }
+  return evaluateCondition(condition.value, scope);
+}
+
+function checkInputType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && !Number.isNaN(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validates run config against a spec's inputs and applies defaults
+ *
+ * @param {Object} spec - Validated spec
+ * @param {Object} config - Run config
+ * @returns {Object} Validation result with isValid, errors and inputs
+ */
+export function validateSpecInputs(spec, config = {}) {
+  const errors = [];
+  const inputs = {};
+
+  for (const [key, definition = {}] of Object.entries(spec.inputs || {})) {
+    const type = definition.type || "string";
+    let value = config[key];
+
+    if (value === undefined || value === null || value === "") {
+      if (definition.default !== undefined) {
+        inputs[key] = definition.default;
+      } else if (definition.required) {
+        errors.push(`${key} is required`);
+      }
+      continue;
+    }
+
+    // NostrMQ and CLI callers may send numbers and booleans as strings
+    if (typeof value === "string" && ["integer", "number"].includes(type)) {
+      value = Number(value);
+    } else if (typeof value === "string" && type === "boolean") {
+      value = value === "true";
+    }
+
+    if (!checkInputType(value, type)) {
+      errors.push(`${key} must be ${type === "integer" ? "an" : "a"} ${type}`);
+      continue;
+    }
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      errors.push(`${key} must be at least ${definition.minimum}`);
+      continue;
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      errors.push(`${key} must be at most ${definition.maximum}`);
+      continue;
+    }
+    if (definition.enum && !definition.enum.includes(value)) {
+      errors.push(`${key} must be one of: ${definition.enum.join(", ")}`);
+      continue;
+    }
+
+    inputs[key] = typeof value === "string" ? value.trim() : value;
+  }
+
+  return { isValid: errors.length === 0, errors, inputs };
+}
+
+/**
+ * Builds registry metadata for a spec
+ *
+ * Produces both the `parameters` block the NostrMQ registry validates against and the
+ * `inputSchema` the MCP tool registry turns into a tool schema.
+ *
+ * @param {Object} spec - Validated spec
+ * @returns {Object} pipelineInfo object
+ */
+export function specToPipelineInfo(spec) {
+  const inputs = spec.inputs || {};
+  const required = Object.keys(inputs).filter((key) => inputs[key]?.required);
+  const optional = Object.keys(inputs).filter((key) => !inputs[key]?.required);
+  const schema = Object.fromEntries(
+    Object.entries(inputs).map(([key, definition = {}]) => [
+      key,
+      {
+        type: definition.type || "string",
+        description: definition.description || `${key} input`,
+        ...(definition.default !== undefined && {
+          default: definition.default,
+        }),
+        ...(definition.minimum !== undefined && {
+          minimum: definition.minimum,
+        }),
+        ...(definition.maximum !== undefined && {
+          maximum: definition.maximum,
+        }),
+      },
+    ])
+  );
+
+  return {
+    name: spec.name,
+    description: spec.description || `${spec.name} pipeline (declarative spec)`,
+    version: spec.version || "1.0.0",
+    parameters: { required, optional, schema },
+    inputSchema: Object.fromEntries(
+      Object.entries(schema).map(([key, definition]) => [
+        key,
+        { ...definition, required: required.includes(key) },
+      ])
+    ),
+    capabilities: ["declarative-spec", "cost-tracking", "file-generation"],
+    tags: ["spec", ...(spec.tags || [])],
+  };
+}
@@ -0,0 +1,509 @@
+/**
+ * Repository Ingestion Utilities
+ *
+ * This module packs a local source directory into panel source material. The walk
+ * honours include/exclude globs and every `.gitignore` on the way down, skips symlinks,
+ * binaries and files over `maxFileBytes`, and renders a file tree. Files are then packed
+ * with a `=== FILE: path ===` header each into chunks of at most `maxTokens`; a single
+ * file over budget is split by lines. A repository that fits in one chunk is reviewed in
+ * one panel, a larger one chunk by chunk (see the moderated panel pipeline).
+ *
+ * @module repositoryIngest
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { CHARS_PER_TOKEN } from "./contextManager.js";
+
+/**
+ * Defaults for `config.repository`
+ *
+ * `maxTokens` has no fixed default: the pipeline passes the panel's source budget.
+ */
+export const REPOSITORY_DEFAULTS = {
+  include: [],
+  exclude: [],
+  gitignore: true,
+  maxFileBytes: 100000,
+  maxChunks: 8,
+};
+
+// Never worth reviewing, whatever the globs say
+const ALWAYS_EXCLUDED = [".git/", "node_modules/"];
+
+// Bytes sniffed for a NUL when deciding whether a file is binary
+const BINARY_SNIFF_BYTES = 8000;
+
+// Packing counts with the smallest ratio so a chunk fits every model family
+const PACK_CHARS_PER_TOKEN = Math.min(...Object.values(CHARS_PER_TOKEN));
+
+/**
+ * Estimates tokens for packing, conservatively across model families
+ *
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+function packTokens(text) {
+  return Math.ceil(text.length / PACK_CHARS_PER_TOKEN);
+}
+
+/**
+ * Validates the repository option on a pipeline config
+ *
+ * @param {Object} config - Pipeline config
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateRepositoryOptions(config = {}) {
+  const { repository } = config;
+  if (repository === undefined || repository === null) {
+    return [];
+  }
+  if (typeof repository === "string") {
+    return repository.trim() ? [] : ["repository must not be empty"];
+  }
+  if (typeof repository !== "object" || Array.isArray(repository)) {
+    return ["repository must be a directory path or an object"];
+  }
+
+  const errors = [];
+  if (typeof repository.path !== "string" || !repository.path.trim()) {
+    errors.push("repository.path must be a non-empty string");
+  }
+  for (const key of ["include", "exclude"]) {
+    const value = repository[key];
+    if (
+      value !== undefined &&
+      (!Array.isArray(value) ||
+        !value.every((glob) => typeof glob === "string"))
+    ) {
+      errors.push(`repository.${key} must be an array of glob strings`);
+    }
+  }
+  for (const key of ["maxFileBytes", "maxTokens", "maxChunks"]) {
+    const value = repository[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      errors.push(`repository.${key} must be a positive integer`);
+    }
+  }
+  if (
+    repository.gitignore !== undefined &&
+    typeof repository.gitignore !== "boolean"
+  ) {
+    errors.push("repository.gitignore must be a boolean");
+  }
+  return errors;
+}
+
+/**
+ * Resolves the repository option to full settings
+ *
+ * @param {string|Object} repository - `config.repository` (a path is shorthand for `{ path }`)
+ * @param {Object} [defaults] - Run-specific defaults, such as `maxTokens`
+ * @returns {Object|null} Settings, or null when no repository is set
+ */
+export function resolveRepositoryOptions(repository, defaults = {}) {
+  if (!repository) {
+    return null;
+  }
+  return {
+    ...REPOSITORY_DEFAULTS,
+    ...defaults,
+    ...(typeof repository === "string" ? { path: repository } : repository),
+  };
+}
+
+/**
+ * Compiles a glob into a regular expression over repository-relative paths
+ *
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`. Like `.gitignore`, a pattern without a
+ * slash matches a name at any depth, a leading slash anchors it to the base and a
+ * trailing slash is dropped (callers track directory-only patterns themselves).
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Expression matching a whole relative path
+ */
+export function compileGlob(glob) {
+  let pattern = glob.replace(/\/+$/, "");
+  const anchored = pattern.includes("/");
+  pattern = pattern.replace(/^\//, "");
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i += 1;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^")}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      const end = pattern.indexOf("}", i + 1);
+      if (end === -1) {
+        source += "\\{";
+      } else {
+        const options = pattern
+          .slice(i + 1, end)
+          .split(",")
+          .map((option) => option.replace(/[.+^$()|\\]/g, "\\$&"));
+        source += `(?:${options.join("|")})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${anchored ? "" : "(?:.*/)?"}${source}$`);
+}
+
+/**
+ * Parses `.gitignore` content into rules
+ *
+ * @param {string} content - File content
+ * @param {string} [base] - Directory of the file, relative to the repository root
+ * @returns {Array<Object>} `{ regex, negate, dirOnly, base }` per pattern
+ */
+export function parseGitignore(content, base = "") {
+  return String(content)
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)\s+$/, ""))
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const negate = line.startsWith("!");
+      const pattern = (negate ? line.slice(1) : line).replace(/^\\/, "");
+      return {
+        regex: compileGlob(pattern),
+        negate,
+        dirOnly: pattern.endsWith("/"),
+        base,
+      };
+    });
+}
+
+/**
+ * Checks a path against ignore rules; like git, the last matching rule wins
+ *
+ * @param {string} relativePath - Path relative to the repository root
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @param {Array<Object>} rules - Rules from parseGitignore
+ * @returns {boolean} Whether the path is ignored
+ */
+function isIgnored(relativePath, isDirectory, rules) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDirectory) {
+      continue;
+    }
+    const prefix = rule.base ? `${rule.base}/` : "";
+    if (rule.base && !relativePath.startsWith(prefix)) {
+      continue;
+    }
+    if (rule.regex.test(relativePath.slice(prefix.length))) {
+      ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * Checks whether file content looks binary (a NUL byte near the start)
+ *
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} Whether the content is binary
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+/**
+ * Walks a repository and reads the files to review
+ *
+ * @param {Object} options - Resolved repository settings
+ * @param {string} options.path - Repository directory
+ * @returns {Promise<Object>} `{ root, name, files: [{ path, bytes, content }], skipped: [{ path, reason }] }`
+ * @throws {Error} When the path is not a readable directory
+ */
+export async function scanRepository(options) {
+  const root = path.resolve(options.path);
+  const stats = await fs.stat(root).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`repository.path must be a directory: ${options.path}`);
+  }
+
+  const excludeRules = [...ALWAYS_EXCLUDED, ...options.exclude].flatMap(
+    (glob) => parseGitignore(glob)
+  );
+  const includeRegexes = options.include.map((glob) => compileGlob(glob));
+  const files = [];
+  const skipped = [];
+
+  const walk = async (directory, inheritedRules) => {
+    const relativeDir = path
+      .relative(root, directory)
+      .split(path.sep)
+      .join("/");
+    let rules = inheritedRules;
+    if (options.gitignore) {
+      const gitignore = await fs
+        .readFile(path.join(directory, ".gitignore"), "utf8")
+        .catch(() => null);
+      if (gitignore !== null) {
+        rules = [...rules, ...parseGitignore(gitignore, relativeDir)];
+      }
+    }
+
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    for (const entry of entries) {
+      const relativePath = relativeDir
+        ? `${relativeDir}/${entry.name}`
+        : entry.name;
+      if (entry.isSymbolicLink()) {
+        continue;
+      }
+      const isDirectory = entry.isDirectory();
+      if (
+        isIgnored(relativePath, isDirectory, excludeRules) ||
+        isIgnored(relativePath, isDirectory, rules)
+      ) {
+        continue;
+      }
+      if (isDirectory) {
+        await walk(path.join(directory, entry.name), rules);
+        continue;
+      }
+      if (
+        !entry.isFile() ||
+        (includeRegexes.length > 0 &&
+          !includeRegexes.some((regex) => regex.test(relativePath)))
+      ) {
+        continue;
+      }
+
+      const filePath = path.join(directory, entry.name);
+      const { size } = await fs.stat(filePath);
+      if (size > options.maxFileBytes) {
+        skipped.push({ path: relativePath, reason: "too large", bytes: size });
+        continue;
+      }
+      const buffer = await fs.readFile(filePath);
+      if (isBinary(buffer)) {
+        skipped.push({ path: relativePath, reason: "binary", bytes: size });
+        continue;
+      }
+      files.push({
+        path: relativePath,
+        bytes: size,
+        content: buffer.toString("utf8"),
+      });
+    }
+  };
+
+  await walk(root, []);
+  return { root, name: path.basename(root), files, skipped };
+}
+
+/**
+ * Renders paths as a file tree, directories first
+ *
+ * @param {Array<string>} paths - Repository-relative file paths
+ * @param {string} [rootName] - Name shown on the first line
+ * @returns {string} Tree drawn with box characters
+ */
+export function renderFileTree(paths, rootName = ".") {
+  const tree = {};
+  for (const filePath of paths) {
+    let node = tree;
+    for (const part of filePath.split("/")) {
+      node[part] = node[part] || {};
+      node = node[part];
+    }
+  }
+
+  const lines = [`${rootName}/`];
+  const draw = (node, indent) => {
+    const names = Object.keys(node).sort((a, b) => {
+      const aDir = Object.keys(node[a]).length > 0;
+      const bDir = Object.keys(node[b]).length > 0;
+      return aDir === bDir ? (a < b ? -1 : a > b ? 1 : 0) : aDir ? -1 : 1;
+    });
+    names.forEach((name, index) => {
+      const last = index === names.length - 1;
+      const isDirectory = Object.keys(node[name]).length > 0;
+      lines.push(
+        `${indent}${last ? "└── " : "├── "}${name}${isDirectory ? "/" : ""}`
+      );
+      if (isDirectory) {
+        draw(node[name], `${indent}${last ? "    " : "│   "}`);
+      }
+    });
+  };
+  draw(tree, "");
+  return lines.join("\n");
+}
+
+/**
+ * Formats a file (or part of one) with its path header
+ *
+ * @param {string} filePath - Repository-relative path
+ * @param {string} content - File content
+ * @param {string} [range] - Line range when the file is split
+ * @returns {string} File block
+ */
+function fileBlock(filePath, content, range) {
+  return `=== FILE: ${filePath}${
+    range ? ` (lines ${range})` : ""
+  } ===\n${content.replace(/\n$/, "")}`;
+}
+
+/**
+ * Splits a file that is over budget into line-based blocks
+ *
+ * @param {Object} file - File from scanRepository
+ * @param {number} maxTokens - Token budget per block
+ * @returns {Array<string>} File blocks
+ */
+function splitFile(file, maxTokens) {
+  const lines = file.content.replace(/\n$/, "").split("\n");
+  const blocks = [];
+  let start = 0;
+  while (start < lines.length) {
+    let end = start;
+    let tokens = packTokens(
+      fileBlock(file.path, "", `${start + 1}-${start + 1}`)
+    );
+    while (end < lines.length) {
+      const lineTokens = packTokens(`${lines[end]}\n`);
+      if (end > start && tokens + lineTokens > maxTokens) {
+        break;
+      }
+      tokens += lineTokens;
+      end++;
+    }
+    blocks.push(
+      fileBlock(
+        file.path,
+        lines.slice(start, end).join("\n"),
+        `${start + 1}-${end}`
+      )
+    );
+    start = end;
+  }
+  return blocks;
+}
+
+/**
+ * Packs scanned files into chunks of at most `maxTokens`
+ *
+ * Each chunk starts with the repository name and a tree of the files it holds, so a
+ * reviewer always sees where its files sit.
+ *
+ * @param {Object} scan - Result of scanRepository
+ * @param {Object} options - Packing options
+ * @param {number} options.maxTokens - Token budget per chunk, headers included
+ * @returns {Array<Object>} `[{ text, files, tokens }]` in path order
+ */
+export function packRepository(scan, { maxTokens }) {
+  // Budget for file blocks, after a header that lists every file of a full chunk
+  const headerBudget = Math.min(
+    packTokens(
+      renderFileTree(
+        scan.files.map((file) => file.path),
+        scan.name
+      )
+    ) + 50,
+    Math.floor(maxTokens / 4)
+  );
+  const blockBudget = Math.max(maxTokens - headerBudget, 1);
+
+  const groups = [];
+  let current = { blocks: [], files: [], tokens: 0 };
+  const flush = () => {
+    if (current.blocks.length > 0) {
+      groups.push(current);
+      current = { blocks: [], files: [], tokens: 0 };
+    }
+  };
+  for (const file of scan.files) {
+    const whole = fileBlock(file.path, file.content);
+    const blocks =
+      packTokens(whole) > blockBudget ? splitFile(file, blockBudget) : [whole];
+    for (const block of blocks) {
+      const tokens = packTokens(`${block}\n\n`);
+      if (current.tokens + tokens > blockBudget) {
+        flush();
+      }
+      current.blocks.push(block);
+      if (!current.files.includes(file.path)) {
+        current.files.push(file.path);
+      }
+      current.tokens += tokens;
+    }
+  }
+  flush();
+
+  return groups.map((group, index) => {
+    const part =
+      groups.length > 1 ? ` (part ${index + 1} of ${groups.length})` : "";
+    const text = `REPOSITORY: ${scan.name}${part}
+
+FILE TREE:
+${renderFileTree(group.files, scan.name)}
+
+${group.blocks.join("\n\n")}`;
+    return { text, files: group.files, tokens: packTokens(text) };
+  });
+}
+
+/**
+ * Scans and packs a repository for review
+ *
+ * @param {Object} options - Resolved repository settings (see resolveRepositoryOptions)
+ * @returns {Promise<Object>} `{ root, name, tree, files, skipped, chunks, tokens }`
+ * @throws {Error} When nothing is left to review or the repository needs more than `maxChunks` chunks
+ */
+export async function ingestRepository(options) {
+  const scan = await scanRepository(options);
+  if (scan.files.length === 0) {
+    throw new Error(
+      `No files to review in ${options.path} (check repository.include, repository.exclude and .gitignore)`
+    );
+  }
+
+  const chunks = packRepository(scan, options);
+  if (chunks.length > options.maxChunks) {
+    throw new Error(
+      `Repository ${scan.name} needs ${chunks.length} chunks at ${options.maxTokens} tokens each (maxChunks is ${options.maxChunks}); narrow repository.include or raise repository.maxTokens or repository.maxChunks`
+    );
+  }
+
+  return {
+    root: scan.root,
+    name: scan.name,
+    tree: renderFileTree(
+      scan.files.map((file) => file.path),
+      scan.name
+    ),
+    files: scan.files.map(({ path: filePath, bytes }) => ({
+      path: filePath,
+      bytes,
+    })),
+    skipped: scan.skipped,
+    chunks,
+    tokens: chunks.reduce((total, chunk) => total + chunk.tokens, 0),
+  };
+}
@@ -0,0 +1,385 @@
+/**
+ * Review Comment Utilities
+ *
+ * This module turns a finished tech review panel into code review comments. After the
+ * summary, the summarizer lists each concrete change the panel asked for, anchored to a
+ * file and line range, with its category, severity, suggested change and the panelist
+ * who raised it. The pipeline saves the list as `review-comments.json` and as a markdown
+ * report with one unified-diff hunk per comment, ready to paste into a pull request
+ * review.
+ *
+ * @module reviewComments
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { callEverest } from "../services/everest.service.js";
+import { stubDryRunReply } from "./dryRun.js";
+import { parseJsonObject, withJsonResponse } from "./structuredReplies.js";
+
+/**
+ * Comment categories, one per tech review perspective
+ */
+export const REVIEW_CATEGORIES = ["architecture", "performance", "innovation"];
+
+/**
+ * Comment severities, most severe first
+ */
+export const REVIEW_SEVERITIES = ["blocker", "major", "minor", "nit"];
+
+// Category of a comment whose reply has none, by the raising member's id
+const MEMBER_CATEGORIES = {
+  architect: "architecture",
+  performance: "performance",
+  innovation: "innovation",
+};
+
+/**
+ * Reads a trimmed string field, or null when it is missing or blank
+ *
+ * @param {*} value - Field value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalText(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Reads a code field, keeping its indentation but not its surrounding blank lines
+ *
+ * @param {*} value - Field value
+ * @returns {string|null} Code or null
+ */
+function optionalCode(value) {
+  return optionalText(value)
+    ? value.replace(/^\s*\n/, "").replace(/\s+$/, "")
+    : null;
+}
+
+/**
+ * Reads a 1-based line number
+ *
+ * @param {*} value - Field value
+ * @returns {number|null} Line number, or null when it is not a positive integer
+ */
+function lineNumber(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Normalises a file path to a repository-relative POSIX path
+ *
+ * @param {string} file - Path from the reply ("./src/a.js", "src\\a.js")
+ * @returns {string} Normalised path
+ */
+function normalizeFilePath(file) {
+  return file
+    .replace(/\\/g, "/")
+    .replace(/^(?:\.\/)+/, "")
+    .replace(/^\/+/, "");
+}
+
+/**
+ * Parses the summarizer's review comments
+ *
+ * Accepts `{ comments: [...] }` with snake_case fields. Comments without a file or a
+ * comment are dropped. Panelists are matched to the roster by name or id; unknown
+ * categories fall back to the raising member's perspective (then `architecture`),
+ * unknown severities become `minor` and comments are numbered TR-001, TR-002, ...
+ *
+ * @param {string} content - Summarizer response content
+ * @param {Array<Object>} [roster] - Panel members
+ * @returns {Array<Object>|null} Comments, or null when unparseable
+ */
+export function parseReviewComments(content, roster = []) {
+  const parsed = parseJsonObject(content);
+  if (!parsed || !Array.isArray(parsed.comments)) {
+    return null;
+  }
+
+  return parsed.comments
+    .filter((item) => optionalText(item?.file) && optionalText(item?.comment))
+    .map((item, index) => {
+      const panelistName = optionalText(item.panelist);
+      const member = panelistName
+        ? roster.find(
+            (candidate) =>
+              candidate.name?.toLowerCase() === panelistName.toLowerCase() ||
+              candidate.id === panelistName.toLowerCase()
+          )
+        : null;
+      const category = String(item.category || "").toLowerCase();
+      const severity = String(item.severity || "").toLowerCase();
+      const startLine = lineNumber(item.start_line);
+      const endLine = startLine
+        ? Math.max(lineNumber(item.end_line) || startLine, startLine)
+        : null;
+
+      return {
+        id: `TR-${String(index + 1).padStart(3, "0")}`,
+        file: normalizeFilePath(item.file.trim()),
+        startLine,
+        endLine,
+        category: REVIEW_CATEGORIES.includes(category)
+          ? category
+          : MEMBER_CATEGORIES[member?.id] || "architecture",
+        severity: REVIEW_SEVERITIES.includes(severity) ? severity : "minor",
+        panelist: member ? member.name : panelistName,
+        comment: item.comment.trim(),
+        originalCode: optionalCode(item.original_code),
+        suggestedChange: optionalCode(item.suggested_change),
+      };
+    });
+}
+
+/**
+ * Replaces each comment's quoted code with the lines on disk
+ *
+ * The summarizer quotes code from memory; when the reviewed repository is at hand the
+ * anchored lines are read back so the diff hunks match the file. Comments whose file
+ * is missing, outside the repository or shorter than the range keep the quote.
+ *
+ * @param {Array<Object>} comments - Comments from parseReviewComments
+ * @param {string} root - Reviewed repository directory
+ * @returns {Promise<Array<Object>>} The comments, updated in place
+ */
+export async function attachSourceLines(comments, root) {
+  const base = path.resolve(root);
+  const files = new Map();
+  for (const comment of comments) {
+    if (!comment.startLine) {
+      continue;
+    }
+    const filePath = path.resolve(base, comment.file);
+    if (path.relative(base, filePath).startsWith("..")) {
+      continue;
+    }
+    if (!files.has(filePath)) {
+      files.set(
+        filePath,
+        await fs
+          .readFile(filePath, "utf8")
+          .then((content) => content.split(/\r?\n/))
+          .catch(() => null)
+      );
+    }
+    const lines = files.get(filePath);
+    if (lines && comment.endLine <= lines.length) {
+      comment.originalCode = lines
+        .slice(comment.startLine - 1, comment.endLine)
+        .join("\n");
+    }
+  }
+  return comments;
+}
+
+/**
+ * Wraps content in a code fence longer than any backtick run inside it
+ *
+ * @param {string} content - Fenced content
+ * @param {string} [language] - Fence language
+ * @returns {string} Fenced block
+ */
+function codeFence(content, language = "") {
+  const longest = Math.max(
+    2,
+    ...(content.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${language}\n${content}\n${fence}`;
+}
+
+/**
+ * Renders a comment's change as a unified-diff hunk
+ *
+ * @param {Object} comment - Comment with `originalCode`, `suggestedChange` and `startLine`
+ * @returns {string} Diff block
+ */
+function diffHunk(comment) {
+  const removed = comment.originalCode.split("\n");
+  const added = comment.suggestedChange.split("\n");
+  return codeFence(
+    [
+      `--- a/${comment.file}`,
+      `+++ b/${comment.file}`,
+      `@@ -${comment.startLine},${removed.length} +${comment.startLine},${added.length} @@`,
+      ...removed.map((line) => `-${line}`),
+      ...added.map((line) => `+${line}`),
+    ].join("\n"),
+    "diff"
+  );
+}
+
+/**
+ * Formats review comments as a markdown report, grouped by file
+ *
+ * Each comment gets a heading with its anchor, severity and category, the panelist and
+ * the comment, then a unified-diff hunk when both the original lines and a code change
+ * are known (otherwise the suggested change on its own).
+ *
+ * @param {Array<Object>} comments - Comments from parseReviewComments
+ * @param {Object} [options] - Report details
+ * @param {string} [options.title] - Report title
+ * @param {string} [options.discussionSubject] - Discussion subject
+ * @returns {string} Markdown report
+ */
+export function formatReviewCommentsMarkdown(
+  comments,
+  { title = "Tech Review Comments", discussionSubject } = {}
+) {
+  const counts = REVIEW_SEVERITIES.map((severity) => ({
+    severity,
+    count: comments.filter((comment) => comment.severity === severity).length,
+  })).filter(({ count }) => count > 0);
+  const lines = [`# ${title}`, ""];
+  if (discussionSubject) {
+    lines.push(`**Discussion Subject**: ${discussionSubject}`);
+  }
+  lines.push(
+    `**Comments**: ${comments.length}${
+      counts.length > 0
+        ? ` (${counts
+            .map(({ severity, count }) => `${count} ${severity}`)
+            .join(", ")})`
+        : ""
+    }`,
+    ""
+  );
+  if (comments.length === 0) {
+    lines.push("The panel raised no line-level comments.", "");
+  }
+
+  const files = [...new Set(comments.map((comment) => comment.file))];
+  for (const file of files) {
+    lines.push(`## ${file}`, "");
+    const fileComments = comments
+      .filter((comment) => comment.file === file)
+      .sort((a, b) => (a.startLine || Infinity) - (b.startLine || Infinity));
+    for (const comment of fileComments) {
+      const anchor = comment.startLine
+        ? comment.endLine > comment.startLine
+          ? `lines ${comment.startLine}-${comment.endLine}`
+          : `line ${comment.startLine}`
+        : "whole file";
+      lines.push(
+        `### ${comment.id} · ${anchor} · ${comment.severity} · ${comment.category}`,
+        ""
+      );
+      if (comment.panelist) {
+        lines.push(`**Raised by**: ${comment.panelist}`, "");
+      }
+      lines.push(comment.comment, "");
+      if (comment.suggestedChange) {
+        if (comment.originalCode && comment.startLine) {
+          lines.push(diffHunk(comment), "");
+        } else {
+          lines.push(
+            "**Suggested change**:",
+            "",
+            codeFence(comment.suggestedChange),
+            ""
+          );
+        }
+      }
+    }
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Asks the summarizer for the panel's anchored review comments
+ *
+ * Runs as the `review_comments` step, through the checkpoint so resumed runs replay
+ * it. With a reviewed repository, the anchored lines are read back from disk.
+ *
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} context.summarizer - Summarizer agent
+ * @param {Array<Object>} context.roster - Panel members
+ * @param {string} context.conversationText - Full panel discussion
+ * @param {string} context.summary - Panel summary
+ * @param {string} context.discussionSubject - Discussion subject
+ * @param {string} [context.repositoryRoot] - Reviewed repository directory
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Promise<Object>} `{ comments }` (null when unparseable), or `{ budgetExceeded, error }`
+ */
+export async function extractReviewComments(context) {
+  const {
+    pipelineData,
+    checkpoint,
+    summarizer,
+    roster,
+    conversationText,
+    summary,
+    discussionSubject,
+    repositoryRoot,
+    logPrefix = "[Review Comments]",
+  } = context;
+
+  console.log(`${logPrefix} 📝 Extracting anchored review comments...`);
+  const commentsPrompt = `Full Panel Discussion:
+${conversationText}
+
+Technical Review Summary:
+${summary}
+
+Discussion Subject: ${discussionSubject}
+
+Panel Members:
+${roster.map((member) => `- ${member.name}: ${member.role}`).join("\n")}
+
+Turn this technical review into code review comments. Write one comment for each concrete change the panel asked for in a specific file. For each comment give:
+- file: the file path, relative to the repository root, as it appears in the reviewed code
+- start_line and end_line: the line range the comment applies to, when the code shows it
+- category: one of ${REVIEW_CATEGORIES.join(", ")}
+- severity: one of ${REVIEW_SEVERITIES.join(", ")}
+- panelist: the name of the panel member who raised it
+- comment: what should change and why, in one to three sentences
+- original_code: the current code at those lines, copied exactly
+- suggested_change: the replacement code for those lines, or an empty string when the change is not a direct edit (describe it in the comment instead)
+
+Leave out points that do not apply to a specific file. Use an empty list when there are none.
+
+Respond with only a JSON object in this format:
+{"comments": [{"file": "src/app.js", "start_line": 10, "end_line": 14, "category": "performance", "severity": "major", "panelist": "...", "comment": "...", "original_code": "...", "suggested_change": "..."}]}`;
+
+  const summarizerConfig = await summarizer(commentsPrompt, "", []);
+  const commentsConfig = withJsonResponse(summarizerConfig);
+  stubDryRunReply(pipelineData, "review_comments", () => ({
+    comments: [
+      {
+        file: "dry-run.md",
+        start_line: 1,
+        end_line: 1,
+        panelist: roster[0]?.name,
+        comment: "[Dry run] Stub review comment from review_comments.",
+      },
+    ],
+  }));
+  const response = await checkpoint.runStep("review_comments", () =>
+    callEverest(commentsConfig, pipelineData, "review_comments")
+  );
+  if (response.budgetExceeded) {
+    return { budgetExceeded: true, error: response.error };
+  }
+
+  const comments = response.error
+    ? null
+    : parseReviewComments(response.message, roster);
+  if (!comments) {
+    const problem = response.error || "reply was not a comment list";
+    console.warn(`${logPrefix} ⚠️ Review comments skipped: ${problem}`);
+    pipelineData.warnings = pipelineData.warnings || [];
+    pipelineData.warnings.push(`Review comments skipped: ${problem}`);
+    return { comments: null };
+  }
+
+  if (repositoryRoot) {
+    await attachSourceLines(comments, repositoryRoot);
+  }
+  console.log(`${logPrefix} 📝 ${comments.length} review comments recorded`);
+  return { comments };
+}
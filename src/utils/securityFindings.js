@@ -0,0 +1,298 @@
+/**
+ * Security Findings Utilities
+ *
+ * This module turns a finished security panel into structured findings. After the
+ * summary, the summarizer lists each confirmed vulnerability with its severity, CWE,
+ * affected component, the attack path the offensive perspective described, the
+ * mitigation from the defensive perspective and the risk rating from the risk
+ * perspective. The pipeline saves the list as `findings.json` and as a SARIF 2.1.0 log
+ * in `findings.sarif`, so code-scanning tools can load the results.
+ *
+ * @module securityFindings
+ */
+
+import { callEverest } from "../services/everest.service.js";
+import { stubDryRunReply } from "./dryRun.js";
+import { parseJsonObject, withJsonResponse } from "./structuredReplies.js";
+
+/**
+ * Finding severities, most severe first
+ */
+export const SEVERITY_LEVELS = ["critical", "high", "medium", "low", "info"];
+
+// SARIF result level and GitHub `security-severity` score for each severity
+const SEVERITY_SARIF = {
+  critical: { level: "error", score: "9.5" },
+  high: { level: "error", score: "8.0" },
+  medium: { level: "warning", score: "5.5" },
+  low: { level: "note", score: "3.0" },
+  info: { level: "note", score: "0.0" },
+};
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const TOOL_URI = "https://github.com/humansinstitute/everest-pipeliner";
+
+// A component that names a file, optionally with a line: "src/auth.js:42"
+const FILE_COMPONENT_PATTERN = /^([\w.\-/\\]+\.[\w]+)(?::(\d+))?$/;
+
+/**
+ * Reads a trimmed string field, or null when it is missing or blank
+ *
+ * @param {*} value - Field value
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalText(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Normalises a CWE reference ("89", "cwe-89", "CWE-89: SQL Injection") to "CWE-89"
+ *
+ * @param {*} value - CWE reference
+ * @returns {string|null} Normalised CWE ID, or null when there is none
+ */
+export function normalizeCwe(value) {
+  const text = String(value ?? "").trim();
+  const match = text.match(/cwe[-\s:]*(\d+)/i) || text.match(/^(\d+)$/);
+  return match ? `CWE-${match[1]}` : null;
+}
+
+/**
+ * Parses the summarizer's findings
+ *
+ * Accepts `{ findings: [...] }` with snake_case fields. Findings without a title are
+ * dropped, unknown severities become `medium` and missing IDs are numbered SEC-001,
+ * SEC-002, ... An empty list is valid: the panel confirmed no vulnerabilities.
+ *
+ * @param {string} content - Summarizer response content
+ * @returns {Array<Object>|null} Findings, or null when unparseable
+ */
+export function parseSecurityFindings(content) {
+  const parsed = parseJsonObject(content);
+  if (!parsed || !Array.isArray(parsed.findings)) {
+    return null;
+  }
+
+  const usedIds = new Set();
+  return parsed.findings
+    .filter((item) => optionalText(item?.title))
+    .map((item, index) => {
+      let id =
+        optionalText(item.id) || `SEC-${String(index + 1).padStart(3, "0")}`;
+      if (usedIds.has(id)) {
+        id = `${id}-${index + 1}`;
+      }
+      usedIds.add(id);
+
+      const severity = String(item.severity || "").toLowerCase();
+      return {
+        id,
+        title: item.title.trim(),
+        severity: SEVERITY_LEVELS.includes(severity) ? severity : "medium",
+        cwe: normalizeCwe(item.cwe),
+        component: optionalText(item.component),
+        description: optionalText(item.description),
+        attackPath: optionalText(item.attack_path),
+        mitigation: optionalText(item.mitigation),
+        riskRating: optionalText(item.risk_rating),
+      };
+    });
+}
+
+/**
+ * Builds the SARIF location for a finding's component
+ *
+ * File components ("src/auth.js:42") become physical locations so code-scanning tools
+ * can annotate the file; anything else ("login form") becomes a logical location.
+ *
+ * @param {string|null} component - Affected component
+ * @returns {Array<Object>} SARIF locations
+ */
+function sarifLocations(component) {
+  if (!component) {
+    return [];
+  }
+  const file = component.match(FILE_COMPONENT_PATTERN);
+  if (file) {
+    return [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: file[1].replace(/\\/g, "/") },
+          ...(file[2] && { region: { startLine: Number(file[2]) } }),
+        },
+      },
+    ];
+  }
+  return [{ logicalLocations: [{ name: component, kind: "module" }] }];
+}
+
+/**
+ * Builds a SARIF 2.1.0 log from the findings
+ *
+ * Each finding becomes a rule (title, description, mitigation as help, CWE tag and
+ * `security-severity`) and a result that points at the affected component.
+ *
+ * @param {Array<Object>} findings - Findings from parseSecurityFindings
+ * @param {Object} [options] - Run details
+ * @param {string} [options.toolName] - Tool driver name
+ * @param {string} [options.toolVersion] - Tool driver version
+ * @param {string} [options.runId] - Pipeline run ID
+ * @param {string} [options.discussionSubject] - Discussion subject
+ * @returns {Object} SARIF log
+ */
+export function buildSarifLog(
+  findings,
+  {
+    toolName = "Pipeliner Security Panel",
+    toolVersion,
+    runId,
+    discussionSubject,
+  } = {}
+) {
+  const rules = findings.map((finding) => ({
+    id: finding.id,
+    name: finding.title,
+    shortDescription: { text: finding.title },
+    fullDescription: { text: finding.description || finding.title },
+    ...(finding.mitigation && { help: { text: finding.mitigation } }),
+    defaultConfiguration: { level: SEVERITY_SARIF[finding.severity].level },
+    properties: {
+      tags: ["security", ...(finding.cwe ? [finding.cwe] : [])],
+      "security-severity": SEVERITY_SARIF[finding.severity].score,
+    },
+  }));
+
+  const results = findings.map((finding, index) => ({
+    ruleId: finding.id,
+    ruleIndex: index,
+    level: SEVERITY_SARIF[finding.severity].level,
+    message: {
+      text: finding.attackPath
+        ? `${finding.title}. Attack path: ${finding.attackPath}`
+        : finding.title,
+    },
+    locations: sarifLocations(finding.component),
+    properties: {
+      severity: finding.severity,
+      ...(finding.cwe && { cwe: finding.cwe }),
+      ...(finding.component && { component: finding.component }),
+      ...(finding.attackPath && { attackPath: finding.attackPath }),
+      ...(finding.mitigation && { mitigation: finding.mitigation }),
+      ...(finding.riskRating && { riskRating: finding.riskRating }),
+    },
+  }));
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: toolName,
+            ...(toolVersion && { version: toolVersion }),
+            informationUri: TOOL_URI,
+            rules,
+          },
+        },
+        ...(runId && { automationDetails: { id: `security-panel/${runId}` } }),
+        ...(discussionSubject && {
+          properties: { discussionSubject },
+        }),
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Asks the summarizer for the panel's findings
+ *
+ * Runs as the `security_findings` step, through the checkpoint so resumed runs replay
+ * it. The panel members are listed so the summarizer can credit the attack path,
+ * mitigation and risk rating to the right perspectives.
+ *
+ * @param {Object} context - Run context
+ * @param {Object} context.pipelineData - The pipeline data object
+ * @param {Object} context.checkpoint - Checkpoint from openCheckpoint
+ * @param {Function} context.summarizer - Summarizer agent
+ * @param {Array<Object>} context.roster - Panel members
+ * @param {string} context.conversationText - Full panel discussion
+ * @param {string} context.summary - Panel summary
+ * @param {string} context.discussionSubject - Discussion subject
+ * @param {string} [context.logPrefix] - Log prefix
+ * @returns {Promise<Object>} `{ findings }` (null when unparseable), or `{ budgetExceeded, error }`
+ */
+export async function extractSecurityFindings(context) {
+  const {
+    pipelineData,
+    checkpoint,
+    summarizer,
+    roster,
+    conversationText,
+    summary,
+    discussionSubject,
+    logPrefix = "[Findings]",
+  } = context;
+
+  console.log(`${logPrefix} 🔎 Extracting structured security findings...`);
+  const findingsPrompt = `Full Panel Discussion:
+${conversationText}
+
+Security Assessment Summary:
+${summary}
+
+Discussion Subject: ${discussionSubject}
+
+Panel Members:
+${roster.map((member) => `- ${member.name}: ${member.role}`).join("\n")}
+
+List every confirmed vulnerability from this security review as a structured finding. For each finding give:
+- id: a short stable ID such as "SEC-001"
+- title: one line naming the vulnerability
+- severity: one of ${SEVERITY_LEVELS.join(", ")}
+- cwe: the closest CWE ID, such as "CWE-89"
+- component: the affected component, as a file path (with ":line" when known) if the panel named one
+- description: what is wrong, in one or two sentences
+- attack_path: how the offensive perspective showed it could be exploited
+- mitigation: the fix or control the defensive perspective recommended
+- risk_rating: the risk assessment perspective's rating and business impact
+
+Include only vulnerabilities the panel confirmed. Use an empty list when there are none.
+
+Respond with only a JSON object in this format:
+{"findings": [{"id": "SEC-001", "title": "...", "severity": "high", "cwe": "CWE-89", "component": "...", "description": "...", "attack_path": "...", "mitigation": "...", "risk_rating": "..."}]}`;
+
+  const summarizerConfig = await summarizer(findingsPrompt, "", []);
+  const findingsConfig = withJsonResponse(summarizerConfig);
+  stubDryRunReply(pipelineData, "security_findings", () => ({
+    findings: [
+      {
+        id: "SEC-001",
+        title: "[Dry run] Stub finding from security_findings",
+        severity: "info",
+        description: "[Dry run] Stub finding from security_findings.",
+      },
+    ],
+  }));
+  const response = await checkpoint.runStep("security_findings", () =>
+    callEverest(findingsConfig, pipelineData, "security_findings")
+  );
+  if (response.budgetExceeded) {
+    return { budgetExceeded: true, error: response.error };
+  }
+
+  const findings = response.error
+    ? null
+    : parseSecurityFindings(response.message);
+  if (!findings) {
+    const problem = response.error || "reply was not a findings list";
+    console.warn(`${logPrefix} ⚠️ Security findings skipped: ${problem}`);
+    pipelineData.warnings = pipelineData.warnings || [];
+    pipelineData.warnings.push(`Security findings skipped: ${problem}`);
+    return { findings: null };
+  }
+
+  console.log(`${logPrefix} 🔎 ${findings.length} security findings recorded`);
+  return { findings };
+}
@@ -0,0 +1,53 @@
+/**
+ * Structured Reply Utilities
+ *
+ * Helpers shared by the phases that ask an agent for a JSON reply (panel voting,
+ * security findings, review comments, control coverage, debate scoring and the
+ * convergence judge): requesting JSON, reading it back and writing its fields into
+ * markdown tables.
+ *
+ * @module structuredReplies
+ */
+
+/**
+ * Asks an agent for a JSON-only reply
+ *
+ * @param {Object} agentConfig - Agent config
+ * @returns {Object} Copy of the config with a JSON response format
+ */
+export function withJsonResponse(agentConfig) {
+  return {
+    ...agentConfig,
+    model: { ...agentConfig.model, response_format: { type: "json_object" } },
+  };
+}
+
+/**
+ * Parses the first JSON object in an agent response
+ *
+ * @param {string} content - Response content, possibly wrapped in prose or a code fence
+ * @returns {Object|null} Parsed object, or null when there is none
+ */
+export function parseJsonObject(content) {
+  const match = String(content || "").match(/\{[\s\S]*\}/);
+  if (!match) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Escapes text for a markdown table cell
+ *
+ * @param {string} text - Cell text
+ * @returns {string} Text with pipes escaped and line breaks flattened
+ */
+export function tableCell(text) {
+  return String(text)
+    .replace(/\|/g, "\\|")
+    .replace(/\s*\n\s*/g, " ");
+}
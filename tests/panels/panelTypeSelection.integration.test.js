@@ -74,7 +74,8 @@ describe("Panel Type Selection Integration Tests", () => {
       expect(panelTypes).toContain("discussion");
       expect(panelTypes).toContain("security");
       expect(panelTypes).toContain("techreview");
-      expect(panelTypes.length).toBe(3);
+      expect(panelTypes).toContain("debate");
+      expect(panelTypes.length).toBe(4);
     });
 
     test("should validate panel types correctly", () => {
@@ -163,7 +164,10 @@ describe("Panel Type Selection Integration Tests", () => {
         expect(agentInfo).toBeDefined();
         expect(agentInfo.panelType).toBe(panelType);
         expect(agentInfo.agents).toBeDefined();
-        expect(Object.keys(agentInfo.agents)).toHaveLength(5); // moderator, panel1, panel2, panel3, summarizer
+        // moderator, one agent per panel member, summarizer
+        expect(Object.keys(agentInfo.agents)).toHaveLength(
+          createPanelConfig(panelType).getRoster().length + 2
+        );
       });
     });
   });
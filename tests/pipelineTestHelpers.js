@@ -0,0 +1,76 @@
+/**
+ * Shared helpers for pipeline tests that stand in for the Everest API
+ *
+ * Call mockEverest() before dynamically importing the modules under test, so they
+ * pick up the mocked callEverest.
+ */
+
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import { fileURLToPath } from "url";
+
+// Absolute path: relative mock paths resolve from the setup file, not the test file
+const everestServicePath = fileURLToPath(
+  new URL("../src/services/everest.service.js", import.meta.url)
+);
+
+/**
+ * Replaces callEverest with a jest mock that is reset before each test
+ * @returns {Function} The callEverest mock
+ */
+export function mockEverest() {
+  const mockCallEverest = jest.fn();
+  jest.unstable_mockModule(everestServicePath, () => ({
+    callEverest: mockCallEverest,
+  }));
+  beforeEach(() => {
+    mockCallEverest.mockReset();
+  });
+  return mockCallEverest;
+}
+
+/**
+ * Removes the directories a test pushes onto the returned list (run output folders,
+ * temporary repositories) after each test
+ * @returns {Array<string>} Directories to remove
+ */
+export function removeDirsAfterEach() {
+  const dirs = [];
+  afterEach(async () => {
+    for (const dir of dirs.splice(0)) {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+  return dirs;
+}
+
+/**
+ * Answers moderated panel calls: moderator steps get a decision and every other step
+ * gets `reply(stepId)`, or "Response for <stepId>" when that returns nothing
+ * @param {Function} mockCallEverest - The callEverest mock
+ * @param {Object} [replies] - Replies
+ * @param {Object|string|Function} [replies.moderator] - Decision object or raw reply, or a function of the step ID returning one
+ * @param {Function} [replies.reply] - Reply for other steps by step ID
+ */
+export function respondAsPanel(
+  mockCallEverest,
+  { moderator = { next_speaker: "panel_1" }, reply = () => undefined } = {}
+) {
+  mockCallEverest.mockImplementation(
+    async (agentConfig, pipelineData, stepId) => {
+      if (!stepId.startsWith("moderator")) {
+        return {
+          callID: `call-${stepId}`,
+          message: reply(stepId) ?? `Response for ${stepId}`,
+        };
+      }
+      const decision =
+        typeof moderator === "function" ? moderator(stepId) : moderator;
+      return {
+        callID: `call-${stepId}`,
+        message:
+          typeof decision === "string" ? decision : JSON.stringify(decision),
+      };
+    }
+  );
+}
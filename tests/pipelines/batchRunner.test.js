@@ -0,0 +1,269 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  runBatch,
+  runWithConcurrency,
+  listBatchFiles,
+  getBatchSourceDir,
+  parseBatchArgs,
+} from "../../src/pipelines/batch/index.js";
+
+describe("Batch Runner", () => {
+  let workDir;
+  let sourceDir;
+  let outputDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "batch-runner-"));
+    sourceDir = path.join(workDir, "ip");
+    outputDir = path.join(workDir, "output");
+    await fs.mkdir(sourceDir, { recursive: true });
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const writeSources = (files) =>
+    Promise.all(
+      Object.entries(files).map(([name, content]) =>
+        fs.writeFile(path.join(sourceDir, name), content, "utf-8")
+      )
+    );
+
+  // Pipeline result shaped like the dialogue pipeline's
+  const createResult = (runId, overrides = {}) => ({
+    runId,
+    pipeline: {
+      runId,
+      status: "completed",
+      steps: [{ stepId: "agent1_initial" }],
+      costs: { totalCost: 0.02, totalTokens: 300 },
+    },
+    files: { data: path.join(outputDir, "dialogue", runId, "data.json") },
+    ...overrides,
+  });
+
+  const createRegistry = (execute) => ({
+    getPipeline: (name) =>
+      name === "dialogue" ? { name: "dialogue", execute } : undefined,
+  });
+
+  describe("getBatchSourceDir", () => {
+    test("should use each pipeline's source folder", () => {
+      expect(getBatchSourceDir("dialogue")).toBe(
+        path.join("output", "dialogue", "ip")
+      );
+      expect(getBatchSourceDir("contentWaterfall")).toBe(
+        path.join("output", "waterfall", "ip")
+      );
+      expect(
+        getBatchSourceDir("moderatedPanel", { panelType: "security" })
+      ).toBe(path.join("input", "security"));
+      expect(getBatchSourceDir("critiqueRefine")).toBeNull();
+    });
+  });
+
+  describe("listBatchFiles", () => {
+    test("should list .md and .txt files in name order", async () => {
+      await writeSources({ "b.txt": "B", "a.md": "A", "notes.json": "{}" });
+
+      const files = await listBatchFiles(sourceDir);
+
+      expect(files.map((file) => file.name)).toEqual(["a.md", "b.txt"]);
+      expect(files[0].path).toBe(path.join(sourceDir, "a.md"));
+    });
+
+    test("should reject a missing directory", async () => {
+      await expect(listBatchFiles(path.join(workDir, "none"))).rejects.toThrow(
+        "Cannot read source directory"
+      );
+    });
+  });
+
+  describe("runWithConcurrency", () => {
+    test("should cap in-flight work and keep result order", async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      const results = await runWithConcurrency(
+        [30, 10, 20, 5],
+        2,
+        async (delay, index) => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, delay));
+          inFlight--;
+          return index;
+        }
+      );
+
+      expect(maxInFlight).toBe(2);
+      expect(results).toEqual([0, 1, 2, 3]);
+    });
+  });
+
+  describe("runBatch", () => {
+    test("should run every file with shared config and report totals", async () => {
+      await writeSources({ "one.md": "First source", "two.txt": "Second" });
+      const execute = jest.fn(async (config) =>
+        createResult(`run-${config.sourceText.length}`)
+      );
+
+      const report = await runBatch(
+        "dialogue",
+        { discussionPrompt: "Discuss it", dryRun: true },
+        { sourceDir, outputDir, registry: createRegistry(execute) }
+      );
+
+      expect(execute).toHaveBeenCalledWith({
+        discussionPrompt: "Discuss it",
+        dryRun: true,
+        sourceText: "First source",
+      });
+      expect(report.totals).toEqual({
+        files: 2,
+        completed: 2,
+        partial: 0,
+        failed: 0,
+        totalCost: 0.04,
+        totalTokens: 600,
+      });
+      expect(report.files[0]).toMatchObject({
+        file: "one.md",
+        status: "completed",
+        runId: "run-12",
+        cost: 0.02,
+        outputFolder: path.join(outputDir, "dialogue", "run-12"),
+      });
+      expect(report.files[0].durationMs).toEqual(expect.any(Number));
+    });
+
+    test("should isolate failing files", async () => {
+      await writeSources({
+        "a.md": "throws",
+        "b.md": "invalid",
+        "c.md": "   ",
+        "d.md": "budget",
+        "e.md": "fine",
+      });
+      const execute = jest.fn(async ({ sourceText }) => {
+        if (sourceText === "throws") {
+          throw new Error("sourceText and discussionSubject are required");
+        }
+        if (sourceText === "invalid") {
+          return {
+            runId: "run-b",
+            error: "Configuration validation failed",
+            errors: ["discussionPrompt is required"],
+            pipeline: { runId: "run-b", status: "failed", steps: [] },
+          };
+        }
+        if (sourceText === "budget") {
+          const result = createResult("run-d", {
+            stopReason: "Cost budget reached",
+          });
+          result.pipeline.status = "partial";
+          return result;
+        }
+        return createResult("run-e");
+      });
+
+      const report = await runBatch(
+        "dialogue",
+        {},
+        { sourceDir, outputDir, registry: createRegistry(execute) }
+      );
+
+      expect(report.files.map((entry) => entry.status)).toEqual([
+        "failed",
+        "failed",
+        "failed",
+        "partial",
+        "completed",
+      ]);
+      expect(report.files[0].error).toBe(
+        "sourceText and discussionSubject are required"
+      );
+      expect(report.files[1].error).toBe(
+        "Configuration validation failed: discussionPrompt is required"
+      );
+      expect(report.files[2].error).toContain("empty");
+      expect(report.files[3].stopReason).toBe("Cost budget reached");
+      expect(report.totals).toMatchObject({
+        completed: 1,
+        partial: 1,
+        failed: 3,
+      });
+    });
+
+    test("should write JSON and markdown reports", async () => {
+      await writeSources({ "one.md": "First source" });
+
+      const report = await runBatch(
+        "dialogue",
+        {},
+        {
+          sourceDir,
+          outputDir,
+          registry: createRegistry(async () => createResult("run-1")),
+        }
+      );
+
+      const saved = JSON.parse(
+        await fs.readFile(report.reportFiles.report, "utf-8")
+      );
+      const markdown = await fs.readFile(report.reportFiles.markdown, "utf-8");
+      expect(path.dirname(report.reportFiles.report)).toContain(
+        path.join(outputDir, "batch", "dialogue")
+      );
+      expect(saved.totals.files).toBe(1);
+      expect(markdown).toContain("# Batch Report: dialogue");
+      expect(markdown).toContain("| one.md | completed | $0.0200 |");
+    });
+
+    test("should reject unknown pipelines and bad concurrency", async () => {
+      const registry = createRegistry(jest.fn());
+
+      await expect(
+        runBatch("missing", {}, { sourceDir, registry })
+      ).rejects.toThrow("Pipeline 'missing' not found");
+      await expect(
+        runBatch("dialogue", {}, { sourceDir, registry, concurrency: 0 })
+      ).rejects.toThrow("concurrency must be an integer between 1 and 10");
+    });
+  });
+
+  describe("parseBatchArgs", () => {
+    test("should split batch options from pipeline inputs", async () => {
+      const parsed = await parseBatchArgs([
+        "moderatedPanel",
+        "--dir",
+        "input/security",
+        "--concurrency",
+        "3",
+        "--panelInteractions",
+        "4",
+        "--discussionSubject",
+        "Review this",
+        "--dry-run",
+      ]);
+
+      expect(parsed).toEqual({
+        pipelineName: "moderatedPanel",
+        config: {
+          panelInteractions: 4,
+          discussionSubject: "Review this",
+          dryRun: true,
+        },
+        options: { sourceDir: "input/security", concurrency: 3 },
+      });
+    });
+
+    test("should require a pipeline name", async () => {
+      await expect(parseBatchArgs(["--dir", "x"])).rejects.toThrow("Usage:");
+    });
+  });
+});
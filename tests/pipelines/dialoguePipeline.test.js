@@ -139,6 +139,55 @@ describe("Dialogue Pipeline", () => {
         expect(result.errors).toContain("iterations must be an integer");
       });
 
+      test("should accept and sanitize budget limits", () => {
+        const result = validateDialogueConfig({
+          ...validConfig,
+          maxCost: 0.5,
+          maxTokens: 20000,
+        });
+
+        expect(result.isValid).toBe(true);
+        expect(result.sanitizedConfig.maxCost).toBe(0.5);
+        expect(result.sanitizedConfig.maxTokens).toBe(20000);
+      });
+
+      test("should fail validation for invalid budget limits", () => {
+        const result = validateDialogueConfig({ ...validConfig, maxCost: 0 });
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toContain("maxCost must be a positive number");
+      });
+
+      test("should resolve convergence options with defaults", () => {
+        const result = validateDialogueConfig({
+          ...validConfig,
+          convergence: { judge: true },
+        });
+
+        expect(result.isValid).toBe(true);
+        expect(result.sanitizedConfig.convergence).toEqual({
+          threshold: 0.75,
+          minTurns: 3,
+          judge: true,
+          judgeConfidence: 0.75,
+        });
+        expect(
+          validateDialogueConfig(validConfig).sanitizedConfig.convergence
+        ).toBeUndefined();
+      });
+
+      test("should fail validation for invalid convergence options", () => {
+        const result = validateDialogueConfig({
+          ...validConfig,
+          convergence: { threshold: 2 },
+        });
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toContain(
+          "convergence.threshold must be a number between 0 and 1"
+        );
+      });
+
       test("should fail validation for iterations out of bounds (too low)", () => {
         const invalidConfig = { ...validConfig, iterations: 0 };
 
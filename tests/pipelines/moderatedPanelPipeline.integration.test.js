@@ -97,8 +97,8 @@ describe("Moderated Panel Pipeline - Integration Tests", () => {
           const result = await runPipeline(config);
 
           // Validate panel stats
-          const totalResponses = Object.values(result.result.panelStats).reduce(
-            (a, b) => a + b,
+          const totalResponses = result.result.metadata.roster.reduce(
+            (total, member) => total + result.result.panelStats[member.id],
             0
           );
           expect(totalResponses).toBe(panelInteractions);
@@ -241,8 +241,8 @@ describe("Moderated Panel Pipeline - Integration Tests", () => {
         const panelStats = result.result.panelStats;
 
         // Balanced participation check
-        const totalPanelResponses = Object.values(panelStats).reduce(
-          (a, b) => a + b,
+        const totalPanelResponses = result.result.metadata.roster.reduce(
+          (total, member) => total + panelStats[member.id],
           0
         );
         expect(totalPanelResponses).toBe(config.panelInteractions);
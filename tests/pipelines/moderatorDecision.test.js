@@ -0,0 +1,169 @@
+import { promises as fs } from "fs";
+import path from "path";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const { runPipeline, validateModeratorDecision, parseModeratorResponse } =
+  await import("../../src/pipelines/moderatedPanelPipeline.js");
+
+const config = {
+  sourceText: "Test source material about renewable energy.",
+  discussionSubject: "What limits renewable energy adoption?",
+  panelInteractions: 2,
+};
+
+/**
+ * Mocks Everest with scripted moderator replies and plain panel responses
+ */
+function mockModeratorReplies(replies) {
+  respondAsPanel(mockCallEverest, { moderator: () => replies.shift() });
+}
+
+const decision = (nextSpeaker) =>
+  JSON.stringify({
+    moderator_response: "Over to you.",
+    next_speaker: nextSpeaker,
+  });
+
+describe("moderator decisions", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("validateModeratorDecision", () => {
+    test("should accept a decision that names a panel member", () => {
+      expect(
+        validateModeratorDecision({
+          moderator_response: "Welcome",
+          next_speaker: "panel_3",
+          moderator_responds: false,
+        })
+      ).toEqual([]);
+      expect(validateModeratorDecision({ next_speaker: "Mike" })).toEqual([]);
+    });
+
+    test("should report missing fields, wrong types and unknown speakers", () => {
+      expect(validateModeratorDecision(["panel_1"])).toEqual([
+        "Decision must be a JSON object",
+      ]);
+      expect(
+        validateModeratorDecision({
+          moderator_response: 42,
+          moderator_responds: "no",
+        })
+      ).toEqual([
+        "Missing required field: next_speaker",
+        "moderator_response must be a string",
+        "moderator_responds must be a boolean",
+      ]);
+      expect(validateModeratorDecision({ next_speaker: " " })).toEqual([
+        "next_speaker must not be empty",
+      ]);
+      expect(validateModeratorDecision({ next_speaker: "panel_4" })).toEqual([
+        "Invalid speaker: panel_4. Expected panel_1, panel_2, panel_3",
+      ]);
+    });
+
+    test("should report non-JSON replies in the parser fallback", () => {
+      const result = parseModeratorResponse("Over to the explorer", "test");
+
+      expect(result.next_speaker).toBe("explorer");
+      expect(result.parsing_error).toMatch(/^Reply is not valid JSON: /);
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    test("should repair an invalid reply before using it", async () => {
+      mockModeratorReplies([
+        "I think the explorer should go first.",
+        decision("panel_3"),
+        decision("panel_1"),
+      ]);
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "moderator_setup_repair_1",
+        "explorer_interaction_1",
+        "moderator_decision_1",
+        "challenger_interaction_2",
+        "panel_summary",
+      ]);
+      const repairPrompt = calls[1][0].chat.userPrompt;
+      expect(repairPrompt).toContain("This is the beginning of a panel");
+      expect(repairPrompt).toContain("- Reply is not valid JSON: ");
+      expect(repairPrompt).toContain("I think the explorer should go first.");
+      expect(repairPrompt).toContain(
+        "Reply again with only a JSON object that matches this schema"
+      );
+
+      const { panelStats, moderatorDecisions } = pipeline.result;
+      expect(panelStats).toMatchObject({
+        moderatorRepairs: 1,
+        moderatorFallbacks: 0,
+      });
+      expect(moderatorDecisions[0]).toMatchObject({
+        next_speaker: "explorer",
+        repairs: 1,
+      });
+      expect(moderatorDecisions[0].parsing_error).toBeUndefined();
+
+      const summary = await fs.readFile(pipeline.files.summary, "utf8");
+      expect(summary).toContain("- **Moderator Repairs**: 1");
+      expect(summary).toContain("- **Total Moderator Decisions**: 2");
+    });
+
+    test("should fall back after the last repair and count it", async () => {
+      mockModeratorReplies([
+        decision("panel_9"),
+        decision("panel_9"),
+        decision("nobody"),
+        "Let the challenger respond.",
+      ]);
+
+      const pipeline = await runPipeline({ ...config, moderatorRepairs: 1 });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      expect(mockCallEverest.mock.calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "moderator_setup_repair_1",
+        "analyst_interaction_1",
+        "moderator_decision_1",
+        "moderator_decision_1_repair_1",
+        "challenger_interaction_2",
+        "panel_summary",
+      ]);
+
+      const { panelStats, moderatorDecisions } = pipeline.result;
+      expect(panelStats).toMatchObject({
+        analyst: 1,
+        challenger: 1,
+        moderatorRepairs: 2,
+        moderatorFallbacks: 2,
+      });
+      expect(moderatorDecisions.map((entry) => entry.context)).toEqual([
+        "setup_fallback",
+        "decision_1_fallback",
+      ]);
+
+      const conversation = await fs.readFile(
+        pipeline.files.conversation,
+        "utf8"
+      );
+      expect(conversation).toContain("- **Moderator Fallbacks**: 2");
+    });
+
+    test("should reject an out-of-range moderatorRepairs", async () => {
+      await expect(
+        runPipeline({ ...config, moderatorRepairs: 6 })
+      ).rejects.toThrow("moderatorRepairs must be an integer between 0 and 5");
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,437 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import path from "path";
+import { addStepCost } from "../../src/utils/pipelineCost.js";
+import { mockEverest, removeDirsAfterEach } from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  multiPartyDialoguePipeline,
+  validateMultiPartyDialogueConfig,
+  resolveParticipants,
+  parseAddressedSpeaker,
+  selectNextSpeaker,
+  buildParticipantHistory,
+  pipelineInfo,
+} = await import("../../src/pipelines/multiPartyDialoguePipeline.js");
+const { buildPersonaPrompt } = await import(
+  "../../src/agents/dialogue/personas.js"
+);
+
+describe("Multi-Party Dialogue Pipeline", () => {
+  const validConfig = {
+    sourceText: "Test source material about renewable energy.",
+    discussionPrompt: "What are the trade-offs of renewable energy?",
+    participants: ["explorer", "skeptic", "pragmatist"],
+    rounds: 1,
+  };
+
+  const roster = resolveParticipants([
+    "explorer",
+    "skeptic",
+    "pragmatist",
+  ]).participants;
+
+  // Responds like callEverest, recording the step cost on the run
+  const respondWith = (contentFor) =>
+    mockCallEverest.mockImplementation(
+      async (agentConfig, pipelineData, stepId) => {
+        const response = createMockEverestResponse({
+          callID: `call-${stepId}`,
+          response: { content: contentFor(stepId) },
+          usage: {
+            cost: 0.001,
+            prompt_tokens: 80,
+            completion_tokens: 20,
+            total_tokens: 100,
+          },
+        });
+        addStepCost(pipelineData, stepId, response);
+        return response;
+      }
+    );
+
+  const outputDirs = removeDirsAfterEach();
+
+  const run = async (config, options) => {
+    const result = await multiPartyDialoguePipeline(config, options);
+    if (result.files) {
+      outputDirs.push(path.dirname(result.files.data));
+    }
+    return result;
+  };
+
+  describe("resolveParticipants", () => {
+    test("should resolve persona IDs with their own model and temperature", () => {
+      expect(roster.map((participant) => participant.name)).toEqual([
+        "Explorer",
+        "Skeptic",
+        "Pragmatist",
+      ]);
+      expect(roster[0]).toMatchObject({
+        id: "explorer",
+        model: "x-ai/grok-4",
+        temperature: 0.8,
+      });
+    });
+
+    test("should accept overrides, custom personas and repeated personas", () => {
+      const { errors, participants } = resolveParticipants([
+        { persona: "skeptic", model: "openai/gpt-4.1", temperature: 0.2 },
+        "skeptic",
+        {
+          name: "Economist",
+          description: "You are an economist focused on incentives.",
+        },
+      ]);
+
+      expect(errors).toEqual([]);
+      expect(participants[0]).toMatchObject({
+        model: "openai/gpt-4.1",
+        temperature: 0.2,
+      });
+      expect(participants[1]).toMatchObject({
+        id: "skeptic_2",
+        name: "Skeptic 2",
+      });
+      expect(participants[2]).toMatchObject({
+        id: "economist",
+        name: "Economist",
+        persona: "You are an economist focused on incentives.",
+      });
+    });
+
+    test("should reject bad rosters", () => {
+      expect(resolveParticipants(["explorer", "skeptic"]).errors).toContain(
+        "participants must list between 3 and 6 personas"
+      );
+      expect(
+        resolveParticipants(["explorer", "skeptic", "nobody"]).errors[0]
+      ).toContain('unknown persona "nobody"');
+      expect(
+        resolveParticipants([
+          "explorer",
+          "skeptic",
+          { persona: "referee", temperature: 3 },
+        ]).errors
+      ).toEqual([
+        "participants[2].temperature must be a number between 0 and 2",
+      ]);
+      expect(
+        resolveParticipants(["explorer", "skeptic", { name: "Anon" }]).errors[0]
+      ).toContain("needs a persona ID, or a name and description");
+    });
+  });
+
+  describe("validateMultiPartyDialogueConfig", () => {
+    test("should apply defaults", () => {
+      const result = validateMultiPartyDialogueConfig({
+        sourceText: validConfig.sourceText,
+        discussionPrompt: validConfig.discussionPrompt,
+      });
+
+      expect(result.isValid).toBe(true);
+      expect(result.sanitizedConfig).toMatchObject({
+        turnOrder: "round-robin",
+        rounds: 2,
+      });
+      expect(
+        result.sanitizedConfig.participants.map((participant) => participant.id)
+      ).toEqual(["explorer", "referee", "pragmatist"]);
+    });
+
+    test("should reject invalid turn order and rounds", () => {
+      const result = validateMultiPartyDialogueConfig({
+        ...validConfig,
+        turnOrder: "loudest",
+        rounds: 9,
+      });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        "turnOrder must be one of: round-robin, random, addressed",
+        "rounds must be between 1 and 5",
+      ]);
+    });
+  });
+
+  describe("turn order", () => {
+    test("should cycle participants round-robin", () => {
+      expect(selectNextSpeaker("round-robin", roster, 0).index).toBe(1);
+      expect(selectNextSpeaker("round-robin", roster, 2).index).toBe(0);
+    });
+
+    test("should never pick the previous speaker at random", () => {
+      expect(selectNextSpeaker("random", roster, 1, "", () => 0).index).toBe(2);
+      expect(selectNextSpeaker("random", roster, 1, "", () => 0.99).index).toBe(
+        0
+      );
+    });
+
+    test("should follow the addressed speaker", () => {
+      expect(
+        selectNextSpeaker(
+          "addressed",
+          roster,
+          0,
+          "Good point.\n\nNext speaker: **Pragmatist**"
+        )
+      ).toEqual({ index: 2, addressed: true });
+    });
+
+    test("should fall back to the last name mentioned, then round-robin", () => {
+      expect(
+        parseAddressedSpeaker(
+          "Pragmatist said cost; Skeptic, do you agree?",
+          roster,
+          0
+        )
+      ).toBe(1);
+      expect(parseAddressedSpeaker("As Explorer, I wonder", roster, 0)).toBe(
+        null
+      );
+      expect(
+        selectNextSpeaker("addressed", roster, 0, "No names here")
+      ).toEqual({ index: 1, addressed: false });
+    });
+
+    test("should ask for a hand-off line only in addressed mode", () => {
+      expect(buildPersonaPrompt(roster[0], roster, "addressed")).toContain(
+        '"Next speaker: <name>"'
+      );
+      expect(
+        buildPersonaPrompt(roster[0], roster, "round-robin")
+      ).not.toContain("Next speaker");
+    });
+  });
+
+  describe("buildParticipantHistory", () => {
+    test("should show own turns as assistant and others as named user turns", () => {
+      const history = buildParticipantHistory(
+        [
+          { agent: "Explorer", participantId: "explorer", content: "Idea" },
+          { agent: "Skeptic", participantId: "skeptic", content: "Doubt" },
+        ],
+        "skeptic"
+      );
+
+      expect(history).toEqual([
+        { role: "user", content: "Explorer: Idea" },
+        { role: "assistant", content: "Doubt" },
+      ]);
+    });
+  });
+
+  describe("multiPartyDialoguePipeline", () => {
+    test("should run every persona with its own model and record persona stats", async () => {
+      respondWith((stepId) => `Response for ${stepId}`);
+
+      const result = await run(validConfig);
+
+      expect(result.error).toBeUndefined();
+      expect(
+        result.conversation.map((entry) => `${entry.turn}:${entry.agent}`)
+      ).toEqual(["1:Explorer", "2:Skeptic", "3:Pragmatist"]);
+      expect(
+        mockCallEverest.mock.calls.map(([agentConfig, , stepId]) => [
+          stepId,
+          agentConfig.model.model,
+          agentConfig.model.temperature,
+        ])
+      ).toEqual([
+        ["turn_1_explorer", "x-ai/grok-4", 0.8],
+        ["turn_2_skeptic", "anthropic/claude-3-5-sonnet", 0.6],
+        ["turn_3_pragmatist", "openai/gpt-4.1", 0.5],
+        ["conversation_summary", expect.any(String), expect.any(Number)],
+      ]);
+      expect(result.personaStats[1]).toMatchObject({
+        name: "Skeptic",
+        turns: 1,
+        words: 3,
+        cost: 0.001,
+        tokensIn: 80,
+        tokensOut: 20,
+      });
+
+      const data = JSON.parse(await fs.readFile(result.files.data, "utf8"));
+      const markdown = await fs.readFile(result.files.conversation, "utf8");
+      expect(data.personaStats).toHaveLength(3);
+      expect(data.turnOrder).toBe("round-robin");
+      expect(markdown).toContain(
+        "| Skeptic | anthropic/claude-3-5-sonnet | 0.6 | 1 | 3 | 0 | $0.0010 |"
+      );
+      expect(markdown).toContain("### Turn 2 - Skeptic");
+    });
+
+    test("should hand turns to the addressed participant", async () => {
+      respondWith((stepId) =>
+        stepId === "turn_1_explorer"
+          ? "Interesting.\nNext speaker: Pragmatist"
+          : "Fair.\nNext speaker: Explorer"
+      );
+
+      const result = await run({ ...validConfig, turnOrder: "addressed" });
+
+      expect(result.conversation.map((entry) => entry.agent)).toEqual([
+        "Explorer",
+        "Pragmatist",
+        "Explorer",
+      ]);
+      expect(result.conversation[1].addressedBy).toBe("Explorer");
+      expect(
+        result.personaStats.map((stats) => [stats.name, stats.timesAddressed])
+      ).toEqual([
+        ["Explorer", 1],
+        ["Skeptic", 0],
+        ["Pragmatist", 1],
+      ]);
+    });
+
+    test("should stop early once the participants converge", async () => {
+      respondWith((stepId) =>
+        stepId === "conversation_summary"
+          ? "Summary"
+          : "Solar panels cut household energy bills considerably"
+      );
+
+      const result = await run({
+        ...validConfig,
+        rounds: 2,
+        convergence: true,
+      });
+
+      expect(result.conversation).toHaveLength(3);
+      expect(result.stopReason).toContain(
+        "Consecutive turns were 100% similar"
+      );
+      expect(result.summary.convergence).toMatchObject({
+        stoppedEarly: true,
+        stop: { method: "lexical", turn: 3 },
+      });
+      const summary = await fs.readFile(result.files.summary, "utf8");
+      expect(summary).toContain("## Early Stop");
+    });
+
+    test("should keep a rolling summary for each participant", async () => {
+      respondWith((stepId) =>
+        stepId.startsWith("context_summary")
+          ? "- Earlier points"
+          : `Response for ${stepId} with some further detail`
+      );
+
+      const result = await run({
+        ...validConfig,
+        rounds: 2,
+        contextManagement: { recentTurns: 2, maxHistoryTokens: 20 },
+      });
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "turn_1_explorer",
+        "turn_2_skeptic",
+        "turn_3_pragmatist",
+        "context_summary_1",
+        "turn_4_explorer",
+        "context_summary_2",
+        "turn_5_skeptic",
+        "context_summary_3",
+        "turn_6_pragmatist",
+        "conversation_summary",
+      ]);
+      expect(calls[0][0].contextStrategy.source).toMatchObject({
+        strategy: "full",
+      });
+
+      const explorerConfig = calls[4][0];
+      expect(explorerConfig.contextStrategy.history).toMatchObject({
+        strategy: "rolling-summary",
+        summarizedTurns: 1,
+        recentTurns: 2,
+      });
+      expect(explorerConfig.chat.messageHistory[0].content).toBe(
+        "SUMMARY OF EARLIER CONVERSATION:\n- Earlier points"
+      );
+      expect(result.pipeline.costEstimate.callCount).toBe(13);
+      expect(result.pipeline.status).toBe("completed");
+    });
+
+    test("should let the operator inject a turn and skip a speaker", async () => {
+      respondWith((stepId) => `Response for ${stepId}`);
+      const operator = jest
+        .fn()
+        .mockResolvedValueOnce({
+          action: "inject",
+          speaker: "Dana",
+          content: "What about storage?",
+        })
+        .mockResolvedValueOnce("skip");
+
+      const result = await run(validConfig, { operator });
+
+      expect(
+        result.conversation.map((entry) => [entry.agent, !!entry.isHuman])
+      ).toEqual([
+        ["Explorer", false],
+        ["Dana", true],
+        ["Skeptic", false],
+      ]);
+      expect(operator.mock.calls[0][0]).toMatchObject({
+        nextSpeaker: "Skeptic",
+        iteration: 1,
+      });
+      const skepticConfig = mockCallEverest.mock.calls[1][0];
+      expect(skepticConfig.chat.messageHistory[1].content).toBe(
+        "Dana (human participant): What about storage?"
+      );
+      expect(
+        mockCallEverest.mock.calls.map(([, , stepId]) => stepId)
+      ).not.toContain("turn_3_pragmatist");
+      expect(result.pipeline.operatorActions).toHaveLength(2);
+      const markdown = await fs.readFile(result.files.conversation, "utf8");
+      expect(markdown).toContain("### Turn 1 - 🧑 Dana (human)");
+    });
+
+    test("should stop when the operator ends the dialogue", async () => {
+      respondWith((stepId) => `Response for ${stepId}`);
+
+      const result = await run(validConfig, {
+        operator: async () => ({ action: "end" }),
+      });
+
+      expect(result.conversation).toHaveLength(1);
+      expect(result.stopReason).toBe("Ended early by the operator");
+      expect(result.summary.content).toBe("Response for conversation_summary");
+    });
+
+    test("should fail the run when a turn returns no content", async () => {
+      mockCallEverest.mockResolvedValue({ error: "Upstream unavailable" });
+
+      const result = await run(validConfig);
+
+      expect(result.error).toBe("Turn 1 (Explorer) failed");
+      expect(result.details).toBe("Upstream unavailable");
+      expect(result.pipeline.status).toBe("failed");
+    });
+
+    test("should return validation errors without calling the API", async () => {
+      const result = await run({ ...validConfig, participants: ["explorer"] });
+
+      expect(result.error).toBe("Configuration validation failed");
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+
+  test("should describe its parameters for the registry", () => {
+    expect(pipelineInfo.name).toBe("multiPartyDialogue");
+    expect(pipelineInfo.parameters.required).toEqual([
+      "sourceText",
+      "discussionPrompt",
+    ]);
+    expect(pipelineInfo.parameters.schema.turnOrder.enum).toEqual([
+      "round-robin",
+      "random",
+      "addressed",
+    ]);
+  });
+});
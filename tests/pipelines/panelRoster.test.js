@@ -0,0 +1,215 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const { runPipeline, parseModeratorResponse } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+const { createPanelConfig } = await import(
+  "../../src/services/panelTypeConfig.js"
+);
+const { renderDryRunStep } = await import("../../src/utils/dryRun.js");
+
+describe("panel roster", () => {
+  const panelMembers = [
+    { name: "Ada", role: "Historian", agent: "panel1_challenger" },
+    { name: "Bo", role: "Economist", agent: "panel2_analyst" },
+    { name: "Cy", role: "Engineer", agent: "panel3_explorer" },
+    { name: "Dee", role: "Ecologist", agent: "panel2_analyst" },
+    { name: "Eve", role: "Regulator", agent: "panel1_challenger" },
+  ];
+  const roster = (() => {
+    const config = createPanelConfig("discussion");
+    config.setPanelMembers(panelMembers);
+    return config.getRoster();
+  })();
+  const outputDirs = removeDirsAfterEach();
+
+  describe("parseModeratorResponse", () => {
+    test("should map slots, IDs and names onto the roster", () => {
+      const parse = (nextSpeaker) =>
+        parseModeratorResponse(
+          JSON.stringify({ next_speaker: nextSpeaker }),
+          "test",
+          roster
+        ).next_speaker;
+
+      expect(parse("panel_5")).toBe("eve");
+      expect(parse("dee")).toBe("dee");
+      expect(parse("Cy")).toBe("cy");
+    });
+
+    test("should fall back to a mentioned member, then the second member", () => {
+      const invalid = parseModeratorResponse(
+        JSON.stringify({ next_speaker: "panel_6" }),
+        "test",
+        roster
+      );
+      expect(invalid.parsing_error).toBe(
+        "Invalid speaker: panel_6. Expected panel_1, panel_2, panel_3, panel_4, panel_5"
+      );
+      expect(invalid.next_speaker).toBe("bo");
+
+      expect(
+        parseModeratorResponse("Over to Dee, then Ada.", "test", roster)
+          .next_speaker
+      ).toBe("dee");
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    test("should run a five-member panel from panelMembers", async () => {
+      const speakers = ["panel_4", "panel_5", "panel_2"];
+      respondAsPanel(mockCallEverest, {
+        moderator: (stepId) => ({
+          moderator_comment: `Comment for ${stepId}`,
+          next_speaker: speakers.shift(),
+          speaking_prompt: "Share your view.",
+        }),
+      });
+
+      const pipeline = await runPipeline({
+        sourceText: "Test source material about renewable energy.",
+        discussionSubject: "What limits renewable energy adoption?",
+        panelInteractions: 3,
+        panelMembers,
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "dee_interaction_1",
+        "moderator_decision_1",
+        "eve_interaction_2",
+        "moderator_decision_2",
+        "bo_interaction_3",
+        "panel_summary",
+      ]);
+      expect(calls[0][0].chat.userPrompt).toContain(
+        "- Eve (panel_5): Regulator"
+      );
+      expect(calls[0][0].chat.userPrompt).toContain(
+        "Valid next_speaker values: panel_1, panel_2, panel_3, panel_4, panel_5"
+      );
+      expect(calls[1][0].chat.userPrompt).toContain(
+        "Please provide your response as Dee (Ecologist)."
+      );
+      expect(calls[2][0].chat.userPrompt).toContain("- Dee (panel_4): 1 times");
+      expect(calls[6][0].chat.userPrompt).toContain(
+        "- Cy participated 0 times"
+      );
+
+      const { panelStats, metadata } = pipeline.result;
+      expect(panelStats).toEqual({
+        ada: 0,
+        bo: 1,
+        cy: 0,
+        dee: 1,
+        eve: 1,
+        moderatorRepairs: 0,
+        moderatorFallbacks: 0,
+      });
+      expect(metadata.roster.map((member) => member.name)).toEqual([
+        "Ada",
+        "Bo",
+        "Cy",
+        "Dee",
+        "Eve",
+      ]);
+
+      const markdown = await fs.readFile(pipeline.files.conversation, "utf8");
+      expect(markdown).toContain("- **Eve**: 1 contributions");
+      expect(markdown).toContain("## Dee (panel_response)");
+    });
+
+    test("should give members without an agent a prompt from their role", async () => {
+      respondAsPanel(mockCallEverest, {
+        moderator: (stepId) => ({
+          moderator_comment: `Comment for ${stepId}`,
+          next_speaker: "panel_1",
+          speaking_prompt: "Share your view.",
+        }),
+      });
+
+      const pipeline = await runPipeline({
+        sourceText: "Test source material about renewable energy.",
+        discussionSubject: "What limits renewable energy adoption?",
+        panelInteractions: 2,
+        panelMembers: [
+          { name: "Dee", role: "Economist" },
+          { name: "Eve", role: "Ethicist" },
+        ],
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "dee_interaction_1",
+        "moderator_decision_1",
+        "dee_interaction_2",
+        "panel_summary",
+      ]);
+      expect(calls[1][0].chat.systemPrompt).toContain(
+        "You are Dee, a panelist in a moderated discussion.\n\nYour role: Economist"
+      );
+    });
+
+    test("should hand the floor to each member of the roster in a dry run", async () => {
+      const dryRunDir = await fs.mkdtemp(path.join(os.tmpdir(), "dry-run-"));
+      outputDirs.push(dryRunDir);
+      process.env.PIPELINER_DRY_RUN_DIR = dryRunDir;
+      mockCallEverest.mockImplementation((agentConfig, pipelineData, stepId) =>
+        renderDryRunStep(pipelineData, agentConfig, stepId)
+      );
+
+      try {
+        const pipeline = await runPipeline({
+          sourceText: "Test source material about renewable energy.",
+          discussionSubject: "What limits renewable energy adoption?",
+          panelInteractions: 5,
+          panelMembers,
+          dryRun: true,
+        });
+        if (pipeline.files?.conversation) {
+          outputDirs.push(path.dirname(pipeline.files.conversation));
+        }
+      } finally {
+        delete process.env.PIPELINER_DRY_RUN_DIR;
+      }
+
+      expect(
+        mockCallEverest.mock.calls
+          .map((call) => call[2])
+          .filter((stepId) => stepId.includes("_interaction_"))
+      ).toEqual([
+        "ada_interaction_1",
+        "bo_interaction_2",
+        "cy_interaction_3",
+        "dee_interaction_4",
+        "eve_interaction_5",
+      ]);
+    });
+
+    test("should reject a roster outside 2-8 members", async () => {
+      await expect(
+        runPipeline({
+          sourceText: "Test source material about renewable energy.",
+          discussionSubject: "What limits renewable energy adoption?",
+          panelMembers: [{ name: "Solo" }],
+        })
+      ).rejects.toThrow(
+        "Discussion panel must have a moderator and 2-8 panel members (panel1, panel2, ...)"
+      );
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+});
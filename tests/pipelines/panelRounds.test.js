@@ -0,0 +1,226 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { addStepCost } from "../../src/utils/pipelineCost.js";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const { runPipeline, estimatePanelApiCalls, parseRoundQuestion } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const config = {
+  sourceText: "Test source material about renewable energy.",
+  discussionSubject: "What limits renewable energy adoption?",
+  panelMode: "rounds",
+  panelRounds: 2,
+};
+const roundQuestion = (stepId) => ({
+  moderator_response: `Comment for ${stepId}`,
+  question: `Question from ${stepId}?`,
+});
+
+describe("panel rounds", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("estimatePanelApiCalls", () => {
+    test("should count a moderator call and every member per round", () => {
+      expect(
+        estimatePanelApiCalls({ panelMode: "rounds", panelRounds: 3 })
+      ).toBe(13);
+      expect(
+        estimatePanelApiCalls({
+          panelMode: "rounds",
+          panelRounds: 2,
+          memberCount: 5,
+        })
+      ).toBe(13);
+      expect(estimatePanelApiCalls({ panelInteractions: 6 })).toBe(13);
+    });
+  });
+
+  describe("parseRoundQuestion", () => {
+    test("should read the question and fall back to a general one", () => {
+      expect(
+        parseRoundQuestion(
+          JSON.stringify({
+            moderator_response: "Welcome",
+            question: " What is the biggest barrier? ",
+          }),
+          "setup"
+        )
+      ).toMatchObject({
+        moderator_comment: "Welcome",
+        question: "What is the biggest barrier?",
+        context: "setup",
+      });
+
+      const fallback = parseRoundQuestion(
+        JSON.stringify({ next_speaker: "panel_1" }),
+        "round_1"
+      );
+      expect(fallback.context).toBe("round_1_fallback");
+      expect(fallback.parsing_error).toBe("Missing required field: question");
+      expect(fallback.question).toContain("discussion subject");
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    test("should ask every member each question in parallel", async () => {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => {
+          inFlight++;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          inFlight--;
+          return {
+            callID: `call-${stepId}`,
+            message: stepId.startsWith("moderator")
+              ? JSON.stringify({
+                  moderator_response: `Comment for ${stepId}`,
+                  question: `Question from ${stepId}?`,
+                })
+              : `Response for ${stepId}`,
+          };
+        }
+      );
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "challenger_round_1",
+        "analyst_round_1",
+        "explorer_round_1",
+        "moderator_round_1",
+        "challenger_round_2",
+        "analyst_round_2",
+        "explorer_round_2",
+        "panel_summary",
+      ]);
+      expect(maxInFlight).toBe(3);
+
+      const roundTwoPrompts = calls
+        .filter((call) => call[2].endsWith("_round_2"))
+        .map((call) => call[0].chat.userPrompt);
+      roundTwoPrompts.forEach((prompt) => {
+        expect(prompt).toContain(
+          "Round 2 question for every panel member: Question from moderator_round_1?"
+        );
+        expect(prompt).toContain("Response for explorer_round_1");
+      });
+      expect(calls[4][0].chat.userPrompt).toContain(
+        "Round 1 of 2 is complete. Every panel member answered: Question from moderator_setup?"
+      );
+
+      const { panelStats, metadata } = pipeline.result;
+      expect(panelStats).toEqual({
+        challenger: 2,
+        analyst: 2,
+        explorer: 2,
+        moderatorRepairs: 0,
+        moderatorFallbacks: 0,
+      });
+      expect(metadata).toMatchObject({
+        panelMode: "rounds",
+        panelRounds: 2,
+        apiCalls: 9,
+      });
+
+      const markdown = await fs.readFile(pipeline.files.conversation, "utf8");
+      expect(markdown).toContain(
+        "- **Panel Mode**: Rounds (2 rounds, every member answers each question)"
+      );
+      expect(markdown).toContain(
+        "## Round 1\n\n### Moderator opening\n\nComment for moderator_setup\n\n### Moderator question\n\nQuestion from moderator_setup?\n\n### Sarah\n\nResponse for challenger_round_1"
+      );
+      expect(markdown).toContain(
+        "### Moderator synthesis\n\nComment for moderator_round_1\n\n---\n\n## Round 2"
+      );
+    });
+
+    test("should leave out a member whose answer failed", async () => {
+      respondAsPanel(mockCallEverest, { moderator: roundQuestion });
+      const answer = mockCallEverest.getMockImplementation();
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) =>
+          stepId === "analyst_round_1"
+            ? { error: "Service unavailable" }
+            : answer(agentConfig, pipelineData, stepId)
+      );
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const { conversation, panelStats } = pipeline.result;
+      expect(
+        conversation
+          .filter((entry) => entry.round === 1)
+          .map((entry) => entry.role)
+      ).toEqual([
+        "moderator",
+        "moderator",
+        "challenger",
+        "explorer",
+        "moderator",
+      ]);
+      expect(conversation.some((entry) => entry.content === undefined)).toBe(
+        false
+      );
+      expect(panelStats.analyst).toBe(1);
+      expect(pipeline.warnings).toEqual([
+        "Round 1: Mike did not answer (Service unavailable)",
+      ]);
+    });
+
+    test("should stop before a round that would go over budget", async () => {
+      respondAsPanel(mockCallEverest, { moderator: roundQuestion });
+      const answer = mockCallEverest.getMockImplementation();
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => {
+          const response = {
+            ...(await answer(agentConfig, pipelineData, stepId)),
+            usage: {
+              cost: 0.1,
+              prompt_tokens: 80,
+              completion_tokens: 20,
+              total_tokens: 100,
+            },
+          };
+          addStepCost(pipelineData, stepId, response);
+          return response;
+        }
+      );
+
+      const pipeline = await runPipeline({ ...config, maxCost: 0.25 });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      // $0.10 spent, and three answers at $0.10 each would reach $0.40
+      expect(mockCallEverest.mock.calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+      ]);
+      expect(pipeline.status).toBe("partial");
+      expect(pipeline.result.metadata.stopReason).toBe(
+        "Budget exceeded: projected cost $0.4000 > maxCost $0.2500"
+      );
+    });
+
+    test("should reject an unknown panelMode or panelRounds", async () => {
+      await expect(
+        runPipeline({ ...config, panelMode: "parallel" })
+      ).rejects.toThrow("panelMode must be one of: sequential, rounds");
+      await expect(runPipeline({ ...config, panelRounds: 0 })).rejects.toThrow(
+        "panelRounds must be an integer between 1 and 10"
+      );
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,249 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  runPipelineSpec,
+  createSpecPipeline,
+  parseEngineArgs,
+} from "../../src/pipelines/engine/index.js";
+import { PipelineRegistry } from "../../src/pipelines/registry/index.js";
+import { PipelineToolRegistry } from "../../src/mcp/toolRegistry.js";
+
+describe("Pipeline Engine", () => {
+  let outputDir;
+  let mockFetch;
+
+  const spec = {
+    name: "critiqueLoop",
+    inputs: {
+      sourceText: { type: "string", required: true },
+      rounds: { type: "integer", default: 3 },
+    },
+    agents: {
+      writer: "dialogue/DialogueAg1",
+      critic: "dialogue/DialogueAg2",
+    },
+    steps: [
+      { id: "draft", agent: "writer", message: "{{inputs.sourceText}}" },
+      {
+        loop: {
+          count: "{{inputs.rounds}}",
+          until: { value: "{{critique}}", contains: "APPROVED" },
+          steps: [
+            { id: "critique", agent: "critic", message: "{{draft}}" },
+            {
+              id: "draft",
+              agent: "writer",
+              when: { value: "{{critique}}", notContains: "APPROVED" },
+              message: "Revise: {{critique}}",
+              history: true,
+            },
+          ],
+        },
+      },
+    ],
+    outputs: {
+      files: [{ path: "draft.md", template: "# Draft\n\n{{draft}}" }],
+      result: { draft: "{{draft}}", rounds: "{{inputs.rounds}}" },
+    },
+  };
+
+  const respond = (...contents) => {
+    contents.forEach((content) =>
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => createMockEverestResponse({ response: { content } }),
+      })
+    );
+  };
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "engine-"));
+    mockFetch = jest.fn();
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  describe("runPipelineSpec", () => {
+    test("should walk steps and loops until the until condition is met", async () => {
+      respond("First draft", "Needs work", "Second draft", "APPROVED");
+
+      const result = await runPipelineSpec(
+        spec,
+        { sourceText: "Penguins" },
+        { outputDir, fetchFn: mockFetch }
+      );
+
+      expect(result.error).toBeUndefined();
+      expect(mockFetch).toHaveBeenCalledTimes(4);
+      expect(result.transcript.map((entry) => entry.stepId)).toEqual([
+        "draft",
+        "critique_1",
+        "draft_1",
+        "critique_2",
+      ]);
+      expect(result.result).toEqual({ draft: "Second draft", rounds: 3 });
+      expect(result.pipeline.status).toBe("completed");
+      expect(result.pipeline.metadata.pipeline).toBe("critiqueLoop");
+
+      const draftFile = await fs.readFile(result.files["draft.md"], "utf8");
+      expect(draftFile).toBe("# Draft\n\nSecond draft");
+      const data = JSON.parse(await fs.readFile(result.files.data, "utf8"));
+      expect(data.inputs).toEqual({ sourceText: "Penguins", rounds: 3 });
+    });
+
+    test("should pass the transcript as history when a step asks for it", async () => {
+      respond("First draft", "Needs work", "Second draft", "APPROVED");
+
+      await runPipelineSpec(
+        spec,
+        { sourceText: "Penguins" },
+        { outputDir, fetchFn: mockFetch }
+      );
+
+      const revision = JSON.parse(mockFetch.mock.calls[2][1].body);
+      expect(revision.chat.messageHistory).toEqual([
+        { role: "assistant", content: "First draft" },
+        { role: "assistant", content: "Needs work" },
+      ]);
+    });
+
+    test("should fail the run when a step fails", async () => {
+      respond("First draft");
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: "Bad Request",
+        text: async () => "bad request",
+      });
+
+      const result = await runPipelineSpec(
+        spec,
+        { sourceText: "Penguins" },
+        { outputDir, fetchFn: mockFetch }
+      );
+
+      expect(result.error).toBe("Step critique_1 failed");
+      expect(result.pipeline.status).toBe("failed");
+      expect(result.transcript).toHaveLength(1);
+    });
+
+    test("should reject invalid inputs before calling any agent", async () => {
+      const result = await runPipelineSpec(
+        spec,
+        { rounds: 2, maxCost: -1 },
+        { outputDir, fetchFn: mockFetch }
+      );
+
+      expect(result.error).toBe("Configuration validation failed");
+      expect(result.errors).toEqual(
+        expect.arrayContaining(["sourceText is required"])
+      );
+      expect(mockFetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createSpecPipeline", () => {
+    test("should expose the pipeline module interface", async () => {
+      const specPipeline = createSpecPipeline(spec, "/specs/critiqueLoop.json");
+      const jobLogger = { info: jest.fn(), error: jest.fn() };
+
+      expect(specPipeline.critiqueLoopPipeline).toBe(specPipeline.run);
+      expect(specPipeline.pipelineInfo.parameters.required).toEqual([
+        "sourceText",
+      ]);
+
+      const result = await specPipeline.executeViaNostrMQ({}, jobLogger, {
+        sender: "npub1sender",
+      });
+      expect(result.error).toBe("Configuration validation failed");
+      expect(result.pipeline.metadata.sender).toBe("npub1sender");
+      expect(jobLogger.info).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("registry discovery", () => {
+    let specDir;
+    const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+    beforeEach(async () => {
+      specDir = path.join(outputDir, "specs");
+      await fs.mkdir(specDir);
+      await fs.writeFile(
+        path.join(specDir, "critiqueLoop.json"),
+        JSON.stringify(spec)
+      );
+      await fs.writeFile(path.join(specDir, "broken.yaml"), "name: broken\n");
+    });
+
+    test("should register specs with the NostrMQ registry", async () => {
+      const registry = new PipelineRegistry(logger);
+      registry.specDirectory = specDir;
+
+      await registry.discoverSpecPipelines();
+
+      expect(registry.getNostrMQEnabledPipelines()).toEqual(["critiqueLoop"]);
+      expect(
+        registry.validatePipelineConfig("critiqueLoop", {}).errors
+      ).toEqual(["Missing required parameter: sourceText"]);
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringContaining("broken.yaml"),
+        expect.any(Object)
+      );
+    });
+
+    test("should register specs as MCP tools", async () => {
+      const registry = new PipelineToolRegistry(
+        { toolPrefix: "run_pipeliner_", specDirectory: specDir },
+        logger
+      );
+
+      await registry.discoverSpecPipelines();
+
+      const tool = registry
+        .getTools()
+        .find((entry) => entry.name === "run_pipeliner_critiqueLoop");
+      expect(tool.inputSchema.required).toEqual(["sourceText"]);
+      expect(tool.inputSchema.properties.rounds).toMatchObject({
+        type: "integer",
+        default: 3,
+      });
+    });
+  });
+
+  describe("parseEngineArgs", () => {
+    test("should parse inputs, files and flags", async () => {
+      const sourcePath = path.join(outputDir, "source.md");
+      await fs.writeFile(sourcePath, "From a file");
+
+      const { specRef, config } = await parseEngineArgs([
+        "critiqueLoop",
+        "--sourceText",
+        `@${sourcePath}`,
+        "--rounds",
+        "2",
+        "--maxCost",
+        "0.5",
+        "--dry-run",
+      ]);
+
+      expect(specRef).toBe("critiqueLoop");
+      expect(config).toEqual({
+        sourceText: "From a file",
+        rounds: "2",
+        maxCost: 0.5,
+        dryRun: true,
+      });
+    });
+
+    test("should reject a missing spec or value", async () => {
+      await expect(parseEngineArgs([])).rejects.toThrow("Usage:");
+      await expect(parseEngineArgs(["spec", "--rounds"])).rejects.toThrow(
+        "Missing value for --rounds"
+      );
+    });
+  });
+});
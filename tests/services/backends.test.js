@@ -0,0 +1,164 @@
+import { jest } from "@jest/globals";
+import {
+  getBackend,
+  getAvailableBackends,
+  resolveBackend,
+} from "../../src/services/backends/index.js";
+import { extractCostData } from "../../src/utils/pipelineCost.js";
+
+describe("Backend adapters", () => {
+  const envKeys = [
+    "PIPELINER_BACKEND",
+    "OPENAI_COMPAT_API_BASE",
+    "OPENAI_COMPAT_API_KEY",
+    "OPENAI_COMPAT_MODEL",
+  ];
+
+  beforeEach(() => {
+    envKeys.forEach((key) => delete process.env[key]);
+  });
+
+  describe("registry", () => {
+    test("should list available backends", () => {
+      expect(getAvailableBackends()).toEqual(["everest", "openai-compatible"]);
+    });
+
+    test("should throw for unknown backends", () => {
+      expect(() => getBackend("carrier-pigeon")).toThrow(
+        "Unknown backend: carrier-pigeon"
+      );
+    });
+
+    test("should default to everest", () => {
+      expect(resolveBackend(createMockAgentConfig(), {}).name).toBe("everest");
+    });
+
+    test("should prefer agent over options, run and environment", () => {
+      process.env.PIPELINER_BACKEND = "everest";
+      const pipelineData = { metadata: { backend: "everest" } };
+
+      expect(
+        resolveBackend(
+          createMockAgentConfig({ backend: "openai-compatible" }),
+          pipelineData,
+          { backend: "everest" }
+        ).name
+      ).toBe("openai-compatible");
+    });
+
+    test("should use the run backend from pipeline metadata", () => {
+      const pipelineData = { metadata: { backend: "openai-compatible" } };
+
+      expect(resolveBackend(createMockAgentConfig(), pipelineData).name).toBe(
+        "openai-compatible"
+      );
+    });
+
+    test("should fall back to PIPELINER_BACKEND", () => {
+      process.env.PIPELINER_BACKEND = "openai-compatible";
+
+      expect(resolveBackend(createMockAgentConfig(), {}).name).toBe(
+        "openai-compatible"
+      );
+    });
+  });
+
+  describe("everest backend", () => {
+    test("should strip the backend field from the payload", () => {
+      const request = getBackend("everest").buildRequest(
+        createMockAgentConfig({ backend: "everest" })
+      );
+
+      expect(request.url).toBe("https://test.api.com/v2/agent");
+      expect(JSON.parse(request.body).backend).toBeUndefined();
+    });
+  });
+
+  describe("openai-compatible backend", () => {
+    const backend = getBackend("openai-compatible");
+
+    const agentConfig = createMockAgentConfig({
+      model: {
+        provider: "openai",
+        model: "openai/gpt-4.1",
+        temperature: 0.4,
+        max_tokens: 500,
+        response_format: { type: "json_object" },
+      },
+      chat: {
+        userPrompt: "What next?",
+        systemPrompt: "You are a moderator",
+        messageContext: "Panel context",
+        messageHistory: [{ role: "assistant", content: "Earlier reply" }],
+      },
+    });
+
+    test("should map model settings and chat into a completion request", () => {
+      process.env.OPENAI_COMPAT_API_BASE = "http://localhost:8080/v1/";
+      process.env.OPENAI_COMPAT_API_KEY = "local-key";
+
+      const request = backend.buildRequest(agentConfig);
+      const body = JSON.parse(request.body);
+
+      expect(request.url).toBe("http://localhost:8080/v1/chat/completions");
+      expect(request.headers.Authorization).toBe("Bearer local-key");
+      expect(body).toEqual({
+        model: "gpt-4.1",
+        temperature: 0.4,
+        max_tokens: 500,
+        response_format: { type: "json_object" },
+        messages: [
+          { role: "system", content: "You are a moderator\n\nPanel context" },
+          { role: "assistant", content: "Earlier reply" },
+          { role: "user", content: "What next?" },
+        ],
+      });
+    });
+
+    test("should omit authorization without a key and honour model override", () => {
+      process.env.OPENAI_COMPAT_MODEL = "llama3.1:8b";
+
+      const request = backend.buildRequest(agentConfig);
+
+      expect(request.url).toBe("http://localhost:11434/v1/chat/completions");
+      expect(request.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(request.body).model).toBe("llama3.1:8b");
+    });
+
+    test("should keep provider-prefixed models for other providers", () => {
+      const request = backend.buildRequest(
+        createMockAgentConfig({
+          model: { provider: "openrouter", model: "openai/gpt-4.1" },
+        })
+      );
+
+      expect(JSON.parse(request.body).model).toBe("openai/gpt-4.1");
+    });
+
+    test("should normalise completions into the Everest response shape", () => {
+      const response = backend.normalizeResponse(
+        {
+          id: "chatcmpl-123",
+          model: "gpt-4.1",
+          choices: [{ message: { role: "assistant", content: "Hello" } }],
+          usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 },
+        },
+        agentConfig
+      );
+
+      expect(response.message).toBe("Hello");
+      expect(response.response.content).toBe("Hello");
+      expect(response.callID).toBe(agentConfig.callID);
+      expect(extractCostData(response)).toEqual(
+        expect.objectContaining({
+          tokensIn: 12,
+          tokensOut: 3,
+          totalTokens: 15,
+          cost: 0,
+          model: "gpt-4.1",
+          billingID: "chatcmpl-123",
+        })
+      );
+    });
+  });
+});
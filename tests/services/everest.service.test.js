@@ -1,6 +1,19 @@
 import { jest } from "@jest/globals";
-import { callEverest } from "../../src/services/everest.service.js";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  callEverest,
+  getCircuitBreakerState,
+  resetCircuitBreakers,
+} from "../../src/services/everest.service.js";
 import { createPipelineData } from "../../src/utils/pipelineData.js";
+import {
+  getCassetteKey,
+  resetCassetteCursors,
+} from "../../src/utils/cassette.js";
+import { readLedger } from "../../src/utils/costLedger.js";
+import { enableDryRun } from "../../src/utils/dryRun.js";
 
 describe("callEverest Service", () => {
   let mockFetch;
@@ -9,6 +22,7 @@ describe("callEverest Service", () => {
     mockFetch = jest.fn();
     process.env.EVEREST_API_BASE = "https://test.api.com/";
     process.env.EVEREST_API = "test-api-key";
+    resetCircuitBreakers();
   });
 
   afterEach(() => {
@@ -130,6 +144,25 @@ describe("callEverest Service", () => {
     );
   });
 
+  test("should record the context strategy in step metadata without sending it", async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => createMockEverestResponse(),
+    });
+
+    const contextStrategy = {
+      history: { strategy: "rolling-summary", summarizedTurns: 4 },
+    };
+    const agentConfig = createMockAgentConfig({ contextStrategy });
+    const pipelineData = createPipelineData();
+
+    await callEverest(agentConfig, pipelineData, "context-step", mockFetch);
+
+    expect(pipelineData.steps[0].metadata.context).toEqual(contextStrategy);
+    const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(body.contextStrategy).toBeUndefined();
+  });
+
   test("should make correct API call with proper headers", async () => {
     const mockResponse = createMockEverestResponse();
 
@@ -155,4 +188,637 @@ describe("callEverest Service", () => {
       })
     );
   });
+
+  describe("retries and circuit breaker", () => {
+    const errorResponse = (status, headers = {}) => ({
+      ok: false,
+      status,
+      statusText: "Error",
+      headers: { get: (name) => headers[name.toLowerCase()] || null },
+      text: async () => "error details",
+    });
+
+    let sleepFn;
+
+    beforeEach(() => {
+      sleepFn = jest.fn().mockResolvedValue();
+    });
+
+    test("should retry 5xx responses and record retryCount on success", async () => {
+      const mockResponse = createMockEverestResponse();
+      mockFetch
+        .mockResolvedValueOnce(errorResponse(503))
+        .mockResolvedValueOnce(errorResponse(502))
+        .mockResolvedValueOnce({ ok: true, json: async () => mockResponse });
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "retry-step",
+        mockFetch,
+        { maxRetries: 3, sleepFn }
+      );
+
+      expect(result).toEqual(mockResponse);
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+      expect(sleepFn).toHaveBeenCalledTimes(2);
+      expect(pipelineData.steps).toHaveLength(1);
+      expect(pipelineData.steps[0].status).toBe("completed");
+      expect(pipelineData.steps[0].metadata.retryCount).toBe(2);
+    });
+
+    test("should retry network errors and give up after maxRetries", async () => {
+      mockFetch.mockRejectedValue(new Error("ECONNRESET"));
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "exhausted-step",
+        mockFetch,
+        { maxRetries: 2, sleepFn }
+      );
+
+      expect(result.error).toContain("Network or processing error");
+      expect(result.attempts).toBe(3);
+      expect(mockFetch).toHaveBeenCalledTimes(3);
+      expect(pipelineData.steps).toHaveLength(1);
+      expect(pipelineData.steps[0].status).toBe("failed");
+      expect(pipelineData.steps[0].metadata.retryCount).toBe(2);
+    });
+
+    test("should not retry non-retryable client errors", async () => {
+      mockFetch.mockResolvedValue(errorResponse(400));
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "bad-request-step",
+        mockFetch,
+        { maxRetries: 3, sleepFn }
+      );
+
+      expect(result.error).toContain("Everest API error: 400");
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(sleepFn).not.toHaveBeenCalled();
+      expect(pipelineData.steps[0].metadata.retryCount).toBe(0);
+    });
+
+    test("should honour Retry-After on 429 responses", async () => {
+      mockFetch
+        .mockResolvedValueOnce(errorResponse(429, { "retry-after": "2" }))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => createMockEverestResponse(),
+        });
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "rate-limited-step",
+        mockFetch,
+        { maxRetries: 1, sleepFn }
+      );
+
+      expect(sleepFn).toHaveBeenCalledWith(2000);
+    });
+
+    test("should back off exponentially within maxDelay", async () => {
+      mockFetch.mockResolvedValue(errorResponse(500));
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "backoff-step",
+        mockFetch,
+        { maxRetries: 4, baseDelay: 100, maxDelay: 300, sleepFn }
+      );
+
+      const delays = sleepFn.mock.calls.map(([ms]) => ms);
+      expect(delays).toHaveLength(4);
+      expect(delays[0]).toBeGreaterThanOrEqual(50);
+      expect(delays[0]).toBeLessThanOrEqual(100);
+      expect(delays[1]).toBeGreaterThanOrEqual(100);
+      expect(delays[1]).toBeLessThanOrEqual(200);
+      delays.slice(2).forEach((delay) => {
+        expect(delay).toBeGreaterThanOrEqual(150);
+        expect(delay).toBeLessThanOrEqual(300);
+      });
+    });
+
+    test("should open the circuit after repeated failures and fail fast", async () => {
+      mockFetch.mockResolvedValue(errorResponse(500));
+      const options = { maxRetries: 0, circuitThreshold: 2, sleepFn };
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "cb-1",
+        mockFetch,
+        options
+      );
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "cb-2",
+        mockFetch,
+        options
+      );
+
+      expect(
+        getCircuitBreakerState("https://test.api.com/v2/agent").state
+      ).toBe("open");
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "cb-3",
+        mockFetch,
+        options
+      );
+
+      expect(result.error).toContain("circuit breaker open");
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(pipelineData.steps[0].status).toBe("failed");
+    });
+
+    test("should close the circuit after a successful half-open attempt", async () => {
+      mockFetch
+        .mockResolvedValueOnce(errorResponse(500))
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => createMockEverestResponse(),
+        });
+      const options = {
+        maxRetries: 0,
+        circuitThreshold: 1,
+        circuitCooldown: 0,
+        sleepFn,
+      };
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "half-open-1",
+        mockFetch,
+        options
+      );
+      const result = await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "half-open-2",
+        mockFetch,
+        options
+      );
+
+      expect(result.error).toBeUndefined();
+      expect(getCircuitBreakerState("https://test.api.com/v2/agent")).toEqual(
+        expect.objectContaining({ state: "closed", failures: 0 })
+      );
+    });
+
+    test("should let a single probe through while half-open", async () => {
+      let answerProbe;
+      mockFetch.mockResolvedValueOnce(errorResponse(500)).mockReturnValueOnce(
+        new Promise((resolve) => {
+          answerProbe = resolve;
+        })
+      );
+      const options = {
+        maxRetries: 0,
+        circuitThreshold: 1,
+        circuitCooldown: 0,
+        sleepFn,
+      };
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "probe-1",
+        mockFetch,
+        options
+      );
+      const probe = callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "probe-2",
+        mockFetch,
+        options
+      );
+      const blocked = await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "probe-3",
+        mockFetch,
+        options
+      );
+      answerProbe({ ok: true, json: async () => createMockEverestResponse() });
+
+      expect(blocked.error).toContain("waiting on the probe request");
+      expect((await probe).error).toBeUndefined();
+      expect(mockFetch).toHaveBeenCalledTimes(2);
+      expect(
+        getCircuitBreakerState("https://test.api.com/v2/agent").state
+      ).toBe("closed");
+    });
+
+    test("should not resend a request whose 2xx body cannot be read", async () => {
+      mockFetch.mockResolvedValue({
+        ok: true,
+        json: async () => {
+          throw new SyntaxError("Unexpected end of JSON input");
+        },
+      });
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "unreadable-step",
+        mockFetch,
+        { maxRetries: 3, sleepFn }
+      );
+
+      expect(result.error).toContain("unreadable response");
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(sleepFn).not.toHaveBeenCalled();
+      expect(pipelineData.steps[0].status).toBe("failed");
+    });
+  });
+
+  describe("cassette mode", () => {
+    let cassetteDir;
+
+    beforeEach(async () => {
+      cassetteDir = await fs.mkdtemp(path.join(os.tmpdir(), "everest-tape-"));
+      resetCassetteCursors();
+    });
+
+    afterEach(async () => {
+      await fs.rm(cassetteDir, { recursive: true, force: true });
+    });
+
+    test("should replay a recorded response without network", async () => {
+      const mockResponse = createMockEverestResponse({
+        message: "Recorded answer",
+      });
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        json: async () => mockResponse,
+      });
+
+      await callEverest(
+        createMockAgentConfig({ callID: "recorded-call" }),
+        createPipelineData(),
+        "record-step",
+        mockFetch,
+        { cassetteMode: "record", cassetteDir }
+      );
+
+      resetCassetteCursors();
+      delete process.env.EVEREST_API;
+      const offlineFetch = jest.fn();
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig({ callID: "replayed-call" }),
+        pipelineData,
+        "replay-step",
+        offlineFetch,
+        { cassetteMode: "replay", cassetteDir }
+      );
+
+      expect(offlineFetch).not.toHaveBeenCalled();
+      expect(result).toEqual(mockResponse);
+      expect(pipelineData.steps[0].status).toBe("completed");
+    });
+
+    test("should replay recorded API errors", async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        statusText: "Bad Request",
+        text: async () => "invalid model",
+      });
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "record-error-step",
+        mockFetch,
+        { cassetteMode: "record", cassetteDir }
+      );
+
+      resetCassetteCursors();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "replay-error-step",
+        mockFetch,
+        { cassetteMode: "replay", cassetteDir }
+      );
+
+      expect(result.error).toBe(
+        "Everest API error: 400 Bad Request - invalid model"
+      );
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+    });
+
+    test("should fail the step on a cassette miss", async () => {
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "miss-step",
+        mockFetch,
+        { cassetteMode: "replay", cassetteDir }
+      );
+
+      expect(result.error).toContain("Cassette miss");
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(pipelineData.steps[0].status).toBe("failed");
+    });
+
+    test("should fail the step on an invalid cassette mode", async () => {
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "bad-mode-step",
+        mockFetch,
+        { cassetteMode: "rewind", cassetteDir }
+      );
+
+      expect(result.error).toContain("Invalid cassette mode: rewind");
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(pipelineData.steps[0].status).toBe("failed");
+    });
+
+    test("should fail the step on a corrupt cassette", async () => {
+      const agentConfig = createMockAgentConfig();
+      await fs.writeFile(
+        path.join(cassetteDir, `${getCassetteKey(agentConfig)}.json`),
+        '{"interactions": [',
+        "utf-8"
+      );
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        agentConfig,
+        pipelineData,
+        "corrupt-step",
+        mockFetch,
+        { cassetteMode: "replay", cassetteDir }
+      );
+
+      expect(result.error).toContain("Corrupt cassette");
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(pipelineData.steps[0].status).toBe("failed");
+    });
+  });
+
+  describe("backends", () => {
+    afterEach(() => {
+      delete process.env.OPENAI_COMPAT_API_BASE;
+    });
+
+    test("should route agents to the OpenAI-compatible backend", async () => {
+      process.env.OPENAI_COMPAT_API_BASE = "http://localhost:8080/v1";
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          id: "chatcmpl-1",
+          model: "local-model",
+          choices: [{ message: { content: "Local answer" } }],
+          usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 },
+        }),
+      });
+
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig({ backend: "openai-compatible" }),
+        pipelineData,
+        "local-step",
+        mockFetch
+      );
+
+      expect(mockFetch).toHaveBeenCalledWith(
+        "http://localhost:8080/v1/chat/completions",
+        expect.objectContaining({ method: "POST" })
+      );
+      expect(result.message).toBe("Local answer");
+      expect(pipelineData.costs.totalTokens).toBe(7);
+      expect(pipelineData.steps[0].status).toBe("completed");
+    });
+
+    test("should fail the step on an unknown backend", async () => {
+      const pipelineData = createPipelineData();
+      const result = await callEverest(
+        createMockAgentConfig({ backend: "carrier-pigeon" }),
+        pipelineData,
+        "unknown-backend-step",
+        mockFetch
+      );
+
+      expect(result.error).toContain("Unknown backend: carrier-pigeon");
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(pipelineData.steps[0].status).toBe("failed");
+    });
+
+    test("should label errors with the backend name", async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: false,
+        status: 404,
+        statusText: "Not Found",
+        text: async () => "model not found",
+      });
+
+      const pipelineData = createPipelineData();
+      pipelineData.metadata.backend = "openai-compatible";
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "local-error-step",
+        mockFetch
+      );
+
+      expect(result.error).toBe(
+        "OpenAI-compatible API error: 404 Not Found - model not found"
+      );
+    });
+  });
+
+  describe("budget", () => {
+    test("should skip calls that would exceed maxCost", async () => {
+      const pipelineData = createPipelineData();
+      pipelineData.budget = {
+        maxCost: 0.01,
+        maxTokens: null,
+        exceeded: false,
+        reason: null,
+      };
+      pipelineData.costs = {
+        totalCost: 0.008,
+        totalTokens: 500,
+        stepCosts: [{ stepId: "previous-step" }],
+      };
+
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "over-budget-step",
+        mockFetch
+      );
+
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(result.budgetExceeded).toBe(true);
+      expect(result.error).toBe(
+        "Budget exceeded: projected cost $0.0160 > maxCost $0.0100"
+      );
+      expect(pipelineData.steps[0].status).toBe("skipped");
+    });
+
+    test("should make calls that stay within budget", async () => {
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => createMockEverestResponse(),
+      });
+
+      const pipelineData = createPipelineData();
+      pipelineData.budget = {
+        maxCost: 1,
+        maxTokens: 100000,
+        exceeded: false,
+        reason: null,
+      };
+
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "within-budget-step",
+        mockFetch
+      );
+
+      expect(mockFetch).toHaveBeenCalledTimes(1);
+      expect(result.budgetExceeded).toBeUndefined();
+    });
+  });
+
+  describe("cost ledger", () => {
+    let ledgerDir;
+
+    beforeEach(async () => {
+      ledgerDir = await fs.mkdtemp(path.join(os.tmpdir(), "ledger-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(ledgerDir, { recursive: true, force: true });
+    });
+
+    test("should append each costed step to the ledger", async () => {
+      const ledgerPath = path.join(ledgerDir, "ledger.jsonl");
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          callID: "call-1",
+          billingID: "bill-1",
+          message: "Costed response",
+          usage: {
+            prompt_tokens: 20,
+            completion_tokens: 10,
+            total_tokens: 30,
+            cost: 0.002,
+            model: "openai/gpt-4.1",
+          },
+        }),
+      });
+
+      const pipelineData = createPipelineData();
+      pipelineData.metadata.pipeline = "dialogue";
+      pipelineData.metadata.sender = "npub1sender";
+
+      await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "ledger-step",
+        mockFetch,
+        { ledgerPath }
+      );
+
+      const entries = await readLedger(ledgerPath);
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        runId: pipelineData.runId,
+        pipeline: "dialogue",
+        stepId: "ledger-step",
+        model: "openai/gpt-4.1",
+        billingID: "bill-1",
+        totalTokens: 30,
+        cost: 0.002,
+        sender: "npub1sender",
+      });
+    });
+
+    test("should not write responses without cost data", async () => {
+      const ledgerPath = path.join(ledgerDir, "ledger.jsonl");
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ callID: "call-2", message: "Legacy response" }),
+      });
+
+      await callEverest(
+        createMockAgentConfig(),
+        createPipelineData(),
+        "legacy-step",
+        mockFetch,
+        { ledgerPath }
+      );
+
+      expect(await readLedger(ledgerPath)).toEqual([]);
+    });
+  });
+
+  describe("dry run", () => {
+    let dryRunDir;
+
+    beforeEach(async () => {
+      dryRunDir = await fs.mkdtemp(path.join(os.tmpdir(), "dry-run-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dryRunDir, { recursive: true, force: true });
+    });
+
+    test("should render the prompt and return a stub without calling the API", async () => {
+      delete process.env.EVEREST_API;
+      const pipelineData = createPipelineData();
+      enableDryRun(pipelineData, { dryRunDir });
+
+      const result = await callEverest(
+        createMockAgentConfig(),
+        pipelineData,
+        "dry-step",
+        mockFetch
+      );
+
+      expect(mockFetch).not.toHaveBeenCalled();
+      expect(result.dryRun).toBe(true);
+      expect(result.message).toBe("[Dry run] Stub response for dry-step.");
+      expect(pipelineData.steps[0]).toMatchObject({
+        stepId: "dry-step",
+        status: "completed",
+      });
+      expect(pipelineData.costs.stepCosts).toHaveLength(0);
+
+      const prompt = await fs.readFile(
+        path.join(dryRunDir, pipelineData.runId, "01_dry-step.md"),
+        "utf-8"
+      );
+      expect(prompt).toContain("## User Prompt");
+    });
+  });
 });
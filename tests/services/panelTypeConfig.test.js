@@ -10,6 +10,7 @@ import {
   DiscussionConfig,
   SecurityConfig,
   TechReviewConfig,
+  DebateConfig,
   createPanelConfig,
   getAvailablePanelTypes,
   isValidPanelType,
@@ -94,9 +95,64 @@ describe("DiscussionConfig", () => {
     const validation = config.validate();
     expect(validation.isValid).toBe(false);
     expect(validation.errors).toContain(
-      "Discussion panel must have exactly 4 participants (moderator, panel1, panel2, panel3)"
+      "Discussion panel must have a moderator and 2-8 panel members (panel1, panel2, ...)"
     );
   });
+
+  test("should list the panel members in slot order", () => {
+    expect(config.getRoster()).toEqual([
+      {
+        slot: "panel_1",
+        id: "challenger",
+        name: "Sarah",
+        role: "The Challenger - Questions assumptions, high disagreeableness",
+        agent: "panel1_challenger",
+      },
+      expect.objectContaining({ slot: "panel_2", id: "analyst" }),
+      expect.objectContaining({ slot: "panel_3", id: "explorer" }),
+    ]);
+  });
+
+  test("should replace the panel members and keep the moderator", () => {
+    config.setPanelMembers([
+      { name: "Ada", role: "Historian", agent: "panel2_analyst" },
+      { name: "Red Team" },
+      { name: "Cy", id: "skeptic", agent: "panel1_challenger" },
+      { name: "Dee" },
+      { name: "Eve" },
+    ]);
+
+    expect(config.validate().isValid).toBe(true);
+    expect(config.participants.moderator.name).toBe("Host");
+    expect(
+      config.getRoster().map(({ slot, id, agent }) => [slot, id, agent])
+    ).toEqual([
+      ["panel_1", "ada", "panel2_analyst"],
+      ["panel_2", "red_team", "panel2_red_team"],
+      ["panel_3", "skeptic", "panel1_challenger"],
+      ["panel_4", "dee", "panel4_dee"],
+      ["panel_5", "eve", "panel5_eve"],
+    ]);
+  });
+
+  test("should reject rosters outside 2-8 members or with duplicate IDs", () => {
+    config.setPanelMembers([{ name: "Solo" }]);
+    expect(config.validate().isValid).toBe(false);
+
+    config.setPanelMembers(
+      Array.from({ length: 9 }, (_, index) => ({ name: `Member ${index}` }))
+    );
+    expect(config.validate().isValid).toBe(false);
+
+    config.setPanelMembers([
+      { name: "Ada", id: "expert" },
+      { name: "Bo", id: "expert", agent: "../secrets" },
+    ]);
+    expect(config.validate().errors).toEqual([
+      'Discussion panel member ID "expert" is used more than once',
+      "Discussion panel panel_2 agent must be a file name in the panel's agent directory",
+    ]);
+  });
 });
 
 describe("SecurityConfig", () => {
@@ -169,6 +225,38 @@ describe("TechReviewConfig", () => {
   });
 });
 
+describe("DebateConfig", () => {
+  let config;
+
+  beforeEach(() => {
+    config = new DebateConfig();
+  });
+
+  test("should initialize with a judge, proposition and opposition", () => {
+    expect(config.panelType).toBe("debate");
+    expect(config.participants.moderator).toMatchObject({
+      name: "Judge",
+      agent: "judge",
+    });
+    expect(config.getRoster().map((member) => member.id)).toEqual([
+      "proposition",
+      "opposition",
+    ]);
+    expect(config.validate()).toEqual({ isValid: true, errors: [] });
+  });
+
+  test("should require exactly two members", () => {
+    config.setPanelMembers([
+      { id: "proposition", name: "For" },
+      { id: "opposition", name: "Against" },
+      { id: "neutral", name: "Undecided" },
+    ]);
+    expect(config.validate().errors).toContain(
+      "Debate panel must have exactly two members: the proposition (panel1) and the opposition (panel2)"
+    );
+  });
+});
+
 describe("createPanelConfig factory function", () => {
   test("should create DiscussionConfig for discussion type", () => {
     const config = createPanelConfig("discussion");
@@ -213,7 +301,8 @@ describe("getAvailablePanelTypes", () => {
     expect(types).toContain("discussion");
     expect(types).toContain("security");
     expect(types).toContain("techreview");
-    expect(types).toHaveLength(3);
+    expect(types).toContain("debate");
+    expect(types).toHaveLength(4);
   });
 });
 
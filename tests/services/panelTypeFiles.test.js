@@ -0,0 +1,295 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { mockEverest, respondAsPanel } from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  FilePanelConfig,
+  loadPanelTypeFiles,
+  createPanelConfig,
+  getAvailablePanelTypes,
+  isValidPanelType,
+} = await import("../../src/services/panelTypeConfig.js");
+const { createAgentLoader } = await import(
+  "../../src/services/dynamicAgentLoader.js"
+);
+const { PipelineRegistry } = await import(
+  "../../src/pipelines/registry/index.js"
+);
+const { runPipeline } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const PRODUCT_REVIEW = `name: productreview
+title: Product Review Panel
+description: Customer, engineering and business views on a product proposal
+defaultInteractions: 3
+summaryFocus: Risks, open questions and a go/no-go recommendation
+requiredInputs:
+  - { id: proposal, label: Product proposal }
+  - { id: research, label: Customer research }
+moderator:
+  name: Product Lead
+  role: Keeps the review focused on the decision
+  prompt: You chair a product review.
+  model: openai/gpt-4.1-mini
+members:
+  - name: Customer Advocate
+    role: Speaks for users
+    prompt: You represent the customer.
+    temperature: 0.9
+  - name: Staff Engineer
+    id: engineer
+    role: Feasibility and cost
+    agent: panel2_analyst
+summarizer:
+  prompt: Summarize the review as a decision memo.
+`;
+
+describe("panel type files", () => {
+  const originalDir = process.env.PIPELINER_PANEL_TYPE_DIR;
+  let tempDir;
+  let panelTypeDir;
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "panel-types-"));
+    panelTypeDir = path.join(tempDir, "panels");
+    await fs.mkdir(panelTypeDir);
+    await fs.writeFile(
+      path.join(panelTypeDir, "productreview.yaml"),
+      `${PRODUCT_REVIEW}outputDirectory: ${path.join(tempDir, "output")}\n`
+    );
+    await fs.writeFile(
+      path.join(panelTypeDir, "broken.yaml"),
+      "moderator: { name: Host }\nmembers: [{ name: Solo, prompt: Hi }]\n"
+    );
+    await fs.writeFile(
+      path.join(panelTypeDir, "security.json"),
+      JSON.stringify({
+        moderator: { name: "Lead", prompt: "Lead the review." },
+        members: [
+          { name: "A", prompt: "Attack." },
+          { name: "B", prompt: "Defend." },
+        ],
+      })
+    );
+    process.env.PIPELINER_PANEL_TYPE_DIR = panelTypeDir;
+  });
+
+  afterAll(async () => {
+    if (originalDir === undefined) {
+      delete process.env.PIPELINER_PANEL_TYPE_DIR;
+    } else {
+      process.env.PIPELINER_PANEL_TYPE_DIR = originalDir;
+    }
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("discovery", () => {
+    test("should load valid files and report the rest", () => {
+      const { panelTypes, errors } = loadPanelTypeFiles();
+
+      expect(panelTypes.map((config) => config.panelType)).toEqual([
+        "productreview",
+      ]);
+      expect(errors).toEqual([
+        {
+          filePath: path.join(panelTypeDir, "broken.yaml"),
+          error:
+            'Panel type "broken" must have a moderator and 2-8 panel members (panel1, panel2, ...)',
+        },
+        {
+          filePath: path.join(panelTypeDir, "security.json"),
+          error: 'Panel type "security" is built in and cannot be redefined',
+        },
+      ]);
+      expect(loadPanelTypeFiles(path.join(tempDir, "missing"))).toEqual({
+        panelTypes: [],
+        errors: [],
+      });
+    });
+
+    test("should list and create file panel types next to the built-in ones", () => {
+      expect(getAvailablePanelTypes()).toEqual([
+        "discussion",
+        "security",
+        "techreview",
+        "debate",
+        "productreview",
+      ]);
+      expect(isValidPanelType("ProductReview")).toBe(true);
+
+      const config = createPanelConfig("productreview");
+      expect(config).toBeInstanceOf(FilePanelConfig);
+      expect(config.defaultInteractions).toBe(3);
+      expect(config.inputDirectory).toBe("input/productreview");
+      expect(
+        config.getRoster().map(({ slot, id, agent }) => [slot, id, agent])
+      ).toEqual([
+        ["panel_1", "customer_advocate", "panel1_customer_advocate"],
+        ["panel_2", "engineer", "panel2_analyst"],
+      ]);
+      expect(createPanelConfig("security").constructor.name).toBe(
+        "SecurityConfig"
+      );
+    });
+
+    test("should validate prompts and required inputs", () => {
+      const config = new FilePanelConfig({
+        name: "review",
+        moderator: { name: "Lead", prompt: "" },
+        members: [
+          { name: "A", prompt: "Attack.", temperature: 3 },
+          { name: "B" },
+        ],
+        requiredInputs: ["brief", { id: "brief", label: "Brief again" }],
+      });
+
+      expect(config.validate().errors).toEqual([
+        'Panel type "review" panel_1 temperature must be a number between 0 and 2',
+        'Panel type "review" moderator prompt must be a non-empty string',
+        'Panel type "review" panel_2 needs a prompt or an agent',
+        'Panel type "review" required input "brief" is listed twice',
+      ]);
+    });
+
+    test("should combine required inputs into the source text", () => {
+      const config = createPanelConfig("productreview");
+
+      expect(
+        config.buildSourceText({ proposal: "Dark mode", research: "Asked for" })
+      ).toBe("PRODUCT PROPOSAL:\nDark mode\n\nCUSTOMER RESEARCH:\nAsked for");
+      expect(() => config.buildSourceText({ proposal: "Dark mode" })).toThrow(
+        "Missing required inputs for the productreview panel: research"
+      );
+    });
+  });
+
+  describe("agents", () => {
+    test("should build prompt agents and fall back to agent files", async () => {
+      const loader = createAgentLoader("productreview");
+      const moderator = await loader.loadModerator();
+      const panelists = await loader.loadPanelists();
+      const summarizer = await loader.loadSummarizer();
+
+      const moderatorCall = await moderator("Who speaks next?", "", []);
+      expect(moderatorCall.model).toMatchObject({
+        model: "openai/gpt-4.1-mini",
+        response_format: { type: "json_object" },
+      });
+      expect(moderatorCall.chat.systemPrompt).toContain(
+        "You chair a product review."
+      );
+      expect(moderatorCall.chat.systemPrompt).toContain('"next_speaker"');
+
+      const advocateCall = await panelists.customer_advocate("Go", "", []);
+      expect(advocateCall.chat.systemPrompt).toBe(
+        "You represent the customer."
+      );
+      expect(advocateCall.model.temperature).toBe(0.9);
+      expect(typeof panelists.engineer).toBe("function");
+      expect((await summarizer("Summarize", "", [])).chat.systemPrompt).toBe(
+        "Summarize the review as a decision memo."
+      );
+
+      const { agents } = loader.getAgentInfo();
+      expect(agents.moderator.willUse).toBe("prompt");
+      expect(agents.panel1_customer_advocate.willUse).toBe("prompt");
+      expect(agents.panel2_analyst.willUse).toBe("fallback");
+    });
+  });
+
+  describe("pipeline registry", () => {
+    test("should register each file panel type on the moderated panel pipeline", async () => {
+      const moderatedPanel = {
+        execute: jest.fn(async () => "ran"),
+        executeViaNostrMQ: jest.fn(async () => ({ success: true })),
+        info: { name: "Moderated Panel Pipeline", inputSchema: {} },
+        module: {},
+      };
+      const registry = new PipelineRegistry({
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn(),
+      });
+      registry.pipelines.set("moderatedPanel", moderatedPanel);
+
+      await registry.discoverPanelTypes();
+
+      const pipeline = registry.getPipeline("productreviewPanel");
+      expect(pipeline.info).toMatchObject({
+        name: "Product Review Panel",
+        panelType: "productreview",
+        requiredInputs: [
+          { id: "proposal", label: "Product proposal" },
+          { id: "research", label: "Customer research" },
+        ],
+      });
+      expect(registry.hasPipeline("brokenPanel")).toBe(false);
+
+      await pipeline.execute({ discussionSubject: "Ship it?" });
+      await pipeline.executeViaNostrMQ(
+        { discussionSubject: "Ship it?" },
+        null,
+        {
+          sender: "npub1test",
+        }
+      );
+      expect(moderatedPanel.execute).toHaveBeenCalledWith(
+        { discussionSubject: "Ship it?", panelType: "productreview" },
+        {}
+      );
+      expect(moderatedPanel.executeViaNostrMQ).toHaveBeenCalledWith(
+        { discussionSubject: "Ship it?", panelType: "productreview" },
+        null,
+        { sender: "npub1test" }
+      );
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    test("should run a file panel type from its required inputs", async () => {
+      respondAsPanel(mockCallEverest, {
+        moderator: (stepId) => ({
+          moderator_response: `Comment for ${stepId}`,
+          next_speaker: "panel_2",
+        }),
+      });
+
+      const pipeline = await runPipeline({
+        panelType: "productreview",
+        inputs: { proposal: "Dark mode", research: "Users asked for it" },
+        discussionSubject: "Should we build dark mode?",
+      });
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "engineer_interaction_1",
+        "moderator_decision_1",
+        "engineer_interaction_2",
+        "moderator_decision_2",
+        "engineer_interaction_3",
+        "panel_summary",
+      ]);
+      expect(calls[0][0].chat.systemPrompt).toContain(
+        "You chair a product review."
+      );
+      expect(calls[0][0].chat.userPrompt).toContain(
+        "PRODUCT PROPOSAL:\\nDark mode"
+      );
+      expect(calls[6][0].chat.userPrompt).toContain(
+        "Risks, open questions and a go/no-go recommendation"
+      );
+
+      expect(path.dirname(pipeline.files.conversation)).toMatch(
+        new RegExp(`^${path.join(tempDir, "output")}`)
+      );
+      const summary = await fs.readFile(pipeline.files.summary, "utf8");
+      expect(summary).toContain("# Product Review Panel Summary");
+    });
+  });
+});
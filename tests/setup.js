@@ -7,6 +7,12 @@ console.log("Setting up Jest test environment for Pipeliner...");
 process.env.EVEREST_API_BASE = "https://test.api.com/";
 process.env.EVEREST_API = "test-api-key";
 process.env.NODE_ENV = "test";
+// Single attempt by default so failing calls don't back off during tests
+process.env.EVEREST_MAX_RETRIES = "0";
+// Keep test runs out of the cost ledger
+process.env.PIPELINER_COST_LEDGER = "off";
+// Don't leave run checkpoints behind from pipeline tests
+process.env.PIPELINER_CHECKPOINT_DIR = "off";
 
 // Global fetch mock setup
 global.fetch = jest.fn();
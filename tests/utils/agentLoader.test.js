@@ -193,6 +193,24 @@ describe("agentLoader utility functions", () => {
       expect(callDetails.model.max_tokens).toBe(4096);
     });
 
+    test("should include backend only when provided", () => {
+      const withoutBackend = generateCallDetails(
+        mockConfig,
+        "sanitized message",
+        "test context",
+        []
+      );
+      const withBackend = generateCallDetails(
+        { ...mockConfig, backend: "openai-compatible" },
+        "sanitized message",
+        "test context",
+        []
+      );
+
+      expect(withoutBackend).not.toHaveProperty("backend");
+      expect(withBackend.backend).toBe("openai-compatible");
+    });
+
     test("should populate chat object correctly", () => {
       const callDetails = generateCallDetails(
         mockConfig,
@@ -276,6 +294,13 @@ describe("agentLoader utility functions", () => {
       }).toThrow("Unsupported type: unsupported");
     });
 
+    test("should throw error for unsupported backend", () => {
+      const config = { ...basicConfig, backend: "unsupported" };
+      expect(() => {
+        agentLoader(config, "message", "context", []);
+      }).toThrow("Unsupported backend: unsupported");
+    });
+
     test("should throw error for invalid temperature", () => {
       const config = { ...basicConfig, temperature: 3.0 };
       expect(() => {
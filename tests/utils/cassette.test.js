@@ -0,0 +1,231 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  getCassetteSettings,
+  stableStringify,
+  normalizeAgentConfig,
+  getCassetteKey,
+  recordInteraction,
+  replayInteraction,
+  resetCassetteCursors,
+} from "../../src/utils/cassette.js";
+import {
+  createPipelineData,
+  completePipeline,
+} from "../../src/utils/pipelineData.js";
+
+describe("cassette", () => {
+  let cassetteDir;
+
+  beforeEach(async () => {
+    cassetteDir = await fs.mkdtemp(path.join(os.tmpdir(), "cassette-"));
+    resetCassetteCursors();
+    delete process.env.EVEREST_CASSETTE_MODE;
+    delete process.env.EVEREST_CASSETTE_DIR;
+  });
+
+  afterEach(async () => {
+    await fs.rm(cassetteDir, { recursive: true, force: true });
+  });
+
+  describe("getCassetteSettings", () => {
+    test("should default to off", () => {
+      expect(getCassetteSettings()).toEqual({ mode: "off", dir: "cassettes" });
+    });
+
+    test("should read mode and dir from environment", () => {
+      process.env.EVEREST_CASSETTE_MODE = "REPLAY";
+      process.env.EVEREST_CASSETTE_DIR = "fixtures/cassettes";
+
+      expect(getCassetteSettings()).toEqual({
+        mode: "replay",
+        dir: "fixtures/cassettes",
+      });
+    });
+
+    test("should prefer options over environment", () => {
+      process.env.EVEREST_CASSETTE_MODE = "replay";
+
+      expect(
+        getCassetteSettings({ cassetteMode: "record", cassetteDir: "x" })
+      ).toEqual({ mode: "record", dir: "x" });
+    });
+
+    test("should reject unknown modes", () => {
+      expect(() => getCassetteSettings({ cassetteMode: "rewind" })).toThrow(
+        "Invalid cassette mode"
+      );
+    });
+  });
+
+  describe("getCassetteKey", () => {
+    test("should ignore key order", () => {
+      expect(stableStringify({ b: 1, a: { d: 2, c: [3] } })).toBe(
+        stableStringify({ a: { c: [3], d: 2 }, b: 1 })
+      );
+    });
+
+    test("should ignore callID and callTS", () => {
+      const first = createMockAgentConfig({
+        callID: "one",
+        origin: { originID: "o", callTS: "2025-01-01T00:00:00.000Z" },
+      });
+      const second = createMockAgentConfig({
+        callID: "two",
+        origin: { originID: "o", callTS: "2025-06-01T12:00:00.000Z" },
+      });
+
+      expect(getCassetteKey(first)).toBe(getCassetteKey(second));
+    });
+
+    test("should ignore the context strategy bookkeeping", () => {
+      const tagged = createMockAgentConfig({
+        contextStrategy: { history: { strategy: "full", tokens: 10 } },
+      });
+
+      expect(getCassetteKey(tagged)).toBe(
+        getCassetteKey(createMockAgentConfig())
+      );
+    });
+
+    test("should ignore the appended date context", () => {
+      const config = (date) =>
+        createMockAgentConfig({
+          chat: {
+            userPrompt: "Hi",
+            systemPrompt: "Sys",
+            messageContext: `Context The date today is: ${date}`,
+            messageHistory: [],
+          },
+        });
+
+      expect(getCassetteKey(config("Monday, 1 January 2025"))).toBe(
+        getCassetteKey(config("Friday, 18 July 2025"))
+      );
+    });
+
+    test("should change when the prompt changes", () => {
+      const base = createMockAgentConfig();
+      const changed = createMockAgentConfig({
+        chat: { ...base.chat, userPrompt: "Different prompt" },
+      });
+
+      expect(getCassetteKey(base)).not.toBe(getCassetteKey(changed));
+    });
+
+    test("should not mutate the original config", () => {
+      const config = createMockAgentConfig();
+      normalizeAgentConfig(config);
+
+      expect(config.callID).toBe("test-agent-call-id");
+      expect(config.origin.callTS).toBeDefined();
+    });
+  });
+
+  describe("record and replay", () => {
+    test("should replay recorded interactions in order", async () => {
+      const config = createMockAgentConfig();
+
+      await recordInteraction(cassetteDir, config, {
+        status: 200,
+        body: { message: "first" },
+      });
+      await recordInteraction(cassetteDir, config, {
+        status: 200,
+        body: { message: "second" },
+      });
+
+      resetCassetteCursors();
+      const first = await replayInteraction(cassetteDir, config);
+      const second = await replayInteraction(cassetteDir, config);
+      const third = await replayInteraction(cassetteDir, config);
+
+      expect(first.body.message).toBe("first");
+      expect(second.body.message).toBe("second");
+      expect(third.body.message).toBe("second");
+    });
+
+    test("should start each run from the first interaction", async () => {
+      const config = createMockAgentConfig();
+
+      await recordInteraction(
+        cassetteDir,
+        config,
+        { status: 200, body: { message: "first" } },
+        "record-run"
+      );
+      await recordInteraction(
+        cassetteDir,
+        config,
+        { status: 200, body: { message: "second" } },
+        "record-run"
+      );
+
+      const runA = await replayInteraction(cassetteDir, config, "run-a");
+      const runB = await replayInteraction(cassetteDir, config, "run-b");
+      const runANext = await replayInteraction(cassetteDir, config, "run-a");
+
+      expect(runA.body.message).toBe("first");
+      expect(runB.body.message).toBe("first");
+      expect(runANext.body.message).toBe("second");
+    });
+
+    test("should drop a run's positions when the run finishes", async () => {
+      const config = createMockAgentConfig();
+      await recordInteraction(
+        cassetteDir,
+        config,
+        { status: 200, body: { message: "first" } },
+        "record-run"
+      );
+      await recordInteraction(
+        cassetteDir,
+        config,
+        { status: 200, body: { message: "second" } },
+        "record-run"
+      );
+
+      const pipelineData = createPipelineData("replay-run");
+      await replayInteraction(cassetteDir, config, "replay-run");
+      completePipeline(pipelineData);
+      const again = await replayInteraction(cassetteDir, config, "replay-run");
+
+      expect(again.body.message).toBe("first");
+    });
+
+    test("should overwrite recordings from a previous session", async () => {
+      const config = createMockAgentConfig();
+
+      await recordInteraction(cassetteDir, config, {
+        status: 200,
+        body: { message: "old" },
+      });
+      resetCassetteCursors();
+      await recordInteraction(cassetteDir, config, {
+        status: 200,
+        body: { message: "new" },
+      });
+
+      const cassette = JSON.parse(
+        await fs.readFile(
+          path.join(cassetteDir, `${getCassetteKey(config)}.json`),
+          "utf-8"
+        )
+      );
+      expect(cassette.interactions).toHaveLength(1);
+      expect(cassette.interactions[0].body.message).toBe("new");
+      expect(cassette.request.callID).toBeUndefined();
+    });
+
+    test("should return null on a miss", async () => {
+      const result = await replayInteraction(
+        cassetteDir,
+        createMockAgentConfig()
+      );
+
+      expect(result).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,340 @@
+import { jest } from "@jest/globals";
+import path from "path";
+import { createPipelineData } from "../../src/utils/pipelineData.js";
+import { mockEverest, removeDirsAfterEach } from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  countTokens,
+  getContextWindow,
+  validateContextOptions,
+  resolveContextOptions,
+  excerptSource,
+  estimateSummaryCalls,
+  createContextManager,
+} = await import("../../src/utils/contextManager.js");
+const { dialoguePipeline } = await import(
+  "../../src/pipelines/dialoguePipeline.js"
+);
+
+describe("contextManager", () => {
+  // Checkpoint stand-in that runs every step
+  const checkpoint = { runStep: (stepId, fn) => fn() };
+  const summaryAgent = jest.fn(async (message) => ({ message }));
+
+  // 50 characters, 13 tokens for models without a known family
+  const message = (index) => ({
+    role: "assistant",
+    content: `Turn ${index}. ${"x".repeat(42)}`,
+  });
+  const messages = (count) =>
+    Array.from({ length: count }, (_, index) => message(index + 1));
+
+  const createManager = (overrides = {}, pipelineData = createPipelineData()) =>
+    createContextManager(
+      resolveContextOptions({
+        recentTurns: 2,
+        maxHistoryTokens: 20,
+        ...overrides,
+      }),
+      { pipelineData, checkpoint, summaryAgent }
+    );
+
+  beforeEach(() => {
+    summaryAgent.mockClear();
+  });
+
+  describe("countTokens", () => {
+    test("should use the model family's characters per token", () => {
+      const text = "a".repeat(35);
+
+      expect(countTokens(text, "anthropic/claude-sonnet-4")).toBe(10);
+      expect(countTokens(text, "openai/gpt-4.1")).toBe(9);
+      expect(countTokens(text)).toBe(9);
+      expect(countTokens(null)).toBe(0);
+    });
+
+    test("should fall back to a default context window", () => {
+      expect(getContextWindow("anthropic/claude-sonnet-4")).toBe(200000);
+      expect(getContextWindow("unknown/model")).toBe(128000);
+    });
+  });
+
+  describe("validateContextOptions", () => {
+    test("should accept booleans, defaults and valid settings", () => {
+      expect(validateContextOptions({})).toEqual([]);
+      expect(validateContextOptions({ contextManagement: false })).toEqual([]);
+      expect(
+        validateContextOptions({
+          contextManagement: { recentTurns: 4, maxHistoryTokens: 2000 },
+        })
+      ).toEqual([]);
+    });
+
+    test("should reject invalid settings", () => {
+      expect(validateContextOptions({ contextManagement: "on" })).toEqual([
+        "contextManagement must be a boolean or an object",
+      ]);
+      expect(
+        validateContextOptions({
+          contextManagement: {
+            recentTurns: 0,
+            maxHistoryTokens: 1.5,
+            maxSourceTokens: "lots",
+            summarize: "yes",
+          },
+        })
+      ).toEqual([
+        "contextManagement.recentTurns must be a positive integer",
+        "contextManagement.maxHistoryTokens must be a positive integer",
+        "contextManagement.maxSourceTokens must be a positive integer",
+        "contextManagement.summarize must be a boolean",
+      ]);
+    });
+
+    test("should resolve settings over the defaults", () => {
+      expect(resolveContextOptions(false)).toBeNull();
+      expect(resolveContextOptions(undefined)).toBeNull();
+      expect(resolveContextOptions(true).recentTurns).toBe(6);
+      expect(resolveContextOptions({ recentTurns: 2 })).toMatchObject({
+        recentTurns: 2,
+        maxHistoryTokens: 12000,
+        summarize: true,
+      });
+    });
+  });
+
+  describe("excerptSource", () => {
+    const source = [
+      "Overview of the report.",
+      "Shipping logistics and ports were reviewed.",
+      "Battery storage costs fell sharply.",
+      "Catering arrangements for the venue.",
+    ].join("\n\n");
+
+    test("should send sources within budget unchanged", () => {
+      expect(excerptSource(source, { maxTokens: 1000 })).toEqual({
+        text: source,
+        strategy: { strategy: "full", tokens: 36 },
+      });
+    });
+
+    test("should keep the opening and the most relevant paragraphs in order", () => {
+      const result = excerptSource(source, {
+        maxTokens: 26,
+        focus: "How do battery storage costs affect adoption?",
+      });
+
+      expect(result.text).toBe(
+        "Overview of the report.\n\n[...]\n\nBattery storage costs fell sharply.\n\n[...]"
+      );
+      expect(result.strategy).toMatchObject({
+        strategy: "excerpt",
+        tokens: 36,
+        paragraphs: 4,
+        keptParagraphs: 2,
+      });
+    });
+
+    test("should truncate a single paragraph over budget", () => {
+      const result = excerptSource("x".repeat(400), { maxTokens: 10 });
+
+      expect(result.text).toBe(`${"x".repeat(32)}\n\n[...]`);
+      expect(result.strategy.keptParagraphs).toBe(0);
+      expect(result.strategy.sentTokens).toBe(10);
+    });
+
+    test("should count the gap markers against the budget", () => {
+      const paragraphs = Array.from(
+        { length: 40 },
+        (_, index) => `Paragraph ${index} on storage. ${"y".repeat(index * 7)}`
+      ).join("\n\n");
+
+      for (const maxTokens of [50, 200, 800]) {
+        const result = excerptSource(paragraphs, {
+          maxTokens,
+          focus: "storage",
+        });
+        expect(result.strategy.sentTokens).toBeLessThanOrEqual(maxTokens);
+      }
+    });
+  });
+
+  describe("estimateSummaryCalls", () => {
+    test("should allow one fold per prompt past the verbatim turns", () => {
+      const options = resolveContextOptions({ recentTurns: 2 });
+
+      expect(estimateSummaryCalls(options, { prompts: 3, turns: 4 })).toBe(2);
+      expect(estimateSummaryCalls(options, { prompts: 1, turns: 9 })).toBe(1);
+      expect(estimateSummaryCalls(options, { prompts: 5, turns: 2 })).toBe(0);
+    });
+
+    test("should not count calls when summarising is off", () => {
+      expect(estimateSummaryCalls(null, { prompts: 9, turns: 9 })).toBe(0);
+      expect(
+        estimateSummaryCalls(resolveContextOptions({ summarize: false }), {
+          prompts: 9,
+          turns: 9,
+        })
+      ).toBe(0);
+    });
+  });
+
+  describe("createContextManager", () => {
+    test("should send short histories in full", async () => {
+      const history = messages(2);
+      const result = await createManager().prepareHistory(history);
+
+      expect(result).toEqual({
+        history,
+        strategy: { strategy: "full", tokens: 26 },
+      });
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+
+    test("should fold older turns into a rolling summary", async () => {
+      mockCallEverest.mockResolvedValue({
+        response: { content: "- Summary" },
+      });
+      const pipelineData = createPipelineData();
+      const manager = createManager({}, pipelineData);
+
+      const first = await manager.prepareHistory(messages(4));
+
+      expect(first.history).toEqual([
+        {
+          role: "user",
+          content: "SUMMARY OF EARLIER CONVERSATION:\n- Summary",
+        },
+        message(3),
+        message(4),
+      ]);
+      expect(first.strategy).toEqual({
+        strategy: "rolling-summary",
+        method: "summary",
+        tokens: 52,
+        sentTokens: 29,
+        summarizedTurns: 2,
+        recentTurns: 2,
+      });
+      expect(mockCallEverest).toHaveBeenCalledWith(
+        expect.any(Object),
+        pipelineData,
+        "context_summary_1"
+      );
+
+      // Only the turns leaving the window are folded in on later calls
+      await manager.prepareHistory(messages(5));
+
+      expect(mockCallEverest).toHaveBeenLastCalledWith(
+        expect.any(Object),
+        pipelineData,
+        "context_summary_2"
+      );
+      expect(summaryAgent).toHaveBeenLastCalledWith(
+        `PREVIOUS SUMMARY:\n- Summary\n\nNEW TURNS:\n${message(3).content}`,
+        "",
+        []
+      );
+    });
+
+    test("should fold turns extractively when the summariser fails", async () => {
+      mockCallEverest.mockResolvedValue({ error: "Upstream unavailable" });
+      const manager = createManager();
+
+      const result = await manager.prepareTranscript(
+        [
+          { speaker: "Moderator", content: "Welcome. Let us begin" },
+          { speaker: "challenger", content: `First point. ${"y".repeat(60)}` },
+          { speaker: "analyst", content: "Second point." },
+          { speaker: "explorer", content: "Third point." },
+        ],
+        { key: "panel" }
+      );
+
+      expect(result.text).toBe(
+        "Summary of earlier discussion:\n- Moderator: Welcome.\n- challenger: First point.\n\nRecent discussion:\nanalyst: Second point.\n\nexplorer: Third point."
+      );
+      expect(result.strategy.method).toBe("extractive");
+    });
+
+    test("should never excerpt code or security sources", () => {
+      const manager = createManager({ maxSourceTokens: 5 });
+      const code = "function a() {}\n\nfunction b() {}\n\nfunction c() {}";
+
+      expect(manager.prepareSource(code, { excerpt: false })).toEqual({
+        text: code,
+        strategy: { strategy: "full", tokens: 13, verbatim: true },
+      });
+      expect(manager.prepareSource(code).strategy.strategy).toBe("excerpt");
+    });
+
+    test("should pass everything through when switched off", async () => {
+      const manager = createContextManager(null, {
+        pipelineData: createPipelineData(),
+        checkpoint,
+      });
+      const history = messages(10);
+
+      expect((await manager.prepareHistory(history)).history).toBe(history);
+      expect(manager.prepareSource("Source").strategy).toEqual({
+        strategy: "off",
+        tokens: 2,
+      });
+      expect(manager.tag({}, { history: { strategy: "off" } })).toEqual({
+        contextStrategy: { history: { strategy: "off" } },
+      });
+    });
+  });
+
+  describe("dialogue pipeline context management", () => {
+    const outputDirs = removeDirsAfterEach();
+
+    test("should summarise older turns and tag each call with its strategy", async () => {
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => ({
+          callID: `call-${stepId}`,
+          response: {
+            content: stepId.startsWith("context_summary")
+              ? "- Earlier points"
+              : `Response for ${stepId} with some further detail`,
+          },
+        })
+      );
+
+      const result = await dialoguePipeline({
+        sourceText: "Test source material about renewable energy.",
+        discussionPrompt: "What limits renewable energy adoption?",
+        iterations: 2,
+        contextManagement: { recentTurns: 2, maxHistoryTokens: 20 },
+      });
+      outputDirs.push(path.dirname(result.files.data));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "agent1_initial",
+        "agent2_iteration_1",
+        "agent1_followup_1",
+        "context_summary_1",
+        "agent2_iteration_2",
+        "conversation_summary",
+      ]);
+      expect(calls[0][0].contextStrategy).toEqual({
+        source: { strategy: "full", tokens: expect.any(Number) },
+      });
+
+      const agent2Config = calls[4][0];
+      expect(agent2Config.contextStrategy.history).toMatchObject({
+        strategy: "rolling-summary",
+        summarizedTurns: 1,
+        recentTurns: 2,
+      });
+      expect(agent2Config.chat.messageHistory[0].content).toBe(
+        "SUMMARY OF EARLIER CONVERSATION:\n- Earlier points"
+      );
+      expect(result.pipeline.costEstimate.callCount).toBe(7);
+      expect(result.pipeline.status).toBe("completed");
+    });
+  });
+});
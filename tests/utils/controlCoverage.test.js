@@ -0,0 +1,354 @@
+import { promises as fs } from "fs";
+import path from "path";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  validateFrameworkOptions,
+  resolveFramework,
+  parseFrameworkControls,
+  parseControlCoverage,
+  buildCoverageMatrix,
+  mergeControlCoverage,
+  formatCoverageMarkdown,
+  formatUncoveredChecklist,
+} = await import("../../src/utils/controlCoverage.js");
+const { runPipeline, estimatePanelApiCalls } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const asvsExtract = `# OWASP ASVS 4.0 extract
+
+## V2 Authentication
+
+### V2.1 Password Security
+
+| # | Description | L1 |
+|---|---|---|
+| **2.1.1** | Verify that user set passwords are at least 12 characters in length. | ✓ |
+| **2.1.2** | Verify that passwords of at least 64 characters are permitted. | ✓ |
+
+## V3 Session Management
+
+- V3.2.1 Verify the application generates a new session token on user authentication.
+`;
+const checklist = `# Login checklist
+
+- [ ] AUTH-1 Passwords are hashed with a slow hash
+- [ ] Rate limit failed logins
+- [x] AUTH-3: Sessions expire after inactivity
+`;
+const controls = parseFrameworkControls(checklist);
+const transcript = `Moderator: Let's look at the login handler.
+
+offensive: The passwords are stored with MD5, which is trivially cracked.
+
+defensive: Sessions expire after 15 minutes of inactivity, so that part is fine.`;
+const coverageReply = (items) => JSON.stringify({ controls: items });
+
+describe("controlCoverage", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("parseFrameworkControls", () => {
+    test("should read control IDs from tables, lists and headings", () => {
+      expect(parseFrameworkControls(asvsExtract)).toEqual([
+        {
+          id: "2.1.1",
+          title:
+            "Verify that user set passwords are at least 12 characters in length.",
+        },
+        {
+          id: "2.1.2",
+          title:
+            "Verify that passwords of at least 64 characters are permitted.",
+        },
+        {
+          id: "V3.2.1",
+          title:
+            "Verify the application generates a new session token on user authentication.",
+        },
+      ]);
+      expect(
+        parseFrameworkControls(
+          "# OWASP Top 10\n\n## A01:2021 – Broken Access Control\n\nDetails.\n\n## A02:2021 – Cryptographic Failures\n"
+        )
+      ).toEqual([
+        { id: "A01:2021", title: "Broken Access Control" },
+        { id: "A02:2021", title: "Cryptographic Failures" },
+      ]);
+    });
+
+    test("should read checklists and fall back to numbered lists", () => {
+      expect(controls).toEqual([
+        { id: "AUTH-1", title: "Passwords are hashed with a slow hash" },
+        { id: "C-001", title: "Rate limit failed logins" },
+        { id: "AUTH-3", title: "Sessions expire after inactivity" },
+      ]);
+      expect(
+        parseFrameworkControls(
+          "Essential Eight\n\n1. Application control\n2. Patch applications\n"
+        )
+      ).toEqual([
+        { id: "C-001", title: "Application control" },
+        { id: "C-002", title: "Patch applications" },
+      ]);
+      expect(
+        parseFrameworkControls("Use SHA256 hashes.\nVersion 2.0 applies.")
+      ).toEqual([]);
+    });
+  });
+
+  describe("options", () => {
+    test("should validate and resolve the framework option", () => {
+      expect(validateFrameworkOptions({})).toEqual([]);
+      expect(
+        validateFrameworkOptions({ securityFramework: checklist })
+      ).toEqual([]);
+      expect(
+        validateFrameworkOptions({ securityFramework: "Be secure." })
+      ).toEqual([
+        "securityFramework has no controls: use a markdown checklist, lines that start with control IDs such as V2.1.1, or a numbered list",
+      ]);
+      expect(
+        validateFrameworkOptions({
+          securityFramework: { controls: [{ id: "X-1" }] },
+        })
+      ).toEqual([
+        "securityFramework.controls must be an array of { id, title } objects",
+      ]);
+
+      expect(resolveFramework(undefined)).toBeNull();
+      expect(
+        resolveFramework({
+          name: "Custom",
+          controls: [{ id: " X-1 ", title: " Log admin actions " }],
+        })
+      ).toEqual({
+        name: "Custom",
+        content: null,
+        controls: [{ id: "X-1", title: "Log admin actions" }],
+      });
+    });
+  });
+
+  describe("coverage", () => {
+    test("should keep only quotes found in the transcript", () => {
+      const assessments = parseControlCoverage(
+        `Assessment:\n${coverageReply([
+          {
+            id: "auth-1",
+            covered: true,
+            status: "Fail",
+            quotes: [
+              {
+                speaker: "Red Team",
+                text: "The passwords are stored with MD5,  which is trivially cracked.",
+              },
+              { speaker: "Red Team", text: "Passwords use bcrypt." },
+            ],
+            notes: "MD5 is not a slow hash.",
+          },
+          {
+            id: "C-001",
+            covered: false,
+            quotes: ["Rate limits exist"],
+            notes: "",
+          },
+          { id: "AUTH-3", covered: true, status: "not assessed" },
+        ])}`,
+        controls,
+        transcript
+      );
+
+      expect(assessments).toEqual({
+        "AUTH-1": {
+          covered: true,
+          status: "fail",
+          quotes: [
+            {
+              speaker: "Red Team",
+              text: "The passwords are stored with MD5,  which is trivially cracked.",
+            },
+          ],
+          notes: "MD5 is not a slow hash.",
+        },
+        "C-001": {
+          covered: false,
+          status: "not_assessed",
+          quotes: [],
+          notes: null,
+        },
+        "AUTH-3": {
+          covered: true,
+          status: "not_assessed",
+          quotes: [],
+          notes: null,
+        },
+      });
+      expect(parseControlCoverage("No idea", controls)).toBeNull();
+    });
+
+    test("should merge parts and format the matrix and follow-up checklist", () => {
+      const framework = { name: "Login checklist", controls };
+      const part1 = buildCoverageMatrix(framework, {
+        "AUTH-1": {
+          covered: true,
+          status: "pass",
+          quotes: [{ speaker: "Blue Team", text: "bcrypt | cost 12" }],
+          notes: null,
+        },
+      });
+      const part2 = buildCoverageMatrix(framework, {
+        "AUTH-1": {
+          covered: true,
+          status: "fail",
+          quotes: [],
+          notes: "Legacy accounts still use MD5.",
+        },
+        "AUTH-3": {
+          covered: true,
+          status: "pass",
+          quotes: [],
+          notes: null,
+        },
+      });
+
+      const merged = mergeControlCoverage([part1, part2]);
+      expect(merged.controls[0]).toMatchObject({
+        id: "AUTH-1",
+        covered: true,
+        status: "fail",
+        notes: "Legacy accounts still use MD5.",
+      });
+      expect(merged.totals).toEqual({
+        controls: 3,
+        covered: 2,
+        pass: 1,
+        fail: 1,
+        notAssessed: 1,
+      });
+      expect(merged.uncovered).toEqual(["C-001"]);
+
+      const markdown = formatCoverageMarkdown(merged, {
+        discussionSubject: "Login review",
+      });
+      expect(markdown).toContain("**Framework**: Login checklist");
+      expect(markdown).toContain("**Discussion Subject**: Login review");
+      expect(markdown).toContain(
+        "| AUTH-1 | Passwords are hashed with a slow hash | yes | ❌ fail | 1 |"
+      );
+      expect(markdown).toContain(
+        "| C-001 | Rate limit failed logins | no | ➖ not_assessed | 0 |"
+      );
+      expect(markdown).toContain(
+        "### AUTH-1. Passwords are hashed with a slow hash\n\n**Status**: fail\n\n> bcrypt | cost 12\n> — Blue Team\n\nLegacy accounts still use MD5."
+      );
+      expect(markdown).toContain("- C-001: Rate limit failed logins");
+
+      const followUp = formatUncoveredChecklist(merged);
+      expect(followUp).toBe(
+        "# Uncovered Controls: Login checklist\n\n- [ ] C-001 Rate limit failed logins\n"
+      );
+      expect(parseFrameworkControls(followUp)).toEqual([
+        { id: "C-001", title: "Rate limit failed logins" },
+      ]);
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    const config = {
+      panelType: "security",
+      sourceText: "CODEBASE TO ANALYZE:\nfunction login(user, password) {}",
+      discussionSubject: "Security review of the login handler",
+      panelInteractions: 2,
+      securityFramework: { name: "Login checklist", content: checklist },
+    };
+
+    test("should assess each control after the findings", async () => {
+      respondAsPanel(mockCallEverest, {
+        reply: (stepId) => {
+          if (stepId === "security_findings") {
+            return JSON.stringify({ findings: [] });
+          }
+          if (stepId === "control_coverage") {
+            return coverageReply([
+              {
+                id: "AUTH-1",
+                covered: true,
+                status: "fail",
+                quotes: [
+                  {
+                    speaker: "Red Team",
+                    text: "Response for offensive_interaction_1",
+                  },
+                ],
+              },
+            ]);
+          }
+        },
+      });
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "offensive_interaction_1",
+        "moderator_decision_1",
+        "offensive_interaction_2",
+        "panel_summary",
+        "security_findings",
+        "control_coverage",
+      ]);
+      expect(calls[0][0].chat.userPrompt).toContain(
+        "SECURITY FRAMEWORK (Login checklist):"
+      );
+      expect(calls[6][0].model.response_format).toEqual({
+        type: "json_object",
+      });
+      expect(calls[6][0].chat.userPrompt).toContain(
+        "- C-001: Rate limit failed logins"
+      );
+
+      const { controlCoverage, metadata } = pipeline.result;
+      expect(controlCoverage.controls[0].quotes).toHaveLength(1);
+      expect(controlCoverage.uncovered).toEqual(["C-001", "AUTH-3"]);
+      expect(metadata).toMatchObject({
+        securityFramework: { name: "Login checklist", controls: 3 },
+        apiCalls: 7,
+      });
+
+      expect(
+        JSON.parse(await fs.readFile(pipeline.files.controlCoverage, "utf8"))
+      ).toEqual(controlCoverage);
+      const markdown = await fs.readFile(
+        pipeline.files.controlCoverageMarkdown,
+        "utf8"
+      );
+      expect(markdown).toContain("**Covered**: 1");
+      const followUp = await fs.readFile(
+        pipeline.files.uncoveredControls,
+        "utf8"
+      );
+      expect(followUp).toContain(
+        "- [ ] AUTH-3 Sessions expire after inactivity"
+      );
+    });
+
+    test("should batch large frameworks and reject frameworks without controls", async () => {
+      expect(
+        estimatePanelApiCalls({ panelInteractions: 2, controlCount: 41 })
+      ).toBe(7);
+      await expect(
+        runPipeline({ ...config, securityFramework: "Be secure." })
+      ).rejects.toThrow("securityFramework has no controls");
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,294 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  getLedgerPath,
+  createLedgerEntry,
+  appendLedgerEntry,
+  recordStepCost,
+  readLedger,
+  filterLedgerEntries,
+  aggregateLedger,
+  toCsv,
+  formatLedgerTable,
+  DEFAULT_LEDGER_PATH,
+} from "../../src/utils/costLedger.js";
+import {
+  parseReportArgs,
+  buildCostReport,
+} from "../../src/utils/costReport.js";
+import { createPipelineData } from "../../src/utils/pipelineData.js";
+
+describe("costLedger", () => {
+  let tempDir;
+  let ledgerPath;
+
+  const createEntry = (overrides = {}) => ({
+    timestamp: "2025-07-18T09:00:00.000Z",
+    runId: "run-1",
+    pipeline: "dialogue",
+    panelType: null,
+    stepId: "agent1_initial",
+    model: "openai/gpt-4.1",
+    callID: "call-1",
+    billingID: "bill-1",
+    tokensIn: 100,
+    tokensOut: 50,
+    totalTokens: 150,
+    cost: 0.01,
+    sender: null,
+    ...overrides,
+  });
+
+  const entries = [
+    createEntry(),
+    createEntry({ runId: "run-1", stepId: "agent2_response", cost: 0.02 }),
+    createEntry({
+      timestamp: "2025-07-19T10:00:00.000Z",
+      runId: "run-2",
+      pipeline: "moderatedPanel",
+      panelType: "security",
+      model: "anthropic/claude-sonnet-4",
+      cost: 0.05,
+      sender: "npub1sender",
+    }),
+  ];
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "ledger-"));
+    ledgerPath = path.join(tempDir, "nested", "ledger.jsonl");
+    console.warn = jest.fn();
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe("getLedgerPath", () => {
+    const originalLedger = process.env.PIPELINER_COST_LEDGER;
+
+    afterEach(() => {
+      process.env.PIPELINER_COST_LEDGER = originalLedger;
+    });
+
+    test("should prefer the option, then env, then the default", () => {
+      process.env.PIPELINER_COST_LEDGER = "env.jsonl";
+      expect(getLedgerPath({ ledgerPath: "opt.jsonl" })).toBe("opt.jsonl");
+      expect(getLedgerPath()).toBe("env.jsonl");
+
+      delete process.env.PIPELINER_COST_LEDGER;
+      expect(getLedgerPath()).toBe(DEFAULT_LEDGER_PATH);
+    });
+
+    test("should return null when the ledger is off", () => {
+      expect(getLedgerPath({ ledgerPath: "off" })).toBeNull();
+    });
+  });
+
+  describe("createLedgerEntry", () => {
+    test("should combine run metadata with the step cost", () => {
+      const pipelineData = createPipelineData();
+      pipelineData.metadata.pipeline = "moderatedPanel";
+      pipelineData.metadata.panelType = "security";
+      pipelineData.metadata.sender = "npub1sender";
+
+      const entry = createLedgerEntry(pipelineData, {
+        stepId: "panel_1",
+        callID: "call-9",
+        billingID: "bill-9",
+        cost: 0.003,
+        tokensIn: 20,
+        tokensOut: 10,
+        model: "x-ai/grok-4",
+        timestamp: "2025-07-18T09:00:00.000Z",
+      });
+
+      expect(entry).toEqual({
+        timestamp: "2025-07-18T09:00:00.000Z",
+        runId: pipelineData.runId,
+        pipeline: "moderatedPanel",
+        panelType: "security",
+        stepId: "panel_1",
+        model: "x-ai/grok-4",
+        callID: "call-9",
+        billingID: "bill-9",
+        tokensIn: 20,
+        tokensOut: 10,
+        totalTokens: 30,
+        cost: 0.003,
+        sender: "npub1sender",
+      });
+    });
+  });
+
+  describe("append and read", () => {
+    test("should append JSONL entries and read them back", async () => {
+      await appendLedgerEntry(entries[0], { ledgerPath });
+      await appendLedgerEntry(entries[1], { ledgerPath });
+
+      const content = await fs.readFile(ledgerPath, "utf-8");
+      expect(content.trim().split("\n")).toHaveLength(2);
+      expect(await readLedger(ledgerPath)).toEqual([entries[0], entries[1]]);
+    });
+
+    test("should skip malformed lines", async () => {
+      await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+      await fs.writeFile(
+        ledgerPath,
+        `${JSON.stringify(entries[0])}\n{"partial":\n`,
+        "utf-8"
+      );
+
+      expect(await readLedger(ledgerPath)).toEqual([entries[0]]);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    test("should return no entries for a missing ledger", async () => {
+      expect(await readLedger(path.join(tempDir, "missing.jsonl"))).toEqual([]);
+    });
+
+    test("should not write when the ledger is off", async () => {
+      const result = await recordStepCost(
+        createPipelineData(),
+        { stepId: "step", cost: 0.01 },
+        { ledgerPath: "off" }
+      );
+      expect(result).toBeNull();
+    });
+
+    test("should not throw when the ledger cannot be written", async () => {
+      const blocker = path.join(tempDir, "blocker");
+      await fs.writeFile(blocker, "", "utf-8");
+
+      const result = await recordStepCost(
+        createPipelineData(),
+        { stepId: "step", cost: 0.01 },
+        { ledgerPath: path.join(blocker, "ledger.jsonl") }
+      );
+      expect(result).toBeNull();
+    });
+  });
+
+  describe("filterLedgerEntries", () => {
+    test("should filter by inclusive date range", () => {
+      expect(
+        filterLedgerEntries(entries, { from: "2025-07-19", to: "2025-07-19" })
+      ).toEqual([entries[2]]);
+    });
+
+    test("should filter by sender", () => {
+      expect(filterLedgerEntries(entries, { sender: "npub1sender" })).toEqual([
+        entries[2],
+      ]);
+    });
+  });
+
+  describe("aggregateLedger", () => {
+    test("should total spend per day", () => {
+      const rows = aggregateLedger(entries, "day");
+
+      expect(rows.map((row) => row.key)).toEqual(["2025-07-18", "2025-07-19"]);
+      expect(rows[0].calls).toBe(2);
+      expect(rows[0].runs).toBe(1);
+      expect(rows[0].cost).toBeCloseTo(0.03, 10);
+      expect(rows[0].totalTokens).toBe(300);
+    });
+
+    test("should group runs without a sender as local", () => {
+      const rows = aggregateLedger(entries, "sender");
+      expect(rows.map((row) => row.key)).toEqual(["local", "npub1sender"]);
+    });
+
+    test("should reject unsupported groupings", () => {
+      expect(() => aggregateLedger(entries, "colour")).toThrow(
+        "Invalid groupBy: colour"
+      );
+    });
+  });
+
+  describe("export", () => {
+    test("should escape CSV values", () => {
+      const csv = toCsv([{ key: 'a,"b"', cost: 1 }], ["key", "cost"]);
+      expect(csv).toBe('key,cost\n"a,""b""",1\n');
+    });
+
+    test("should format a table with a total line", () => {
+      const table = formatLedgerTable(
+        aggregateLedger(entries, "model"),
+        "model"
+      );
+      const lines = table.split("\n");
+
+      expect(lines[0]).toMatch(/^model\s+calls\s+runs/);
+      expect(lines[lines.length - 1]).toMatch(
+        /^TOTAL\s+3\s+300\s+150\s+0\.0800$/
+      );
+    });
+  });
+});
+
+describe("costReport", () => {
+  const entries = [
+    {
+      timestamp: "2025-07-18T09:00:00.000Z",
+      runId: "run-1",
+      pipeline: "dialogue",
+      model: "openai/gpt-4.1",
+      tokensIn: 100,
+      tokensOut: 50,
+      totalTokens: 150,
+      cost: 0.01,
+      sender: null,
+    },
+  ];
+
+  test("should parse report options", () => {
+    const options = parseReportArgs([
+      "--by",
+      "model",
+      "--from",
+      "2025-07-01",
+      "--format",
+      "csv",
+    ]);
+
+    expect(options.groupBy).toBe("model");
+    expect(options.format).toBe("csv");
+    expect(options.filters).toEqual({ from: "2025-07-01" });
+  });
+
+  test("should reject invalid options", () => {
+    expect(() => parseReportArgs(["--by", "colour"])).toThrow("--by must be");
+    expect(() => parseReportArgs(["--by"])).toThrow("Missing value for --by");
+    expect(() => parseReportArgs(["--raw"])).toThrow(
+      "--raw requires --format csv or json"
+    );
+    expect(() => parseReportArgs(["--verbose"])).toThrow(
+      "Unknown option: --verbose"
+    );
+  });
+
+  test("should export aggregates as JSON", () => {
+    const report = JSON.parse(
+      buildCostReport(entries, parseReportArgs(["--format", "json"]))
+    );
+
+    expect(report.groupBy).toBe("day");
+    expect(report.totals).toEqual({ calls: 1, cost: 0.01, totalTokens: 150 });
+    expect(report.rows[0].key).toBe("2025-07-18");
+  });
+
+  test("should export raw entries as CSV", () => {
+    const report = buildCostReport(
+      entries,
+      parseReportArgs(["--raw", "--format", "csv"])
+    );
+    const [header, row] = report.trim().split("\n");
+
+    expect(header).toBe(
+      "timestamp,runId,pipeline,panelType,stepId,model,callID,billingID,tokensIn,tokensOut,totalTokens,cost,sender"
+    );
+    expect(row).toContain("run-1,dialogue");
+  });
+});
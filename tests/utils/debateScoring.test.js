@@ -0,0 +1,388 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { mockEverest, removeDirsAfterEach } from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  validateDebateOptions,
+  resolveDebateOptions,
+  debateRounds,
+  limitSpeech,
+  parseRoundScores,
+  parseVerdict,
+  formatScorecardMarkdown,
+} = await import("../../src/utils/debateScoring.js");
+const { runPipeline, estimatePanelApiCalls } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const rubric = resolveDebateOptions({
+  rubric: [
+    { id: "argument", label: "Argument" },
+    { id: "evidence", label: "Evidence", maxScore: 5 },
+  ],
+}).rubric;
+const scorecardReply = (proposition, opposition, reasons = "") =>
+  JSON.stringify({ scores: { proposition, opposition }, reasons });
+
+describe("debateScoring", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("options", () => {
+    test("should validate the rounds, speaking times and rubric", () => {
+      expect(validateDebateOptions({})).toEqual([]);
+      expect(
+        validateDebateOptions({
+          rebuttalRounds: 6,
+          speechMinutes: { opening: 0.2, questions: 1 },
+          rubric: [{ id: "Logic" }, { id: "style", maxScore: 0 }],
+        })
+      ).toEqual([
+        "rebuttalRounds must be an integer between 1 and 5",
+        "speechMinutes.opening must be a number of minutes between 0.5 and 10",
+        "speechMinutes.questions is not a debate phase (opening, rebuttal, closing)",
+        'rubric[0] needs an id made of lowercase letters, digits and "_"',
+        'rubric criterion "style" maxScore must be an integer between 1 and 100',
+      ]);
+      expect(validateDebateOptions({ rubric: [] })).toEqual([
+        "rubric must be a list of 1-8 criteria",
+      ]);
+    });
+
+    test("should resolve word limits and list the rounds in order", () => {
+      const options = resolveDebateOptions({
+        rebuttalRounds: 1,
+        speechMinutes: { rebuttal: 1.5 },
+      });
+      expect(options.speechWords).toEqual({
+        opening: 450,
+        rebuttal: 225,
+        closing: 300,
+      });
+      expect(options.rubric.map((criterion) => criterion.id)).toEqual([
+        "argument",
+        "evidence",
+        "rebuttal",
+        "delivery",
+      ]);
+      expect(rubric[0]).toEqual({
+        id: "argument",
+        label: "Argument",
+        description: "",
+        maxScore: 10,
+      });
+      expect(debateRounds(2).map((round) => round.label)).toEqual([
+        "Opening statements",
+        "Rebuttal round 1",
+        "Rebuttal round 2",
+        "Closing statements",
+      ]);
+    });
+  });
+
+  describe("parsing", () => {
+    test("should cut speeches off at the word limit", () => {
+      expect(limitSpeech("  Short and sweet. ", 5)).toEqual({
+        content: "Short and sweet.",
+        words: 3,
+        overtime: false,
+      });
+      expect(limitSpeech("One two\nthree four five", 3)).toEqual({
+        content: "One two\nthree\n\n_[Time: cut off at 3 words]_",
+        words: 5,
+        overtime: true,
+      });
+    });
+
+    test("should clamp round scores and reject incomplete scorecards", () => {
+      expect(
+        parseRoundScores(
+          `Scores:\n${scorecardReply(
+            { argument: 7.6, evidence: 9 },
+            { argument: "6", evidence: -2 },
+            " Clearer case. "
+          )}`,
+          rubric
+        )
+      ).toEqual({
+        scores: {
+          proposition: { argument: 8, evidence: 5 },
+          opposition: { argument: 6, evidence: 0 },
+        },
+        totals: { proposition: 13, opposition: 6 },
+        winner: "proposition",
+        reasons: "Clearer case.",
+      });
+      expect(
+        parseRoundScores(
+          scorecardReply({ argument: 5, evidence: 3 }, { argument: 5 }),
+          rubric
+        )
+      ).toBeNull();
+      expect(parseRoundScores("Both sides did well.", rubric)).toBeNull();
+    });
+
+    test("should read the verdict's winner and reasons", () => {
+      expect(
+        parseVerdict(
+          JSON.stringify({
+            winner: "Opposition",
+            reasons: [" Better evidence ", ""],
+          })
+        )
+      ).toEqual({ winner: "opposition", reasons: ["Better evidence"] });
+      expect(
+        parseVerdict(JSON.stringify({ winner: "proposition", reasons: "Won" }))
+      ).toEqual({ winner: "proposition", reasons: ["Won"] });
+      expect(parseVerdict(JSON.stringify({ winner: "both" }))).toBeNull();
+    });
+  });
+
+  describe("formatScorecardMarkdown", () => {
+    test("should show the verdict, a score table and each round's details", () => {
+      const markdown = formatScorecardMarkdown({
+        motion: "This house would ban homework",
+        sides: {
+          proposition: { id: "proposition", name: "Ada" },
+          opposition: { id: "opposition", name: "Opposition" },
+        },
+        rubric,
+        rounds: [
+          {
+            id: "opening",
+            label: "Opening statements",
+            speeches: {
+              proposition: { words: 90, overtime: true, maxWords: 75 },
+              opposition: { words: 60, overtime: false, maxWords: 75 },
+            },
+            scores: {
+              proposition: { argument: 7, evidence: 4 },
+              opposition: { argument: 6, evidence: 3 },
+            },
+            totals: { proposition: 11, opposition: 9 },
+            winner: "proposition",
+            reasons: "Ada set out a clearer case.",
+          },
+          {
+            id: "closing",
+            label: "Closing statements",
+            speeches: {},
+            scores: null,
+            totals: null,
+            winner: null,
+            reasons: "",
+          },
+        ],
+        totals: { proposition: 11, opposition: 9 },
+        verdict: {
+          winner: "proposition",
+          reasons: ["Clearer case", "Answered every rebuttal"],
+          decidedBy: "scores",
+        },
+      });
+
+      expect(markdown).toContain("**Motion**: This house would ban homework");
+      expect(markdown).toContain(
+        "**Winner**: Proposition (Ada) (decided on total scores)\n\n- Clearer case\n- Answered every rebuttal"
+      );
+      expect(markdown).toContain(
+        "| Round | Proposition (Ada) | Opposition | Round winner |"
+      );
+      expect(markdown).toContain(
+        "| Opening statements | 11 | 9 | Proposition (Ada) |"
+      );
+      expect(markdown).toContain("| Closing statements | - | - | not scored |");
+      expect(markdown).toContain(
+        "| **Total** | **11** | **9** | Proposition (Ada) |"
+      );
+      expect(markdown).toContain("| Evidence (/5) | 4 | 3 |");
+      expect(markdown).toContain(
+        "⏱️ Proposition (Ada) ran over time (90 words, cut off at 75)"
+      );
+      expect(markdown).toContain(
+        "### Closing statements\n\nThe judge's scorecard for this round could not be read."
+      );
+      expect(
+        formatScorecardMarkdown({
+          motion: "M",
+          sides: {},
+          rubric,
+          rounds: [],
+          totals: { proposition: 0, opposition: 0 },
+          verdict: null,
+        })
+      ).toContain("_No verdict: the debate stopped early._");
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    const config = {
+      panelType: "debate",
+      motion: "This house would ban homework",
+      rebuttalRounds: 1,
+      speechMinutes: { opening: 0.5 },
+      rubric: [
+        { id: "argument", label: "Argument" },
+        { id: "evidence", label: "Evidence", maxScore: 5 },
+      ],
+    };
+
+    test("should run the rounds, score each one and save the scorecard", async () => {
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => {
+          const replies = {
+            proposition_opening: "word ".repeat(100),
+            judge_opening: scorecardReply(
+              { argument: 7, evidence: 4 },
+              { argument: 5, evidence: 5 },
+              "The proposition framed the motion."
+            ),
+            judge_rebuttal_1: "Both sides did well.",
+            judge_closing: scorecardReply(
+              { argument: 8, evidence: 3 },
+              { argument: 9, evidence: 9 }
+            ),
+            judge_verdict: JSON.stringify({
+              winner: "opposition",
+              reasons: ["Stronger closing", "Better evidence"],
+            }),
+          };
+          return {
+            callID: `call-${stepId}`,
+            message: replies[stepId] || `Response for ${stepId}`,
+          };
+        }
+      );
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "proposition_opening",
+        "opposition_opening",
+        "judge_opening",
+        "proposition_rebuttal_1",
+        "opposition_rebuttal_1",
+        "judge_rebuttal_1",
+        "proposition_closing",
+        "opposition_closing",
+        "judge_closing",
+        "judge_verdict",
+        "panel_summary",
+      ]);
+      expect(calls[0][0].chat.userPrompt).toContain(
+        "Motion: This house would ban homework"
+      );
+      expect(calls[0][0].chat.userPrompt).toContain("about 75 words");
+      expect(calls[2][0].model.response_format).toEqual({
+        type: "json_object",
+      });
+      // Later speeches see the earlier ones, but never the judge's scorecards
+      expect(calls[3][0].chat.userPrompt).toContain(
+        "Response for opposition_opening"
+      );
+      expect(calls[3][0].chat.userPrompt).not.toContain("framed the motion");
+
+      const { conversation, debate, metadata } = pipeline.result;
+      expect(conversation.map((entry) => entry.type)).toEqual([
+        "opening",
+        "opening",
+        "rebuttal",
+        "rebuttal",
+        "closing",
+        "closing",
+        "verdict",
+      ]);
+      expect(conversation[0]).toMatchObject({
+        role: "proposition",
+        round: "opening",
+        words: 100,
+        overtime: true,
+      });
+      expect(conversation[0].content).toMatch(
+        /_\[Time: cut off at 75 words\]_$/
+      );
+      expect(conversation[6].content).toBe(
+        "Judge's verdict: Opposition wins the debate.\n\n- Stronger closing\n- Better evidence"
+      );
+
+      expect(debate.rounds.map((round) => round.totals)).toEqual([
+        { proposition: 11, opposition: 10 },
+        null,
+        { proposition: 11, opposition: 14 },
+      ]);
+      expect(debate.totals).toEqual({ proposition: 22, opposition: 24 });
+      expect(debate.verdict).toEqual({
+        winner: "opposition",
+        reasons: ["Stronger closing", "Better evidence"],
+        decidedBy: "judge",
+        totals: { proposition: 22, opposition: 24 },
+      });
+      expect(pipeline.warnings).toEqual([
+        "Debate rebuttal round 1 not scored: reply was not a scorecard",
+      ]);
+      expect(metadata).toMatchObject({
+        panelMode: "debate",
+        rebuttalRounds: 1,
+        apiCalls: 11,
+      });
+
+      expect(
+        JSON.parse(await fs.readFile(pipeline.files.scorecard, "utf8"))
+      ).toEqual(debate);
+      const scorecard = await fs.readFile(
+        pipeline.files.scorecardMarkdown,
+        "utf8"
+      );
+      expect(scorecard).toContain("**Winner**: Opposition\n");
+      expect(scorecard).toContain(
+        "⏱️ Proposition ran over time (100 words, cut off at 75)"
+      );
+      const transcript = await fs.readFile(pipeline.files.conversation, "utf8");
+      expect(transcript).toContain("## Rebuttal round 1");
+      expect(transcript).toContain("### Proposition ⏱️ (cut off)");
+    });
+
+    test("should fall back to the total scores and reject invalid debates", async () => {
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => ({
+          callID: `call-${stepId}`,
+          message: `Response for ${stepId}`,
+        })
+      );
+
+      const pipeline = await runPipeline({
+        panelType: "debate",
+        discussionSubject: "Remote work beats the office",
+        rebuttalRounds: 1,
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      expect(pipeline.result.debate.motion).toBe(
+        "Remote work beats the office"
+      );
+      expect(pipeline.result.debate.verdict).toMatchObject({
+        winner: "tie",
+        decidedBy: "scores",
+      });
+      expect(pipeline.warnings).toHaveLength(4);
+      expect(pipeline.warnings[3]).toBe(
+        "Debate verdict decided on total scores: reply was not a verdict"
+      );
+
+      mockCallEverest.mockClear();
+      await expect(runPipeline({ panelType: "debate" })).rejects.toThrow(
+        "motion is required for debate panels"
+      );
+      await expect(
+        runPipeline({ ...config, rebuttalRounds: 9 })
+      ).rejects.toThrow("rebuttalRounds must be an integer between 1 and 5");
+      expect(mockCallEverest).not.toHaveBeenCalled();
+      expect(
+        estimatePanelApiCalls({ panelMode: "debate", rebuttalRounds: 2 })
+      ).toBe(14);
+    });
+  });
+});
@@ -0,0 +1,375 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import path from "path";
+import { createPipelineData } from "../../src/utils/pipelineData.js";
+import { mockEverest, removeDirsAfterEach } from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  validateConvergenceOptions,
+  resolveConvergenceOptions,
+  lexicalSimilarity,
+  measureLexicalConvergence,
+  parseJudgeVerdict,
+  createConvergenceMonitor,
+  formatConvergenceSection,
+} = await import("../../src/utils/dialogueConvergence.js");
+const { dialoguePipeline } = await import(
+  "../../src/pipelines/dialoguePipeline.js"
+);
+
+describe("dialogueConvergence", () => {
+  // Checkpoint stand-in that runs every step
+  const checkpoint = { runStep: (stepId, fn) => fn() };
+  const judgeAgent = jest.fn(async (message, context) => ({
+    message,
+    context,
+  }));
+
+  const turn = (agent, content, extra = {}) => ({ agent, content, ...extra });
+  const judgeResponse = (verdict) => ({
+    callID: "judge-call",
+    response: { content: JSON.stringify(verdict) },
+  });
+
+  beforeEach(() => {
+    judgeAgent.mockClear();
+  });
+
+  describe("validateConvergenceOptions", () => {
+    test("should accept booleans, defaults and valid settings", () => {
+      expect(validateConvergenceOptions({})).toEqual([]);
+      expect(validateConvergenceOptions({ convergence: true })).toEqual([]);
+      expect(
+        validateConvergenceOptions({
+          convergence: { threshold: 0.9, minTurns: 4, judge: true },
+        })
+      ).toEqual([]);
+    });
+
+    test("should reject invalid settings", () => {
+      expect(validateConvergenceOptions({ convergence: "yes" })).toEqual([
+        "convergence must be a boolean or an object",
+      ]);
+      expect(
+        validateConvergenceOptions({
+          convergence: {
+            threshold: 0,
+            minTurns: 1,
+            judge: "on",
+            judgeConfidence: 1.5,
+          },
+        })
+      ).toEqual([
+        "convergence.threshold must be a number between 0 and 1",
+        "convergence.minTurns must be an integer of at least 2",
+        "convergence.judge must be a boolean",
+        "convergence.judgeConfidence must be a number between 0 and 1",
+      ]);
+    });
+
+    test("should resolve settings over the defaults", () => {
+      expect(resolveConvergenceOptions(false)).toBeNull();
+      expect(resolveConvergenceOptions(true).threshold).toBe(0.75);
+      expect(resolveConvergenceOptions({ threshold: 0.9 })).toMatchObject({
+        threshold: 0.9,
+        minTurns: 3,
+        judge: false,
+      });
+    });
+  });
+
+  describe("lexicalSimilarity", () => {
+    test("should score shared content words and ignore stopwords", () => {
+      expect(
+        lexicalSimilarity("Solar is cheap", "Solar is cheap now")
+      ).toBeCloseTo(2 / Math.sqrt(6), 10);
+      expect(
+        lexicalSimilarity("The wind and the sun", "Wind power, sun power")
+      ).toBeCloseTo(0.577, 3);
+      expect(lexicalSimilarity("and the of", "the and")).toBe(0);
+    });
+  });
+
+  describe("measureLexicalConvergence", () => {
+    test("should flag agreement with the previous turn", () => {
+      const result = measureLexicalConvergence([
+        turn("DialogueAg1", "Storage costs matter most"),
+        turn("DialogueAg2", "Storage costs matter most, agreed"),
+      ]);
+
+      expect(result).toMatchObject({
+        signal: "agreement",
+        agent: "DialogueAg2",
+      });
+      expect(result.score).toBeGreaterThan(0.8);
+    });
+
+    test("should flag an agent repeating itself and skip facilitator turns", () => {
+      const result = measureLexicalConvergence([
+        turn("DialogueAg1", "Grid storage remains expensive today"),
+        turn("DialogueAg2", "Policy incentives could help adoption"),
+        turn("facilitator", "Grid storage remains expensive today", {
+          isFacilitator: true,
+        }),
+        turn("DialogueAg1", "Grid storage remains expensive today"),
+      ]);
+
+      expect(result).toEqual({
+        score: expect.closeTo(1, 5),
+        signal: "repetition",
+        agent: "DialogueAg1",
+      });
+      expect(measureLexicalConvergence([turn("DialogueAg1", "x")])).toBeNull();
+    });
+  });
+
+  describe("parseJudgeVerdict", () => {
+    test("should parse and clamp the verdict", () => {
+      expect(
+        parseJudgeVerdict(
+          'Verdict: {"converged": true, "confidence": 1.4, "reason": "Agreed."}'
+        )
+      ).toEqual({ converged: true, confidence: 1, reason: "Agreed." });
+      expect(parseJudgeVerdict('{"converged": false}')).toEqual({
+        converged: false,
+        confidence: 0,
+        reason: "",
+      });
+    });
+
+    test("should return null for unusable verdicts", () => {
+      expect(parseJudgeVerdict("no json")).toBeNull();
+      expect(parseJudgeVerdict('{"converged": "maybe"}')).toBeNull();
+      expect(parseJudgeVerdict("{broken")).toBeNull();
+    });
+  });
+
+  describe("createConvergenceMonitor", () => {
+    const repeated = [
+      turn("DialogueAg1", "Battery storage is the bottleneck for renewables"),
+      turn("DialogueAg2", "Battery storage is the bottleneck for renewables"),
+      turn("DialogueAg1", "Battery storage is the bottleneck for renewables"),
+    ];
+    const varied = [
+      turn("DialogueAg1", "Battery storage is the bottleneck"),
+      turn("DialogueAg2", "Transmission permitting delays matter more"),
+      turn("DialogueAg1", "Community ownership changes public acceptance"),
+    ];
+
+    test("should do nothing when disabled", async () => {
+      const monitor = createConvergenceMonitor(null, {
+        pipelineData: createPipelineData(),
+        checkpoint,
+      });
+
+      expect(await monitor.check(repeated, { iteration: 1 })).toEqual({
+        converged: false,
+      });
+      expect(monitor.report()).toBeNull();
+    });
+
+    test("should wait for minTurns and stop on lexical convergence", async () => {
+      const monitor = createConvergenceMonitor(
+        resolveConvergenceOptions(true),
+        {
+          pipelineData: createPipelineData(),
+          checkpoint,
+        }
+      );
+
+      expect(
+        (await monitor.check(repeated.slice(0, 2), { iteration: 1 })).converged
+      ).toBe(false);
+      const result = await monitor.check(repeated, { iteration: 1 });
+
+      expect(result.converged).toBe(true);
+      expect(result.reason).toBe(
+        "Consecutive turns were 100% similar (threshold 75%)"
+      );
+      expect(monitor.report()).toMatchObject({
+        stoppedEarly: true,
+        stop: {
+          method: "lexical",
+          signal: "agreement",
+          iteration: 1,
+          turn: 3,
+        },
+        highestScore: 1,
+      });
+      expect(monitor.report().checks).toHaveLength(1);
+    });
+
+    test("should not stop on lexical similarity in dry runs", async () => {
+      const pipelineData = createPipelineData();
+      pipelineData.dryRun = { outputDir: "unused" };
+      const monitor = createConvergenceMonitor(
+        resolveConvergenceOptions(true),
+        {
+          pipelineData,
+          checkpoint,
+        }
+      );
+
+      expect((await monitor.check(repeated, { iteration: 1 })).converged).toBe(
+        false
+      );
+    });
+
+    test("should stop when the judge is confident the dialogue converged", async () => {
+      mockCallEverest.mockResolvedValue(
+        judgeResponse({
+          converged: true,
+          confidence: 0.9,
+          reason: "Both agents now agree on storage.",
+        })
+      );
+      const pipelineData = createPipelineData();
+      const monitor = createConvergenceMonitor(
+        resolveConvergenceOptions({ judge: true }),
+        {
+          pipelineData,
+          checkpoint,
+          judgeAgent,
+          discussionPrompt: "What limits renewables?",
+        }
+      );
+
+      expect((await monitor.check(varied, { iteration: 1 })).converged).toBe(
+        false
+      );
+      expect(mockCallEverest).not.toHaveBeenCalled();
+
+      const result = await monitor.check(varied, {
+        iteration: 2,
+        stepId: "convergence_check_2",
+      });
+
+      expect(result).toEqual({
+        converged: true,
+        reason:
+          "Judge found the dialogue converged (90% confidence): Both agents now agree on storage",
+      });
+      expect(judgeAgent).toHaveBeenCalledWith(
+        expect.stringContaining("DialogueAg2: Transmission permitting"),
+        "DISCUSSION PROMPT:\nWhat limits renewables?",
+        []
+      );
+      expect(mockCallEverest).toHaveBeenCalledWith(
+        expect.any(Object),
+        pipelineData,
+        "convergence_check_2"
+      );
+      expect(monitor.report().checks[1].judge.confidence).toBe(0.9);
+    });
+
+    test("should keep going on unsure verdicts and failed judge calls", async () => {
+      const pipelineData = createPipelineData();
+      const monitor = createConvergenceMonitor(
+        resolveConvergenceOptions({ judge: true }),
+        { pipelineData, checkpoint, judgeAgent }
+      );
+
+      mockCallEverest.mockResolvedValueOnce(
+        judgeResponse({ converged: true, confidence: 0.5, reason: "Maybe" })
+      );
+      expect(
+        (await monitor.check(varied, { iteration: 2, stepId: "check_2" }))
+          .converged
+      ).toBe(false);
+
+      mockCallEverest.mockResolvedValueOnce({ error: "Upstream unavailable" });
+      expect(
+        (await monitor.check(varied, { iteration: 3, stepId: "check_3" }))
+          .converged
+      ).toBe(false);
+      expect(pipelineData.warnings).toEqual([
+        "Convergence judge check_3 failed: Upstream unavailable",
+      ]);
+    });
+
+    test("should pass budget stops back to the pipeline", async () => {
+      mockCallEverest.mockResolvedValue({
+        budgetExceeded: true,
+        error: "Cost budget reached",
+      });
+      const monitor = createConvergenceMonitor(
+        resolveConvergenceOptions({ judge: true }),
+        { pipelineData: createPipelineData(), checkpoint, judgeAgent }
+      );
+
+      expect(
+        await monitor.check(varied, { iteration: 2, stepId: "check_2" })
+      ).toEqual({
+        converged: false,
+        budgetExceeded: true,
+        error: "Cost budget reached",
+      });
+    });
+  });
+
+  describe("formatConvergenceSection", () => {
+    test("should describe the early stop or the highest score", () => {
+      expect(formatConvergenceSection(null)).toBe("");
+      expect(
+        formatConvergenceSection({
+          stoppedEarly: true,
+          stop: { iteration: 2, reason: "Consecutive turns were 80% similar" },
+        })
+      ).toContain(
+        "## Early Stop\nThe dialogue ended after iteration 2 of the planned run: Consecutive turns were 80% similar."
+      );
+      expect(
+        formatConvergenceSection({
+          stoppedEarly: false,
+          threshold: 0.75,
+          highestScore: 0.42,
+        })
+      ).toContain("(highest similarity 42%, threshold 75%)");
+    });
+  });
+
+  describe("dialogue pipeline early stop", () => {
+    const outputDirs = removeDirsAfterEach();
+
+    test("should end the loop on convergence and record why in the summary", async () => {
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => ({
+          callID: `call-${stepId}`,
+          response: {
+            content:
+              stepId === "conversation_summary"
+                ? "Summary of the dialogue"
+                : "Battery storage is the bottleneck for renewables",
+          },
+        })
+      );
+
+      const result = await dialoguePipeline({
+        sourceText: "Test source material about renewable energy.",
+        discussionPrompt: "What limits renewable energy adoption?",
+        iterations: 5,
+        convergence: true,
+      });
+      outputDirs.push(path.dirname(result.files.data));
+
+      expect(mockCallEverest.mock.calls.map((call) => call[2])).toEqual([
+        "agent1_initial",
+        "agent2_iteration_1",
+        "agent1_followup_1",
+        "conversation_summary",
+      ]);
+      expect(result.pipeline.status).toBe("completed");
+      expect(result.stopReason).toBe(
+        "Consecutive turns were 100% similar (threshold 75%)"
+      );
+      expect(result.summary.convergence.stop.iteration).toBe(1);
+
+      const summary = await fs.readFile(result.files.summary, "utf8");
+      const data = JSON.parse(await fs.readFile(result.files.data, "utf8"));
+      expect(summary).toContain("## Early Stop");
+      expect(data.summary.convergence.stoppedEarly).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,339 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  isDryRun,
+  enableDryRun,
+  estimateTokens,
+  measurePrompt,
+  createStubResponse,
+  stubDryRunReply,
+  renderDryRunStep,
+  finishDryRun,
+  DEFAULT_DRY_RUN_DIR,
+} from "../../src/utils/dryRun.js";
+import { openCheckpoint } from "../../src/utils/pipelineCheckpoint.js";
+import { createPipelineData } from "../../src/utils/pipelineData.js";
+import { runPanelVoting } from "../../src/utils/panelVoting.js";
+import { extractSecurityFindings } from "../../src/utils/securityFindings.js";
+import { extractReviewComments } from "../../src/utils/reviewComments.js";
+import { assessControlCoverage } from "../../src/utils/controlCoverage.js";
+import {
+  DEFAULT_RUBRIC,
+  debateRounds,
+  scoreDebateRound,
+  requestDebateVerdict,
+} from "../../src/utils/debateScoring.js";
+import {
+  createConvergenceMonitor,
+  resolveConvergenceOptions,
+} from "../../src/utils/dialogueConvergence.js";
+
+describe("dryRun", () => {
+  let dryRunDir;
+
+  beforeEach(async () => {
+    dryRunDir = await fs.mkdtemp(path.join(os.tmpdir(), "dry-run-"));
+  });
+
+  afterEach(async () => {
+    delete process.env.PIPELINER_DRY_RUN;
+    delete process.env.PIPELINER_DRY_RUN_DIR;
+    await fs.rm(dryRunDir, { recursive: true, force: true });
+  });
+
+  const agentConfig = (overrides = {}) =>
+    createMockAgentConfig({
+      chat: {
+        systemPrompt: "You are a careful analyst.",
+        messageContext: "Source text about penguins.",
+        userPrompt: "Summarise the discussion.",
+        messageHistory: [
+          { role: "user", content: "First question" },
+          { role: "assistant", content: "First answer" },
+        ],
+      },
+      ...overrides,
+    });
+
+  describe("isDryRun", () => {
+    test("should follow config.dryRun before the environment", () => {
+      process.env.PIPELINER_DRY_RUN = "true";
+      expect(isDryRun({ dryRun: false })).toBe(false);
+      expect(isDryRun({})).toBe(true);
+    });
+
+    test("should be off by default", () => {
+      expect(isDryRun({})).toBe(false);
+      expect(isDryRun({ dryRun: true })).toBe(true);
+    });
+  });
+
+  describe("enableDryRun", () => {
+    test("should mark the run and resolve the output folder", () => {
+      const pipelineData = createPipelineData();
+      enableDryRun(pipelineData);
+      expect(pipelineData.metadata.dryRun).toBe(true);
+      expect(pipelineData.dryRun.baseDir).toBe(DEFAULT_DRY_RUN_DIR);
+
+      process.env.PIPELINER_DRY_RUN_DIR = dryRunDir;
+      expect(enableDryRun(createPipelineData()).baseDir).toBe(dryRunDir);
+    });
+  });
+
+  describe("measurePrompt", () => {
+    test("should count every prompt part", () => {
+      const sizes = measurePrompt(agentConfig());
+      expect(sizes).toEqual({
+        systemChars: 26,
+        contextChars: 27,
+        historyChars: 26,
+        userChars: 25,
+        historyMessages: 2,
+        totalChars: 104,
+        estimatedTokens: 26,
+      });
+      expect(estimateTokens("abcde")).toBe(2);
+      expect(estimateTokens(undefined)).toBe(0);
+    });
+  });
+
+  describe("createStubResponse", () => {
+    test("should return a text stub for text agents", () => {
+      const pipelineData = createPipelineData();
+      enableDryRun(pipelineData, { dryRunDir });
+
+      const stub = createStubResponse(pipelineData, agentConfig(), "step_1");
+      expect(stub.message).toBe("[Dry run] Stub response for step_1.");
+      expect(stub.dryRun).toBe(true);
+    });
+
+    test("should answer JSON agents with the reply registered for the step", () => {
+      const pipelineData = createPipelineData();
+      enableDryRun(pipelineData, { dryRunDir });
+      const jsonAgent = agentConfig({
+        model: {
+          model: "test-model",
+          response_format: { type: "json_object" },
+        },
+      });
+
+      stubDryRunReply(pipelineData, "step_1", () => ({ answer: 42 }));
+      expect(
+        JSON.parse(
+          createStubResponse(pipelineData, jsonAgent, "step_1").message
+        )
+      ).toEqual({ dryRun: true, stepId: "step_1", answer: 42 });
+      expect(
+        JSON.parse(
+          createStubResponse(pipelineData, jsonAgent, "step_1").message
+        )
+      ).toEqual({ dryRun: true, stepId: "step_1" });
+    });
+
+    test("should ignore stub replies outside a dry run", () => {
+      const pipelineData = createPipelineData();
+      stubDryRunReply(pipelineData, "step_1", () => ({ answer: 42 }));
+      expect(pipelineData.dryRun).toBeUndefined();
+    });
+  });
+
+  describe("structured phases", () => {
+    const roster = [
+      { id: "ada", name: "Ada", role: "Historian" },
+      { id: "bo", name: "Bo", role: "Economist" },
+    ];
+    const noCheckpoint = { runStep: (stepId, step) => step() };
+    let pipelineData;
+    let context;
+
+    beforeEach(() => {
+      pipelineData = createPipelineData();
+      enableDryRun(pipelineData, { dryRunDir });
+      const agent = async () =>
+        agentConfig({
+          model: {
+            model: "test-model",
+            response_format: { type: "json_object" },
+          },
+        });
+      context = {
+        pipelineData,
+        checkpoint: noCheckpoint,
+        summarizer: agent,
+        judge: agent,
+        panelAgents: { ada: agent, bo: agent },
+        roster,
+        conversationText: "Ada: Costs matter.\n\nBo: So does storage.",
+        summary: "The panel discussed costs.",
+        discussionSubject: "Energy",
+      };
+    });
+
+    test("should give panel voting a recommendation and a ballot per member", async () => {
+      const { consensus } = await runPanelVoting(
+        { maxRecommendations: 6 },
+        context
+      );
+
+      expect(consensus.recommendations).toEqual([
+        expect.objectContaining({
+          id: "R1",
+          text: "[Dry run] Stub recommendation from recommendation_extraction.",
+          votes: {
+            ada: {
+              vote: "abstain",
+              rationale: "[Dry run] Stub vote for ada_vote.",
+            },
+            bo: {
+              vote: "abstain",
+              rationale: "[Dry run] Stub vote for bo_vote.",
+            },
+          },
+        }),
+      ]);
+    });
+
+    test("should give findings, comments and coverage a reply they can read", async () => {
+      const { findings } = await extractSecurityFindings(context);
+      const { comments } = await extractReviewComments(context);
+      const { coverage } = await assessControlCoverage(
+        {
+          name: "Test",
+          controls: [
+            { id: "V1.1", title: "Control" },
+            { id: "V1.2", title: "Other control" },
+          ],
+        },
+        context
+      );
+
+      expect(findings).toEqual([
+        expect.objectContaining({ id: "SEC-001", severity: "info" }),
+      ]);
+      expect(comments).toEqual([
+        expect.objectContaining({ file: "dry-run.md", panelist: "Ada" }),
+      ]);
+      expect(JSON.stringify(coverage)).toContain("V1.2");
+      expect(pipelineData.warnings || []).toEqual([]);
+    });
+
+    test("should score every rubric criterion and follow the scores in the verdict", async () => {
+      const rubric = [
+        ...DEFAULT_RUBRIC,
+        { id: "style", label: "Style", description: "Delivery", maxScore: 5 },
+      ];
+      const speech = { content: "Speech", words: 1, overtime: false };
+      const round = await scoreDebateRound(debateRounds(0)[0], {
+        ...context,
+        motion: "This house would build storage",
+        rubric,
+        sides: {},
+        speeches: {
+          proposition: { ...speech, maxWords: 100 },
+          opposition: { ...speech, maxWords: 100 },
+        },
+      });
+      const { verdict } = await requestDebateVerdict({
+        ...context,
+        motion: "This house would build storage",
+        sides: {},
+        rounds: [round],
+        transcript: "Speeches",
+      });
+
+      expect(Object.keys(round.scores.opposition)).toEqual(
+        rubric.map((criterion) => criterion.id)
+      );
+      expect(round.totals).toEqual({ proposition: 0, opposition: 0 });
+      expect(verdict).toMatchObject({
+        winner: "proposition",
+        decidedBy: "judge",
+      });
+      expect(pipelineData.warnings || []).toEqual([]);
+    });
+
+    test("should give the convergence judge a verdict that keeps the dialogue going", async () => {
+      const monitor = createConvergenceMonitor(
+        resolveConvergenceOptions({ judge: true, minTurns: 2 }),
+        { ...context, judgeAgent: context.judge }
+      );
+
+      const result = await monitor.check(
+        [
+          { agent: "Ada", content: "Storage comes first." },
+          { agent: "Bo", content: "Grid prices decide everything." },
+        ],
+        { iteration: 1, stepId: "convergence_judge_1" }
+      );
+
+      expect(result).toEqual({ converged: false });
+      expect(monitor.report().checks[0].judge).toMatchObject({
+        converged: false,
+        confidence: 0,
+      });
+    });
+  });
+
+  describe("renderDryRunStep and finishDryRun", () => {
+    test("should write each prompt and a report of sizes per step", async () => {
+      const pipelineData = createPipelineData();
+      pipelineData.metadata.pipeline = "dialogue";
+      enableDryRun(pipelineData, { dryRunDir });
+
+      await renderDryRunStep(pipelineData, agentConfig(), "agent1_initial");
+      await renderDryRunStep(pipelineData, agentConfig(), "agent2_response");
+      const report = await finishDryRun(pipelineData, "[Test]");
+
+      const folder = path.join(dryRunDir, pipelineData.runId);
+      const files = (await fs.readdir(folder)).sort();
+      expect(files).toEqual([
+        "01_agent1_initial.md",
+        "02_agent2_response.md",
+        "prompt-report.json",
+      ]);
+
+      const prompt = await fs.readFile(
+        path.join(folder, "01_agent1_initial.md"),
+        "utf-8"
+      );
+      expect(prompt).toContain("You are a careful analyst.");
+      expect(prompt).toContain("### 2. assistant\n\nFirst answer");
+      expect(prompt).toContain("104 chars (~26 tokens)");
+
+      expect(report.pipeline).toBe("dialogue");
+      expect(report.totals).toEqual({
+        steps: 2,
+        totalChars: 208,
+        estimatedTokens: 52,
+      });
+      const saved = JSON.parse(
+        await fs.readFile(path.join(folder, "prompt-report.json"), "utf-8")
+      );
+      expect(saved.steps.map((step) => step.stepId)).toEqual([
+        "agent1_initial",
+        "agent2_response",
+      ]);
+    });
+
+    test("should return null for normal runs", async () => {
+      expect(await finishDryRun(createPipelineData(), "[Test]")).toBeNull();
+    });
+  });
+
+  test("should not write checkpoints for dry runs", async () => {
+    const checkpointDir = path.join(dryRunDir, "checkpoints");
+    const pipelineData = createPipelineData();
+    const checkpoint = await openCheckpoint(
+      pipelineData,
+      "dialogue",
+      { dryRun: true },
+      { checkpointDir }
+    );
+
+    await checkpoint.runStep("step_1", async () => ({ message: "stub" }));
+    await checkpoint.complete();
+
+    await expect(fs.access(checkpointDir)).rejects.toThrow();
+  });
+});
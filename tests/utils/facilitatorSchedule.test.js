@@ -0,0 +1,317 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { mockEverest, removeDirsAfterEach } from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  validateFacilitatorSchedule,
+  resolveFacilitatorSchedule,
+  measureAgreementBias,
+  measureTopicDrift,
+  decideIntervention,
+  estimateInterventionCount,
+  parseIntervention,
+  formatInterventionSection,
+} = await import("../../src/utils/facilitatorSchedule.js");
+const {
+  facilitatedDialoguePipeline,
+  validateFacilitatedDialogueConfig,
+  shouldCallFacilitator,
+} = await import("../../src/pipelines/facilitatedDialoguePipeline.js");
+
+describe("facilitatorSchedule", () => {
+  const turn = (content, extra = {}) => ({
+    agent: "DialogueAg1",
+    content,
+    ...extra,
+  });
+  const facilitator = turn("Consider the costs.", { isFacilitator: true });
+
+  describe("validateFacilitatorSchedule", () => {
+    test("should accept strategy names and valid settings", () => {
+      expect(validateFacilitatorSchedule({})).toEqual([]);
+      expect(
+        validateFacilitatorSchedule({ facilitatorSchedule: "agreement" })
+      ).toEqual([]);
+      expect(
+        validateFacilitatorSchedule({
+          facilitatorSchedule: { strategy: "budget", maxInterventions: 2 },
+        })
+      ).toEqual([]);
+    });
+
+    test("should reject invalid settings", () => {
+      expect(validateFacilitatorSchedule({ facilitatorSchedule: 3 })).toEqual([
+        "facilitatorSchedule must be a strategy name or an object",
+      ]);
+      expect(
+        validateFacilitatorSchedule({
+          facilitatorSchedule: {
+            strategy: "random",
+            every: 0,
+            threshold: 2,
+            maxInterventions: -1,
+          },
+        })
+      ).toEqual([
+        "facilitatorSchedule.strategy must be one of: interval, agreement, drift, budget",
+        "facilitatorSchedule.every must be a positive integer",
+        "facilitatorSchedule.threshold must be a number between 0 and 1",
+        "facilitatorSchedule.maxInterventions must be a positive integer",
+      ]);
+      expect(
+        validateFacilitatorSchedule({ facilitatorSchedule: "budget" })
+      ).toEqual([
+        "facilitatorSchedule.maxInterventions is required for the budget strategy",
+      ]);
+    });
+
+    test("should resolve settings with per-strategy thresholds", () => {
+      expect(resolveFacilitatorSchedule()).toEqual({
+        strategy: "interval",
+        every: 2,
+        threshold: null,
+        maxInterventions: null,
+      });
+      expect(resolveFacilitatorSchedule("agreement").threshold).toBe(0.75);
+      expect(
+        resolveFacilitatorSchedule({ strategy: "drift", threshold: 0.8 })
+          .threshold
+      ).toBe(0.8);
+    });
+  });
+
+  describe("signals", () => {
+    test("should score agreement without pushback since the last intervention", () => {
+      const agreeing = [
+        turn("I completely agree, storage is key."),
+        turn("Exactly, and storage prices keep falling."),
+      ];
+
+      expect(measureAgreementBias(agreeing)).toBe(1);
+      expect(
+        measureAgreementBias([
+          ...agreeing,
+          turn("Good point, but grid upgrades cost more."),
+          turn("Agreed."),
+        ])
+      ).toBe(0.75);
+      expect(measureAgreementBias([...agreeing, facilitator])).toBeNull();
+    });
+
+    test("should score drift away from the prompt and opening turn", () => {
+      const conversation = [
+        turn("Solar adoption depends on storage costs."),
+        turn("Storage costs for solar keep falling."),
+        turn("Solar storage adoption is accelerating."),
+      ];
+
+      expect(measureTopicDrift(conversation.slice(0, 2), "")).toBeNull();
+      expect(
+        measureTopicDrift(conversation, "What limits solar adoption?")
+      ).toBeLessThan(0.5);
+      expect(
+        measureTopicDrift(
+          [
+            ...conversation,
+            turn("Medieval castles had impressive stone walls."),
+            turn("Castle walls were built from local granite."),
+          ],
+          "What limits solar adoption?"
+        )
+      ).toBe(1);
+    });
+  });
+
+  describe("decideIntervention", () => {
+    const state = (iteration, extra = {}) => ({
+      iteration,
+      iterations: 6,
+      conversation: [],
+      ...extra,
+    });
+
+    test("should keep the default of every second iteration", () => {
+      const schedule = resolveFacilitatorSchedule();
+
+      expect(decideIntervention(schedule, state(1)).intervene).toBe(false);
+      expect(decideIntervention(schedule, state(2))).toEqual({
+        intervene: true,
+        reason: "Scheduled every 2 iterations",
+      });
+      expect(shouldCallFacilitator(4, true)).toBe(true);
+      expect(shouldCallFacilitator(4, false)).toBe(false);
+      expect(
+        shouldCallFacilitator(
+          3,
+          true,
+          resolveFacilitatorSchedule({ strategy: "interval", every: 3 })
+        )
+      ).toBe(true);
+    });
+
+    test("should spread a budget of interventions evenly", () => {
+      const schedule = resolveFacilitatorSchedule({
+        strategy: "budget",
+        maxInterventions: 2,
+      });
+      const iterations = [1, 2, 3, 4, 5, 6].filter(
+        (iteration) => decideIntervention(schedule, state(iteration)).intervene
+      );
+
+      expect(iterations).toEqual([2, 4]);
+      expect(estimateInterventionCount(schedule, 6)).toBe(2);
+    });
+
+    test("should intervene on agreement bias up to maxInterventions", () => {
+      const schedule = resolveFacilitatorSchedule({
+        strategy: "agreement",
+        maxInterventions: 1,
+      });
+      const conversation = [turn("Absolutely right."), turn("Agreed.")];
+
+      expect(decideIntervention(schedule, state(1, { conversation }))).toEqual({
+        intervene: true,
+        score: 1,
+        reason:
+          "Agreement bias: 100% of recent turns agreed without pushback (threshold 75%)",
+      });
+      expect(
+        decideIntervention(
+          schedule,
+          state(2, { conversation, interventions: 1 })
+        ).intervene
+      ).toBe(false);
+      expect(estimateInterventionCount(schedule, 6)).toBe(1);
+    });
+  });
+
+  describe("parseIntervention", () => {
+    test("should read the labelled intervention type", () => {
+      expect(
+        parseIntervention("Intervention: Challenge\nYou both agreed too fast.")
+      ).toEqual({
+        type: "challenge",
+        guidance: "You both agreed too fast.",
+        labelled: true,
+      });
+      expect(
+        parseIntervention("**Intervention:** summarize\nWhere are we?").type
+      ).toBe("summarise");
+    });
+
+    test("should classify unlabelled replies by keyword", () => {
+      expect(
+        parseIntervention("Let's go back to the earlier thread on cost.").type
+      ).toBe("redirect");
+      expect(
+        parseIntervention("Play devil's advocate for a moment.").type
+      ).toBe("challenge");
+      expect(parseIntervention("Keep going, this is promising.")).toEqual({
+        type: "deepen",
+        guidance: "Keep going, this is promising.",
+        labelled: false,
+      });
+    });
+  });
+
+  describe("formatInterventionSection", () => {
+    test("should count types and list each trigger", () => {
+      const section = formatInterventionSection(
+        resolveFacilitatorSchedule({
+          strategy: "agreement",
+          maxInterventions: 2,
+        }),
+        [{ iteration: 1, type: "challenge", trigger: "Agreement bias" }]
+      );
+
+      expect(section).toContain(
+        "- **Schedule**: agreement (when recent turns agree without pushback), at most 2"
+      );
+      expect(section).toContain("| challenge | 1 |");
+      expect(section).toContain("| redirect | 0 |");
+      expect(section).toContain(
+        "- **Iteration 1** (challenge): Agreement bias"
+      );
+    });
+  });
+
+  describe("facilitated dialogue pipeline", () => {
+    const outputDirs = removeDirsAfterEach();
+
+    test("should allow odd iterations with a custom schedule", () => {
+      const config = {
+        sourceText: "Test source material about renewable energy.",
+        discussionPrompt: "What limits renewable energy adoption?",
+        iterations: 3,
+        facilitatorEnabled: true,
+      };
+
+      expect(validateFacilitatedDialogueConfig(config).isValid).toBe(false);
+      expect(
+        validateFacilitatedDialogueConfig({
+          ...config,
+          facilitatorSchedule: "agreement",
+        }).sanitizedConfig.facilitatorSchedule.strategy
+      ).toBe("agreement");
+    });
+
+    test("should intervene on agreement bias and report the intervention type", async () => {
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => ({
+          callID: `call-${stepId}`,
+          response: {
+            content: stepId.startsWith("facilitator")
+              ? "Intervention: challenge\nYou are agreeing too readily."
+              : stepId === "conversation_summary"
+              ? "Summary of the dialogue"
+              : `I completely agree with the point made before ${stepId}.`,
+          },
+        })
+      );
+
+      const result = await facilitatedDialoguePipeline({
+        sourceText: "Test source material about renewable energy.",
+        discussionPrompt: "What limits renewable energy adoption?",
+        iterations: 3,
+        facilitatorEnabled: true,
+        facilitatorSchedule: { strategy: "agreement", maxInterventions: 1 },
+      });
+      outputDirs.push(path.dirname(result.files.data));
+
+      expect(mockCallEverest.mock.calls.map((call) => call[2])).toEqual([
+        "agent1_initial",
+        "agent2_iteration_1",
+        "facilitator_iteration_1",
+        "agent1_followup_1",
+        "agent2_iteration_2",
+        "agent1_followup_2",
+        "agent2_iteration_3",
+        "conversation_summary",
+      ]);
+      const facilitatorPrompt =
+        mockCallEverest.mock.calls[2][0].chat.userPrompt;
+      expect(facilitatorPrompt).toContain("WHY YOU ARE INTERVENING:");
+      expect(facilitatorPrompt).toContain(
+        "Agreement bias: 100% of recent turns agreed without pushback"
+      );
+      expect(result.pipeline.facilitatorInterventions).toEqual([
+        expect.objectContaining({
+          iteration: 1,
+          type: "challenge",
+          labelled: true,
+          content: "You are agreeing too readily.",
+        }),
+      ]);
+
+      const summary = await fs.readFile(result.files.summary, "utf8");
+      const conversation = await fs.readFile(result.files.conversation, "utf8");
+      expect(summary).toContain("## Facilitator Interventions");
+      expect(summary).toContain("| challenge | 1 |");
+      expect(conversation).toContain(
+        "### 🎯 Facilitator Intervention (Iteration 1) - challenge"
+      );
+    });
+  });
+});
@@ -0,0 +1,342 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { createPipelineData } from "../../src/utils/pipelineData.js";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const { normalizeOperatorAction, createOperatorSession, OPERATOR_STOP_REASON } =
+  await import("../../src/utils/humanInTheLoop.js");
+const { dialoguePipeline } = await import(
+  "../../src/pipelines/dialoguePipeline.js"
+);
+const { runPipeline } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+/**
+ * Operator that replays scripted replies, then continues
+ */
+function scriptedOperator(replies) {
+  return jest.fn(async () => replies.shift() || "continue");
+}
+
+describe("humanInTheLoop", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("normalizeOperatorAction", () => {
+    test("should accept action names and fill in the speaker", () => {
+      expect(normalizeOperatorAction("End")).toEqual({ action: "end" });
+      expect(
+        normalizeOperatorAction({ action: "inject", content: " Cost? " })
+      ).toEqual({ action: "inject", speaker: "Operator", content: "Cost?" });
+      expect(
+        normalizeOperatorAction({
+          action: "inject",
+          speaker: "Dana",
+          content: "Cost?",
+        }).speaker
+      ).toBe("Dana");
+    });
+
+    test("should continue on empty, unknown or unsupported replies", () => {
+      expect(normalizeOperatorAction(undefined)).toEqual({
+        action: "continue",
+      });
+      expect(normalizeOperatorAction({ action: "inject" })).toEqual({
+        action: "continue",
+      });
+      expect(normalizeOperatorAction("pause")).toEqual({ action: "continue" });
+      expect(
+        normalizeOperatorAction({ action: "redirect", content: "Focus" }, [
+          "continue",
+          "end",
+        ])
+      ).toEqual({ action: "continue" });
+    });
+  });
+
+  describe("createOperatorSession", () => {
+    test("should continue immediately without an operator", async () => {
+      const pipelineData = createPipelineData();
+      const session = createOperatorSession(null, { pipelineData });
+
+      expect(session.enabled).toBe(false);
+      expect(await session.pause({ iteration: 1 })).toEqual({
+        action: "continue",
+      });
+      expect(pipelineData.operatorActions).toBeUndefined();
+    });
+
+    test("should hold skips, record actions and stop on end", async () => {
+      const pipelineData = createPipelineData();
+      const operator = scriptedOperator(["skip", "end"]);
+      const session = createOperatorSession(operator, { pipelineData });
+
+      await session.pause({ iteration: 1, nextSpeaker: "analyst" });
+      expect(session.takeSkip()).toBe(true);
+      expect(session.takeSkip()).toBe(false);
+
+      await session.pause({ iteration: 2 });
+      expect(session.stopReason).toBe(OPERATOR_STOP_REASON);
+      expect(await session.pause({ iteration: 3 })).toEqual({
+        action: "continue",
+      });
+      expect(operator).toHaveBeenCalledTimes(2);
+      expect(pipelineData.operatorActions).toEqual([
+        expect.objectContaining({
+          action: "skip",
+          iteration: 1,
+          nextSpeaker: "analyst",
+        }),
+        expect.objectContaining({ action: "end", iteration: 2 }),
+      ]);
+    });
+
+    test("should replay saved outcomes before asking the operator", async () => {
+      const pipelineData = createPipelineData();
+      const checkpoint = {
+        state: {
+          operatorReplies: [{ action: "continue" }, { action: "skip" }],
+        },
+        save: jest.fn(async () => {}),
+      };
+      const operator = scriptedOperator(["end"]);
+      const session = createOperatorSession(operator, {
+        pipelineData,
+        checkpoint,
+      });
+
+      expect(await session.pause({ iteration: 1 })).toEqual({
+        action: "continue",
+      });
+      expect(await session.pause({ iteration: 2 })).toEqual({ action: "skip" });
+      expect(session.takeSkip()).toBe(true);
+      expect(operator).not.toHaveBeenCalled();
+      expect(checkpoint.save).not.toHaveBeenCalled();
+
+      await session.pause({ iteration: 3 });
+      expect(operator).toHaveBeenCalledTimes(1);
+      expect(checkpoint.save).toHaveBeenCalledWith({
+        operatorReplies: [
+          { action: "continue" },
+          { action: "skip" },
+          { action: "end" },
+        ],
+      });
+      expect(pipelineData.operatorActions.map((entry) => entry.action)).toEqual(
+        ["skip", "end"]
+      );
+    });
+
+    test("should continue when the operator throws", async () => {
+      const session = createOperatorSession(
+        async () => {
+          throw new Error("stdin closed");
+        },
+        { pipelineData: createPipelineData() }
+      );
+
+      expect(await session.pause({ iteration: 1 })).toEqual({
+        action: "continue",
+      });
+    });
+  });
+
+  describe("dialogue pipeline", () => {
+    test("should add human turns, skip a speaker and end early", async () => {
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => ({
+          callID: `call-${stepId}`,
+          response: { content: `Response for ${stepId}` },
+        })
+      );
+      const operator = scriptedOperator([
+        { action: "inject", speaker: "Sam", content: "What about storage?" },
+        "skip",
+        "end",
+      ]);
+
+      const result = await dialoguePipeline(
+        {
+          sourceText: "Test source material about renewable energy.",
+          discussionPrompt: "What limits renewable energy adoption?",
+          iterations: 3,
+        },
+        { operator }
+      );
+      outputDirs.push(path.dirname(result.files.data));
+
+      expect(mockCallEverest.mock.calls.map((call) => call[2])).toEqual([
+        "agent1_initial",
+        "agent2_iteration_1",
+        "agent2_iteration_2",
+        "conversation_summary",
+      ]);
+      expect(operator).toHaveBeenCalledWith(
+        expect.objectContaining({
+          nextSpeaker: "DialogueAg2",
+          actions: ["continue", "inject", "skip", "end"],
+        })
+      );
+      expect(result.conversation.map((entry) => entry.agent)).toEqual([
+        "DialogueAg1",
+        "Sam",
+        "DialogueAg2",
+        "DialogueAg2",
+      ]);
+      expect(result.conversation[1]).toMatchObject({
+        content: "What about storage?",
+        isHuman: true,
+      });
+      expect(
+        mockCallEverest.mock.calls[1][0].chat.messageHistory
+      ).toContainEqual({
+        role: "user",
+        content: "Sam (human participant): What about storage?",
+      });
+      expect(result.stopReason).toBe(OPERATOR_STOP_REASON);
+      expect(result.pipeline.operatorActions).toHaveLength(3);
+
+      const conversation = await fs.readFile(result.files.conversation, "utf8");
+      expect(conversation).toContain("### 🧑 Sam (human)");
+    });
+  });
+
+  describe("resume", () => {
+    const originalDir = process.env.PIPELINER_CHECKPOINT_DIR;
+    let checkpointDir;
+
+    beforeEach(async () => {
+      checkpointDir = await fs.mkdtemp(path.join(os.tmpdir(), "checkpoints-"));
+      process.env.PIPELINER_CHECKPOINT_DIR = checkpointDir;
+    });
+
+    afterEach(async () => {
+      process.env.PIPELINER_CHECKPOINT_DIR = originalDir;
+      await fs.rm(checkpointDir, { recursive: true, force: true });
+    });
+
+    test("should replay the operator's turns when an interactive run resumes", async () => {
+      let failing = true;
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) =>
+          failing && stepId === "agent2_iteration_2"
+            ? { error: "Service unavailable" }
+            : {
+                callID: `call-${stepId}`,
+                response: { content: `Response for ${stepId}` },
+              }
+      );
+      const config = {
+        sourceText: "Test source material about renewable energy.",
+        discussionPrompt: "What limits renewable energy adoption?",
+        iterations: 2,
+      };
+      const operator = scriptedOperator([
+        { action: "inject", speaker: "Sam", content: "What about storage?" },
+        "skip",
+      ]);
+
+      const interrupted = await dialoguePipeline(config, { operator });
+      expect(interrupted.error).toBe("Agent 2 iteration 2 failed");
+
+      failing = false;
+      mockCallEverest.mockClear();
+      const result = await dialoguePipeline({
+        resumeRunId: interrupted.runId,
+      });
+      outputDirs.push(path.dirname(result.files.data));
+
+      // The skipped follow-up stays skipped, so no paid step is called again
+      expect(mockCallEverest.mock.calls.map((call) => call[2])).toEqual([
+        "agent2_iteration_2",
+        "conversation_summary",
+      ]);
+      expect(
+        mockCallEverest.mock.calls[0][0].chat.messageHistory
+      ).toContainEqual({
+        role: "user",
+        content: "Sam (human participant): What about storage?",
+      });
+      expect(result.conversation.map((entry) => entry.agent)).toEqual([
+        "DialogueAg1",
+        "Sam",
+        "DialogueAg2",
+        "DialogueAg2",
+      ]);
+      expect(
+        result.pipeline.operatorActions.map((entry) => entry.action)
+      ).toEqual(["inject", "skip"]);
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    test("should let the operator join, redirect the moderator and skip a speaker", async () => {
+      respondAsPanel(mockCallEverest, {
+        moderator: (stepId) => ({
+          moderator_comment: `Comment for ${stepId}`,
+          next_speaker: "analyst",
+          speaking_prompt: "Share your analysis.",
+        }),
+      });
+      const operator = scriptedOperator([
+        { action: "inject", speaker: "Dana", content: "What about cost?" },
+        { action: "redirect", content: "Bring in the explorer on cost." },
+        "skip",
+      ]);
+
+      const pipeline = await runPipeline(
+        {
+          sourceText: "Test source material about renewable energy.",
+          discussionSubject: "What limits renewable energy adoption?",
+          panelInteractions: 4,
+        },
+        { operator }
+      );
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "analyst_interaction_1",
+        "moderator_decision_1",
+        "analyst_interaction_2",
+        "moderator_decision_2",
+        "analyst_interaction_3",
+        "moderator_decision_3",
+        "panel_summary",
+      ]);
+      expect(calls[2][0].chat.userPrompt).toContain(
+        "Dana (human): What about cost?"
+      );
+      expect(calls[4][0].chat.userPrompt).toContain(
+        "Operator direction (takes priority over the points above):"
+      );
+      expect(calls[4][0].chat.userPrompt).toContain(
+        "Bring in the explorer on cost."
+      );
+      expect(calls[6][0].chat.userPrompt).not.toContain("Operator direction");
+
+      const { conversation, panelStats } = pipeline.result;
+      expect(conversation).toContainEqual(
+        expect.objectContaining({
+          role: "Dana",
+          type: "human",
+          content: "What about cost?",
+          isHuman: true,
+        })
+      );
+      expect(panelStats.analyst).toBe(3);
+
+      const markdown = await fs.readFile(pipeline.files.conversation, "utf8");
+      expect(markdown).toContain("## 🧑 Dana (human)");
+    });
+  });
+});
@@ -0,0 +1,276 @@
+import { promises as fs } from "fs";
+import path from "path";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  validateVotingOptions,
+  resolveVotingOptions,
+  parseRecommendations,
+  parseVotes,
+  buildConsensusMatrix,
+  formatConsensusMarkdown,
+} = await import("../../src/utils/panelVoting.js");
+const { runPipeline, estimatePanelApiCalls } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const roster = [
+  { id: "challenger", name: "Sarah" },
+  { id: "analyst", name: "Mark" },
+  { id: "explorer", name: "Emma" },
+];
+const recommendations = [
+  { id: "R1", text: "Expand grid storage" },
+  { id: "R2", text: "Cut subsidies | fast" },
+];
+const ballot = (votes) => JSON.stringify({ votes });
+
+describe("panelVoting", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("options", () => {
+    test("should validate and resolve the voting option", () => {
+      expect(validateVotingOptions({})).toEqual([]);
+      expect(validateVotingOptions({ voting: true })).toEqual([]);
+      expect(validateVotingOptions({ voting: "yes" })).toEqual([
+        "voting must be a boolean or an object",
+      ]);
+      expect(
+        validateVotingOptions({ voting: { maxRecommendations: 13 } })
+      ).toEqual([
+        "voting.maxRecommendations must be an integer between 1 and 12",
+      ]);
+
+      expect(resolveVotingOptions(false)).toBeNull();
+      expect(resolveVotingOptions(true)).toEqual({ maxRecommendations: 6 });
+      expect(resolveVotingOptions({ maxRecommendations: 3 })).toEqual({
+        maxRecommendations: 3,
+      });
+    });
+  });
+
+  describe("parsing", () => {
+    test("should number unique recommendations up to the limit", () => {
+      const content = `Here you go:\n${JSON.stringify({
+        recommendations: [
+          " Expand grid storage ",
+          { text: "Cut subsidies" },
+          "Expand grid storage",
+          "",
+          "Train installers",
+        ],
+      })}`;
+
+      expect(parseRecommendations(content, 2)).toEqual([
+        { id: "R1", text: "Expand grid storage" },
+        { id: "R2", text: "Cut subsidies" },
+      ]);
+      expect(parseRecommendations("No JSON here")).toBeNull();
+      expect(parseRecommendations('{"items": []}')).toBeNull();
+    });
+
+    test("should count missing and invalid votes as abstentions", () => {
+      expect(
+        parseVotes(
+          ballot([
+            { id: "r1", vote: "Agree", rationale: " Storage is overdue. " },
+            { id: "R2", vote: "maybe" },
+          ]),
+          recommendations
+        )
+      ).toEqual({
+        R1: { vote: "agree", rationale: "Storage is overdue." },
+        R2: { vote: "abstain", rationale: "No valid vote given" },
+      });
+      expect(parseVotes("not json", recommendations).R1.vote).toBe("abstain");
+    });
+  });
+
+  describe("consensus", () => {
+    const votesByMember = {
+      challenger: {
+        R1: { vote: "agree", rationale: "Yes" },
+        R2: { vote: "disagree", rationale: "Too fast" },
+      },
+      analyst: {
+        R1: { vote: "agree", rationale: "Data supports it" },
+        R2: { vote: "disagree", rationale: "" },
+      },
+      explorer: {
+        R1: { vote: "agree", rationale: "Bold" },
+        R2: { vote: "agree", rationale: "Bold too" },
+      },
+    };
+
+    test("should tally, score and classify each recommendation", () => {
+      const matrix = buildConsensusMatrix(
+        recommendations,
+        roster,
+        votesByMember
+      );
+
+      expect(matrix.members).toEqual(roster);
+      expect(matrix.recommendations[0]).toMatchObject({
+        id: "R1",
+        tally: { agree: 3, disagree: 0, abstain: 0 },
+        score: 1,
+        status: "unanimous",
+      });
+      expect(matrix.recommendations[1]).toMatchObject({
+        tally: { agree: 1, disagree: 2, abstain: 0 },
+        score: -0.33,
+        status: "rejected",
+      });
+      expect(matrix.totals).toEqual({
+        unanimous: 1,
+        agreed: 0,
+        contested: 0,
+        rejected: 1,
+      });
+
+      const split = buildConsensusMatrix(recommendations.slice(0, 1), roster, {
+        challenger: { R1: { vote: "agree", rationale: "" } },
+        analyst: { R1: { vote: "disagree", rationale: "" } },
+      });
+      expect(split.recommendations[0]).toMatchObject({
+        tally: { agree: 1, disagree: 1, abstain: 1 },
+        status: "contested",
+      });
+    });
+
+    test("should format a vote table and the rationale", () => {
+      const markdown = formatConsensusMarkdown(
+        buildConsensusMatrix(recommendations, roster, votesByMember),
+        { discussionSubject: "Energy" }
+      );
+
+      expect(markdown).toContain("# Panel Consensus");
+      expect(markdown).toContain("**Discussion Subject**: Energy");
+      expect(markdown).toContain(
+        "| # | Recommendation | Sarah | Mark | Emma | Agree | Disagree | Abstain | Status |"
+      );
+      expect(markdown).toContain(
+        "| R2 | Cut subsidies \\| fast | ❌ | ❌ | ✅ | 1 | 2 | 0 | rejected |"
+      );
+      expect(markdown).toContain(
+        "### R2. Cut subsidies | fast\n\n- **Sarah** (disagree): Too fast\n- **Mark** (disagree)\n- **Emma** (agree): Bold too"
+      );
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    const config = {
+      sourceText: "Test source material about renewable energy.",
+      discussionSubject: "What limits renewable energy adoption?",
+      panelInteractions: 2,
+      voting: true,
+    };
+
+    test("should vote after the summary and save the consensus", async () => {
+      respondAsPanel(mockCallEverest, {
+        moderator: { next_speaker: "panel_2" },
+        reply: (stepId) => {
+          if (stepId === "recommendation_extraction") {
+            return JSON.stringify({
+              recommendations: ["Expand grid storage", "Cut subsidies"],
+            });
+          }
+          if (stepId.endsWith("_vote")) {
+            return ballot([
+              { id: "R1", vote: "agree", rationale: `${stepId} agrees` },
+              {
+                id: "R2",
+                vote: stepId === "explorer_vote" ? "agree" : "disagree",
+                rationale: `${stepId} on subsidies`,
+              },
+            ]);
+          }
+        },
+      });
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "analyst_interaction_1",
+        "moderator_decision_1",
+        "analyst_interaction_2",
+        "panel_summary",
+        "recommendation_extraction",
+        "challenger_vote",
+        "analyst_vote",
+        "explorer_vote",
+      ]);
+      expect(calls[5][0].model.response_format).toEqual({
+        type: "json_object",
+      });
+      expect(calls[5][0].chat.userPrompt).toContain(
+        "Response for panel_summary"
+      );
+      expect(calls[6][0].chat.userPrompt).toContain("R2. Cut subsidies");
+
+      const { consensus, metadata } = pipeline.result;
+      expect(consensus.recommendations.map((row) => row.status)).toEqual([
+        "unanimous",
+        "rejected",
+      ]);
+      expect(metadata).toMatchObject({
+        voting: { maxRecommendations: 6 },
+        apiCalls: 9,
+      });
+
+      const saved = JSON.parse(
+        await fs.readFile(pipeline.files.consensus, "utf8")
+      );
+      expect(saved).toEqual(consensus);
+      const markdown = await fs.readFile(
+        pipeline.files.consensusMarkdown,
+        "utf8"
+      );
+      expect(markdown).toContain("**Unanimous**: 1");
+      expect(markdown).toContain(
+        "- **Lisa** (agree): explorer_vote on subsidies"
+      );
+    });
+
+    test("should skip the vote when no recommendations are found", async () => {
+      respondAsPanel(mockCallEverest);
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      expect(mockCallEverest.mock.calls.at(-1)[2]).toBe(
+        "recommendation_extraction"
+      );
+      expect(pipeline.result.consensus).toBeUndefined();
+      expect(pipeline.files.consensus).toBeUndefined();
+      expect(pipeline.warnings).toEqual([
+        "Panel voting skipped: no recommendations found",
+      ]);
+      expect(pipeline.result.metadata).toMatchObject({
+        apiCalls: 6,
+        expectedApiCalls: 9,
+      });
+    });
+
+    test("should count the voting calls and reject bad options", async () => {
+      expect(
+        estimatePanelApiCalls({ panelInteractions: 2, voting: true })
+      ).toBe(9);
+      await expect(
+        runPipeline({ ...config, voting: { maxRecommendations: 0 } })
+      ).rejects.toThrow(
+        "voting.maxRecommendations must be an integer between 1 and 12"
+      );
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+});
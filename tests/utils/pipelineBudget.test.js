@@ -0,0 +1,211 @@
+import { jest } from "@jest/globals";
+import {
+  getModelPricing,
+  estimatePipelineCost,
+  resolveAgentModel,
+  validateBudgetOptions,
+  setPipelineBudget,
+  checkBudget,
+  reportPreflightEstimate,
+  DEFAULT_MODEL_PRICING,
+} from "../../src/utils/pipelineBudget.js";
+import { createPipelineData } from "../../src/utils/pipelineData.js";
+
+describe("pipelineBudget", () => {
+  const withCosts = (pipelineData, totalCost, totalTokens, steps) => {
+    pipelineData.costs = {
+      totalCost,
+      totalTokens,
+      totalInputTokens: 0,
+      totalOutputTokens: 0,
+      stepCosts: Array.from({ length: steps }, (_, i) => ({ stepId: `s${i}` })),
+    };
+    return pipelineData;
+  };
+
+  beforeEach(() => {
+    console.warn = jest.fn();
+  });
+
+  describe("getModelPricing", () => {
+    test("should return known pricing", () => {
+      expect(getModelPricing("openai/gpt-4.1")).toEqual({
+        input: 2.0,
+        output: 8.0,
+        known: true,
+      });
+    });
+
+    test("should fall back to default pricing for unknown models", () => {
+      expect(getModelPricing("mystery-model")).toEqual({
+        ...DEFAULT_MODEL_PRICING,
+        known: false,
+      });
+    });
+  });
+
+  describe("estimatePipelineCost", () => {
+    test("should total calls, cost and tokens", () => {
+      const estimate = estimatePipelineCost([
+        { model: "openai/gpt-4.1", count: 2 },
+        { model: "anthropic/claude-sonnet-4", count: 1 },
+      ]);
+
+      // gpt-4.1: 2 * (2000 * 2 + 600 * 8) / 1M = 0.0176
+      // sonnet-4: 1 * (2000 * 3 + 600 * 15) / 1M = 0.015
+      expect(estimate.callCount).toBe(3);
+      expect(estimate.estimatedCost).toBeCloseTo(0.0326, 6);
+      expect(estimate.estimatedTokens).toBe(7800);
+      expect(estimate.breakdown).toHaveLength(2);
+      expect(estimate.unknownModels).toEqual([]);
+    });
+
+    test("should honour token overrides and skip empty entries", () => {
+      const estimate = estimatePipelineCost(
+        [
+          { model: "unknown-model", count: 1 },
+          { model: "openai/gpt-4.1", count: 0 },
+        ],
+        { promptTokens: 1000, completionTokens: 100 }
+      );
+
+      expect(estimate.callCount).toBe(1);
+      expect(estimate.estimatedTokens).toBe(1100);
+      expect(estimate.unknownModels).toEqual(["unknown-model"]);
+    });
+  });
+
+  describe("resolveAgentModel", () => {
+    test("should read the model from an agent config", async () => {
+      const agent = async () => ({ model: { model: "openai/gpt-4.1" } });
+      expect(await resolveAgentModel(agent)).toBe("openai/gpt-4.1");
+    });
+
+    test("should return null when the agent throws", async () => {
+      const agent = async () => {
+        throw new Error("boom");
+      };
+      expect(await resolveAgentModel(agent)).toBeNull();
+    });
+  });
+
+  describe("validateBudgetOptions", () => {
+    test("should accept missing and valid limits", () => {
+      expect(validateBudgetOptions({})).toEqual([]);
+      expect(validateBudgetOptions({ maxCost: 0.5, maxTokens: 10000 })).toEqual(
+        []
+      );
+    });
+
+    test("should reject invalid limits", () => {
+      expect(validateBudgetOptions({ maxCost: -1, maxTokens: 1.5 })).toEqual([
+        "maxCost must be a positive number",
+        "maxTokens must be a positive integer",
+      ]);
+      expect(validateBudgetOptions({ maxCost: "1" })).toEqual([
+        "maxCost must be a positive number",
+      ]);
+    });
+  });
+
+  describe("setPipelineBudget", () => {
+    test("should not set a budget without limits", () => {
+      const pipelineData = createPipelineData();
+      expect(setPipelineBudget(pipelineData, {})).toBeNull();
+      expect(pipelineData.budget).toBeUndefined();
+    });
+
+    test("should register the limits on pipeline data", () => {
+      const pipelineData = createPipelineData();
+      setPipelineBudget(pipelineData, { maxCost: 0.25 });
+      expect(pipelineData.budget).toEqual({
+        maxCost: 0.25,
+        maxTokens: null,
+        exceeded: false,
+        reason: null,
+      });
+    });
+  });
+
+  describe("checkBudget", () => {
+    test("should pass when no budget is set", () => {
+      expect(checkBudget(createPipelineData())).toEqual({
+        exceeded: false,
+        reason: null,
+      });
+    });
+
+    test("should project the next call from the average step cost", () => {
+      const pipelineData = withCosts(createPipelineData(), 0.09, 3000, 3);
+      setPipelineBudget(pipelineData, { maxCost: 0.1 });
+
+      const result = checkBudget(pipelineData);
+
+      expect(result.exceeded).toBe(true);
+      expect(result.reason).toBe(
+        "Budget exceeded: projected cost $0.1200 > maxCost $0.1000"
+      );
+      expect(pipelineData.budget.exceeded).toBe(true);
+      expect(pipelineData.budget.reason).toBe(result.reason);
+    });
+
+    test("should allow calls that stay within budget", () => {
+      const pipelineData = withCosts(createPipelineData(), 0.02, 3000, 2);
+      setPipelineBudget(pipelineData, { maxCost: 0.1, maxTokens: 10000 });
+
+      expect(checkBudget(pipelineData).exceeded).toBe(false);
+    });
+
+    test("should project a batch of calls sent together", () => {
+      const pipelineData = withCosts(createPipelineData(), 0.02, 3000, 2);
+      setPipelineBudget(pipelineData, { maxCost: 0.05 });
+
+      expect(checkBudget(pipelineData).exceeded).toBe(false);
+      expect(checkBudget(pipelineData, { calls: 4 }).reason).toBe(
+        "Budget exceeded: projected cost $0.0600 > maxCost $0.0500"
+      );
+    });
+
+    test("should enforce maxTokens", () => {
+      const pipelineData = withCosts(createPipelineData(), 0.01, 4000, 2);
+      setPipelineBudget(pipelineData, { maxTokens: 5000 });
+
+      expect(checkBudget(pipelineData).reason).toBe(
+        "Budget exceeded: projected tokens 6000 > maxTokens 5000"
+      );
+    });
+  });
+
+  describe("reportPreflightEstimate", () => {
+    test("should store the estimate and warn when over budget", () => {
+      const pipelineData = createPipelineData();
+      setPipelineBudget(pipelineData, { maxCost: 0.01, maxTokens: 1000 });
+      const estimate = estimatePipelineCost([
+        { model: "openai/gpt-4.1", count: 3 },
+      ]);
+
+      const warnings = reportPreflightEstimate(
+        pipelineData,
+        estimate,
+        "[TestPipeline]"
+      );
+
+      expect(pipelineData.costEstimate).toBe(estimate);
+      expect(warnings).toHaveLength(2);
+      expect(warnings[0]).toContain("exceeds maxCost $0.0100");
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should not warn without a budget", () => {
+      const pipelineData = createPipelineData();
+      const warnings = reportPreflightEstimate(
+        pipelineData,
+        estimatePipelineCost([{ model: "openai/gpt-4.1", count: 3 }]),
+        "[TestPipeline]"
+      );
+
+      expect(warnings).toEqual([]);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,487 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  validateChainOptions,
+  getPipelineInputs,
+  mapChainInputs,
+  getChainRunRecord,
+  combineChainRuns,
+  recordChainLineage,
+  continueChain,
+  MAX_CHAIN_DEPTH,
+} from "../../src/utils/pipelineChain.js";
+import { pipelineInfo as dialogueInfo } from "../../src/pipelines/dialoguePipeline.js";
+import { pipelineInfo as panelInfo } from "../../src/pipelines/moderatedPanelPipeline.js";
+
+describe("pipelineChain", () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), "pipeline-chain-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  });
+
+  const waterfallChain = {
+    pipeline: "contentWaterfall",
+    mapping: { sourceText: "summary.content" },
+  };
+
+  const waterfallInfo = {
+    parameters: { required: ["sourceText"], optional: ["customFocus"] },
+  };
+
+  // Writes a data.json and returns a pipeline result pointing at it
+  const createRun = async (runId, overrides = {}) => {
+    const dataFile = path.join(outputDir, runId, "data.json");
+    await fs.mkdir(path.dirname(dataFile), { recursive: true });
+    await fs.writeFile(dataFile, JSON.stringify({ runId }), "utf-8");
+
+    return {
+      runId,
+      summary: { content: `Summary of ${runId}` },
+      pipeline: {
+        runId,
+        status: "completed",
+        steps: [
+          { stepId: "agent1_initial" },
+          { stepId: "summary" },
+          { stepId: "file_generation" },
+        ],
+        costs: {
+          totalCost: 0.01,
+          totalTokensIn: 100,
+          totalTokensOut: 50,
+          totalTokens: 150,
+          stepCosts: [],
+        },
+      },
+      files: { data: dataFile },
+      ...overrides,
+    };
+  };
+
+  const readData = async (result) =>
+    JSON.parse(await fs.readFile(result.files.data, "utf-8"));
+
+  describe("validateChainOptions", () => {
+    test("should accept a config without a chain", () => {
+      expect(validateChainOptions({})).toEqual([]);
+    });
+
+    test("should accept a valid chain", () => {
+      expect(
+        validateChainOptions({
+          chain: { ...waterfallChain, config: { customFocus: "AI" } },
+        })
+      ).toEqual([]);
+    });
+
+    test("should reject a chain without pipeline or mapping", () => {
+      const errors = validateChainOptions({ chain: { mapping: {} } });
+
+      expect(errors).toContain("chain.pipeline must be a non-empty string");
+      expect(errors).toContain(
+        "chain.mapping must map at least one downstream input"
+      );
+    });
+
+    test("should reject non-string mapping paths and bad config", () => {
+      const errors = validateChainOptions({
+        chain: {
+          pipeline: "dialogue",
+          mapping: { sourceText: 42 },
+          config: "iterations=2",
+        },
+      });
+
+      expect(errors).toEqual([
+        "chain.mapping.sourceText must be a result path string",
+        "chain.config must be an object",
+      ]);
+    });
+
+    test("should validate nested chains with their path", () => {
+      const errors = validateChainOptions({
+        chain: { ...waterfallChain, chain: { mapping: { a: "b" } } },
+      });
+
+      expect(errors).toEqual([
+        "chain.chain.pipeline must be a non-empty string",
+      ]);
+    });
+
+    test("should limit the nesting depth", () => {
+      let chain = { ...waterfallChain };
+      for (let i = 0; i < MAX_CHAIN_DEPTH; i++) {
+        chain = { ...waterfallChain, chain };
+      }
+
+      expect(validateChainOptions({ chain }).join()).toContain(
+        `more than ${MAX_CHAIN_DEPTH} levels deep`
+      );
+    });
+  });
+
+  describe("getPipelineInputs", () => {
+    test("should read parameters from pipelineInfo", () => {
+      const { required, known } = getPipelineInputs(dialogueInfo);
+
+      expect(required).toEqual(["sourceText", "discussionPrompt"]);
+      expect(known).toEqual(
+        expect.arrayContaining(["iterations", "summaryFocus"])
+      );
+    });
+
+    test("should read inputSchema required flags", () => {
+      const { required, known } = getPipelineInputs(panelInfo);
+
+      expect(required).toEqual(["sourceText", "discussionSubject"]);
+      expect(known).toContain("panelInteractions");
+    });
+
+    test("should report no schema for pipelines without one", () => {
+      expect(getPipelineInputs({ parameters: {} })).toEqual({
+        required: [],
+        known: null,
+      });
+    });
+  });
+
+  describe("mapChainInputs", () => {
+    test("should map result paths onto downstream inputs", async () => {
+      const result = await createRun("run-a");
+      const mapped = mapChainInputs(
+        { ...waterfallChain, config: { customFocus: "AI" } },
+        result,
+        waterfallInfo
+      );
+
+      expect(mapped.isValid).toBe(true);
+      expect(mapped.inputs).toEqual({
+        sourceText: "Summary of run-a",
+        customFocus: "AI",
+      });
+    });
+
+    test("should reject unknown inputs and empty paths", async () => {
+      const result = await createRun("run-a");
+      const mapped = mapChainInputs(
+        {
+          pipeline: "contentWaterfall",
+          mapping: { sourceText: "summary.missing", topic: "summary.content" },
+        },
+        result,
+        waterfallInfo
+      );
+
+      expect(mapped.isValid).toBe(false);
+      expect(mapped.errors).toEqual([
+        "Result path summary.missing (for sourceText) has no value",
+        "contentWaterfall has no input named topic",
+      ]);
+    });
+
+    test("should require every required downstream input", async () => {
+      const result = await createRun("run-a");
+      const mapped = mapChainInputs(
+        { pipeline: "dialogue", mapping: { sourceText: "summary.content" } },
+        result,
+        dialogueInfo
+      );
+
+      expect(mapped.errors).toEqual([
+        "Missing required input for dialogue: discussionPrompt",
+      ]);
+    });
+
+    test("should accept required inputs from static config", async () => {
+      const result = await createRun("run-a");
+      const mapped = mapChainInputs(
+        {
+          pipeline: "dialogue",
+          mapping: { sourceText: "summary.content" },
+          config: { discussionPrompt: "What should we do next?" },
+        },
+        result,
+        dialogueInfo
+      );
+
+      expect(mapped.isValid).toBe(true);
+    });
+  });
+
+  describe("getChainRunRecord", () => {
+    test("should summarise a result with pipeline data", async () => {
+      const result = await createRun("run-a");
+
+      expect(getChainRunRecord(result, "dialogue")).toEqual({
+        runId: "run-a",
+        pipeline: "dialogue",
+        status: "completed",
+        dataFile: result.files.data,
+        steps: 2,
+        costs: {
+          totalCost: 0.01,
+          totalTokensIn: 100,
+          totalTokensOut: 50,
+          totalTokens: 150,
+        },
+      });
+    });
+
+    test("should summarise a panel result that is the pipeline data itself", async () => {
+      const { pipeline, files } = await createRun("run-panel");
+      const record = getChainRunRecord(
+        { ...pipeline, files, result: { summary: "Panel summary" } },
+        "moderatedPanel"
+      );
+
+      expect(record.runId).toBe("run-panel");
+      expect(record.dataFile).toBe(files.data);
+      expect(record.steps).toBe(2);
+    });
+
+    test("should mark results with an error as failed", () => {
+      const record = getChainRunRecord(
+        { runId: "run-x", error: "Pipeline execution failed" },
+        "dialogue"
+      );
+
+      expect(record.status).toBe("failed");
+      expect(record.costs.totalCost).toBe(0);
+    });
+  });
+
+  describe("recordChainLineage", () => {
+    test("should write parent and child lineage with combined totals", async () => {
+      const parent = await createRun("run-a");
+      const child = await createRun("run-b");
+      const runs = [
+        getChainRunRecord(parent, "dialogue"),
+        getChainRunRecord(child, "contentWaterfall"),
+      ];
+
+      const lineage = await recordChainLineage(runs);
+
+      expect(lineage.combined).toEqual(combineChainRuns(runs));
+      expect(lineage.combined).toMatchObject({
+        runs: 2,
+        steps: 4,
+        totalTokens: 300,
+      });
+      expect(lineage.combined.totalCost).toBeCloseTo(0.02);
+
+      const parentData = await readData(parent);
+      const childData = await readData(child);
+      expect(parentData.lineage).toMatchObject({
+        runId: "run-a",
+        parentRunId: null,
+        childRunId: "run-b",
+        rootRunId: "run-a",
+      });
+      expect(childData.lineage).toMatchObject({
+        runId: "run-b",
+        parentRunId: "run-a",
+        childRunId: null,
+      });
+      expect(childData.lineage.combined).toEqual(parentData.lineage.combined);
+    });
+
+    test("should skip runs without a data file", async () => {
+      const child = await createRun("run-b");
+      const runs = [
+        getChainRunRecord({ runId: "run-a", pipeline: {} }, "dialogue"),
+        getChainRunRecord(child, "contentWaterfall"),
+      ];
+
+      await recordChainLineage(runs);
+
+      expect((await readData(child)).lineage.parentRunId).toBe("run-a");
+    });
+  });
+
+  describe("continueChain", () => {
+    const createRegistry = (pipelines) => ({
+      getPipeline: (name) => pipelines[name],
+    });
+
+    test("should return the result untouched without a chain", async () => {
+      const result = await createRun("run-a");
+
+      expect(await continueChain(result, {}, { pipeline: "dialogue" })).toBe(
+        result
+      );
+      expect(result.chain).toBeUndefined();
+    });
+
+    test("should run the downstream pipeline with mapped inputs", async () => {
+      const result = await createRun("run-a");
+      const child = await createRun("run-b");
+      const execute = jest.fn().mockResolvedValue(child);
+      const registry = createRegistry({
+        contentWaterfall: { execute, info: waterfallInfo },
+      });
+
+      await continueChain(
+        result,
+        {
+          chain: { ...waterfallChain, config: { customFocus: "AI" } },
+          dryRun: true,
+          sender: "npub1sender",
+        },
+        { pipeline: "dialogue" },
+        { registry }
+      );
+
+      expect(execute).toHaveBeenCalledWith({
+        sourceText: "Summary of run-a",
+        customFocus: "AI",
+        dryRun: true,
+        sender: "npub1sender",
+      });
+      expect(result.chain).toMatchObject({
+        pipeline: "contentWaterfall",
+        runId: "run-b",
+        status: "completed",
+        result: child,
+      });
+      expect(result.chain.lineage.runs.map((run) => run.runId)).toEqual([
+        "run-a",
+        "run-b",
+      ]);
+      expect(result.chain.lineage.runs[1].mapping).toEqual(
+        waterfallChain.mapping
+      );
+      expect((await readData(result)).lineage.childRunId).toBe("run-b");
+      expect((await readData(child)).lineage.parentRunId).toBe("run-a");
+    });
+
+    test("should record nested chains in every run", async () => {
+      const runA = await createRun("run-a");
+      const runB = await createRun("run-b");
+      const runC = await createRun("run-c");
+      const registry = createRegistry({
+        dialogue: {
+          info: dialogueInfo,
+          execute: jest.fn(async (config) =>
+            continueChain(runB, config, { pipeline: "dialogue" }, { registry })
+          ),
+        },
+        contentWaterfall: {
+          info: waterfallInfo,
+          execute: jest.fn().mockResolvedValue(runC),
+        },
+      });
+
+      await continueChain(
+        runA,
+        {
+          chain: {
+            pipeline: "dialogue",
+            mapping: { sourceText: "summary.content" },
+            config: { discussionPrompt: "Discuss the summary" },
+            chain: waterfallChain,
+          },
+        },
+        { pipeline: "spec" },
+        { registry }
+      );
+
+      expect(runA.chain.lineage.combined.runs).toBe(3);
+      const lineageC = (await readData(runC)).lineage;
+      expect(lineageC.rootRunId).toBe("run-a");
+      expect(lineageC.parentRunId).toBe("run-b");
+      expect(lineageC.runs.map((run) => run.pipeline)).toEqual([
+        "spec",
+        "dialogue",
+        "contentWaterfall",
+      ]);
+      expect((await readData(runB)).lineage).toMatchObject({
+        parentRunId: "run-a",
+        childRunId: "run-c",
+      });
+    });
+
+    test("should skip the chain when the upstream run is partial", async () => {
+      const result = await createRun("run-a");
+      result.pipeline.status = "partial";
+      const execute = jest.fn();
+
+      await continueChain(
+        result,
+        { chain: waterfallChain },
+        { pipeline: "dialogue" },
+        { registry: createRegistry({ contentWaterfall: { execute } }) }
+      );
+
+      expect(execute).not.toHaveBeenCalled();
+      expect(result.chain).toMatchObject({
+        status: "skipped",
+        reason: "Upstream run is partial",
+      });
+    });
+
+    test("should report an unknown pipeline or bad mapping without throwing", async () => {
+      const result = await createRun("run-a");
+
+      await continueChain(
+        result,
+        { chain: { pipeline: "missing", mapping: { sourceText: "summary" } } },
+        { pipeline: "dialogue" },
+        { registry: createRegistry({}) }
+      );
+      expect(result.chain).toEqual({
+        pipeline: "missing",
+        status: "failed",
+        error: "Pipeline 'missing' not found",
+      });
+
+      await continueChain(
+        result,
+        {
+          chain: {
+            pipeline: "contentWaterfall",
+            mapping: { sourceText: "result.summary" },
+          },
+        },
+        { pipeline: "dialogue" },
+        {
+          registry: createRegistry({
+            contentWaterfall: { execute: jest.fn(), info: waterfallInfo },
+          }),
+        }
+      );
+      expect(result.chain.error).toBe(
+        "Invalid chain mapping: Result path result.summary (for sourceText) has no value"
+      );
+    });
+
+    test("should record a failed downstream run in the lineage", async () => {
+      const result = await createRun("run-a");
+      const execute = jest.fn().mockResolvedValue({
+        runId: "run-b",
+        error: "Pipeline execution failed",
+        pipeline: { runId: "run-b", status: "failed", steps: [] },
+      });
+
+      await continueChain(
+        result,
+        { chain: waterfallChain },
+        { pipeline: "dialogue" },
+        {
+          registry: createRegistry({
+            contentWaterfall: { execute, info: waterfallInfo },
+          }),
+        }
+      );
+
+      expect(result.chain.status).toBe("failed");
+      expect((await readData(result)).lineage.childRunId).toBe("run-b");
+    });
+  });
+});
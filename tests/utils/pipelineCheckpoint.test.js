@@ -0,0 +1,232 @@
+import { jest } from "@jest/globals";
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  getCheckpointDir,
+  getCheckpointPath,
+  loadCheckpoint,
+  restorePipelineData,
+  openCheckpoint,
+  DEFAULT_CHECKPOINT_DIR,
+} from "../../src/utils/pipelineCheckpoint.js";
+import {
+  createPipelineData,
+  completePipeline,
+} from "../../src/utils/pipelineData.js";
+import { addStepCost } from "../../src/utils/pipelineCost.js";
+
+describe("pipelineCheckpoint", () => {
+  let checkpointDir;
+  let options;
+
+  const costedResponse = (content) => ({
+    callID: `call-${content}`,
+    message: content,
+    usage: {
+      prompt_tokens: 10,
+      completion_tokens: 5,
+      total_tokens: 15,
+      cost: 0.001,
+      model: "openai/gpt-4.1",
+    },
+  });
+
+  // Minimal three-step pipeline that can be interrupted at any step
+  const runSteps = async (config, callAgent) => {
+    const pipelineData = createPipelineData();
+    const checkpoint = await openCheckpoint(
+      pipelineData,
+      "testPipeline",
+      config,
+      options
+    );
+    const conversation = [];
+
+    for (let i = 1; i <= 3; i++) {
+      const stepId = `step_${i}`;
+      const response = await checkpoint.runStep(stepId, async () => {
+        const result = await callAgent(stepId);
+        if (!result.error) {
+          addStepCost(pipelineData, stepId, result);
+        }
+        return result;
+      });
+      if (response.error) {
+        return { pipelineData, conversation, error: response.error };
+      }
+      conversation.push(response.message);
+      await checkpoint.save({ conversation, iteration: i });
+    }
+
+    completePipeline(pipelineData, "completed");
+    await checkpoint.complete();
+    return { pipelineData, conversation, config: checkpoint.config };
+  };
+
+  beforeEach(async () => {
+    checkpointDir = await fs.mkdtemp(path.join(os.tmpdir(), "checkpoints-"));
+    options = { checkpointDir };
+  });
+
+  afterEach(async () => {
+    await fs.rm(checkpointDir, { recursive: true, force: true });
+  });
+
+  describe("getCheckpointDir", () => {
+    const originalDir = process.env.PIPELINER_CHECKPOINT_DIR;
+
+    afterEach(() => {
+      process.env.PIPELINER_CHECKPOINT_DIR = originalDir;
+    });
+
+    test("should prefer the option, then env, then the default", () => {
+      process.env.PIPELINER_CHECKPOINT_DIR = "env-dir";
+      expect(getCheckpointDir({ checkpointDir: "opt-dir" })).toBe("opt-dir");
+      expect(getCheckpointDir()).toBe("env-dir");
+
+      delete process.env.PIPELINER_CHECKPOINT_DIR;
+      expect(getCheckpointDir()).toBe(DEFAULT_CHECKPOINT_DIR);
+    });
+
+    test("should return null when checkpointing is off", () => {
+      expect(getCheckpointDir({ checkpointDir: "off" })).toBeNull();
+    });
+  });
+
+  describe("restorePipelineData", () => {
+    test("should keep run identity and costs and drop file generation", () => {
+      const saved = createPipelineData("saved-run");
+      saved.steps = [{ stepId: "step_1" }, { stepId: "file_generation" }];
+      saved.costs.totalCost = 0.5;
+      saved.status = "partial";
+      saved.statistics = { totalSteps: 2 };
+
+      const pipelineData = restorePipelineData(createPipelineData(), saved);
+
+      expect(pipelineData.runId).toBe("saved-run");
+      expect(pipelineData.costs.totalCost).toBe(0.5);
+      expect(pipelineData.steps).toEqual([{ stepId: "step_1" }]);
+      expect(pipelineData.status).toBe("running");
+      expect(pipelineData.metadata.resumedAt).toHaveLength(1);
+    });
+  });
+
+  describe("openCheckpoint", () => {
+    test("should save responses and state after each step", async () => {
+      const callAgent = jest.fn(async (stepId) => costedResponse(stepId));
+      const { pipelineData } = await runSteps({ topic: "test" }, callAgent);
+
+      const saved = await loadCheckpoint(pipelineData.runId, options);
+      expect(saved.pipeline).toBe("testPipeline");
+      expect(saved.status).toBe("completed");
+      expect(saved.position).toBe("step_3");
+      expect(Object.keys(saved.responses)).toEqual([
+        "step_1",
+        "step_2",
+        "step_3",
+      ]);
+      expect(saved.state).toEqual({
+        conversation: ["step_1", "step_2", "step_3"],
+        iteration: 3,
+      });
+      expect(saved.config).toEqual({ topic: "test" });
+    });
+
+    test("should resume from the last completed step with the same runId and costs", async () => {
+      const failingAgent = jest.fn(async (stepId) =>
+        stepId === "step_3" ? { error: "API down" } : costedResponse(stepId)
+      );
+      const interrupted = await runSteps({ topic: "test" }, failingAgent);
+      expect(interrupted.error).toBe("API down");
+
+      const callAgent = jest.fn(async (stepId) => costedResponse(stepId));
+      const resumed = await runSteps(
+        { resumeRunId: interrupted.pipelineData.runId },
+        callAgent
+      );
+
+      expect(callAgent).toHaveBeenCalledTimes(1);
+      expect(callAgent).toHaveBeenCalledWith("step_3");
+      expect(resumed.pipelineData.runId).toBe(interrupted.pipelineData.runId);
+      expect(resumed.pipelineData.costs.totalCost).toBeCloseTo(0.003, 10);
+      expect(resumed.pipelineData.costs.stepCosts).toHaveLength(3);
+      expect(resumed.conversation).toEqual(["step_1", "step_2", "step_3"]);
+      expect(resumed.config).toEqual({ topic: "test" });
+    });
+
+    test("should let resume overrides replace saved config values", async () => {
+      const failingAgent = async (stepId) =>
+        stepId === "step_2" ? { error: "API down" } : costedResponse(stepId);
+      const interrupted = await runSteps(
+        { topic: "test", maxCost: 0.001 },
+        failingAgent
+      );
+
+      const resumed = await runSteps(
+        { resumeRunId: interrupted.pipelineData.runId, maxCost: 1 },
+        async (stepId) => costedResponse(stepId)
+      );
+
+      expect(resumed.config).toEqual({ topic: "test", maxCost: 1 });
+    });
+
+    test("should reject unknown, mismatched and completed runs", async () => {
+      await expect(
+        openCheckpoint(
+          createPipelineData(),
+          "testPipeline",
+          {
+            resumeRunId: "missing-run",
+          },
+          options
+        )
+      ).rejects.toThrow("No checkpoint found for run missing-run");
+
+      const { pipelineData } = await runSteps({}, async (stepId) =>
+        costedResponse(stepId)
+      );
+
+      await expect(
+        openCheckpoint(
+          createPipelineData(),
+          "otherPipeline",
+          {
+            resumeRunId: pipelineData.runId,
+          },
+          options
+        )
+      ).rejects.toThrow("is a testPipeline run, not otherPipeline");
+
+      await expect(
+        openCheckpoint(
+          createPipelineData(),
+          "testPipeline",
+          {
+            resumeRunId: pipelineData.runId,
+          },
+          options
+        )
+      ).rejects.toThrow("already completed");
+    });
+
+    test("should not write anything when checkpointing is off", async () => {
+      options = { checkpointDir: "off" };
+      const { pipelineData } = await runSteps({}, async (stepId) =>
+        costedResponse(stepId)
+      );
+
+      await expect(
+        fs.access(getCheckpointPath(pipelineData.runId, checkpointDir))
+      ).rejects.toThrow();
+      await expect(
+        openCheckpoint(
+          createPipelineData(),
+          "testPipeline",
+          { resumeRunId: pipelineData.runId },
+          options
+        )
+      ).rejects.toThrow("Cannot resume: checkpointing is disabled");
+    });
+  });
+});
@@ -222,6 +222,19 @@ describe("pipelineCost", () => {
       initializePipelineCosts(pipelineData);
     });
 
+    test("should return the added step cost entry", () => {
+      const stepCost = addStepCost(
+        pipelineData,
+        "step1",
+        createEnhancedApiResponse()
+      );
+
+      expect(stepCost).toBe(pipelineData.costs.stepCosts[0]);
+      expect(
+        addStepCost(pipelineData, "step2", createLegacyApiResponse())
+      ).toBeNull();
+    });
+
     test("should add step cost and accumulate totals", () => {
       const apiResponse = createEnhancedApiResponse();
       addStepCost(pipelineData, "step1", apiResponse);
@@ -0,0 +1,290 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  getSpecDir,
+  isSpecFile,
+  parsePipelineSpec,
+  validatePipelineSpec,
+  loadPipelineSpec,
+  loadPipelineSpecs,
+  renderTemplate,
+  resolveValue,
+  evaluateCondition,
+  validateSpecInputs,
+  specToPipelineInfo,
+  DEFAULT_SPEC_DIR,
+} from "../../src/utils/pipelineSpec.js";
+
+describe("pipelineSpec", () => {
+  const createSpec = (overrides = {}) => ({
+    name: "critiqueLoop",
+    description: "Critique loop",
+    inputs: {
+      sourceText: { type: "string", required: true },
+      rounds: { type: "integer", default: 2, minimum: 1, maximum: 5 },
+    },
+    agents: {
+      writer: "dialogue/DialogueAg1",
+      critic: "dialogue/DialogueAg2",
+    },
+    steps: [
+      { id: "draft", agent: "writer", message: "{{inputs.sourceText}}" },
+      {
+        loop: {
+          count: "{{inputs.rounds}}",
+          until: { value: "{{critique}}", contains: "APPROVED" },
+          steps: [{ id: "critique", agent: "critic", message: "{{draft}}" }],
+        },
+      },
+    ],
+    ...overrides,
+  });
+
+  describe("getSpecDir and isSpecFile", () => {
+    afterEach(() => {
+      delete process.env.PIPELINER_SPEC_DIR;
+    });
+
+    test("should prefer the option, then env, then the default", () => {
+      expect(getSpecDir()).toBe(DEFAULT_SPEC_DIR);
+      process.env.PIPELINER_SPEC_DIR = "/env/specs";
+      expect(getSpecDir()).toBe("/env/specs");
+      expect(getSpecDir({ specDir: "/opt/specs" })).toBe("/opt/specs");
+    });
+
+    test("should accept JSON and YAML files only", () => {
+      expect(isSpecFile("a.json")).toBe(true);
+      expect(isSpecFile("a.YAML")).toBe(true);
+      expect(isSpecFile("a.yml")).toBe(true);
+      expect(isSpecFile("aPipeline.js")).toBe(false);
+    });
+  });
+
+  describe("parsePipelineSpec", () => {
+    test("should parse YAML and JSON", () => {
+      const yamlSpec = parsePipelineSpec(
+        "name: test\nagents:\n  writer: dialogue/DialogueAg1\n"
+      );
+      expect(yamlSpec.agents.writer).toBe("dialogue/DialogueAg1");
+      expect(parsePipelineSpec('{"name":"test"}', "json").name).toBe("test");
+    });
+
+    test("should reject non-object documents", () => {
+      expect(() => parsePipelineSpec("- a\n- b\n")).toThrow(
+        "Pipeline spec must be an object"
+      );
+    });
+  });
+
+  describe("validatePipelineSpec", () => {
+    test("should accept a valid spec", () => {
+      expect(validatePipelineSpec(createSpec())).toEqual({
+        isValid: true,
+        errors: [],
+      });
+    });
+
+    test("should report structural errors", () => {
+      const result = validatePipelineSpec(
+        createSpec({
+          name: "bad-name",
+          steps: [
+            { id: "draft", agent: "ghost", message: "" },
+            { id: "inputs", agent: "writer", message: "hi" },
+            { loop: { count: 100, steps: [] } },
+          ],
+          outputs: { files: [{ path: "../escape.md", template: "x" }] },
+        })
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(
+        expect.arrayContaining([
+          expect.stringContaining("name is required"),
+          expect.stringContaining("steps[0].agent must name an agent"),
+          expect.stringContaining("steps[0].message is required"),
+          expect.stringContaining('output "inputs" is reserved'),
+          expect.stringContaining(
+            "loop.count must be an integer between 1 and 50"
+          ),
+          expect.stringContaining("loop.steps must be a non-empty array"),
+          expect.stringContaining(
+            "outputs.files[0].path must be a relative path"
+          ),
+        ])
+      );
+    });
+
+    test("should reject matches patterns that are templates or invalid", () => {
+      const result = validatePipelineSpec(
+        createSpec({
+          steps: [
+            {
+              id: "draft",
+              agent: "writer",
+              message: "hi",
+              when: { value: "{{inputs.sourceText}}", matches: "(unclosed" },
+            },
+            {
+              id: "review",
+              agent: "critic",
+              message: "{{draft}}",
+              when: { value: "{{draft}}", matches: "{{inputs.sourceText}}" },
+            },
+          ],
+        })
+      );
+
+      expect(result.errors).toEqual([
+        expect.stringContaining(
+          "steps[0].when.matches is not a valid regular expression"
+        ),
+        "steps[1].when.matches must be a regular expression string",
+      ]);
+    });
+  });
+
+  describe("loading specs from disk", () => {
+    let specDir;
+
+    beforeEach(async () => {
+      specDir = await fs.mkdtemp(path.join(os.tmpdir(), "specs-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(specDir, { recursive: true, force: true });
+    });
+
+    test("should load valid specs and report invalid ones", async () => {
+      await fs.writeFile(
+        path.join(specDir, "good.json"),
+        JSON.stringify(createSpec())
+      );
+      await fs.writeFile(path.join(specDir, "bad.yaml"), "name: bad\n");
+      await fs.writeFile(path.join(specDir, "notes.md"), "# not a spec");
+
+      const { specs, errors } = await loadPipelineSpecs(specDir);
+
+      expect(specs.map(({ spec }) => spec.name)).toEqual(["critiqueLoop"]);
+      expect(errors).toHaveLength(1);
+      expect(errors[0].filePath).toContain("bad.yaml");
+      expect(errors[0].error).toContain("agents must map");
+    });
+
+    test("should return nothing for a missing directory", async () => {
+      expect(await loadPipelineSpecs(path.join(specDir, "missing"))).toEqual({
+        specs: [],
+        errors: [],
+      });
+    });
+
+    test("should load the bundled example spec", async () => {
+      const spec = await loadPipelineSpec(
+        path.join(DEFAULT_SPEC_DIR, "critiqueRefine.yaml")
+      );
+      expect(spec.name).toBe("critiqueRefine");
+    });
+  });
+
+  describe("templates and conditions", () => {
+    const scope = {
+      inputs: { rounds: 3, topic: "penguins" },
+      critique: "APPROVED - looks good",
+      loop: { iteration: 2 },
+      data: { items: ["a", "b"] },
+    };
+
+    test("should render placeholders and blank out missing values", () => {
+      expect(
+        renderTemplate(
+          "Round {{ loop.iteration }} on {{inputs.topic}}{{missing}}",
+          scope
+        )
+      ).toBe("Round 2 on penguins");
+      expect(renderTemplate("{{data.items}}", scope)).toBe(
+        JSON.stringify(["a", "b"], null, 2)
+      );
+    });
+
+    test("should keep the type of a single placeholder", () => {
+      expect(resolveValue("{{inputs.rounds}}", scope)).toBe(3);
+      expect(resolveValue("{{inputs.rounds}} rounds", scope)).toBe("3 rounds");
+      expect(resolveValue(4, scope)).toBe(4);
+    });
+
+    test("should evaluate string and operator conditions", () => {
+      expect(evaluateCondition(undefined, scope)).toBe(true);
+      expect(evaluateCondition("{{critique}}", scope)).toBe(true);
+      expect(evaluateCondition("{{missing}}", scope)).toBe(false);
+      expect(evaluateCondition("false", scope)).toBe(false);
+      expect(
+        evaluateCondition(
+          { value: "{{critique}}", contains: "APPROVED" },
+          scope
+        )
+      ).toBe(true);
+      expect(
+        evaluateCondition(
+          { value: "{{critique}}", notContains: "APPROVED" },
+          scope
+        )
+      ).toBe(false);
+      expect(
+        evaluateCondition({ value: "{{inputs.rounds}}", equals: "3" }, scope)
+      ).toBe(true);
+      expect(
+        evaluateCondition(
+          { value: "{{critique}}", matches: "^approved" },
+          scope
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe("validateSpecInputs", () => {
+    test("should apply defaults and coerce numeric strings", () => {
+      const spec = createSpec();
+      expect(validateSpecInputs(spec, { sourceText: "  text  " })).toEqual({
+        isValid: true,
+        errors: [],
+        inputs: { sourceText: "text", rounds: 2 },
+      });
+      expect(
+        validateSpecInputs(spec, { sourceText: "text", rounds: "4" }).inputs
+          .rounds
+      ).toBe(4);
+    });
+
+    test("should report missing, mistyped and out of range inputs", () => {
+      const spec = createSpec();
+      expect(validateSpecInputs(spec, {}).errors).toEqual([
+        "sourceText is required",
+      ]);
+      expect(
+        validateSpecInputs(spec, { sourceText: "text", rounds: 9 }).errors
+      ).toEqual(["rounds must be at most 5"]);
+      expect(
+        validateSpecInputs(spec, { sourceText: "text", rounds: 1.5 }).errors
+      ).toEqual(["rounds must be an integer"]);
+    });
+  });
+
+  describe("specToPipelineInfo", () => {
+    test("should describe inputs for both registries", () => {
+      const info = specToPipelineInfo(createSpec());
+
+      expect(info.name).toBe("critiqueLoop");
+      expect(info.parameters.required).toEqual(["sourceText"]);
+      expect(info.parameters.optional).toEqual(["rounds"]);
+      expect(info.inputSchema.sourceText.required).toBe(true);
+      expect(info.inputSchema.rounds).toMatchObject({
+        type: "integer",
+        default: 2,
+        minimum: 1,
+        maximum: 5,
+        required: false,
+      });
+    });
+  });
+});
@@ -0,0 +1,431 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import { addStepCost } from "../../src/utils/pipelineCost.js";
+import { checkBudget } from "../../src/utils/pipelineBudget.js";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const {
+  validateRepositoryOptions,
+  resolveRepositoryOptions,
+  compileGlob,
+  scanRepository,
+  renderFileTree,
+  packRepository,
+  ingestRepository,
+} = await import("../../src/utils/repositoryIngest.js");
+const { runPipeline, executeForNostrMQ } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+/**
+ * Writes a fixture repository: `files` maps relative paths to content
+ */
+async function createRepository(files) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "pipeliner-repo-"));
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(root, relativePath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+  return root;
+}
+
+const fixture = {
+  ".gitignore": "dist/\n*.log\n!keep.log\n",
+  "README.md": "# Demo\n",
+  "keep.log": "kept despite *.log\n",
+  "debug.log": "ignored\n",
+  "dist/bundle.js": "ignored build output\n",
+  "node_modules/dep/index.js": "ignored dependency\n",
+  "src/index.js": "export const answer = 42;\n",
+  "src/lib/.gitignore": "generated.js\n",
+  "src/lib/generated.js": "ignored by the nested .gitignore\n",
+  "src/lib/util.js": "export function add(a, b) {\n  return a + b;\n}\n",
+  "src/lib/util.test.js": "test('add', () => {});\n",
+  "assets/logo.png": Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x01]),
+  "data/large.json": `[${"1,".repeat(200)}1]`,
+};
+
+describe("repositoryIngest", () => {
+  const repositories = removeDirsAfterEach();
+  const outputDirs = removeDirsAfterEach();
+
+  describe("options", () => {
+    test("should validate and resolve the repository option", () => {
+      expect(validateRepositoryOptions({})).toEqual([]);
+      expect(validateRepositoryOptions({ repository: "./src" })).toEqual([]);
+      expect(validateRepositoryOptions({ repository: " " })).toEqual([
+        "repository must not be empty",
+      ]);
+      expect(
+        validateRepositoryOptions({
+          repository: { include: "*.js", maxChunks: 0, gitignore: "no" },
+        })
+      ).toEqual([
+        "repository.path must be a non-empty string",
+        "repository.include must be an array of glob strings",
+        "repository.maxChunks must be a positive integer",
+        "repository.gitignore must be a boolean",
+      ]);
+
+      expect(resolveRepositoryOptions(undefined)).toBeNull();
+      expect(resolveRepositoryOptions("./src", { maxTokens: 500 })).toEqual({
+        include: [],
+        exclude: [],
+        gitignore: true,
+        maxFileBytes: 100000,
+        maxChunks: 8,
+        maxTokens: 500,
+        path: "./src",
+      });
+    });
+  });
+
+  describe("compileGlob", () => {
+    test("should match globs like .gitignore patterns", () => {
+      expect(compileGlob("*.js").test("src/lib/util.js")).toBe(true);
+      expect(compileGlob("/src/*.js").test("src/index.js")).toBe(true);
+      expect(compileGlob("/src/*.js").test("src/lib/util.js")).toBe(false);
+      expect(compileGlob("src/**/*.js").test("src/index.js")).toBe(true);
+      expect(compileGlob("src/**/*.js").test("src/lib/util.js")).toBe(true);
+      expect(compileGlob("*.{js,md}").test("README.md")).toBe(true);
+      expect(compileGlob("file?.[ch]").test("file1.c")).toBe(true);
+      expect(compileGlob("*.js").test("src/index.jsx")).toBe(false);
+    });
+  });
+
+  describe("scanRepository", () => {
+    test("should honour .gitignore files and skip binary and large files", async () => {
+      const root = await createRepository(fixture);
+      repositories.push(root);
+
+      const scan = await scanRepository(
+        resolveRepositoryOptions({ path: root, maxFileBytes: 300 })
+      );
+
+      expect(scan.name).toBe(path.basename(root));
+      expect(scan.files.map((file) => file.path)).toEqual([
+        ".gitignore",
+        "README.md",
+        "keep.log",
+        "src/index.js",
+        "src/lib/.gitignore",
+        "src/lib/util.js",
+        "src/lib/util.test.js",
+      ]);
+      expect(scan.files[3]).toEqual({
+        path: "src/index.js",
+        bytes: 26,
+        content: "export const answer = 42;\n",
+      });
+      expect(scan.skipped).toEqual([
+        { path: "assets/logo.png", reason: "binary", bytes: 6 },
+        { path: "data/large.json", reason: "too large", bytes: 403 },
+      ]);
+    });
+
+    test("should apply include and exclude globs", async () => {
+      const root = await createRepository(fixture);
+      repositories.push(root);
+
+      const scan = await scanRepository(
+        resolveRepositoryOptions({
+          path: root,
+          include: ["src/**/*.js", "debug.log"],
+          exclude: ["*.test.js"],
+          gitignore: false,
+        })
+      );
+
+      expect(scan.files.map((file) => file.path)).toEqual([
+        "debug.log",
+        "src/index.js",
+        "src/lib/generated.js",
+        "src/lib/util.js",
+      ]);
+      await expect(
+        scanRepository(resolveRepositoryOptions(path.join(root, "README.md")))
+      ).rejects.toThrow("repository.path must be a directory");
+    });
+  });
+
+  describe("packing", () => {
+    test("should render directories before files", () => {
+      expect(
+        renderFileTree(
+          ["README.md", "src/lib/util.js", "src/index.js", "package.json"],
+          "demo"
+        )
+      ).toBe(
+        [
+          "demo/",
+          "├── src/",
+          "│   ├── lib/",
+          "│   │   └── util.js",
+          "│   └── index.js",
+          "├── README.md",
+          "└── package.json",
+        ].join("\n")
+      );
+    });
+
+    test("should pack files with path headers and split files over budget", () => {
+      const scan = {
+        name: "demo",
+        files: [
+          { path: "a.js", content: "const a = 1;\n" },
+          {
+            path: "big.js",
+            content: Array.from(
+              { length: 40 },
+              (_, index) => `const line${index} = ${index};`
+            ).join("\n"),
+          },
+        ],
+      };
+
+      const [single] = packRepository(scan, { maxTokens: 10000 });
+      expect(single.files).toEqual(["a.js", "big.js"]);
+      expect(single.text).toContain(
+        "REPOSITORY: demo\n\nFILE TREE:\ndemo/\n├── a.js\n└── big.js"
+      );
+      expect(single.text).toContain("=== FILE: a.js ===\nconst a = 1;");
+
+      const chunks = packRepository(scan, { maxTokens: 200 });
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks[0].text).toMatch(/^REPOSITORY: demo \(part 1 of \d+\)/);
+      expect(chunks[0].text).toContain("=== FILE: a.js ===");
+      expect(chunks[0].text).toContain("=== FILE: big.js (lines 1-");
+      expect(chunks.at(-1).text).toMatch(/=== FILE: big\.js \(lines \d+-40\)/);
+      for (const chunk of chunks) {
+        expect(chunk.tokens).toBeLessThanOrEqual(200);
+      }
+    });
+
+    test("should refuse a repository with nothing to review or too many chunks", async () => {
+      const root = await createRepository(fixture);
+      repositories.push(root);
+
+      await expect(
+        ingestRepository(
+          resolveRepositoryOptions(
+            { path: root, include: ["*.py"] },
+            { maxTokens: 1000 }
+          )
+        )
+      ).rejects.toThrow(`No files to review in ${root}`);
+      await expect(
+        ingestRepository(
+          resolveRepositoryOptions(
+            { path: root, maxChunks: 1 },
+            { maxTokens: 100 }
+          )
+        )
+      ).rejects.toThrow("(maxChunks is 1)");
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    const mockPanel = () => respondAsPanel(mockCallEverest);
+
+    test("should review a repository that fits in one panel", async () => {
+      const root = await createRepository(fixture);
+      repositories.push(root);
+      mockPanel();
+
+      const pipeline = await runPipeline({
+        panelType: "techreview",
+        sourceText: "Product Requirements Document:\nAdd numbers",
+        discussionSubject: "Review the demo repository",
+        panelInteractions: 2,
+        repository: root,
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).not.toContain("chunk_merge");
+      const { userPrompt } = calls[0][0].chat;
+      expect(userPrompt).toContain("Add numbers");
+      expect(userPrompt.indexOf("REPOSITORY: ")).toBeGreaterThan(
+        userPrompt.indexOf("Add numbers")
+      );
+      expect(userPrompt).toContain("=== FILE: src/lib/util.js ===");
+      expect(userPrompt).not.toContain("=== FILE: assets/logo.png ===");
+      expect(pipeline.result.metadata.repository).toMatchObject({
+        name: path.basename(root),
+        path: root,
+        files: 8,
+        chunks: 1,
+        skipped: [{ path: "assets/logo.png", reason: "binary", bytes: 6 }],
+      });
+      expect(pipeline.result.parts).toBeUndefined();
+    });
+
+    test("should review each chunk and merge the part summaries", async () => {
+      const root = await createRepository({
+        "src/a.js": `// a\n${"const a = 1;\n".repeat(60)}`,
+        "src/b.js": `// b\n${"const b = 2;\n".repeat(60)}`,
+      });
+      repositories.push(root);
+      mockPanel();
+
+      const pipeline = await runPipeline({
+        sourceText: "",
+        discussionSubject: "Review the split repository",
+        panelInteractions: 2,
+        repository: { path: root, maxTokens: 400 },
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+      for (const part of pipeline.result.parts) {
+        outputDirs.push(part.outputDir);
+      }
+
+      const steps = mockCallEverest.mock.calls.map((call) => call[2]);
+      expect(steps.filter((step) => step === "panel_summary")).toHaveLength(
+        pipeline.result.parts.length
+      );
+      expect(steps.at(-1)).toBe("chunk_merge");
+      const mergePrompt = mockCallEverest.mock.calls.at(-1)[0].chat.userPrompt;
+      expect(mergePrompt).toContain("Part 1 of 2 (1 files: src/a.js):");
+      expect(mergePrompt).toContain("Part 2 of 2 (1 files: src/b.js):");
+
+      expect(pipeline.status).toBe("completed");
+      expect(pipeline.result.summary).toBe("Response for chunk_merge");
+      expect(pipeline.result.parts[0]).toMatchObject({
+        part: 1,
+        files: ["src/a.js"],
+        status: "completed",
+      });
+      expect(pipeline.result.conversation[0]).toMatchObject({
+        type: "part",
+        content: "Part 1 of 2: src/a.js",
+      });
+      expect(pipeline.result.metadata.apiCalls).toBe(11);
+
+      const summary = await fs.readFile(pipeline.files.summary, "utf8");
+      expect(summary).toContain("## Repository Parts");
+    });
+
+    test("should share the budget across parts and report every part's cost", async () => {
+      const root = await createRepository({
+        "src/a.js": `// a\n${"const a = 1;\n".repeat(60)}`,
+        "src/b.js": `// b\n${"const b = 2;\n".repeat(60)}`,
+      });
+      repositories.push(root);
+      // Charges $0.10 a call and refuses calls over budget, like callEverest
+      mockCallEverest.mockImplementation(
+        async (agentConfig, pipelineData, stepId) => {
+          const budgetCheck = checkBudget(pipelineData);
+          if (budgetCheck.exceeded) {
+            return { error: budgetCheck.reason, budgetExceeded: true, stepId };
+          }
+          const response = {
+            callID: `call-${stepId}`,
+            message: stepId.startsWith("moderator")
+              ? JSON.stringify({ next_speaker: "panel_1" })
+              : `Response for ${stepId}`,
+            usage: {
+              cost: 0.1,
+              prompt_tokens: 80,
+              completion_tokens: 20,
+              total_tokens: 100,
+            },
+          };
+          addStepCost(pipelineData, stepId, response);
+          return response;
+        }
+      );
+
+      const pipeline = await runPipeline({
+        sourceText: "",
+        discussionSubject: "Review the split repository",
+        panelInteractions: 2,
+        repository: { path: root, maxTokens: 400 },
+        maxCost: 0.55,
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+      for (const part of pipeline.result.parts) {
+        outputDirs.push(part.outputDir);
+      }
+
+      // Part 1 spends $0.50, so part 2 stops after one call instead of getting $0.55 again
+      expect(pipeline.result.parts.map((part) => part.status)).toEqual([
+        "completed",
+        "partial",
+      ]);
+      expect(pipeline.costs.stepCosts.map((stepCost) => stepCost.part)).toEqual(
+        [1, 1, 1, 1, 1, 2]
+      );
+      expect(pipeline.costs.totalCost).toBeCloseTo(0.6);
+      expect(pipeline.status).toBe("partial");
+      expect(pipeline.result.metadata.stopReason).toContain("Budget exceeded");
+    });
+
+    test("should start every part afresh when resumeRunId is set", async () => {
+      const root = await createRepository({
+        "src/a.js": `// a\n${"const a = 1;\n".repeat(60)}`,
+        "src/b.js": `// b\n${"const b = 2;\n".repeat(60)}`,
+      });
+      repositories.push(root);
+      mockPanel();
+
+      const pipeline = await runPipeline({
+        sourceText: "",
+        discussionSubject: "Review the split repository",
+        panelInteractions: 2,
+        repository: { path: root, maxTokens: 400 },
+        resumeRunId: "run-of-part-1",
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+      for (const part of pipeline.result.parts) {
+        outputDirs.push(part.outputDir);
+      }
+
+      expect(pipeline.status).toBe("completed");
+      expect(pipeline.warnings).toEqual([
+        "resumeRunId ignored: the repository is reviewed in 2 parts, which start afresh",
+      ]);
+      expect(
+        mockCallEverest.mock.calls.filter(
+          (call) => call[2] === "moderator_setup"
+        )
+      ).toHaveLength(2);
+    });
+
+    test("should reject an invalid repository option before any calls", async () => {
+      await expect(
+        runPipeline({
+          sourceText: "",
+          discussionSubject: "Review",
+          repository: { path: ".", maxTokens: 0 },
+        })
+      ).rejects.toThrow("repository.maxTokens must be a positive integer");
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+
+    test("should refuse remote jobs that name a repository", async () => {
+      const result = await executeForNostrMQ(
+        {
+          sourceText: "",
+          discussionSubject: "Review",
+          repository: "/etc",
+        },
+        null,
+        { sender: "npub1remote" }
+      );
+
+      expect(result).toMatchObject({
+        success: false,
+        error: "repository is only accepted from the CLI",
+      });
+      expect(mockCallEverest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,249 @@
+import { promises as fs } from "fs";
+import os from "os";
+import path from "path";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const { parseReviewComments, attachSourceLines, formatReviewCommentsMarkdown } =
+  await import("../../src/utils/reviewComments.js");
+const { runPipeline, estimatePanelApiCalls } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const roster = [
+  { id: "architect", name: "System Architect" },
+  { id: "performance", name: "Performance Engineer" },
+  { id: "innovation", name: "Innovation Engineer" },
+];
+const loopComment = {
+  file: "./src/cart.js",
+  start_line: 3,
+  end_line: 5,
+  category: "Performance",
+  severity: "MAJOR",
+  panelist: "performance engineer",
+  comment: "The total is recomputed on every render.",
+  original_code: "for (const item of items) {\n  total += item.price;\n}",
+  suggested_change:
+    "const total = items.reduce((sum, item) => sum + item.price, 0);",
+};
+const commentsReply = (comments) => JSON.stringify({ comments });
+
+describe("reviewComments", () => {
+  const tempDirs = removeDirsAfterEach();
+
+  describe("parsing", () => {
+    test("should normalise comments and credit roster members", () => {
+      const comments = parseReviewComments(
+        `Comments:\n${commentsReply([
+          loopComment,
+          {
+            file: "src\\api\\client.js",
+            start_line: "12",
+            end_line: 4,
+            panelist: "innovation",
+            severity: "urgent",
+            comment: "Consider a streaming client.",
+          },
+          { file: "README.md" },
+          { comment: "No file" },
+        ])}`,
+        roster
+      );
+
+      expect(comments).toEqual([
+        {
+          id: "TR-001",
+          file: "src/cart.js",
+          startLine: 3,
+          endLine: 5,
+          category: "performance",
+          severity: "major",
+          panelist: "Performance Engineer",
+          comment: "The total is recomputed on every render.",
+          originalCode: loopComment.original_code,
+          suggestedChange: loopComment.suggested_change,
+        },
+        {
+          id: "TR-002",
+          file: "src/api/client.js",
+          startLine: 12,
+          endLine: 12,
+          category: "innovation",
+          severity: "minor",
+          panelist: "Innovation Engineer",
+          comment: "Consider a streaming client.",
+          originalCode: null,
+          suggestedChange: null,
+        },
+      ]);
+      expect(parseReviewComments(commentsReply([]))).toEqual([]);
+      expect(parseReviewComments("Looks good to me")).toBeNull();
+    });
+
+    test("should read the anchored lines back from the repository", async () => {
+      const root = await fs.mkdtemp(path.join(os.tmpdir(), "pipeliner-cr-"));
+      tempDirs.push(root);
+      await fs.mkdir(path.join(root, "src"));
+      await fs.writeFile(
+        path.join(root, "src/cart.js"),
+        "let total = 0;\n\nfor (const item of cart.items) {\n  total += item.price;\n}\n"
+      );
+      const comments = parseReviewComments(
+        commentsReply([
+          loopComment,
+          { ...loopComment, start_line: 40, end_line: 41 },
+          { ...loopComment, file: "../outside.js" },
+        ]),
+        roster
+      );
+
+      await attachSourceLines(comments, root);
+
+      expect(comments[0].originalCode).toBe(
+        "for (const item of cart.items) {\n  total += item.price;\n}"
+      );
+      expect(comments[1].originalCode).toBe(loopComment.original_code);
+      expect(comments[2].originalCode).toBe(loopComment.original_code);
+    });
+  });
+
+  describe("formatReviewCommentsMarkdown", () => {
+    test("should group comments by file with a diff hunk per change", () => {
+      const comments = parseReviewComments(
+        commentsReply([
+          loopComment,
+          {
+            file: "src/cart.js",
+            category: "architecture",
+            severity: "nit",
+            panelist: "System Architect",
+            comment: "Split pricing into its own module.",
+            suggested_change: "Move `total` into pricing.js",
+          },
+          {
+            file: "src/cart.js",
+            start_line: 1,
+            severity: "blocker",
+            comment: "Use const.",
+          },
+        ]),
+        roster
+      );
+
+      const markdown = formatReviewCommentsMarkdown(comments, {
+        discussionSubject: "Cart review",
+      });
+
+      expect(markdown).toContain("# Tech Review Comments");
+      expect(markdown).toContain("**Discussion Subject**: Cart review");
+      expect(markdown).toContain("**Comments**: 3 (1 blocker, 1 major, 1 nit)");
+      expect(markdown).toContain(
+        [
+          "### TR-001 · lines 3-5 · major · performance",
+          "",
+          "**Raised by**: Performance Engineer",
+          "",
+          "The total is recomputed on every render.",
+          "",
+          "```diff",
+          "--- a/src/cart.js",
+          "+++ b/src/cart.js",
+          "@@ -3,3 +3,1 @@",
+          "-for (const item of items) {",
+          "-  total += item.price;",
+          "-}",
+          "+const total = items.reduce((sum, item) => sum + item.price, 0);",
+          "```",
+        ].join("\n")
+      );
+      expect(markdown).toContain(
+        "### TR-002 · whole file · nit · architecture\n\n**Raised by**: System Architect\n\nSplit pricing into its own module.\n\n**Suggested change**:\n\n```\nMove `total` into pricing.js\n```"
+      );
+      // Line-anchored comments come first within a file
+      expect(markdown.indexOf("TR-003 · line 1")).toBeLessThan(
+        markdown.indexOf("TR-001")
+      );
+      expect(markdown.indexOf("TR-001")).toBeLessThan(
+        markdown.indexOf("TR-002")
+      );
+      expect(formatReviewCommentsMarkdown([])).toContain(
+        "The panel raised no line-level comments."
+      );
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    test("should save review comments for a tech review panel", async () => {
+      respondAsPanel(mockCallEverest, {
+        moderator: { next_speaker: "panel_2" },
+        reply: (stepId) =>
+          stepId === "review_comments"
+            ? commentsReply([loopComment])
+            : undefined,
+      });
+
+      const pipeline = await runPipeline({
+        panelType: "techreview",
+        sourceText: "Codebase:\nfor (const item of items) { total += 1; }",
+        discussionSubject: "Technical Review: Cart",
+        panelInteractions: 2,
+      });
+      tempDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "performance_interaction_1",
+        "moderator_decision_1",
+        "performance_interaction_2",
+        "panel_summary",
+        "review_comments",
+      ]);
+      expect(calls[5][0].model.response_format).toEqual({
+        type: "json_object",
+      });
+      expect(calls[5][0].chat.userPrompt).toContain(
+        "category: one of architecture, performance, innovation"
+      );
+
+      expect(pipeline.result.reviewComments).toHaveLength(1);
+      expect(pipeline.result.metadata.apiCalls).toBe(6);
+      expect(
+        JSON.parse(await fs.readFile(pipeline.files.reviewComments, "utf8"))
+      ).toEqual(pipeline.result.reviewComments);
+      const markdown = await fs.readFile(
+        pipeline.files.reviewCommentsMarkdown,
+        "utf8"
+      );
+      expect(markdown).toContain("## src/cart.js");
+      expect(markdown).toContain("@@ -3,3 +3,1 @@");
+    });
+
+    test("should warn and skip the files when the reply is not a comment list", async () => {
+      respondAsPanel(mockCallEverest);
+
+      const pipeline = await runPipeline({
+        panelType: "techreview",
+        sourceText: "Codebase:\nconst a = 1;",
+        discussionSubject: "Technical Review",
+        panelInteractions: 2,
+      });
+      tempDirs.push(path.dirname(pipeline.files.conversation));
+
+      expect(pipeline.result.reviewComments).toBeUndefined();
+      expect(pipeline.files.reviewCommentsMarkdown).toBeUndefined();
+      expect(pipeline.warnings).toEqual([
+        "Review comments skipped: reply was not a comment list",
+      ]);
+      expect(
+        estimatePanelApiCalls({ panelInteractions: 2, reviewComments: true })
+      ).toBe(6);
+    });
+  });
+});
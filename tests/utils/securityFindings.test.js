@@ -0,0 +1,220 @@
+import { promises as fs } from "fs";
+import path from "path";
+import {
+  mockEverest,
+  removeDirsAfterEach,
+  respondAsPanel,
+} from "../pipelineTestHelpers.js";
+
+const mockCallEverest = mockEverest();
+
+const { normalizeCwe, parseSecurityFindings, buildSarifLog } = await import(
+  "../../src/utils/securityFindings.js"
+);
+const { runPipeline, estimatePanelApiCalls } = await import(
+  "../../src/pipelines/moderatedPanelPipeline.js"
+);
+
+const sqlInjection = {
+  id: "SEC-001",
+  title: "SQL injection in login",
+  severity: "High",
+  cwe: "cwe-89",
+  component: "src/auth/login.js:42",
+  description: "The username is concatenated into the query.",
+  attack_path: "Submit ' OR 1=1 -- as the username",
+  mitigation: "Use parameterised queries",
+  risk_rating: "High: full account takeover",
+};
+const findingsReply = (findings) => JSON.stringify({ findings });
+
+describe("securityFindings", () => {
+  const outputDirs = removeDirsAfterEach();
+
+  describe("parsing", () => {
+    test("should normalise CWE references", () => {
+      expect(normalizeCwe("CWE-89: SQL Injection")).toBe("CWE-89");
+      expect(normalizeCwe("cwe 79")).toBe("CWE-79");
+      expect(normalizeCwe("287")).toBe("CWE-287");
+      expect(normalizeCwe(287)).toBe("CWE-287");
+      expect(normalizeCwe("OWASP A03")).toBeNull();
+      expect(normalizeCwe(undefined)).toBeNull();
+    });
+
+    test("should normalise findings and number those without an ID", () => {
+      const findings = parseSecurityFindings(
+        `Findings:\n${findingsReply([
+          sqlInjection,
+          { title: "Weak session secret", severity: "severe" },
+          { severity: "low" },
+        ])}`
+      );
+
+      expect(findings).toEqual([
+        {
+          id: "SEC-001",
+          title: "SQL injection in login",
+          severity: "high",
+          cwe: "CWE-89",
+          component: "src/auth/login.js:42",
+          description: "The username is concatenated into the query.",
+          attackPath: "Submit ' OR 1=1 -- as the username",
+          mitigation: "Use parameterised queries",
+          riskRating: "High: full account takeover",
+        },
+        {
+          id: "SEC-002",
+          title: "Weak session secret",
+          severity: "medium",
+          cwe: null,
+          component: null,
+          description: null,
+          attackPath: null,
+          mitigation: null,
+          riskRating: null,
+        },
+      ]);
+      expect(parseSecurityFindings(findingsReply([]))).toEqual([]);
+      expect(parseSecurityFindings("No vulnerabilities found")).toBeNull();
+    });
+  });
+
+  describe("buildSarifLog", () => {
+    test("should write a SARIF 2.1.0 rule and result per finding", () => {
+      const findings = parseSecurityFindings(
+        findingsReply([
+          sqlInjection,
+          {
+            id: "SEC-002",
+            title: "Verbose errors",
+            severity: "low",
+            component: "Login form",
+          },
+        ])
+      );
+      const sarif = buildSarifLog(findings, {
+        toolVersion: "1.0.0",
+        runId: "run-1",
+      });
+
+      expect(sarif.version).toBe("2.1.0");
+      expect(sarif.$schema).toBe(
+        "https://json.schemastore.org/sarif-2.1.0.json"
+      );
+      const [run] = sarif.runs;
+      expect(run.tool.driver).toMatchObject({
+        name: "Pipeliner Security Panel",
+        version: "1.0.0",
+      });
+      expect(run.automationDetails).toEqual({ id: "security-panel/run-1" });
+      expect(run.tool.driver.rules[0]).toEqual({
+        id: "SEC-001",
+        name: "SQL injection in login",
+        shortDescription: { text: "SQL injection in login" },
+        fullDescription: {
+          text: "The username is concatenated into the query.",
+        },
+        help: { text: "Use parameterised queries" },
+        defaultConfiguration: { level: "error" },
+        properties: {
+          tags: ["security", "CWE-89"],
+          "security-severity": "8.0",
+        },
+      });
+      expect(run.results[0]).toMatchObject({
+        ruleId: "SEC-001",
+        ruleIndex: 0,
+        level: "error",
+        message: {
+          text: "SQL injection in login. Attack path: Submit ' OR 1=1 -- as the username",
+        },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: "src/auth/login.js" },
+              region: { startLine: 42 },
+            },
+          },
+        ],
+        properties: { riskRating: "High: full account takeover" },
+      });
+      expect(run.results[1]).toMatchObject({
+        level: "note",
+        locations: [
+          { logicalLocations: [{ name: "Login form", kind: "module" }] },
+        ],
+      });
+    });
+  });
+
+  describe("moderated panel pipeline", () => {
+    const config = {
+      panelType: "security",
+      sourceText: "function login(user) { db.query('SELECT * ' + user); }",
+      discussionSubject: "Security review of the login handler",
+      panelInteractions: 2,
+    };
+
+    test("should save findings and SARIF for a security panel", async () => {
+      respondAsPanel(mockCallEverest, {
+        reply: (stepId) =>
+          stepId === "security_findings"
+            ? findingsReply([sqlInjection])
+            : undefined,
+      });
+
+      const pipeline = await runPipeline(config);
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      const calls = mockCallEverest.mock.calls;
+      expect(calls.map((call) => call[2])).toEqual([
+        "moderator_setup",
+        "offensive_interaction_1",
+        "moderator_decision_1",
+        "offensive_interaction_2",
+        "panel_summary",
+        "security_findings",
+      ]);
+      expect(calls[5][0].model.response_format).toEqual({
+        type: "json_object",
+      });
+      expect(calls[5][0].chat.userPrompt).toContain(
+        "- Red Team: Offensive security perspective"
+      );
+
+      expect(pipeline.result.findings).toHaveLength(1);
+      expect(pipeline.result.metadata.apiCalls).toBe(6);
+      expect(path.dirname(pipeline.files.sarif)).toBe(
+        path.dirname(pipeline.files.summary)
+      );
+      const saved = JSON.parse(
+        await fs.readFile(pipeline.files.findings, "utf8")
+      );
+      expect(saved).toEqual(pipeline.result.findings);
+      const sarif = JSON.parse(await fs.readFile(pipeline.files.sarif, "utf8"));
+      expect(sarif.runs[0].results[0].ruleId).toBe("SEC-001");
+      expect(sarif.runs[0].automationDetails.id).toBe(
+        `security-panel/${pipeline.runId}`
+      );
+    });
+
+    test("should only extract findings for panel types that report them", async () => {
+      respondAsPanel(mockCallEverest);
+
+      const pipeline = await runPipeline({
+        ...config,
+        panelType: "discussion",
+      });
+      outputDirs.push(path.dirname(pipeline.files.conversation));
+
+      expect(mockCallEverest.mock.calls.at(-1)[2]).toBe("panel_summary");
+      expect(pipeline.files.sarif).toBeUndefined();
+      expect(
+        estimatePanelApiCalls({
+          panelInteractions: 2,
+          structuredFindings: true,
+        })
+      ).toBe(6);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import {
+  withJsonResponse,
+  parseJsonObject,
+  tableCell,
+} from "../../src/utils/structuredReplies.js";
+
+describe("structuredReplies", () => {
+  test("should ask for JSON without changing the original config", () => {
+    const agentConfig = { callID: "call-1", model: { model: "test-model" } };
+
+    expect(withJsonResponse(agentConfig)).toEqual({
+      callID: "call-1",
+      model: { model: "test-model", response_format: { type: "json_object" } },
+    });
+    expect(agentConfig.model.response_format).toBeUndefined();
+  });
+
+  test("should read the JSON object out of prose or a code fence", () => {
+    expect(
+      parseJsonObject('Here you go:\n```json\n{"votes": []}\n```')
+    ).toEqual({ votes: [] });
+    expect(parseJsonObject("No JSON here")).toBeNull();
+    expect(parseJsonObject("{not: valid}")).toBeNull();
+    expect(parseJsonObject(undefined)).toBeNull();
+  });
+
+  test("should escape pipes and flatten line breaks in table cells", () => {
+    expect(tableCell("a | b\n  c")).toBe("a \\| b c");
+  });
+});